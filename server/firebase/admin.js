@@ -3,6 +3,7 @@ import dotenv from 'dotenv';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { logger } from '../services/logger.js';
 
 // Get current file path (ESM equivalent of __dirname)
 const __filename = fileURLToPath(import.meta.url);
@@ -20,22 +21,20 @@ const envPath = join(__dirname, '../../', envFile);
 if (fs.existsSync(envPath)) {
   const result = dotenv.config({ path: envPath });
   if (result.error) {
-    console.warn(`Error loading environment from ${envFile}:`, result.error);
+    logger.warn(`Error loading environment from ${envFile}`, result.error);
   } else {
-    console.log(`Loaded environment from ${envFile}`);
+    logger.info(`Loaded environment from ${envFile}`);
   }
 } else {
-  console.warn(`Environment file ${envFile} not found, using existing env vars`);
+  logger.warn(`Environment file ${envFile} not found, using existing env vars`);
 }
 
-// Debug: Log environment variables if debug is enabled
-if (process.env.VITE_ENABLE_DEBUG_LOGS === 'true') {
-  console.log('Firebase Env Vars:', {
-    projectId: process.env.FIREBASE_ADMIN_PROJECT_ID,
-    clientEmail: process.env.FIREBASE_ADMIN_CLIENT_EMAIL,
-    privateKeyExists: !!process.env.FIREBASE_ADMIN_PRIVATE_KEY
-  });
-}
+// Debug: Log environment variables when LOG_LEVEL is debug
+logger.debug('Firebase Env Vars', {
+  projectId: process.env.FIREBASE_ADMIN_PROJECT_ID,
+  clientEmail: process.env.FIREBASE_ADMIN_CLIENT_EMAIL,
+  privateKeyExists: !!process.env.FIREBASE_ADMIN_PRIVATE_KEY
+});
 
 // Fix for the private key format in environment variables
 const privateKey = process.env.FIREBASE_ADMIN_PRIVATE_KEY
@@ -72,11 +71,11 @@ try {
       storageBucket: process.env.FIREBASE_ADMIN_STORAGE_BUCKET,
     });
     
-    console.log('Firebase Admin SDK initialized successfully');
+    logger.info('Firebase Admin SDK initialized successfully');
   }
 } catch (error) {
-  console.error('Firebase Admin SDK Initialization Error:', error.message);
-  console.error('Please check your environment file and Firebase Admin SDK credentials');
+  logger.error('Firebase Admin SDK Initialization Error', error);
+  logger.error('Please check your environment file and Firebase Admin SDK credentials');
   process.exit(1); // Exit the process if initialization fails
 }
 
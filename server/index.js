@@ -5,7 +5,28 @@ import dotenv from 'dotenv';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import apiKeyRoutes from './routes/apiKeys.js';
 import authRoutes from './routes/auth.js';
+import auditRoutes from './routes/audit.js';
+import commissionRoutes from './routes/commissions.js';
+import docsRoutes from './routes/docs.js';
+import invitationRoutes from './routes/invitations.js';
+import jobRoutes from './routes/jobs.js';
+import listingsV1Routes from './routes/listingsV1.js';
+import loginRoutes from './routes/login.js';
+import mfaRoutes from './routes/mfa.js';
+import sessionRoutes from './routes/sessions.js';
+import webhookRoutes from './routes/webhooks.js';
+import { authenticate, authenticateApiClient, authenticateJobRunner } from './middleware/auth.js';
+import { rateLimit } from './middleware/rateLimit.js';
+import { REQUEST_ID_HEADER, requestLogger } from './middleware/requestLogger.js';
+import { validateRequest } from './middleware/validate.js';
+import { healthCheck } from './schemas/health.js';
+import { getClientIp } from './services/auditLog.js';
+import { startListingScheduler } from './services/listingScheduler.js';
+import { logger, serializeError } from './services/logger.js';
+import { normalizeLoginEmail } from './services/loginAttempts.js';
+import { startWebhookWorker } from './services/webhooks.js';
 
 // Get current file path (ESM equivalent of __dirname)
 const __filename = fileURLToPath(import.meta.url);
@@ -20,12 +41,12 @@ const envPath = path.resolve(__dirname, envFile);
 if (fs.existsSync(envPath)) {
   const result = dotenv.config({ path: envPath });
   if (result.error) {
-    console.error('Error loading environment variables:', result.error);
+    logger.error('Error loading environment variables', result.error);
   } else {
-    console.log(`Successfully loaded environment from ${envFile}`);
+    logger.info(`Successfully loaded environment from ${envFile}`);
   }
 } else {
-  console.log(`Environment file ${envFile} not found, using existing env vars`);
+  logger.info(`Environment file ${envFile} not found, using existing env vars`);
 }
 
 // Set up backend-specific variables based on Vite variables
@@ -37,7 +58,15 @@ process.env.FRONTEND_URL = process.env.FRONTEND_URL || process.env.VITE_FRONTEND
 const app = express();
 const PORT = process.env.PORT || 8080;
 
+// Proxies in front of the server, each appending the address it saw to X-Forwarded-For -
+// Cloud Run's front end is one. req.ip is the address the outermost of them saw; anything
+// further left in the header was sent by the client and is ignored
+const trustedProxyHops = parseInt(process.env.TRUST_PROXY_HOPS, 10);
+app.set('trust proxy', Number.isInteger(trustedProxyHops) && trustedProxyHops >= 0 ? trustedProxyHops : 1);
+
 // Middleware
+// Correlation ID and one structured log line per request - first, so every later failure is logged
+app.use(requestLogger);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -57,14 +86,47 @@ app.use(cors({
     }
     return callback(null, true);
   },
-  credentials: true
+  credentials: true,
+  // Lets the admin panel read the correlation ID to show with error messages
+  exposedHeaders: [REQUEST_ID_HEADER]
 }));
 
+// Rate limits - per IP before authentication, per account after it
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+
+const loginIpLimiter = rateLimit({ name: 'login-ip', windowMs: FIFTEEN_MINUTES, max: 30, keyGenerator: getClientIp });
+const loginAccountLimiter = rateLimit({
+  name: 'login-account',
+  windowMs: FIFTEEN_MINUTES,
+  max: 10,
+  keyGenerator: (req) => req.body?.email ? normalizeLoginEmail(req.body.email) : null
+});
+const apiIpLimiter = rateLimit({ name: 'api-ip', windowMs: FIFTEEN_MINUTES, max: 300, keyGenerator: getClientIp });
+const apiAccountLimiter = rateLimit({ name: 'api-account', windowMs: FIFTEEN_MINUTES, max: 100, keyGenerator: (req) => req.user?.id });
+const invitationIpLimiter = rateLimit({ name: 'invitation-ip', windowMs: FIFTEEN_MINUTES, max: 20, keyGenerator: getClientIp });
+
 // Routes
-app.use('/api/auth', authRoutes);
+// Password sign-in is public; failures are counted per login email and lock the account
+app.use('/api/login', loginIpLimiter, loginAccountLimiter, loginRoutes);
+// Every /api/auth route requires a verified Firebase ID token
+app.use('/api/auth', apiIpLimiter, authenticate, apiAccountLimiter, authRoutes);
+app.use('/api/audit', apiIpLimiter, authenticate, apiAccountLimiter, auditRoutes);
+app.use('/api/mfa', apiIpLimiter, authenticate, apiAccountLimiter, mfaRoutes);
+app.use('/api/sessions', apiIpLimiter, authenticate, apiAccountLimiter, sessionRoutes);
+app.use('/api/api-keys', apiIpLimiter, authenticate, apiAccountLimiter, apiKeyRoutes);
+app.use('/api/webhooks', apiIpLimiter, authenticate, apiAccountLimiter, webhookRoutes);
+app.use('/api/commissions', apiIpLimiter, authenticate, apiAccountLimiter, commissionRoutes);
+// Versioned public API - callers authenticate with an API key or a Firebase ID token
+app.use('/api/v1/listings', apiIpLimiter, authenticateApiClient, apiAccountLimiter, listingsV1Routes);
+// Background jobs, run by Cloud Scheduler with JOBS_SECRET
+app.use('/api/jobs', apiIpLimiter, authenticateJobRunner, jobRoutes);
+// Invitation links are redeemed before the user can sign in, so these are public
+app.use('/api/invitations', invitationIpLimiter, invitationRoutes);
+// OpenAPI document at /api/openapi.json and, outside production, Swagger UI at /api/docs
+app.use('/api', docsRoutes);
 
 // Health check route
-app.get('/api/health', (req, res) => {
+app.get('/api/health', validateRequest(healthCheck), (req, res) => {
   res.status(200).json({ 
     status: 'ok', 
     environment: environment,
@@ -75,19 +137,33 @@ app.get('/api/health', (req, res) => {
 });
 
 // Error handling middleware
+// The error is logged on the request's line by requestLogger; the response only carries the ID to quote
 app.use((err, req, res, next) => {
-  console.error('Global error handler:', err);
-  res.status(err.status || 500).json({
+  const status = err.status || 500;
+  res.locals.error = serializeError(err);
+  res.status(status).json({
     error: environment === 'production' 
       ? 'An unexpected error occurred' 
       : err.message,
+    // e.g. malformed JSON from the body parser has status 400
+    code: status < 500 ? 'invalid_request' : 'internal_error',
+    requestId: req.id,
     stack: environment === 'production' ? undefined : err.stack
   });
 });
 
+// Without JOBS_SECRET nothing calls /api/jobs (e.g. in development), so this process runs the jobs itself:
+// retrying failed webhook deliveries, publishing and expiring listings on their scheduled dates,
+// sending renewal reminders and the nightly rating. On Cloud Run, Cloud Scheduler runs them instead.
+if (!process.env.JOBS_SECRET) {
+  startWebhookWorker();
+  startListingScheduler();
+}
+
 // Start the server
 app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT} in ${environment} mode`);
-  console.log(`API URL: ${process.env.API_URL || 'http://localhost:' + PORT}`);
-  console.log(`Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:5173'}`);
+  logger.info(`Server running on port ${PORT} in ${environment} mode`, {
+    apiUrl: process.env.API_URL || 'http://localhost:' + PORT,
+    frontendUrl: process.env.FRONTEND_URL || 'http://localhost:5173'
+  });
 });
\ No newline at end of file
@@ -0,0 +1,230 @@
+import crypto from 'crypto';
+import admin from '../firebase/admin.js';
+import { getMfaPolicy, isMfaRequired } from '../services/mfa.js';
+import { touchSession } from '../services/sessions.js';
+import { verifyApiKey } from '../services/apiKeys.js';
+import { logger } from '../services/logger.js';
+import { ROLES } from './roles.js';
+
+export { ROLES };
+
+// Extract the bearer token from the Authorization header
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+/**
+ * Verify the caller's Firebase ID token and load their users document.
+ * On success the decoded token is available as req.auth and the profile as req.user.
+ * Only tokens from a sign-in through /api/login are accepted: they carry the session it
+ * recorded, and tokens from a revoked session are refused. A Firebase sign-in made directly
+ * with the web API key skips the lockout and session tracking, so its tokens are refused too.
+ * Accounts with two-factor authentication, or whose role requires it, must present a token
+ * carrying the `mfa` claim.
+ */
+export const authenticate = async (req, res, next) => {
+  const idToken = getBearerToken(req);
+
+  if (!idToken) {
+    return res.status(401).json({
+      error: 'Authentication required. Please sign in and try again.',
+      code: 'unauthenticated'
+    });
+  }
+
+  let decodedToken;
+  try {
+    decodedToken = await admin.auth().verifyIdToken(idToken);
+  } catch (error) {
+    logger.warn('Rejected ID token', { code: error.code, reason: error.message });
+
+    if (error.code === 'auth/id-token-expired') {
+      return res.status(401).json({
+        error: 'Your session has expired. Please sign in again.',
+        code: 'token_expired'
+      });
+    }
+
+    return res.status(401).json({
+      error: 'Invalid authentication token. Please sign in again.',
+      code: 'invalid_token'
+    });
+  }
+
+  try {
+    const snapshot = await admin.firestore()
+      .collection('users')
+      .where('uid', '==', decodedToken.uid)
+      .limit(1)
+      .get();
+
+    if (snapshot.empty) {
+      return res.status(403).json({
+        error: 'User not found in system. Please contact support.',
+        code: 'user_not_found'
+      });
+    }
+
+    const userDoc = snapshot.docs[0];
+    const userData = userDoc.data();
+
+    if (userData.status === 'inactive') {
+      return res.status(403).json({
+        error: 'Your account has been deactivated.',
+        code: 'account_inactive'
+      });
+    }
+
+    // Tokens minted by /api/login carry the ID of the session it recorded
+    if (!decodedToken.sessionId) {
+      return res.status(401).json({
+        error: 'Please sign in again.',
+        code: 'session_required'
+      });
+    }
+
+    if (!decodedToken.mfa) {
+      // Enrolled accounts must have signed in through the second step, which sets the `mfa` claim
+      if (userData.mfaEnabled) {
+        return res.status(401).json({
+          error: 'Two-factor verification is required. Please sign in again.',
+          code: 'mfa_required'
+        });
+      }
+
+      // Accounts whose role requires it enrol at their next sign-in
+      if (isMfaRequired(userData.role, await getMfaPolicy())) {
+        return res.status(401).json({
+          error: 'Two-factor authentication is required for your role. Please sign in again to set it up.',
+          code: 'mfa_enrollment_required'
+        });
+      }
+    }
+
+    // A revoked session is rejected even though the ID token itself stays valid until it expires
+    if (!(await touchSession(decodedToken.sessionId, req))) {
+      return res.status(401).json({
+        error: 'Your session has ended. Please sign in again.',
+        code: 'session_revoked'
+      });
+    }
+
+    req.auth = decodedToken;
+    req.user = {
+      ...userData,
+      id: userDoc.id,
+      uid: decodedToken.uid
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Authenticate with an API key in the X-API-Key header, or fall back to a Firebase ID token.
+ * A key acts as the user who created it: req.user is their profile and req.apiKey
+ * identifies the key. req.auth is only set for ID tokens.
+ */
+export const authenticateApiClient = async (req, res, next) => {
+  const key = req.headers['x-api-key'];
+
+  if (!key) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const apiKey = await verifyApiKey(key);
+
+    if (!apiKey) {
+      return res.status(401).json({
+        error: 'Invalid or revoked API key.',
+        code: 'invalid_api_key'
+      });
+    }
+
+    const userDoc = await admin.firestore().collection('users').doc(apiKey.userId).get();
+
+    if (!userDoc.exists) {
+      return res.status(403).json({
+        error: 'User not found in system. Please contact support.',
+        code: 'user_not_found'
+      });
+    }
+
+    const userData = userDoc.data();
+
+    if (userData.status === 'inactive') {
+      return res.status(403).json({
+        error: 'Your account has been deactivated.',
+        code: 'account_inactive'
+      });
+    }
+
+    req.apiKey = { id: apiKey.id, name: apiKey.name };
+    req.user = {
+      ...userData,
+      id: userDoc.id,
+      uid: userData.uid
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Allow the request through only if the authenticated user has one of the given roles.
+ * Must be used after authenticate.
+ */
+export const requireRole = (...allowedRoles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Authentication required. Please sign in and try again.',
+      code: 'unauthenticated'
+    });
+  }
+
+  if (!allowedRoles.includes(req.user.role)) {
+    logger.warn(`Denied ${req.method} ${req.originalUrl}`, { userId: req.user.id, role: req.user.role });
+    return res.status(403).json({
+      error: 'You do not have permission to perform this action.',
+      code: 'forbidden',
+      requiredRoles: allowedRoles
+    });
+  }
+
+  next();
+};
+
+// Header Cloud Scheduler sends JOBS_SECRET in when it runs a background job
+export const JOBS_SECRET_HEADER = 'x-jobs-secret';
+
+// Compare digests so the comparison takes the same time whatever the secret's length
+const isSameSecret = (a, b) => crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(a).digest(),
+  crypto.createHash('sha256').update(b).digest()
+);
+
+/**
+ * Let Cloud Scheduler run the background jobs under /api/jobs: the request must carry
+ * JOBS_SECRET in the X-Jobs-Secret header. Without JOBS_SECRET the jobs cannot be run this way.
+ */
+export const authenticateJobRunner = (req, res, next) => {
+  const secret = process.env.JOBS_SECRET;
+  const presented = req.get(JOBS_SECRET_HEADER);
+
+  if (!secret || !presented || !isSameSecret(presented, secret)) {
+    logger.warn('Rejected background job request', { path: req.path });
+    return res.status(401).json({
+      error: 'Invalid job credentials.',
+      code: 'invalid_job_secret'
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,64 @@
+import { logger } from '../services/logger.js';
+
+/**
+ * Fixed-window rate limiter backed by an in-memory store.
+ * Counters are per server instance, so limits are approximate when Cloud Run scales out;
+ * account lockout (services/loginAttempts.js) is tracked in Firestore and applies globally.
+ * @param options.name Label used when logging rejected requests
+ * @param options.windowMs Length of the counting window in milliseconds
+ * @param options.max Requests allowed per key within a window
+ * @param options.keyGenerator Maps a request to the key being limited (IP, user ID, login email)
+ * @param options.message Error message returned with the 429 response
+ */
+export const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator,
+  message = 'Too many requests. Please try again later.'
+}) => {
+  const hits = new Map();
+
+  // Drop expired windows so the store does not grow without bound
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  cleanup.unref();
+
+  return (req, res, next) => {
+    const key = keyGenerator(req);
+
+    // Nothing to limit on (e.g. missing body field) - let the route validate the request
+    if (!key) return next();
+
+    const now = Date.now();
+    let entry = hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count += 1;
+
+    const retryAfterSeconds = Math.ceil((entry.resetAt - now) / 1000);
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+    res.set('RateLimit-Reset', String(retryAfterSeconds));
+
+    if (entry.count > max) {
+      logger.warn(`Rate limit ${name} exceeded`, { key });
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        error: message,
+        code: 'rate_limited',
+        retryAfter: retryAfterSeconds
+      });
+    }
+
+    next();
+  };
+};
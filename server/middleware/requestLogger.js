@@ -0,0 +1,56 @@
+import { randomUUID } from 'crypto';
+import { logger, runWithRequestId } from '../services/logger.js';
+import { getClientIp } from '../services/auditLog.js';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// IDs sent by the admin panel (or a proxy) are reused so both sides log the same one
+const VALID_REQUEST_ID = /^[A-Za-z0-9._-]{8,64}$/;
+
+/**
+ * Give each request a correlation ID, return it in the X-Request-Id response header and
+ * write one log line when the response finishes. Everything logged while handling the
+ * request carries the same ID, so an ID quoted from an error message finds its log lines.
+ * Failed requests also log the response's error code, and errors passed to the global error
+ * handler are added to the same line (res.locals.error).
+ */
+export const requestLogger = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+
+  // Keep the { error, code } body's code for the log line
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && typeof body === 'object' && typeof body.code === 'string') {
+      res.locals.errorCode = body.code;
+    }
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    runWithRequestId(requestId, () => {
+      const { statusCode } = res;
+      const level = statusCode >= 500 ? 'error' : statusCode >= 400 ? 'warn' : 'info';
+
+      logger[level](`${req.method} ${req.originalUrl} ${statusCode}`, {
+        httpRequest: {
+          requestMethod: req.method,
+          requestUrl: req.originalUrl,
+          status: statusCode,
+          latency: `${(Number(process.hrtime.bigint() - startedAt) / 1e9).toFixed(3)}s`,
+          remoteIp: getClientIp(req),
+          userAgent: req.get('user-agent') || undefined
+        },
+        userId: req.user?.id,
+        code: statusCode >= 400 ? res.locals.errorCode : undefined,
+        error: res.locals.error
+      });
+    });
+  });
+
+  runWithRequestId(requestId, next);
+};
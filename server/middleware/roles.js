@@ -0,0 +1,9 @@
+// Mirrors the UserRole enum in src/types/firebase.ts.
+// Its own module so services used by the auth middleware can import it too
+export const ROLES = {
+  USER: 'user',
+  ADVISOR: 'advisor',
+  MODERATOR: 'moderator',
+  ADMIN: 'admin',
+  SUPER_ADMIN: 'super_admin'
+};
@@ -0,0 +1,55 @@
+import { z } from 'zod';
+
+// Operations without query parameters or a body accept none
+const noFields = z.object({}).strict();
+
+/**
+ * Validate a request against the schemas of its OpenAPI operation (server/schemas).
+ * The same zod schemas generate /api/openapi.json, so anything the spec does not
+ * document - including unknown fields - is rejected with a 400 before the route runs.
+ * Operations that declare no query or body schema accept no query parameters or body fields.
+ * On success req.params, req.query and req.body are replaced with the parsed values.
+ * @param operation Operation definition with optional request.params, request.query and request.body
+ */
+export const validateRequest = (operation) => (req, res, next) => {
+  const { params, query = noFields, body = noFields } = operation.request || {};
+  const details = [];
+
+  const check = (location, schema, value) => {
+    if (!schema) return value;
+
+    const result = schema.safeParse(value);
+    if (result.success) return result.data;
+
+    result.error.issues.forEach(issue => {
+      // Unknown keys are reported once per key so clients see exactly which field to remove
+      if (issue.code === 'unrecognized_keys') {
+        issue.keys.forEach(key => details.push({
+          path: [location, ...issue.path, key].join('.'),
+          message: 'Unknown field'
+        }));
+      } else {
+        details.push({ path: [location, ...issue.path].join('.'), message: issue.message });
+      }
+    });
+    return value;
+  };
+
+  const parsedParams = check('params', params, req.params);
+  const parsedQuery = check('query', query, req.query);
+  const parsedBody = check('body', body, req.body ?? {});
+
+  if (details.length > 0) {
+    return res.status(400).json({
+      error: 'The request does not match the API specification',
+      code: 'invalid_request',
+      details
+    });
+  }
+
+  req.params = parsedParams;
+  req.query = parsedQuery;
+  req.body = parsedBody;
+
+  next();
+};
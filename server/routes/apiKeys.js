@@ -0,0 +1,91 @@
+import express from 'express';
+import { ROLES } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validate.js';
+import * as operations from '../schemas/apiKeys.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import {
+  ApiKeyError,
+  createApiKey,
+  getApiKey,
+  listApiKeys,
+  revokeApiKey
+} from '../services/apiKeys.js';
+import { logger } from '../services/logger.js';
+const router = express.Router();
+
+const isManager = (user) => [ROLES.SUPER_ADMIN, ROLES.ADMIN].includes(user.role);
+
+// Current user's active API keys
+router.get('/', validateRequest(operations.listApiKeys), async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys(req.user.id);
+    res.status(200).json({ apiKeys });
+  } catch (error) {
+    logger.error('Error fetching API keys', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Issue a key for the current user. The plain key is in this response only.
+router.post('/', validateRequest(operations.createApiKey), async (req, res) => {
+  try {
+    const { apiKey, key } = await createApiKey(req.user, req.body.name);
+
+    await recordAuditEvent(req, {
+      action: 'user.api_key_create',
+      entityType: 'user',
+      entityId: req.user.id,
+      entityLabel: req.user.loginEmail || req.user.name,
+      after: { apiKeyId: apiKey.id, name: apiKey.name, hint: apiKey.hint }
+    });
+
+    res.status(201).json({ apiKey, key });
+  } catch (error) {
+    if (error instanceof ApiKeyError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    logger.error('Error creating API key', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke a key - the user's own, or anyone's for admins
+router.post('/:keyId/revoke', validateRequest(operations.revokeApiKey), async (req, res) => {
+  try {
+    const apiKey = await getApiKey(req.params.keyId);
+
+    if (apiKey.userId !== req.user.id && !isManager(req.user)) {
+      return res.status(403).json({
+        error: 'You do not have permission to perform this action.',
+        code: 'forbidden'
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(200).json({ message: 'API key already revoked' });
+    }
+
+    await revokeApiKey(apiKey.id, req.user.id);
+
+    await recordAuditEvent(req, {
+      action: 'user.api_key_revoke',
+      entityType: 'user',
+      entityId: apiKey.userId,
+      entityLabel: apiKey.userId === req.user.id ? req.user.loginEmail || req.user.name : null,
+      before: { apiKeyId: apiKey.id, name: apiKey.name, hint: apiKey.hint, lastUsedAt: apiKey.lastUsedAt }
+    });
+
+    res.status(200).json({ message: 'API key revoked' });
+  } catch (error) {
+    if (error instanceof ApiKeyError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    logger.error('Error revoking API key', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export as default in ES Modules
+export default router;
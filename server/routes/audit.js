@@ -0,0 +1,69 @@
+import express from 'express';
+import admin from '../firebase/admin.js';
+import { requireRole, ROLES } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validate.js';
+import * as operations from '../schemas/audit.js';
+import { AUDIT_COLLECTION } from '../services/auditLog.js';
+import { logger } from '../services/logger.js';
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 25;
+
+// List audit entries, newest first, filtered by actor, entity type and date range
+router.get('/', requireRole(ROLES.SUPER_ADMIN, ROLES.ADMIN), validateRequest(operations.listAuditEntries), async (req, res) => {
+  try {
+    const { actorId, entityType, from, to, cursor, limit: pageSize = DEFAULT_PAGE_SIZE } = req.query;
+
+    let auditQuery = admin.firestore().collection(AUDIT_COLLECTION);
+
+    // Combined filters need composite indexes on (field, timestamp desc)
+    if (actorId) {
+      auditQuery = auditQuery.where('actor.id', '==', actorId);
+    }
+
+    if (entityType) {
+      auditQuery = auditQuery.where('target.type', '==', entityType);
+    }
+
+    if (from) {
+      auditQuery = auditQuery.where('timestamp', '>=', new Date(from));
+    }
+
+    if (to) {
+      auditQuery = auditQuery.where('timestamp', '<=', new Date(to));
+    }
+
+    auditQuery = auditQuery.orderBy('timestamp', 'desc');
+
+    if (cursor) {
+      const cursorDoc = await admin.firestore().collection(AUDIT_COLLECTION).doc(cursor).get();
+      if (cursorDoc.exists) {
+        auditQuery = auditQuery.startAfter(cursorDoc);
+      }
+    }
+
+    const snapshot = await auditQuery.limit(pageSize).get();
+
+    const entries = snapshot.docs.map(doc => {
+      const data = doc.data();
+      return {
+        ...data,
+        id: doc.id,
+        timestamp: data.timestamp?.toDate().toISOString() || null
+      };
+    });
+
+    res.status(200).json({
+      entries,
+      nextCursor: snapshot.docs.length === pageSize
+        ? snapshot.docs[snapshot.docs.length - 1].id
+        : null
+    });
+  } catch (error) {
+    logger.error('Error fetching audit log', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export as default in ES Modules
+export default router;
@@ -1,36 +1,73 @@
 import express from 'express';
 import admin from '../firebase/admin.js'; // Note the .js extension
+import { requireRole, ROLES } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validate.js';
+import * as operations from '../schemas/auth.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import { createInvitation, revokeInvitations, sendInvitationEmail } from '../services/invitations.js';
+import { clearLoginAttempts, getLockedLogins, getLoginStatus } from '../services/loginAttempts.js';
+import { logger } from '../services/logger.js';
 const router = express.Router();
 
+// Only administrators may manage admin panel accounts
+const canManageUsers = requireRole(ROLES.SUPER_ADMIN, ROLES.ADMIN);
+
+/**
+ * Only super admins may reset the password of, or delete, another super admin.
+ * Sends 403 and returns false when the caller may not manage the account.
+ */
+const canManageTarget = async (req, res, uid) => {
+  const snapshot = await admin.firestore().collection('users').where('uid', '==', uid).limit(1).get();
+  const target = snapshot.empty ? null : snapshot.docs[0].data();
+
+  if (target?.role === ROLES.SUPER_ADMIN && req.user.role !== ROLES.SUPER_ADMIN) {
+    res.status(403).json({
+      error: 'You do not have permission to perform this action.',
+      code: 'forbidden'
+    });
+    return false;
+  }
+
+  return true;
+};
+
 // Create user with Firebase Auth
-router.post('/createUser', async (req, res) => {
+// The account has no password until the invitee sets one through the emailed link
+router.post('/createUser', canManageUsers, validateRequest(operations.createUser), async (req, res) => {
   try {
     const { name, email, role, loginEmail } = req.body;
     
-    if (!name || !email || !role || !loginEmail) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
-    
-    // Generate a memorable password
-    const generatedPassword = generateMemorablePassword();
-    
     // Create the user in Firebase Auth
     const userRecord = await admin.auth().createUser({
       email: loginEmail,
-      password: generatedPassword,
       displayName: name,
       emailVerified: true // Mark as verified since we're skipping verification
     });
     
-    console.log('User created successfully:', userRecord.uid);
+    logger.info('User created successfully', { uid: userRecord.uid });
+    
+    await recordAuditEvent(req, {
+      action: 'user.create',
+      entityType: 'user',
+      entityId: userRecord.uid,
+      entityLabel: loginEmail,
+      after: { name, email, role, loginEmail }
+    });
+    
+    // A failed email does not undo the account - the admin can resend the
+    // invitation or fall back to a temporary password from the credentials modal
+    const invitation = await inviteUser(req, { uid: userRecord.uid, loginEmail, email, name });
     
     res.status(200).json({ 
       uid: userRecord.uid, 
-      password: generatedPassword,
-      message: 'User created successfully'
+      invitationSent: invitation.sent,
+      invitationExpiresAt: invitation.expiresAt,
+      message: invitation.sent
+        ? 'User created and invitation sent'
+        : 'User created, but the invitation email could not be sent'
     });
   } catch (error) {
-    console.error('Error creating user:', error);
+    logger.error('Error creating user', error);
     
     // Better error responses
     if (error.code === 'auth/email-already-exists') {
@@ -49,32 +86,91 @@ router.post('/createUser', async (req, res) => {
   }
 });
 
-// Reset user password
-router.post('/resetPassword', async (req, res) => {
+// Send a fresh set-password link, replacing any earlier one
+router.post('/sendInvitation', canManageUsers, validateRequest(operations.sendInvitation), async (req, res) => {
   try {
     const { loginEmail } = req.body;
     
-    if (!loginEmail) {
-      return res.status(400).json({ error: 'Login email is required' });
+    const userRecord = await admin.auth().getUserByEmail(loginEmail);
+    
+    // The invitation goes to the contact email on the user's profile
+    const userSnapshot = await admin.firestore()
+      .collection('users')
+      .where('loginEmail', '==', loginEmail)
+      .limit(1)
+      .get();
+    
+    if (userSnapshot.empty || !userSnapshot.docs[0].data().email) {
+      return res.status(404).json({
+        error: 'No contact email found for this user',
+        code: 'user_not_found'
+      });
+    }
+    
+    const { email, name } = userSnapshot.docs[0].data();
+    const invitation = await inviteUser(req, {
+      uid: userRecord.uid,
+      loginEmail,
+      email,
+      name: name || userRecord.displayName || ''
+    });
+    
+    if (!invitation.sent) {
+      return res.status(502).json({
+        error: 'The invitation email could not be sent. Please try again later.',
+        code: 'mail_delivery_failed'
+      });
+    }
+    
+    res.status(200).json({
+      invitationExpiresAt: invitation.expiresAt,
+      message: `Invitation sent to ${email}`
+    });
+  } catch (error) {
+    logger.error('Error sending invitation', error);
+    
+    if (error.code === 'auth/user-not-found') {
+      return res.status(404).json({
+        error: 'No user found with this login email',
+        code: 'user_not_found'
+      });
     }
     
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reset user password to a generated temporary one
+// Fallback for users who cannot receive the invitation email
+router.post('/resetPassword', canManageUsers, validateRequest(operations.resetPassword), async (req, res) => {
+  try {
+    const { loginEmail } = req.body;
+    
     // Generate a memorable password
     const newPassword = generateMemorablePassword();
     
     // Update the user's password
-    await admin.auth().getUserByEmail(loginEmail)
-      .then(userRecord => {
-        return admin.auth().updateUser(userRecord.uid, {
-          password: newPassword
-        });
-      });
+    const userRecord = await admin.auth().getUserByEmail(loginEmail);
+    if (!await canManageTarget(req, res, userRecord.uid)) return;
+
+    await admin.auth().updateUser(userRecord.uid, {
+      password: newPassword
+    });
+    
+    // The password itself is never written to the audit log
+    await recordAuditEvent(req, {
+      action: 'user.password_reset',
+      entityType: 'user',
+      entityId: userRecord.uid,
+      entityLabel: loginEmail
+    });
     
     res.status(200).json({ 
       password: newPassword,
       message: 'Password reset successfully'
     });
   } catch (error) {
-    console.error('Error resetting password:', error);
+    logger.error('Error resetting password', error);
     
     // Better error responses
     if (error.code === 'auth/user-not-found') {
@@ -89,27 +185,76 @@ router.post('/resetPassword', async (req, res) => {
   }
 });
 
-// Add new endpoint: Delete user from Firebase Auth
-router.post('/deleteAuthUser', async (req, res) => {
+// List login emails currently locked out after repeated failed sign-ins
+router.get('/lockedLogins', canManageUsers, validateRequest(operations.lockedLogins), async (req, res) => {
+  try {
+    const lockedLogins = await getLockedLogins();
+    res.status(200).json({ lockedLogins });
+  } catch (error) {
+    logger.error('Error fetching locked logins', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Lift a sign-in lockout and reset the failed attempt count
+router.post('/unlockLogin', canManageUsers, validateRequest(operations.unlockLogin), async (req, res) => {
   try {
     const { loginEmail } = req.body;
     
-    if (!loginEmail) {
-      return res.status(400).json({ error: 'Login email is required' });
-    }
+    const status = await getLoginStatus(loginEmail);
+    await clearLoginAttempts(loginEmail);
+    
+    await recordAuditEvent(req, {
+      action: 'user.login_unlock',
+      entityType: 'user',
+      entityId: loginEmail,
+      entityLabel: loginEmail,
+      before: {
+        locked: status.locked,
+        lockedUntil: status.lockedUntil,
+        failedAttempts: status.failedAttempts
+      }
+    });
+    
+    res.status(200).json({ message: 'Login unlocked successfully' });
+  } catch (error) {
+    logger.error('Error unlocking login', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add new endpoint: Delete user from Firebase Auth
+router.post('/deleteAuthUser', canManageUsers, validateRequest(operations.deleteAuthUser), async (req, res) => {
+  try {
+    const { loginEmail } = req.body;
     
     // First get the user by email
     const userRecord = await admin.auth().getUserByEmail(loginEmail);
+    if (!await canManageTarget(req, res, userRecord.uid)) return;
     
-    // Then delete the user
+    // Then delete the user and any set-password links still pointing at it
     await admin.auth().deleteUser(userRecord.uid);
+    await revokeInvitations(userRecord.uid);
+    
+    await recordAuditEvent(req, {
+      action: 'user.auth_delete',
+      entityType: 'user',
+      entityId: userRecord.uid,
+      entityLabel: loginEmail,
+      before: {
+        loginEmail: userRecord.email,
+        displayName: userRecord.displayName,
+        disabled: userRecord.disabled,
+        lastSignInTime: userRecord.metadata?.lastSignInTime
+      }
+    });
     
     res.status(200).json({ 
       message: 'Auth user deleted successfully',
       uid: userRecord.uid
     });
   } catch (error) {
-    console.error('Error deleting auth user:', error);
+    logger.error('Error deleting auth user', error);
     
     // Better error responses 
     if (error.code === 'auth/user-not-found') {
@@ -126,18 +271,35 @@ router.post('/deleteAuthUser', async (req, res) => {
       });
     }
     
-    // Return successful even if user not found - idempotent deletion
-    if (error.code === 'auth/user-not-found') {
-      return res.status(200).json({ 
-        message: 'User already deleted or does not exist',
-        code: 'user_not_found'
-      });
-    }
-    
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * Create an invitation and email it, recording the event in the audit log
+ * @returns Whether the email was sent, and the link's expiry as an ISO string
+ */
+async function inviteUser(req, invitee) {
+  const { token, expiresAt } = await createInvitation(invitee, req.user?.id || null);
+  
+  try {
+    await sendInvitationEmail({ ...invitee, token, expiresAt });
+  } catch (error) {
+    logger.error(`Failed to send invitation email to ${invitee.email}`, error);
+    return { sent: false, expiresAt: expiresAt.toISOString() };
+  }
+  
+  await recordAuditEvent(req, {
+    action: 'user.invite_sent',
+    entityType: 'user',
+    entityId: invitee.uid,
+    entityLabel: invitee.loginEmail,
+    after: { email: invitee.email, expiresAt: expiresAt.toISOString() }
+  });
+  
+  return { sent: true, expiresAt: expiresAt.toISOString() };
+}
+
 // Generate memorable password (adjective + noun + number + special character)
 function generateMemorablePassword() {
   // Common adjectives that are easy to remember
@@ -0,0 +1,72 @@
+import express from 'express';
+import { requireRole, ROLES } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validate.js';
+import * as operations from '../schemas/commissions.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import {
+  CommissionError,
+  deleteCommissionStructure,
+  saveCommissionStructure
+} from '../services/commissions.js';
+import { logger } from '../services/logger.js';
+const router = express.Router();
+
+const canManageCommissions = requireRole(ROLES.SUPER_ADMIN, ROLES.ADMIN);
+
+const sendCommissionError = (res, error, context) => {
+  if (error instanceof CommissionError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+
+  logger.error(`Error ${context}`, error);
+  res.status(500).json({ error: error.message });
+};
+
+const toAuditSnapshot = (commission) => commission && ({
+  tier: commission.tier,
+  name: commission.name,
+  baseRate: commission.baseRate,
+  thresholds: commission.thresholds,
+  isActive: commission.isActive,
+  description: commission.description
+});
+
+router.put('/:tier', canManageCommissions, validateRequest(operations.saveCommissionStructure), async (req, res) => {
+  try {
+    const { before, after } = await saveCommissionStructure(req.params.tier, req.body);
+
+    await recordAuditEvent(req, {
+      action: before ? 'commission_structure.update' : 'commission_structure.create',
+      entityType: 'commission_structure',
+      entityId: after.id,
+      entityLabel: after.name || after.tier,
+      before: toAuditSnapshot(before),
+      after: toAuditSnapshot(after)
+    });
+
+    res.status(200).json({ commission: after });
+  } catch (error) {
+    sendCommissionError(res, error, 'saving commission structure');
+  }
+});
+
+router.delete('/:commissionId', canManageCommissions, validateRequest(operations.deleteCommissionStructure), async (req, res) => {
+  try {
+    const commission = await deleteCommissionStructure(req.params.commissionId);
+
+    await recordAuditEvent(req, {
+      action: 'commission_structure.delete',
+      entityType: 'commission_structure',
+      entityId: commission.id,
+      entityLabel: commission.name || commission.tier,
+      before: toAuditSnapshot(commission)
+    });
+
+    res.status(200).json({ message: 'Commission structure deleted' });
+  } catch (error) {
+    sendCommissionError(res, error, 'deleting commission structure');
+  }
+});
+
+// Export as default in ES Modules
+export default router;
@@ -0,0 +1,49 @@
+import express from 'express';
+import { getOpenApiDocument } from '../services/openapi.js';
+import { logger } from '../services/logger.js';
+const router = express.Router();
+
+const SWAGGER_UI_URL = 'https://unpkg.com/swagger-ui-dist@5.17.14';
+
+// Interactive docs are for local development; set API_DOCS_ENABLED=true to serve them elsewhere
+const docsEnabled = () => process.env.NODE_ENV !== 'production' || process.env.API_DOCS_ENABLED === 'true';
+
+const docsPage = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>Business Options API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI_URL}/swagger-ui.css" />
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI_URL}/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.onload = () => {
+      window.ui = SwaggerUIBundle({ url: 'openapi.json', dom_id: '#swagger-ui', persistAuthorization: true });
+    };
+  </script>
+</body>
+</html>`;
+
+// OpenAPI 3 document generated from the schemas the routes validate against
+router.get('/openapi.json', (req, res) => {
+  try {
+    res.status(200).json(getOpenApiDocument());
+  } catch (error) {
+    logger.error('Error building OpenAPI document', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Swagger UI for the document above
+router.get('/docs', (req, res) => {
+  if (!docsEnabled()) {
+    return res.status(404).json({ error: 'Not found', code: 'not_found' });
+  }
+
+  res.status(200).type('html').send(docsPage);
+});
+
+// Export as default in ES Modules
+export default router;
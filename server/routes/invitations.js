@@ -0,0 +1,78 @@
+import express from 'express';
+import { validateRequest } from '../middleware/validate.js';
+import * as operations from '../schemas/invitations.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import { acceptInvitation, getInvitation, InvitationError } from '../services/invitations.js';
+import { logger } from '../services/logger.js';
+const router = express.Router();
+
+// These routes are public - the invitation token is the credential.
+// Tokens travel in the request body rather than the URL so they stay out of access logs.
+
+const sendInvitationError = (res, error) => {
+  res.status(error.status).json({
+    error: error.message,
+    code: error.code,
+    ...(error.details ? { details: error.details } : {})
+  });
+};
+
+// Check a token before showing the set-password form
+router.post('/verify', validateRequest(operations.verifyInvitation), async (req, res) => {
+  try {
+    const invitation = await getInvitation(req.body.token);
+
+    res.status(200).json({
+      name: invitation.name,
+      loginEmail: invitation.loginEmail,
+      expiresAt: invitation.expiresAt.toDate().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof InvitationError) {
+      return sendInvitationError(res, error);
+    }
+
+    logger.error('Error verifying invitation', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Redeem a token by setting the account password
+router.post('/accept', validateRequest(operations.acceptInvitation), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const invitation = await acceptInvitation(token, password);
+
+    await recordAuditEvent(req, {
+      action: 'user.invite_accepted',
+      entityType: 'user',
+      entityId: invitation.uid,
+      entityLabel: invitation.loginEmail,
+      actor: { uid: invitation.uid, name: invitation.name }
+    });
+
+    res.status(200).json({
+      loginEmail: invitation.loginEmail,
+      message: 'Password set successfully'
+    });
+  } catch (error) {
+    if (error instanceof InvitationError) {
+      return sendInvitationError(res, error);
+    }
+
+    logger.error('Error accepting invitation', error);
+
+    if (error.code === 'auth/user-not-found') {
+      return res.status(404).json({
+        error: 'The account for this invitation no longer exists',
+        code: 'user_not_found'
+      });
+    }
+
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export as default in ES Modules
+export default router;
@@ -0,0 +1,38 @@
+import express from 'express';
+import { validateRequest } from '../middleware/validate.js';
+import * as operations from '../schemas/jobs.js';
+import { runListingScheduler } from '../services/listingScheduler.js';
+import { processDueDeliveries } from '../services/webhooks.js';
+import { logger } from '../services/logger.js';
+const router = express.Router();
+
+// Background jobs, run by Cloud Scheduler with the JOBS_SECRET header (middleware/auth.js).
+// A Cloud Run instance only has CPU while it handles a request, so timers in the process cannot run them there.
+
+router.post('/listing-scheduler', validateRequest(operations.runListingScheduler), async (req, res) => {
+  try {
+    const { processed, failed } = await runListingScheduler();
+
+    if (failed.length > 0) {
+      // Shown as a failed run in Cloud Scheduler; the jobs that did run are not undone
+      return res.status(500).json({ error: 'Some listing jobs failed', code: 'job_failed', processed, failed });
+    }
+
+    res.status(200).json({ processed, failed });
+  } catch (error) {
+    logger.error('Error running listing scheduler', error);
+    res.status(500).json({ error: 'Failed to run the listing scheduler' });
+  }
+});
+
+router.post('/webhook-deliveries', validateRequest(operations.runWebhookDeliveries), async (req, res) => {
+  try {
+    const attempted = await processDueDeliveries();
+    res.status(200).json({ attempted });
+  } catch (error) {
+    logger.error('Error processing webhook retries', error);
+    res.status(500).json({ error: 'Failed to process webhook retries' });
+  }
+});
+
+export default router;
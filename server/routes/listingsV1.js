@@ -0,0 +1,633 @@
+import express from 'express';
+import { validateRequest } from '../middleware/validate.js';
+import * as operations from '../schemas/listings.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import {
+  changeListingStatus,
+  createListing,
+  DEFAULT_PAGE_SIZE,
+  deleteListingPermanently,
+  findListings,
+  geocodeAllListings,
+  getListing,
+  getListingAuditSnapshot,
+  linkDuplicateListing,
+  ListingError,
+  listListingDuplicates,
+  listListingRevisions,
+  listListings,
+  mergeDuplicateListing,
+  rebuildListingSearchIndex,
+  recomputeListing,
+  renewListing,
+  restoreListingRevision,
+  updateListing
+} from '../services/listings.js';
+import { getImportColumns, importListings } from '../services/listingImport.js';
+import {
+  assignListingReview,
+  claimListingReview,
+  createRejectionTemplate,
+  decideListingReview,
+  deleteRejectionTemplate,
+  listModerationQueue,
+  listRejectionTemplates,
+  releaseListingReview,
+  updateRejectionTemplate,
+  updateReviewChecklist
+} from '../services/listingModeration.js';
+import {
+  getRatingSettings,
+  recalculateListingRatings,
+  updateRatingWeights
+} from '../services/listingRating.js';
+import {
+  getValuationSettings,
+  updateValuationBenchmarks
+} from '../services/listingValuation.js';
+import { getListingMatches, getMatchReport } from '../services/listingMatching.js';
+import { emitListingStatusEvent } from '../services/webhooks.js';
+import { logger } from '../services/logger.js';
+const router = express.Router();
+
+/**
+ * Turn the validated query (schemas/listings.js) into ListingFilters (src/types/listings.ts)
+ */
+const toDateRange = (from, to) => from || to
+  ? { from: from ? new Date(from) : undefined, to: to ? new Date(to) : undefined }
+  : undefined;
+
+const toFilters = (query) => ({
+  search: query.search || undefined,
+  type: query.type,
+  status: query.status,
+  plan: query.plan,
+  industry: query.industry || undefined,
+  category: query.category || undefined,
+  subCategories: query.subCategories,
+  industries: query.industries,
+  location: { country: query.country || undefined, state: query.state || undefined, city: query.city || undefined, radiusKm: query.radiusKm },
+  territory: query.territoryStatus || query.territoryCountry
+    ? {
+      status: query.territoryStatus,
+      country: query.territoryCountry || undefined,
+      state: query.territoryState || undefined,
+      city: query.territoryCity || undefined
+    }
+    : undefined,
+  isFeatured: query.isFeatured,
+  isVerified: query.isVerified,
+  ownerId: query.ownerId || undefined,
+  priceRange: query.minPrice !== undefined || query.maxPrice !== undefined
+    ? { min: query.minPrice, max: query.maxPrice }
+    : undefined,
+  dateRange: toDateRange(query.from, query.to),
+  publishAtRange: toDateRange(query.publishFrom, query.publishTo),
+  expiresAtRange: toDateRange(query.expiresFrom, query.expiresTo)
+});
+
+const sendError = (res, error, context) => {
+  if (error instanceof ListingError) {
+    return res.status(error.status).json({
+      error: error.message,
+      code: error.code,
+      ...(error.details ? { details: error.details } : {})
+    });
+  }
+
+  logger.error(`Error ${context}`, error);
+  res.status(500).json({ error: error.message });
+};
+
+// List listings, newest first. Pass nextCursor back as ?cursor= for the next page.
+router.get('/', validateRequest(operations.listListings), async (req, res) => {
+  try {
+    const { limit = DEFAULT_PAGE_SIZE, cursor = null } = req.query;
+
+    const { listings, nextCursor } = await listListings(toFilters(req.query), { limit, cursor }, req.user);
+    res.status(200).json({ data: listings, nextCursor });
+  } catch (error) {
+    sendError(res, error, 'listing listings');
+  }
+});
+
+// The best matches of a search query, for the admin panel's search box
+router.get('/search', validateRequest(operations.searchListings), async (req, res) => {
+  try {
+    const { q, type, status, limit } = req.query;
+    const matches = await findListings({ search: q, type, status }, limit, req.user);
+    res.status(200).json({ data: matches });
+  } catch (error) {
+    sendError(res, error, 'searching listings');
+  }
+});
+
+// Index every listing again
+router.post('/search/reindex', validateRequest(operations.rebuildListingSearchIndex), async (req, res) => {
+  try {
+    const result = await rebuildListingSearchIndex(req.user);
+
+    await recordAuditEvent(req, {
+      action: 'listing.search_reindex',
+      entityType: 'listing',
+      entityId: null,
+      entityLabel: 'Search index',
+      after: result
+    });
+
+    res.status(200).json({ data: result });
+  } catch (error) {
+    sendError(res, error, 'rebuilding the search index');
+  }
+});
+
+// Place every listing on the map from its city and state
+router.post('/geocode', validateRequest(operations.geocodeListings), async (req, res) => {
+  try {
+    const result = await geocodeAllListings(req.user);
+
+    await recordAuditEvent(req, {
+      action: 'listing.geocode',
+      entityType: 'listing',
+      entityId: null,
+      entityLabel: 'Listing locations',
+      after: result
+    });
+
+    res.status(200).json({ data: result });
+  } catch (error) {
+    sendError(res, error, 'geocoding listings');
+  }
+});
+
+// Pending listings awaiting review, most urgent first by default
+router.get('/moderation/queue', validateRequest(operations.listModerationQueue), async (req, res) => {
+  try {
+    res.status(200).json({ data: await listModerationQueue(req.query, req.user) });
+  } catch (error) {
+    sendError(res, error, 'moderation queue');
+  }
+});
+
+router.get('/moderation/templates', validateRequest(operations.listRejectionTemplates), async (req, res) => {
+  try {
+    res.status(200).json({ data: await listRejectionTemplates(req.query.type, req.user) });
+  } catch (error) {
+    sendError(res, error, 'rejection templates');
+  }
+});
+
+router.post('/moderation/templates', validateRequest(operations.createRejectionTemplate), async (req, res) => {
+  try {
+    const template = await createRejectionTemplate(req.body, req.user);
+
+    await recordAuditEvent(req, {
+      action: 'moderation_template.create',
+      entityType: 'moderation_template',
+      entityId: template.id,
+      entityLabel: template.title,
+      after: template
+    });
+
+    res.status(201).json({ data: template });
+  } catch (error) {
+    sendError(res, error, 'creating rejection template');
+  }
+});
+
+router.patch('/moderation/templates/:templateId', validateRequest(operations.updateRejectionTemplate), async (req, res) => {
+  try {
+    const { before, after } = await updateRejectionTemplate(req.params.templateId, req.body, req.user);
+
+    await recordAuditEvent(req, {
+      action: 'moderation_template.update',
+      entityType: 'moderation_template',
+      entityId: after.id,
+      entityLabel: after.title,
+      before,
+      after
+    });
+
+    res.status(200).json({ data: after });
+  } catch (error) {
+    sendError(res, error, 'updating rejection template');
+  }
+});
+
+router.delete('/moderation/templates/:templateId', validateRequest(operations.deleteRejectionTemplate), async (req, res) => {
+  try {
+    const template = await deleteRejectionTemplate(req.params.templateId, req.user);
+
+    await recordAuditEvent(req, {
+      action: 'moderation_template.delete',
+      entityType: 'moderation_template',
+      entityId: template.id,
+      entityLabel: template.title,
+      before: template
+    });
+
+    res.status(200).json({ message: 'Rejection template deleted' });
+  } catch (error) {
+    sendError(res, error, 'deleting rejection template');
+  }
+});
+
+router.post('/moderation/:slug/claim', validateRequest(operations.claimListingReview), async (req, res) => {
+  try {
+    res.status(200).json({ data: await claimListingReview(req.params.slug, req.user) });
+  } catch (error) {
+    sendError(res, error, 'claiming listing review');
+  }
+});
+
+router.post('/moderation/:slug/release', validateRequest(operations.releaseListingReview), async (req, res) => {
+  try {
+    res.status(200).json({ data: await releaseListingReview(req.params.slug, req.user) });
+  } catch (error) {
+    sendError(res, error, 'releasing listing review');
+  }
+});
+
+router.post('/moderation/:slug/assign', validateRequest(operations.assignListingReview), async (req, res) => {
+  try {
+    const { before, after, item } = await assignListingReview(req.params.slug, req.body.userId, req.user);
+
+    await recordAuditEvent(req, {
+      action: 'listing.review_assign',
+      entityType: 'listing',
+      entityId: item.listing.id,
+      entityLabel: item.listing.name,
+      before: { assignee: before },
+      after: { assignee: after }
+    });
+
+    res.status(200).json({ data: item });
+  } catch (error) {
+    sendError(res, error, 'assigning listing review');
+  }
+});
+
+router.patch('/moderation/:slug/checklist', validateRequest(operations.updateReviewChecklist), async (req, res) => {
+  try {
+    res.status(200).json({ data: await updateReviewChecklist(req.params.slug, req.body.checks, req.user) });
+  } catch (error) {
+    sendError(res, error, 'updating review checklist');
+  }
+});
+
+// Publish or reject a listing under review, as POST /:slug/status would
+router.post('/moderation/:slug/decision', validateRequest(operations.decideListingReview), async (req, res) => {
+  try {
+    const { before, after } = await decideListingReview(req.params.slug, req.body, req.user);
+
+    await recordAuditEvent(req, {
+      action: 'listing.status_change',
+      entityType: 'listing',
+      entityId: after.id,
+      entityLabel: after.name,
+      before: { status: before.status, statusReason: before.statusReason || null },
+      after: { status: after.status, statusReason: after.statusReason || null, templateId: req.body.templateId || null }
+    });
+
+    // The change is already saved, so a webhook failure does not fail the request
+    await emitListingStatusEvent(after).catch(error => {
+      logger.error('Error emitting listing webhook event', error);
+    });
+
+    res.status(200).json({ data: after });
+  } catch (error) {
+    sendError(res, error, 'deciding listing review');
+  }
+});
+
+// The weights of the system rating
+router.get('/rating/settings', validateRequest(operations.getRatingSettings), async (req, res) => {
+  try {
+    res.status(200).json({ data: await getRatingSettings(req.user) });
+  } catch (error) {
+    sendError(res, error, 'rating settings');
+  }
+});
+
+router.put('/rating/settings', validateRequest(operations.updateRatingWeights), async (req, res) => {
+  try {
+    const { before, after } = await updateRatingWeights(req.body.weights, req.user);
+
+    await recordAuditEvent(req, {
+      action: 'rating_policy.update',
+      entityType: 'rating_policy',
+      entityId: 'listingRating',
+      entityLabel: 'Listing rating weights',
+      before: { weights: before.weights },
+      after: { weights: after.weights }
+    });
+
+    res.status(200).json({ data: after });
+  } catch (error) {
+    sendError(res, error, 'updating rating weights');
+  }
+});
+
+// Rate every listing again, e.g. after changing the weights
+router.post('/rating/recalculate', validateRequest(operations.recalculateListingRatings), async (req, res) => {
+  try {
+    const result = await recalculateListingRatings(req.user);
+
+    await recordAuditEvent(req, {
+      action: 'listing.rating_recalculate',
+      entityType: 'listing',
+      entityId: null,
+      entityLabel: 'Listing ratings',
+      after: result
+    });
+
+    res.status(200).json({ data: result });
+  } catch (error) {
+    sendError(res, error, 'recalculating listing ratings');
+  }
+});
+
+// The benchmark multiples business listings are valued with
+router.get('/valuation/benchmarks', validateRequest(operations.getValuationSettings), async (req, res) => {
+  try {
+    res.status(200).json({ data: await getValuationSettings() });
+  } catch (error) {
+    sendError(res, error, 'valuation benchmarks');
+  }
+});
+
+router.put('/valuation/benchmarks', validateRequest(operations.updateValuationBenchmarks), async (req, res) => {
+  try {
+    const { before, after, revalued, updated } = await updateValuationBenchmarks(req.body.benchmarks, req.user);
+
+    await recordAuditEvent(req, {
+      action: 'valuation_policy.update',
+      entityType: 'valuation_policy',
+      entityId: 'valuationBenchmarks',
+      entityLabel: 'Valuation benchmarks',
+      before: { benchmarks: before.benchmarks },
+      after: { benchmarks: after.benchmarks, revalued, updated }
+    });
+
+    res.status(200).json({ data: { ...after, revalued, updated } });
+  } catch (error) {
+    sendError(res, error, 'updating valuation benchmarks');
+  }
+});
+
+// Top matches of every published investor, for staff, from the same cached listings as /:slug/matches
+router.get('/matching/report', validateRequest(operations.getMatchReport), async (req, res) => {
+  try {
+    res.status(200).json({ data: await getMatchReport(req.query, req.user) });
+  } catch (error) {
+    sendError(res, error, 'match report');
+  }
+});
+
+// Columns of the import template for a listing type
+router.get('/import/columns', validateRequest(operations.getListingImportColumns), async (req, res) => {
+  try {
+    res.status(200).json({ data: getImportColumns(req.query.type) });
+  } catch (error) {
+    sendError(res, error, 'listing import columns');
+  }
+});
+
+// Validate a batch of listings from a spreadsheet and, unless it is a dry run, create them
+router.post('/import', validateRequest(operations.importListings), async (req, res) => {
+  try {
+    const { listings, status, dryRun } = req.body;
+    const results = await importListings(listings, { status, dryRun }, req.user);
+
+    const listingIds = results.filter(result => result.listingId).map(result => result.listingId);
+    if (listingIds.length > 0) {
+      await recordAuditEvent(req, {
+        action: 'listing.import',
+        entityType: 'listing',
+        entityId: null,
+        entityLabel: `${listingIds.length} imported listings`,
+        after: { status, listingIds, failed: results.length - listingIds.length }
+      });
+    }
+
+    res.status(200).json({ data: results });
+  } catch (error) {
+    sendError(res, error, 'importing listings');
+  }
+});
+
+// A single listing by slug or ID
+router.get('/:slug', validateRequest(operations.getListing), async (req, res) => {
+  try {
+    const listing = await getListing(req.params.slug, req.user);
+    res.status(200).json({ data: listing });
+  } catch (error) {
+    sendError(res, error, 'fetching listing');
+  }
+});
+
+// Create a draft listing owned by the caller
+router.post('/', validateRequest(operations.createListing), async (req, res) => {
+  try {
+    const listing = await createListing(req.body, req.user);
+
+    await recordAuditEvent(req, {
+      action: 'listing.create',
+      entityType: 'listing',
+      entityId: listing.id,
+      entityLabel: listing.name,
+      after: getListingAuditSnapshot(listing)
+    });
+
+    res.status(201).location(`${req.baseUrl}/${listing.slug}`).json({ data: listing });
+  } catch (error) {
+    sendError(res, error, 'creating listing');
+  }
+});
+
+// Change some fields of a listing
+router.patch('/:slug', validateRequest(operations.updateListing), async (req, res) => {
+  try {
+    const { before, after } = await updateListing(req.params.slug, req.body, req.user);
+
+    await recordAuditEvent(req, {
+      action: 'listing.update',
+      entityType: 'listing',
+      entityId: after.id,
+      entityLabel: after.name,
+      before: getListingAuditSnapshot(before),
+      after: { ...getListingAuditSnapshot(after), changedFields: Object.keys(req.body) }
+    });
+
+    res.status(200).json({ data: after });
+  } catch (error) {
+    sendError(res, error, 'updating listing');
+  }
+});
+
+// Keep a published listing live for another plan period
+router.post('/:slug/renew', validateRequest(operations.renewListing), async (req, res) => {
+  try {
+    const { before, after } = await renewListing(req.params.slug, req.user);
+
+    await recordAuditEvent(req, {
+      action: 'listing.renew',
+      entityType: 'listing',
+      entityId: after.id,
+      entityLabel: after.name,
+      before: { expiresAt: before.expiresAt || null },
+      after: { expiresAt: after.expiresAt }
+    });
+
+    res.status(200).json({ data: after });
+  } catch (error) {
+    sendError(res, error, 'renewing listing');
+  }
+});
+
+// Delete a listing for good. Admins only.
+router.delete('/:slug', validateRequest(operations.deleteListing), async (req, res) => {
+  try {
+    const listing = await deleteListingPermanently(req.params.slug, req.user);
+
+    await recordAuditEvent(req, {
+      action: 'listing.hard_delete',
+      entityType: 'listing',
+      entityId: listing.id,
+      entityLabel: listing.name,
+      before: getListingAuditSnapshot(listing)
+    });
+
+    res.status(200).json({ message: 'Listing deleted' });
+  } catch (error) {
+    sendError(res, error, 'deleting listing');
+  }
+});
+
+// Revisions of the listing's content, newest first
+router.get('/:slug/revisions', validateRequest(operations.listListingRevisions), async (req, res) => {
+  try {
+    const revisions = await listListingRevisions(req.params.slug, req.user);
+    res.status(200).json({ data: revisions });
+  } catch (error) {
+    sendError(res, error, 'listing revisions');
+  }
+});
+
+// Put the listing's content back to an earlier revision, validated like any other update
+router.post('/:slug/revisions/:revisionId/restore', validateRequest(operations.restoreListingRevision), async (req, res) => {
+  try {
+    const { before, after, revisionId } = await restoreListingRevision(req.params.slug, req.params.revisionId, req.user);
+
+    await recordAuditEvent(req, {
+      action: 'listing.revision_restore',
+      entityType: 'listing',
+      entityId: after.id,
+      entityLabel: after.name,
+      before: getListingAuditSnapshot(before),
+      after: { ...getListingAuditSnapshot(after), restoredFrom: req.params.revisionId, revisionId }
+    });
+
+    res.status(200).json({ data: after, revisionId });
+  } catch (error) {
+    sendError(res, error, 'restoring listing revision');
+  }
+});
+
+// Work out the listing's derived fields, rating, valuation, funding round, unit economics,
+// duplicate check and search entry again, after the admin panel saved, verified or deleted it
+router.post('/:id/recompute', validateRequest(operations.recomputeListing), async (req, res) => {
+  try {
+    res.status(200).json({ data: await recomputeListing(req.params.id, req.user) });
+  } catch (error) {
+    sendError(res, error, 'recomputing listing');
+  }
+});
+
+// Suggested investors for a startup or business, or startups and businesses for an investor.
+// Scored against published listings cached for five minutes, so edits can take that long to show.
+router.get('/:slug/matches', validateRequest(operations.listListingMatches), async (req, res) => {
+  try {
+    res.status(200).json({ data: await getListingMatches(req.params.slug, req.query, req.user) });
+  } catch (error) {
+    sendError(res, error, 'listing matches');
+  }
+});
+
+// Likely duplicates of the listing, for moderators
+router.get('/:slug/duplicates', validateRequest(operations.listListingDuplicates), async (req, res) => {
+  try {
+    const duplicates = await listListingDuplicates(req.params.slug, req.user);
+    res.status(200).json({ data: duplicates });
+  } catch (error) {
+    sendError(res, error, 'listing duplicates');
+  }
+});
+
+// Keep both listings and stop reporting them as duplicates of each other
+router.post('/:slug/duplicates/:duplicateId/link', validateRequest(operations.linkDuplicateListing), async (req, res) => {
+  try {
+    const { listing, other } = await linkDuplicateListing(req.params.slug, req.params.duplicateId, req.user);
+
+    await recordAuditEvent(req, {
+      action: 'listing.duplicate_link',
+      entityType: 'listing',
+      entityId: listing.id,
+      entityLabel: listing.name,
+      after: { linkedListingId: other.id, linkedListingName: other.name }
+    });
+
+    res.status(200).json({ data: listing });
+  } catch (error) {
+    sendError(res, error, 'linking duplicate listing');
+  }
+});
+
+// Fill the listing's empty fields from a duplicate and archive the duplicate
+router.post('/:slug/duplicates/:duplicateId/merge', validateRequest(operations.mergeDuplicateListing), async (req, res) => {
+  try {
+    const { listing, revisionId, duplicate } = await mergeDuplicateListing(req.params.slug, req.params.duplicateId, req.user);
+
+    await recordAuditEvent(req, {
+      action: 'listing.merge',
+      entityType: 'listing',
+      entityId: listing.id,
+      entityLabel: listing.name,
+      before: { duplicateId: duplicate.before.id, duplicateStatus: duplicate.before.status },
+      after: { duplicateId: duplicate.after.id, duplicateStatus: duplicate.after.status, mergedInto: listing.id, revisionId }
+    });
+
+    res.status(200).json({ data: listing, revisionId });
+  } catch (error) {
+    sendError(res, error, 'merging duplicate listing');
+  }
+});
+
+// Move a listing through its lifecycle, e.g. submit for review, publish, reject or archive
+router.post('/:slug/status', validateRequest(operations.changeListingStatus), async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    const { before, after } = await changeListingStatus(req.params.slug, { status, reason: reason ?? null }, req.user);
+
+    await recordAuditEvent(req, {
+      action: 'listing.status_change',
+      entityType: 'listing',
+      entityId: after.id,
+      entityLabel: after.name,
+      before: { status: before.status, statusReason: before.statusReason || null },
+      after: { status: after.status, statusReason: after.statusReason || null }
+    });
+
+    // The change is already saved, so a webhook failure does not fail the request
+    await emitListingStatusEvent(after).catch(error => {
+      logger.error('Error emitting listing webhook event', error);
+    });
+
+    res.status(200).json({ data: after });
+  } catch (error) {
+    sendError(res, error, 'changing listing status');
+  }
+});
+
+// Export as default in ES Modules
+export default router;
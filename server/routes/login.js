@@ -0,0 +1,253 @@
+import express from 'express';
+import admin from '../firebase/admin.js';
+import { validateRequest } from '../middleware/validate.js';
+import * as operations from '../schemas/login.js';
+import { getClientIp } from '../services/auditLog.js';
+import { clearLoginAttempts, getLoginStatus, recordFailedLogin } from '../services/loginAttempts.js';
+import {
+  confirmEnrollment,
+  createLoginChallenge,
+  deleteLoginChallenge,
+  getLoginChallenge,
+  getMfaPolicy,
+  getMfaStatus,
+  isMfaRequired,
+  MfaError,
+  recordChallengeFailure,
+  startEnrollment,
+  verifySecondFactor
+} from '../services/mfa.js';
+import { issueSessionToken } from '../services/sessions.js';
+import { logger } from '../services/logger.js';
+const router = express.Router();
+
+const IDENTITY_TOOLKIT_URL = 'https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword';
+
+// Identity Toolkit errors that mean the email/password pair was wrong
+const INVALID_CREDENTIAL_ERRORS = ['INVALID_PASSWORD', 'EMAIL_NOT_FOUND', 'INVALID_LOGIN_CREDENTIALS', 'INVALID_EMAIL'];
+
+/**
+ * Check an email/password pair against Firebase Auth without creating a client session
+ * @returns The account's UID, or null if the credentials are wrong
+ * @throws Error with a `code` for disabled accounts and upstream throttling
+ */
+const verifyPassword = async (email, password) => {
+  const apiKey = process.env.FIREBASE_API_KEY || process.env.VITE_FIREBASE_API_KEY;
+  if (!apiKey) {
+    throw new Error('FIREBASE_API_KEY is not configured');
+  }
+
+  const response = await fetch(`${IDENTITY_TOOLKIT_URL}?key=${apiKey}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password, returnSecureToken: false })
+  });
+  const data = await response.json();
+
+  if (response.ok) {
+    return data.localId;
+  }
+
+  // Messages look like "INVALID_PASSWORD" or "TOO_MANY_ATTEMPTS_TRY_LATER : ..."
+  const reason = String(data.error?.message || '').split(' ')[0];
+
+  if (INVALID_CREDENTIAL_ERRORS.includes(reason)) {
+    return null;
+  }
+
+  const error = new Error(`Password verification failed: ${reason || response.statusText}`);
+  error.code = reason;
+  throw error;
+};
+
+// Whether the account must pass a second factor, or enrol in one, before getting a session
+const getSecondFactorRequirement = async (uid) => {
+  const userSnapshot = await admin.firestore()
+    .collection('users')
+    .where('uid', '==', uid)
+    .limit(1)
+    .get();
+  const role = userSnapshot.empty ? null : userSnapshot.docs[0].data().role;
+
+  const [status, policy] = await Promise.all([getMfaStatus(uid), getMfaPolicy()]);
+
+  return {
+    enabled: status.enabled,
+    enrollmentRequired: !status.enabled && isMfaRequired(role, policy)
+  };
+};
+
+const lockedResponse = (res, lockedUntil) => res.status(423).json({
+  error: 'This account is temporarily locked after too many failed sign-in attempts.',
+  code: 'account_locked',
+  lockedUntil: lockedUntil.toISOString()
+});
+
+// Sign in with email and password.
+// The password is checked here so failures can be counted per login email;
+// on success the client exchanges the returned custom token for a Firebase session,
+// which is recorded so it can be listed and revoked later.
+router.post('/', validateRequest(operations.signIn), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const status = await getLoginStatus(email);
+    if (status.locked) {
+      return lockedResponse(res, status.lockedUntil);
+    }
+
+    const uid = await verifyPassword(email, password);
+
+    if (!uid) {
+      const failure = await recordFailedLogin(email, getClientIp(req));
+
+      if (failure.locked) {
+        return lockedResponse(res, failure.lockedUntil);
+      }
+
+      return res.status(401).json({
+        error: 'Invalid login credentials. Please check your email and password.',
+        code: 'invalid_credentials',
+        remainingAttempts: failure.remainingAttempts
+      });
+    }
+
+    const secondFactor = await getSecondFactorRequirement(uid);
+
+    // Failed attempts are only cleared once the whole sign-in succeeds,
+    // so a known password cannot be used to reset the count while guessing codes
+    if (secondFactor.enabled || secondFactor.enrollmentRequired) {
+      const mfaToken = await createLoginChallenge(uid, email);
+
+      return res.status(200).json({
+        mfaRequired: true,
+        mfaEnrollmentRequired: secondFactor.enrollmentRequired,
+        mfaToken
+      });
+    }
+
+    if (status.failedAttempts > 0) {
+      await clearLoginAttempts(email);
+    }
+
+    const customToken = await issueSessionToken(req, { uid, loginEmail: email });
+
+    res.status(200).json({ customToken });
+  } catch (error) {
+    logger.error('Error signing in', error);
+
+    if (error.code === 'USER_DISABLED') {
+      return res.status(403).json({
+        error: 'This account has been disabled. Please contact an administrator.',
+        code: 'account_disabled'
+      });
+    }
+
+    if (error.code === 'TOO_MANY_ATTEMPTS_TRY_LATER') {
+      return res.status(429).json({
+        error: 'Too many login attempts. Please try again later.',
+        code: 'rate_limited'
+      });
+    }
+
+    res.status(500).json({ error: 'Sign in failed. Please try again later.' });
+  }
+});
+
+const sendMfaError = (res, error) => {
+  res.status(error.status).json({ error: error.message, code: error.code });
+};
+
+// Start mandatory enrolment during sign-in, for accounts whose role requires two-factor
+// authentication but which have not set it up yet
+router.post('/mfa/enroll', validateRequest(operations.startLoginMfaEnrollment), async (req, res) => {
+  try {
+    const challenge = await getLoginChallenge(req.body.mfaToken);
+
+    const enrollment = await startEnrollment(challenge.uid, challenge.loginEmail);
+
+    res.status(200).json(enrollment);
+  } catch (error) {
+    if (error instanceof MfaError) {
+      return sendMfaError(res, error);
+    }
+
+    logger.error('Error starting sign-in enrolment', error);
+    res.status(500).json({ error: 'Could not start two-factor setup. Please try again later.' });
+  }
+});
+
+// Second sign-in step: check a TOTP or recovery code (or confirm a mandatory enrolment)
+// and return a custom token carrying the `mfa` claim the API requires for enrolled accounts
+router.post('/mfa', validateRequest(operations.verifyLoginMfa), async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ error: 'A verification code is required', code: 'code_required' });
+    }
+
+    const challenge = await getLoginChallenge(mfaToken);
+
+    const status = await getLoginStatus(challenge.loginEmail);
+    if (status.locked) {
+      await deleteLoginChallenge(challenge);
+      return lockedResponse(res, status.lockedUntil);
+    }
+
+    const mfaStatus = await getMfaStatus(challenge.uid);
+    let recoveryCodes = null;
+    let method = null;
+
+    if (mfaStatus.enabled) {
+      method = await verifySecondFactor(challenge.uid, { code, recoveryCode });
+    } else {
+      try {
+        recoveryCodes = await confirmEnrollment(challenge.uid, code);
+        method = 'enrollment';
+      } catch (error) {
+        if (!(error instanceof MfaError) || error.code !== 'invalid_mfa_code') throw error;
+      }
+    }
+
+    if (!method) {
+      const failure = await recordFailedLogin(challenge.loginEmail, getClientIp(req));
+      const challengeAttempts = await recordChallengeFailure(challenge);
+
+      if (failure.locked) {
+        return lockedResponse(res, failure.lockedUntil);
+      }
+
+      return res.status(401).json({
+        error: 'The verification code is incorrect.',
+        code: 'invalid_mfa_code',
+        remainingAttempts: Math.min(failure.remainingAttempts, challengeAttempts)
+      });
+    }
+
+    await deleteLoginChallenge(challenge);
+    await clearLoginAttempts(challenge.loginEmail);
+
+    const customToken = await issueSessionToken(req, {
+      uid: challenge.uid,
+      loginEmail: challenge.loginEmail,
+      mfa: true
+    });
+
+    res.status(200).json({
+      customToken,
+      ...(recoveryCodes ? { recoveryCodes } : {}),
+      ...(method === 'recovery_code' ? { recoveryCodeUsed: true } : {})
+    });
+  } catch (error) {
+    if (error instanceof MfaError) {
+      return sendMfaError(res, error);
+    }
+
+    logger.error('Error verifying second factor', error);
+    res.status(500).json({ error: 'Sign in failed. Please try again later.' });
+  }
+});
+
+// Export as default in ES Modules
+export default router;
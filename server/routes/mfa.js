@@ -0,0 +1,231 @@
+import express from 'express';
+import admin from '../firebase/admin.js';
+import { requireRole, ROLES } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validate.js';
+import * as operations from '../schemas/mfa.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import {
+  confirmEnrollment,
+  getMfaPolicy,
+  getMfaStatus,
+  isMfaRequired,
+  MFA_ELIGIBLE_ROLES,
+  MfaError,
+  regenerateRecoveryCodes,
+  removeMfa,
+  startEnrollment,
+  updateMfaPolicy,
+  verifySecondFactor
+} from '../services/mfa.js';
+import { endSession, issueSessionToken, SESSION_STATUS } from '../services/sessions.js';
+import { logger } from '../services/logger.js';
+const router = express.Router();
+
+const canUseMfa = requireRole(...MFA_ELIGIBLE_ROLES);
+
+const sendMfaError = (res, error) => {
+  res.status(error.status).json({ error: error.message, code: error.code });
+};
+
+// Current user's two-factor status, and whether their role makes it mandatory
+router.get('/status', validateRequest(operations.getMfaStatus), async (req, res) => {
+  try {
+    const [status, policy] = await Promise.all([getMfaStatus(req.user.uid), getMfaPolicy()]);
+
+    res.status(200).json({
+      ...status,
+      eligible: MFA_ELIGIBLE_ROLES.includes(req.user.role),
+      required: isMfaRequired(req.user.role, policy)
+    });
+  } catch (error) {
+    logger.error('Error fetching two-factor status', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start enrolment - returns the QR code to scan with an authenticator app
+router.post('/enroll', canUseMfa, validateRequest(operations.startMfaEnrollment), async (req, res) => {
+  try {
+    const enrollment = await startEnrollment(req.user.uid, req.user.loginEmail || req.auth.email);
+    res.status(200).json(enrollment);
+  } catch (error) {
+    if (error instanceof MfaError) {
+      return sendMfaError(res, error);
+    }
+
+    logger.error('Error starting two-factor enrolment', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Confirm enrolment with a first code.
+// The current session has no `mfa` claim, so it is replaced by a new one
+// whose custom token is returned for the client to sign in with.
+router.post('/enroll/verify', canUseMfa, validateRequest(operations.confirmMfaEnrollment), async (req, res) => {
+  try {
+    const recoveryCodes = await confirmEnrollment(req.user.uid, req.body.code);
+    const customToken = await issueSessionToken(req, {
+      uid: req.user.uid,
+      loginEmail: req.user.loginEmail || req.auth.email,
+      mfa: true
+    });
+
+    if (req.auth.sessionId) {
+      await endSession(req.auth.sessionId, SESSION_STATUS.REPLACED, req.user.id);
+    }
+
+    await recordAuditEvent(req, {
+      action: 'user.mfa_enable',
+      entityType: 'user',
+      entityId: req.user.id,
+      entityLabel: req.user.loginEmail || req.user.name
+    });
+
+    res.status(200).json({ recoveryCodes, customToken });
+  } catch (error) {
+    if (error instanceof MfaError) {
+      return sendMfaError(res, error);
+    }
+
+    logger.error('Error confirming two-factor enrolment', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace recovery codes, after checking a current code
+router.post('/recovery-codes', canUseMfa, validateRequest(operations.regenerateRecoveryCodes), async (req, res) => {
+  try {
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.uid, req.body.code);
+
+    await recordAuditEvent(req, {
+      action: 'user.mfa_recovery_codes_regenerate',
+      entityType: 'user',
+      entityId: req.user.id,
+      entityLabel: req.user.loginEmail || req.user.name
+    });
+
+    res.status(200).json({ recoveryCodes });
+  } catch (error) {
+    if (error instanceof MfaError) {
+      return sendMfaError(res, error);
+    }
+
+    logger.error('Error regenerating recovery codes', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Turn off two-factor authentication for the current user, unless their role requires it
+router.post('/disable', validateRequest(operations.disableMfa), async (req, res) => {
+  try {
+    const policy = await getMfaPolicy();
+    if (isMfaRequired(req.user.role, policy)) {
+      return res.status(403).json({
+        error: 'Two-factor authentication is mandatory for your role.',
+        code: 'mfa_required_by_policy'
+      });
+    }
+
+    const { code, recoveryCode } = req.body;
+    const method = await verifySecondFactor(req.user.uid, { code, recoveryCode });
+    if (method === null) {
+      return res.status(400).json({ error: 'The verification code is incorrect', code: 'invalid_mfa_code' });
+    }
+
+    await removeMfa(req.user.uid);
+
+    await recordAuditEvent(req, {
+      action: 'user.mfa_disable',
+      entityType: 'user',
+      entityId: req.user.id,
+      entityLabel: req.user.loginEmail || req.user.name
+    });
+
+    res.status(200).json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    if (error instanceof MfaError) {
+      return sendMfaError(res, error);
+    }
+
+    logger.error('Error disabling two-factor authentication', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove another user's second factor, e.g. after a lost phone.
+// They will be asked to enrol again at next sign-in if their role requires it.
+router.post('/reset', requireRole(ROLES.SUPER_ADMIN, ROLES.ADMIN), validateRequest(operations.resetMfa), async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    const userDoc = await admin.firestore().collection('users').doc(userId).get();
+    if (!userDoc.exists || !userDoc.data().uid) {
+      return res.status(404).json({ error: 'User not found', code: 'user_not_found' });
+    }
+
+    const target = userDoc.data();
+
+    // Only super admins may reset the second factor of another super admin
+    if (target.role === ROLES.SUPER_ADMIN && req.user.role !== ROLES.SUPER_ADMIN) {
+      return res.status(403).json({
+        error: 'You do not have permission to perform this action.',
+        code: 'forbidden'
+      });
+    }
+
+    await removeMfa(target.uid);
+
+    await recordAuditEvent(req, {
+      action: 'user.mfa_reset',
+      entityType: 'user',
+      entityId: userId,
+      entityLabel: target.loginEmail || target.name
+    });
+
+    res.status(200).json({ message: 'Two-factor authentication reset' });
+  } catch (error) {
+    logger.error('Error resetting two-factor authentication', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Roles for which two-factor authentication is mandatory
+router.get('/policy', requireRole(ROLES.SUPER_ADMIN, ROLES.ADMIN), validateRequest(operations.getMfaPolicy), async (req, res) => {
+  try {
+    const policy = await getMfaPolicy();
+    res.status(200).json({ ...policy, eligibleRoles: MFA_ELIGIBLE_ROLES });
+  } catch (error) {
+    logger.error('Error fetching two-factor policy', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.put('/policy', requireRole(ROLES.SUPER_ADMIN), validateRequest(operations.updateMfaPolicy), async (req, res) => {
+  try {
+    const { requiredRoles } = req.body;
+
+    const before = await getMfaPolicy();
+    const policy = await updateMfaPolicy(requiredRoles, req.user.id);
+
+    await recordAuditEvent(req, {
+      action: 'security_policy.update',
+      entityType: 'security_policy',
+      entityId: 'mfa',
+      entityLabel: 'Two-factor authentication',
+      before,
+      after: policy
+    });
+
+    res.status(200).json(policy);
+  } catch (error) {
+    if (error instanceof MfaError) {
+      return sendMfaError(res, error);
+    }
+
+    logger.error('Error updating two-factor policy', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export as default in ES Modules
+export default router;
@@ -0,0 +1,193 @@
+import express from 'express';
+import admin from '../firebase/admin.js';
+import { requireRole, ROLES } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validate.js';
+import * as operations from '../schemas/sessions.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import {
+  endAllSessions,
+  endSession,
+  getSession,
+  listActiveSessions,
+  SESSION_STATUS,
+  SessionError
+} from '../services/sessions.js';
+import { logger } from '../services/logger.js';
+const router = express.Router();
+
+const canManageUsers = requireRole(ROLES.SUPER_ADMIN, ROLES.ADMIN);
+
+const isManager = (user) => [ROLES.SUPER_ADMIN, ROLES.ADMIN].includes(user.role);
+
+/**
+ * Load the users document an admin is acting on
+ * @returns The user, or null after sending a 404/403 response
+ */
+const loadTargetUser = async (req, res, userId) => {
+  const userDoc = await admin.firestore().collection('users').doc(userId).get();
+
+  if (!userDoc.exists || !userDoc.data().uid) {
+    res.status(404).json({ error: 'User not found', code: 'user_not_found' });
+    return null;
+  }
+
+  const target = { ...userDoc.data(), id: userDoc.id };
+
+  // Only super admins may end the sessions of another super admin
+  if (target.role === ROLES.SUPER_ADMIN && req.user.role !== ROLES.SUPER_ADMIN && target.uid !== req.user.uid) {
+    res.status(403).json({
+      error: 'You do not have permission to perform this action.',
+      code: 'forbidden'
+    });
+    return null;
+  }
+
+  return target;
+};
+
+// Current user's active sessions, with the calling one marked as current
+router.get('/', validateRequest(operations.listMySessions), async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.uid, req.auth.sessionId);
+    res.status(200).json({ sessions });
+  } catch (error) {
+    logger.error('Error fetching sessions', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Periodic check from the client. authenticate has already rejected revoked sessions
+// and updated last-seen, so reaching here means the session is still good.
+router.post('/heartbeat', validateRequest(operations.sessionHeartbeat), (req, res) => {
+  res.status(200).json({ sessionId: req.auth.sessionId || null, status: SESSION_STATUS.ACTIVE });
+});
+
+// Mark the current session as signed out
+router.post('/signout', validateRequest(operations.signOutSession), async (req, res) => {
+  try {
+    if (req.auth.sessionId) {
+      await endSession(req.auth.sessionId, SESSION_STATUS.SIGNED_OUT, req.user.id);
+    }
+    res.status(200).json({ message: 'Signed out' });
+  } catch (error) {
+    logger.error('Error ending session', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sign out every other device, keeping the current session
+router.post('/revoke-others', validateRequest(operations.revokeOtherSessions), async (req, res) => {
+  try {
+    const count = await endAllSessions(req.user.uid, {
+      exceptSessionId: req.auth.sessionId || null,
+      endedBy: req.user.id
+    });
+
+    await recordAuditEvent(req, {
+      action: 'user.sessions_revoke_all',
+      entityType: 'user',
+      entityId: req.user.id,
+      entityLabel: req.user.loginEmail || req.user.name,
+      after: { sessionsEnded: count, keptCurrent: true }
+    });
+
+    res.status(200).json({ revoked: count });
+  } catch (error) {
+    logger.error('Error revoking other sessions', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Another user's active sessions
+router.get('/user/:userId', canManageUsers, validateRequest(operations.listUserSessions), async (req, res) => {
+  try {
+    const target = await loadTargetUser(req, res, req.params.userId);
+    if (!target) return;
+
+    const sessions = await listActiveSessions(target.uid, req.auth.sessionId);
+    res.status(200).json({ sessions });
+  } catch (error) {
+    logger.error('Error fetching user sessions', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// End all of a user's sessions and revoke their refresh tokens, e.g. when they leave.
+// Sessions from before session tracking are forced out when their ID token next refreshes.
+router.post('/user/:userId/revoke-all', canManageUsers, validateRequest(operations.revokeAllUserSessions), async (req, res) => {
+  try {
+    const target = await loadTargetUser(req, res, req.params.userId);
+    if (!target) return;
+
+    const count = await endAllSessions(target.uid, { revokeTokens: true, endedBy: req.user.id });
+
+    await recordAuditEvent(req, {
+      action: 'user.sessions_revoke_all',
+      entityType: 'user',
+      entityId: target.id,
+      entityLabel: target.loginEmail || target.name,
+      after: { sessionsEnded: count, refreshTokensRevoked: true }
+    });
+
+    res.status(200).json({ revoked: count });
+  } catch (error) {
+    logger.error('Error revoking user sessions', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// End a single session - the user's own, or anyone's for admins
+router.post('/:sessionId/revoke', validateRequest(operations.revokeSession), async (req, res) => {
+  try {
+    const session = await getSession(req.params.sessionId);
+    const isOwn = session.uid === req.user.uid;
+
+    if (!isOwn && !isManager(req.user)) {
+      return res.status(403).json({
+        error: 'You do not have permission to perform this action.',
+        code: 'forbidden'
+      });
+    }
+
+    let target = { id: req.user.id, loginEmail: req.user.loginEmail, name: req.user.name };
+    if (!isOwn) {
+      const userSnapshot = await admin.firestore()
+        .collection('users')
+        .where('uid', '==', session.uid)
+        .limit(1)
+        .get();
+
+      if (!userSnapshot.empty) {
+        const userDoc = userSnapshot.docs[0];
+        target = await loadTargetUser(req, res, userDoc.id);
+        if (!target) return;
+      }
+    }
+
+    if (session.status !== SESSION_STATUS.ACTIVE) {
+      return res.status(200).json({ message: 'Session already ended' });
+    }
+
+    await endSession(session.id, SESSION_STATUS.REVOKED, req.user.id);
+
+    await recordAuditEvent(req, {
+      action: 'user.session_revoke',
+      entityType: 'user',
+      entityId: target.id,
+      entityLabel: target.loginEmail || target.name,
+      before: { sessionId: session.id, device: session.device, ip: session.lastSeenIp, lastSeenAt: session.lastSeenAt }
+    });
+
+    res.status(200).json({ message: 'Session revoked' });
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    logger.error('Error revoking session', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export as default in ES Modules
+export default router;
@@ -0,0 +1,166 @@
+import express from 'express';
+import { requireRole, ROLES } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validate.js';
+import * as operations from '../schemas/webhooks.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import {
+  createSubscription,
+  deleteSubscription,
+  emitWebhookEvent,
+  listDeliveries,
+  listSubscriptions,
+  redeliver,
+  resolveEntityEvent,
+  rotateSubscriptionSecret,
+  updateSubscription,
+  WebhookError
+} from '../services/webhooks.js';
+import { logger } from '../services/logger.js';
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 25;
+
+const canManageWebhooks = requireRole(ROLES.SUPER_ADMIN, ROLES.ADMIN);
+
+const sendWebhookError = (res, error, context) => {
+  if (error instanceof WebhookError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+
+  logger.error(`Error ${context}`, error);
+  res.status(500).json({ error: error.message });
+};
+
+// The signing secret is never written to the audit log
+const toAuditSnapshot = (subscription) => ({
+  url: subscription.url,
+  description: subscription.description,
+  events: subscription.events,
+  active: subscription.active
+});
+
+// Registered endpoints
+router.get('/subscriptions', canManageWebhooks, validateRequest(operations.listWebhooks), async (req, res) => {
+  try {
+    const subscriptions = await listSubscriptions();
+    res.status(200).json({ subscriptions });
+  } catch (error) {
+    sendWebhookError(res, error, 'fetching webhooks');
+  }
+});
+
+// Register an endpoint. The signing secret is in this response only.
+router.post('/subscriptions', canManageWebhooks, validateRequest(operations.createWebhook), async (req, res) => {
+  try {
+    const { subscription, secret } = await createSubscription(req.body, req.user.id);
+
+    await recordAuditEvent(req, {
+      action: 'webhook.create',
+      entityType: 'webhook',
+      entityId: subscription.id,
+      entityLabel: subscription.url,
+      after: toAuditSnapshot(subscription)
+    });
+
+    res.status(201).json({ subscription, secret });
+  } catch (error) {
+    sendWebhookError(res, error, 'creating webhook');
+  }
+});
+
+router.patch('/subscriptions/:subscriptionId', canManageWebhooks, validateRequest(operations.updateWebhook), async (req, res) => {
+  try {
+    const { before, after } = await updateSubscription(req.params.subscriptionId, req.body);
+
+    await recordAuditEvent(req, {
+      action: 'webhook.update',
+      entityType: 'webhook',
+      entityId: after.id,
+      entityLabel: after.url,
+      before: toAuditSnapshot(before),
+      after: toAuditSnapshot(after)
+    });
+
+    res.status(200).json({ subscription: after });
+  } catch (error) {
+    sendWebhookError(res, error, 'updating webhook');
+  }
+});
+
+// Issue a new signing secret, e.g. after the old one leaked
+router.post('/subscriptions/:subscriptionId/rotate-secret', canManageWebhooks, validateRequest(operations.rotateWebhookSecret), async (req, res) => {
+  try {
+    const secret = await rotateSubscriptionSecret(req.params.subscriptionId);
+
+    await recordAuditEvent(req, {
+      action: 'webhook.secret_rotate',
+      entityType: 'webhook',
+      entityId: req.params.subscriptionId
+    });
+
+    res.status(200).json({ secret });
+  } catch (error) {
+    sendWebhookError(res, error, 'rotating webhook secret');
+  }
+});
+
+router.delete('/subscriptions/:subscriptionId', canManageWebhooks, validateRequest(operations.deleteWebhook), async (req, res) => {
+  try {
+    const subscription = await deleteSubscription(req.params.subscriptionId);
+
+    await recordAuditEvent(req, {
+      action: 'webhook.delete',
+      entityType: 'webhook',
+      entityId: subscription.id,
+      entityLabel: subscription.url,
+      before: toAuditSnapshot(subscription)
+    });
+
+    res.status(200).json({ message: 'Webhook deleted' });
+  } catch (error) {
+    sendWebhookError(res, error, 'deleting webhook');
+  }
+});
+
+// Delivery log, newest first, optionally for one webhook or status
+router.get('/deliveries', canManageWebhooks, validateRequest(operations.listWebhookDeliveries), async (req, res) => {
+  try {
+    const { subscriptionId, status, cursor = null, limit = DEFAULT_PAGE_SIZE } = req.query;
+    const page = await listDeliveries({ subscriptionId, status }, { limit, cursor });
+    res.status(200).json(page);
+  } catch (error) {
+    sendWebhookError(res, error, 'fetching webhook deliveries');
+  }
+});
+
+// Send a logged event again as a new delivery
+router.post('/deliveries/:deliveryId/redeliver', canManageWebhooks, validateRequest(operations.redeliverWebhook), async (req, res) => {
+  try {
+    const delivery = await redeliver(req.params.deliveryId);
+    res.status(200).json({ delivery });
+  } catch (error) {
+    sendWebhookError(res, error, 'redelivering webhook');
+  }
+});
+
+// Changes the admin panel writes straight to Firestore are reported here after the write.
+// The event is built from the stored record, never from the request body.
+router.post(
+  '/events',
+  requireRole(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MODERATOR, ROLES.ADVISOR),
+  validateRequest(operations.emitWebhookEvent),
+  async (req, res) => {
+    try {
+      const { type, entityId, previousStatus } = req.body;
+      const event = await resolveEntityEvent(type, entityId, previousStatus, req.user);
+      const result = await emitWebhookEvent(...event);
+
+      res.status(202).json(result || { eventId: null, deliveries: 0 });
+    } catch (error) {
+      sendWebhookError(res, error, 'emitting webhook event');
+    }
+  }
+);
+
+// Export as default in ES Modules
+export default router;
@@ -0,0 +1,57 @@
+import { z } from 'zod';
+import { isoDateSchema, messageResponseSchema, pathParams } from './common.js';
+
+// Operations under /api/api-keys - keys for the public listings API
+
+const apiKeySchema = z.object({
+  id: z.string(),
+  name: z.string(),
+  hint: z.string().describe('First and last characters of the key'),
+  userId: z.string(),
+  createdAt: isoDateSchema.nullable(),
+  lastUsedAt: isoDateSchema.nullable(),
+  revokedAt: isoDateSchema.nullable()
+});
+
+export const listApiKeys = {
+  method: 'get',
+  path: '/api/api-keys',
+  tags: ['API keys'],
+  summary: "Current user's active API keys",
+  security: 'idToken',
+  responses: {
+    200: { description: 'Active keys, newest first', schema: z.object({ apiKeys: z.array(apiKeySchema) }) }
+  }
+};
+
+export const createApiKey = {
+  method: 'post',
+  path: '/api/api-keys',
+  tags: ['API keys'],
+  summary: 'Issue an API key that acts as the current user',
+  security: 'idToken',
+  request: {
+    body: z.object({
+      name: z.string().trim().min(1, 'Give the key a name').max(60, 'Key names can be up to 60 characters')
+    }).strict()
+  },
+  responses: {
+    201: {
+      description: 'The new key. The plain key is only ever returned here.',
+      schema: z.object({ apiKey: apiKeySchema, key: z.string() })
+    }
+  }
+};
+
+export const revokeApiKey = {
+  method: 'post',
+  path: '/api/api-keys/:keyId/revoke',
+  tags: ['API keys'],
+  summary: 'Revoke an API key',
+  description: "Users may revoke their own keys; admins may revoke anyone's.",
+  security: 'idToken',
+  request: { params: pathParams('keyId') },
+  responses: {
+    200: { description: 'Revoked, or already revoked', schema: messageResponseSchema }
+  }
+};
@@ -0,0 +1,56 @@
+import { z } from 'zod';
+import { ROLES } from '../middleware/auth.js';
+import { AUDIT_ENTITY_TYPES } from '../services/auditLog.js';
+import { isoDateSchema } from './common.js';
+
+// Operations under /api/audit - the append-only audit trail
+
+const entityTypeSchema = z.enum(AUDIT_ENTITY_TYPES);
+
+const snapshotSchema = z.record(z.any()).nullable();
+
+const auditEntrySchema = z.object({
+  id: z.string(),
+  action: z.string().describe('e.g. user.create or listing.status_change'),
+  actor: z.object({
+    id: z.string().nullable(),
+    uid: z.string().nullable(),
+    name: z.string().nullable(),
+    role: z.string().nullable()
+  }),
+  target: z.object({
+    type: entityTypeSchema,
+    id: z.string().nullable(),
+    label: z.string().nullable()
+  }),
+  before: snapshotSchema,
+  after: snapshotSchema,
+  ip: z.string().nullable(),
+  userAgent: z.string().nullable(),
+  timestamp: isoDateSchema.nullable()
+});
+
+export const listAuditEntries = {
+  method: 'get',
+  path: '/api/audit',
+  tags: ['Audit log'],
+  summary: 'List audit entries, newest first',
+  security: 'idToken',
+  roles: [ROLES.SUPER_ADMIN, ROLES.ADMIN],
+  request: {
+    query: z.object({
+      actorId: z.string().optional(),
+      entityType: entityTypeSchema.optional(),
+      from: isoDateSchema.optional(),
+      to: isoDateSchema.optional(),
+      cursor: z.string().optional().describe('nextCursor from the previous page'),
+      limit: z.coerce.number().int().min(1).max(100).optional()
+    }).strict()
+  },
+  responses: {
+    200: {
+      description: 'A page of entries',
+      schema: z.object({ entries: z.array(auditEntrySchema), nextCursor: z.string().nullable() })
+    }
+  }
+};
@@ -0,0 +1,120 @@
+import { z } from 'zod';
+import { ROLES } from '../middleware/auth.js';
+import { isoDateSchema, loginEmailBodySchema, messageResponseSchema, userRoleSchema } from './common.js';
+
+// Operations under /api/auth - admin panel account management
+
+const USER_MANAGERS = [ROLES.SUPER_ADMIN, ROLES.ADMIN];
+
+export const createUser = {
+  method: 'post',
+  path: '/api/auth/createUser',
+  tags: ['Users'],
+  summary: 'Create a sign-in account and email a set-password invitation',
+  security: 'idToken',
+  roles: USER_MANAGERS,
+  request: {
+    body: z.object({
+      name: z.string().trim().min(1, 'Name is required'),
+      email: z.string().email('Contact email must be a valid email address'),
+      role: userRoleSchema,
+      loginEmail: z.string().email('Login email must be a valid email address')
+    }).strict()
+  },
+  responses: {
+    200: {
+      description: 'Account created. The invitation email may have failed, in which case invitationSent is false.',
+      schema: z.object({
+        uid: z.string(),
+        invitationSent: z.boolean(),
+        invitationExpiresAt: isoDateSchema.nullable(),
+        message: z.string()
+      })
+    }
+  }
+};
+
+export const sendInvitation = {
+  method: 'post',
+  path: '/api/auth/sendInvitation',
+  tags: ['Users'],
+  summary: 'Send a fresh set-password link, replacing any earlier one',
+  security: 'idToken',
+  roles: USER_MANAGERS,
+  request: { body: loginEmailBodySchema },
+  responses: {
+    200: {
+      description: 'Invitation sent',
+      schema: z.object({ invitationExpiresAt: isoDateSchema, message: z.string() })
+    }
+  }
+};
+
+export const resetPassword = {
+  method: 'post',
+  path: '/api/auth/resetPassword',
+  tags: ['Users'],
+  summary: 'Reset a password to a generated temporary one',
+  description: 'Fallback for users who cannot receive the invitation email. Only super admins can reset the password of a super admin.',
+  security: 'idToken',
+  roles: USER_MANAGERS,
+  request: { body: loginEmailBodySchema },
+  responses: {
+    200: {
+      description: 'Password reset',
+      schema: z.object({ password: z.string(), message: z.string() })
+    }
+  }
+};
+
+export const lockedLogins = {
+  method: 'get',
+  path: '/api/auth/lockedLogins',
+  tags: ['Users'],
+  summary: 'List login emails locked out after repeated failed sign-ins',
+  security: 'idToken',
+  roles: USER_MANAGERS,
+  responses: {
+    200: {
+      description: 'Locked login emails',
+      schema: z.object({
+        lockedLogins: z.array(z.object({
+          loginEmail: z.string(),
+          lockedUntil: isoDateSchema,
+          failedAttempts: z.number().int(),
+          lastFailedIp: z.string().nullable()
+        }))
+      })
+    }
+  }
+};
+
+export const unlockLogin = {
+  method: 'post',
+  path: '/api/auth/unlockLogin',
+  tags: ['Users'],
+  summary: 'Lift a sign-in lockout and reset the failed attempt count',
+  security: 'idToken',
+  roles: USER_MANAGERS,
+  request: { body: loginEmailBodySchema },
+  responses: {
+    200: { description: 'Unlocked', schema: messageResponseSchema }
+  }
+};
+
+export const deleteAuthUser = {
+  method: 'post',
+  path: '/api/auth/deleteAuthUser',
+  tags: ['Users'],
+  summary: 'Delete a sign-in account and revoke its pending invitations',
+  description: 'Only super admins can delete the account of a super admin.',
+  security: 'idToken',
+  roles: USER_MANAGERS,
+  request: { body: loginEmailBodySchema },
+  responses: {
+    200: {
+      description: 'Deleted',
+      schema: z.object({ message: z.string(), uid: z.string() })
+    }
+  }
+};
@@ -0,0 +1,64 @@
+import { z } from 'zod';
+import { ROLES } from '../middleware/auth.js';
+import { COMMISSION_TIERS } from '../services/commissions.js';
+import { isoDateSchema, messageResponseSchema, pathParams } from './common.js';
+
+// Operations under /api/commissions - advisor commission structures, one per tier
+
+const COMMISSION_MANAGERS = [ROLES.SUPER_ADMIN, ROLES.ADMIN];
+
+const rateSchema = z.number().min(0).max(100).describe('Percent');
+
+const thresholdSchema = z.object({
+  minAmount: z.number().min(0),
+  maxAmount: z.number().min(0).nullable().describe('null for no upper bound'),
+  rate: rateSchema,
+  description: z.string().trim().max(200)
+}).strict();
+
+const commissionStructureSchema = z.object({
+  id: z.string(),
+  tier: z.enum(COMMISSION_TIERS),
+  name: z.string(),
+  baseRate: z.number(),
+  thresholds: z.array(thresholdSchema),
+  isActive: z.boolean(),
+  description: z.string(),
+  createdAt: isoDateSchema.nullable(),
+  updatedAt: isoDateSchema.nullable()
+});
+
+export const saveCommissionStructure = {
+  method: 'put',
+  path: '/api/commissions/:tier',
+  tags: ['Commissions'],
+  summary: 'Create or replace the commission structure of a tier',
+  security: 'idToken',
+  roles: COMMISSION_MANAGERS,
+  request: {
+    params: z.object({ tier: z.enum(COMMISSION_TIERS) }),
+    body: z.object({
+      name: z.string().trim().min(1, 'Name is required').max(100),
+      baseRate: rateSchema,
+      thresholds: z.array(thresholdSchema).max(20),
+      isActive: z.boolean(),
+      description: z.string().trim().max(500)
+    }).strict()
+  },
+  responses: {
+    200: { description: 'Saved', schema: z.object({ commission: commissionStructureSchema }) }
+  }
+};
+
+export const deleteCommissionStructure = {
+  method: 'delete',
+  path: '/api/commissions/:commissionId',
+  tags: ['Commissions'],
+  summary: 'Delete a commission structure',
+  security: 'idToken',
+  roles: COMMISSION_MANAGERS,
+  request: { params: pathParams('commissionId') },
+  responses: {
+    200: { description: 'Deleted', schema: messageResponseSchema }
+  }
+};
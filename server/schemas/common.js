@@ -0,0 +1,50 @@
+import { z } from 'zod';
+import { ROLES } from '../middleware/auth.js';
+
+// Shared building blocks for the operation schemas in this directory
+
+export const userRoleSchema = z.enum(Object.values(ROLES));
+
+export const isoDateSchema = z.string().datetime({ offset: true }).describe('ISO 8601 date-time');
+
+export const errorResponseSchema = z.object({
+  error: z.string().describe('Human-readable message'),
+  code: z.string().optional().describe('Machine-readable error code'),
+  details: z.any().optional().describe('Per-field problems for validation errors, or extra context')
+}).passthrough();
+
+export const messageResponseSchema = z.object({
+  message: z.string()
+});
+
+export const loginEmailBodySchema = z.object({
+  loginEmail: z.string().email('Login email must be a valid email address')
+}).strict();
+
+/**
+ * Copy of a schema in which every nested object rejects unknown keys, for request bodies
+ * built from shared schemas (e.g. the listing form's) whose objects strip them by default
+ */
+export const strictDeep = (schema) => {
+  const def = schema._def;
+
+  if (schema instanceof z.ZodObject) {
+    const shape = Object.fromEntries(Object.entries(schema.shape).map(([key, field]) => [key, strictDeep(field)]));
+    return new z.ZodObject({ ...def, shape: () => shape, unknownKeys: 'strict', catchall: z.never() });
+  }
+  if (schema instanceof z.ZodArray) return new z.ZodArray({ ...def, type: strictDeep(def.type) });
+  if (schema instanceof z.ZodUnion) return new z.ZodUnion({ ...def, options: def.options.map(strictDeep) });
+  if (schema instanceof z.ZodEffects) return new z.ZodEffects({ ...def, schema: strictDeep(def.schema) });
+  if (schema instanceof z.ZodPipeline) return new z.ZodPipeline({ ...def, in: strictDeep(def.in) });
+  if (schema instanceof z.ZodOptional || schema instanceof z.ZodNullable || schema instanceof z.ZodDefault) {
+    return new schema.constructor({ ...def, innerType: strictDeep(def.innerType) });
+  }
+  return schema;
+};
+
+/**
+ * Route parameter object for a path such as /sessions/:sessionId
+ */
+export const pathParams = (...names) => z.object(
+  Object.fromEntries(names.map(name => [name, z.string().min(1)]))
+).strict();
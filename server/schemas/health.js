@@ -0,0 +1,21 @@
+import { z } from 'zod';
+
+export const healthCheck = {
+  method: 'get',
+  path: '/api/health',
+  tags: ['Health'],
+  summary: 'Check that the server is up',
+  security: 'public',
+  responses: {
+    200: {
+      description: 'Server is running',
+      schema: z.object({
+        status: z.literal('ok'),
+        environment: z.string(),
+        version: z.string(),
+        api_url: z.string().optional(),
+        frontend_url: z.string().optional()
+      })
+    }
+  }
+};
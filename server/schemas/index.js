@@ -0,0 +1,21 @@
+import * as apiKeys from './apiKeys.js';
+import * as audit from './audit.js';
+import * as auth from './auth.js';
+import * as commissions from './commissions.js';
+import * as health from './health.js';
+import * as invitations from './invitations.js';
+import * as jobs from './jobs.js';
+import * as listings from './listings.js';
+import * as login from './login.js';
+import * as mfa from './mfa.js';
+import * as sessions from './sessions.js';
+import * as webhooks from './webhooks.js';
+
+// Every documented operation, keyed by its export name which doubles as the operationId.
+// Routes validate against these same objects (middleware/validate.js).
+const isOperation = (value) => value && typeof value === 'object' && 'method' in value && 'path' in value;
+
+export const operations = [health, auth, login, invitations, mfa, sessions, audit, apiKeys, listings, webhooks, commissions, jobs]
+  .flatMap(module => Object.entries(module))
+  .filter(([, value]) => isOperation(value))
+  .map(([operationId, operation]) => ({ ...operation, operationId }));
@@ -0,0 +1,41 @@
+import { z } from 'zod';
+import { isoDateSchema } from './common.js';
+
+// Operations under /api/invitations - public, the invitation token is the credential
+
+const tokenSchema = z.string().min(1, 'Invitation token is required');
+
+export const verifyInvitation = {
+  method: 'post',
+  path: '/api/invitations/verify',
+  tags: ['Invitations'],
+  summary: 'Check an invitation token before showing the set-password form',
+  security: 'public',
+  request: {
+    body: z.object({ token: tokenSchema }).strict()
+  },
+  responses: {
+    200: {
+      description: 'Valid invitation',
+      schema: z.object({ name: z.string(), loginEmail: z.string(), expiresAt: isoDateSchema })
+    }
+  }
+};
+
+export const acceptInvitation = {
+  method: 'post',
+  path: '/api/invitations/accept',
+  tags: ['Invitations'],
+  summary: 'Redeem an invitation by setting the account password',
+  description: 'Passwords that break the password policy are rejected with 400 weak_password and the failed rules in details.',
+  security: 'public',
+  request: {
+    body: z.object({ token: tokenSchema, password: z.string() }).strict()
+  },
+  responses: {
+    200: {
+      description: 'Password set',
+      schema: z.object({ loginEmail: z.string(), message: z.string() })
+    }
+  }
+};
@@ -0,0 +1,36 @@
+import { z } from 'zod';
+
+// Operations under /api/jobs - background work Cloud Scheduler triggers
+
+export const runListingScheduler = {
+  method: 'post',
+  path: '/api/jobs/listing-scheduler',
+  tags: ['Jobs'],
+  summary: 'Publish and expire scheduled listings, send renewal reminders and run the nightly rating',
+  description: 'Called by Cloud Scheduler every 5 minutes. Each job is safe to run on several instances at once. When a job fails the others still run, and the response is 500 job_failed with the same fields.',
+  security: 'jobSecret',
+  responses: {
+    200: {
+      description: 'Every job ran',
+      schema: z.object({
+        processed: z.record(z.number().int()).describe('Listings processed by each job'),
+        failed: z.array(z.string()).describe('Names of the jobs that failed')
+      })
+    }
+  }
+};
+
+export const runWebhookDeliveries = {
+  method: 'post',
+  path: '/api/jobs/webhook-deliveries',
+  tags: ['Jobs'],
+  summary: 'Retry webhook deliveries that are due',
+  description: 'Called by Cloud Scheduler every minute.',
+  security: 'jobSecret',
+  responses: {
+    200: {
+      description: 'Due deliveries attempted',
+      schema: z.object({ attempted: z.number().int() })
+    }
+  }
+};
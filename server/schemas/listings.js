@@ -0,0 +1,945 @@
+import { z } from 'zod';
+import { listingSchema } from '../../src/schemas/listingSchema.js';
+import { ListingPlan, ListingStatus, ListingType } from '../../src/schemas/listingConstants.js';
+import { TerritoryStatus } from '../../src/schemas/franchiseTerritories.js';
+import { isoDateSchema, messageResponseSchema, pathParams, strictDeep } from './common.js';
+
+// Operations under /api/v1/listings - the versioned public listings API
+
+const MAX_PAGE_SIZE = 100;
+const MAX_RADIUS_KM = 500;
+
+// Comma-separated list of enum values, e.g. ?type=business,franchise
+const enumList = (values, name) => z.string()
+  .transform(value => value.split(',').map(item => item.trim()).filter(Boolean))
+  .pipe(z.array(z.enum(Object.values(values), {
+    errorMap: () => ({ message: `Unknown ${name}. Use one or more of: ${Object.values(values).join(', ')}` })
+  })))
+  .describe(`Comma-separated: ${Object.values(values).join(', ')}`);
+
+const stringList = z.string()
+  .transform(value => value.split(',').map(item => item.trim()).filter(Boolean))
+  .describe('Comma-separated');
+
+const booleanParam = z.enum(['true', 'false']).transform(value => value === 'true');
+
+export const listingQuerySchema = z.object({
+  search: z.string().trim().optional().describe('Full-text search over name, descriptions, franchise brand, location and classification, tolerating typos; amounts such as "under 50 lakh" filter on price. Results come best match first.'),
+  type: enumList(ListingType, 'type').optional(),
+  status: enumList(ListingStatus, 'status').optional(),
+  plan: enumList(ListingPlan, 'plan').optional(),
+  industry: z.string().optional(),
+  category: z.string().optional(),
+  subCategories: stringList.optional(),
+  industries: stringList.optional(),
+  country: z.string().optional(),
+  state: z.string().optional(),
+  city: z.string().optional(),
+  radiusKm: z.coerce.number().positive().max(MAX_RADIUS_KM).optional()
+    .describe('Listings within this many km of city instead of in it, nearest first; each has distanceKm'),
+  territoryStatus: z.enum(Object.values(TerritoryStatus)).optional()
+    .describe('Franchises with a territory of this status'),
+  territoryCountry: z.string().optional()
+    .describe('Franchises with a territory covering this country, or territoryState or territoryCity within it'),
+  territoryState: z.string().optional(),
+  territoryCity: z.string().optional(),
+  isFeatured: booleanParam.optional(),
+  isVerified: booleanParam.optional(),
+  ownerId: z.string().optional().describe('Staff only; other callers always see their own listings'),
+  minPrice: z.coerce.number().optional(),
+  maxPrice: z.coerce.number().optional(),
+  from: isoDateSchema.optional().describe('Created on or after'),
+  to: isoDateSchema.optional().describe('Created on or before'),
+  publishFrom: isoDateSchema.optional().describe('Scheduled to publish on or after'),
+  publishTo: isoDateSchema.optional().describe('Scheduled to publish on or before'),
+  expiresFrom: isoDateSchema.optional().describe('Expires on or after'),
+  expiresTo: isoDateSchema.optional().describe('Expires on or before'),
+  limit: z.coerce.number().int().min(1).max(MAX_PAGE_SIZE).optional(),
+  cursor: z.string().optional().describe('nextCursor from the previous page')
+}).strict();
+
+// Stored listings carry many server-managed fields; the documented core is listed here
+const listingResourceSchema = z.object({
+  id: z.string(),
+  slug: z.string(),
+  name: z.string(),
+  type: z.nativeEnum(ListingType),
+  status: z.nativeEnum(ListingStatus),
+  plan: z.nativeEnum(ListingPlan),
+  description: z.string(),
+  shortDescription: z.string().optional(),
+  ownerId: z.string(),
+  isVerified: z.boolean(),
+  isFeatured: z.boolean(),
+  createdAt: isoDateSchema.nullable(),
+  updatedAt: isoDateSchema.nullable(),
+  publishedAt: isoDateSchema.nullable().optional(),
+  publishAt: isoDateSchema.nullable().optional().describe('When a draft or pending listing is scheduled to go live'),
+  expiresAt: isoDateSchema.nullable().optional().describe('When a published listing is archived')
+}).passthrough();
+
+const listingResponseSchema = z.object({ data: listingResourceSchema });
+
+// The listing form's schema, limited to the fields API clients may set.
+// Unknown fields fail at any depth instead of being stripped (or, at the top level, stored).
+const listingInputSchema = strictDeep(listingSchema
+  .omit({ status: true, mediaValidation: true })
+  .extend({ plan: z.nativeEnum(ListingPlan).optional() }));
+
+export const listListings = {
+  method: 'get',
+  path: '/api/v1/listings',
+  tags: ['Listings'],
+  summary: 'List listings, newest first',
+  description: 'Admins, super admins and moderators see every listing; other callers only their own. With search, listings come best match first. Pass nextCursor back as cursor for the next page.',
+  security: 'apiClient',
+  request: { query: listingQuerySchema },
+  responses: {
+    200: {
+      description: 'A page of listings',
+      schema: z.object({ data: z.array(listingResourceSchema), nextCursor: z.string().nullable() })
+    }
+  }
+};
+
+export const getListing = {
+  method: 'get',
+  path: '/api/v1/listings/:slug',
+  tags: ['Listings'],
+  summary: 'Get a listing by slug or ID',
+  security: 'apiClient',
+  request: { params: pathParams('slug') },
+  responses: {
+    200: { description: 'The listing', schema: listingResponseSchema }
+  }
+};
+
+export const createListing = {
+  method: 'post',
+  path: '/api/v1/listings',
+  tags: ['Listings'],
+  summary: 'Create a draft listing owned by the caller',
+  description: 'Validated with the same rules as the admin panel listing form. Images and documents are uploaded from the admin panel. Only moderators can set publishAt and expiresAt.',
+  security: 'apiClient',
+  request: { body: listingInputSchema },
+  responses: {
+    201: { description: 'Created', schema: listingResponseSchema }
+  }
+};
+
+export const updateListing = {
+  method: 'patch',
+  path: '/api/v1/listings/:slug',
+  tags: ['Listings'],
+  summary: 'Change some fields of a listing',
+  description: 'Nested detail objects replace the stored ones. The listing as a whole must still pass validation. Only moderators can set publishAt and expiresAt.',
+  security: 'apiClient',
+  request: { params: pathParams('slug'), body: listingInputSchema.partial() },
+  responses: {
+    200: { description: 'The updated listing', schema: listingResponseSchema }
+  }
+};
+
+export const changeListingStatus = {
+  method: 'post',
+  path: '/api/v1/listings/:slug/status',
+  tags: ['Listings'],
+  summary: 'Move a listing to a new status',
+  description: 'Owners can submit, withdraw and archive their own listings; only moderators can publish or reject. Disallowed transitions return 409 invalid_transition. Submitting a listing for review needs its plan\'s minimum completeness (src/schemas/listingCompleteness.js), otherwise 400 listing_incomplete lists what is missing.',
+  security: 'apiClient',
+  request: {
+    params: pathParams('slug'),
+    body: z.object({
+      status: z.nativeEnum(ListingStatus),
+      reason: z.string().max(1000).optional().describe('Required when rejecting')
+    }).strict()
+  },
+  responses: {
+    200: { description: 'The updated listing', schema: listingResponseSchema }
+  }
+};
+
+export const renewListing = {
+  method: 'post',
+  path: '/api/v1/listings/:slug/renew',
+  tags: ['Listings'],
+  summary: 'Extend a published listing by another plan period',
+  description: 'The new expiry is counted from the current one, or from now if it has passed. Listings that are not published return 409 invalid_status.',
+  security: 'apiClient',
+  request: { params: pathParams('slug') },
+  responses: {
+    200: { description: 'The renewed listing', schema: listingResponseSchema }
+  }
+};
+
+export const deleteListing = {
+  method: 'delete',
+  path: '/api/v1/listings/:slug',
+  tags: ['Listings'],
+  summary: 'Permanently delete a listing',
+  description: 'Admins only. Removes the listing with its images, documents, revisions and search entry, including listings that were already soft-deleted. This cannot be undone.',
+  security: 'apiClient',
+  request: { params: pathParams('slug') },
+  responses: {
+    200: { description: 'Deleted', schema: messageResponseSchema }
+  }
+};
+
+const revisionSchema = z.object({
+  id: z.string(),
+  listingId: z.string(),
+  source: z.enum(['baseline', 'created', 'updated', 'restored']).describe('baseline is the state before the first tracked change'),
+  restoredFrom: z.string().nullable().describe('For restores, the revision that was restored'),
+  snapshot: z.record(z.any()).describe('Editable content of the listing; status, plan, ownership, images and documents are not versioned'),
+  changedFields: z.array(z.string()).describe('Top-level fields that differ from the previous revision'),
+  createdBy: z.string().nullable(),
+  createdByName: z.string().nullable(),
+  createdAt: isoDateSchema.nullable()
+});
+
+export const listListingRevisions = {
+  method: 'get',
+  path: '/api/v1/listings/:slug/revisions',
+  tags: ['Listings'],
+  summary: 'List revisions of a listing, newest first',
+  description: 'Every change to a listing\'s content saves a revision.',
+  security: 'apiClient',
+  request: { params: pathParams('slug') },
+  responses: {
+    200: { description: 'The revisions', schema: z.object({ data: z.array(revisionSchema) }) }
+  }
+};
+
+export const restoreListingRevision = {
+  method: 'post',
+  path: '/api/v1/listings/:slug/revisions/:revisionId/restore',
+  tags: ['Listings'],
+  summary: 'Restore a listing\'s content from a revision',
+  description: 'The restored listing must pass the same validation as an update, otherwise 400 validation_failed. The restore is saved as a new revision. Fields added since the revision are kept.',
+  security: 'apiClient',
+  request: { params: pathParams('slug', 'revisionId') },
+  responses: {
+    200: {
+      description: 'The restored listing and the new revision\'s ID (null if it already matched)',
+      schema: listingResponseSchema.extend({ revisionId: z.string().nullable() })
+    }
+  }
+};
+
+const duplicateCheckSchema = z.object({
+  score: z.number().min(0).max(1).describe('Score of the likeliest duplicate, 0 if none was found'),
+  listingIds: z.array(z.string()).describe('IDs of the likely duplicates, likeliest first'),
+  checkedAt: isoDateSchema
+});
+
+// A listing in a list of matches: duplicates or search results
+const listingSummarySchema = z.object({
+  id: z.string(),
+  slug: z.string(),
+  name: z.string(),
+  type: z.nativeEnum(ListingType),
+  status: z.nativeEnum(ListingStatus),
+  ownerId: z.string(),
+  ownerName: z.string().nullable(),
+  displayLocation: z.string().nullable(),
+  imageUrl: z.string().nullable(),
+  createdAt: isoDateSchema.nullable()
+});
+
+const duplicateSchema = z.object({
+  listing: listingSummarySchema,
+  score: z.number().min(0).max(1).describe('How likely the listings are the same'),
+  signals: z.array(z.object({
+    signal: z.enum(['name', 'gstNumber', 'panNumber', 'registrationNumber', 'domain', 'image', 'email', 'phone']),
+    label: z.string()
+  })).describe('What the listings have in common, strongest first')
+});
+
+export const listListingDuplicates = {
+  method: 'get',
+  path: '/api/v1/listings/:slug/duplicates',
+  tags: ['Listings'],
+  summary: 'List likely duplicates of a listing',
+  description: 'Moderators only. Compares normalized name, GST, PAN and registration numbers, contact email and phone, domain name and image hashes. Linked listings and listings merged away are left out.',
+  security: 'apiClient',
+  request: { params: pathParams('slug') },
+  responses: {
+    200: { description: 'The likely duplicates, likeliest first', schema: z.object({ data: z.array(duplicateSchema) }) }
+  }
+};
+
+export const linkDuplicateListing = {
+  method: 'post',
+  path: '/api/v1/listings/:slug/duplicates/:duplicateId/link',
+  tags: ['Listings'],
+  summary: 'Mark a reported duplicate as a related listing',
+  description: 'Moderators only. Both listings are kept and are no longer reported as duplicates of each other.',
+  security: 'apiClient',
+  request: { params: pathParams('slug', 'duplicateId') },
+  responses: {
+    200: { description: 'The listing', schema: listingResponseSchema }
+  }
+};
+
+export const mergeDuplicateListing = {
+  method: 'post',
+  path: '/api/v1/listings/:slug/duplicates/:duplicateId/merge',
+  tags: ['Listings'],
+  summary: 'Merge a duplicate into a listing',
+  description: 'Moderators only. Fields the listing leaves empty are filled from the duplicate, validated like any other update and saved as a revision. The duplicate is archived with mergedInto set; its images and documents stay with it. Listings of different types return 409 type_mismatch.',
+  security: 'apiClient',
+  request: { params: pathParams('slug', 'duplicateId') },
+  responses: {
+    200: {
+      description: 'The merged listing and its new revision\'s ID (null if nothing was filled in)',
+      schema: listingResponseSchema.extend({ revisionId: z.string().nullable() })
+    }
+  }
+};
+
+// Matches returned to a search box
+const MAX_SEARCH_LIMIT = 20;
+
+export const searchListings = {
+  method: 'get',
+  path: '/api/v1/listings/search',
+  tags: ['Listings'],
+  summary: 'Find the listings best matching a search query',
+  description: 'For search boxes; GET /api/v1/listings with search returns full listings a page at a time. Admins, super admins and moderators search every listing; other callers only their own.',
+  security: 'apiClient',
+  request: {
+    query: z.object({
+      q: z.string().trim().min(1).describe(listingQuerySchema.shape.search.description),
+      type: listingQuerySchema.shape.type,
+      status: listingQuerySchema.shape.status,
+      limit: z.coerce.number().int().min(1).max(MAX_SEARCH_LIMIT).default(8)
+    }).strict()
+  },
+  responses: {
+    200: {
+      description: 'The matches, best first',
+      schema: z.object({
+        data: z.array(z.object({
+          listing: listingSummarySchema,
+          score: z.number().describe('Relevance; only comparable within one search'),
+          fields: z.array(z.enum(['name', 'brand', 'classification', 'location', 'description']))
+            .describe('Where the query words matched')
+        }))
+      })
+    }
+  }
+};
+
+export const rebuildListingSearchIndex = {
+  method: 'post',
+  path: '/api/v1/listings/search/reindex',
+  tags: ['Listings'],
+  summary: 'Rebuild the search index',
+  description: 'Admins only. Indexes every listing again, e.g. those saved before the index existed, and removes the entries of deleted listings.',
+  security: 'apiClient',
+  responses: {
+    200: {
+      description: 'What was done',
+      schema: z.object({ data: z.object({ indexed: z.number().int(), removed: z.number().int() }) })
+    }
+  }
+};
+
+export const geocodeListings = {
+  method: 'post',
+  path: '/api/v1/listings/geocode',
+  tags: ['Listings'],
+  summary: 'Place every listing on the map',
+  description: 'Admins only. Sets location.coordinates and location.geohash of every listing from its city and state, e.g. for listings saved before they were placed. Listings whose state is unknown get null.',
+  security: 'apiClient',
+  responses: {
+    200: {
+      description: 'What was done',
+      schema: z.object({
+        data: z.object({
+          placed: z.number().int(),
+          updated: z.number().int().describe('Listings whose coordinates changed'),
+          unplaced: z.number().int()
+        })
+      })
+    }
+  }
+};
+
+// Rows sent in one import request; the admin panel sends larger files in batches
+const MAX_IMPORT_BATCH_SIZE = 50;
+
+const importColumnSchema = z.object({
+  key: z.string().describe('Dotted path of the field, e.g. location.city; classification.* columns hold names'),
+  label: z.string(),
+  required: z.boolean(),
+  kind: z.enum(['text', 'number', 'boolean', 'date', 'list']).describe('list: values separated by semicolons'),
+  options: z.array(z.string()).optional().describe('Allowed values')
+});
+
+export const getListingImportColumns = {
+  method: 'get',
+  path: '/api/v1/listings/import/columns',
+  tags: ['Listings'],
+  summary: 'List the columns of the import template for a listing type',
+  description: 'Derived from the listing form\'s validation: the common fields, the classification by name and the type\'s details that fit in a spreadsheet cell.',
+  security: 'apiClient',
+  request: { query: z.object({ type: z.nativeEnum(ListingType) }) },
+  responses: {
+    200: { description: 'The columns, in template order', schema: z.object({ data: z.array(importColumnSchema) }) }
+  }
+};
+
+export const importListings = {
+  method: 'post',
+  path: '/api/v1/listings/import',
+  tags: ['Listings'],
+  summary: 'Validate or create a batch of listings',
+  description: `Each listing is validated and created as by POST /api/v1/listings, one at a time, so one invalid listing does not stop the others. Fields the form does not know are ignored. With dryRun nothing is saved. Up to ${MAX_IMPORT_BATCH_SIZE} listings per request.`,
+  security: 'apiClient',
+  request: {
+    body: z.object({
+      listings: z.array(z.record(z.unknown())).min(1).max(MAX_IMPORT_BATCH_SIZE),
+      status: z.enum([ListingStatus.DRAFT, ListingStatus.PENDING]).default(ListingStatus.DRAFT)
+        .describe('pending submits the created listings for review'),
+      dryRun: z.boolean().default(false).describe('Only validate')
+    }).strict()
+  },
+  responses: {
+    200: {
+      description: 'One result per listing, in order',
+      schema: z.object({
+        data: z.array(z.object({
+          index: z.number().int(),
+          valid: z.boolean(),
+          errors: z.array(z.object({ path: z.string(), message: z.string() })),
+          listingId: z.string().optional().describe('Set once created'),
+          status: z.nativeEnum(ListingStatus).optional()
+        }))
+      })
+    }
+  }
+};
+
+// Moderation queue: reviews of pending listings (services/listingModeration.js)
+
+const reviewerSchema = z.object({
+  userId: z.string(),
+  userName: z.string().nullable()
+});
+
+const queueItemSchema = z.object({
+  listing: listingSummarySchema.extend({ plan: z.nativeEnum(ListingPlan) }),
+  submittedAt: isoDateSchema.nullable(),
+  dueAt: isoDateSchema.describe('When a decision is due under the plan\'s SLA'),
+  slaHours: z.number(),
+  slaStatus: z.enum(['on_track', 'due_soon', 'overdue']).describe('due_soon in the last quarter of the SLA'),
+  claim: reviewerSchema.extend({ claimedAt: isoDateSchema, expiresAt: isoDateSchema }).nullable()
+    .describe('The moderator reviewing the listing; lapses after 30 minutes without a change'),
+  assignee: reviewerSchema.extend({ assignedBy: z.string(), assignedAt: isoDateSchema }).nullable(),
+  checklist: z.array(z.object({
+    id: z.string(),
+    label: z.string(),
+    required: z.boolean().describe('Must be ticked before approving'),
+    checked: z.boolean(),
+    checkedBy: z.string().nullable(),
+    checkedAt: isoDateSchema.nullable()
+  })),
+  flags: z.array(z.object({
+    code: z.enum(['price_outside_fair_value', 'equity_offered_mismatch', 'breakeven_mismatch']),
+    label: z.string(),
+    detail: z.string()
+  })).describe('What to look at more closely, e.g. an asking price far outside the fair-value range')
+});
+
+const queueItemResponseSchema = z.object({ data: queueItemSchema });
+
+const rejectionTemplateSchema = z.object({
+  id: z.string(),
+  title: z.string(),
+  reason: z.string().describe('Shown to the owner'),
+  types: z.array(z.nativeEnum(ListingType)).describe('Empty for every type'),
+  useCount: z.number().int().describe('Rejections made with it'),
+  createdBy: z.string(),
+  createdAt: isoDateSchema.nullable(),
+  updatedAt: isoDateSchema.nullable()
+});
+
+const rejectionTemplateInputSchema = z.object({
+  title: z.string().trim().min(1).max(100),
+  reason: z.string().trim().min(1).max(1000),
+  types: z.array(z.nativeEnum(ListingType)).describe('Empty for every type')
+}).strict();
+
+export const listModerationQueue = {
+  method: 'get',
+  path: '/api/v1/listings/moderation/queue',
+  tags: ['Moderation'],
+  summary: 'Pending listings awaiting review',
+  description: 'Moderators only. Each listing is due a number of hours after it was submitted that depends on its plan: platinum 4, premium 8, advanced 24, basic 48, free 72.',
+  security: 'apiClient',
+  request: {
+    query: z.object({
+      type: listingQuerySchema.shape.type,
+      plan: listingQuerySchema.shape.plan,
+      assignee: z.string().optional().describe('me, unassigned or a user ID'),
+      sort: z.enum(['due', 'oldest', 'plan']).default('due')
+        .describe('due: SLA deadline first, which weighs age by plan; oldest: submitted first; plan: highest plan first, then oldest')
+    }).strict()
+  },
+  responses: {
+    200: { description: 'The queue', schema: z.object({ data: z.array(queueItemSchema) }) }
+  }
+};
+
+export const claimListingReview = {
+  method: 'post',
+  path: '/api/v1/listings/moderation/:slug/claim',
+  tags: ['Moderation'],
+  summary: 'Start reviewing a listing',
+  description: 'Moderators only. Renews the caller\'s own claim. Returns 409 review_claimed while another moderator holds it, and 409 assigned_elsewhere if the listing is assigned to another moderator (admins may still claim it).',
+  security: 'apiClient',
+  request: { params: pathParams('slug') },
+  responses: {
+    200: { description: 'The listing\'s review', schema: queueItemResponseSchema }
+  }
+};
+
+export const releaseListingReview = {
+  method: 'post',
+  path: '/api/v1/listings/moderation/:slug/release',
+  tags: ['Moderation'],
+  summary: 'Stop reviewing a listing',
+  description: 'The claimant or an admin. The checklist is kept for whoever claims it next.',
+  security: 'apiClient',
+  request: { params: pathParams('slug') },
+  responses: {
+    200: { description: 'The listing\'s review', schema: queueItemResponseSchema }
+  }
+};
+
+export const assignListingReview = {
+  method: 'post',
+  path: '/api/v1/listings/moderation/:slug/assign',
+  tags: ['Moderation'],
+  summary: 'Assign a listing\'s review to a moderator',
+  description: 'Admins only. Only the assignee or an admin can then claim it; a claim by anyone else is released. 400 invalid_assignee if the user is not staff.',
+  security: 'apiClient',
+  request: {
+    params: pathParams('slug'),
+    body: z.object({
+      userId: z.string().min(1).nullable().describe('null to unassign')
+    }).strict()
+  },
+  responses: {
+    200: { description: 'The listing\'s review', schema: queueItemResponseSchema }
+  }
+};
+
+export const updateReviewChecklist = {
+  method: 'patch',
+  path: '/api/v1/listings/moderation/:slug/checklist',
+  tags: ['Moderation'],
+  summary: 'Tick or untick review checks',
+  description: 'The caller must hold the claim (409 claim_required otherwise), which this renews. Checks not on the listing type\'s checklist return 400 unknown_check.',
+  security: 'apiClient',
+  request: {
+    params: pathParams('slug'),
+    body: z.object({
+      checks: z.record(z.boolean()).describe('Check ID to whether it is ticked')
+    }).strict()
+  },
+  responses: {
+    200: { description: 'The listing\'s review', schema: queueItemResponseSchema }
+  }
+};
+
+export const decideListingReview = {
+  method: 'post',
+  path: '/api/v1/listings/moderation/:slug/decision',
+  tags: ['Moderation'],
+  summary: 'Approve or reject a listing under review',
+  description: 'The caller must hold the claim. Approving publishes the listing and needs every required check ticked (409 checklist_incomplete with the missing check IDs). Rejecting needs a reason or a template, whose reason is used when none is given.',
+  security: 'apiClient',
+  request: {
+    params: pathParams('slug'),
+    body: z.object({
+      decision: z.enum(['approve', 'reject']),
+      templateId: z.string().min(1).optional().describe('Rejection template used'),
+      reason: z.string().max(1000).optional().describe('Shown to the owner')
+    }).strict()
+  },
+  responses: {
+    200: { description: 'The updated listing', schema: listingResponseSchema }
+  }
+};
+
+export const listRejectionTemplates = {
+  method: 'get',
+  path: '/api/v1/listings/moderation/templates',
+  tags: ['Moderation'],
+  summary: 'Rejection reason templates',
+  description: 'Moderators only. Most used first.',
+  security: 'apiClient',
+  request: {
+    query: z.object({
+      type: z.nativeEnum(ListingType).optional().describe('Only templates for this type or for every type')
+    }).strict()
+  },
+  responses: {
+    200: { description: 'The templates', schema: z.object({ data: z.array(rejectionTemplateSchema) }) }
+  }
+};
+
+export const createRejectionTemplate = {
+  method: 'post',
+  path: '/api/v1/listings/moderation/templates',
+  tags: ['Moderation'],
+  summary: 'Save a rejection reason template',
+  description: 'Moderators only.',
+  security: 'apiClient',
+  request: { body: rejectionTemplateInputSchema.extend({ types: rejectionTemplateInputSchema.shape.types.default([]) }) },
+  responses: {
+    201: { description: 'The template', schema: z.object({ data: rejectionTemplateSchema }) }
+  }
+};
+
+export const updateRejectionTemplate = {
+  method: 'patch',
+  path: '/api/v1/listings/moderation/templates/:templateId',
+  tags: ['Moderation'],
+  summary: 'Change a rejection reason template',
+  description: 'Moderators only. Rejections already made keep their reason.',
+  security: 'apiClient',
+  request: {
+    params: pathParams('templateId'),
+    body: rejectionTemplateInputSchema.partial()
+  },
+  responses: {
+    200: { description: 'The template', schema: z.object({ data: rejectionTemplateSchema }) }
+  }
+};
+
+export const deleteRejectionTemplate = {
+  method: 'delete',
+  path: '/api/v1/listings/moderation/templates/:templateId',
+  tags: ['Moderation'],
+  summary: 'Delete a rejection reason template',
+  description: 'Moderators only. Rejections already made keep their reason.',
+  security: 'apiClient',
+  request: { params: pathParams('templateId') },
+  responses: {
+    200: { description: 'Deleted', schema: messageResponseSchema }
+  }
+};
+
+// System rating: how listings are scored (services/listingRating.js)
+
+const ratingWeightsSchema = z.object({
+  completeness: z.number().int().min(0).max(100),
+  verification: z.number().int().min(0).max(100),
+  documentation: z.number().int().min(0).max(100),
+  engagement: z.number().int().min(0).max(100),
+  longevity: z.number().int().min(0).max(100),
+  financials: z.number().int().min(0).max(100)
+}).strict().describe('Percentages of the system rating by component, adding up to 100');
+
+const ratingFactorSchema = z.object({
+  label: z.string(),
+  points: z.number(),
+  maxPoints: z.number(),
+  detail: z.string().optional().describe('What was found, e.g. "2.3×"')
+});
+
+const ratingSchema = z.object({
+  systemRating: z.number().describe('0 to 10: the components\' scores averaged with the weights'),
+  ratingComponents: z.record(z.number()).describe('0 to 10 by component'),
+  explanation: z.record(z.array(ratingFactorSchema)).describe('What each component was scored on'),
+  weights: ratingWeightsSchema,
+  calculatedAt: isoDateSchema
+}).passthrough();
+
+const ratingSettingsSchema = z.object({
+  weights: ratingWeightsSchema,
+  defaultWeights: ratingWeightsSchema,
+  updatedAt: isoDateSchema.nullable(),
+  updatedBy: z.string().nullable(),
+  lastRecalculatedAt: isoDateSchema.nullable().describe('When every listing was last rated')
+});
+
+export const getRatingSettings = {
+  method: 'get',
+  path: '/api/v1/listings/rating/settings',
+  tags: ['Rating'],
+  summary: 'The weights of the system rating',
+  description: 'Moderators only.',
+  security: 'apiClient',
+  responses: {
+    200: { description: 'The rating settings', schema: z.object({ data: ratingSettingsSchema }) }
+  }
+};
+
+export const updateRatingWeights = {
+  method: 'put',
+  path: '/api/v1/listings/rating/settings',
+  tags: ['Rating'],
+  summary: 'Change the weights of the system rating',
+  description: 'Admins only. Listings are rated with the new weights when next saved and in the nightly recalculation, or at once with POST /api/v1/listings/rating/recalculate.',
+  security: 'apiClient',
+  request: {
+    body: z.object({ weights: ratingWeightsSchema }).strict()
+  },
+  responses: {
+    200: { description: 'The rating settings', schema: z.object({ data: ratingSettingsSchema }) }
+  }
+};
+
+export const recalculateListingRatings = {
+  method: 'post',
+  path: '/api/v1/listings/rating/recalculate',
+  tags: ['Rating'],
+  summary: 'Rate every listing again',
+  description: 'Admins only. Runs every night anyway, as engagement and longevity change without listings being saved.',
+  security: 'apiClient',
+  responses: {
+    200: {
+      description: 'What was done',
+      schema: z.object({
+        data: z.object({
+          recalculated: z.number().int(),
+          updated: z.number().int().describe('Listings whose rating changed')
+        })
+      })
+    }
+  }
+};
+
+// Business valuation: fair-value ranges from benchmark multiples (services/listingValuation.js)
+
+const multipleRangeSchema = z.object({
+  low: z.number().positive(),
+  high: z.number().positive()
+}).strict();
+
+const valuationBenchmarkSchema = z.object({
+  industry: z.string().min(1).describe('Industry ID'),
+  industryName: z.string().max(200).optional(),
+  category: z.string().nullable().optional().describe('Category ID; leave out for the whole industry'),
+  categoryName: z.string().max(200).optional(),
+  revenueMultiple: multipleRangeSchema.describe('Asking price as a multiple of annual revenue'),
+  earningsMultiple: multipleRangeSchema.describe('Asking price as a multiple of annual earnings (revenue times profit margin)')
+}).strict();
+
+const valuationSettingsSchema = z.object({
+  benchmarks: z.array(valuationBenchmarkSchema),
+  defaultBenchmark: z.object({ revenueMultiple: multipleRangeSchema, earningsMultiple: multipleRangeSchema })
+    .describe('Used for industries without a benchmark'),
+  flagMargin: z.number().describe('How far beyond the range, as a share of its nearest end, a price is flagged'),
+  updatedAt: isoDateSchema.nullable(),
+  updatedBy: z.string().nullable()
+});
+
+const valuationSchema = z.object({
+  annualRevenue: z.number(),
+  annualEarnings: z.number().nullable().describe('Annual revenue times the profit margin'),
+  askingPrice: z.number().nullable(),
+  revenueMultiple: z.number().nullable(),
+  earningsMultiple: z.number().nullable(),
+  fairValue: z.object({ low: z.number(), high: z.number() }),
+  position: z.enum(['below', 'within', 'above']).nullable().describe('Where the asking price falls'),
+  deviation: z.number().describe('How far outside the range the price is, as a share of its nearest end'),
+  flagged: z.boolean().describe('Far enough outside to flag for moderators'),
+  calculatedAt: isoDateSchema
+}).passthrough();
+
+export const getValuationSettings = {
+  method: 'get',
+  path: '/api/v1/listings/valuation/benchmarks',
+  tags: ['Valuation'],
+  summary: 'The benchmark multiples business listings are valued with',
+  security: 'apiClient',
+  responses: {
+    200: { description: 'The valuation settings', schema: z.object({ data: valuationSettingsSchema }) }
+  }
+};
+
+export const updateValuationBenchmarks = {
+  method: 'put',
+  path: '/api/v1/listings/valuation/benchmarks',
+  tags: ['Valuation'],
+  summary: 'Replace the benchmark table',
+  description: 'Admins only. Every business listing is valued again with the new table. Fails with 400 invalid_benchmarks when a range is empty or an industry or category appears twice.',
+  security: 'apiClient',
+  request: {
+    body: z.object({ benchmarks: z.array(valuationBenchmarkSchema).max(500) }).strict()
+  },
+  responses: {
+    200: {
+      description: 'The valuation settings and how many listings were valued again',
+      schema: z.object({
+        data: valuationSettingsSchema.extend({
+          revalued: z.number().int(),
+          updated: z.number().int().describe('Listings whose valuation changed')
+        })
+      })
+    }
+  }
+};
+
+// Startup funding round: cap table and round simulation (services/listingFundingRound.js)
+
+const fundingRoundSchema = z.object({
+  postMoney: z.number(),
+  equity: z.object({
+    postMoney: z.number(),
+    impliedEquity: z.number().describe('The amount raised over the post-money valuation, as a percentage'),
+    equityOffered: z.number(),
+    matches: z.boolean().describe('Whether the equity offered is within 10% of the implied equity')
+  }).nullable().describe('Null without the equity offered'),
+  round: z.object({
+    amount: z.number(),
+    preMoney: z.number(),
+    postMoney: z.number(),
+    pricePerShare: z.number(),
+    sharesBefore: z.number().int(),
+    newShares: z.number().int(),
+    sharesAfter: z.number().int(),
+    roundStake: z.number().describe('Percentage the new investors hold after the round'),
+    holders: z.array(z.object({
+      name: z.string(),
+      type: z.enum(['founder', 'investor', 'option_pool', 'other']),
+      shares: z.number(),
+      before: z.number(),
+      after: z.number(),
+      dilution: z.number().describe('Percentage points lost in the round')
+    }))
+  }).nullable().describe('Null without a cap table'),
+  calculatedAt: isoDateSchema
+});
+
+// Franchise unit economics: five-year projection of a unit (services/listingUnitEconomics.js)
+
+const unitEconomicsSchema = z.object({
+  inputs: z.object({
+    investment: z.number().describe('Total initial investment, at least the franchise fee'),
+    franchiseFee: z.number().nullable(),
+    royaltyPercent: z.number(),
+    marketingPercent: z.number(),
+    averageUnitSales: z.number().describe('Yearly sales of an established unit')
+  }),
+  assumptions: z.object({
+    openingSalesPercent: z.number().describe('Sales in the first month, as a percentage of the average'),
+    rampUpMonths: z.number().describe('Months until sales reach the average'),
+    salesGrowthPercent: z.number().describe('Yearly growth after the first year'),
+    costOfGoodsPercent: z.number(),
+    operatingCostPercent: z.number(),
+    fixedCostsPerMonth: z.number()
+  }),
+  years: z.array(z.object({
+    year: z.number().int(),
+    sales: z.number(),
+    royalty: z.number(),
+    marketing: z.number(),
+    costOfGoods: z.number(),
+    operatingCosts: z.number(),
+    fixedCosts: z.number(),
+    profit: z.number(),
+    margin: z.number().describe('Profit as a percentage of sales'),
+    cashAtYearEnd: z.number().describe('Profits so far less the investment')
+  })),
+  cumulativeCash: z.array(z.number()).describe('Profits less the investment at the end of each month'),
+  breakevenMonth: z.number().int().nullable().describe('First month with a profit; null if not within five years'),
+  paybackMonths: z.number().int().nullable().describe('Month the investment is repaid; null if not within five years'),
+  irr: z.number().nullable().describe('Internal rate of return over five years, as a percentage'),
+  totalProfit: z.number(),
+  breakeven: z.object({
+    stated: z.string(),
+    statedMonths: z.object({ min: z.number(), max: z.number() }),
+    computedMonth: z.number().int().nullable(),
+    matches: z.boolean().describe('Whether the breakeven month is within 3 months, or a quarter of the stated time, of the stated average breakeven')
+  }).nullable().describe('Null without a stated average breakeven'),
+  calculatedAt: isoDateSchema
+});
+
+// Everything the server derives from a listing, for listings saved from the admin panel
+
+export const recomputeListing = {
+  method: 'post',
+  path: '/api/v1/listings/:id/recompute',
+  tags: ['Listings'],
+  summary: 'Work out everything derived from a listing again',
+  description: 'Listings created or updated through the API are worked out as they are saved. The admin panel calls this once after saving, verifying or deleting a listing itself: the location and classification fields, rating, valuation, funding round and unit economics are worked out as a PATCH does, then the listing is checked for duplicates and its search entry is updated. Takes the document ID, as deleted listings have no slug to look up; their search entry is removed and data is null.',
+  security: 'apiClient',
+  request: { params: pathParams('id') },
+  responses: {
+    200: {
+      description: 'What was saved on the listing',
+      schema: z.object({
+        data: z.object({
+          rating: ratingSchema,
+          valuation: valuationSchema.nullable().describe('Business listings with revenue only'),
+          fundingRound: fundingRoundSchema.nullable().describe('Startups with a raising amount and pre-money valuation only'),
+          unitEconomics: unitEconomicsSchema.nullable().describe('Franchises with a total investment and average unit sales only'),
+          duplicateCheck: duplicateCheckSchema,
+          indexed: z.boolean().describe('Whether the listing is in the search index')
+        }).nullable()
+      })
+    }
+  }
+};
+
+// Investor matching: investors scored against startups and businesses (services/listingMatching.js)
+
+const matchQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(50).optional(),
+  minScore: z.coerce.number().int().min(0).max(100).optional().describe('Lowest score returned, 50 by default')
+}).strict();
+
+const listingMatchSchema = z.object({
+  listing: listingSummarySchema,
+  score: z.number().int().min(0).max(100),
+  components: z.array(z.object({
+    id: z.enum(['industry', 'stage', 'geography', 'ticket', 'revenue']),
+    label: z.string(),
+    weight: z.number().int().describe('Points the part is worth'),
+    points: z.number().int(),
+    detail: z.string().describe('Why the part scored what it did')
+  }))
+});
+
+export const getMatchReport = {
+  method: 'get',
+  path: '/api/v1/listings/matching/report',
+  tags: ['Matching'],
+  summary: 'Top matches of every published investor',
+  description: 'Staff only. limit is the number of matches per investor, 5 by default. Investors without a match scoring minScore are left out. Scored against the same cached published listings as listListingMatches.',
+  security: 'apiClient',
+  request: { query: matchQuerySchema },
+  responses: {
+    200: {
+      description: 'The investors with matches, best first',
+      schema: z.object({
+        data: z.object({
+          generatedAt: isoDateSchema,
+          investorCount: z.number().int().describe('Published investor listings'),
+          listingCount: z.number().int().describe('Published startup and business listings'),
+          minScore: z.number().int(),
+          rows: z.array(z.object({ investor: listingSummarySchema, matches: z.array(listingMatchSchema) }))
+        })
+      })
+    }
+  }
+};
+
+export const listListingMatches = {
+  method: 'get',
+  path: '/api/v1/listings/:slug/matches',
+  tags: ['Matching'],
+  summary: 'Suggested matches for a listing',
+  description: 'Published startups and businesses for an investor listing, published investors for a startup or business, scored on industry, stage, geography, ticket size and revenue. Listings of the same owner are left out. Fails with 400 listing_not_matchable for other listing types. The published listings are cached for five minutes: a status change or delete clears the cache on the instance that made it, but other instances and edits of published listings can lag by up to five minutes.',
+  security: 'apiClient',
+  request: { params: pathParams('slug'), query: matchQuerySchema },
+  responses: {
+    200: { description: 'The matches, best first', schema: z.object({ data: z.array(listingMatchSchema) }) }
+  }
+};
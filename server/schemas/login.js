@@ -0,0 +1,85 @@
+import { z } from 'zod';
+import { isoDateSchema } from './common.js';
+
+// Operations under /api/login - password sign-in and its second step
+
+export const mfaEnrollmentSchema = z.object({
+  secret: z.string().describe('Base32 secret for manual entry'),
+  otpauthUrl: z.string(),
+  qrCodeDataUrl: z.string().describe('PNG data URL of the QR code')
+});
+
+export const lockedResponseSchema = z.object({
+  error: z.string(),
+  code: z.literal('account_locked'),
+  lockedUntil: isoDateSchema
+});
+
+export const signIn = {
+  method: 'post',
+  path: '/api/login',
+  tags: ['Sign-in'],
+  summary: 'Sign in with email and password',
+  description: 'Returns a custom token to exchange for a Firebase session, or an MFA token when a second step is needed. Failed attempts are counted per login email.',
+  security: 'public',
+  request: {
+    body: z.object({
+      email: z.string().min(1, 'Email is required'),
+      password: z.string().min(1, 'Password is required')
+    }).strict()
+  },
+  responses: {
+    200: {
+      description: 'Signed in, or a second factor is required',
+      schema: z.union([
+        z.object({ customToken: z.string() }),
+        z.object({
+          mfaRequired: z.literal(true),
+          mfaEnrollmentRequired: z.boolean(),
+          mfaToken: z.string()
+        })
+      ])
+    },
+    423: { description: 'Login email temporarily locked', schema: lockedResponseSchema }
+  }
+};
+
+export const startLoginMfaEnrollment = {
+  method: 'post',
+  path: '/api/login/mfa/enroll',
+  tags: ['Sign-in'],
+  summary: 'Start the two-factor enrolment a role requires before sign-in completes',
+  security: 'public',
+  request: {
+    body: z.object({ mfaToken: z.string().min(1) }).strict()
+  },
+  responses: {
+    200: { description: 'QR code and secret to add to an authenticator app', schema: mfaEnrollmentSchema }
+  }
+};
+
+export const verifyLoginMfa = {
+  method: 'post',
+  path: '/api/login/mfa',
+  tags: ['Sign-in'],
+  summary: 'Complete sign-in with an authenticator or recovery code',
+  security: 'public',
+  request: {
+    body: z.object({
+      mfaToken: z.string().min(1),
+      code: z.string().optional(),
+      recoveryCode: z.string().optional()
+    }).strict()
+  },
+  responses: {
+    200: {
+      description: 'Signed in. Recovery codes are returned once when this step confirmed a new enrolment.',
+      schema: z.object({
+        customToken: z.string(),
+        recoveryCodes: z.array(z.string()).optional(),
+        recoveryCodeUsed: z.literal(true).optional()
+      })
+    },
+    423: { description: 'Login email temporarily locked', schema: lockedResponseSchema }
+  }
+};
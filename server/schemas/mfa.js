@@ -0,0 +1,136 @@
+import { z } from 'zod';
+import { ROLES } from '../middleware/auth.js';
+import { isoDateSchema, messageResponseSchema, userRoleSchema } from './common.js';
+import { mfaEnrollmentSchema } from './login.js';
+
+// Operations under /api/mfa - the signed-in user's second factor and the role policy
+
+const codeBodySchema = z.object({
+  code: z.string().min(1, 'A verification code is required')
+}).strict();
+
+const mfaPolicySchema = z.object({
+  requiredRoles: z.array(userRoleSchema)
+});
+
+export const getMfaStatus = {
+  method: 'get',
+  path: '/api/mfa/status',
+  tags: ['Two-factor authentication'],
+  summary: "Current user's two-factor status",
+  security: 'idToken',
+  responses: {
+    200: {
+      description: 'Two-factor status',
+      schema: z.object({
+        enabled: z.boolean(),
+        enrolledAt: isoDateSchema.nullable(),
+        recoveryCodesRemaining: z.number().int(),
+        eligible: z.boolean(),
+        required: z.boolean()
+      })
+    }
+  }
+};
+
+export const startMfaEnrollment = {
+  method: 'post',
+  path: '/api/mfa/enroll',
+  tags: ['Two-factor authentication'],
+  summary: 'Start enrolment',
+  security: 'idToken',
+  roles: [ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MODERATOR],
+  responses: {
+    200: { description: 'QR code and secret to add to an authenticator app', schema: mfaEnrollmentSchema }
+  }
+};
+
+export const confirmMfaEnrollment = {
+  method: 'post',
+  path: '/api/mfa/enroll/verify',
+  tags: ['Two-factor authentication'],
+  summary: 'Confirm enrolment with a first code',
+  description: 'Replaces the current session with one that carries the mfa claim; sign in with the returned custom token.',
+  security: 'idToken',
+  roles: [ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MODERATOR],
+  request: { body: codeBodySchema },
+  responses: {
+    200: {
+      description: 'Enrolled',
+      schema: z.object({ recoveryCodes: z.array(z.string()), customToken: z.string() })
+    }
+  }
+};
+
+export const regenerateRecoveryCodes = {
+  method: 'post',
+  path: '/api/mfa/recovery-codes',
+  tags: ['Two-factor authentication'],
+  summary: 'Replace recovery codes after checking a current code',
+  security: 'idToken',
+  roles: [ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MODERATOR],
+  request: { body: codeBodySchema },
+  responses: {
+    200: { description: 'New recovery codes', schema: z.object({ recoveryCodes: z.array(z.string()) }) }
+  }
+};
+
+export const disableMfa = {
+  method: 'post',
+  path: '/api/mfa/disable',
+  tags: ['Two-factor authentication'],
+  summary: 'Turn off two-factor authentication, unless the role requires it',
+  security: 'idToken',
+  request: {
+    body: z.object({
+      code: z.string().optional(),
+      recoveryCode: z.string().optional()
+    }).strict()
+  },
+  responses: {
+    200: { description: 'Disabled', schema: messageResponseSchema }
+  }
+};
+
+export const resetMfa = {
+  method: 'post',
+  path: '/api/mfa/reset',
+  tags: ['Two-factor authentication'],
+  summary: "Remove another user's second factor",
+  security: 'idToken',
+  roles: [ROLES.SUPER_ADMIN, ROLES.ADMIN],
+  request: {
+    body: z.object({ userId: z.string().min(1, 'User ID is required') }).strict()
+  },
+  responses: {
+    200: { description: 'Reset', schema: messageResponseSchema }
+  }
+};
+
+export const getMfaPolicy = {
+  method: 'get',
+  path: '/api/mfa/policy',
+  tags: ['Two-factor authentication'],
+  summary: 'Roles for which two-factor authentication is mandatory',
+  security: 'idToken',
+  roles: [ROLES.SUPER_ADMIN, ROLES.ADMIN],
+  responses: {
+    200: {
+      description: 'Current policy',
+      schema: mfaPolicySchema.extend({ eligibleRoles: z.array(userRoleSchema) })
+    }
+  }
+};
+
+export const updateMfaPolicy = {
+  method: 'put',
+  path: '/api/mfa/policy',
+  tags: ['Two-factor authentication'],
+  summary: 'Change the roles for which two-factor authentication is mandatory',
+  security: 'idToken',
+  roles: [ROLES.SUPER_ADMIN],
+  request: { body: mfaPolicySchema.strict() },
+  responses: {
+    200: { description: 'Updated policy', schema: mfaPolicySchema }
+  }
+};
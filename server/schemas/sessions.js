@@ -0,0 +1,111 @@
+import { z } from 'zod';
+import { ROLES } from '../middleware/auth.js';
+import { isoDateSchema, messageResponseSchema, pathParams } from './common.js';
+
+// Operations under /api/sessions - recorded sign-ins and remote sign-out
+
+const sessionSchema = z.object({
+  id: z.string(),
+  uid: z.string(),
+  device: z.string().describe('e.g. "Chrome on Windows"'),
+  browser: z.string(),
+  os: z.string(),
+  deviceType: z.enum(['desktop', 'mobile', 'tablet']),
+  userAgent: z.string().nullable(),
+  ip: z.string().nullable().describe('IP at sign-in'),
+  lastSeenIp: z.string().nullable(),
+  mfa: z.boolean().describe('Signed in with a second factor'),
+  status: z.enum(['active', 'signed_out', 'revoked', 'replaced']),
+  createdAt: isoDateSchema.nullable(),
+  lastSeenAt: isoDateSchema.nullable(),
+  current: z.boolean().describe('The session making the request')
+});
+
+const sessionListSchema = z.object({ sessions: z.array(sessionSchema) });
+const revokedCountSchema = z.object({ revoked: z.number().int() });
+
+export const listMySessions = {
+  method: 'get',
+  path: '/api/sessions',
+  tags: ['Sessions'],
+  summary: "Current user's active sessions",
+  security: 'idToken',
+  responses: {
+    200: { description: 'Active sessions, most recently seen first', schema: sessionListSchema }
+  }
+};
+
+export const sessionHeartbeat = {
+  method: 'post',
+  path: '/api/sessions/heartbeat',
+  tags: ['Sessions'],
+  summary: 'Check that the current session is still active',
+  security: 'idToken',
+  responses: {
+    200: {
+      description: 'Session still active; a revoked session gets 401 session_revoked instead',
+      schema: z.object({ sessionId: z.string().nullable(), status: z.literal('active') })
+    }
+  }
+};
+
+export const signOutSession = {
+  method: 'post',
+  path: '/api/sessions/signout',
+  tags: ['Sessions'],
+  summary: 'Mark the current session as signed out',
+  security: 'idToken',
+  responses: {
+    200: { description: 'Signed out', schema: messageResponseSchema }
+  }
+};
+
+export const revokeOtherSessions = {
+  method: 'post',
+  path: '/api/sessions/revoke-others',
+  tags: ['Sessions'],
+  summary: 'Sign out every other device, keeping the current session',
+  security: 'idToken',
+  responses: {
+    200: { description: 'Number of sessions ended', schema: revokedCountSchema }
+  }
+};
+
+export const listUserSessions = {
+  method: 'get',
+  path: '/api/sessions/user/:userId',
+  tags: ['Sessions'],
+  summary: "Another user's active sessions",
+  security: 'idToken',
+  roles: [ROLES.SUPER_ADMIN, ROLES.ADMIN],
+  request: { params: pathParams('userId') },
+  responses: {
+    200: { description: 'Active sessions, most recently seen first', schema: sessionListSchema }
+  }
+};
+
+export const revokeAllUserSessions = {
+  method: 'post',
+  path: '/api/sessions/user/:userId/revoke-all',
+  tags: ['Sessions'],
+  summary: "End all of a user's sessions and revoke their refresh tokens",
+  security: 'idToken',
+  roles: [ROLES.SUPER_ADMIN, ROLES.ADMIN],
+  request: { params: pathParams('userId') },
+  responses: {
+    200: { description: 'Number of sessions ended', schema: revokedCountSchema }
+  }
+};
+
+export const revokeSession = {
+  method: 'post',
+  path: '/api/sessions/:sessionId/revoke',
+  tags: ['Sessions'],
+  summary: 'End a single session',
+  description: "Users may end their own sessions; admins may end anyone's.",
+  security: 'idToken',
+  request: { params: pathParams('sessionId') },
+  responses: {
+    200: { description: 'Session ended, or already ended', schema: messageResponseSchema }
+  }
+};
@@ -0,0 +1,195 @@
+import { z } from 'zod';
+import { ROLES } from '../middleware/auth.js';
+import { DELIVERY_STATUS, WEBHOOK_EVENT_TYPES } from '../services/webhooks.js';
+import { isoDateSchema, messageResponseSchema, pathParams } from './common.js';
+
+// Operations under /api/webhooks - outbound webhook subscriptions and their delivery log
+
+const WEBHOOK_MANAGERS = [ROLES.SUPER_ADMIN, ROLES.ADMIN];
+
+const eventTypeSchema = z.enum(Object.values(WEBHOOK_EVENT_TYPES));
+
+// Plain http is only accepted outside production, for local receivers
+const endpointUrlSchema = z.string().url('Enter a valid URL').refine(
+  url => url.startsWith('https://') || (process.env.NODE_ENV !== 'production' && url.startsWith('http://')),
+  'The URL must use https'
+);
+
+const subscriptionSchema = z.object({
+  id: z.string(),
+  url: z.string(),
+  description: z.string(),
+  events: z.array(eventTypeSchema),
+  active: z.boolean(),
+  createdBy: z.string().nullable(),
+  createdAt: isoDateSchema.nullable(),
+  updatedAt: isoDateSchema.nullable()
+});
+
+const eventSchema = z.object({
+  id: z.string().describe('Same for every delivery of the event, so receivers can ignore repeats'),
+  type: eventTypeSchema,
+  createdAt: isoDateSchema,
+  data: z.record(z.any())
+});
+
+const deliverySchema = z.object({
+  id: z.string(),
+  subscriptionId: z.string(),
+  url: z.string(),
+  eventId: z.string(),
+  eventType: eventTypeSchema,
+  payload: eventSchema,
+  status: z.enum(Object.values(DELIVERY_STATUS)),
+  attempts: z.number().int(),
+  responseStatus: z.number().int().nullable(),
+  responseBody: z.string().nullable().describe('First 1000 characters'),
+  error: z.string().nullable(),
+  redeliveryOf: z.string().nullable().describe('Delivery this one was manually resent from'),
+  createdAt: isoDateSchema.nullable(),
+  lastAttemptAt: isoDateSchema.nullable(),
+  nextAttemptAt: isoDateSchema.nullable().describe('When the next retry is due, while pending'),
+  completedAt: isoDateSchema.nullable()
+});
+
+const secretSchema = z.string().describe('Signing secret. Only returned when the webhook is created or the secret is rotated.');
+
+export const listWebhooks = {
+  method: 'get',
+  path: '/api/webhooks/subscriptions',
+  tags: ['Webhooks'],
+  summary: 'List webhook subscriptions',
+  security: 'idToken',
+  roles: WEBHOOK_MANAGERS,
+  responses: {
+    200: { description: 'Subscriptions', schema: z.object({ subscriptions: z.array(subscriptionSchema) }) }
+  }
+};
+
+export const createWebhook = {
+  method: 'post',
+  path: '/api/webhooks/subscriptions',
+  tags: ['Webhooks'],
+  summary: 'Register an endpoint for some event types',
+  security: 'idToken',
+  roles: WEBHOOK_MANAGERS,
+  request: {
+    body: z.object({
+      url: endpointUrlSchema,
+      description: z.string().trim().max(200).optional(),
+      events: z.array(eventTypeSchema).min(1, 'Choose at least one event')
+    }).strict()
+  },
+  responses: {
+    201: { description: 'Created', schema: z.object({ subscription: subscriptionSchema, secret: secretSchema }) }
+  }
+};
+
+export const updateWebhook = {
+  method: 'patch',
+  path: '/api/webhooks/subscriptions/:subscriptionId',
+  tags: ['Webhooks'],
+  summary: 'Change the URL, description or events of a webhook, or pause it',
+  description: 'Deliveries for a paused webhook fail instead of being sent.',
+  security: 'idToken',
+  roles: WEBHOOK_MANAGERS,
+  request: {
+    params: pathParams('subscriptionId'),
+    body: z.object({
+      url: endpointUrlSchema.optional(),
+      description: z.string().trim().max(200).optional(),
+      events: z.array(eventTypeSchema).min(1, 'Choose at least one event').optional(),
+      active: z.boolean().optional()
+    }).strict()
+  },
+  responses: {
+    200: { description: 'Updated', schema: z.object({ subscription: subscriptionSchema }) }
+  }
+};
+
+export const rotateWebhookSecret = {
+  method: 'post',
+  path: '/api/webhooks/subscriptions/:subscriptionId/rotate-secret',
+  tags: ['Webhooks'],
+  summary: 'Replace the signing secret of a webhook',
+  security: 'idToken',
+  roles: WEBHOOK_MANAGERS,
+  request: { params: pathParams('subscriptionId') },
+  responses: {
+    200: { description: 'The new secret', schema: z.object({ secret: secretSchema }) }
+  }
+};
+
+export const deleteWebhook = {
+  method: 'delete',
+  path: '/api/webhooks/subscriptions/:subscriptionId',
+  tags: ['Webhooks'],
+  summary: 'Delete a webhook',
+  description: 'Its delivery log is kept.',
+  security: 'idToken',
+  roles: WEBHOOK_MANAGERS,
+  request: { params: pathParams('subscriptionId') },
+  responses: {
+    200: { description: 'Deleted', schema: messageResponseSchema }
+  }
+};
+
+export const listWebhookDeliveries = {
+  method: 'get',
+  path: '/api/webhooks/deliveries',
+  tags: ['Webhooks'],
+  summary: 'List webhook deliveries, newest first',
+  security: 'idToken',
+  roles: WEBHOOK_MANAGERS,
+  request: {
+    query: z.object({
+      subscriptionId: z.string().optional(),
+      status: z.enum(Object.values(DELIVERY_STATUS)).optional(),
+      cursor: z.string().optional().describe('nextCursor from the previous page'),
+      limit: z.coerce.number().int().min(1).max(100).optional()
+    }).strict()
+  },
+  responses: {
+    200: {
+      description: 'A page of deliveries',
+      schema: z.object({ deliveries: z.array(deliverySchema), nextCursor: z.string().nullable() })
+    }
+  }
+};
+
+export const redeliverWebhook = {
+  method: 'post',
+  path: '/api/webhooks/deliveries/:deliveryId/redeliver',
+  tags: ['Webhooks'],
+  summary: 'Send a delivery\'s event again',
+  description: 'Creates a new delivery of the same event to the same webhook and waits for its first attempt. Failed attempts are retried as usual.',
+  security: 'idToken',
+  roles: WEBHOOK_MANAGERS,
+  request: { params: pathParams('deliveryId') },
+  responses: {
+    200: { description: 'The new delivery', schema: z.object({ delivery: deliverySchema }) }
+  }
+};
+
+export const emitWebhookEvent = {
+  method: 'post',
+  path: '/api/webhooks/events',
+  tags: ['Webhooks'],
+  summary: 'Report a change the admin panel made directly in Firestore',
+  description: 'The server reads the record, checks it is in the reported state and sends the event to subscribed webhooks. Reporting the same change again has no effect.',
+  security: 'idToken',
+  roles: [ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MODERATOR, ROLES.ADVISOR],
+  request: {
+    body: z.object({
+      type: eventTypeSchema,
+      entityId: z.string().min(1),
+      previousStatus: z.string().optional().describe('The lead\'s status before the change, for lead.status_changed')
+    }).strict()
+  },
+  responses: {
+    202: {
+      description: 'Accepted. eventId is null if the change had already been reported.',
+      schema: z.object({ eventId: z.string().nullable(), deliveries: z.number().int() })
+    }
+  }
+};
@@ -0,0 +1,132 @@
+import crypto from 'crypto';
+import admin from '../firebase/admin.js';
+
+export const API_KEYS_COLLECTION = 'api_keys';
+
+// Keys look like bo_<43 characters>; the prefix makes leaked keys easy to recognise
+const KEY_PREFIX = 'bo_';
+
+// lastUsedAt is written at most this often per key
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+
+// Keys per user, so a script cannot mint them without limit
+const MAX_KEYS_PER_USER = 10;
+
+/**
+ * Error raised when an API key operation cannot proceed.
+ * Routes turn it into `{ error, code }` with the given HTTP status.
+ */
+export class ApiKeyError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Only the hash is stored, and it doubles as the document ID so lookups are a single read
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const keyRef = (keyId) => admin.firestore().collection(API_KEYS_COLLECTION).doc(keyId);
+
+const toApiKey = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    name: data.name,
+    hint: data.hint,
+    userId: data.userId,
+    createdAt: data.createdAt?.toDate().toISOString() || null,
+    lastUsedAt: data.lastUsedAt?.toDate().toISOString() || null,
+    revokedAt: data.revokedAt?.toDate().toISOString() || null
+  };
+};
+
+/**
+ * Issue a new API key that acts as the given user
+ * @param user The owner, from req.user
+ * @param name Label shown in the key list, e.g. "CRM sync"
+ * @returns The stored key and the plain key, which is only ever returned here
+ */
+export const createApiKey = async (user, name) => {
+  const active = await listApiKeys(user.id);
+  if (active.length >= MAX_KEYS_PER_USER) {
+    throw new ApiKeyError(`You can have up to ${MAX_KEYS_PER_USER} active API keys. Revoke one first.`, 409, 'too_many_keys');
+  }
+
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const ref = keyRef(hashKey(key));
+
+  await ref.set({
+    name,
+    hint: `${key.slice(0, KEY_PREFIX.length + 4)}…${key.slice(-4)}`,
+    userId: user.id,
+    uid: user.uid,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    lastUsedAt: null,
+    revokedAt: null
+  });
+
+  return { apiKey: toApiKey(await ref.get()), key };
+};
+
+/**
+ * List a user's keys that have not been revoked, newest first
+ */
+export const listApiKeys = async (userId) => {
+  const snapshot = await admin.firestore()
+    .collection(API_KEYS_COLLECTION)
+    .where('userId', '==', userId)
+    .where('revokedAt', '==', null)
+    .get();
+
+  return snapshot.docs
+    .map(toApiKey)
+    .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+};
+
+/**
+ * Get a single key
+ * @throws ApiKeyError if it does not exist
+ */
+export const getApiKey = async (keyId) => {
+  const doc = await keyRef(keyId).get();
+  if (!doc.exists) {
+    throw new ApiKeyError('API key not found', 404, 'api_key_not_found');
+  }
+  return toApiKey(doc);
+};
+
+/**
+ * Revoke a key. Requests using it are rejected from then on.
+ * @param revokedBy User ID of whoever revoked it
+ */
+export const revokeApiKey = async (keyId, revokedBy) => {
+  await keyRef(keyId).update({
+    revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+    revokedBy
+  });
+};
+
+/**
+ * Look up the key sent with a request and update its last-used time
+ * @returns The key data, or null if it is unknown or revoked
+ */
+export const verifyApiKey = async (key) => {
+  if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+
+  const ref = keyRef(hashKey(key));
+  const doc = await ref.get();
+  if (!doc.exists) return null;
+
+  const data = doc.data();
+  if (data.revokedAt) return null;
+
+  const lastUsed = data.lastUsedAt?.toMillis() || 0;
+  if (lastUsed + LAST_USED_WRITE_INTERVAL_MS < Date.now()) {
+    await ref.update({ lastUsedAt: admin.firestore.FieldValue.serverTimestamp() });
+  }
+
+  return { ...data, id: doc.id };
+};
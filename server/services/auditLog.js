@@ -0,0 +1,74 @@
+import admin from '../firebase/admin.js';
+import { logger } from './logger.js';
+
+export const AUDIT_COLLECTION = 'audit_logs';
+
+// Entity types that can appear as the target of an audit entry
+export const AUDIT_ENTITY_TYPES = ['user', 'listing', 'commission_structure', 'security_policy', 'webhook', 'moderation_template', 'rating_policy', 'valuation_policy'];
+
+/**
+ * Resolve the caller's IP. Express works it out from X-Forwarded-For, trusting only the hops
+ * our own proxies append (`trust proxy` in index.js), so a client cannot choose it by sending
+ * the header itself
+ */
+export const getClientIp = (req) => req.ip || req.socket?.remoteAddress || null;
+
+// Snapshots are stored as plain JSON so Dates, Timestamps and undefined values never reach Firestore
+const toSnapshot = (value) => {
+  if (value === undefined || value === null) return null;
+  try {
+    return JSON.parse(JSON.stringify(value));
+  } catch (error) {
+    logger.warn('Could not serialise audit snapshot', { reason: error.message });
+    return null;
+  }
+};
+
+/**
+ * Append an entry to the audit log.
+ * Entries are only ever added - nothing in the API updates or deletes them.
+ * Failures are logged and swallowed so the privileged action itself is never rolled back.
+ * @param req Express request carrying req.user from the authenticate middleware
+ * @param event Action name, target entity, optional before/after snapshots and,
+ *   for public routes without req.user, an explicit actor
+ * @returns The new entry ID, or null if it could not be written
+ */
+export const recordAuditEvent = async (req, {
+  action,
+  entityType,
+  entityId,
+  entityLabel = null,
+  before = null,
+  after = null,
+  actor: actorOverride = null
+}) => {
+  try {
+    const actor = actorOverride || req.user || {};
+
+    const entry = {
+      action,
+      actor: {
+        id: actor.id || null,
+        uid: actor.uid || null,
+        name: actor.name || null,
+        role: actor.role || null
+      },
+      target: {
+        type: entityType,
+        id: entityId || null,
+        label: entityLabel
+      },
+      before: toSnapshot(before),
+      after: toSnapshot(after),
+      ip: getClientIp(req),
+      userAgent: req.headers['user-agent'] || null,
+      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    const ref = await admin.firestore().collection(AUDIT_COLLECTION).add(entry);
+    return ref.id;
+  } catch (error) {
+    logger.error(`Failed to record audit event ${action}`, error);
+    return null;
+  }
+};
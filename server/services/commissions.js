@@ -0,0 +1,79 @@
+import admin from '../firebase/admin.js';
+
+/**
+ * Advisor commission structures
+ * One structure per tier in `commission_structures`, read by the admin panel directly and
+ * only changed here, so every change is audited by routes/commissions.js.
+ */
+
+export const COMMISSION_COLLECTION = 'commission_structures';
+
+// Mirrors the CommissionTier enum in src/types/firebase.ts
+export const COMMISSION_TIERS = ['bronze', 'silver', 'gold', 'platinum'];
+
+export class CommissionError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'CommissionError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const commissionsRef = () => admin.firestore().collection(COMMISSION_COLLECTION);
+
+const toIso = (value) => value?.toDate?.().toISOString() ?? null;
+
+const toCommissionStructure = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    tier: data.tier,
+    name: data.name || '',
+    baseRate: data.baseRate ?? 0,
+    thresholds: data.thresholds || [],
+    isActive: data.isActive !== false,
+    description: data.description || '',
+    createdAt: toIso(data.createdAt),
+    updatedAt: toIso(data.updatedAt)
+  };
+};
+
+/**
+ * Create or replace the structure of a tier
+ * @param tier One of COMMISSION_TIERS
+ * @param structure name, baseRate, thresholds, isActive and description
+ * @returns The structure before (null when new) and after the change
+ */
+export const saveCommissionStructure = async (tier, structure) => {
+  const snapshot = await commissionsRef().where('tier', '==', tier).limit(1).get();
+  const existing = snapshot.docs[0] || null;
+  const ref = existing ? existing.ref : commissionsRef().doc();
+
+  await ref.set({
+    ...structure,
+    tier,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    ...(!existing && { createdAt: admin.firestore.FieldValue.serverTimestamp() })
+  }, { merge: true });
+
+  return {
+    before: existing ? toCommissionStructure(existing) : null,
+    after: toCommissionStructure(await ref.get())
+  };
+};
+
+/**
+ * Delete a structure
+ * @returns The deleted structure
+ * @throws CommissionError 404 if there is no such structure
+ */
+export const deleteCommissionStructure = async (id) => {
+  const doc = id.includes('/') ? null : await commissionsRef().doc(id).get();
+  if (!doc?.exists) {
+    throw new CommissionError('Commission structure not found', 404, 'commission_not_found');
+  }
+
+  await doc.ref.delete();
+  return toCommissionStructure(doc);
+};
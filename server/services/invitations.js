@@ -0,0 +1,189 @@
+import crypto from 'crypto';
+import admin from '../firebase/admin.js';
+import { escapeHtml, sendMail } from './mailer.js';
+import { validatePassword } from './passwordPolicy.js';
+
+export const INVITATIONS_COLLECTION = 'invitations';
+
+const DEFAULT_TTL_HOURS = 72;
+
+const getTtlHours = () => parseInt(process.env.INVITE_TTL_HOURS, 10) || DEFAULT_TTL_HOURS;
+
+/**
+ * Error raised for invalid, expired or already used invitation tokens.
+ * Routes turn it into `{ error, code }` with the given HTTP status.
+ */
+export class InvitationError extends Error {
+  constructor(message, status, code, details) {
+    super(message);
+    this.name = 'InvitationError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Only the SHA-256 of a token is stored, so a leaked invitations collection cannot be redeemed
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Revoke every pending invitation for an auth user
+ * @param uid Firebase Auth UID
+ * @returns Number of invitations revoked
+ */
+export const revokeInvitations = async (uid) => {
+  const pendingSnapshot = await admin.firestore()
+    .collection(INVITATIONS_COLLECTION)
+    .where('uid', '==', uid)
+    .where('status', '==', 'pending')
+    .get();
+
+  if (pendingSnapshot.empty) return 0;
+
+  const batch = admin.firestore().batch();
+  pendingSnapshot.docs.forEach(doc => {
+    batch.update(doc.ref, {
+      status: 'revoked',
+      revokedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  });
+  await batch.commit();
+
+  return pendingSnapshot.size;
+};
+
+/**
+ * Create a single-use set-password invitation, revoking any earlier pending ones
+ * @param invitee Auth UID, login email, contact email and name of the new account
+ * @param createdBy ID of the admin issuing the invitation
+ * @returns The raw token (never stored) and its expiry
+ */
+export const createInvitation = async ({ uid, loginEmail, email, name }, createdBy = null) => {
+  await revokeInvitations(uid);
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + getTtlHours() * 60 * 60 * 1000);
+
+  await admin.firestore().collection(INVITATIONS_COLLECTION).doc(hashToken(token)).set({
+    uid,
+    loginEmail,
+    email,
+    name,
+    status: 'pending',
+    createdBy,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    expiresAt: admin.firestore.Timestamp.fromDate(expiresAt)
+  });
+
+  return { token, expiresAt };
+};
+
+/**
+ * Email the set-password link for an invitation to the invitee's contact address
+ */
+export const sendInvitationEmail = async ({ email, name, loginEmail, token, expiresAt }) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  const link = `${frontendUrl}/set-password?token=${encodeURIComponent(token)}`;
+  const expiry = expiresAt.toUTCString();
+
+  await sendMail({
+    to: email,
+    subject: 'Set up your Business Options admin account',
+    text: [
+      `Hi ${name},`,
+      '',
+      'An account has been created for you on the Business Options admin panel.',
+      `Your login email is: ${loginEmail}`,
+      '',
+      'Choose your password using the link below:',
+      link,
+      '',
+      `This link can be used once and expires on ${expiry}.`,
+      'If you were not expecting this email, you can ignore it.'
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>An account has been created for you on the Business Options admin panel.</p>
+      <p>Your login email is: <strong>${escapeHtml(loginEmail)}</strong></p>
+      <p><a href="${link}">Choose your password</a></p>
+      <p>This link can be used once and expires on ${expiry}.<br>
+      If you were not expecting this email, you can ignore it.</p>
+    `
+  });
+};
+
+/**
+ * Look up a pending invitation by its raw token
+ * @throws InvitationError when the token is unknown, used, revoked or expired
+ */
+export const getInvitation = async (token) => {
+  if (!token || typeof token !== 'string') {
+    throw new InvitationError('Invitation token is required', 400, 'missing_token');
+  }
+
+  const invitationRef = admin.firestore().collection(INVITATIONS_COLLECTION).doc(hashToken(token));
+  const invitationDoc = await invitationRef.get();
+
+  return { ref: invitationRef, ...assertRedeemable(invitationDoc) };
+};
+
+/**
+ * Set the invitee's password and mark the invitation as used
+ * @param token Raw invitation token from the emailed link
+ * @param password New password, checked against the password policy
+ * @returns The accepted invitation's data
+ * @throws InvitationError for invalid tokens or passwords that fail the policy
+ */
+export const acceptInvitation = async (token, password) => {
+  const invitation = await getInvitation(token);
+
+  const policyErrors = validatePassword(password, {
+    name: invitation.name,
+    loginEmail: invitation.loginEmail
+  });
+  if (policyErrors.length > 0) {
+    throw new InvitationError(policyErrors[0], 400, 'weak_password', policyErrors);
+  }
+
+  // Claim the invitation inside a transaction so two concurrent requests cannot both redeem it
+  await admin.firestore().runTransaction(async (transaction) => {
+    const invitationDoc = await transaction.get(invitation.ref);
+    assertRedeemable(invitationDoc);
+    transaction.update(invitation.ref, {
+      status: 'accepted',
+      acceptedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  });
+
+  try {
+    await admin.auth().updateUser(invitation.uid, { password });
+  } catch (error) {
+    // Give the token back so the invitee can retry once the problem is fixed
+    await invitation.ref.update({ status: 'pending', acceptedAt: null });
+    throw error;
+  }
+
+  return invitation;
+};
+
+const assertRedeemable = (invitationDoc) => {
+  if (!invitationDoc.exists) {
+    throw new InvitationError('This invitation link is invalid', 404, 'invalid_invitation');
+  }
+
+  const data = invitationDoc.data();
+
+  if (data.status === 'accepted') {
+    throw new InvitationError('This invitation link has already been used', 410, 'invitation_used');
+  }
+
+  if (data.status === 'revoked') {
+    throw new InvitationError('This invitation link has been replaced by a newer one', 410, 'invitation_revoked');
+  }
+
+  if (data.expiresAt.toDate() < new Date()) {
+    throw new InvitationError('This invitation link has expired', 410, 'invitation_expired');
+  }
+
+  return data;
+};
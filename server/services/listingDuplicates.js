@@ -0,0 +1,230 @@
+import admin from '../firebase/admin.js';
+import { LISTINGS_COLLECTION, toListing } from './listings.js';
+
+/**
+ * Duplicate listing detection
+ * Each listing stores `duplicateKeys`, its normalized identifiers (name, GST, PAN and registration
+ * numbers, contact email and phone, domain name and image hashes), so listings sharing any of them
+ * can be found with one array query. Listings of the same type in the same city are compared too,
+ * to catch names that were changed slightly. Each candidate is scored from the signals it shares.
+ */
+
+// Candidates scoring at least this are reported as likely duplicates
+export const DUPLICATE_SCORE_THRESHOLD = 0.6;
+
+// How much each shared identifier on its own says the listings are the same; combined below
+const SIGNALS = {
+  gstNumber: { label: 'Same GST number', weight: 0.95 },
+  panNumber: { label: 'Same PAN', weight: 0.85 },
+  registrationNumber: { label: 'Same registration number', weight: 0.9 },
+  domain: { label: 'Same domain name', weight: 0.95 },
+  image: { label: 'Same image', weight: 0.8 },
+  email: { label: 'Same contact email', weight: 0.45 },
+  phone: { label: 'Same contact phone', weight: 0.45 }
+};
+
+// Weight of an identical name; similar names count in proportion to their similarity
+const NAME_WEIGHT = 0.7;
+const MIN_NAME_SIMILARITY = 0.75;
+
+// Firestore allows this many values in one array-contains-any query
+const KEYS_PER_QUERY = 10;
+const MAX_CANDIDATES_PER_QUERY = 50;
+
+// Left out when comparing names: "Acme Foods Pvt. Ltd." and "The Acme Foods" are the same business
+const NAME_STOP_WORDS = new Set([
+  'the', 'and', 'pvt', 'private', 'ltd', 'limited', 'llp', 'llc', 'inc', 'co', 'company', 'corp', 'corporation'
+]);
+
+const listingsRef = () => admin.firestore().collection(LISTINGS_COLLECTION);
+
+/**
+ * Lowercase words of a name without accents, punctuation or company suffixes
+ */
+export const normalizeListingName = (name) => String(name || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .split(' ')
+  .filter(word => word && !NAME_STOP_WORDS.has(word))
+  .join(' ');
+
+// GST, PAN and registration numbers: letters and digits only; anything shorter is a placeholder
+const normalizeIdentifier = (value) => {
+  const normalized = String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return normalized.length >= 5 ? normalized : null;
+};
+
+const normalizeEmail = (value) => {
+  const normalized = String(value || '').trim().toLowerCase();
+  return normalized.includes('@') ? normalized : null;
+};
+
+// Last 10 digits, so +91 98765 43210 and 098765-43210 match
+const normalizePhone = (value) => {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : null;
+};
+
+const normalizeDomain = (value) => {
+  const normalized = String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .split(/[/?#:]/)[0];
+  return normalized.includes('.') ? normalized : null;
+};
+
+/**
+ * Normalized identifiers of a listing as `signal:value` keys, e.g. `gstNumber:27AAPFU0939F1ZV`
+ */
+export const getDuplicateKeys = (listing) => {
+  const business = listing.businessDetails || {};
+  const contact = listing.contactInfo || {};
+  const images = listing.media?.galleryImages || [];
+
+  const keys = [
+    ['name', normalizeListingName(listing.name) || null],
+    ['gstNumber', normalizeIdentifier(business.gstNumber)],
+    ['panNumber', normalizeIdentifier(business.panNumber)],
+    ['registrationNumber', normalizeIdentifier(business.registrationNumber)],
+    ['domain', normalizeDomain(listing.digitalAssetDetails?.technical?.domainName)],
+    ['email', normalizeEmail(contact.email)],
+    ['phone', normalizePhone(contact.phone)],
+    ['phone', normalizePhone(contact.alternatePhone)],
+    ...images.map(image => ['image', image.hash || null])
+  ]
+    .filter(([, value]) => value)
+    .map(([signal, value]) => `${signal}:${value}`);
+
+  return [...new Set(keys)];
+};
+
+// Dice coefficient of the names' letter pairs: 1 for the same name, 0 for nothing in common
+const getNameSimilarity = (a, b) => {
+  const pairs = (text) => {
+    const compact = text.replace(/ /g, '');
+    return Array.from({ length: Math.max(compact.length - 1, 0) }, (_, i) => compact.slice(i, i + 2));
+  };
+
+  const left = pairs(a);
+  const right = pairs(b);
+  if (left.length === 0 || right.length === 0) return a && a === b ? 1 : 0;
+
+  const remaining = [...right];
+  let shared = 0;
+  left.forEach(pair => {
+    const index = remaining.indexOf(pair);
+    if (index !== -1) {
+      shared++;
+      remaining.splice(index, 1);
+    }
+  });
+
+  return (2 * shared) / (left.length + right.length);
+};
+
+/**
+ * How likely two listings are the same, from 0 to 1, and the signals behind it.
+ * Each signal is treated as independent evidence: the score is the chance that
+ * not every one of them is a coincidence.
+ */
+export const scoreDuplicate = (listing, other) => {
+  const keys = new Set(getDuplicateKeys(listing));
+  const otherKeys = getDuplicateKeys(other);
+  const signals = [];
+
+  const sharedSignals = new Set(otherKeys.filter(key => keys.has(key)).map(key => key.split(':')[0]));
+  sharedSignals.delete('name');
+  sharedSignals.forEach(signal => {
+    signals.push({ signal, label: SIGNALS[signal].label, weight: SIGNALS[signal].weight });
+  });
+
+  const similarity = getNameSimilarity(normalizeListingName(listing.name), normalizeListingName(other.name));
+  if (similarity >= MIN_NAME_SIMILARITY) {
+    signals.push({
+      signal: 'name',
+      label: similarity === 1 ? 'Same name' : `Similar name (${Math.round(similarity * 100)}%)`,
+      weight: NAME_WEIGHT * similarity
+    });
+  }
+
+  const score = 1 - signals.reduce((chance, { weight }) => chance * (1 - weight), 1);
+
+  return {
+    score: Math.round(score * 100) / 100,
+    signals: signals
+      .sort((a, b) => b.weight - a.weight)
+      .map(({ signal, label }) => ({ signal, label }))
+  };
+};
+
+// Listings sharing an identifier, plus listings of the same type in the same place
+const findCandidateDocs = async (listing) => {
+  const keys = getDuplicateKeys(listing);
+  const queries = [];
+
+  for (let i = 0; i < keys.length; i += KEYS_PER_QUERY) {
+    queries.push(listingsRef()
+      .where('duplicateKeys', 'array-contains-any', keys.slice(i, i + KEYS_PER_QUERY))
+      .limit(MAX_CANDIDATES_PER_QUERY)
+      .get());
+  }
+
+  const city = listing.location?.city;
+  const state = listing.location?.state;
+  if (city || state) {
+    queries.push(listingsRef()
+      .where('type', '==', listing.type)
+      .where(city ? 'location.city' : 'location.state', '==', city || state)
+      .limit(MAX_CANDIDATES_PER_QUERY)
+      .get());
+  }
+
+  const docs = new Map();
+  (await Promise.all(queries)).forEach(snapshot => {
+    snapshot.docs.forEach(doc => docs.set(doc.id, doc));
+  });
+  return [...docs.values()];
+};
+
+/**
+ * Other listings that are likely the same as this one, most likely first.
+ * Deleted listings, listings already merged away and listings a moderator linked to this one are left out.
+ * @param listing The listing as returned by toListing
+ * @returns `{ listing, score, signals }` for each candidate at or above DUPLICATE_SCORE_THRESHOLD
+ */
+export const findDuplicates = async (listing) => {
+  const linked = new Set(listing.linkedListingIds || []);
+
+  return (await findCandidateDocs(listing))
+    .map(toListing)
+    .filter(other => other.id !== listing.id && !other.isDeleted && !other.mergedInto && !linked.has(other.id))
+    .map(other => ({ listing: other, ...scoreDuplicate(listing, other) }))
+    .filter(({ score }) => score >= DUPLICATE_SCORE_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Recompute a listing's duplicate keys and check, and save both on it.
+ * Run after every create and update, from the API or the admin panel.
+ * @param ref The listing document reference
+ * @returns The saved check and the duplicates found
+ */
+export const refreshDuplicateCheck = async (ref) => {
+  const listing = toListing(await ref.get());
+  const duplicates = listing.mergedInto ? [] : await findDuplicates(listing);
+
+  const duplicateCheck = {
+    score: duplicates[0]?.score || 0,
+    listingIds: duplicates.map(duplicate => duplicate.listing.id),
+    checkedAt: admin.firestore.Timestamp.now()
+  };
+
+  await ref.update({ duplicateKeys: getDuplicateKeys(listing), duplicateCheck });
+
+  return { duplicateCheck: { ...duplicateCheck, checkedAt: duplicateCheck.checkedAt.toDate().toISOString() }, duplicates };
+};
@@ -0,0 +1,23 @@
+import admin from '../firebase/admin.js';
+import { ListingType } from '../../src/schemas/listingConstants.js';
+import { getFundingRoundSummary } from '../../src/schemas/startupCapTable.js';
+
+/**
+ * Startup funding round
+ * Every startup listing stores `fundingRound`: the round it is raising as worked out by
+ * src/schemas/startupCapTable.js from its funding block, with its post-money valuation, whether
+ * the equity offered matches it and, with a cap table, the price per share and every holder's
+ * dilution. It is worked out again whenever the listing is saved.
+ */
+
+/**
+ * A listing's funding round block, or null for listings without a round to work out
+ * @param listing Listing data after the change
+ * @param now Time in milliseconds
+ */
+export const calculateFundingRound = (listing, now = Date.now()) => {
+  if (listing?.type !== ListingType.STARTUP) return null;
+
+  const summary = getFundingRoundSummary(listing.startupDetails?.funding);
+  return summary && { ...summary, calculatedAt: admin.firestore.Timestamp.fromMillis(now) };
+};
@@ -0,0 +1,201 @@
+import { z } from 'zod';
+import {
+  businessDetailsSchema,
+  digitalAssetDetailsSchema,
+  franchiseDetailsSchema,
+  investorDetailsSchema,
+  listingSchema,
+  startupDetailsSchema
+} from '../../src/schemas/listingSchema.js';
+import { ListingStatus, ListingType } from '../../src/schemas/listingConstants.js';
+import { changeListingStatus, createListing, ListingError, validateNewListing } from './listings.js';
+import { logger } from './logger.js';
+
+/**
+ * Bulk listing import
+ * The admin panel reads a spreadsheet, turns each row into a listing with the columns below
+ * and sends them here in batches: first as a dry run that reports every row's problems,
+ * then for real. Each row is validated and created exactly as createListing does.
+ */
+
+const DETAILS_SCHEMAS = {
+  [ListingType.BUSINESS]: ['businessDetails', businessDetailsSchema],
+  [ListingType.FRANCHISE]: ['franchiseDetails', franchiseDetailsSchema],
+  [ListingType.STARTUP]: ['startupDetails', startupDetailsSchema],
+  [ListingType.INVESTOR]: ['investorDetails', investorDetailsSchema],
+  [ListingType.DIGITAL_ASSET]: ['digitalAssetDetails', digitalAssetDetailsSchema]
+};
+
+// Common fields offered as columns, in template order
+const COMMON_FIELDS = ['name', 'description', 'shortDescription', 'plan', 'location', 'contactInfo'];
+
+// Set by the admin panel from the country, state and city it resolves
+const DERIVED_COLUMNS = ['location.countryName', 'location.stateName', 'location.cityName', 'location.displayLocation'];
+
+// Required by the form but filled in by validateNewListing when left empty
+const DEFAULTED_COLUMNS = ['plan'];
+
+// Names the admin panel resolves to IDs through the industries collection
+const CLASSIFICATION_COLUMNS = [
+  { key: 'classification.industry', label: 'Industry', required: true, kind: 'text' },
+  { key: 'classification.category', label: 'Category', required: true, kind: 'text' },
+  { key: 'classification.subCategories', label: 'Subcategories', required: false, kind: 'list' }
+];
+
+// "annualRevenue" -> "Annual revenue"
+const toLabel = (key) => {
+  const words = key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// The schema under optional, nullable, default, refine and transform wrappers
+const unwrap = (schema) => {
+  let inner = schema;
+  for (;;) {
+    if (inner instanceof z.ZodOptional || inner instanceof z.ZodNullable || inner instanceof z.ZodDefault) {
+      inner = inner._def.innerType;
+    } else if (inner instanceof z.ZodEffects) {
+      inner = inner._def.schema;
+    } else if (inner instanceof z.ZodPipeline) {
+      inner = inner._def.in;
+    } else {
+      return inner;
+    }
+  }
+};
+
+// Whether a nested object may be left out altogether
+const isOptionalObject = (schema) => {
+  let inner = schema;
+  while (inner instanceof z.ZodNullable || inner instanceof z.ZodDefault || inner instanceof z.ZodEffects || inner instanceof z.ZodOptional) {
+    if (inner instanceof z.ZodOptional) return true;
+    inner = inner instanceof z.ZodEffects ? inner._def.schema : inner._def.innerType;
+  }
+  return false;
+};
+
+/**
+ * How a cell is turned into the field's value: text (sent as typed), number, boolean,
+ * date or list (values separated by semicolons), plus the allowed values of enums.
+ * Null for fields a cell cannot hold, such as lists of objects.
+ */
+const getColumnKind = (schema) => {
+  const inner = unwrap(schema);
+
+  if (inner instanceof z.ZodString) return { kind: 'text' };
+  if (inner instanceof z.ZodNumber) return { kind: 'number' };
+  if (inner instanceof z.ZodBoolean) return { kind: 'boolean' };
+  if (inner instanceof z.ZodDate) return { kind: 'date' };
+  if (inner instanceof z.ZodEnum) return { kind: 'text', options: inner.options };
+  if (inner instanceof z.ZodNativeEnum) return { kind: 'text', options: Object.values(inner.enum) };
+  if (inner instanceof z.ZodArray) return unwrap(inner.element) instanceof z.ZodString ? { kind: 'list' } : null;
+  if (inner instanceof z.ZodUnion) {
+    // Numbers in the forms are usually "string or number"; the text is validated as typed
+    const options = inner.options.map(unwrap);
+    if (options.some(option => option instanceof z.ZodString)) return { kind: 'text' };
+    if (options.some(option => option instanceof z.ZodNumber)) return { kind: 'number' };
+    if (options.some(option => option instanceof z.ZodBoolean)) return { kind: 'boolean' };
+  }
+  return null;
+};
+
+const collectColumns = (schema, path, labelPath, required, columns) => {
+  const inner = unwrap(schema);
+
+  if (inner instanceof z.ZodObject) {
+    const childrenRequired = required && !isOptionalObject(schema);
+    Object.entries(inner.shape).forEach(([key, field]) => {
+      collectColumns(field, [...path, key], [...labelPath, toLabel(key)], childrenRequired, columns);
+    });
+    return columns;
+  }
+
+  const key = path.join('.');
+  const kind = getColumnKind(schema);
+  if (kind && !DERIVED_COLUMNS.includes(key)) {
+    columns.push({
+      key,
+      label: labelPath.join(' › '),
+      required: required && !DEFAULTED_COLUMNS.includes(key) && !schema.safeParse(undefined).success,
+      ...kind
+    });
+  }
+  return columns;
+};
+
+/**
+ * Columns of the import template for a listing type: the common fields, the classification
+ * by name and every field of the type's details that fits in a cell, derived from listingSchema
+ * so the template always matches the form's validation
+ * @returns `{ key, label, required, kind, options? }` per column; key is the field's dotted path
+ */
+export const getImportColumns = (type) => {
+  const [detailsField, detailsSchema] = DETAILS_SCHEMAS[type] || [];
+  if (!detailsSchema) {
+    throw new ListingError(`Type must be one of: ${Object.values(ListingType).join(', ')}`, 400, 'invalid_type');
+  }
+
+  const columns = [];
+  COMMON_FIELDS.forEach(field => {
+    collectColumns(listingSchema.shape[field], [field], [toLabel(field)], true, columns);
+    if (field === 'description') columns.push(...CLASSIFICATION_COLUMNS);
+  });
+  collectColumns(detailsSchema, [detailsField], [], true, columns);
+
+  return columns;
+};
+
+const toRowErrors = (error) => {
+  if (error instanceof ListingError) {
+    return Array.isArray(error.details) ? error.details : [{ path: '', message: error.message }];
+  }
+  return [{ path: '', message: 'The listing could not be saved' }];
+};
+
+/**
+ * Validate a batch of listings and, unless it is a dry run, create the valid ones through createListing
+ * @param inputs Listings built from the spreadsheet rows
+ * @param options status (draft or pending) for the created listings; dryRun to only validate
+ * @returns One result per input, in order: `{ index, valid, errors, listingId?, status? }`.
+ *   A listing whose submission for review failed is still created, as a draft, with the error.
+ */
+export const importListings = async (inputs, { status = ListingStatus.DRAFT, dryRun = false }, user) => {
+  const results = [];
+
+  for (const [index, input] of inputs.entries()) {
+    try {
+      validateNewListing(input, user);
+    } catch (error) {
+      if (!(error instanceof ListingError)) throw error;
+      results.push({ index, valid: false, errors: toRowErrors(error) });
+      continue;
+    }
+
+    if (dryRun) {
+      results.push({ index, valid: true, errors: [] });
+      continue;
+    }
+
+    let listing;
+    try {
+      listing = await createListing(input, user);
+    } catch (error) {
+      logger.error('Error importing listing', { index, error });
+      results.push({ index, valid: false, errors: toRowErrors(error) });
+      continue;
+    }
+
+    const result = { index, valid: true, errors: [], listingId: listing.id, status: listing.status };
+    if (status === ListingStatus.PENDING) {
+      try {
+        result.status = (await changeListingStatus(listing.id, { status }, user)).after.status;
+      } catch (error) {
+        logger.error('Error submitting imported listing for review', { listingId: listing.id, error });
+        result.errors = [{ path: 'status', message: `Created as a draft: ${toRowErrors(error)[0].message}` }];
+      }
+    }
+    results.push(result);
+  }
+
+  return results;
+};
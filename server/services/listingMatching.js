@@ -0,0 +1,138 @@
+import admin from '../firebase/admin.js';
+import { ListingStatus, ListingType } from '../../src/schemas/listingConstants.js';
+import { MATCH_MIN_SCORE, MATCHABLE_TYPES, scoreInvestorMatch } from '../../src/schemas/listingMatching.js';
+import { findListingDoc, isStaff, LISTINGS_COLLECTION, ListingError, toListing, toListingSummary } from './listings.js';
+
+/**
+ * Investor matching
+ * Published investor listings are matched with published startups and businesses, and the
+ * reverse, by src/schemas/listingMatching.js. Matches are scored when asked for rather than
+ * stored. The published listings they are scored against are read once per type and kept for
+ * CANDIDATE_TTL_MS. A status change or delete drops its type's entry, but only on the instance
+ * that made it: on other instances, and for edits of published listings, matches can be up to
+ * CANDIDATE_TTL_MS behind.
+ */
+
+export const DEFAULT_MATCH_LIMIT = 10;
+
+const CANDIDATE_TTL_MS = 5 * 60 * 1000;
+
+// Published listings by type: { listings, expiresAt }, where listings is the pending read.
+// One entry per listing type, so the cache stays bounded.
+const candidateCache = new Map();
+
+/**
+ * Drop the cached published listings of a type, so the next matches read them again.
+ * Called when a listing is published, unpublished or deleted.
+ */
+export const forgetMatchCandidates = (type) => {
+  candidateCache.delete(type);
+};
+
+// Every published listing of one type
+const readPublishedListingsOfType = async (type) => {
+  const pageSize = 200;
+  const listings = [];
+  let last = null;
+
+  for (;;) {
+    let query = admin.firestore().collection(LISTINGS_COLLECTION)
+      .where('type', '==', type)
+      .where('status', '==', ListingStatus.PUBLISHED)
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(pageSize);
+    if (last) query = query.startAfter(last);
+    const snapshot = await query.get();
+
+    listings.push(...snapshot.docs.filter(doc => !doc.data().isDeleted).map(toListing));
+
+    if (snapshot.size < pageSize) break;
+    last = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return listings;
+};
+
+// Every published listing of the given types, read at most once per CANDIDATE_TTL_MS. Requests
+// arriving during a read share it; a failed read is not kept.
+const readPublishedListings = async (types, now = Date.now()) => {
+  const lists = await Promise.all(types.map(type => {
+    const cached = candidateCache.get(type);
+    if (cached && cached.expiresAt > now) return cached.listings;
+
+    const listings = readPublishedListingsOfType(type);
+    candidateCache.set(type, { listings, expiresAt: now + CANDIDATE_TTL_MS });
+    listings.catch(() => {
+      if (candidateCache.get(type)?.listings === listings) candidateCache.delete(type);
+    });
+    return listings;
+  }));
+
+  return lists.flat();
+};
+
+// The listing's matches among the candidates, best first. An owner's listings are not
+// suggested to each other.
+const rankMatches = (listing, candidates, { limit, minScore, now }) => candidates
+  .filter(candidate => candidate.id !== listing.id && candidate.ownerId !== listing.ownerId)
+  .map(candidate => {
+    const match = listing.type === ListingType.INVESTOR
+      ? scoreInvestorMatch(listing, candidate, now)
+      : scoreInvestorMatch(candidate, listing, now);
+    return match && { listing: toListingSummary(candidate), ...match };
+  })
+  .filter(match => match && match.score >= minScore)
+  .sort((a, b) => b.score - a.score || a.listing.name.localeCompare(b.listing.name))
+  .slice(0, limit);
+
+/**
+ * Suggested matches for a listing: published startups and businesses for an investor,
+ * published investors for a startup or business
+ * @param slugOrId Listing slug or document ID
+ * @param options { limit, minScore }
+ * @returns Matches as { listing, score, components }, best first
+ * @throws ListingError 400 listing_not_matchable for other listing types
+ */
+export const getListingMatches = async (slugOrId, { limit = DEFAULT_MATCH_LIMIT, minScore = MATCH_MIN_SCORE } = {}, user) => {
+  const listing = toListing(await findListingDoc(slugOrId, user));
+
+  const isInvestor = listing.type === ListingType.INVESTOR;
+  if (!isInvestor && !MATCHABLE_TYPES.includes(listing.type)) {
+    throw new ListingError('Only investor, startup and business listings are matched', 400, 'listing_not_matchable');
+  }
+
+  const now = Date.now();
+  const candidates = await readPublishedListings(isInvestor ? MATCHABLE_TYPES : [ListingType.INVESTOR], now);
+  return rankMatches(listing, candidates, { limit, minScore, now });
+};
+
+/**
+ * The top matches of every published investor listing. Staff only.
+ * @param options { limit, minScore }: limit is per investor
+ * @returns How many investors and listings were matched, and each investor with matches,
+ *   best match first
+ */
+export const getMatchReport = async ({ limit = 5, minScore = MATCH_MIN_SCORE } = {}, user) => {
+  if (!isStaff(user)) {
+    throw new ListingError('Only staff can see the match report', 403, 'forbidden');
+  }
+
+  const now = Date.now();
+  const [investors, listings] = await Promise.all([
+    readPublishedListings([ListingType.INVESTOR], now),
+    readPublishedListings(MATCHABLE_TYPES, now)
+  ]);
+
+  const rows = investors
+    .map(investor => ({ investor: toListingSummary(investor), matches: rankMatches(investor, listings, { limit, minScore, now }) }))
+    .filter(row => row.matches.length)
+    .sort((a, b) => b.matches[0].score - a.matches[0].score);
+
+  return {
+    generatedAt: new Date(now).toISOString(),
+    investorCount: investors.length,
+    listingCount: listings.length,
+    minScore,
+    rows
+  };
+};
@@ -0,0 +1,489 @@
+import admin from '../firebase/admin.js';
+import { ListingPlan, ListingStatus, ListingType } from '../../src/schemas/listingConstants.js';
+import {
+  changeListingStatus,
+  findListingDoc,
+  isManager,
+  isStaff,
+  LISTINGS_COLLECTION,
+  ListingError,
+  toJson,
+  toListing,
+  toListingSummary
+} from './listings.js';
+
+/**
+ * Listing moderation
+ * The queue of pending listings and the state of each one's review, kept on the listing as
+ * `moderation` until it leaves pending:
+ * - claim: the moderator reviewing it, so two never review the same listing. A claim lapses
+ *   CLAIM_MINUTES after the moderator's last change.
+ * - assignee: the moderator an admin has given it to; only they (or an admin) can claim it
+ * - checklist: the review checks of its type ticked so far, by whom and when
+ *
+ * Each listing is due REVIEW_SLA_HOURS after it was submitted, sooner on higher plans. Flags
+ * point moderators at problems found when the listing was saved, such as an asking price far
+ * outside its fair value (services/listingValuation.js).
+ * Rejections can start from a template in the `moderationTemplates` collection.
+ */
+
+export const TEMPLATES_COLLECTION = 'moderationTemplates';
+
+// How long a claim lasts after the moderator's last change to the review
+export const CLAIM_MINUTES = 30;
+
+// Hours from submission to a decision, by plan
+export const REVIEW_SLA_HOURS = Object.freeze({
+  [ListingPlan.PLATINUM]: 4,
+  [ListingPlan.PREMIUM]: 8,
+  [ListingPlan.ADVANCED]: 24,
+  [ListingPlan.BASIC]: 48,
+  [ListingPlan.FREE]: 72
+});
+
+// A review is due soon in the last quarter of its SLA
+const DUE_SOON_FRACTION = 0.25;
+
+// Higher plans first when the queue is sorted by plan
+const PLAN_ORDER = [ListingPlan.PLATINUM, ListingPlan.PREMIUM, ListingPlan.ADVANCED, ListingPlan.BASIC, ListingPlan.FREE];
+
+// Pending listings read for the queue; far more than are ever waiting
+const MAX_QUEUE_SIZE = 500;
+
+const QUEUE_SORTS = {
+  due: (a, b) => Date.parse(a.dueAt) - Date.parse(b.dueAt),
+  oldest: (a, b) => Date.parse(a.submittedAt) - Date.parse(b.submittedAt),
+  plan: (a, b) => PLAN_ORDER.indexOf(a.listing.plan) - PLAN_ORDER.indexOf(b.listing.plan)
+    || Date.parse(a.submittedAt) - Date.parse(b.submittedAt)
+};
+
+const COMMON_CHECKS = [
+  { id: 'description_accurate', label: 'Name and description are accurate, with no contact details or spam', required: true },
+  { id: 'images_appropriate', label: 'Images are appropriate and show what is offered', required: true },
+  { id: 'documents_verified', label: 'Documents are genuine and match the listing', required: true }
+];
+
+/**
+ * What a moderator checks before approving a listing of each type.
+ * Required checks must all be ticked; the others are for the record.
+ */
+export const REVIEW_CHECKLISTS = Object.freeze({
+  [ListingType.BUSINESS]: [
+    ...COMMON_CHECKS,
+    { id: 'financials_plausible', label: 'Revenue, profit and asking price are plausible together', required: true },
+    { id: 'ownership_verified', label: 'The owner is entitled to sell the business', required: false }
+  ],
+  [ListingType.FRANCHISE]: [
+    ...COMMON_CHECKS,
+    { id: 'investment_plausible', label: 'Investment, fees and royalties are plausible for the brand', required: true },
+    { id: 'brand_authorized', label: 'The owner is authorised to offer this franchise', required: true }
+  ],
+  [ListingType.STARTUP]: [
+    ...COMMON_CHECKS,
+    { id: 'funding_plausible', label: 'Amount raised, valuation and equity offered are consistent', required: true },
+    { id: 'team_verified', label: 'Founders and team look genuine', required: false }
+  ],
+  [ListingType.INVESTOR]: [
+    ...COMMON_CHECKS,
+    { id: 'investor_credible', label: 'Identity and investment capacity are credible', required: true }
+  ],
+  [ListingType.DIGITAL_ASSET]: [
+    ...COMMON_CHECKS,
+    { id: 'metrics_verified', label: 'Traffic and revenue are backed by analytics or screenshots', required: true },
+    { id: 'ownership_verified', label: 'The owner controls the domain and accounts', required: true }
+  ]
+});
+
+const listingsRef = () => admin.firestore().collection(LISTINGS_COLLECTION);
+const templatesRef = () => admin.firestore().collection(TEMPLATES_COLLECTION);
+
+/**
+ * The claim on a listing's review, or null if there is none or it has lapsed
+ * @param listing As returned by toListing
+ * @param now Time in milliseconds
+ */
+export const getActiveClaim = (listing, now = Date.now()) => {
+  const claim = listing.moderation?.claim;
+  return claim && Date.parse(claim.expiresAt) > now ? claim : null;
+};
+
+// When the listing was last submitted for review
+const getSubmittedAt = (listing) => {
+  const submission = [...(listing.statusHistory || [])].reverse().find(entry => entry.status === ListingStatus.PENDING);
+  return submission?.timestamp || listing.updatedAt || listing.createdAt;
+};
+
+/**
+ * Where a review stands against its SLA. Same as getSlaStatus in src/services/moderationService.ts.
+ * @returns 'overdue', 'due_soon' in the last quarter of the SLA, or 'on_track'
+ */
+export const getSlaStatus = (dueAt, slaHours, now = Date.now()) => {
+  const remaining = Date.parse(dueAt) - now;
+  if (remaining <= 0) return 'overdue';
+  return remaining <= slaHours * DUE_SOON_FRACTION * 60 * 60 * 1000 ? 'due_soon' : 'on_track';
+};
+
+const getChecklist = (listing) => {
+  const ticked = listing.moderation?.checklist || {};
+  return (REVIEW_CHECKLISTS[listing.type] || COMMON_CHECKS).map(check => ({
+    ...check,
+    checked: Boolean(ticked[check.id]),
+    checkedBy: ticked[check.id]?.checkedBy || null,
+    checkedAt: ticked[check.id]?.checkedAt || null
+  }));
+};
+
+const formatRupees = (value) => `₹${Math.round(value).toLocaleString('en-IN')}`;
+
+// What a moderator should look at more closely
+const getReviewFlags = (listing) => {
+  const flags = [];
+  const { valuation, fundingRound, unitEconomics } = listing;
+
+  if (valuation?.flagged) {
+    flags.push({
+      code: 'price_outside_fair_value',
+      label: valuation.position === 'above' ? 'Asking price far above fair value' : 'Asking price far below fair value',
+      detail: `${formatRupees(valuation.askingPrice)} asked; fair value ${formatRupees(valuation.fairValue.low)} to ${formatRupees(valuation.fairValue.high)} (${valuation.benchmark.label})`
+    });
+  }
+
+  if (fundingRound?.equity && !fundingRound.equity.matches) {
+    const { equityOffered, impliedEquity, postMoney } = fundingRound.equity;
+    flags.push({
+      code: 'equity_offered_mismatch',
+      label: 'Equity offered does not match the round',
+      detail: `${equityOffered}% offered; the amount raised buys ${impliedEquity}% at a post-money valuation of ${formatRupees(postMoney)}`
+    });
+  }
+
+  if (unitEconomics?.breakeven && !unitEconomics.breakeven.matches) {
+    const { stated, computedMonth } = unitEconomics.breakeven;
+    flags.push({
+      code: 'breakeven_mismatch',
+      label: 'Average breakeven does not match the unit economics',
+      detail: computedMonth
+        ? `"${stated}" stated; the projection breaks even in month ${computedMonth}`
+        : `"${stated}" stated; the projection does not break even within five years`
+    });
+  }
+
+  return flags;
+};
+
+/**
+ * A pending listing as shown in the moderation queue
+ * @param listing As returned by toListing
+ */
+export const toQueueItem = (listing, now = Date.now()) => {
+  const slaHours = REVIEW_SLA_HOURS[listing.plan] || REVIEW_SLA_HOURS[ListingPlan.FREE];
+  const submittedAt = getSubmittedAt(listing);
+  const dueAt = new Date(Date.parse(submittedAt) + slaHours * 60 * 60 * 1000).toISOString();
+
+  return {
+    listing: { ...toListingSummary(listing), plan: listing.plan },
+    submittedAt,
+    dueAt,
+    slaHours,
+    slaStatus: getSlaStatus(dueAt, slaHours, now),
+    claim: getActiveClaim(listing, now),
+    assignee: listing.moderation?.assignee || null,
+    checklist: getChecklist(listing),
+    flags: getReviewFlags(listing)
+  };
+};
+
+const assertStaff = (user) => {
+  if (!isStaff(user)) {
+    throw new ListingError('Only moderators can review listings', 403, 'forbidden');
+  }
+};
+
+const assertPending = (listing) => {
+  if (listing.status !== ListingStatus.PENDING) {
+    throw new ListingError(`Only pending listings are reviewed; this one is ${listing.status}`, 409, 'invalid_status');
+  }
+};
+
+const assertClaimedBy = (listing, user, now) => {
+  const claim = getActiveClaim(listing, now);
+  if (claim?.userId !== user.id) {
+    throw new ListingError(
+      claim ? `${claim.userName || 'Another moderator'} is reviewing this listing` : 'Claim the listing before reviewing it',
+      409,
+      claim ? 'review_claimed' : 'claim_required',
+      claim ? { claim } : null
+    );
+  }
+};
+
+const getClaimExpiry = (now) => admin.firestore.Timestamp.fromMillis(now + CLAIM_MINUTES * 60 * 1000);
+
+/**
+ * Change a pending listing's review in a transaction, so two moderators' changes never cross
+ * @param getUpdate Given the listing and the time, checks the change is allowed and returns the fields to update
+ * @returns The listing as a queue item after the change
+ */
+const updateReview = async (slugOrId, user, getUpdate) => {
+  assertStaff(user);
+  const { ref } = await findListingDoc(slugOrId, user);
+
+  await admin.firestore().runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const listing = toListing(doc);
+    assertPending(listing);
+
+    const update = getUpdate(listing, Date.now());
+    if (update) transaction.update(ref, update);
+  });
+
+  return toQueueItem(toListing(await ref.get()));
+};
+
+/**
+ * Pending listings awaiting review
+ * @param filters type and plan (lists), assignee ('me', 'unassigned' or a user ID)
+ *   and sort: 'due' (default; SLA deadline, which weighs age by plan), 'oldest' or 'plan'
+ */
+export const listModerationQueue = async ({ type, plan, assignee, sort = 'due' } = {}, user) => {
+  assertStaff(user);
+
+  const snapshot = await listingsRef()
+    .where('status', '==', ListingStatus.PENDING)
+    .where('isDeleted', '==', false)
+    .limit(MAX_QUEUE_SIZE)
+    .get();
+
+  const now = Date.now();
+  const assigneeId = assignee === 'me' ? user.id : assignee;
+
+  return snapshot.docs
+    .map(toListing)
+    .filter(listing => !type?.length || type.includes(listing.type))
+    .filter(listing => !plan?.length || plan.includes(listing.plan))
+    .filter(listing => {
+      if (!assigneeId) return true;
+      const current = listing.moderation?.assignee?.userId || null;
+      return assigneeId === 'unassigned' ? current === null : current === assigneeId;
+    })
+    .map(listing => toQueueItem(listing, now))
+    .sort(QUEUE_SORTS[sort] || QUEUE_SORTS.due);
+};
+
+/**
+ * Start or continue reviewing a listing. Renews the caller's own claim.
+ * @throws ListingError 409 review_claimed if another moderator holds the claim,
+ *   409 assigned_elsewhere if it is assigned to another moderator and the caller is not an admin
+ */
+export const claimListingReview = (slugOrId, user) => updateReview(slugOrId, user, (listing, now) => {
+  const claim = getActiveClaim(listing, now);
+  if (claim && claim.userId !== user.id) {
+    throw new ListingError(`${claim.userName || 'Another moderator'} is reviewing this listing`, 409, 'review_claimed', { claim });
+  }
+
+  const assignee = listing.moderation?.assignee;
+  if (assignee && assignee.userId !== user.id && !isManager(user)) {
+    throw new ListingError(`This listing is assigned to ${assignee.userName || 'another moderator'}`, 409, 'assigned_elsewhere', { assignee });
+  }
+
+  if (claim) {
+    return { 'moderation.claim.expiresAt': getClaimExpiry(now) };
+  }
+
+  return {
+    'moderation.claim': {
+      userId: user.id,
+      userName: user.name || null,
+      claimedAt: admin.firestore.Timestamp.fromMillis(now),
+      expiresAt: getClaimExpiry(now)
+    }
+  };
+});
+
+/**
+ * Stop reviewing a listing so another moderator can claim it.
+ * Admins can release anyone's claim.
+ */
+export const releaseListingReview = (slugOrId, user) => updateReview(slugOrId, user, (listing, now) => {
+  const claim = getActiveClaim(listing, now);
+  if (!claim) return null;
+
+  if (claim.userId !== user.id && !isManager(user)) {
+    throw new ListingError('Only the moderator reviewing a listing or an admin can release it', 403, 'forbidden');
+  }
+
+  return { 'moderation.claim': null };
+});
+
+/**
+ * Give a listing's review to a moderator, or take it back with a null userId. Admins only.
+ * A claim by anyone but the new assignee is released.
+ * @returns The assignment before and after, and the listing as a queue item
+ * @throws ListingError 400 invalid_assignee if the user is not a moderator or admin
+ */
+export const assignListingReview = async (slugOrId, userId, user) => {
+  if (!isManager(user)) {
+    throw new ListingError('Only admins can assign reviews', 403, 'forbidden');
+  }
+
+  let assignee = null;
+  if (userId) {
+    const userDoc = await admin.firestore().collection('users').doc(userId).get();
+    const reviewer = userDoc.exists ? { ...userDoc.data(), id: userDoc.id } : null;
+    if (!reviewer || !isStaff(reviewer)) {
+      throw new ListingError('Reviews can only be assigned to moderators and admins', 400, 'invalid_assignee');
+    }
+    assignee = {
+      userId: reviewer.id,
+      userName: reviewer.name || null,
+      assignedBy: user.id,
+      assignedAt: admin.firestore.Timestamp.now()
+    };
+  }
+
+  let before = null;
+  const item = await updateReview(slugOrId, user, (listing, now) => {
+    before = listing.moderation?.assignee || null;
+    const claim = getActiveClaim(listing, now);
+    return {
+      'moderation.assignee': assignee,
+      ...(claim && claim.userId !== userId ? { 'moderation.claim': null } : {})
+    };
+  });
+
+  return { before, after: item.assignee, item };
+};
+
+/**
+ * Tick or untick review checks. The caller must hold the claim, which this renews.
+ * @param checks `{ [checkId]: boolean }`
+ * @throws ListingError 400 unknown_check for checks not on the listing type's checklist
+ */
+export const updateReviewChecklist = (slugOrId, checks, user) => updateReview(slugOrId, user, (listing, now) => {
+  assertClaimedBy(listing, user, now);
+
+  const known = getChecklist(listing).map(check => check.id);
+  const unknown = Object.keys(checks).filter(id => !known.includes(id));
+  if (unknown.length > 0) {
+    throw new ListingError(`Not on the ${listing.type} checklist: ${unknown.join(', ')}`, 400, 'unknown_check', { allowed: known });
+  }
+
+  const update = { 'moderation.claim.expiresAt': getClaimExpiry(now) };
+  Object.entries(checks).forEach(([id, checked]) => {
+    update[`moderation.checklist.${id}`] = checked
+      ? { checkedBy: user.id, checkedAt: admin.firestore.Timestamp.fromMillis(now) }
+      : admin.firestore.FieldValue.delete();
+  });
+  return update;
+});
+
+/**
+ * Approve or reject a listing under review. The caller must hold the claim, and approval
+ * needs every required check ticked. A rejection's reason is the given one or the template's.
+ * @param decision `{ decision: 'approve' | 'reject', templateId, reason }`
+ * @returns The listing before and after, as changeListingStatus returns them
+ * @throws ListingError 409 checklist_incomplete, 404 template_not_found
+ */
+export const decideListingReview = async (slugOrId, { decision, templateId = null, reason = null }, user) => {
+  assertStaff(user);
+  const doc = await findListingDoc(slugOrId, user);
+  const listing = toListing(doc);
+  assertPending(listing);
+  assertClaimedBy(listing, user, Date.now());
+
+  if (decision === 'approve') {
+    const missing = getChecklist(listing).filter(check => check.required && !check.checked);
+    if (missing.length > 0) {
+      throw new ListingError('Complete the review checklist before approving', 409, 'checklist_incomplete', {
+        missing: missing.map(check => check.id)
+      });
+    }
+    return changeListingStatus(doc.id, { status: ListingStatus.PUBLISHED, reason: reason?.trim() || null }, user);
+  }
+
+  const template = templateId ? await getTemplateDoc(templateId) : null;
+  const result = await changeListingStatus(
+    doc.id,
+    { status: ListingStatus.REJECTED, reason: reason?.trim() || template?.data().reason || null },
+    user
+  );
+
+  if (template) {
+    await template.ref.update({ useCount: admin.firestore.FieldValue.increment(1) });
+  }
+
+  return result;
+};
+
+const toTemplate = (doc) => ({ ...toJson(doc.data()), id: doc.id });
+
+const getTemplateDoc = async (templateId) => {
+  const doc = templateId.includes('/') ? null : await templatesRef().doc(templateId).get();
+  if (!doc?.exists) {
+    throw new ListingError('Rejection template not found', 404, 'template_not_found');
+  }
+  return doc;
+};
+
+/**
+ * Rejection reason templates, most used first
+ * @param type Only templates for this listing type, including those for every type
+ */
+export const listRejectionTemplates = async (type, user) => {
+  assertStaff(user);
+  const snapshot = await templatesRef().get();
+
+  return snapshot.docs
+    .map(toTemplate)
+    .filter(template => !type || template.types.length === 0 || template.types.includes(type))
+    .sort((a, b) => b.useCount - a.useCount || a.title.localeCompare(b.title));
+};
+
+/**
+ * Save a new rejection template
+ * @param input `{ title, reason, types }`; no types means every type
+ */
+export const createRejectionTemplate = async ({ title, reason, types = [] }, user) => {
+  assertStaff(user);
+
+  const ref = templatesRef().doc();
+  await ref.set({
+    title: title.trim(),
+    reason: reason.trim(),
+    types,
+    useCount: 0,
+    createdBy: user.id,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return toTemplate(await ref.get());
+};
+
+/**
+ * Change a rejection template's title, reason or types
+ * @returns The template before and after
+ */
+export const updateRejectionTemplate = async (templateId, patch, user) => {
+  assertStaff(user);
+  const doc = await getTemplateDoc(templateId);
+
+  const update = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+  if (patch.title !== undefined) update.title = patch.title.trim();
+  if (patch.reason !== undefined) update.reason = patch.reason.trim();
+  if (patch.types !== undefined) update.types = patch.types;
+  await doc.ref.update(update);
+
+  return { before: toTemplate(doc), after: toTemplate(await doc.ref.get()) };
+};
+
+/**
+ * Delete a rejection template. Rejections made with it keep their reason.
+ * @returns The deleted template
+ */
+export const deleteRejectionTemplate = async (templateId, user) => {
+  assertStaff(user);
+  const doc = await getTemplateDoc(templateId);
+  await doc.ref.delete();
+  return toTemplate(doc);
+};
@@ -0,0 +1,515 @@
+import admin from '../firebase/admin.js';
+import { ListingType } from '../../src/schemas/listingConstants.js';
+import { getImportColumns } from './listingImport.js';
+import { isManager, isStaff, LISTINGS_COLLECTION, ListingError, toJson, toListing } from './listings.js';
+import { logger } from './logger.js';
+
+/**
+ * Listing system rating
+ * Every listing gets a 0-10 score for each component below, computed from its own data only,
+ * so the same listing always rates the same on the same day:
+ * - completeness: the fields of its type's form that are filled in, and its images
+ * - verification: whether a moderator verified it, and its verified documents
+ * - documentation: how many documents it has, financial ones and rejected ones
+ * - engagement: views, contacts and favourites from its analytics
+ * - longevity: time since it was first published, and how recently it was updated
+ * - financials: the figures it discloses and whether they agree with each other
+ * The system rating is their average weighted by the admin-set weights. Each component keeps
+ * the factors it was scored on, with the points each earned, to explain the score.
+ *
+ * Ratings are recalculated whenever a listing is saved, and for every listing each night,
+ * as engagement and longevity change without the listing being saved.
+ */
+
+export const RATING_COMPONENTS = ['completeness', 'verification', 'documentation', 'engagement', 'longevity', 'financials'];
+
+// Percentages of the system rating, until an admin sets others
+export const DEFAULT_RATING_WEIGHTS = Object.freeze({
+  completeness: 35,
+  verification: 20,
+  documentation: 15,
+  engagement: 10,
+  longevity: 10,
+  financials: 10
+});
+
+const SETTINGS_COLLECTION = 'settings';
+const RATING_SETTINGS_DOC = 'listingRating';
+
+// The nightly recalculation runs on the first scheduler pass after this hour (UTC)
+const NIGHTLY_RECALCULATION_HOUR = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Documents that back up the listing's figures, by the types the listing form offers
+const FINANCIAL_DOCUMENT_TYPES = [
+  'financial_summary', 'profit_loss', 'balance_sheet', 'tax_returns',
+  'unit_economics', 'investment_breakdown',
+  'financial_projections', 'cap_table', 'traction_metrics',
+  'portfolio_summary'
+];
+
+const settingsRef = () => admin.firestore().collection(SETTINGS_COLLECTION).doc(RATING_SETTINGS_DOC);
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+// Amounts are stored as numbers, numeric strings or { value } objects, depending on the form
+const toNumber = (value) => {
+  const raw = value !== null && typeof value === 'object' ? value.value : value;
+  const number = typeof raw === 'string' ? parseFloat(raw.replace(/,/g, '')) : Number(raw);
+  return Number.isFinite(number) ? number : null;
+};
+
+const toMillis = (value) => {
+  if (!value) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  const time = value instanceof Date ? value.getTime() : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+};
+
+const isFilled = (value) => value !== null && value !== undefined && value !== ''
+  && !(Array.isArray(value) && value.length === 0);
+
+/**
+ * One thing a component is scored on
+ * @param earned true/false, or the share of maxPoints earned
+ * @param detail What was found, e.g. "2.3× annual revenue"
+ */
+const factor = (label, maxPoints, earned, detail = null) => ({
+  label,
+  points: round(maxPoints * clamp(Number(earned))),
+  maxPoints,
+  ...(detail ? { detail } : {})
+});
+
+// 0 to 1 on a log scale, reaching 1 at target: the first views count more than the thousandth
+const logShare = (value, target) => value > 0 ? Math.log10(1 + value) / Math.log10(1 + target) : 0;
+
+// Whether two amounts agree within a relative tolerance
+const isClose = (actual, expected, tolerance) => actual !== null && expected !== null && expected > 0
+  && Math.abs(actual - expected) <= expected * tolerance;
+
+const isBetween = (value, min, max) => value !== null && value >= min && value <= max;
+
+const formatMultiple = (value) => `${round(value, 1)}×`;
+
+const toScore = (factors) => {
+  const maxPoints = factors.reduce((sum, item) => sum + item.maxPoints, 0);
+  const points = factors.reduce((sum, item) => sum + item.points, 0);
+  return maxPoints > 0 ? round((points / maxPoints) * 10) : 0;
+};
+
+// Classification columns hold names in the import template; the listing stores them in classifications
+const getFieldValue = (listing, key) => {
+  const classification = listing.classifications?.[0];
+  if (key === 'classification.industry') return classification?.industry;
+  if (key === 'classification.category') return classification?.category;
+  if (key === 'classification.subCategories') return classification?.subCategories;
+  return key.split('.').reduce((value, part) => value?.[part], listing);
+};
+
+// Form fields of each type, which do not change while the server runs
+const columnsByType = new Map();
+
+const getFormFields = (type) => {
+  if (!columnsByType.has(type)) {
+    columnsByType.set(type, Object.values(ListingType).includes(type) ? getImportColumns(type) : []);
+  }
+  return columnsByType.get(type);
+};
+
+const scoreCompleteness = (listing) => {
+  const fields = getFormFields(listing.type).filter(field => field.key !== 'plan');
+  const required = fields.filter(field => field.required);
+  const optional = fields.filter(field => !field.required);
+  const filledRequired = required.filter(field => isFilled(getFieldValue(listing, field.key))).length;
+  const filledOptional = optional.filter(field => isFilled(getFieldValue(listing, field.key))).length;
+  const images = listing.media?.galleryImages?.length || 0;
+
+  return [
+    factor('Required fields filled', 6, required.length ? filledRequired / required.length : 0, `${filledRequired} of ${required.length}`),
+    factor('Optional fields filled', 2, optional.length ? filledOptional / optional.length : 0, `${filledOptional} of ${optional.length}`),
+    factor('At least 3 gallery images', 1, images / 3, `${images} ${images === 1 ? 'image' : 'images'}`),
+    factor('Featured image', 1, Boolean(listing.media?.featuredImage?.url))
+  ];
+};
+
+const getDocuments = (listing) => listing.documents?.length ? listing.documents : listing.media?.documents || [];
+
+const scoreVerification = (listing) => {
+  const verified = getDocuments(listing).filter(document => document.verificationStatus === 'verified').length;
+
+  return [
+    factor('Verified by a moderator', 6, Boolean(listing.isVerified)),
+    factor('Verified documents, up to 4', 4, verified / 4, `${verified} verified`)
+  ];
+};
+
+const scoreDocumentation = (listing) => {
+  const documents = getDocuments(listing);
+  const financial = documents.filter(document => FINANCIAL_DOCUMENT_TYPES.includes(document.type)).length;
+  const rejected = documents.filter(document => document.verificationStatus === 'rejected').length;
+
+  return [
+    factor('Documents uploaded, up to 5', 5, documents.length / 5, `${documents.length} uploaded`),
+    factor('Financial or supporting statements', 3, financial > 0, financial ? `${financial} uploaded` : null),
+    factor('No documents rejected in verification', 2, documents.length > 0 && rejected === 0, rejected ? `${rejected} rejected` : null)
+  ];
+};
+
+const scoreEngagement = (listing) => {
+  const analytics = listing.analytics || {};
+  const views = toNumber(analytics.viewCount) || 0;
+  const contacts = toNumber(analytics.contactCount) || 0;
+  const favorites = toNumber(analytics.favoriteCount) || 0;
+
+  return [
+    factor('Views, full marks at 1,000', 4, logShare(views, 1000), `${views} views`),
+    factor('Contact requests, full marks at 50', 4, logShare(contacts, 50), `${contacts} contacts`),
+    factor('Favourites, full marks at 100', 2, logShare(favorites, 100), `${favorites} favourites`)
+  ];
+};
+
+const scoreLongevity = (listing, now) => {
+  const publishedAt = toMillis(listing.publishedAt);
+  const updatedAt = toMillis(listing.updatedAt) ?? toMillis(listing.createdAt) ?? now;
+  const days = publishedAt ? Math.max(0, Math.floor((now - publishedAt) / DAY_MS)) : 0;
+  const sinceUpdate = Math.max(0, Math.floor((now - updatedAt) / DAY_MS));
+
+  return [
+    factor('Time since first published, full marks at a year', 7, days / 365, publishedAt ? `${days} days` : 'Not published yet'),
+    factor('Updated in the last 90 days', 3, sinceUpdate <= 90, `${sinceUpdate} days ago`)
+  ];
+};
+
+const scoreBusinessFinancials = ({ financials = {}, sale = {} }) => {
+  const annual = toNumber(financials.annualRevenue);
+  const monthly = toNumber(financials.monthlyRevenue);
+  const margin = toNumber(financials.profitMargin?.percentage);
+  const price = toNumber(sale.askingPrice);
+  const profit = annual && margin ? annual * (margin / 100) : null;
+
+  return [
+    factor('Annual revenue disclosed', 2, annual > 0),
+    factor('Profit margin disclosed', 1, margin > 0),
+    factor('Asking price disclosed', 1, price > 0),
+    factor('Revenue trend given', 1, Boolean(financials.revenueTrend)),
+    factor('Monthly revenue is about a twelfth of annual revenue', 2, isClose(monthly * 12, annual, 0.35),
+      monthly > 0 && annual > 0 ? `12 months come to ${formatMultiple((monthly * 12) / annual)} annual revenue` : null),
+    factor('Asking price between 0.2× and 5× annual revenue', 2, price > 0 && annual > 0 && isBetween(price / annual, 0.2, 5),
+      price > 0 && annual > 0 ? formatMultiple(price / annual) : null),
+    factor('Asking price between 1× and 15× annual profit', 1, price > 0 && profit > 0 && isBetween(price / profit, 1, 15),
+      price > 0 && profit > 0 ? formatMultiple(price / profit) : null)
+  ];
+};
+
+const scoreFranchiseFinancials = ({ investment = {}, performance = {} }) => {
+  const fee = toNumber(investment.franchiseFee);
+  const total = toNumber(investment.totalInitialInvestment);
+  const royalty = toNumber(investment.royaltyFee);
+  const marketing = toNumber(investment.marketingFee) || 0;
+  const netWorth = toNumber(performance.netWorthRequirement);
+  const liquid = toNumber(performance.liquidCapitalRequired);
+
+  return [
+    factor('Franchise fee disclosed', 1, fee > 0),
+    factor('Total initial investment disclosed', 1, total > 0),
+    factor('Royalty fee disclosed', 1, royalty !== null),
+    factor('Average unit sales disclosed', 1, toNumber(performance.averageUnitSales) > 0),
+    factor('Average breakeven given', 1, Boolean(performance.averageBreakeven)),
+    factor('Total investment covers the franchise fee', 2, fee > 0 && total >= fee),
+    factor('Liquid capital required is within the net worth required', 2, liquid > 0 && netWorth > 0 && liquid <= netWorth),
+    factor('Royalty and marketing fees total 25% or less', 1, royalty !== null && royalty + marketing <= 25,
+      royalty !== null ? `${round(royalty + marketing, 1)}%` : null)
+  ];
+};
+
+const scoreStartupFinancials = ({ funding = {}, market = {} }) => {
+  const amount = toNumber(funding.currentRaisingAmount);
+  const equity = toNumber(funding.equityOffered);
+  const preMoney = toNumber(funding.preMoneyValuation);
+  const marketSize = toNumber(market.marketSize);
+  const monthlyRevenue = toNumber(market.monthlyRevenue);
+  // The stake the raise buys at the stated valuation
+  const impliedEquity = amount > 0 && preMoney > 0 ? (amount / (preMoney + amount)) * 100 : null;
+
+  return [
+    factor('Amount being raised disclosed', 1, amount > 0),
+    factor('Equity offered disclosed', 1, equity > 0),
+    factor('Pre-money valuation disclosed', 1, preMoney > 0),
+    factor('Market size disclosed', 1, marketSize > 0),
+    factor('Monthly revenue disclosed', 1, monthlyRevenue !== null),
+    factor('Equity offered matches amount ÷ post-money valuation', 3, isClose(equity, impliedEquity, 0.2),
+      impliedEquity !== null ? `${round(equity ?? 0, 1)}% offered, ${round(impliedEquity, 1)}% implied` : null),
+    factor('Raising no more than the pre-money valuation', 1, amount > 0 && preMoney > 0 && amount <= preMoney),
+    factor('Market is larger than annual revenue', 1, marketSize > 0 && (monthlyRevenue || 0) * 12 < marketSize)
+  ];
+};
+
+const scoreDigitalAssetFinancials = ({ financials = {}, traffic = {}, sale = {} }) => {
+  const monthly = toNumber(financials.monthlyRevenue);
+  const annual = toNumber(financials.annualRevenue);
+  const margin = toNumber(financials.profitMargin);
+  const price = toNumber(sale.askingPrice);
+  const breakdown = financials.revenueBreakdown;
+  const breakdownTotal = breakdown
+    ? ['advertising', 'affiliates', 'productSales', 'subscriptions', 'other'].reduce((sum, key) => sum + (toNumber(breakdown[key]) || 0), 0)
+    : null;
+
+  return [
+    factor('Monthly revenue disclosed', 1, monthly > 0),
+    factor('Annual revenue disclosed', 1, annual > 0),
+    factor('Profit margin disclosed', 1, margin !== null),
+    factor('Monthly visitors disclosed', 1, toNumber(traffic.monthlyVisitors) > 0),
+    factor('Asking price disclosed', 1, price > 0),
+    factor('Annual revenue is about 12× monthly revenue', 2, isClose(annual, monthly * 12, 0.35),
+      monthly > 0 && annual > 0 ? `${formatMultiple(annual / monthly)} monthly revenue` : null),
+    factor('Asking price between 0.5× and 6× annual revenue', 2, price > 0 && annual > 0 && isBetween(price / annual, 0.5, 6),
+      price > 0 && annual > 0 ? formatMultiple(price / annual) : null),
+    factor('Revenue breakdown adds up to 100%', 1, breakdownTotal !== null && Math.abs(breakdownTotal - 100) <= 1,
+      breakdownTotal ? `${round(breakdownTotal, 1)}%` : null)
+  ];
+};
+
+const scoreInvestorFinancials = ({ investment = {}, focus = {}, portfolio = {} }) => {
+  const minStake = toNumber(investment.preferredEquityStake?.min);
+  const maxStake = toNumber(investment.preferredEquityStake?.max);
+  const portfolioSize = toNumber(portfolio.portfolioSize);
+  const active = toNumber(portfolio.activeInvestments);
+
+  return [
+    factor('Annual investment target disclosed', 2, toNumber(investment.annualInvestmentTarget) > 0),
+    factor('Minimum revenue of targets given', 1, toNumber(focus.minimumRevenue) > 0),
+    factor('Preferred equity stake given', 2, minStake !== null || maxStake !== null),
+    factor('Minimum stake is no more than maximum stake', 3, minStake !== null && maxStake !== null && minStake <= maxStake),
+    factor('Active investments are part of the portfolio', 2, portfolioSize > 0 && active !== null && active <= portfolioSize)
+  ];
+};
+
+const FINANCIAL_SCORERS = {
+  [ListingType.BUSINESS]: ['businessDetails', scoreBusinessFinancials],
+  [ListingType.FRANCHISE]: ['franchiseDetails', scoreFranchiseFinancials],
+  [ListingType.STARTUP]: ['startupDetails', scoreStartupFinancials],
+  [ListingType.DIGITAL_ASSET]: ['digitalAssetDetails', scoreDigitalAssetFinancials],
+  [ListingType.INVESTOR]: ['investorDetails', scoreInvestorFinancials]
+};
+
+const scoreFinancials = (listing) => {
+  const [detailsField, score] = FINANCIAL_SCORERS[listing.type] || [];
+  return score ? score(listing[detailsField] || {}) : [];
+};
+
+/**
+ * Score every component of a listing
+ * @param now Time in milliseconds that age is measured to
+ * @returns `{ [component]: { score, factors } }` with scores from 0 to 10
+ */
+export const scoreListing = (listing, now = Date.now()) => {
+  const factors = {
+    completeness: scoreCompleteness(listing),
+    verification: scoreVerification(listing),
+    documentation: scoreDocumentation(listing),
+    engagement: scoreEngagement(listing),
+    longevity: scoreLongevity(listing, now),
+    financials: scoreFinancials(listing)
+  };
+
+  return Object.fromEntries(RATING_COMPONENTS.map(component => [
+    component,
+    { score: toScore(factors[component]), factors: factors[component] }
+  ]));
+};
+
+/**
+ * Recalculate a listing's rating block, keeping the user ratings (average, count and distribution)
+ * @param listing Listing data after the change
+ * @param existingRating The stored rating, if the listing already exists
+ * @param options weights (percentages by component) and now (milliseconds)
+ */
+export const calculateRating = (listing, existingRating = null, { weights = DEFAULT_RATING_WEIGHTS, now = Date.now() } = {}) => {
+  const scores = scoreListing(listing, now);
+  const totalWeight = RATING_COMPONENTS.reduce((sum, component) => sum + (weights[component] || 0), 0);
+  const systemRating = totalWeight > 0
+    ? RATING_COMPONENTS.reduce((sum, component) => sum + scores[component].score * (weights[component] || 0), 0) / totalWeight
+    : 0;
+
+  return {
+    average: 0,
+    count: 0,
+    distribution: {
+      "0": 0, "1": 0, "2": 0, "3": 0, "4": 0,
+      "5": 0, "6": 0, "7": 0, "8": 0, "9": 0, "10": 0
+    },
+    ...existingRating,
+    systemRating: round(Math.min(10, Math.max(0, systemRating))),
+    ratingComponents: Object.fromEntries(RATING_COMPONENTS.map(component => [component, scores[component].score])),
+    explanation: Object.fromEntries(RATING_COMPONENTS.map(component => [component, scores[component].factors])),
+    weights: { ...weights },
+    calculatedAt: admin.firestore.Timestamp.fromMillis(now)
+  };
+};
+
+// Weights must be whole percentages of every component adding up to 100
+const assertValidWeights = (weights) => {
+  const total = RATING_COMPONENTS.reduce((sum, component) => sum + (weights[component] ?? NaN), 0);
+  if (total !== 100) {
+    throw new ListingError('The rating weights must add up to 100', 400, 'invalid_weights', { total });
+  }
+};
+
+const readSettings = async () => {
+  const doc = await settingsRef().get();
+  const data = doc.exists ? doc.data() : {};
+  const weights = { ...DEFAULT_RATING_WEIGHTS, ...data.weights };
+
+  return {
+    weights,
+    defaultWeights: DEFAULT_RATING_WEIGHTS,
+    updatedAt: toJson(data.updatedAt) || null,
+    updatedBy: data.updatedBy || null,
+    lastRecalculatedAt: toJson(data.lastRecalculatedAt) || null
+  };
+};
+
+/**
+ * The weights ratings are calculated with: the admin-set ones, or the defaults
+ */
+export const getRatingWeights = async () => (await readSettings()).weights;
+
+/**
+ * The rating weights, when they were last changed and when every listing was last recalculated.
+ * Moderators and admins.
+ */
+export const getRatingSettings = async (user) => {
+  if (!isStaff(user)) {
+    throw new ListingError('Only moderators can view the rating settings', 403, 'forbidden');
+  }
+  return readSettings();
+};
+
+/**
+ * Change the rating weights. Admins only. Listings are rated with them when next saved
+ * and in the next nightly recalculation, or at once with recalculateListingRatings.
+ * @param weights Percentages by component, adding up to 100
+ * @returns The settings before and after the change
+ * @throws ListingError 400 invalid_weights
+ */
+export const updateRatingWeights = async (weights, user) => {
+  if (!isManager(user)) {
+    throw new ListingError('Only admins can change the rating weights', 403, 'forbidden');
+  }
+  assertValidWeights(weights);
+
+  const before = await readSettings();
+  await settingsRef().set({
+    weights: Object.fromEntries(RATING_COMPONENTS.map(component => [component, weights[component]])),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedBy: user.id
+  }, { merge: true });
+
+  return { before, after: await readSettings() };
+};
+
+// Same keys in the same order, so ratings read back from Firestore compare equal
+const toComparable = (value) => {
+  if (Array.isArray(value)) return value.map(toComparable);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, toComparable(value[key])]));
+  }
+  return value;
+};
+
+const isSameRating = (a, b) => {
+  const pick = (rating) => JSON.stringify(toComparable({
+    systemRating: rating?.systemRating,
+    ratingComponents: rating?.ratingComponents,
+    explanation: rating?.explanation,
+    weights: rating?.weights
+  }));
+  return pick(a) === pick(b);
+};
+
+// FAILED_PRECONDITION: the listing was changed after it was read
+const isConcurrentChange = (error) => error?.code === 9 || error?.code === 'failed-precondition';
+
+/**
+ * Recalculate a listing's rating and save it if it changed. A listing saved meanwhile is
+ * left alone, as saving it recalculated its rating.
+ * @returns Whether the rating changed
+ */
+const saveRating = async (doc, weights, now) => {
+  const rating = calculateRating(toListing(doc), doc.data().rating, { weights, now });
+  if (isSameRating(doc.data().rating, rating)) return false;
+
+  try {
+    await doc.ref.update({ rating }, { lastUpdateTime: doc.updateTime });
+  } catch (error) {
+    if (isConcurrentChange(error)) return false;
+    throw error;
+  }
+  return true;
+};
+
+/**
+ * Recalculate the rating of every listing that is not deleted
+ * @returns How many listings were rated and how many of their ratings changed
+ */
+export const recalculateAllRatings = async (now = Date.now()) => {
+  const pageSize = 200;
+  const weights = await getRatingWeights();
+  let recalculated = 0;
+  let updated = 0;
+  let last = null;
+
+  for (;;) {
+    let query = admin.firestore().collection(LISTINGS_COLLECTION).orderBy(admin.firestore.FieldPath.documentId()).limit(pageSize);
+    if (last) query = query.startAfter(last);
+    const snapshot = await query.get();
+
+    for (const doc of snapshot.docs) {
+      if (doc.data().isDeleted) continue;
+      recalculated++;
+      if (await saveRating(doc, weights, now)) updated++;
+    }
+
+    if (snapshot.size < pageSize) break;
+    last = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  await settingsRef().set({ lastRecalculatedAt: admin.firestore.Timestamp.fromMillis(now) }, { merge: true });
+  return { recalculated, updated };
+};
+
+/**
+ * Recalculate every listing's rating now, e.g. after changing the weights. Admins only.
+ */
+export const recalculateListingRatings = async (user) => {
+  if (!isManager(user)) {
+    throw new ListingError('Only admins can recalculate all ratings', 403, 'forbidden');
+  }
+  return recalculateAllRatings();
+};
+
+/**
+ * Recalculate every rating once a day, after NIGHTLY_RECALCULATION_HOUR. The day is claimed
+ * in a transaction first, so instances running side by side do it once between them.
+ * @returns How many ratings changed
+ */
+export const runNightlyRatingRecalculation = async (now = Date.now()) => {
+  if (new Date(now).getUTCHours() < NIGHTLY_RECALCULATION_HOUR) return 0;
+
+  const today = new Date(now).toISOString().slice(0, 10);
+  const claimed = await admin.firestore().runTransaction(async (transaction) => {
+    const doc = await transaction.get(settingsRef());
+    if (doc.exists && doc.data().lastNightlyRun === today) return false;
+    transaction.set(settingsRef(), { lastNightlyRun: today }, { merge: true });
+    return true;
+  });
+  if (!claimed) return 0;
+
+  const { recalculated, updated } = await recalculateAllRatings(now);
+  logger.info('Recalculated listing ratings', { recalculated, updated });
+  return updated;
+};
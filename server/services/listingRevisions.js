@@ -0,0 +1,126 @@
+import admin from '../firebase/admin.js';
+import { toJson } from './listings.js';
+
+// Subcollection of each listing document; revisions are only ever added, never changed
+export const REVISIONS_SUBCOLLECTION = 'revisions';
+
+export const REVISION_SOURCES = {
+  // State of a listing created before revisions were kept, saved with its first tracked change
+  BASELINE: 'baseline',
+  CREATED: 'created',
+  UPDATED: 'updated',
+  RESTORED: 'restored'
+};
+
+/**
+ * Fields left out of revisions, as in toRevisionSnapshot in src/services/listingService.ts.
+ * Moderation state, schedule and duplicate checks, ownership and plan have their own history
+ * or audit trail, counters change without an edit, and uploaded images and documents are not versioned.
+ */
+export const REVISION_EXCLUDED_FIELDS = [
+  'id', 'slug', 'status', 'statusReason', 'statusHistory',
+  'publishedAt', 'publishAt', 'expiresAt', 'renewalReminderSentAt',
+  'duplicateKeys', 'duplicateCheck', 'linkedListingIds', 'mergedInto',
+  'ownerId', 'ownerRef', 'ownerName', 'plan', 'planRef',
+  'isVerified', 'isFeatured', 'featuredUntil', 'rating', 'valuation', 'fundingRound', 'unitEconomics', 'reviewCount', 'analytics',
+  'media', 'documents', 'mediaValidation', 'featuredImageIndex',
+  'industryRef', 'categoryRef', 'subCategoryRefs', 'industryRefs', 'tagRefs',
+  'createdAt', 'updatedAt', 'isDeleted', 'deletedAt'
+];
+
+// Drop undefined values so snapshots compare the same however they were built
+const withoutEmpty = (value) => {
+  if (Array.isArray(value)) return value.map(withoutEmpty);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, val]) => val !== undefined)
+        .map(([key, val]) => [key, withoutEmpty(val)])
+    );
+  }
+  return value;
+};
+
+/**
+ * Editable content of a listing as plain JSON
+ */
+export const toRevisionSnapshot = (listing) => withoutEmpty(toJson(Object.fromEntries(
+  Object.entries(listing).filter(([key]) => !REVISION_EXCLUDED_FIELDS.includes(key))
+)));
+
+// Deep comparison treating null and missing values alike
+const isSameValue = (a, b) => {
+  if ((a ?? null) === null || (b ?? null) === null) return (a ?? null) === (b ?? null);
+  if (typeof a !== 'object' || typeof b !== 'object') return a === b;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every(key => isSameValue(a[key], b[key]));
+};
+
+/**
+ * Top-level fields that differ between two snapshots
+ */
+export const getChangedFields = (before, after) => {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...keys].filter(key => !isSameValue(before?.[key], after?.[key])).sort();
+};
+
+/**
+ * Queue the revision for a listing change on a write batch, so it is saved with the change.
+ * Listings without revisions yet first get a baseline of their previous state.
+ * @param batch Firestore write batch that also updates the listing
+ * @param listingRef The listing document
+ * @param change Snapshot before and after, who made it and how
+ * @returns The new revision's ID, or null when no content changed
+ */
+export const addRevisionToBatch = async (batch, listingRef, {
+  before = null,
+  after,
+  source = REVISION_SOURCES.UPDATED,
+  restoredFrom = null,
+  user,
+  previousUpdatedAt = null
+}) => {
+  const changedFields = before ? getChangedFields(before, after) : Object.keys(after).sort();
+  if (before && changedFields.length === 0) return null;
+
+  const revisions = listingRef.collection(REVISIONS_SUBCOLLECTION);
+
+  if (before) {
+    const existing = await revisions.limit(1).get();
+    if (existing.empty) {
+      batch.set(revisions.doc(), {
+        listingId: listingRef.id,
+        source: REVISION_SOURCES.BASELINE,
+        restoredFrom: null,
+        snapshot: before,
+        changedFields: [],
+        createdBy: null,
+        createdByName: null,
+        createdAt: previousUpdatedAt
+          ? admin.firestore.Timestamp.fromDate(new Date(previousUpdatedAt))
+          : admin.firestore.Timestamp.fromMillis(Date.now() - 1)
+      });
+    }
+  }
+
+  const ref = revisions.doc();
+  batch.set(ref, {
+    listingId: listingRef.id,
+    source,
+    restoredFrom,
+    snapshot: after,
+    changedFields,
+    createdBy: user.id,
+    createdByName: user.name || null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return ref.id;
+};
+
+/**
+ * Revision as returned by the API, with the timestamp as an ISO string
+ */
+export const toRevision = (doc) => ({ ...toJson(doc.data()), id: doc.id });
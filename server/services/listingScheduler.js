@@ -0,0 +1,240 @@
+import admin from '../firebase/admin.js';
+import { ListingStatus } from '../../src/schemas/listingConstants.js';
+import { getPublishFields, LISTINGS_COLLECTION, toListing } from './listings.js';
+import { forgetMatchCandidates } from './listingMatching.js';
+import { runNightlyRatingRecalculation } from './listingRating.js';
+import { logger } from './logger.js';
+import { escapeHtml, sendMail } from './mailer.js';
+import { emitListingStatusEvent } from './webhooks.js';
+
+/**
+ * Listing scheduler
+ * Applies the status changes listings are scheduled for: publishes draft and pending listings
+ * whose publishAt has passed, archives published listings whose expiresAt has passed, and emails
+ * owners RENEWAL_REMINDER_DAYS before their listing expires. Each change is written only if the
+ * listing is unchanged since it was read, so instances running side by side never apply it twice.
+ * Once a night it also recalculates every listing's rating. Cloud Scheduler runs it every few
+ * minutes through routes/jobs.js.
+ */
+
+const SCHEDULER_INTERVAL_MS = 5 * 60 * 1000;
+const SCHEDULER_BATCH_SIZE = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const RENEWAL_REMINDER_DAYS = 7;
+
+// updatedBy of the status history entries the scheduler writes
+export const SCHEDULER_ACTOR_ID = 'system';
+
+const listingsRef = () => admin.firestore().collection(LISTINGS_COLLECTION);
+
+// FAILED_PRECONDITION: the listing was changed after it was read
+const isConcurrentChange = (error) => error?.code === 9 || error?.code === 'failed-precondition';
+
+/**
+ * Move a listing read by one of the queries below to a new status
+ * @param doc The listing document as read
+ * @param status New status
+ * @param reason Recorded in the status history
+ * @param getExtraFields Other fields to set, given the change's timestamp
+ * @returns The listing after the change, or null if it changed in the meantime
+ */
+const applyScheduledStatus = async (doc, status, reason, getExtraFields = () => ({})) => {
+  const now = admin.firestore.Timestamp.now();
+
+  try {
+    await doc.ref.update({
+      status,
+      statusReason: null,
+      statusHistory: admin.firestore.FieldValue.arrayUnion({
+        status,
+        timestamp: now,
+        updatedBy: SCHEDULER_ACTOR_ID,
+        reason
+      }),
+      ...getExtraFields(now),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { lastUpdateTime: doc.updateTime });
+  } catch (error) {
+    if (isConcurrentChange(error)) return null;
+    throw error;
+  }
+  forgetMatchCandidates(doc.data().type);
+
+  return toListing(await doc.ref.get());
+};
+
+/**
+ * Publish draft and pending listings whose publish date has passed
+ * @returns Number of listings published
+ */
+export const publishScheduledListings = async () => {
+  // Needs a composite index on (isDeleted, status, publishAt)
+  const snapshot = await listingsRef()
+    .where('isDeleted', '==', false)
+    .where('status', 'in', [ListingStatus.DRAFT, ListingStatus.PENDING])
+    .where('publishAt', '<=', admin.firestore.Timestamp.now())
+    .orderBy('publishAt')
+    .limit(SCHEDULER_BATCH_SIZE)
+    .get();
+
+  let published = 0;
+  for (const doc of snapshot.docs) {
+    const listing = toListing(doc);
+    const after = await applyScheduledStatus(doc, ListingStatus.PUBLISHED, 'Scheduled publish', (now) => getPublishFields(listing, now));
+    if (!after) continue;
+
+    published++;
+    logger.info('Published scheduled listing', { listingId: doc.id });
+
+    await emitListingStatusEvent(after).catch(error => {
+      logger.error('Error emitting listing webhook event', error);
+    });
+  }
+  return published;
+};
+
+/**
+ * Archive published listings whose expiry date has passed
+ * @returns Number of listings archived
+ */
+export const expireListings = async () => {
+  // Needs a composite index on (isDeleted, status, expiresAt)
+  const snapshot = await listingsRef()
+    .where('isDeleted', '==', false)
+    .where('status', '==', ListingStatus.PUBLISHED)
+    .where('expiresAt', '<=', admin.firestore.Timestamp.now())
+    .orderBy('expiresAt')
+    .limit(SCHEDULER_BATCH_SIZE)
+    .get();
+
+  let expired = 0;
+  for (const doc of snapshot.docs) {
+    if (await applyScheduledStatus(doc, ListingStatus.ARCHIVED, 'Expired')) {
+      expired++;
+      logger.info('Archived expired listing', { listingId: doc.id });
+    }
+  }
+  return expired;
+};
+
+const sendRenewalReminderEmail = async (listing) => {
+  const owner = listing.ownerId
+    ? (await admin.firestore().collection('users').doc(listing.ownerId).get()).data()
+    : null;
+  const email = owner?.email || listing.contactInfo?.email;
+
+  if (!email) {
+    logger.warn('No email address for listing renewal reminder', { listingId: listing.id });
+    return false;
+  }
+
+  const name = owner?.name || listing.ownerName || 'there';
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  const link = `${frontendUrl}/listings/${listing.id}`;
+  const expiry = new Date(listing.expiresAt).toUTCString();
+
+  await sendMail({
+    to: email,
+    subject: `Your listing "${listing.name}" expires soon`,
+    text: [
+      `Hi ${name},`,
+      '',
+      `Your listing "${listing.name}" expires on ${expiry} and will then be taken down.`,
+      'Renew it to keep it live for another plan period:',
+      link
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>Your listing <strong>${escapeHtml(listing.name)}</strong> expires on ${expiry} and will then be taken down.</p>
+      <p><a href="${link}">Renew it</a> to keep it live for another plan period.</p>
+    `
+  });
+  return true;
+};
+
+/**
+ * Email the owners of listings expiring within RENEWAL_REMINDER_DAYS, once per expiry date
+ * @returns Number of reminders sent
+ */
+export const sendRenewalReminders = async () => {
+  const now = Date.now();
+  const windowMs = RENEWAL_REMINDER_DAYS * DAY_MS;
+
+  // Same index as expireListings
+  const snapshot = await listingsRef()
+    .where('isDeleted', '==', false)
+    .where('status', '==', ListingStatus.PUBLISHED)
+    .where('expiresAt', '>', admin.firestore.Timestamp.fromMillis(now))
+    .where('expiresAt', '<=', admin.firestore.Timestamp.fromMillis(now + windowMs))
+    .orderBy('expiresAt')
+    .get();
+
+  let sent = 0;
+  for (const doc of snapshot.docs) {
+    const { renewalReminderSentAt, expiresAt } = doc.data();
+
+    // Already reminded about this expiry date; renewing moves it and the window on
+    if (renewalReminderSentAt && renewalReminderSentAt.toMillis() >= expiresAt.toMillis() - windowMs) continue;
+
+    // Claim the reminder before sending so another instance does not send it too
+    try {
+      await doc.ref.update({ renewalReminderSentAt: admin.firestore.Timestamp.now() }, { lastUpdateTime: doc.updateTime });
+    } catch (error) {
+      if (isConcurrentChange(error)) continue;
+      throw error;
+    }
+
+    try {
+      if (await sendRenewalReminderEmail(toListing(doc))) sent++;
+    } catch (error) {
+      logger.error('Error sending listing renewal reminder', { listingId: doc.id, error });
+      // Release the claim so the next run tries again
+      await doc.ref.update({ renewalReminderSentAt: renewalReminderSentAt || null }).catch(() => {});
+    }
+  }
+  return sent;
+};
+
+/**
+ * Run one pass of every scheduled job. A failing job is logged and does not stop the others.
+ * @returns How many listings each job processed, and the jobs that failed
+ */
+export const runListingScheduler = async () => {
+  const jobs = { publishScheduledListings, expireListings, sendRenewalReminders, recalculateRatings: runNightlyRatingRecalculation };
+  const processed = {};
+  const failed = [];
+
+  for (const [name, job] of Object.entries(jobs)) {
+    try {
+      const count = await job();
+      processed[name] = count;
+      if (count > 0) logger.info(`Listing scheduler: ${name} processed ${count}`);
+    } catch (error) {
+      failed.push(name);
+      logger.error(`Error running listing scheduler job ${name}`, error);
+    }
+  }
+
+  return { processed, failed };
+};
+
+/**
+ * Apply scheduled listing changes in the background for as long as the process runs.
+ * Only for servers that keep their CPU between requests, e.g. in development; on Cloud Run,
+ * Cloud Scheduler runs the jobs through POST /api/jobs/listing-scheduler instead.
+ */
+export const startListingScheduler = () => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runListingScheduler();
+    } finally {
+      running = false;
+    }
+  }, SCHEDULER_INTERVAL_MS);
+  timer.unref();
+};
@@ -0,0 +1,381 @@
+import admin from '../firebase/admin.js';
+import { getListingPrice, LISTINGS_COLLECTION, toListing } from './listings.js';
+import { logger } from './logger.js';
+
+/**
+ * Listing search index
+ * Each listing has an entry in `listingSearch`, under the listing's ID, with the words of its
+ * searchable fields and `terms` to find it by: every word, the beginnings of the words of its
+ * short fields (for prefix matching) and every word with one letter left out (for typos: a query
+ * word with a letter missing, added, changed or swapped shares one of these with the word it meant).
+ * Candidates are found with array queries on the terms, narrowed to the caller's listings and
+ * the types searched for, and ranked here by where and how closely each query word matched. Amounts in the query, e.g. "under 50 lakh", filter on the
+ * listing's price instead of matching words.
+ */
+
+export const SEARCH_COLLECTION = 'listingSearch';
+
+// A word matched in the name counts ten times one matched in the description
+const FIELD_WEIGHTS = {
+  name: 10,
+  brand: 8,
+  classification: 5,
+  location: 4,
+  description: 1
+};
+
+const MATCH_WEIGHTS = {
+  exact: 1,
+  prefix: 0.7,
+  typo: 0.5
+};
+
+// Shorter words only match exactly; "in" is not a typo of "inn"
+const MIN_PREFIX_LENGTH = 2;
+const MIN_TYPO_LENGTH = 4;
+const MAX_PREFIX_LENGTH = 12;
+
+// Long descriptions are indexed by their first distinct words, to keep entries small
+const MAX_DESCRIPTION_WORDS = 300;
+
+// Firestore allows this many values in one array-contains-any query
+const TERMS_PER_QUERY = 10;
+const CANDIDATE_PAGE_SIZE = 200;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'in', 'on', 'at', 'to', 'for', 'by', 'with', 'or', 'is', 'are', 'from'
+]);
+
+// Multipliers of the amounts a query can name, in rupees
+const AMOUNT_UNITS = {
+  k: 1e3, thousand: 1e3,
+  l: 1e5, lac: 1e5, lacs: 1e5, lakh: 1e5, lakhs: 1e5,
+  m: 1e6, mn: 1e6, million: 1e6,
+  cr: 1e7, crore: 1e7, crores: 1e7
+};
+
+// "50 lakh" on its own finds prices within this fraction of it
+const AMOUNT_TOLERANCE = 0.25;
+
+const searchRef = () => admin.firestore().collection(SEARCH_COLLECTION);
+
+/**
+ * Lowercase words of a text without accents, punctuation or stop words; "Domino's" is one word
+ */
+export const toSearchWords = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/['’]/g, '')
+  .replace(/&/g, ' and ')
+  .split(/[^a-z0-9]+/)
+  .filter(word => word && !STOP_WORDS.has(word));
+
+const unique = (words) => [...new Set(words)];
+
+// The word with each letter left out in turn
+const getDeletions = (word) => word.length < MIN_TYPO_LENGTH
+  ? []
+  : Array.from({ length: word.length }, (_, i) => word.slice(0, i) + word.slice(i + 1));
+
+const getPrefixes = (word) => Array.from(
+  { length: Math.max(Math.min(word.length - 1, MAX_PREFIX_LENGTH) - MIN_PREFIX_LENGTH + 1, 0) },
+  (_, i) => word.slice(0, MIN_PREFIX_LENGTH + i)
+);
+
+/**
+ * Words of each searchable field of a listing
+ */
+export const getSearchFields = (listing) => {
+  const classifications = listing.classifications || [];
+  const location = listing.location || {};
+
+  return {
+    name: unique(toSearchWords(listing.name)),
+    brand: unique(toSearchWords(listing.franchiseDetails?.franchiseBrand)),
+    classification: unique(classifications.flatMap(c => [
+      ...toSearchWords(c.industryName),
+      ...toSearchWords(c.categoryName),
+      ...(c.subCategoryNames || []).flatMap(toSearchWords)
+    ])),
+    location: unique([
+      ...toSearchWords(location.displayLocation),
+      ...toSearchWords(location.cityName || location.city),
+      ...toSearchWords(location.stateName),
+      ...toSearchWords(location.countryName)
+    ]),
+    description: unique([
+      ...toSearchWords(listing.shortDescription),
+      ...toSearchWords(listing.description)
+    ]).slice(0, MAX_DESCRIPTION_WORDS)
+  };
+};
+
+/**
+ * Terms a listing can be found by: every word and its typo variants, and the prefixes of
+ * every word but the description's
+ */
+const getIndexTerms = (fields) => {
+  const terms = new Set();
+
+  Object.entries(fields).forEach(([field, words]) => {
+    words.forEach(word => {
+      terms.add(word);
+      getDeletions(word).forEach(term => terms.add(term));
+      if (field !== 'description') getPrefixes(word).forEach(term => terms.add(term));
+    });
+  });
+
+  return [...terms];
+};
+
+/**
+ * The search entry of a listing as stored in SEARCH_COLLECTION
+ */
+export const buildSearchEntry = (listing) => {
+  const fields = getSearchFields(listing);
+
+  return {
+    listingId: listing.id,
+    ownerId: listing.ownerId || null,
+    type: listing.type,
+    fields,
+    terms: getIndexTerms(fields),
+    price: getListingPrice(listing),
+    indexedAt: admin.firestore.Timestamp.now()
+  };
+};
+
+// Rebuild the entry from the listing document, or remove it if the listing is deleted or gone
+const syncSearchEntry = async (doc) => {
+  if (!doc.exists || doc.data().isDeleted) {
+    await searchRef().doc(doc.id).delete();
+    return false;
+  }
+
+  await searchRef().doc(doc.id).set(buildSearchEntry(toListing(doc)));
+  return true;
+};
+
+/**
+ * Bring a listing's search entry in line with the listing.
+ * Run after every create, update and delete, from the API or the admin panel.
+ * @param ref The listing document reference
+ * @returns Whether the listing is in the index now
+ */
+export const indexListing = async (ref) => syncSearchEntry(await ref.get());
+
+/**
+ * Rebuild the entry of every listing, e.g. for listings saved before the index existed
+ * @returns How many listings were indexed and how many entries were removed
+ */
+export const rebuildSearchIndex = async () => {
+  const pageSize = 200;
+  let indexed = 0;
+  let removed = 0;
+  let last = null;
+
+  for (;;) {
+    let query = admin.firestore().collection(LISTINGS_COLLECTION).orderBy(admin.firestore.FieldPath.documentId()).limit(pageSize);
+    if (last) query = query.startAfter(last);
+    const snapshot = await query.get();
+
+    for (const doc of snapshot.docs) {
+      if (await syncSearchEntry(doc)) {
+        indexed++;
+      } else {
+        removed++;
+      }
+    }
+
+    if (snapshot.size < pageSize) break;
+    last = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return { indexed, removed };
+};
+
+// An amount, e.g. "50 lakh", "1.5cr" or "₹20k"; the unit is optional in ranges ("10-50 lakh")
+const CURRENCY = '(?:₹|rs\\.?|inr)?\\s*';
+const UNIT = '(k|thousand|lacs?|lakhs?|l|mn|million|m|crores?|cr)';
+const AMOUNT = `${CURRENCY}(\\d+(?:\\.\\d+)?)\\s*${UNIT}?\\b`;
+const RANGE_PATTERN = new RegExp(`${AMOUNT}\\s*(?:-|–|to)\\s*${AMOUNT}`, 'i');
+const BOUND_PATTERN = new RegExp(`\\b(under|below|upto|up to|less than|within|max|over|above|more than|from|min)\\s*${AMOUNT}`, 'i');
+const AMOUNT_PATTERN = new RegExp(`${CURRENCY}\\b(\\d+(?:\\.\\d+)?)\\s*${UNIT}\\b`, 'i');
+const MAX_BOUNDS = ['under', 'below', 'upto', 'up to', 'less than', 'within', 'max'];
+
+const readAmount = (number, unit) => Number(number) * AMOUNT_UNITS[unit.toLowerCase()];
+
+/**
+ * Split a query into the words to match and the price range it names, e.g.
+ * "cafe in pune under 50 lakh" is the words cafe and pune with prices up to 50,00,000.
+ * Plain numbers stay words, so "24 7 fitness" still matches by name.
+ */
+export const parseSearchQuery = (query) => {
+  let text = String(query || '');
+  let priceRange = null;
+
+  const range = text.match(RANGE_PATTERN);
+  const bound = text.match(BOUND_PATTERN);
+  const amount = text.match(AMOUNT_PATTERN);
+
+  if (range && (range[2] || range[4])) {
+    priceRange = {
+      min: readAmount(range[1], range[2] || range[4]),
+      max: readAmount(range[3], range[4] || range[2])
+    };
+    text = text.replace(range[0], ' ');
+  } else if (bound && bound[3]) {
+    const value = readAmount(bound[2], bound[3]);
+    priceRange = MAX_BOUNDS.includes(bound[1].toLowerCase().replace(/\s+/g, ' ')) ? { max: value } : { min: value };
+    text = text.replace(bound[0], ' ');
+  } else if (amount) {
+    const value = readAmount(amount[1], amount[2]);
+    priceRange = { min: value * (1 - AMOUNT_TOLERANCE), max: value * (1 + AMOUNT_TOLERANCE) };
+    text = text.replace(amount[0], ' ');
+  }
+
+  return { words: unique(toSearchWords(text)), priceRange };
+};
+
+// Whether a and b differ by one letter added, left out, changed or two neighbours swapped
+const isOneEditAway = (a, b) => {
+  if (Math.abs(a.length - b.length) > 1 || a === b) return false;
+
+  let i = 0;
+  while (i < a.length && i < b.length && a[i] === b[i]) i++;
+
+  if (a.length === b.length) {
+    const rest = a.slice(i + 1) === b.slice(i + 1);
+    const swapped = a[i] === b[i + 1] && a[i + 1] === b[i] && a.slice(i + 2) === b.slice(i + 2);
+    return rest || swapped;
+  }
+  return a.length > b.length ? a.slice(i + 1) === b.slice(i) : a.slice(i) === b.slice(i + 1);
+};
+
+// How a query word matches a word of a listing, or null
+const matchWord = (queryWord, word, allowPrefix) => {
+  if (word === queryWord) return 'exact';
+  if (allowPrefix && queryWord.length >= MIN_PREFIX_LENGTH && word.startsWith(queryWord)) return 'prefix';
+  if (queryWord.length >= MIN_TYPO_LENGTH && isOneEditAway(queryWord, word)) return 'typo';
+  return null;
+};
+
+/**
+ * How well a search entry matches the query words
+ * @returns The score, how many of the words matched and the fields they matched in
+ */
+export const scoreSearchEntry = (entry, words) => {
+  const fields = new Set();
+  let score = 0;
+  let matched = 0;
+
+  words.forEach(queryWord => {
+    let best = null;
+
+    Object.entries(FIELD_WEIGHTS).forEach(([field, fieldWeight]) => {
+      (entry.fields?.[field] || []).forEach(word => {
+        const match = matchWord(queryWord, word, field !== 'description');
+        const weight = match ? fieldWeight * MATCH_WEIGHTS[match] : 0;
+        if (weight > (best?.weight || 0)) best = { field, weight };
+      });
+    });
+
+    if (best) {
+      score += best.weight;
+      matched++;
+      fields.add(best.field);
+    }
+  });
+
+  return { score: Math.round(score * 100) / 100, matched, fields: [...fields] };
+};
+
+const isInPriceRange = (price, range) => !range
+  || ((range.min === undefined || price >= range.min) && (range.max === undefined || price <= range.max));
+
+// Every document a query finds, a page at a time
+const readAllPages = async (query) => {
+  const docs = [];
+  let last = null;
+
+  for (;;) {
+    const snapshot = await (last ? query.startAfter(last) : query).limit(CANDIDATE_PAGE_SIZE).get();
+    docs.push(...snapshot.docs);
+    if (snapshot.size < CANDIDATE_PAGE_SIZE) break;
+    last = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return docs;
+};
+
+/**
+ * Entries sharing a term with the query words, or priced in its range when it has no words.
+ * All of them are read, so the filters applied to the listings afterwards never lose a match.
+ * @param scope.ownerId Only entries of this owner's listings
+ * @param scope.type Only entries of these listing types
+ */
+const findCandidateEntries = async ({ words, priceRange }, { ownerId, type } = {}) => {
+  // Firestore limits the disjunctions in a query, so several types are only checked here
+  let scoped = searchRef();
+  if (ownerId) scoped = scoped.where('ownerId', '==', ownerId);
+  if (type?.length === 1) scoped = scoped.where('type', '==', type[0]);
+
+  const queries = [];
+
+  if (words.length > 0) {
+    const terms = unique(words.flatMap(word => [word, ...getDeletions(word)]));
+    for (let i = 0; i < terms.length; i += TERMS_PER_QUERY) {
+      queries.push(scoped
+        .where('terms', 'array-contains-any', terms.slice(i, i + TERMS_PER_QUERY))
+        .orderBy(admin.firestore.FieldPath.documentId()));
+    }
+  } else if (priceRange) {
+    let query = scoped;
+    if (priceRange.min !== undefined) query = query.where('price', '>=', priceRange.min);
+    if (priceRange.max !== undefined) query = query.where('price', '<=', priceRange.max);
+    queries.push(query.orderBy('price'));
+  }
+
+  const entries = new Map();
+  (await Promise.all(queries.map(readAllPages))).forEach(docs => {
+    docs.forEach(doc => entries.set(doc.id, doc.data()));
+  });
+  return [...entries.values()].filter(entry => !type?.length || type.includes(entry.type));
+};
+
+/**
+ * Listings matching a search query, best first. Listings matching every word come before
+ * those matching only some, which are only returned when none matches them all.
+ * @param query What the user typed
+ * @param scope.ownerId Only this owner's listings
+ * @param scope.type Only listings of these types
+ * @returns `{ listingId, score, fields }` for each match; fields are where its words matched
+ */
+export const searchListingIndex = async (query, scope) => {
+  const parsed = parseSearchQuery(query);
+  if (parsed.words.length === 0 && !parsed.priceRange) return [];
+
+  const results = (await findCandidateEntries(parsed, scope))
+    .filter(entry => isInPriceRange(entry.price || 0, parsed.priceRange))
+    .map(entry => ({ listingId: entry.listingId, ...scoreSearchEntry(entry, parsed.words) }))
+    .filter(result => parsed.words.length === 0 || result.matched > 0);
+
+  const mostMatched = Math.max(0, ...results.map(result => result.matched));
+
+  return results
+    .filter(result => result.matched === mostMatched)
+    .sort((a, b) => b.score - a.score)
+    .map(({ listingId, score, fields }) => ({ listingId, score, fields }));
+};
+
+/**
+ * Drop search entries whose listing turned out to be deleted, so later searches skip them
+ */
+export const removeStaleSearchEntries = async (listingIds) => {
+  try {
+    await Promise.all(listingIds.map(listingId => searchRef().doc(listingId).delete()));
+  } catch (error) {
+    logger.error('Error removing stale search entries', { listingIds, error });
+  }
+};
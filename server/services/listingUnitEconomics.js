@@ -0,0 +1,24 @@
+import admin from '../firebase/admin.js';
+import { ListingType } from '../../src/schemas/listingConstants.js';
+import { getUnitEconomicsSummary } from '../../src/schemas/franchiseProjection.js';
+
+/**
+ * Franchise unit economics
+ * Every franchise listing stores `unitEconomics`: a unit projected over five years by
+ * src/schemas/franchiseProjection.js from its investment and performance blocks and the
+ * franchisor's assumptions, with the yearly P&L, breakeven month, payback period, IRR and whether
+ * the average breakeven the listing states agrees. It is worked out again whenever the listing
+ * is saved.
+ */
+
+/**
+ * A listing's unit economics block, or null for listings without a unit to project
+ * @param listing Listing data after the change
+ * @param now Time in milliseconds
+ */
+export const calculateUnitEconomics = (listing, now = Date.now()) => {
+  if (listing?.type !== ListingType.FRANCHISE) return null;
+
+  const summary = getUnitEconomicsSummary(listing.franchiseDetails);
+  return summary && { ...summary, calculatedAt: admin.firestore.Timestamp.fromMillis(now) };
+};
@@ -0,0 +1,167 @@
+import admin from '../firebase/admin.js';
+import { ListingType } from '../../src/schemas/listingConstants.js';
+import {
+  calculateBusinessValuation,
+  DEFAULT_VALUATION_BENCHMARK,
+  VALUATION_FLAG_MARGIN
+} from '../../src/schemas/businessValuation.js';
+import { isManager, LISTINGS_COLLECTION, ListingError, toJson, toListing } from './listings.js';
+
+/**
+ * Business listing valuation
+ * Every business listing stores `valuation`: the fair-value range of src/schemas/businessValuation.js
+ * with the benchmark table below, where its asking price falls and whether it is far enough
+ * outside to flag for moderators. It is worked out again whenever the listing is saved and, for
+ * every business listing, whenever an admin changes the benchmarks.
+ */
+
+const SETTINGS_COLLECTION = 'settings';
+const VALUATION_SETTINGS_DOC = 'valuationBenchmarks';
+
+const settingsRef = () => admin.firestore().collection(SETTINGS_COLLECTION).doc(VALUATION_SETTINGS_DOC);
+
+const readSettings = async () => {
+  const doc = await settingsRef().get();
+  const data = doc.exists ? doc.data() : {};
+
+  return {
+    benchmarks: data.benchmarks || [],
+    defaultBenchmark: DEFAULT_VALUATION_BENCHMARK,
+    flagMargin: VALUATION_FLAG_MARGIN,
+    updatedAt: toJson(data.updatedAt) || null,
+    updatedBy: data.updatedBy || null
+  };
+};
+
+/**
+ * The benchmark table listings are valued with
+ */
+export const getValuationBenchmarks = async () => (await readSettings()).benchmarks;
+
+/**
+ * The benchmark table, with the defaults used outside it. Any signed-in user, as the
+ * listing form shows owners the range.
+ */
+export const getValuationSettings = async () => readSettings();
+
+/**
+ * A listing's valuation block, or null for listings that cannot be valued
+ * @param listing Listing data after the change
+ * @param benchmarks Rows of the benchmark table
+ * @param now Time in milliseconds
+ */
+export const calculateValuation = (listing, benchmarks, now = Date.now()) => {
+  const valuation = calculateBusinessValuation(listing, benchmarks);
+  return valuation && { ...valuation, calculatedAt: admin.firestore.Timestamp.fromMillis(now) };
+};
+
+// Both ends of each multiple range must be positive, and low no more than high
+const assertValidBenchmarks = (benchmarks) => {
+  const invalid = benchmarks.filter(({ revenueMultiple, earningsMultiple }) =>
+    [revenueMultiple, earningsMultiple].some(({ low, high }) => !(low > 0) || !(high >= low)));
+  if (invalid.length) {
+    throw new ListingError('Each multiple range needs a low above 0 and a high no lower than it', 400, 'invalid_benchmarks', {
+      rows: invalid.map(({ industry, category }) => ({ industry, category: category || null }))
+    });
+  }
+
+  const keys = benchmarks.map(({ industry, category }) => `${industry}/${category || ''}`);
+  const repeated = keys.filter((key, index) => keys.indexOf(key) !== index);
+  if (repeated.length) {
+    throw new ListingError('Each industry or category can only have one benchmark', 400, 'invalid_benchmarks', {
+      repeated: [...new Set(repeated)]
+    });
+  }
+};
+
+// Same keys in the same order, so valuations read back from Firestore compare equal
+const toComparable = (value) => {
+  if (Array.isArray(value)) return value.map(toComparable);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, toComparable(value[key])]));
+  }
+  return value;
+};
+
+const isSameValuation = (a, b) => {
+  const pick = (valuation) => {
+    if (!valuation) return null;
+    const { calculatedAt, ...rest } = valuation;
+    return toComparable(rest);
+  };
+  return JSON.stringify(pick(a)) === JSON.stringify(pick(b));
+};
+
+// Work out a listing's valuation again and save it if it changed
+const saveValuation = async (doc, benchmarks, now) => {
+  const valuation = calculateValuation(toListing(doc), benchmarks, now);
+  if (isSameValuation(toJson(doc.data().valuation) || null, valuation)) return false;
+
+  await doc.ref.update({ valuation });
+  return true;
+};
+
+/**
+ * Value every business listing that is not deleted again
+ * @returns How many listings were valued and how many valuations changed
+ */
+const revalueBusinessListings = async (benchmarks, now = Date.now()) => {
+  const pageSize = 200;
+  let revalued = 0;
+  let updated = 0;
+  let last = null;
+
+  for (;;) {
+    let query = admin.firestore().collection(LISTINGS_COLLECTION)
+      .where('type', '==', ListingType.BUSINESS)
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(pageSize);
+    if (last) query = query.startAfter(last);
+    const snapshot = await query.get();
+
+    for (const doc of snapshot.docs) {
+      if (doc.data().isDeleted) continue;
+      revalued++;
+      if (await saveValuation(doc, benchmarks, now)) updated++;
+    }
+
+    if (snapshot.size < pageSize) break;
+    last = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return { revalued, updated };
+};
+
+/**
+ * Replace the benchmark table. Admins only. Every business listing is valued again with it.
+ * @param benchmarks Rows of { industry, industryName, category, categoryName, revenueMultiple,
+ *   earningsMultiple }, the multiples as { low, high }; a row without a category covers the
+ *   whole industry
+ * @returns The settings before and after the change, and how many listings were valued again
+ * @throws ListingError 400 invalid_benchmarks
+ */
+export const updateValuationBenchmarks = async (benchmarks, user) => {
+  if (!isManager(user)) {
+    throw new ListingError('Only admins can change the valuation benchmarks', 403, 'forbidden');
+  }
+  assertValidBenchmarks(benchmarks);
+
+  const rows = benchmarks.map(({ industry, industryName, category, categoryName, revenueMultiple, earningsMultiple }) => ({
+    industry,
+    industryName: industryName || '',
+    category: category || null,
+    categoryName: category ? categoryName || '' : '',
+    revenueMultiple: { low: revenueMultiple.low, high: revenueMultiple.high },
+    earningsMultiple: { low: earningsMultiple.low, high: earningsMultiple.high }
+  }));
+
+  const before = await readSettings();
+  await settingsRef().set({
+    benchmarks: rows,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedBy: user.id
+  }, { merge: true });
+
+  const { revalued, updated } = await revalueBusinessListings(rows);
+  return { before, after: await readSettings(), revalued, updated };
+};
@@ -0,0 +1,1169 @@
+import crypto from 'crypto';
+import admin from '../firebase/admin.js';
+import { ROLES } from '../middleware/auth.js';
+import { listingSchema, migrateListingData } from '../../src/schemas/listingSchema.js';
+import { getListingCompleteness } from '../../src/schemas/listingCompleteness.js';
+import { LISTING_PLAN_DURATION_DAYS, ListingPlan, ListingStatus, ListingType } from '../../src/schemas/listingConstants.js';
+import { hasMatchingTerritory } from '../../src/schemas/franchiseTerritories.js';
+import { refreshDuplicateCheck } from './listingDuplicates.js';
+import { getActiveClaim } from './listingModeration.js';
+import { geocodeLocation, getDistanceKm, getGeoFields, getGeohashPrefixes } from '../../src/schemas/geo.js';
+import { calculateRating, getRatingWeights } from './listingRating.js';
+import { calculateValuation, getValuationBenchmarks } from './listingValuation.js';
+import { calculateFundingRound } from './listingFundingRound.js';
+import { calculateUnitEconomics } from './listingUnitEconomics.js';
+import { forgetMatchCandidates } from './listingMatching.js';
+import { indexListing, rebuildSearchIndex, removeStaleSearchEntries, searchListingIndex } from './listingSearch.js';
+import {
+  addRevisionToBatch,
+  getChangedFields,
+  REVISION_SOURCES,
+  REVISIONS_SUBCOLLECTION,
+  toRevision,
+  toRevisionSnapshot
+} from './listingRevisions.js';
+import { logger } from './logger.js';
+
+export const LISTINGS_COLLECTION = 'listings';
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+// Filters Firestore cannot combine in one query are applied after fetching, so a page
+// may need several reads. Stop after this many and hand back a cursor instead.
+const MAX_SCAN_BATCHES = 5;
+
+// Set by the server or by dedicated endpoints, never through POST or PATCH
+const READ_ONLY_FIELDS = [
+  'id', 'slug', 'status', 'statusReason', 'statusHistory',
+  'ownerId', 'ownerRef', 'ownerName',
+  'isVerified', 'isFeatured', 'featuredUntil',
+  'rating', 'valuation', 'fundingRound', 'unitEconomics', 'reviewCount', 'analytics', 'media', 'documents',
+  'createdAt', 'updatedAt', 'publishedAt', 'isDeleted', 'deletedAt', 'industryRefs', 'renewalReminderSentAt',
+  'duplicateKeys', 'duplicateCheck', 'linkedListingIds', 'mergedInto', 'moderation'
+];
+
+// Only moderators decide when a listing goes live or comes down
+const SCHEDULE_FIELDS = ['publishAt', 'expiresAt'];
+
+// Moderation decides what goes live; owners can only move their own listings between these
+const OWNER_STATUSES = [ListingStatus.DRAFT, ListingStatus.PENDING, ListingStatus.ARCHIVED];
+
+// Allowed status changes, from -> to
+export const STATUS_TRANSITIONS = {
+  [ListingStatus.DRAFT]: [ListingStatus.PENDING, ListingStatus.PUBLISHED, ListingStatus.ARCHIVED],
+  [ListingStatus.PENDING]: [ListingStatus.DRAFT, ListingStatus.PUBLISHED, ListingStatus.REJECTED],
+  [ListingStatus.PUBLISHED]: [ListingStatus.PENDING, ListingStatus.ARCHIVED],
+  [ListingStatus.REJECTED]: [ListingStatus.DRAFT, ListingStatus.PENDING, ListingStatus.ARCHIVED],
+  [ListingStatus.ARCHIVED]: [ListingStatus.DRAFT, ListingStatus.PUBLISHED]
+};
+
+/**
+ * Error raised when a listing request cannot proceed.
+ * Routes turn it into `{ error, code }` with the given HTTP status, plus `details` for validation failures.
+ */
+export class ListingError extends Error {
+  constructor(message, status, code, details = null) {
+    super(message);
+    this.name = 'ListingError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const listingsRef = () => admin.firestore().collection(LISTINGS_COLLECTION);
+
+// Staff see and edit every listing; everyone else only their own
+export const isStaff = (user) => [ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MODERATOR].includes(user.role);
+export const isManager = (user) => [ROLES.SUPER_ADMIN, ROLES.ADMIN].includes(user.role);
+
+/**
+ * Same slug rules as generateSlug in src/lib/utils.ts
+ */
+const toSlug = (text) => text
+  .toLowerCase()
+  .replace(/[^\w\s-]/g, '')
+  .replace(/\s+/g, '-')
+  .replace(/-+/g, '-')
+  .trim()
+  .substring(0, 100);
+
+/**
+ * Same format as generateDisplayLocation in src/services/listingService.ts
+ */
+const toDisplayLocation = (location) => [
+  location.cityName || location.city,
+  location.stateName || location.state,
+  location.countryName && location.countryName !== 'India' ? location.countryName : null
+].filter(Boolean).join(', ');
+
+// Convert Firestore values to JSON: Timestamps become ISO strings, references become paths
+export const toJson = (value) => {
+  if (value === null || value === undefined) return value ?? null;
+  if (value instanceof admin.firestore.Timestamp) return value.toDate().toISOString();
+  if (value instanceof admin.firestore.DocumentReference) return value.path;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toJson);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, val]) => [key, toJson(val)]));
+  }
+  return value;
+};
+
+// Drop undefined values, which Firestore rejects
+const withoutUndefined = (value) => {
+  if (Array.isArray(value)) return value.map(withoutUndefined);
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, val]) => val !== undefined)
+        .map(([key, val]) => [key, withoutUndefined(val)])
+    );
+  }
+  return value;
+};
+
+export const toListing = (doc) => ({ ...toJson(doc.data()), id: doc.id });
+
+/**
+ * Identifying fields stored in the audit log
+ */
+export const getListingAuditSnapshot = (listing) => ({
+  name: listing.name,
+  slug: listing.slug,
+  type: listing.type,
+  status: listing.status,
+  plan: listing.plan,
+  ownerId: listing.ownerId,
+  ownerName: listing.ownerName,
+  isVerified: listing.isVerified,
+  isFeatured: listing.isFeatured
+});
+
+/**
+ * Price a listing is filtered on, depending on its type
+ */
+export const getListingPrice = (listing) => {
+  switch (listing.type) {
+    case ListingType.BUSINESS:
+      return listing.businessDetails?.sale?.askingPrice?.value || 0;
+    case ListingType.FRANCHISE:
+      return listing.franchiseDetails?.investment?.totalInitialInvestment?.value || 0;
+    case ListingType.STARTUP:
+      return listing.startupDetails?.funding?.currentRaisingAmount?.value || 0;
+    case ListingType.DIGITAL_ASSET:
+      return listing.digitalAssetDetails?.sale?.askingPrice?.value || 0;
+    default:
+      return 0;
+  }
+};
+
+// Listings without the date never match a range filter on it
+const isInDateRange = (value, range) => {
+  if (!range?.from && !range?.to) return true;
+  if (!value) return false;
+
+  const time = Date.parse(value);
+  if (range.from && time < range.from.getTime()) return false;
+  if (range.to && time > range.to.getTime()) return false;
+  return true;
+};
+
+// Filters applied after the Firestore query
+const matchesFilters = (listing, filters) => {
+  if (filters.type?.length && !filters.type.includes(listing.type)) return false;
+  if (filters.plan?.length && !filters.plan.includes(listing.plan)) return false;
+
+  const classifications = listing.classifications || [];
+
+  if (filters.industries?.length) {
+    const industries = [...classifications.map(c => c.industry), ...(listing.industries || [])];
+    if (!filters.industries.some(industry => industries.includes(industry))) return false;
+  }
+  if (filters.industry && !classifications.some(c => c.industry === filters.industry) && listing.industry !== filters.industry) {
+    return false;
+  }
+  if (filters.category && !classifications.some(c => c.category === filters.category) && listing.category !== filters.category) {
+    return false;
+  }
+  if (filters.subCategories?.length) {
+    const subCategories = classifications.flatMap(c => c.subCategories || []);
+    if (!filters.subCategories.some(subCategory => subCategories.includes(subCategory))) return false;
+  }
+
+  if (filters.priceRange) {
+    const price = getListingPrice(listing);
+    if (filters.priceRange.min !== undefined && price < filters.priceRange.min) return false;
+    if (filters.priceRange.max !== undefined && price > filters.priceRange.max) return false;
+  }
+
+  if (!isInDateRange(listing.publishAt, filters.publishAtRange)) return false;
+  if (!isInDateRange(listing.expiresAt, filters.expiresAtRange)) return false;
+
+  if (filters.near) {
+    const coordinates = listing.location?.coordinates;
+    if (!coordinates || getDistanceKm(filters.near, coordinates) > filters.near.radiusKm) return false;
+  }
+
+  if (filters.territory && !hasMatchingTerritory(listing.franchiseDetails, filters.territory, filters.territory.point)) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Turn a "within radiusKm of city" location filter into the point and radius listings are
+ * matched against as filters.near. The city, state and country themselves need not match.
+ * @throws ListingError 400 unknown_location if the city is missing or cannot be placed
+ */
+const withNearFilter = (filters) => {
+  const { radiusKm, ...location } = filters.location || {};
+  if (!radiusKm) return filters;
+
+  const center = location.city ? geocodeLocation(location) : null;
+  if (center?.accuracy !== 'city') {
+    throw new ListingError(
+      location.city ? `${location.city} could not be found on the map` : 'A city is required with radiusKm',
+      400,
+      'unknown_location'
+    );
+  }
+
+  return { ...filters, location: undefined, near: { latitude: center.latitude, longitude: center.longitude, radiusKm } };
+};
+
+/**
+ * Place the territory filter's city, so polygon territories can be checked for it.
+ * A city that cannot be placed only matches state and city territories.
+ */
+const withTerritoryPoint = (filters) => {
+  if (!filters.territory?.city) return filters;
+
+  const point = geocodeLocation(filters.territory);
+  return {
+    ...filters,
+    territory: { ...filters.territory, point: point?.accuracy === 'city' ? point : null }
+  };
+};
+
+// The filters listListings leaves to Firestore, for listings found through the search index instead
+const matchesQueryFilters = (listing, filters, ownerId) => {
+  if (ownerId && listing.ownerId !== ownerId) return false;
+  if (filters.status?.length && !filters.status.includes(listing.status)) return false;
+  if (filters.isFeatured !== undefined && Boolean(listing.isFeatured) !== filters.isFeatured) return false;
+  if (filters.isVerified !== undefined && Boolean(listing.isVerified) !== filters.isVerified) return false;
+  if (filters.location?.country && listing.location?.country !== filters.location.country) return false;
+  if (filters.location?.state && listing.location?.state !== filters.location.state) return false;
+  if (filters.location?.city && listing.location?.city !== filters.location.city) return false;
+  return isInDateRange(listing.createdAt, filters.dateRange);
+};
+
+// Listings per getAll when loading search results
+const SEARCH_READ_BATCH_SIZE = 100;
+
+/**
+ * Listings matching filters.search through the search index, best match first, with the
+ * other filters applied
+ * @param user Caller; anyone but staff only finds their own listings
+ * @returns `{ listing, score, fields }` for every match; fields are where the query matched
+ */
+export const searchListings = async (filters, user) => {
+  const ownerId = isStaff(user) ? filters.ownerId : user.id;
+  const results = await searchListingIndex(filters.search, { ownerId, type: filters.type });
+  const matches = [];
+  const stale = [];
+
+  for (let i = 0; i < results.length; i += SEARCH_READ_BATCH_SIZE) {
+    const batch = results.slice(i, i + SEARCH_READ_BATCH_SIZE);
+    const docs = await admin.firestore().getAll(...batch.map(result => listingsRef().doc(result.listingId)));
+
+    docs.forEach((doc, index) => {
+      if (!doc.exists || doc.data().isDeleted) {
+        stale.push(doc.id);
+        return;
+      }
+      const listing = toListing(doc);
+      if (matchesQueryFilters(listing, filters, ownerId) && matchesFilters(listing, filters)) {
+        matches.push({ listing, score: batch[index].score, fields: batch[index].fields });
+      }
+    });
+  }
+
+  if (stale.length > 0) await removeStaleSearchEntries(stale);
+
+  return matches;
+};
+
+// Candidates read per geohash cell when listing by distance
+const MAX_NEARBY_CANDIDATES = 500;
+
+/**
+ * Listings within filters.near, nearest first, with the other filters applied.
+ * Listings are found by geohash prefix, then measured.
+ * @returns The listings, each with distanceKm
+ */
+const findNearbyListings = async (filters, user) => {
+  const ownerId = isStaff(user) ? filters.ownerId : user.id;
+
+  const snapshots = await Promise.all(getGeohashPrefixes(filters.near, filters.near.radiusKm).map(prefix => listingsRef()
+    .where('isDeleted', '==', false)
+    .orderBy('location.geohash')
+    .startAt(prefix)
+    .endAt(`${prefix}\uf8ff`)
+    .limit(MAX_NEARBY_CANDIDATES)
+    .get()));
+
+  return snapshots
+    .flatMap(snapshot => snapshot.docs.map(toListing))
+    .filter(listing => matchesQueryFilters(listing, filters, ownerId) && matchesFilters(listing, filters))
+    .map(listing => ({
+      ...listing,
+      distanceKm: Math.round(getDistanceKm(filters.near, listing.location.coordinates) * 10) / 10
+    }))
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+};
+
+// A page of listings ranked in full, e.g. search results; the cursor is the last listing of the previous page
+const getPageAfter = (listings, pageSize, cursor) => {
+  const afterId = cursor ? Buffer.from(cursor, 'base64url').toString('utf8') : null;
+  const start = afterId ? listings.findIndex(listing => listing.id === afterId) + 1 : 0;
+
+  if (afterId && start === 0) {
+    throw new ListingError('The pagination cursor is invalid or has expired', 400, 'invalid_cursor');
+  }
+
+  const page = listings.slice(start, start + pageSize);
+  return {
+    listings: page,
+    nextCursor: start + pageSize < listings.length ? encodeCursor(page[page.length - 1].id) : null
+  };
+};
+
+const encodeCursor = (docId) => Buffer.from(docId, 'utf8').toString('base64url');
+
+const decodeCursor = async (cursor) => {
+  const docId = Buffer.from(cursor, 'base64url').toString('utf8');
+  const doc = docId && !docId.includes('/') ? await listingsRef().doc(docId).get() : null;
+  if (!doc?.exists) {
+    throw new ListingError('The pagination cursor is invalid or has expired', 400, 'invalid_cursor');
+  }
+  return doc;
+};
+
+/**
+ * List listings newest first, with the same filters as the admin panel.
+ * With filters.search, listings come from the search index instead, best match first.
+ * With filters.location.radiusKm, listings within that distance of the city come nearest first.
+ * With filters.territory, only franchises with a territory of that status covering that place.
+ * @param filters ListingFilters, as in src/types/listings.ts
+ * @param options.limit Page size, capped at MAX_PAGE_SIZE
+ * @param options.cursor nextCursor from the previous page
+ * @param user Caller; anyone but staff only sees their own listings
+ * @returns The page and a cursor for the next one, or null on the last page
+ */
+export const listListings = async (filters, { limit = DEFAULT_PAGE_SIZE, cursor = null } = {}, user) => {
+  const pageSize = Math.min(Math.max(1, limit), MAX_PAGE_SIZE);
+  filters = withTerritoryPoint(withNearFilter(filters));
+
+  if (filters.search) {
+    return getPageAfter((await searchListings(filters, user)).map(match => match.listing), pageSize, cursor);
+  }
+  if (filters.near) {
+    return getPageAfter(await findNearbyListings(filters, user), pageSize, cursor);
+  }
+
+  const ownerId = isStaff(user) ? filters.ownerId : user.id;
+
+  let query = listingsRef().where('isDeleted', '==', false);
+
+  if (ownerId) query = query.where('ownerId', '==', ownerId);
+  if (filters.status?.length === 1) {
+    query = query.where('status', '==', filters.status[0]);
+  } else if (filters.status?.length > 1) {
+    query = query.where('status', 'in', filters.status.slice(0, 10));
+  }
+  if (filters.isFeatured !== undefined) query = query.where('isFeatured', '==', filters.isFeatured);
+  if (filters.isVerified !== undefined) query = query.where('isVerified', '==', filters.isVerified);
+  if (filters.location?.country) query = query.where('location.country', '==', filters.location.country);
+  if (filters.location?.state) query = query.where('location.state', '==', filters.location.state);
+  if (filters.location?.city) query = query.where('location.city', '==', filters.location.city);
+  if (filters.dateRange?.from) query = query.where('createdAt', '>=', filters.dateRange.from);
+  if (filters.dateRange?.to) query = query.where('createdAt', '<=', filters.dateRange.to);
+
+  query = query.orderBy('createdAt', 'desc');
+
+  let position = cursor ? await decodeCursor(cursor) : null;
+  const listings = [];
+  let reachedEnd = false;
+
+  for (let batch = 0; batch < MAX_SCAN_BATCHES && listings.length < pageSize; batch++) {
+    const batchQuery = position ? query.startAfter(position).limit(pageSize) : query.limit(pageSize);
+    const snapshot = await batchQuery.get();
+    let scannedAll = true;
+
+    for (const doc of snapshot.docs) {
+      position = doc;
+      const listing = toListing(doc);
+      if (matchesFilters(listing, filters)) {
+        listings.push(listing);
+        if (listings.length === pageSize) {
+          scannedAll = snapshot.docs[snapshot.docs.length - 1] === doc;
+          break;
+        }
+      }
+    }
+
+    // A short batch that was read to the end means there is nothing after it
+    if (snapshot.size < pageSize && scannedAll) {
+      reachedEnd = true;
+      break;
+    }
+  }
+
+  return {
+    listings,
+    nextCursor: reachedEnd || !position ? null : encodeCursor(position.id)
+  };
+};
+
+/**
+ * Find a listing by slug, falling back to its document ID
+ * @throws ListingError 404 if it does not exist, is deleted or belongs to someone else
+ */
+export const findListingDoc = async (slugOrId, user) => {
+  const snapshot = await listingsRef()
+    .where('slug', '==', slugOrId)
+    .where('isDeleted', '==', false)
+    .limit(1)
+    .get();
+
+  let doc = snapshot.empty ? null : snapshot.docs[0];
+
+  if (!doc && !slugOrId.includes('/')) {
+    const byId = await listingsRef().doc(slugOrId).get();
+    if (byId.exists && !byId.data().isDeleted) doc = byId;
+  }
+
+  // Other people's listings are reported as missing rather than forbidden
+  if (!doc || (!isStaff(user) && doc.data().ownerId !== user.id)) {
+    throw new ListingError('Listing not found', 404, 'listing_not_found');
+  }
+
+  return doc;
+};
+
+/**
+ * Get a single listing
+ * @param slugOrId Listing slug or document ID
+ */
+export const getListing = async (slugOrId, user) => toListing(await findListingDoc(slugOrId, user));
+
+/**
+ * When a listing on this plan, published at `from`, expires
+ */
+export const getPlanExpiryDate = (plan, from = new Date()) => {
+  const days = LISTING_PLAN_DURATION_DAYS[plan] || LISTING_PLAN_DURATION_DAYS[ListingPlan.FREE];
+  return new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Fields set when a listing goes live, whether a moderator or the scheduler publishes it:
+ * the first publish date, an expiry from the plan unless a later one is already set,
+ * and a cleared schedule and renewal reminder
+ * @param listing The listing before publishing, as returned by toListing
+ * @param now Timestamp of the change
+ */
+export const getPublishFields = (listing, now) => {
+  const fields = { publishAt: null, renewalReminderSentAt: null };
+
+  if (!listing.publishedAt) {
+    fields.publishedAt = now;
+  }
+  if (!listing.expiresAt || Date.parse(listing.expiresAt) <= now.toMillis()) {
+    fields.expiresAt = admin.firestore.Timestamp.fromDate(getPlanExpiryDate(listing.plan, now.toDate()));
+  }
+
+  return fields;
+};
+
+const assertCanSchedule = (input, user) => {
+  if (!isStaff(user) && SCHEDULE_FIELDS.some(field => input[field] !== undefined)) {
+    throw new ListingError('Only moderators can set publish and expiry dates', 403, 'forbidden');
+  }
+};
+
+const assertWritable = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ListingError('Request body must be a JSON object', 400, 'invalid_body');
+  }
+
+  const readOnly = Object.keys(input).filter(key => READ_ONLY_FIELDS.includes(key));
+  if (readOnly.length > 0) {
+    throw new ListingError(
+      `These fields cannot be set directly: ${readOnly.join(', ')}`,
+      400,
+      'read_only_field',
+      readOnly.map(field => ({ path: field, message: 'Read-only field' }))
+    );
+  }
+};
+
+/**
+ * Run a complete listing through listingSchema, as the listing form does
+ * @returns The parsed listing
+ * @throws ListingError 400 with one entry per failing field
+ */
+const validateListing = (listing) => {
+  const result = listingSchema.safeParse(migrateListingData(listing));
+  if (!result.success) {
+    throw new ListingError('Listing validation failed', 400, 'validation_failed', result.error.issues.map(issue => ({
+      path: issue.path.join('.'),
+      message: issue.message
+    })));
+  }
+
+  const { publishAt, expiresAt } = result.data;
+  if (publishAt && expiresAt && expiresAt <= publishAt) {
+    throw new ListingError('Listing validation failed', 400, 'validation_failed', [
+      { path: 'expiresAt', message: 'Expiry date must be after the publish date' }
+    ]);
+  }
+
+  return result.data;
+};
+
+// Fields derived from the validated input, matching createListing on the client
+const buildDerivedFields = (listing) => {
+  const classifications = listing.classifications || [];
+  const primary = classifications[0];
+
+  return {
+    shortDescription: listing.shortDescription || `${listing.description.substring(0, 150)}...`,
+    location: { ...listing.location, displayLocation: toDisplayLocation(listing.location), ...getGeoFields(listing.location) },
+    industry: primary?.industry || '',
+    industryName: primary?.industryName || '',
+    category: primary?.category || '',
+    categoryName: primary?.categoryName || '',
+    subCategories: primary?.subCategories || [],
+    subCategoryNames: primary?.subCategoryNames || [],
+    industries: classifications.map(c => c.industry),
+    industryRefs: classifications.map(c => admin.firestore().collection('industries').doc(c.industry))
+  };
+};
+
+// Everything the server works out from a listing's content, on create, update and recompute
+const computeListingFields = async (listing, previousRating = null) => {
+  const derived = buildDerivedFields(listing);
+  const computed = { ...listing, ...derived };
+
+  return {
+    ...derived,
+    rating: calculateRating(computed, previousRating, { weights: await getRatingWeights() }),
+    valuation: calculateValuation(computed, await getValuationBenchmarks()),
+    fundingRound: calculateFundingRound(computed),
+    unitEconomics: calculateUnitEconomics(computed)
+  };
+};
+
+// Slugs are how API clients address listings, so a new one must not collide with an existing one
+const generateUniqueSlug = async (name) => {
+  const base = toSlug(name) || 'listing';
+  const existing = await listingsRef().where('slug', '==', base).limit(1).get();
+  return existing.empty ? base : `${base}-${crypto.randomBytes(3).toString('hex')}`;
+};
+
+// The listing is already saved, so a failed duplicate check is logged rather than failing the request
+const refreshDuplicateCheckSafely = async (ref) => {
+  try {
+    await refreshDuplicateCheck(ref);
+  } catch (error) {
+    logger.error('Error checking listing for duplicates', { listingId: ref.id, error });
+  }
+};
+
+// Likewise for the search index; the next save or a rebuild catches it up
+const indexListingSafely = async (ref) => {
+  try {
+    await indexListing(ref);
+  } catch (error) {
+    logger.error('Error indexing listing for search', { listingId: ref.id, error });
+  }
+};
+
+/**
+ * Check a new listing as createListing does, without saving it
+ * @param input Listing fields, validated with listingSchema
+ * @returns The parsed listing
+ * @throws ListingError 400 validation_failed with one entry per failing field, or 403 for
+ *   fields the caller may not set
+ */
+export const validateNewListing = (input, user) => {
+  assertWritable(input);
+  assertCanSchedule(input, user);
+
+  if (input.plan && input.plan !== ListingPlan.FREE && !isManager(user)) {
+    throw new ListingError('Only admins can assign a paid plan', 403, 'forbidden');
+  }
+
+  return validateListing({
+    ...input,
+    status: ListingStatus.DRAFT,
+    plan: input.plan || ListingPlan.FREE
+  });
+};
+
+/**
+ * Create a listing as a draft owned by the caller.
+ * Images and documents are uploaded from the admin panel afterwards.
+ * @param input Listing fields, validated with listingSchema
+ * @returns The created listing
+ */
+export const createListing = async (input, user) => {
+  const parsed = validateNewListing(input, user);
+
+  const ref = listingsRef().doc();
+  const now = admin.firestore.Timestamp.now();
+
+  const listing = {
+    ...parsed,
+    id: ref.id,
+    slug: await generateUniqueSlug(parsed.name),
+    contactInfo: parsed.contactInfo?.email ? parsed.contactInfo : { ...parsed.contactInfo, email: user.email || null },
+    media: { featuredImage: null, galleryImages: [], totalImages: 0 },
+    documents: [],
+    isVerified: false,
+    isFeatured: false,
+    reviewCount: 0,
+    status: ListingStatus.DRAFT,
+    statusHistory: [{ status: ListingStatus.DRAFT, timestamp: now, updatedBy: user.id }],
+    ownerId: user.id,
+    ownerRef: admin.firestore().collection('users').doc(user.id),
+    ownerName: user.name || null,
+    analytics: {
+      viewCount: 0,
+      uniqueViewCount: 0,
+      contactCount: 0,
+      favoriteCount: 0,
+      conversionRate: 0,
+      viewsTimeline: []
+    },
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    isDeleted: false
+  };
+  delete listing.mediaValidation;
+  Object.assign(listing, await computeListingFields(listing));
+
+  const batch = admin.firestore().batch();
+  batch.set(ref, withoutUndefined(listing));
+  await addRevisionToBatch(batch, ref, { after: toRevisionSnapshot(listing), source: REVISION_SOURCES.CREATED, user });
+  await batch.commit();
+
+  // Keep the owner's listings array in step, as the admin panel does
+  try {
+    await admin.firestore().collection('users').doc(user.id).update({
+      listings: admin.firestore.FieldValue.arrayUnion(ref.id),
+      listingRefs: admin.firestore.FieldValue.arrayUnion(ref)
+    });
+  } catch (error) {
+    logger.error('Error updating user listings array', error);
+  }
+
+  await refreshDuplicateCheckSafely(ref);
+  await indexListingSafely(ref);
+
+  return toListing(await ref.get());
+};
+
+/**
+ * Apply a partial update. The merged listing must still pass listingSchema.
+ * The change is saved with a revision of the listing's content.
+ * @param slugOrId Listing slug or document ID
+ * @param patch Fields to change; nested detail objects replace the stored ones
+ * @param revision How the revision is labelled - restores pass their source revision
+ * @returns The listing before and after the change, and the new revision's ID (null if nothing changed)
+ */
+export const updateListing = async (slugOrId, patch, user, { source = REVISION_SOURCES.UPDATED, restoredFrom = null } = {}) => {
+  assertWritable(patch);
+  assertCanSchedule(patch, user);
+
+  const doc = await findListingDoc(slugOrId, user);
+  const existing = toListing(doc);
+
+  if (patch.type && patch.type !== existing.type) {
+    throw new ListingError('The listing type cannot be changed', 400, 'immutable_field', [
+      { path: 'type', message: 'The listing type cannot be changed' }
+    ]);
+  }
+  if (patch.plan && patch.plan !== existing.plan && !isManager(user)) {
+    throw new ListingError('Only admins can change the plan', 403, 'forbidden');
+  }
+
+  const parsed = validateListing({ ...existing, ...patch });
+
+  const changes = Object.fromEntries(Object.keys(patch).map(key => [key, parsed[key] ?? patch[key]]));
+
+  const update = {
+    ...changes,
+    ...(await computeListingFields({ ...existing, ...changes }, doc.data().rating)),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+  delete update.mediaValidation;
+
+  const batch = admin.firestore().batch();
+  batch.update(doc.ref, withoutUndefined(update));
+  const revisionId = await addRevisionToBatch(batch, doc.ref, {
+    before: toRevisionSnapshot(existing),
+    after: toRevisionSnapshot({ ...existing, ...update }),
+    source,
+    restoredFrom,
+    user,
+    previousUpdatedAt: existing.updatedAt || existing.createdAt
+  });
+  await batch.commit();
+
+  if (revisionId) {
+    await refreshDuplicateCheckSafely(doc.ref);
+    await indexListingSafely(doc.ref);
+  }
+
+  return { before: existing, after: toListing(await doc.ref.get()), revisionId };
+};
+
+/**
+ * Revisions of a listing's content, newest first
+ * @param slugOrId Listing slug or document ID
+ */
+export const listListingRevisions = async (slugOrId, user) => {
+  const doc = await findListingDoc(slugOrId, user);
+  const snapshot = await doc.ref.collection(REVISIONS_SUBCOLLECTION).orderBy('createdAt', 'desc').get();
+  return snapshot.docs.map(toRevision);
+};
+
+/**
+ * Put a listing's content back to an earlier revision. Goes through updateListing, so the
+ * restored listing must pass the current validation and the restore is itself a new revision.
+ * The type cannot change; fields added since the revision are kept.
+ * @param slugOrId Listing slug or document ID
+ * @param revisionId Revision to restore
+ * @returns As updateListing
+ * @throws ListingError 404 revision_not_found, or 400 validation_failed with the failing fields
+ */
+export const restoreListingRevision = async (slugOrId, revisionId, user) => {
+  const doc = await findListingDoc(slugOrId, user);
+  const revision = await doc.ref.collection(REVISIONS_SUBCOLLECTION).doc(revisionId).get();
+
+  if (!revision.exists) {
+    throw new ListingError('Revision not found', 404, 'revision_not_found');
+  }
+
+  const { type, ...content } = revision.data().snapshot;
+
+  return updateListing(doc.id, content, user, { source: REVISION_SOURCES.RESTORED, restoredFrom: revisionId });
+};
+
+/**
+ * Move a listing to a new status and record it in its status history
+ * @param slugOrId Listing slug or document ID
+ * @param change New status and, for rejections, the reason shown to the owner
+ * @returns The listing before and after the change
+ * @throws ListingError 400 listing_incomplete when submitted for review below its plan's minimum completeness
+ */
+export const changeListingStatus = async (slugOrId, { status, reason = null }, user) => {
+  if (!Object.values(ListingStatus).includes(status)) {
+    throw new ListingError(`Status must be one of: ${Object.values(ListingStatus).join(', ')}`, 400, 'invalid_status');
+  }
+
+  const doc = await findListingDoc(slugOrId, user);
+  const existing = toListing(doc);
+
+  if (existing.status === status) {
+    throw new ListingError(`Listing is already ${status}`, 409, 'invalid_transition');
+  }
+
+  if (!(STATUS_TRANSITIONS[existing.status] || []).includes(status)) {
+    throw new ListingError(`A ${existing.status} listing cannot be moved to ${status}`, 409, 'invalid_transition', {
+      allowed: STATUS_TRANSITIONS[existing.status] || []
+    });
+  }
+
+  if (!isStaff(user) && !OWNER_STATUSES.includes(status)) {
+    throw new ListingError('Only moderators can publish or reject listings', 403, 'forbidden');
+  }
+
+  if (status === ListingStatus.REJECTED && !reason?.trim()) {
+    throw new ListingError('A reason is required when rejecting a listing', 400, 'reason_required');
+  }
+
+  // Submitting for review needs the plan's minimum completeness; sending a published listing back does not
+  if (status === ListingStatus.PENDING && existing.status !== ListingStatus.PUBLISHED) {
+    const { percentage, minimum, meetsMinimum, missing } = getListingCompleteness(existing);
+    if (!meetsMinimum) {
+      throw new ListingError(
+        `The listing is ${percentage}% complete; the ${existing.plan || ListingPlan.FREE} plan needs ${minimum}% to be submitted for review`,
+        400,
+        'listing_incomplete',
+        { percentage, minimum, missing: missing.map(({ field, label }) => ({ field, label })) }
+      );
+    }
+  }
+
+  const now = admin.firestore.Timestamp.now();
+  // Owners may still withdraw a listing under review
+  const claim = getActiveClaim(existing, now.toMillis());
+  if (claim && claim.userId !== user.id && isStaff(user)) {
+    throw new ListingError(`${claim.userName || 'Another moderator'} is reviewing this listing`, 409, 'review_claimed', { claim });
+  }
+
+  const update = {
+    status,
+    statusReason: reason?.trim() || null,
+    statusHistory: admin.firestore.FieldValue.arrayUnion({
+      status,
+      timestamp: now,
+      updatedBy: user.id,
+      reason: reason?.trim() || null
+    }),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+
+  if (status === ListingStatus.PUBLISHED) {
+    Object.assign(update, getPublishFields(existing, now));
+  }
+
+  // Rated as it stands after the change: a first publish starts its longevity
+  update.rating = calculateRating(
+    { ...existing, ...update, updatedAt: now },
+    doc.data().rating,
+    { weights: await getRatingWeights(), now: now.toMillis() }
+  );
+
+  // Claims, assignment and checklist belong to one review
+  if (existing.status === ListingStatus.PENDING) {
+    update.moderation = null;
+  }
+
+  await doc.ref.update(update);
+  if (existing.status === ListingStatus.PUBLISHED || status === ListingStatus.PUBLISHED) {
+    forgetMatchCandidates(existing.type);
+  }
+
+  return { before: existing, after: toListing(await doc.ref.get()) };
+};
+
+/**
+ * Extend a published listing by another plan period, counted from its current expiry
+ * (or from now if that has already passed)
+ * @param slugOrId Listing slug or document ID
+ * @returns The listing before and after the change
+ * @throws ListingError 409 invalid_status if the listing is not published
+ */
+export const renewListing = async (slugOrId, user) => {
+  const doc = await findListingDoc(slugOrId, user);
+  const existing = toListing(doc);
+
+  if (existing.status !== ListingStatus.PUBLISHED) {
+    throw new ListingError('Only published listings can be renewed', 409, 'invalid_status');
+  }
+
+  const from = Math.max(Date.now(), existing.expiresAt ? Date.parse(existing.expiresAt) : 0);
+
+  await doc.ref.update({
+    expiresAt: admin.firestore.Timestamp.fromDate(getPlanExpiryDate(existing.plan, new Date(from))),
+    renewalReminderSentAt: null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return { before: existing, after: toListing(await doc.ref.get()) };
+};
+
+// Storage paths of the listing's images and documents
+const getListingFilePaths = (listing) => [...new Set([
+  listing.media?.featuredImage,
+  ...(listing.media?.galleryImages || []),
+  ...(listing.media?.documents || []),
+  ...(listing.documents || [])
+].map(file => file?.path).filter(Boolean))];
+
+/**
+ * Delete a listing for good, with its files, revisions and search entry. Admins only.
+ * Works for soft-deleted listings too.
+ * @param slugOrId Listing slug or document ID
+ * @returns The listing as it was before
+ */
+export const deleteListingPermanently = async (slugOrId, user) => {
+  if (!isManager(user)) {
+    throw new ListingError('Only admins can permanently delete listings', 403, 'forbidden');
+  }
+
+  const snapshot = await listingsRef().where('slug', '==', slugOrId).limit(1).get();
+  const doc = snapshot.empty && !slugOrId.includes('/') ? await listingsRef().doc(slugOrId).get() : snapshot.docs[0];
+
+  if (!doc?.exists) {
+    throw new ListingError('Listing not found', 404, 'listing_not_found');
+  }
+
+  const listing = toListing(doc);
+
+  // A file that cannot be removed is logged and left behind rather than keeping the listing
+  const bucket = admin.storage().bucket();
+  await Promise.all(getListingFilePaths(listing).map(path =>
+    bucket.file(path).delete({ ignoreNotFound: true }).catch(error => {
+      logger.error('Error deleting listing file', { listingId: doc.id, path, error });
+    })
+  ));
+
+  if (listing.ownerId) {
+    await admin.firestore().collection('users').doc(listing.ownerId)
+      .update({ listings: admin.firestore.FieldValue.arrayRemove(doc.id) })
+      .catch(error => logger.error('Error removing listing from its owner', { listingId: doc.id, error }));
+  }
+
+  await admin.firestore().recursiveDelete(doc.ref);
+  await removeStaleSearchEntries([doc.id]);
+  forgetMatchCandidates(listing.type);
+
+  return listing;
+};
+
+// Fields shown for a listing in a list: duplicates, search results or the moderation queue
+export const toListingSummary = (listing) => ({
+  id: listing.id,
+  slug: listing.slug,
+  name: listing.name,
+  type: listing.type,
+  status: listing.status,
+  ownerId: listing.ownerId,
+  ownerName: listing.ownerName || null,
+  displayLocation: listing.location?.displayLocation || null,
+  imageUrl: listing.media?.featuredImage?.url || listing.media?.galleryImages?.[0]?.url || null,
+  createdAt: listing.createdAt || null
+});
+
+const isBlank = (value) => value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+// Copy of target with its empty values, at any depth, taken from source
+const fillMissing = (target, source) => {
+  if (isBlank(target)) return source;
+
+  const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+  if (isObject(target) && isObject(source)) {
+    const keys = new Set([...Object.keys(target), ...Object.keys(source)]);
+    return Object.fromEntries([...keys].map(key => [key, fillMissing(target[key], source[key])]));
+  }
+
+  return target;
+};
+
+/**
+ * The best matches of a search query, for a search box
+ * @param filters ListingFilters with search; other filters narrow the matches
+ * @param limit How many matches to return
+ * @returns `{ listing, score, fields }` with a summary of each listing
+ */
+export const findListings = async (filters, limit, user) => {
+  const matches = await searchListings(filters, user);
+  return matches.slice(0, limit).map(({ listing, score, fields }) => ({ listing: toListingSummary(listing), score, fields }));
+};
+
+/**
+ * Work out everything the server derives from a listing again, as an update through the API
+ * does, then check it for duplicates and update its search entry. For listings the admin panel
+ * saved, verified or deleted straight in Firestore; a deleted listing only loses its search entry.
+ * @param listingId Listing document ID, as deleted listings have no slug to look up
+ * @returns The saved rating, valuation, funding round, unit economics and duplicate check, and
+ *   whether the listing is in the search index; null for a deleted listing
+ */
+export const recomputeListing = async (listingId, user) => {
+  const doc = listingId.includes('/') ? null : await listingsRef().doc(listingId).get();
+
+  if (!doc || (doc.exists && doc.data().ownerId !== user.id && !isStaff(user))) {
+    throw new ListingError('Listing not found', 404, 'listing_not_found');
+  }
+
+  if (!doc.exists || doc.data().isDeleted) {
+    await indexListing(doc.ref);
+    if (doc.exists) forgetMatchCandidates(doc.data().type);
+    return null;
+  }
+
+  // Derived fields are not content, so no revision is saved and updatedAt is left alone
+  await doc.ref.update(withoutUndefined(await computeListingFields(toListing(doc), doc.data().rating)));
+  const { duplicateCheck } = await refreshDuplicateCheck(doc.ref);
+  const indexed = await indexListing(doc.ref);
+
+  const listing = toListing(await doc.ref.get());
+  return {
+    rating: listing.rating,
+    valuation: listing.valuation ?? null,
+    fundingRound: listing.fundingRound ?? null,
+    unitEconomics: listing.unitEconomics ?? null,
+    duplicateCheck,
+    indexed
+  };
+};
+
+/**
+ * Rebuild the search entry of every listing. Admins only.
+ * @returns How many listings were indexed and how many entries of deleted listings were removed
+ */
+export const rebuildListingSearchIndex = async (user) => {
+  if (!isManager(user)) {
+    throw new ListingError('Only admins can rebuild the search index', 403, 'forbidden');
+  }
+  return rebuildSearchIndex();
+};
+
+/**
+ * Place every listing on the map again from its city and state, e.g. those saved before
+ * listings had coordinates. Admins only.
+ * @returns How many listings were placed, how many of them changed, and how many could not be placed
+ */
+export const geocodeAllListings = async (user) => {
+  if (!isManager(user)) {
+    throw new ListingError('Only admins can geocode listings', 403, 'forbidden');
+  }
+
+  const pageSize = 200;
+  const result = { placed: 0, updated: 0, unplaced: 0 };
+  let last = null;
+
+  for (;;) {
+    let query = listingsRef().orderBy(admin.firestore.FieldPath.documentId()).limit(pageSize);
+    if (last) query = query.startAfter(last);
+    const snapshot = await query.get();
+
+    const batch = admin.firestore().batch();
+    snapshot.docs.forEach(doc => {
+      const location = doc.data().location;
+      const { coordinates, geohash } = getGeoFields(location);
+      if (coordinates) {
+        result.placed++;
+      } else {
+        result.unplaced++;
+      }
+      if (geohash !== (location?.geohash ?? null)) {
+        batch.update(doc.ref, { 'location.coordinates': coordinates, 'location.geohash': geohash });
+        result.updated++;
+      }
+    });
+    await batch.commit();
+
+    if (snapshot.size < pageSize) break;
+    last = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return result;
+};
+
+/**
+ * Likely duplicates of a listing, most likely first, with the signals each was matched on
+ * @param slugOrId Listing slug or document ID
+ */
+export const listListingDuplicates = async (slugOrId, user) => {
+  if (!isStaff(user)) {
+    throw new ListingError('Only moderators can review duplicates', 403, 'forbidden');
+  }
+
+  const doc = await findListingDoc(slugOrId, user);
+  const { duplicates } = await refreshDuplicateCheck(doc.ref);
+
+  return duplicates.map(({ listing, score, signals }) => ({ listing: toListingSummary(listing), score, signals }));
+};
+
+/**
+ * Mark two listings as related rather than duplicates, e.g. two branches of one business.
+ * Linked listings are not reported as duplicates of each other again.
+ * @param slugOrId Listing slug or document ID
+ * @param otherId ID of the listing reported as its duplicate
+ * @returns Both listings after the change
+ */
+export const linkDuplicateListing = async (slugOrId, otherId, user) => {
+  if (!isStaff(user)) {
+    throw new ListingError('Only moderators can link listings', 403, 'forbidden');
+  }
+
+  const doc = await findListingDoc(slugOrId, user);
+  const otherDoc = await findListingDoc(otherId, user);
+
+  if (doc.id === otherDoc.id) {
+    throw new ListingError('A listing cannot be linked to itself', 400, 'invalid_link');
+  }
+
+  const batch = admin.firestore().batch();
+  batch.update(doc.ref, { linkedListingIds: admin.firestore.FieldValue.arrayUnion(otherDoc.id) });
+  batch.update(otherDoc.ref, { linkedListingIds: admin.firestore.FieldValue.arrayUnion(doc.id) });
+  await batch.commit();
+
+  await refreshDuplicateCheckSafely(doc.ref);
+  await refreshDuplicateCheckSafely(otherDoc.ref);
+
+  return { listing: toListing(await doc.ref.get()), other: toListing(await otherDoc.ref.get()) };
+};
+
+/**
+ * Merge a duplicate into a listing: fields the listing leaves empty are filled from the
+ * duplicate through updateListing (so the result is validated and saved as a revision),
+ * and the duplicate is archived with `mergedInto` pointing at the listing. The duplicate's
+ * images and documents stay with it.
+ * @param slugOrId Listing slug or document ID of the listing to keep
+ * @param duplicateId ID of the listing merged into it
+ * @returns The kept listing after the merge and its new revision's ID (null if nothing was filled in),
+ *   and the duplicate before and after
+ */
+export const mergeDuplicateListing = async (slugOrId, duplicateId, user) => {
+  if (!isStaff(user)) {
+    throw new ListingError('Only moderators can merge listings', 403, 'forbidden');
+  }
+
+  const doc = await findListingDoc(slugOrId, user);
+  const duplicateDoc = await findListingDoc(duplicateId, user);
+  const listing = toListing(doc);
+  const duplicate = toListing(duplicateDoc);
+
+  if (doc.id === duplicateDoc.id) {
+    throw new ListingError('A listing cannot be merged into itself', 400, 'invalid_merge');
+  }
+  if (listing.type !== duplicate.type) {
+    throw new ListingError('Only listings of the same type can be merged', 409, 'type_mismatch');
+  }
+  if (listing.mergedInto || duplicate.mergedInto) {
+    throw new ListingError('Listing has already been merged into another', 409, 'already_merged');
+  }
+
+  const { type, ...content } = toRevisionSnapshot(listing);
+  const { type: duplicateType, ...duplicateContent } = toRevisionSnapshot(duplicate);
+  const merged = fillMissing(content, duplicateContent);
+  const patch = Object.fromEntries(getChangedFields(content, merged).map(key => [key, merged[key]]));
+
+  const revisionId = Object.keys(patch).length > 0
+    ? (await updateListing(doc.id, patch, user)).revisionId
+    : null;
+
+  const now = admin.firestore.Timestamp.now();
+  const reason = `Merged into "${listing.name}"`;
+
+  await duplicateDoc.ref.update({
+    status: ListingStatus.ARCHIVED,
+    statusReason: reason,
+    statusHistory: admin.firestore.FieldValue.arrayUnion({
+      status: ListingStatus.ARCHIVED,
+      timestamp: now,
+      updatedBy: user.id,
+      reason
+    }),
+    mergedInto: doc.id,
+    duplicateCheck: null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  await refreshDuplicateCheckSafely(doc.ref);
+
+  return {
+    listing: toListing(await doc.ref.get()),
+    revisionId,
+    duplicate: { before: duplicate, after: toListing(await duplicateDoc.ref.get()) }
+  };
+};
@@ -0,0 +1,95 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Structured logging
+ * Writes one JSON object per line - stdout for info and debug, stderr for warnings and errors -
+ * in the shape Cloud Logging parses (`severity`, `message`). Lines written while handling a
+ * request carry its correlation ID as `requestId`.
+ *
+ * LOG_LEVEL sets the lowest level written: error, warn, info or debug
+ * (defaults to info in production, debug otherwise).
+ */
+
+const LOG_LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const SEVERITIES = { error: 'ERROR', warn: 'WARNING', info: 'INFO', debug: 'DEBUG' };
+
+const requestContext = new AsyncLocalStorage();
+
+// Read on every call - the env files are loaded after this module is imported
+const getLogLevel = () => {
+  const level = (process.env.LOG_LEVEL || '').toLowerCase();
+  if (level in LOG_LEVELS) return level;
+  return process.env.NODE_ENV === 'production' ? 'info' : 'debug';
+};
+
+/**
+ * Plain object for an error, keeping what helps trace it
+ */
+export const serializeError = (error) => {
+  if (!(error instanceof Error)) {
+    return { message: String(error) };
+  }
+
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    ...(error.status !== undefined ? { status: error.status } : {}),
+    stack: error.stack
+  };
+};
+
+/**
+ * Run a function with a correlation ID that every log line it writes will carry
+ */
+export const runWithRequestId = (requestId, fn) => requestContext.run({ requestId }, fn);
+
+/**
+ * Correlation ID of the request being handled, if any
+ */
+export const getRequestId = () => requestContext.getStore()?.requestId || null;
+
+/**
+ * @param {string} level
+ * @param {string} message
+ * @param {Error|Object} [details] An error, or fields to add to the line
+ */
+const write = (level, message, details) => {
+  if (LOG_LEVELS[level] > LOG_LEVELS[getLogLevel()]) return;
+
+  const fields = details instanceof Error || (details !== undefined && typeof details !== 'object')
+    ? { error: serializeError(details) }
+    : { ...details };
+
+  if (fields.error instanceof Error) {
+    fields.error = serializeError(fields.error);
+  }
+
+  const requestId = getRequestId();
+  const entry = {
+    severity: SEVERITIES[level],
+    time: new Date().toISOString(),
+    message,
+    ...(requestId ? { requestId } : {}),
+    ...fields
+  };
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (error) {
+    line = JSON.stringify({ severity: entry.severity, time: entry.time, message, requestId, unserializable: true });
+  }
+
+  (LOG_LEVELS[level] <= LOG_LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+export const logger = {
+  error: (message, details) => write('error', message, details),
+  warn: (message, details) => write('warn', message, details),
+  info: (message, details) => write('info', message, details),
+  debug: (message, details) => write('debug', message, details)
+};
+
+export default logger;
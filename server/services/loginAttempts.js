@@ -0,0 +1,117 @@
+import admin from '../firebase/admin.js';
+
+export const LOGIN_ATTEMPTS_COLLECTION = 'login_attempts';
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_ATTEMPT_WINDOW_MINUTES = 15;
+const DEFAULT_LOCKOUT_MINUTES = 15;
+
+/**
+ * Lockout settings, read from LOGIN_MAX_ATTEMPTS, LOGIN_ATTEMPT_WINDOW_MINUTES and LOGIN_LOCKOUT_MINUTES
+ */
+export const getLockoutConfig = () => ({
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS,
+  attemptWindowMs: (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES, 10) || DEFAULT_ATTEMPT_WINDOW_MINUTES) * 60 * 1000,
+  lockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || DEFAULT_LOCKOUT_MINUTES) * 60 * 1000
+});
+
+export const normalizeLoginEmail = (loginEmail) => String(loginEmail || '').trim().toLowerCase();
+
+// Document IDs cannot contain "/", so the normalised email is URI-encoded
+const attemptsRef = (loginEmail) => admin.firestore()
+  .collection(LOGIN_ATTEMPTS_COLLECTION)
+  .doc(encodeURIComponent(normalizeLoginEmail(loginEmail)));
+
+// Failures older than the window, or from before an expired lockout, no longer count
+const isCounting = (data, attemptWindowMs, now) => {
+  if (!data?.firstFailedAt) return false;
+  if (data.lockedUntil && data.lockedUntil.toMillis() <= now) return false;
+  return data.firstFailedAt.toMillis() + attemptWindowMs > now;
+};
+
+const toStatus = (data, now = Date.now()) => {
+  const { maxAttempts, attemptWindowMs } = getLockoutConfig();
+  const lockedUntil = data?.lockedUntil?.toDate() || null;
+  const locked = !!lockedUntil && lockedUntil.getTime() > now;
+
+  const failedAttempts = locked || isCounting(data, attemptWindowMs, now) ? data.failedAttempts || 0 : 0;
+
+  return {
+    locked,
+    lockedUntil: locked ? lockedUntil : null,
+    failedAttempts,
+    remainingAttempts: locked ? 0 : Math.max(0, maxAttempts - failedAttempts)
+  };
+};
+
+/**
+ * Get the current lockout status for a login email
+ * @returns Whether the account is locked, until when, and how many attempts remain
+ */
+export const getLoginStatus = async (loginEmail) => {
+  const attemptsDoc = await attemptsRef(loginEmail).get();
+  return toStatus(attemptsDoc.exists ? attemptsDoc.data() : null);
+};
+
+/**
+ * Count a failed password attempt, locking the login email once the limit is reached
+ * @param loginEmail Email the sign-in was attempted for (tracked even if no such account exists)
+ * @param ip Caller's IP address, kept for investigation
+ * @returns The lockout status after this failure
+ */
+export const recordFailedLogin = async (loginEmail, ip) => {
+  const { maxAttempts, attemptWindowMs, lockoutMs } = getLockoutConfig();
+  const ref = attemptsRef(loginEmail);
+
+  return admin.firestore().runTransaction(async (transaction) => {
+    const attemptsDoc = await transaction.get(ref);
+    const now = Date.now();
+    const current = attemptsDoc.exists ? attemptsDoc.data() : null;
+
+    const windowActive = isCounting(current, attemptWindowMs, now);
+    const failedAttempts = (windowActive ? current.failedAttempts || 0 : 0) + 1;
+    const lockedUntil = failedAttempts >= maxAttempts
+      ? admin.firestore.Timestamp.fromMillis(now + lockoutMs)
+      : null;
+
+    const updated = {
+      loginEmail: normalizeLoginEmail(loginEmail),
+      failedAttempts,
+      firstFailedAt: windowActive ? current.firstFailedAt : admin.firestore.Timestamp.fromMillis(now),
+      lastFailedAt: admin.firestore.Timestamp.fromMillis(now),
+      lastFailedIp: ip || null,
+      lockedUntil
+    };
+
+    transaction.set(ref, updated, { merge: true });
+    return toStatus(updated, now);
+  });
+};
+
+/**
+ * Clear failed attempts and any lockout for a login email
+ * Called after a successful sign-in and when an admin unlocks the account
+ */
+export const clearLoginAttempts = async (loginEmail) => {
+  await attemptsRef(loginEmail).delete();
+};
+
+/**
+ * List login emails that are currently locked out
+ */
+export const getLockedLogins = async () => {
+  const lockedSnapshot = await admin.firestore()
+    .collection(LOGIN_ATTEMPTS_COLLECTION)
+    .where('lockedUntil', '>', admin.firestore.Timestamp.now())
+    .get();
+
+  return lockedSnapshot.docs.map(doc => {
+    const data = doc.data();
+    return {
+      loginEmail: data.loginEmail,
+      lockedUntil: data.lockedUntil.toDate().toISOString(),
+      failedAttempts: data.failedAttempts || 0,
+      lastFailedIp: data.lastFailedIp || null
+    };
+  });
+};
@@ -0,0 +1,95 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import nodemailer from 'nodemailer';
+import { logger } from './logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_FROM = 'Business Options <no-reply@businessoptions.in>';
+const DEFAULT_OUTBOX_DIR = path.resolve(__dirname, '../outbox');
+
+/**
+ * Development transport: renders each message with nodemailer's JSON transport
+ * and writes it to the outbox directory instead of delivering it
+ */
+const createFileTransport = (outboxDir) => {
+  const jsonTransport = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    sendMail: async (message) => {
+      const info = await jsonTransport.sendMail(message);
+
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      const fileName = `${Date.now()}-${String(info.messageId).replace(/[^\w.-]/g, '')}.json`;
+      const filePath = path.join(outboxDir, fileName);
+      await fs.promises.writeFile(filePath, info.message);
+
+      logger.info(`Mail to ${message.to} written to ${filePath}`);
+      return info;
+    }
+  };
+};
+
+/**
+ * Build the transport selected by MAIL_TRANSPORT.
+ * "smtp" delivers through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS, "file" writes to MAIL_OUTBOX_DIR.
+ * Production defaults to SMTP, everything else to the file outbox.
+ */
+const createTransportFromEnv = () => {
+  const defaultTransport = process.env.NODE_ENV === 'production' ? 'smtp' : 'file';
+  const transportName = (process.env.MAIL_TRANSPORT || defaultTransport).toLowerCase();
+
+  if (transportName === 'smtp') {
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+
+  if (transportName === 'file') {
+    return createFileTransport(process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR);
+  }
+
+  throw new Error(`Unknown MAIL_TRANSPORT: ${transportName}`);
+};
+
+let transport = null;
+
+/**
+ * Replace the mail transport, e.g. with another nodemailer transport or provider SDK wrapper.
+ * Anything with a sendMail(message) method returning a promise can be plugged in.
+ */
+export const setMailTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param message Nodemailer message fields (to, subject, text, html)
+ * @returns The transport's delivery info
+ */
+export const sendMail = async (message) => {
+  if (!transport) {
+    transport = createTransportFromEnv();
+  }
+
+  return transport.sendMail({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    ...message
+  });
+};
+
+/**
+ * Escape text for the html body of a message
+ */
+export const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
@@ -0,0 +1,338 @@
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import admin from '../firebase/admin.js';
+import { ROLES } from '../middleware/roles.js';
+import { buildOtpauthUrl, generateTotpSecret, verifyTotp } from './totp.js';
+import { logger } from './logger.js';
+
+// Secrets and recovery code hashes live in their own collection, which only the server reads
+export const MFA_COLLECTION = 'user_mfa';
+const SETTINGS_COLLECTION = 'settings';
+const SECURITY_SETTINGS_DOC = 'security';
+
+// Roles that may enrol in two-factor authentication and that the policy can make it mandatory for
+export const MFA_ELIGIBLE_ROLES = [ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MODERATOR];
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Enrolment must be confirmed within this time or the pending secret is discarded
+const PENDING_ENROLLMENT_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * Error raised when a two-factor operation cannot proceed.
+ * Routes turn it into `{ error, code }` with the given HTTP status.
+ */
+export class MfaError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'MfaError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+let warnedAboutKey = false;
+
+// TOTP secrets are encrypted with AES-256-GCM when MFA_ENCRYPTION_KEY (32 bytes, base64) is set
+const getEncryptionKey = () => {
+  const key = process.env.MFA_ENCRYPTION_KEY;
+  if (!key) {
+    if (!warnedAboutKey) {
+      logger.warn('MFA_ENCRYPTION_KEY is not set - TOTP secrets will be stored unencrypted');
+      warnedAboutKey = true;
+    }
+    return null;
+  }
+  return Buffer.from(key, 'base64');
+};
+
+const encryptSecret = (secret) => {
+  const key = getEncryptionKey();
+  if (!key) return { value: secret, encrypted: false };
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return {
+    value: [iv, tag, ciphertext].map(part => part.toString('base64')).join('.'),
+    encrypted: true
+  };
+};
+
+const decryptSecret = (stored) => {
+  if (!stored.encrypted) return stored.value;
+
+  const key = getEncryptionKey();
+  if (!key) {
+    throw new Error('MFA_ENCRYPTION_KEY is required to read encrypted TOTP secrets');
+  }
+
+  const [iv, tag, ciphertext] = stored.value.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+// Codes look like "k3x9-p2m7" - easy to read out and type, 40 bits each
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const raw = crypto.randomBytes(5).toString('hex');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+const mfaRef = (uid) => admin.firestore().collection(MFA_COLLECTION).doc(uid);
+
+// Mirror the enrolment state onto the users document so the admin panel can show it
+const setUserMfaFlag = async (uid, enabled) => {
+  const userSnapshot = await admin.firestore()
+    .collection('users')
+    .where('uid', '==', uid)
+    .limit(1)
+    .get();
+
+  if (!userSnapshot.empty) {
+    await userSnapshot.docs[0].ref.update({ mfaEnabled: enabled });
+  }
+};
+
+/**
+ * Get the two-factor policy set by super admins
+ * @returns Roles for which two-factor authentication is mandatory
+ */
+export const getMfaPolicy = async () => {
+  const settingsDoc = await admin.firestore().collection(SETTINGS_COLLECTION).doc(SECURITY_SETTINGS_DOC).get();
+  const data = settingsDoc.exists ? settingsDoc.data() : {};
+  return {
+    requiredRoles: Array.isArray(data.mfaRequiredRoles) ? data.mfaRequiredRoles : []
+  };
+};
+
+/**
+ * Replace the list of roles for which two-factor authentication is mandatory
+ * @param requiredRoles Subset of MFA_ELIGIBLE_ROLES
+ * @param updatedBy ID of the super admin making the change
+ */
+export const updateMfaPolicy = async (requiredRoles, updatedBy) => {
+  const invalidRoles = requiredRoles.filter(role => !MFA_ELIGIBLE_ROLES.includes(role));
+  if (invalidRoles.length > 0) {
+    throw new MfaError(`Two-factor authentication is not available for: ${invalidRoles.join(', ')}`, 400, 'invalid_role');
+  }
+
+  await admin.firestore().collection(SETTINGS_COLLECTION).doc(SECURITY_SETTINGS_DOC).set({
+    mfaRequiredRoles: requiredRoles,
+    mfaPolicyUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    mfaPolicyUpdatedBy: updatedBy
+  }, { merge: true });
+
+  return { requiredRoles };
+};
+
+/**
+ * Whether two-factor authentication is mandatory for a role under the given policy
+ */
+export const isMfaRequired = (role, policy) => policy.requiredRoles.includes(role);
+
+/**
+ * Get a user's two-factor status without exposing the secret
+ */
+export const getMfaStatus = async (uid) => {
+  const mfaDoc = await mfaRef(uid).get();
+  const data = mfaDoc.exists ? mfaDoc.data() : {};
+
+  return {
+    enabled: !!data.enabled,
+    enrolledAt: data.enrolledAt?.toDate().toISOString() || null,
+    recoveryCodesRemaining: data.enabled ? (data.recoveryCodeHashes || []).length : 0
+  };
+};
+
+/**
+ * Start enrolment: create a pending secret and the QR code that provisions it
+ * @param uid Firebase Auth UID
+ * @param accountName Label shown in the authenticator app
+ * @returns The secret (for manual entry), otpauth URL and QR code as a data URL
+ */
+export const startEnrollment = async (uid, accountName) => {
+  const status = await getMfaStatus(uid);
+  if (status.enabled) {
+    throw new MfaError('Two-factor authentication is already enabled', 409, 'mfa_already_enabled');
+  }
+
+  const secret = generateTotpSecret();
+  const otpauthUrl = buildOtpauthUrl(secret, accountName);
+
+  await mfaRef(uid).set({
+    pendingSecret: encryptSecret(secret),
+    pendingCreatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCodeDataUrl: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+/**
+ * Finish enrolment by checking a code from the authenticator app
+ * @returns Recovery codes, shown to the user once
+ * @throws MfaError if there is no pending enrolment or the code is wrong
+ */
+export const confirmEnrollment = async (uid, code) => {
+  const mfaDoc = await mfaRef(uid).get();
+  const data = mfaDoc.exists ? mfaDoc.data() : {};
+
+  const pendingCreatedAt = data.pendingCreatedAt?.toMillis() || 0;
+  if (!data.pendingSecret || pendingCreatedAt + PENDING_ENROLLMENT_TTL_MS < Date.now()) {
+    throw new MfaError('Enrolment has expired. Please start again.', 400, 'enrollment_expired');
+  }
+
+  const secret = decryptSecret(data.pendingSecret);
+  const step = verifyTotp(secret, code);
+  if (step === null) {
+    throw new MfaError('The verification code is incorrect', 400, 'invalid_mfa_code');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  await mfaRef(uid).set({
+    enabled: true,
+    secret: encryptSecret(secret),
+    lastUsedStep: step,
+    recoveryCodeHashes: recoveryCodes.map(hashRecoveryCode),
+    enrolledAt: admin.firestore.FieldValue.serverTimestamp(),
+    pendingSecret: admin.firestore.FieldValue.delete(),
+    pendingCreatedAt: admin.firestore.FieldValue.delete()
+  }, { merge: true });
+
+  await setUserMfaFlag(uid, true);
+
+  return recoveryCodes;
+};
+
+/**
+ * Check a second factor - either a TOTP code or a single-use recovery code
+ * @returns How the user verified ('totp' or 'recovery_code'), or null if neither matched
+ */
+export const verifySecondFactor = async (uid, { code, recoveryCode }) => {
+  return admin.firestore().runTransaction(async (transaction) => {
+    const ref = mfaRef(uid);
+    const mfaDoc = await transaction.get(ref);
+    const data = mfaDoc.exists ? mfaDoc.data() : {};
+
+    if (!data.enabled) {
+      throw new MfaError('Two-factor authentication is not enabled for this account', 400, 'mfa_not_enabled');
+    }
+
+    if (recoveryCode) {
+      const hash = hashRecoveryCode(recoveryCode);
+      const remaining = (data.recoveryCodeHashes || []).filter(stored => stored !== hash);
+      if (remaining.length === (data.recoveryCodeHashes || []).length) return null;
+
+      transaction.update(ref, { recoveryCodeHashes: remaining });
+      return 'recovery_code';
+    }
+
+    const step = verifyTotp(decryptSecret(data.secret), code, data.lastUsedStep ?? null);
+    if (step === null) return null;
+
+    transaction.update(ref, { lastUsedStep: step });
+    return 'totp';
+  });
+};
+
+/**
+ * Replace all recovery codes after checking a current TOTP code
+ * @returns The new recovery codes
+ */
+export const regenerateRecoveryCodes = async (uid, code) => {
+  const method = await verifySecondFactor(uid, { code });
+  if (method === null) {
+    throw new MfaError('The verification code is incorrect', 400, 'invalid_mfa_code');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  await mfaRef(uid).update({ recoveryCodeHashes: recoveryCodes.map(hashRecoveryCode) });
+  return recoveryCodes;
+};
+
+/**
+ * Remove a user's second factor entirely
+ * Used when the user turns it off and when an admin resets a lost device
+ */
+export const removeMfa = async (uid) => {
+  await mfaRef(uid).delete();
+  await setUserMfaFlag(uid, false);
+};
+
+const CHALLENGES_COLLECTION = 'mfa_challenges';
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+const hashChallengeToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Create the short-lived challenge that links a correct password to the second sign-in step
+ * @returns The raw challenge token; only its hash is stored
+ */
+export const createLoginChallenge = async (uid, loginEmail) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await admin.firestore().collection(CHALLENGES_COLLECTION).doc(hashChallengeToken(token)).set({
+    uid,
+    loginEmail,
+    attempts: 0,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + CHALLENGE_TTL_MS)
+  });
+
+  return token;
+};
+
+/**
+ * Look up a pending sign-in challenge
+ * @throws MfaError when the token is unknown, expired or used up
+ */
+export const getLoginChallenge = async (token) => {
+  if (!token || typeof token !== 'string') {
+    throw new MfaError('Sign-in session is missing. Please sign in again.', 401, 'mfa_challenge_invalid');
+  }
+
+  const ref = admin.firestore().collection(CHALLENGES_COLLECTION).doc(hashChallengeToken(token));
+  const challengeDoc = await ref.get();
+
+  if (!challengeDoc.exists || challengeDoc.data().expiresAt.toMillis() < Date.now()) {
+    throw new MfaError('Your sign-in session has expired. Please sign in again.', 401, 'mfa_challenge_invalid');
+  }
+
+  return { ref, ...challengeDoc.data() };
+};
+
+/**
+ * Count a wrong code against a challenge; the challenge is discarded after too many
+ * @returns Attempts left on this challenge
+ */
+export const recordChallengeFailure = async (challenge) => {
+  const attempts = (challenge.attempts || 0) + 1;
+
+  if (attempts >= MAX_CHALLENGE_ATTEMPTS) {
+    await challenge.ref.delete();
+    return 0;
+  }
+
+  await challenge.ref.update({ attempts });
+  return MAX_CHALLENGE_ATTEMPTS - attempts;
+};
+
+/**
+ * Discard a challenge once the sign-in has completed
+ */
+export const deleteLoginChallenge = async (challenge) => {
+  await challenge.ref.delete();
+};
@@ -0,0 +1,131 @@
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import { operations } from '../schemas/index.js';
+import { errorResponseSchema } from '../schemas/common.js';
+
+const SECURITY_REQUIREMENTS = {
+  public: [],
+  idToken: [{ idToken: [] }],
+  // Either an API key or an ID token
+  apiClient: [{ apiKey: [] }, { idToken: [] }],
+  jobSecret: [{ jobSecret: [] }]
+};
+
+// Describe what a request would accept rather than what it is transformed into
+const toJsonSchema = (schema) => {
+  const { $schema, ...jsonSchema } = zodToJsonSchema(schema, {
+    target: 'openApi3',
+    $refStrategy: 'none',
+    effectStrategy: 'input',
+    pipeStrategy: 'input'
+  });
+  return jsonSchema;
+};
+
+const jsonContent = (schema) => ({ 'application/json': { schema: toJsonSchema(schema) } });
+
+// Express paths use :name, OpenAPI uses {name}
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const toParameters = (schema, location) => {
+  if (!schema) return [];
+  return Object.entries(schema.shape).map(([name, field]) => {
+    const required = location === 'path' || !field.isOptional();
+    // Optionality is carried by `required`; the parameter schema describes the value itself
+    const valueSchema = field.isOptional() && field.unwrap ? field.unwrap() : field;
+    const description = field.description || valueSchema.description;
+    return {
+      name,
+      in: location,
+      required,
+      ...(description ? { description } : {}),
+      schema: toJsonSchema(valueSchema)
+    };
+  });
+};
+
+const errorResponse = (description) => ({ description, content: jsonContent(errorResponseSchema) });
+
+const toOperation = (operation) => {
+  const { request = {}, responses, security, roles } = operation;
+
+  const description = [
+    operation.description,
+    roles ? `Requires one of these roles: ${roles.join(', ')}.` : null
+  ].filter(Boolean).join('\n\n');
+
+  const documentedResponses = Object.fromEntries(
+    Object.entries(responses).map(([status, response]) => [status, {
+      description: response.description,
+      content: jsonContent(response.schema)
+    }])
+  );
+
+  return {
+    operationId: operation.operationId,
+    tags: operation.tags,
+    summary: operation.summary,
+    ...(description ? { description } : {}),
+    security: SECURITY_REQUIREMENTS[security],
+    parameters: [...toParameters(request.params, 'path'), ...toParameters(request.query, 'query')],
+    ...(request.body ? { requestBody: { required: true, content: jsonContent(request.body) } } : {}),
+    responses: {
+      ...documentedResponses,
+      400: errorResponse('The request does not match this specification (invalid_request), or failed a business rule'),
+      ...(security !== 'public' ? { 401: errorResponse('Missing, invalid or expired credentials') } : {}),
+      ...(security !== 'public' ? { 403: errorResponse('The caller is not allowed to do this') } : {}),
+      429: errorResponse('Rate limit exceeded'),
+      500: errorResponse('Unexpected server error')
+    }
+  };
+};
+
+let cachedDocument = null;
+
+/**
+ * Build the OpenAPI 3 document from the operation schemas the routes validate against.
+ * Built once per process; the schemas do not change at runtime.
+ */
+export const getOpenApiDocument = () => {
+  if (cachedDocument) return cachedDocument;
+
+  const paths = {};
+  operations.forEach(operation => {
+    const path = toOpenApiPath(operation.path);
+    paths[path] = { ...paths[path], [operation.method]: toOperation(operation) };
+  });
+
+  cachedDocument = {
+    openapi: '3.0.3',
+    info: {
+      title: 'Business Options API',
+      version: process.env.npm_package_version || '1.0.0',
+      description: 'Backend for the Business Options admin panel and the public listings API. Errors are returned as `{ error, code }`.'
+    },
+    ...(process.env.API_URL ? { servers: [{ url: process.env.API_URL }] } : {}),
+    tags: [...new Set(operations.flatMap(operation => operation.tags))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        idToken: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'Firebase ID token'
+        },
+        apiKey: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Created under My Profile in the admin panel; acts as the user who created it'
+        },
+        jobSecret: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Jobs-Secret',
+          description: 'JOBS_SECRET, sent by Cloud Scheduler'
+        }
+      }
+    }
+  };
+
+  return cachedDocument;
+};
@@ -0,0 +1,58 @@
+// Keep in sync with src/lib/passwordPolicy.ts, which shows the same rules on the set-password page
+export const PASSWORD_MIN_LENGTH = 12;
+export const PASSWORD_MAX_LENGTH = 128;
+
+const PASSWORD_RULES = [
+  {
+    message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters`,
+    test: (password) => password.length >= PASSWORD_MIN_LENGTH
+  },
+  {
+    message: `Password must be at most ${PASSWORD_MAX_LENGTH} characters`,
+    test: (password) => password.length <= PASSWORD_MAX_LENGTH
+  },
+  {
+    message: 'Password must contain an uppercase letter',
+    test: (password) => /[A-Z]/.test(password)
+  },
+  {
+    message: 'Password must contain a lowercase letter',
+    test: (password) => /[a-z]/.test(password)
+  },
+  {
+    message: 'Password must contain a number',
+    test: (password) => /[0-9]/.test(password)
+  },
+  {
+    message: 'Password must contain a special character',
+    test: (password) => /[^A-Za-z0-9]/.test(password)
+  }
+];
+
+/**
+ * Check a password against the admin panel password policy
+ * @param password Candidate password
+ * @param context Account details the password must not contain (name, loginEmail)
+ * @returns List of rule violations; empty when the password is acceptable
+ */
+export const validatePassword = (password, { name, loginEmail } = {}) => {
+  if (typeof password !== 'string') {
+    return ['Password is required'];
+  }
+
+  const errors = PASSWORD_RULES
+    .filter(rule => !rule.test(password))
+    .map(rule => rule.message);
+
+  const lowered = password.toLowerCase();
+  const personalParts = [
+    ...(name ? name.toLowerCase().split(/\s+/) : []),
+    ...(loginEmail ? [loginEmail.toLowerCase().split('@')[0]] : [])
+  ].filter(part => part.length >= 3);
+
+  if (personalParts.some(part => lowered.includes(part))) {
+    errors.push('Password must not contain your name or login email');
+  }
+
+  return errors;
+};
@@ -0,0 +1,234 @@
+import crypto from 'crypto';
+import admin from '../firebase/admin.js';
+import { getClientIp } from './auditLog.js';
+
+export const SESSIONS_COLLECTION = 'sessions';
+
+// lastSeenAt is written at most this often per session, so every API call does not cost a write
+const LAST_SEEN_WRITE_INTERVAL_MS = 60 * 1000;
+
+// Sessions not seen for this long are treated as ended even if nobody signed out
+const IDLE_EXPIRY_MS = 30 * 24 * 60 * 60 * 1000;
+
+export const SESSION_STATUS = {
+  ACTIVE: 'active',
+  SIGNED_OUT: 'signed_out',
+  REVOKED: 'revoked',
+  REPLACED: 'replaced'
+};
+
+/**
+ * Error raised when a session operation cannot proceed.
+ * Routes turn it into `{ error, code }` with the given HTTP status.
+ */
+export class SessionError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Ordered so more specific tokens win (Edge and Opera also report Chrome, Chrome also reports Safari)
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/[\d.]+/],
+  ['Opera', /OPR\/[\d.]+/],
+  ['Samsung Internet', /SamsungBrowser\/[\d.]+/],
+  ['Firefox', /(?:Firefox|FxiOS)\/[\d.]+/],
+  ['Chrome', /(?:Chrome|CriOS)\/[\d.]+/],
+  ['Safari', /Version\/[\d.]+.*Safari\//]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows NT/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * Summarise a user agent into something a person recognises, e.g. "Chrome on Windows"
+ * @returns Browser, operating system, device type and a combined label
+ */
+export const describeDevice = (userAgent) => {
+  const ua = userAgent || '';
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(ua))?.[0] || 'Unknown browser';
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(ua))?.[0] || 'Unknown OS';
+
+  let deviceType = 'desktop';
+  if (/iPad|Tablet/.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) {
+    deviceType = 'tablet';
+  } else if (/Mobi|iPhone|iPod/.test(ua)) {
+    deviceType = 'mobile';
+  }
+
+  return { browser, os, deviceType, device: ua ? `${browser} on ${os}` : 'Unknown device' };
+};
+
+const sessionRef = (sessionId) => admin.firestore().collection(SESSIONS_COLLECTION).doc(sessionId);
+
+const isExpired = (data, now = Date.now()) => {
+  const lastSeen = data.lastSeenAt?.toMillis() || data.createdAt?.toMillis() || 0;
+  return lastSeen + IDLE_EXPIRY_MS < now;
+};
+
+const toSession = (doc, currentSessionId = null) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    uid: data.uid,
+    device: data.device,
+    browser: data.browser,
+    os: data.os,
+    deviceType: data.deviceType,
+    userAgent: data.userAgent,
+    ip: data.ip,
+    lastSeenIp: data.lastSeenIp || data.ip,
+    mfa: !!data.mfa,
+    status: data.status,
+    createdAt: data.createdAt?.toDate().toISOString() || null,
+    lastSeenAt: data.lastSeenAt?.toDate().toISOString() || null,
+    current: doc.id === currentSessionId
+  };
+};
+
+/**
+ * Record a new sign-in. The returned ID goes into the custom token as the `sessionId` claim,
+ * which ties every later ID token from that sign-in back to this record.
+ * @param req Express request of the sign-in, for IP and user agent
+ * @param session UID, login email and whether a second factor was used
+ */
+export const createSession = async (req, { uid, loginEmail, mfa = false }) => {
+  const sessionId = crypto.randomBytes(16).toString('hex');
+  const userAgent = req.headers['user-agent'] || null;
+  const ip = getClientIp(req);
+
+  await sessionRef(sessionId).set({
+    uid,
+    loginEmail: loginEmail || null,
+    ...describeDevice(userAgent),
+    userAgent,
+    ip,
+    lastSeenIp: ip,
+    mfa,
+    status: SESSION_STATUS.ACTIVE,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    lastSeenAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return sessionId;
+};
+
+/**
+ * Create a Firebase custom token for a new session
+ * @returns The custom token to return to the client
+ */
+export const issueSessionToken = async (req, { uid, loginEmail, mfa = false }) => {
+  const sessionId = await createSession(req, { uid, loginEmail, mfa });
+  return admin.auth().createCustomToken(uid, mfa ? { sessionId, mfa: true } : { sessionId });
+};
+
+/**
+ * Check that a session is still active and update its last-seen time
+ * @returns The session data, or null if it was ended, revoked or has gone idle
+ */
+export const touchSession = async (sessionId, req) => {
+  const ref = sessionRef(sessionId);
+  const sessionDoc = await ref.get();
+
+  if (!sessionDoc.exists) return null;
+
+  const data = sessionDoc.data();
+  if (data.status !== SESSION_STATUS.ACTIVE) return null;
+
+  const now = Date.now();
+  if (isExpired(data, now)) {
+    await ref.update({ status: SESSION_STATUS.SIGNED_OUT, endedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return null;
+  }
+
+  const lastSeen = data.lastSeenAt?.toMillis() || 0;
+  if (lastSeen + LAST_SEEN_WRITE_INTERVAL_MS < now) {
+    await ref.update({
+      lastSeenAt: admin.firestore.FieldValue.serverTimestamp(),
+      lastSeenIp: getClientIp(req)
+    });
+  }
+
+  return data;
+};
+
+/**
+ * List a user's active sessions, most recently seen first
+ * @param currentSessionId Marks the caller's own session when listing their own
+ */
+export const listActiveSessions = async (uid, currentSessionId = null) => {
+  const snapshot = await admin.firestore()
+    .collection(SESSIONS_COLLECTION)
+    .where('uid', '==', uid)
+    .where('status', '==', SESSION_STATUS.ACTIVE)
+    .get();
+
+  const now = Date.now();
+
+  return snapshot.docs
+    .filter(doc => !isExpired(doc.data(), now))
+    .map(doc => toSession(doc, currentSessionId))
+    .sort((a, b) => (b.lastSeenAt || '').localeCompare(a.lastSeenAt || ''));
+};
+
+/**
+ * Get a single session
+ * @throws SessionError if it does not exist
+ */
+export const getSession = async (sessionId) => {
+  const sessionDoc = await sessionRef(sessionId).get();
+  if (!sessionDoc.exists) {
+    throw new SessionError('Session not found', 404, 'session_not_found');
+  }
+  return toSession(sessionDoc);
+};
+
+/**
+ * End one session. Its next API call or token check is rejected and the client signs out.
+ * @param status REVOKED when ended by someone else, SIGNED_OUT when the user signed out
+ * @param endedBy User ID of whoever ended it
+ */
+export const endSession = async (sessionId, status, endedBy = null) => {
+  await sessionRef(sessionId).update({
+    status,
+    endedAt: admin.firestore.FieldValue.serverTimestamp(),
+    endedBy
+  });
+};
+
+/**
+ * End all of a user's active sessions, optionally keeping one
+ * @param options.exceptSessionId Session to keep, e.g. when signing out other devices
+ * @param options.revokeTokens Also revoke the user's Firebase refresh tokens, so even
+ *   sessions from before session tracking cannot refresh their ID token
+ * @returns Number of sessions ended
+ */
+export const endAllSessions = async (uid, { exceptSessionId = null, revokeTokens = false, endedBy = null } = {}) => {
+  const sessions = await listActiveSessions(uid);
+  const toEnd = sessions.filter(session => session.id !== exceptSessionId);
+
+  const batch = admin.firestore().batch();
+  toEnd.forEach(session => {
+    batch.update(sessionRef(session.id), {
+      status: SESSION_STATUS.REVOKED,
+      endedAt: admin.firestore.FieldValue.serverTimestamp(),
+      endedBy
+    });
+  });
+  await batch.commit();
+
+  if (revokeTokens) {
+    await admin.auth().revokeRefreshTokens(uid);
+  }
+
+  return toEnd.length;
+};
@@ -0,0 +1,571 @@
+import crypto from 'crypto';
+import admin from '../firebase/admin.js';
+import { ROLES } from '../middleware/auth.js';
+import { toJson } from './listings.js';
+import { logger } from './logger.js';
+
+// Subscriptions hold signing secrets, so only the server reads these collections
+export const WEBHOOK_SUBSCRIPTIONS_COLLECTION = 'webhook_subscriptions';
+export const WEBHOOK_EVENTS_COLLECTION = 'webhook_events';
+export const WEBHOOK_DELIVERIES_COLLECTION = 'webhook_deliveries';
+
+export const WEBHOOK_EVENT_TYPES = {
+  LISTING_PUBLISHED: 'listing.published',
+  LISTING_REJECTED: 'listing.rejected',
+  LEAD_STATUS_CHANGED: 'lead.status_changed',
+  PAYMENT_COMPLETED: 'payment.completed'
+};
+
+export const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+const SECRET_PREFIX = 'whsec_';
+
+// Retries wait 1, 2, 4 ... 64 minutes - about two hours in total before a delivery is given up
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+
+// A claimed delivery is not picked up again for this long, even if the instance dies mid-request
+const CLAIM_LEASE_MS = 2 * 60 * 1000;
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_RESPONSE_BODY_LENGTH = 1000;
+
+const WORKER_INTERVAL_MS = 30 * 1000;
+const WORKER_BATCH_SIZE = 25;
+
+const MAX_SUBSCRIPTIONS = 20;
+
+const STAFF_ROLES = [ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MODERATOR];
+
+/**
+ * Error raised when a webhook operation cannot proceed.
+ * Routes turn it into `{ error, code }` with the given HTTP status.
+ */
+export class WebhookError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'WebhookError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const db = () => admin.firestore();
+const subscriptionRef = (id) => db().collection(WEBHOOK_SUBSCRIPTIONS_COLLECTION).doc(id);
+const deliveryRef = (id) => db().collection(WEBHOOK_DELIVERIES_COLLECTION).doc(id);
+
+const generateSecret = () => `${SECRET_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+const toIso = (timestamp) => timestamp?.toDate().toISOString() || null;
+
+// The secret is never part of this shape - it is only returned when created or rotated
+const toSubscription = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    url: data.url,
+    description: data.description || '',
+    events: data.events || [],
+    active: data.active !== false,
+    createdBy: data.createdBy || null,
+    createdAt: toIso(data.createdAt),
+    updatedAt: toIso(data.updatedAt)
+  };
+};
+
+const toDelivery = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    subscriptionId: data.subscriptionId,
+    url: data.url,
+    eventId: data.eventId,
+    eventType: data.eventType,
+    payload: data.payload,
+    status: data.status,
+    attempts: data.attempts || 0,
+    responseStatus: data.responseStatus ?? null,
+    responseBody: data.responseBody ?? null,
+    error: data.error ?? null,
+    redeliveryOf: data.redeliveryOf || null,
+    createdAt: toIso(data.createdAt),
+    lastAttemptAt: toIso(data.lastAttemptAt),
+    nextAttemptAt: data.status === DELIVERY_STATUS.PENDING ? toIso(data.nextAttemptAt) : null,
+    completedAt: toIso(data.completedAt)
+  };
+};
+
+/**
+ * Sign a payload the way receivers are told to check it:
+ * HMAC-SHA256 over "<timestamp>.<raw body>" with the subscription secret
+ * @returns Value for the X-Webhook-Signature header, e.g. "t=1700000000,v1=5f2b..."
+ */
+export const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// 1 minute after the first failed attempt, doubling each time
+const getRetryDelay = (attempts) => BASE_RETRY_DELAY_MS * 2 ** (attempts - 1);
+
+/**
+ * List all subscriptions, newest first
+ */
+export const listSubscriptions = async () => {
+  const snapshot = await db().collection(WEBHOOK_SUBSCRIPTIONS_COLLECTION).orderBy('createdAt', 'desc').get();
+  return snapshot.docs.map(toSubscription);
+};
+
+/**
+ * Get a single subscription
+ * @throws WebhookError if it does not exist
+ */
+export const getSubscription = async (subscriptionId) => {
+  const doc = await subscriptionRef(subscriptionId).get();
+  if (!doc.exists) {
+    throw new WebhookError('Webhook not found', 404, 'webhook_not_found');
+  }
+  return toSubscription(doc);
+};
+
+/**
+ * Register an endpoint for some event types
+ * @param input url, description and events
+ * @param userId User ID of the admin registering it
+ * @returns The subscription and its signing secret, which is only ever returned here and on rotation
+ */
+export const createSubscription = async ({ url, description = '', events }, userId) => {
+  const existing = await listSubscriptions();
+  if (existing.length >= MAX_SUBSCRIPTIONS) {
+    throw new WebhookError(`There can be up to ${MAX_SUBSCRIPTIONS} webhooks. Delete one first.`, 409, 'too_many_webhooks');
+  }
+
+  const secret = generateSecret();
+  const ref = db().collection(WEBHOOK_SUBSCRIPTIONS_COLLECTION).doc();
+
+  await ref.set({
+    url,
+    description,
+    events: [...new Set(events)],
+    active: true,
+    secret,
+    createdBy: userId,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return { subscription: toSubscription(await ref.get()), secret };
+};
+
+/**
+ * Change a subscription's URL, description, events or active flag
+ * @returns The subscription before and after the change
+ */
+export const updateSubscription = async (subscriptionId, changes) => {
+  const before = await getSubscription(subscriptionId);
+
+  const update = { ...changes, updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+  if (changes.events) {
+    update.events = [...new Set(changes.events)];
+  }
+
+  await subscriptionRef(subscriptionId).update(update);
+
+  return { before, after: await getSubscription(subscriptionId) };
+};
+
+/**
+ * Replace a subscription's signing secret. Deliveries sent from now on use the new one.
+ * @returns The new secret
+ */
+export const rotateSubscriptionSecret = async (subscriptionId) => {
+  await getSubscription(subscriptionId);
+
+  const secret = generateSecret();
+  await subscriptionRef(subscriptionId).update({
+    secret,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return secret;
+};
+
+/**
+ * Delete a subscription. Its pending deliveries fail at their next attempt;
+ * the delivery log is kept.
+ * @returns The deleted subscription
+ */
+export const deleteSubscription = async (subscriptionId) => {
+  const subscription = await getSubscription(subscriptionId);
+  await subscriptionRef(subscriptionId).delete();
+  return subscription;
+};
+
+/**
+ * List deliveries, newest first
+ * @param filters Optional subscriptionId and status
+ * @param options Page size and the cursor (delivery ID) returned with the previous page
+ */
+export const listDeliveries = async ({ subscriptionId, status } = {}, { limit = 25, cursor = null } = {}) => {
+  // Combined filters need composite indexes on (field, createdAt desc)
+  let query = db().collection(WEBHOOK_DELIVERIES_COLLECTION);
+
+  if (subscriptionId) {
+    query = query.where('subscriptionId', '==', subscriptionId);
+  }
+
+  if (status) {
+    query = query.where('status', '==', status);
+  }
+
+  query = query.orderBy('createdAt', 'desc');
+
+  if (cursor) {
+    const cursorDoc = await deliveryRef(cursor).get();
+    if (cursorDoc.exists) {
+      query = query.startAfter(cursorDoc);
+    }
+  }
+
+  const snapshot = await query.limit(limit).get();
+
+  return {
+    deliveries: snapshot.docs.map(toDelivery),
+    nextCursor: snapshot.docs.length === limit ? snapshot.docs[snapshot.docs.length - 1].id : null
+  };
+};
+
+/**
+ * Queue a delivery of an event to one subscription
+ * @returns The new delivery ID
+ */
+const queueDelivery = async (subscription, event, redeliveryOf = null) => {
+  const ref = db().collection(WEBHOOK_DELIVERIES_COLLECTION).doc();
+
+  await ref.set({
+    subscriptionId: subscription.id,
+    url: subscription.url,
+    eventId: event.id,
+    eventType: event.type,
+    payload: event,
+    status: DELIVERY_STATUS.PENDING,
+    attempts: 0,
+    redeliveryOf,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    nextAttemptAt: admin.firestore.Timestamp.now()
+  });
+
+  return ref.id;
+};
+
+// Take a due delivery for this instance, so two instances never send it at the same time
+const claimDelivery = (deliveryId) => db().runTransaction(async (transaction) => {
+  const doc = await transaction.get(deliveryRef(deliveryId));
+  if (!doc.exists) return null;
+
+  const data = doc.data();
+  if (data.status !== DELIVERY_STATUS.PENDING || data.nextAttemptAt?.toMillis() > Date.now()) {
+    return null;
+  }
+
+  transaction.update(doc.ref, {
+    nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() + CLAIM_LEASE_MS)
+  });
+  return data;
+});
+
+const send = async (url, secret, payload, deliveryId) => {
+  const body = JSON.stringify(payload);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'BusinessOptions-Webhooks/1.0',
+        'X-Webhook-Id': payload.id,
+        'X-Webhook-Event': payload.type,
+        'X-Webhook-Delivery': deliveryId,
+        'X-Webhook-Signature': signPayload(secret, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    const text = await response.text().catch(() => '');
+    return {
+      ok: response.ok,
+      responseStatus: response.status,
+      responseBody: text.slice(0, MAX_RESPONSE_BODY_LENGTH),
+      error: response.ok ? null : `Endpoint responded with ${response.status}`
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      responseStatus: null,
+      responseBody: null,
+      error: error.name === 'TimeoutError' ? `No response within ${REQUEST_TIMEOUT_MS / 1000} seconds` : error.message
+    };
+  }
+};
+
+/**
+ * Make one attempt at a pending delivery, then record the outcome and schedule any retry.
+ * Does nothing if the delivery is not due or another instance has claimed it.
+ * @returns The delivery after the attempt, or null if no attempt was made
+ */
+export const attemptDelivery = async (deliveryId) => {
+  const delivery = await claimDelivery(deliveryId);
+  if (!delivery) return null;
+
+  const subscriptionDoc = await subscriptionRef(delivery.subscriptionId).get();
+  const subscription = subscriptionDoc.exists ? subscriptionDoc.data() : null;
+  const attempts = (delivery.attempts || 0) + 1;
+
+  if (!subscription || subscription.active === false) {
+    await deliveryRef(deliveryId).update({
+      status: DELIVERY_STATUS.FAILED,
+      error: subscription ? 'The webhook is disabled' : 'The webhook has been deleted',
+      completedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return toDelivery(await deliveryRef(deliveryId).get());
+  }
+
+  // Later attempts go to the current URL, in case it was corrected after a failure
+  const result = await send(subscription.url, subscription.secret, delivery.payload, deliveryId);
+
+  const update = {
+    url: subscription.url,
+    attempts,
+    responseStatus: result.responseStatus,
+    responseBody: result.responseBody,
+    error: result.error,
+    lastAttemptAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+
+  if (result.ok) {
+    update.status = DELIVERY_STATUS.SUCCEEDED;
+    update.completedAt = admin.firestore.FieldValue.serverTimestamp();
+  } else if (attempts >= MAX_ATTEMPTS) {
+    update.status = DELIVERY_STATUS.FAILED;
+    update.completedAt = admin.firestore.FieldValue.serverTimestamp();
+  } else {
+    update.nextAttemptAt = admin.firestore.Timestamp.fromMillis(Date.now() + getRetryDelay(attempts));
+  }
+
+  await deliveryRef(deliveryId).update(update);
+
+  if (!result.ok) {
+    logger.warn(`Webhook delivery ${deliveryId} failed`, {
+      url: subscription.url,
+      attempt: attempts,
+      reason: result.error
+    });
+  }
+
+  return toDelivery(await deliveryRef(deliveryId).get());
+};
+
+/**
+ * Send an event to every active subscription for its type.
+ * Each event is stored once under an ID derived from its key, so the same change
+ * reported twice (e.g. a retried request) is only delivered once.
+ * First attempts start immediately without being awaited; failures are retried by the worker.
+ * @param type One of WEBHOOK_EVENT_TYPES
+ * @param key Identifies the change, e.g. "<entity ID>:<updatedAt>"
+ * @param data Event body sent to receivers
+ * @returns The event ID and the number of deliveries queued, or null for a duplicate
+ */
+export const emitWebhookEvent = async (type, key, data) => {
+  const id = `evt_${crypto.createHash('sha256').update(`${type}:${key}`).digest('hex').slice(0, 24)}`;
+  const event = { id, type, createdAt: new Date().toISOString(), data: toJson(data) };
+
+  try {
+    await db().collection(WEBHOOK_EVENTS_COLLECTION).doc(id).create({
+      ...event,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } catch (error) {
+    // ALREADY_EXISTS - this change has been emitted before
+    if (error.code === 6) return null;
+    throw error;
+  }
+
+  const snapshot = await db()
+    .collection(WEBHOOK_SUBSCRIPTIONS_COLLECTION)
+    .where('events', 'array-contains', type)
+    .get();
+
+  const subscriptions = snapshot.docs.map(toSubscription).filter(subscription => subscription.active);
+  const deliveryIds = await Promise.all(subscriptions.map(subscription => queueDelivery(subscription, event)));
+
+  deliveryIds.forEach(deliveryId => {
+    attemptDelivery(deliveryId).catch(error => {
+      logger.error(`Webhook delivery ${deliveryId} failed`, error);
+    });
+  });
+
+  return { eventId: id, deliveries: deliveryIds.length };
+};
+
+/**
+ * Send a logged delivery's event to its subscription again as a new delivery,
+ * waiting for the first attempt so the admin sees the result
+ * @returns The new delivery
+ */
+export const redeliver = async (deliveryId) => {
+  const doc = await deliveryRef(deliveryId).get();
+  if (!doc.exists) {
+    throw new WebhookError('Delivery not found', 404, 'delivery_not_found');
+  }
+
+  const original = doc.data();
+  const subscription = await getSubscription(original.subscriptionId);
+
+  const newDeliveryId = await queueDelivery(subscription, original.payload, deliveryId);
+  return (await attemptDelivery(newDeliveryId)) || toDelivery(await deliveryRef(newDeliveryId).get());
+};
+
+/**
+ * Attempt every delivery whose retry is due
+ * @returns Number of deliveries attempted
+ */
+export const processDueDeliveries = async () => {
+  // Needs a composite index on (status, nextAttemptAt)
+  const snapshot = await db()
+    .collection(WEBHOOK_DELIVERIES_COLLECTION)
+    .where('status', '==', DELIVERY_STATUS.PENDING)
+    .where('nextAttemptAt', '<=', admin.firestore.Timestamp.now())
+    .orderBy('nextAttemptAt')
+    .limit(WORKER_BATCH_SIZE)
+    .get();
+
+  let attempted = 0;
+  for (const doc of snapshot.docs) {
+    if (await attemptDelivery(doc.id)) attempted++;
+  }
+  return attempted;
+};
+
+/**
+ * Retry due deliveries in the background for as long as the process runs.
+ * Only for servers that keep their CPU between requests, e.g. in development; on Cloud Run,
+ * Cloud Scheduler runs processDueDeliveries through POST /api/jobs/webhook-deliveries instead.
+ */
+export const startWebhookWorker = () => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueDeliveries();
+    } catch (error) {
+      logger.error('Error processing webhook retries', error);
+    } finally {
+      running = false;
+    }
+  }, WORKER_INTERVAL_MS);
+  timer.unref();
+};
+
+const getUpdatedKey = (entityId, data) => `${entityId}:${data.updatedAt?.toMillis?.() ?? Date.now()}`;
+
+const pick = (data, fields) => Object.fromEntries(fields.map(field => [field, data[field] ?? null]));
+
+/**
+ * Listing fields sent with listing events
+ * @param id Listing ID
+ * @param listing Stored listing data, or a listing from services/listings.js
+ */
+export const toListingEventData = (id, listing) => ({
+  id,
+  ...pick(listing, [
+    'slug', 'name', 'type', 'status', 'statusReason', 'plan', 'ownerId', 'location', 'isVerified', 'isFeatured', 'publishedAt', 'updatedAt'
+  ])
+});
+
+/**
+ * Emit listing.published or listing.rejected for a status change made on the server
+ * @param listing The listing after the change, from services/listings.js
+ */
+export const emitListingStatusEvent = async (listing) => {
+  const type = {
+    published: WEBHOOK_EVENT_TYPES.LISTING_PUBLISHED,
+    rejected: WEBHOOK_EVENT_TYPES.LISTING_REJECTED
+  }[listing.status];
+  if (!type) return null;
+
+  const updatedAt = listing.updatedAt ? Date.parse(listing.updatedAt) : Date.now();
+  return emitWebhookEvent(type, `${listing.id}:${updatedAt}`, { listing: toListingEventData(listing.id, listing) });
+};
+
+/**
+ * Build the event for a change the admin panel has just written to Firestore, after
+ * checking the stored record really is in the reported state
+ * @param type One of WEBHOOK_EVENT_TYPES
+ * @param entityId Listing, lead or payment ID
+ * @param previousStatus The lead's status before the change, for lead.status_changed
+ * @param user The caller - staff, or the advisor a lead or payment belongs to
+ * @returns Arguments for emitWebhookEvent
+ * @throws WebhookError if the record is missing, not in that state, or not the caller's
+ */
+export const resolveEntityEvent = async (type, entityId, previousStatus, user) => {
+  const isStaff = STAFF_ROLES.includes(user.role);
+
+  const load = async (collection, label) => {
+    const doc = await db().collection(collection).doc(entityId).get();
+    if (!doc.exists) {
+      throw new WebhookError(`${label} not found`, 404, 'not_found');
+    }
+    const data = doc.data();
+    if (!isStaff && data.advisorId !== user.id) {
+      throw new WebhookError('You do not have permission to perform this action.', 403, 'forbidden');
+    }
+    return data;
+  };
+
+  const mismatch = () => new WebhookError('The record is not in the state this event reports', 409, 'event_mismatch');
+
+  switch (type) {
+    case WEBHOOK_EVENT_TYPES.LISTING_PUBLISHED:
+    case WEBHOOK_EVENT_TYPES.LISTING_REJECTED: {
+      if (!isStaff) {
+        throw new WebhookError('Only moderators can publish or reject listings', 403, 'forbidden');
+      }
+      const listing = await load('listings', 'Listing');
+      if (listing.status !== type.split('.')[1]) throw mismatch();
+      return [type, getUpdatedKey(entityId, listing), { listing: toListingEventData(entityId, listing) }];
+    }
+    case WEBHOOK_EVENT_TYPES.LEAD_STATUS_CHANGED: {
+      const lead = await load('leads', 'Lead');
+      if (!previousStatus || lead.status === previousStatus) throw mismatch();
+      return [type, getUpdatedKey(entityId, lead), {
+        lead: {
+          id: entityId,
+          ...pick(lead, ['clientName', 'clientEmail', 'clientPhone', 'type', 'value', 'status', 'advisorId', 'updatedAt'])
+        },
+        previousStatus
+      }];
+    }
+    case WEBHOOK_EVENT_TYPES.PAYMENT_COMPLETED: {
+      const payment = await load('payments', 'Payment');
+      if (payment.status !== 'completed') throw mismatch();
+      return [type, getUpdatedKey(entityId, payment), {
+        payment: {
+          id: entityId,
+          ...pick(payment, [
+            'advisorId', 'amount', 'status', 'date', 'paymentMethod', 'referenceNumber', 'description', 'relatedLeads', 'updatedAt'
+          ])
+        }
+      }];
+    }
+    default:
+      throw new WebhookError(`Unknown event type: ${type}`, 400, 'invalid_event_type');
+  }
+};
@@ -22,6 +22,9 @@ const AllListings = React.lazy(() => import("@/pages/listings/AllListings"));
 const ListingCreate = React.lazy(() => import("@/pages/listings/ListingCreate"));
 const ListingDetail = React.lazy(() => import("@/pages/listings/ListingDetail"));
 const ListingEdit = React.lazy(() => import("@/pages/listings/ListingEdit"));
+const ListingImport = React.lazy(() => import("@/pages/listings/ListingImport"));
+const ModerationQueue = React.lazy(() => import("@/pages/listings/ModerationQueue"));
+const MatchReport = React.lazy(() => import("@/pages/listings/MatchReport"));
 
 // Lazy load advisor-related pages
 const AllAdvisors = React.lazy(() => import("@/pages/advisors/AllAdvisors"));
@@ -29,6 +32,19 @@ const CommissionStructure = React.lazy(() => import("@/pages/advisors/Commission
 const AdvisorLeads = React.lazy(() => import("@/pages/advisors/Leads"));
 const AdvisorPayments = React.lazy(() => import("@/pages/advisors/Payments"));
 
+// Lazy load public pages
+const SetPassword = React.lazy(() => import("@/pages/SetPassword"));
+
+// Lazy load settings pages
+const AuditLog = React.lazy(() => import("@/pages/settings/AuditLog"));
+const SecuritySettings = React.lazy(() => import("@/pages/settings/SecuritySettings"));
+const RatingSettings = React.lazy(() => import("@/pages/settings/RatingSettings"));
+const ValuationSettings = React.lazy(() => import("@/pages/settings/ValuationSettings"));
+const Webhooks = React.lazy(() => import("@/pages/settings/Webhooks"));
+
+// Lazy load account pages
+const Profile = React.lazy(() => import("@/pages/Profile"));
+
 // Root-level authentication component
 const RootAuth: React.FC = () => {
   const { isAuthenticated, isLoading: authLoading } = useAuth();
@@ -263,6 +279,12 @@ export default function App() {
                 </PublicRoute>
               } />
               <Route path="/unauthorized" element={<Unauthorized />} />
+              {/* Invitation links - reachable whether or not someone is signed in on this browser */}
+              <Route path="/set-password" element={
+                <Suspense fallback={<LoadingSpinner size="lg" text="Loading..." />}>
+                  <SetPassword />
+                </Suspense>
+              } />
               
                {/* Protected routes with layout */}
                <Route element={
@@ -300,6 +322,23 @@ export default function App() {
                     <ListingCreate />
                   </Suspense>
                 } />
+                <Route path="/listings/import" element={
+                  <Suspense fallback={<LoadingSpinner size="lg" text="Loading listing import..." />}>
+                    <ListingImport />
+                  </Suspense>
+                } />
+                <Route path="/listings/pending" element={
+                  <Suspense fallback={<LoadingSpinner size="lg" text="Loading moderation queue..." />}>
+                    <ModerationQueue />
+                  </Suspense>
+                } />
+                <Route path="/listings/matches" element={
+                  <ProtectedRoute allowedRoles={['super_admin', 'admin', 'moderator']}>
+                    <Suspense fallback={<LoadingSpinner size="lg" text="Loading investor matches..." />}>
+                      <MatchReport />
+                    </Suspense>
+                  </ProtectedRoute>
+                } />
                 <Route path="/listings/:id" element={
                   <Suspense fallback={<LoadingSpinner size="lg" text="Loading listing details..." />}>
                     <ListingDetail />
@@ -331,6 +370,50 @@ export default function App() {
                     <AdvisorPayments />
                   </Suspense>
                 } />
+                
+                {/* Account Routes */}
+                <Route path="/profile" element={
+                  <Suspense fallback={<LoadingSpinner size="lg" text="Loading profile..." />}>
+                    <Profile />
+                  </Suspense>
+                } />
+                
+                {/* Settings Routes */}
+                <Route path="/settings/audit-log" element={
+                  <ProtectedRoute allowedRoles={['super_admin', 'admin']}>
+                    <Suspense fallback={<LoadingSpinner size="lg" text="Loading audit log..." />}>
+                      <AuditLog />
+                    </Suspense>
+                  </ProtectedRoute>
+                } />
+                <Route path="/settings/security" element={
+                  <ProtectedRoute allowedRoles={['super_admin', 'admin']}>
+                    <Suspense fallback={<LoadingSpinner size="lg" text="Loading security settings..." />}>
+                      <SecuritySettings />
+                    </Suspense>
+                  </ProtectedRoute>
+                } />
+                <Route path="/settings/rating" element={
+                  <ProtectedRoute allowedRoles={['super_admin', 'admin']}>
+                    <Suspense fallback={<LoadingSpinner size="lg" text="Loading rating settings..." />}>
+                      <RatingSettings />
+                    </Suspense>
+                  </ProtectedRoute>
+                } />
+                <Route path="/settings/valuation" element={
+                  <ProtectedRoute allowedRoles={['super_admin', 'admin']}>
+                    <Suspense fallback={<LoadingSpinner size="lg" text="Loading valuation benchmarks..." />}>
+                      <ValuationSettings />
+                    </Suspense>
+                  </ProtectedRoute>
+                } />
+                <Route path="/settings/webhooks" element={
+                  <ProtectedRoute allowedRoles={['super_admin', 'admin']}>
+                    <Suspense fallback={<LoadingSpinner size="lg" text="Loading webhooks..." />}>
+                      <Webhooks />
+                    </Suspense>
+                  </ProtectedRoute>
+                } />
               </Route>
               
               {/* 404 route */}
@@ -4,7 +4,7 @@ import { X, User, Mail, UserCheck, Upload, AlertCircle, Copy, CheckCircle, Phone
 import Button from '@/components/ui/Button';
 import { UserRole, UserDetails, CommissionTier } from '@/types/firebase';
 import { z } from 'zod';
-import { cn } from '@/lib/utils';
+import { cn, formatDate } from '@/lib/utils';
 import ErrorBoundary from '@/components/ErrorBoundary';
 import { Country, State, City } from 'country-state-city';
 
@@ -24,14 +24,15 @@ const advisorFormSchema = z.object({
 
 interface AdvisorFormProps {
     onClose: () => void;
-    onSubmit: (advisorData: Partial<UserDetails>, profileImage?: File) => Promise<{loginEmail: string, password: string} | undefined>;
+    onSubmit: (advisorData: Partial<UserDetails>, profileImage?: File) => Promise<CreatedAccount | undefined>;
     advisor?: UserDetails;
     isEdit?: boolean;
 }
 
-interface CreatedCredentials {
+export interface CreatedAccount {
     loginEmail: string;
-    password: string;
+    invitationSent: boolean;
+    invitationExpiresAt: Date | null;
 }
 
 const AdvisorForm: React.FC<AdvisorFormProps> = ({
@@ -65,10 +66,9 @@ const AdvisorForm: React.FC<AdvisorFormProps> = ({
     const [errors, setErrors] = useState<{ [key: string]: string }>({});
     const [isSubmitting, setIsSubmitting] = useState(false);
     
-    // New states for showing created credentials
-    const [createdCredentials, setCreatedCredentials] = useState<CreatedCredentials | null>(null);
+    // New states for showing the created account
+    const [createdAccount, setCreatedAccount] = useState<CreatedAccount | null>(null);
     const [showCreatedAdvisor, setShowCreatedAdvisor] = useState(false);
-    const [copiedPassword, setCopiedPassword] = useState(false);
     const [copiedEmail, setCopiedEmail] = useState(false);
 
     // Load countries on mount
@@ -183,12 +183,9 @@ const AdvisorForm: React.FC<AdvisorFormProps> = ({
           
           const result = await onSubmit(advisorData, profileImage || undefined);
           
-          // If we have credentials returned, show them
-          if (result && result.loginEmail && result.password) {
-            setCreatedCredentials({
-              loginEmail: result.loginEmail,
-              password: result.password
-            });
+          // If an account was created, show the login email and invitation status
+          if (result && result.loginEmail) {
+            setCreatedAccount(result);
             setShowCreatedAdvisor(true);
           } else {
             onClose();
@@ -208,23 +205,15 @@ const AdvisorForm: React.FC<AdvisorFormProps> = ({
     };
     
     const handleCopyEmail = () => {
-        if (createdCredentials) {
-            navigator.clipboard.writeText(createdCredentials.loginEmail);
+        if (createdAccount) {
+            navigator.clipboard.writeText(createdAccount.loginEmail);
             setCopiedEmail(true);
             setTimeout(() => setCopiedEmail(false), 3000);
         }
     };
     
-    const handleCopyPassword = () => {
-        if (createdCredentials) {
-            navigator.clipboard.writeText(createdCredentials.password);
-            setCopiedPassword(true);
-            setTimeout(() => setCopiedPassword(false), 3000);
-        }
-    };
-    
-    // Render credentials view if advisor was created
-    if (showCreatedAdvisor && createdCredentials) {
+    // Render invitation view if advisor was created
+    if (showCreatedAdvisor && createdAccount) {
         return (
             <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50 p-4">
                 <div className="bg-white rounded-lg shadow-xl max-w-md w-full">
@@ -241,18 +230,29 @@ const AdvisorForm: React.FC<AdvisorFormProps> = ({
                     </div>
                     
                     <div className="p-6 space-y-6">
-                        <div className="bg-green-50 border border-green-100 rounded-lg p-4 flex items-start">
-                            <CheckCircle className="h-5 w-5 text-green-500 mt-0.5 mr-2 flex-shrink-0" />
-                            <p className="text-sm text-green-700">
-                                Advisor account has been created successfully. Please save these login credentials to share with the advisor.
-                            </p>
-                        </div>
+                        {createdAccount.invitationSent ? (
+                            <div className="bg-green-50 border border-green-100 rounded-lg p-4 flex items-start">
+                                <CheckCircle className="h-5 w-5 text-green-500 mt-0.5 mr-2 flex-shrink-0" />
+                                <p className="text-sm text-green-700">
+                                    Advisor account has been created. An invitation to set a password was emailed to {email}
+                                    {createdAccount.invitationExpiresAt && ` and expires on ${formatDate(createdAccount.invitationExpiresAt)}`}.
+                                </p>
+                            </div>
+                        ) : (
+                            <div className="bg-yellow-50 border border-yellow-100 rounded-lg p-4 flex items-start">
+                                <AlertCircle className="h-5 w-5 text-yellow-500 mt-0.5 mr-2 flex-shrink-0" />
+                                <p className="text-sm text-yellow-800">
+                                    Advisor account has been created, but the invitation email to {email} could not be sent.
+                                    Use "View Login Credentials" in the advisor list to resend the link.
+                                </p>
+                            </div>
+                        )}
                         
                         <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
                             <div className="text-sm text-gray-500 mb-2">Login Email</div>
                             <div className="flex items-center justify-between">
                                 <div className="font-mono text-sm tracking-wider bg-white py-2 px-4 border border-gray-300 rounded overflow-x-auto max-w-[220px]">
-                                    {createdCredentials.loginEmail}
+                                    {createdAccount.loginEmail}
                                 </div>
                                 <Button
                                     variant="outline"
@@ -266,24 +266,6 @@ const AdvisorForm: React.FC<AdvisorFormProps> = ({
                             </div>
                         </div>
                         
-                        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
-                            <div className="text-sm text-gray-500 mb-2">Password</div>
-                            <div className="flex items-center justify-between">
-                                <div className="font-mono text-sm tracking-wider bg-white py-2 px-4 border border-gray-300 rounded">
-                                    {createdCredentials.password}
-                                </div>
-                                <Button
-                                    variant="outline"
-                                    size="sm"
-                                    leftIcon={copiedPassword ? <CheckCircle className="h-4 w-4 text-green-500" /> : <Copy className="h-4 w-4" />}
-                                    onClick={handleCopyPassword}
-                                    className={copiedPassword ? "text-green-600" : ""}
-                                >
-                                    {copiedPassword ? "Copied" : "Copy"}
-                                </Button>
-                            </div>
-                        </div>
-                        
                         <div className="flex justify-end">
                             <Button
                                 variant="primary"
@@ -686,8 +668,8 @@ const AdvisorForm: React.FC<AdvisorFormProps> = ({
                     {!isEdit && (
                         <div className="bg-blue-50 border border-blue-100 rounded-lg p-3 text-sm text-blue-700">
                             <p>
-                                A random login email and password will be generated for the advisor to access the admin panel.
-                                You'll be able to share these credentials with the advisor.
+                                A random login email will be generated for the advisor to access the admin panel, and the
+                                advisor will be emailed a link to set their own password.
                             </p>
                         </div>
                     )}
@@ -14,7 +14,8 @@ import {
   Tag,
   MapPin,
   Percent,
-  DollarSign
+  DollarSign,
+  Monitor
 } from 'lucide-react';
 import { UserDetails, UserStatus, CommissionTier } from '@/types/firebase';
 import { formatDate, formatRelativeTime } from '@/lib/utils';
@@ -31,6 +32,7 @@ interface AdvisorTableProps {
   onStatusChange: (advisorId: string, status: UserStatus) => void;
   onViewCredentials: (advisorId: string) => void;
   onViewVerificationCode?: (advisorId: string) => void;
+  onViewSessions?: (advisor: UserDetails) => void;
 }
 
 // Tooltip component
@@ -58,7 +60,8 @@ const AdvisorTable: React.FC<AdvisorTableProps> = ({
   onDelete,
   onStatusChange,
   onViewCredentials,
-  onViewVerificationCode
+  onViewVerificationCode,
+  onViewSessions
 }) => {
   const allSelected = advisors.length > 0 && selectedAdvisors.length === advisors.length;
   
@@ -287,6 +290,18 @@ const AdvisorTable: React.FC<AdvisorTableProps> = ({
                     </button>
                   </Tooltip>
                   
+                  {/* Sessions Button */}
+                  {onViewSessions && (
+                    <Tooltip content="Active Sessions">
+                      <button
+                        onClick={() => onViewSessions(advisor)}
+                        className="p-1.5 text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded-full transition-colors"
+                      >
+                        <Monitor className="h-4 w-4" />
+                      </button>
+                    </Tooltip>
+                  )}
+                  
                   {/* Status Toggle Button */}
                   {advisor.status === UserStatus.ACTIVE ? (
                     <Tooltip content="Deactivate Advisor">
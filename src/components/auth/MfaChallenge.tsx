@@ -0,0 +1,190 @@
+import { useState, useEffect } from 'react';
+import { AlertCircle, ArrowLeft, ShieldCheck, Smartphone } from 'lucide-react';
+import Button from '@/components/ui/Button';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import RecoveryCodes from '@/components/auth/RecoveryCodes';
+import { useAuth } from '@/context/AuthContext';
+import { ApiError } from '@/services/apiClient';
+import { MfaEnrollment, startLoginMfaEnrollment } from '@/services/auth';
+
+/**
+ * Second sign-in step, shown by the login page after a correct password.
+ * Asks for an authenticator or recovery code, or walks through the enrolment
+ * the security policy requires before the account can sign in.
+ */
+export default function MfaChallenge() {
+  const { mfaChallenge, completeMfa, acknowledgeRecoveryCodes, cancelMfa } = useAuth();
+
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [codeError, setCodeError] = useState<string | null>(null);
+
+  const [enrollment, setEnrollment] = useState<MfaEnrollment | null>(null);
+  const [enrollmentError, setEnrollmentError] = useState<string | null>(null);
+
+  const mfaToken = mfaChallenge?.mfaToken;
+  const needsEnrollment = !!mfaChallenge?.enrollmentRequired && !mfaChallenge.recoveryCodes;
+
+  // Mandatory enrolment: fetch the QR code as soon as the step is shown
+  useEffect(() => {
+    if (!mfaToken || !needsEnrollment) return;
+
+    const loadEnrollment = async () => {
+      try {
+        setEnrollment(await startLoginMfaEnrollment(mfaToken));
+      } catch (error) {
+        console.error('Error starting two-factor setup:', error);
+        setEnrollmentError(error instanceof Error ? error.message : 'Could not start two-factor setup');
+      }
+    };
+
+    loadEnrollment();
+  }, [mfaToken, needsEnrollment]);
+
+  if (!mfaChallenge) return null;
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!code.trim()) {
+      setCodeError(useRecoveryCode ? 'Enter one of your recovery codes' : 'Enter the 6-digit code from your authenticator app');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setCodeError(null);
+
+    try {
+      await completeMfa(useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() });
+    } catch (error) {
+      if (error instanceof ApiError && error.code === 'invalid_mfa_code' && typeof error.data?.remainingAttempts === 'number') {
+        const remaining = error.data.remainingAttempts;
+        setCodeError(`${error.message} ${remaining} attempt${remaining === 1 ? '' : 's'} remaining.`);
+      } else {
+        setCodeError(error instanceof Error ? error.message : 'Verification failed');
+      }
+      setCode('');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Enrolment confirmed - the session starts once the user has saved the codes
+  if (mfaChallenge.recoveryCodes) {
+    return (
+      <div className="space-y-6">
+        <RecoveryCodes codes={mfaChallenge.recoveryCodes} />
+        <Button variant="primary" fullWidth onClick={acknowledgeRecoveryCodes}>
+          I have saved my recovery codes
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-5" noValidate>
+      {needsEnrollment ? (
+        <div className="space-y-4">
+          <div className="bg-blue-50 border border-blue-100 rounded-lg p-4 flex items-start">
+            <ShieldCheck className="h-5 w-5 text-blue-500 mt-0.5 mr-2 flex-shrink-0" />
+            <p className="text-sm text-blue-700">
+              Two-factor authentication is required for your role. Scan this QR code with an authenticator
+              app such as Google Authenticator or 1Password, then enter the code it shows.
+            </p>
+          </div>
+
+          {enrollmentError ? (
+            <div className="p-3 bg-red-50 text-red-700 rounded-lg flex items-start text-sm border border-red-200">
+              <AlertCircle className="h-5 w-5 text-red-500 mr-2 mt-0.5 flex-shrink-0" />
+              <span>{enrollmentError}</span>
+            </div>
+          ) : enrollment ? (
+            <div className="text-center">
+              <img src={enrollment.qrCodeDataUrl} alt="QR code for your authenticator app" className="mx-auto h-44 w-44" />
+              <p className="text-xs text-gray-500 mt-2">Can't scan? Enter this key manually:</p>
+              <p className="font-mono text-xs text-gray-900 break-all mt-1">{enrollment.secret}</p>
+            </div>
+          ) : (
+            <div className="flex justify-center py-6">
+              <LoadingSpinner size="md" text="Preparing setup..." />
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 flex items-start">
+          <Smartphone className="h-5 w-5 text-gray-500 mt-0.5 mr-2 flex-shrink-0" />
+          <p className="text-sm text-gray-700">
+            {useRecoveryCode
+              ? 'Enter one of the recovery codes you saved when setting up two-factor authentication.'
+              : <>Enter the code from your authenticator app for <span className="font-mono">{mfaChallenge.email}</span>.</>}
+          </p>
+        </div>
+      )}
+
+      <div>
+        <label htmlFor="mfa-code" className="block text-sm font-medium text-gray-700 mb-1">
+          {useRecoveryCode ? 'Recovery code' : 'Verification code'}
+        </label>
+        <input
+          id="mfa-code"
+          name="mfa-code"
+          type="text"
+          inputMode={useRecoveryCode ? 'text' : 'numeric'}
+          autoComplete="one-time-code"
+          autoFocus
+          maxLength={useRecoveryCode ? 11 : 6}
+          placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+          className={`block w-full px-3 py-2.5 border font-mono tracking-widest text-center ${
+            codeError ? 'border-red-300 focus:ring-red-500 focus:border-red-500' : 'border-gray-300 focus:ring-[#0031ac] focus:border-[#0031ac]'
+          } rounded-lg focus:outline-none focus:ring-1 transition duration-150`}
+          value={code}
+          onChange={(e) => setCode(useRecoveryCode ? e.target.value : e.target.value.replace(/\D/g, ''))}
+          disabled={isSubmitting}
+          aria-invalid={!!codeError}
+        />
+        {codeError && (
+          <p className="mt-1 text-sm text-red-600 flex items-center" role="alert">
+            <AlertCircle className="h-3.5 w-3.5 mr-1 flex-shrink-0" />
+            {codeError}
+          </p>
+        )}
+      </div>
+
+      <Button
+        type="submit"
+        variant="primary"
+        size="md"
+        isLoading={isSubmitting}
+        fullWidth
+        disabled={isSubmitting || (needsEnrollment && !enrollment)}
+      >
+        {isSubmitting ? 'Verifying...' : needsEnrollment ? 'Turn on and sign in' : 'Verify'}
+      </Button>
+
+      <div className="flex items-center justify-between text-xs">
+        <button
+          type="button"
+          className="font-medium text-gray-600 hover:text-gray-800 flex items-center"
+          onClick={cancelMfa}
+        >
+          <ArrowLeft className="h-3.5 w-3.5 mr-1" />
+          Back to sign in
+        </button>
+        {!needsEnrollment && (
+          <button
+            type="button"
+            className="font-medium text-[#0031ac] hover:text-blue-700"
+            onClick={() => {
+              setUseRecoveryCode(!useRecoveryCode);
+              setCode('');
+              setCodeError(null);
+            }}
+          >
+            {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
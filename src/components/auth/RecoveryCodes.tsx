@@ -0,0 +1,61 @@
+import { Copy, Download, KeyRound } from 'lucide-react';
+import toast from 'react-hot-toast';
+import Button from '@/components/ui/Button';
+
+interface RecoveryCodesProps {
+  codes: string[];
+}
+
+/**
+ * One-time display of two-factor recovery codes with copy and download actions
+ */
+export default function RecoveryCodes({ codes }: RecoveryCodesProps) {
+  const text = codes.join('\n');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('Recovery codes copied');
+    } catch (error) {
+      console.error('Error copying recovery codes:', error);
+      toast.error('Could not copy - please write the codes down instead');
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([`Business Options Admin - recovery codes\n\n${text}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'business-options-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 flex items-start">
+        <KeyRound className="h-5 w-5 text-yellow-500 mt-0.5 mr-2 flex-shrink-0" />
+        <p className="text-sm text-yellow-800">
+          Save these recovery codes somewhere safe. Each one can be used once to sign in if you lose
+          access to your authenticator app. They will not be shown again.
+        </p>
+      </div>
+
+      <ul className="grid grid-cols-2 gap-2 bg-gray-50 border border-gray-200 rounded-lg p-4">
+        {codes.map(code => (
+          <li key={code} className="font-mono text-sm text-gray-900 text-center">{code}</li>
+        ))}
+      </ul>
+
+      <div className="flex gap-3">
+        <Button type="button" variant="outline" size="sm" fullWidth leftIcon={<Copy className="h-4 w-4" />} onClick={handleCopy}>
+          Copy
+        </Button>
+        <Button type="button" variant="outline" size="sm" fullWidth leftIcon={<Download className="h-4 w-4" />} onClick={handleDownload}>
+          Download
+        </Button>
+      </div>
+    </div>
+  );
+}
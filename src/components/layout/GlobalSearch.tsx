@@ -0,0 +1,213 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Briefcase, FlaskConical, Globe, Search, Store, Users, X } from 'lucide-react';
+import { ListingSearchMatch, ListingType, SearchField } from '@/types/listings';
+import { searchListings } from '@/services/listingService';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { cn } from '@/lib/utils';
+
+// Wait for a pause in typing before searching
+const SEARCH_DELAY_MS = 250;
+const MIN_QUERY_LENGTH = 2;
+
+const TYPE_ICONS: Record<ListingType, JSX.Element> = {
+  [ListingType.BUSINESS]: <Store className="h-4 w-4 text-blue-600" />,
+  [ListingType.FRANCHISE]: <Briefcase className="h-4 w-4 text-purple-600" />,
+  [ListingType.STARTUP]: <FlaskConical className="h-4 w-4 text-green-600" />,
+  [ListingType.INVESTOR]: <Users className="h-4 w-4 text-amber-600" />,
+  [ListingType.DIGITAL_ASSET]: <Globe className="h-4 w-4 text-indigo-600" />
+};
+
+const FIELD_LABELS: Record<SearchField, string> = {
+  name: 'name',
+  brand: 'brand',
+  classification: 'industry',
+  location: 'location',
+  description: 'description'
+};
+
+/**
+ * Search box in the header: the best matching listings as you type, from any page.
+ * Enter without picking a listing opens the listings page with the search applied.
+ */
+export default function GlobalSearch() {
+  const navigate = useNavigate();
+  const [query, setQuery] = useState('');
+  const [matches, setMatches] = useState<ListingSearchMatch[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const containerRef = useRef<HTMLDivElement>(null);
+  // Only the latest search may update the results
+  const latestSearch = useRef(0);
+
+  const trimmed = query.trim();
+
+  useEffect(() => {
+    if (trimmed.length < MIN_QUERY_LENGTH) {
+      setMatches([]);
+      setError(null);
+      setIsLoading(false);
+      return;
+    }
+
+    const searchId = ++latestSearch.current;
+    setIsLoading(true);
+    const timer = setTimeout(async () => {
+      try {
+        const results = await searchListings(trimmed);
+        if (searchId !== latestSearch.current) return;
+        setMatches(results);
+        setError(null);
+        setActiveIndex(-1);
+      } catch (searchError) {
+        if (searchId !== latestSearch.current) return;
+        setMatches([]);
+        setError(searchError instanceof Error ? searchError.message : 'Search failed');
+      } finally {
+        if (searchId === latestSearch.current) setIsLoading(false);
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [trimmed]);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    const handleClick = (event: MouseEvent) => {
+      if (!containerRef.current?.contains(event.target as Node)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, []);
+
+  const close = () => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const openListing = (match: ListingSearchMatch) => {
+    close();
+    setQuery('');
+    navigate(`/listings/${match.listing.id}`);
+  };
+
+  const openAllResults = () => {
+    if (!trimmed) return;
+    close();
+    navigate(`/listings?search=${encodeURIComponent(trimmed)}`);
+  };
+
+  const handleKeyDown = (event: React.KeyboardEvent<HTMLInputElement>) => {
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        setIsOpen(true);
+        setActiveIndex(index => Math.min(index + 1, matches.length - 1));
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        setActiveIndex(index => Math.max(index - 1, -1));
+        break;
+      case 'Enter':
+        event.preventDefault();
+        if (activeIndex >= 0 && matches[activeIndex]) {
+          openListing(matches[activeIndex]);
+        } else {
+          openAllResults();
+        }
+        break;
+      case 'Escape':
+        close();
+        break;
+    }
+  };
+
+  const showResults = isOpen && trimmed.length >= MIN_QUERY_LENGTH;
+
+  return (
+    <div ref={containerRef} className="relative w-full max-w-md">
+      <div className="relative">
+        <Search className="h-4 w-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+        <input
+          type="search"
+          value={query}
+          onChange={(event) => {
+            setQuery(event.target.value);
+            setIsOpen(true);
+          }}
+          onFocus={() => setIsOpen(true)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search listings..."
+          aria-label="Search listings"
+          className="w-full pl-9 pr-8 py-2 rounded-md border border-gray-300 bg-gray-50 text-sm focus:bg-white focus:border-[#0031ac] focus:ring-[#0031ac]"
+        />
+        {query && (
+          <button
+            type="button"
+            className="absolute right-2 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600"
+            onClick={() => {
+              setQuery('');
+              close();
+            }}
+            aria-label="Clear search"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+
+      {showResults && (
+        <div className="absolute left-0 right-0 z-30 mt-2 rounded-lg bg-white shadow-lg ring-1 ring-black ring-opacity-5 overflow-hidden">
+          {isLoading && matches.length === 0 ? (
+            <div className="flex justify-center py-4">
+              <LoadingSpinner size="sm" />
+            </div>
+          ) : error ? (
+            <p className="px-4 py-3 text-sm text-red-600">{error}</p>
+          ) : matches.length === 0 ? (
+            <p className="px-4 py-3 text-sm text-gray-500">No listings match "{trimmed}"</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {matches.map((match, index) => (
+                <li key={match.listing.id}>
+                  <button
+                    type="button"
+                    className={cn(
+                      'w-full flex items-start gap-3 px-4 py-2.5 text-left hover:bg-gray-50',
+                      index === activeIndex && 'bg-gray-50'
+                    )}
+                    onMouseEnter={() => setActiveIndex(index)}
+                    onClick={() => openListing(match)}
+                  >
+                    <span className="mt-0.5">{TYPE_ICONS[match.listing.type]}</span>
+                    <span className="flex-1 min-w-0">
+                      <span className="block text-sm font-medium text-gray-900 truncate">{match.listing.name}</span>
+                      <span className="block text-xs text-gray-500 truncate">
+                        {[match.listing.displayLocation, match.listing.status].filter(Boolean).join(' · ')}
+                      </span>
+                    </span>
+                    {match.fields.length > 0 && (
+                      <span className="text-xs text-gray-400 whitespace-nowrap">
+                        in {match.fields.map(field => FIELD_LABELS[field]).join(', ')}
+                      </span>
+                    )}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <button
+            type="button"
+            className="w-full px-4 py-2 text-left text-sm font-medium text-[#0031ac] border-t border-gray-100 hover:bg-gray-50"
+            onClick={openAllResults}
+          >
+            See all results for "{trimmed}"
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 import { Fragment, useState, useRef } from 'react';
 import { Menu, Transition } from '@headlessui/react';
+import { Link } from 'react-router-dom';
 import {
   Menu as MenuIcon,
   Bell,
@@ -10,6 +11,7 @@ import {
 } from 'lucide-react';
 import { useAuth } from '@/context/AuthContext';
 import ConfirmationDialog from '@/components/common/ConfirmationDialog';
+import GlobalSearch from './GlobalSearch';
 import toast from 'react-hot-toast';
 
 interface HeaderProps {
@@ -112,6 +114,11 @@ export default function Header({ toggleSidebar, isSidebarOpen, isScrolled = fals
             </div>
           </div>
 
+          {/* Center Section: Listing search, on screens wide enough for it */}
+          <div className="hidden md:flex flex-1 justify-center px-4">
+            <GlobalSearch />
+          </div>
+
           {/* Right Section: Notifications/Profile */}
           <div className="flex items-center space-x-2 sm:space-x-3 flex-shrink-0">
             {/* Notification Bell */}
@@ -230,14 +237,14 @@ export default function Header({ toggleSidebar, isSidebarOpen, isScrolled = fals
                   <div className="py-1">
                     <Menu.Item>
                       {({ active }) => (
-                        <a
-                          href="#"
+                        <Link
+                          to="/profile"
                           className={`${active ? 'bg-gray-100 text-gray-900' : 'text-gray-700'
                             } group flex items-center px-4 py-2 text-sm`}
                         >
                           <User className="mr-3 h-5 w-5 text-gray-500" aria-hidden="true" />
                           My Profile
-                        </a>
+                        </Link>
                       )}
                     </Menu.Item>
                     <Menu.Item>
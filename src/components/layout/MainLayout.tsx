@@ -5,6 +5,7 @@ import Header from './Header';
 import { useAuth } from '@/context/AuthContext';
 import { useLoading } from '@/context/LoadingContext';
 import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import ListingExports from '@/components/listings/ListingExports';
 
 const MainLayout: React.FC = () => {
   const [sidebarOpen, setSidebarOpen] = useState(true);
@@ -88,6 +89,9 @@ const MainLayout: React.FC = () => {
           </div>
         </main>
       </div>
+
+      {/* Exports keep running while the user moves between pages */}
+      <ListingExports />
     </div>
   );
 };
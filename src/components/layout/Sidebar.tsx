@@ -78,6 +78,8 @@ const navItems: NavItem[] = [
       { to: '/listings/investor', label: 'Investor' },
       { to: '/listings/digital-asset', label: 'Digital Asset' },
       { to: '/listings/featured', label: 'Featured Listings' },
+      { to: '/listings/import', label: 'Import Listings' },
+      { to: '/listings/matches', label: 'Investor Matches' },
       { 
         to: '/listings/pending', 
         label: 'Pending Approval',
@@ -143,6 +145,11 @@ const navItems: NavItem[] = [
       { to: '/settings/payment', label: 'Payment Gateway' },
       { to: '/settings/plans', label: 'Subscription Plans' },
       { to: '/settings/logs', label: 'System Logs' },
+      { to: '/settings/security', label: 'Security' },
+      { to: '/settings/rating', label: 'Listing Rating' },
+      { to: '/settings/valuation', label: 'Valuation Benchmarks' },
+      { to: '/settings/audit-log', label: 'Audit Log' },
+      { to: '/settings/webhooks', label: 'Webhooks' },
     ]
   },
 ];
@@ -0,0 +1,177 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Copy, GitMerge, Link2 } from 'lucide-react';
+import { ListingDuplicate } from '@/types/listings';
+import { getListingDuplicates, linkDuplicateListing, mergeDuplicateListing } from '@/services/listingService';
+import Button from '@/components/ui/Button';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import ConfirmationDialog from '@/components/common/ConfirmationDialog';
+import { cn, formatDate } from '@/lib/utils';
+import { toast } from 'react-hot-toast';
+
+interface ListingDuplicatesProps {
+  listingId: string;
+  listingName: string;
+  // Called after a merge or link so the page can reload the listing
+  onResolved: () => void;
+}
+
+interface PendingAction {
+  type: 'merge' | 'link';
+  duplicate: ListingDuplicate;
+}
+
+// Likelier duplicates stand out more
+const getScoreClass = (score: number) => {
+  if (score >= 0.9) return 'bg-red-100 text-red-800';
+  if (score >= 0.75) return 'bg-amber-100 text-amber-800';
+  return 'bg-yellow-50 text-yellow-800';
+};
+
+/**
+ * Listings that are likely the same as this one, with what they have in common,
+ * and actions to merge a duplicate into this listing or keep both as related listings
+ */
+export default function ListingDuplicates({ listingId, listingName, onResolved }: ListingDuplicatesProps) {
+  const [duplicates, setDuplicates] = useState<ListingDuplicate[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [pendingAction, setPendingAction] = useState<PendingAction | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadDuplicates = async () => {
+    try {
+      setIsLoading(true);
+      setDuplicates(await getListingDuplicates(listingId));
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load duplicates');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadDuplicates();
+  }, [listingId]);
+
+  const confirmAction = async () => {
+    if (!pendingAction) return;
+
+    const { type, duplicate } = pendingAction;
+    try {
+      setIsSaving(true);
+      if (type === 'merge') {
+        await mergeDuplicateListing(listingId, duplicate.listing.id);
+        toast.success(`${duplicate.listing.name} merged into this listing`);
+      } else {
+        await linkDuplicateListing(listingId, duplicate.listing.id);
+        toast.success(`${duplicate.listing.name} linked as a related listing`);
+      }
+      setPendingAction(null);
+      onResolved();
+      await loadDuplicates();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : `Failed to ${type} listings`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-8">
+        <LoadingSpinner size="md" />
+      </div>
+    );
+  }
+
+  if (duplicates.length === 0) {
+    return (
+      <div className="bg-gray-50 border border-gray-100 rounded-lg p-6 text-center">
+        <Copy className="h-10 w-10 mx-auto text-gray-400 mb-3" />
+        <h4 className="text-gray-600 font-medium mb-1">No Likely Duplicates</h4>
+        <p className="text-sm text-gray-500">
+          No other listing shares this listing's name, registration details, contact details, domain or images.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      {duplicates.map(duplicate => (
+        <div key={duplicate.listing.id} className="border border-gray-200 rounded-lg p-4 flex flex-col md:flex-row md:items-center gap-4">
+          {duplicate.listing.imageUrl ? (
+            <img
+              src={duplicate.listing.imageUrl}
+              alt={duplicate.listing.name}
+              className="h-16 w-16 rounded-md object-cover shrink-0"
+            />
+          ) : (
+            <div className="h-16 w-16 rounded-md bg-gray-100 flex items-center justify-center shrink-0">
+              <Copy className="h-6 w-6 text-gray-400" />
+            </div>
+          )}
+
+          <div className="flex-1 min-w-0">
+            <div className="flex items-center gap-2">
+              <Link to={`/listings/${duplicate.listing.id}`} className="text-sm font-medium text-[#0031ac] hover:underline truncate">
+                {duplicate.listing.name}
+              </Link>
+              <span className={cn('text-xs font-medium px-2 py-0.5 rounded-full', getScoreClass(duplicate.score))}>
+                {Math.round(duplicate.score * 100)}% match
+              </span>
+            </div>
+            <div className="text-xs text-gray-500 mt-0.5">
+              <span className="capitalize">{duplicate.listing.status}</span>
+              {duplicate.listing.ownerName && <> · {duplicate.listing.ownerName}</>}
+              {duplicate.listing.displayLocation && <> · {duplicate.listing.displayLocation}</>}
+              {duplicate.listing.createdAt && <> · Listed on {formatDate(duplicate.listing.createdAt)}</>}
+            </div>
+            <div className="flex flex-wrap gap-1.5 mt-2">
+              {duplicate.signals.map(({ signal, label }) => (
+                <span key={signal} className="text-xs bg-gray-100 text-gray-700 px-2 py-0.5 rounded">
+                  {label}
+                </span>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex gap-2 shrink-0">
+            <Button
+              variant="outline"
+              size="sm"
+              leftIcon={<GitMerge className="h-4 w-4" />}
+              onClick={() => setPendingAction({ type: 'merge', duplicate })}
+              disabled={isSaving}
+            >
+              Merge
+            </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              leftIcon={<Link2 className="h-4 w-4" />}
+              onClick={() => setPendingAction({ type: 'link', duplicate })}
+              disabled={isSaving}
+            >
+              Link
+            </Button>
+          </div>
+        </div>
+      ))}
+
+      {pendingAction && (
+        <ConfirmationDialog
+          title={pendingAction.type === 'merge' ? 'Merge Duplicate' : 'Link Listings'}
+          message={pendingAction.type === 'merge'
+            ? `Fields that "${listingName}" leaves empty will be filled from "${pendingAction.duplicate.listing.name}", which is then archived. Its images and documents stay with it. The change is saved as a revision of this listing.`
+            : `"${listingName}" and "${pendingAction.duplicate.listing.name}" will both be kept as related listings and no longer reported as duplicates of each other.`}
+          confirmText={pendingAction.type === 'merge' ? 'Merge' : 'Link'}
+          cancelText="Cancel"
+          onConfirm={confirmAction}
+          onCancel={() => setPendingAction(null)}
+          isDestructive={pendingAction.type === 'merge'}
+        />
+      )}
+    </div>
+  );
+}
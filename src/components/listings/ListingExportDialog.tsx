@@ -0,0 +1,213 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Download, Search, X } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import Button from '@/components/ui/Button';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { ExportColumn, ExportFormat, Listing, ListingFilters, ListingType } from '@/types/listings';
+import { EXPORT_FORMATS, getExportColumns, startListingExport } from '@/services/listingExportService';
+
+interface ListingExportDialogProps {
+  // The filters of the listings on screen, including the tab's status
+  filters: ListingFilters;
+  // Listings ticked in the table, offered as an alternative to everything matching the filters
+  selectedListings: Listing[];
+  currentUserId?: string;
+  onClose: () => void;
+}
+
+// Checked when the dialog opens
+const DEFAULT_COLUMN_KEYS = [
+  'id', 'name', 'type', 'status', 'plan',
+  'classification.industry', 'classification.category',
+  'location.city', 'location.state', 'ownerName', 'createdAt'
+];
+
+const GROUPS: { group: ExportColumn['group']; label: string }[] = [
+  { group: 'listing', label: 'Listing' },
+  { group: 'details', label: 'Details' }
+];
+
+/**
+ * Choose the format, listings and columns of an export and start it in the background
+ */
+export default function ListingExportDialog({ filters, selectedListings, currentUserId, onClose }: ListingExportDialogProps) {
+  const [format, setFormat] = useState<ExportFormat>('csv');
+  const [onlySelected, setOnlySelected] = useState(selectedListings.length > 0);
+  const [columns, setColumns] = useState<ExportColumn[]>([]);
+  const [selectedKeys, setSelectedKeys] = useState<Set<string>>(new Set(DEFAULT_COLUMN_KEYS));
+  const [search, setSearch] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+
+  // Detail columns of the types being exported, or of every type
+  const types = useMemo(() => {
+    if (onlySelected) return [...new Set(selectedListings.map(listing => listing.type))];
+    return filters.type?.length ? filters.type : Object.values(ListingType);
+  }, [onlySelected, selectedListings, filters.type]);
+
+  useEffect(() => {
+    const loadColumns = async () => {
+      try {
+        setIsLoading(true);
+        setColumns(await getExportColumns(types));
+      } catch (error) {
+        toast.error(error instanceof Error ? error.message : 'Failed to load export columns');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadColumns();
+    // The selection is a new array on every render of the page; the types it has are what matter
+  }, [types.join(',')]);
+
+  const visibleColumns = columns.filter(column =>
+    !search || `${column.label} ${column.key}`.toLowerCase().includes(search.toLowerCase()));
+
+  const toggleColumn = (key: string) => {
+    setSelectedKeys(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  const setGroup = (group: ExportColumn['group'], isSelected: boolean) => {
+    setSelectedKeys(prev => {
+      const next = new Set(prev);
+      visibleColumns
+        .filter(column => column.group === group)
+        .forEach(column => isSelected ? next.add(column.key) : next.delete(column.key));
+      return next;
+    });
+  };
+
+  const handleExport = () => {
+    startListingExport({
+      format,
+      columns: columns.filter(column => selectedKeys.has(column.key)),
+      ...(onlySelected ? { listings: selectedListings } : { filters }),
+      currentUserId
+    });
+    toast.success('Export started. Its progress and download link appear in the bottom corner.');
+    onClose();
+  };
+
+  const selectedCount = columns.filter(column => selectedKeys.has(column.key)).length;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] flex flex-col overflow-hidden">
+        <div className="flex justify-between items-center p-5 border-b border-gray-200">
+          <h3 className="text-lg font-medium text-gray-900">Export Listings</h3>
+          <button className="text-gray-400 hover:text-gray-600" onClick={onClose}>
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="p-5 space-y-5 overflow-y-auto">
+          <div>
+            <h4 className="text-sm font-medium text-gray-900 mb-2">Format</h4>
+            <div className="flex flex-wrap gap-4 text-sm text-gray-700">
+              {EXPORT_FORMATS.map(option => (
+                <label key={option.format} className="inline-flex items-center gap-2">
+                  <input type="radio" checked={format === option.format} onChange={() => setFormat(option.format)} />
+                  {option.label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <h4 className="text-sm font-medium text-gray-900 mb-2">Listings</h4>
+            <div className="flex flex-col gap-2 text-sm text-gray-700">
+              {selectedListings.length > 0 && (
+                <label className="inline-flex items-center gap-2">
+                  <input type="radio" checked={onlySelected} onChange={() => setOnlySelected(true)} />
+                  The {selectedListings.length} selected listings
+                </label>
+              )}
+              <label className="inline-flex items-center gap-2">
+                <input type="radio" checked={!onlySelected} onChange={() => setOnlySelected(false)} />
+                Every listing matching the current tab and filters, not only the ones loaded
+              </label>
+            </div>
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="text-sm font-medium text-gray-900">Columns</h4>
+              <span className="text-xs text-gray-500">{selectedCount} selected</span>
+            </div>
+            <div className="relative mb-3">
+              <Search className="h-4 w-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+              <input
+                type="text"
+                value={search}
+                onChange={(event) => setSearch(event.target.value)}
+                placeholder="Find a column, e.g. annual revenue"
+                className="w-full pl-9 rounded-md border-gray-300 text-sm focus:border-[#0031ac] focus:ring-[#0031ac]"
+              />
+            </div>
+
+            {isLoading ? (
+              <div className="flex justify-center py-6">
+                <LoadingSpinner size="md" />
+              </div>
+            ) : (
+              <div className="space-y-4">
+                {GROUPS.map(({ group, label }) => {
+                  const groupColumns = visibleColumns.filter(column => column.group === group);
+                  if (groupColumns.length === 0) return null;
+
+                  return (
+                    <div key={group}>
+                      <div className="flex items-center gap-3 mb-1">
+                        <span className="text-xs font-medium text-gray-500 uppercase">{label}</span>
+                        <button type="button" className="text-xs text-[#0031ac] hover:underline" onClick={() => setGroup(group, true)}>
+                          All
+                        </button>
+                        <button type="button" className="text-xs text-[#0031ac] hover:underline" onClick={() => setGroup(group, false)}>
+                          None
+                        </button>
+                      </div>
+                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-4 gap-y-1">
+                        {groupColumns.map(column => (
+                          <label key={column.key} className="flex items-start gap-2 text-sm text-gray-700" title={column.key}>
+                            <input
+                              type="checkbox"
+                              className="mt-0.5"
+                              checked={selectedKeys.has(column.key)}
+                              onChange={() => toggleColumn(column.key)}
+                            />
+                            {column.label}
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-3 p-5 border-t border-gray-200">
+          <Button variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button
+            leftIcon={<Download className="h-4 w-4" />}
+            onClick={handleExport}
+            disabled={isLoading || selectedCount === 0}
+          >
+            Export
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+import { useState, useEffect } from 'react';
+import { CheckCircle, Download, FileDown, X, XCircle } from 'lucide-react';
+import { ExportJob } from '@/types/listings';
+import { cancelListingExport, dismissListingExport, subscribeToListingExports } from '@/services/listingExportService';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+
+const getProgressText = (job: ExportJob) => {
+  switch (job.status) {
+    case 'running':
+      return job.total ? `${job.exported} of ${job.total} listings` : `${job.exported} listings read...`;
+    case 'done':
+      return `${job.exported} listings`;
+    case 'cancelled':
+      return 'Cancelled';
+    default:
+      return job.error || 'Failed';
+  }
+};
+
+/**
+ * Exports running in the background, in the corner of every page, with a download link once each is ready
+ */
+export default function ListingExports() {
+  const [jobs, setJobs] = useState<ExportJob[]>([]);
+
+  useEffect(() => subscribeToListingExports(setJobs), []);
+
+  if (jobs.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-4 right-4 z-30 w-80 bg-white rounded-lg shadow-lg border border-gray-200 divide-y divide-gray-100">
+      {jobs.map(job => (
+        <div key={job.id} className="p-3 flex items-start gap-3">
+          <div className="mt-0.5">
+            {job.status === 'running' && <LoadingSpinner size="sm" />}
+            {job.status === 'done' && <CheckCircle className="h-4 w-4 text-green-500" />}
+            {job.status === 'failed' && <XCircle className="h-4 w-4 text-red-500" />}
+            {job.status === 'cancelled' && <FileDown className="h-4 w-4 text-gray-400" />}
+          </div>
+
+          <div className="flex-1 min-w-0">
+            <p className="text-sm font-medium text-gray-900 truncate">{job.fileName}</p>
+            <p className={job.status === 'failed' ? 'text-xs text-red-600' : 'text-xs text-gray-500'}>
+              {getProgressText(job)}
+            </p>
+            {job.status === 'running' && job.total ? (
+              <div className="h-1.5 bg-gray-100 rounded-full overflow-hidden mt-1.5">
+                <div className="h-full bg-[#0031ac]" style={{ width: `${(job.exported / job.total) * 100}%` }} />
+              </div>
+            ) : null}
+            {job.status === 'done' && job.url && (
+              <a
+                href={job.url}
+                download={job.fileName}
+                className="inline-flex items-center gap-1 mt-1 text-xs font-medium text-[#0031ac] hover:underline"
+              >
+                <Download className="h-3.5 w-3.5" />
+                Download
+              </a>
+            )}
+          </div>
+
+          {job.status === 'running' ? (
+            <button className="text-xs text-gray-500 hover:text-gray-700" onClick={() => cancelListingExport(job.id)}>
+              Cancel
+            </button>
+          ) : (
+            <button className="text-gray-400 hover:text-gray-600" onClick={() => dismissListingExport(job.id)}>
+              <X className="h-4 w-4" />
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,5 +1,5 @@
 // src/components/listings/ListingFilters.tsx
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import Select from 'react-select';
 import { Country, State, City } from 'country-state-city';
 import { 
@@ -16,12 +16,14 @@ import {
   Globe,
   Star,
   BadgeCheck,
-  MapPin
+  MapPin,
+  Map as MapIcon
 } from 'lucide-react';
 import { Menu, Transition } from '@headlessui/react';
 import { Fragment } from 'react';
-import { ListingType, ListingStatus, ListingPlan, ListingFilters } from '@/types/listings';
+import { ListingType, ListingStatus, ListingPlan, ListingFilters, TerritoryStatus } from '@/types/listings';
 import Button from '@/components/ui/Button';
+import { TERRITORY_STATUSES } from '@/components/listings/TerritoryMap';
 import { cn } from '@/lib/utils';
 
 interface ListingFiltersProps {
@@ -43,7 +45,7 @@ const ListingFiltersComponent: React.FC<ListingFiltersProps> = ({
   const [isOpen, setIsOpen] = useState(false); // Track if the filter panel is open
   
   // State for location dropdowns
-  const [countries, setCountries] = useState([]);
+  const [countries, setCountries] = useState<{ value: string; label: string }[]>([]);
   const [states, setStates] = useState([]);
   const [cities, setCities] = useState([]);
   
@@ -91,6 +93,26 @@ const ListingFiltersComponent: React.FC<ListingFiltersProps> = ({
     }
   }, [localFilters.location?.country, localFilters.location?.state]);
   
+  // Territory filter places, picked like the location's
+  const territoryStates = useMemo(() => (localFilters.territory?.country
+    ? State.getStatesOfCountry(localFilters.territory.country).map(state => ({ value: state.isoCode, label: state.name }))
+    : []), [localFilters.territory?.country]);
+  const territoryCities = useMemo(() => (localFilters.territory?.country && localFilters.territory?.state
+    ? City.getCitiesOfState(localFilters.territory.country, localFilters.territory.state).map(city => ({ value: city.name, label: city.name }))
+    : []), [localFilters.territory?.country, localFilters.territory?.state]);
+
+  // Drops the territory filter once nothing is left in it
+  const handleTerritoryChange = (changes: NonNullable<ListingFilters['territory']>) => {
+    setLocalFilters(prev => {
+      const territory = { ...prev.territory, ...changes };
+      return { ...prev, territory: territory.status || territory.country ? territory : undefined };
+    });
+  };
+
+  const handleTerritoryStatusToggle = (status: TerritoryStatus) => {
+    handleTerritoryChange({ status: localFilters.territory?.status === status ? undefined : status });
+  };
+
   const handleSearchChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     const search = e.target.value;
     setSearchTerm(search);
@@ -162,6 +184,33 @@ const ListingFiltersComponent: React.FC<ListingFiltersProps> = ({
     });
   };
   
+  // Date inputs work in local days; "to" covers the whole day
+  const handleScheduleDateChange = (
+    field: 'publishAtRange' | 'expiresAtRange',
+    bound: 'from' | 'to',
+    value: string
+  ) => {
+    setLocalFilters(prev => {
+      const range: { from?: Date; to?: Date } = { ...prev[field] };
+      if (value) {
+        const [year, month, day] = value.split('-').map(Number);
+        range[bound] = bound === 'from'
+          ? new Date(year, month - 1, day)
+          : new Date(year, month - 1, day, 23, 59, 59, 999);
+      } else {
+        delete range[bound];
+      }
+
+      return { ...prev, [field]: range.from || range.to ? range : undefined };
+    });
+  };
+
+  const toDateInputValue = (date?: Date) => {
+    if (!date) return '';
+    const pad = (n: number) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  };
+  
   const handleApplyFilters = () => {
     onFilterChange(localFilters);
     setIsOpen(false); // Close the filter panel
@@ -183,7 +232,10 @@ const ListingFiltersComponent: React.FC<ListingFiltersProps> = ({
     if (localFilters.isVerified !== undefined) count++;
     if (localFilters.priceRange?.min || localFilters.priceRange?.max) count++;
     if (localFilters.dateRange?.from || localFilters.dateRange?.to) count++;
+    if (localFilters.publishAtRange?.from || localFilters.publishAtRange?.to) count++;
+    if (localFilters.expiresAtRange?.from || localFilters.expiresAtRange?.to) count++;
     if (localFilters.location?.country || localFilters.location?.state || localFilters.location?.city) count++;
+    if (localFilters.territory) count++;
     return count;
   };
   
@@ -211,6 +263,12 @@ const ListingFiltersComponent: React.FC<ListingFiltersProps> = ({
     ListingPlan.PLATINUM
   ];
 
+  // Nearby cities are found from the selected city's coordinates
+  const radiusOptions: Array<{ value?: number, label: string }> = [
+    { value: undefined, label: 'Only this city' },
+    ...[10, 25, 50, 100, 250].map(km => ({ value: km, label: `Within ${km} km` }))
+  ];
+
   // Custom styles for react-select
   const selectStyles = {
     control: (base) => ({
@@ -244,7 +302,7 @@ const ListingFiltersComponent: React.FC<ListingFiltersProps> = ({
         <form onSubmit={handleSearch} className="flex w-full">
           <input
             type="text"
-            placeholder="Search listings by name, description, or ID..."
+            placeholder="Search by name, brand, place, industry or price, e.g. cafe pune under 50 lakh"
             className="pl-10 pr-4 py-2 w-full form-input rounded-l-lg"
             value={searchTerm}
             onChange={handleSearchChange}
@@ -322,7 +380,8 @@ const ListingFiltersComponent: React.FC<ListingFiltersProps> = ({
                           ...localFilters.location,
                           country: option?.value,
                           state: undefined,
-                          city: undefined
+                          city: undefined,
+                          radiusKm: undefined
                         }
                       });
                     }}
@@ -339,7 +398,8 @@ const ListingFiltersComponent: React.FC<ListingFiltersProps> = ({
                         location: { 
                           ...localFilters.location,
                           state: option?.value,
-                          city: undefined
+                          city: undefined,
+                          radiusKm: undefined
                         }
                       });
                     }}
@@ -356,7 +416,8 @@ const ListingFiltersComponent: React.FC<ListingFiltersProps> = ({
                         ...localFilters,
                         location: { 
                           ...localFilters.location,
-                          city: option?.value
+                          city: option?.value,
+                          radiusKm: option ? localFilters.location?.radiusKm : undefined
                         }
                       });
                     }}
@@ -364,7 +425,77 @@ const ListingFiltersComponent: React.FC<ListingFiltersProps> = ({
                     isClearable
                     styles={selectStyles}
                   />
+                  <Select
+                    options={radiusOptions}
+                    value={radiusOptions.find(r => r.value === localFilters.location?.radiusKm) || radiusOptions[0]}
+                    onChange={(option) => {
+                      setLocalFilters({
+                        ...localFilters,
+                        location: {
+                          ...localFilters.location,
+                          radiusKm: option?.value
+                        }
+                      });
+                    }}
+                    isDisabled={!localFilters.location?.city}
+                    isSearchable={false}
+                    styles={selectStyles}
+                  />
+                </div>
+              </div>
+              
+              {/* Franchise territory filters */}
+              <div>
+                <div className="text-sm font-medium text-gray-700 mb-2 flex items-center">
+                  <MapIcon className="w-4 h-4 mr-1" />
+                  Franchise Territories
+                </div>
+                <div className="grid grid-cols-3 gap-2 mb-2">
+                  {TERRITORY_STATUSES.map(status => (
+                    <div
+                      key={status.value}
+                      className={cn(
+                        "flex items-center p-2 rounded-md cursor-pointer transition-colors",
+                        localFilters.territory?.status === status.value
+                          ? 'bg-blue-50 border border-blue-200'
+                          : 'hover:bg-gray-50 border border-gray-100'
+                      )}
+                      onClick={() => handleTerritoryStatusToggle(status.value)}
+                    >
+                      <span className="h-2.5 w-2.5 rounded-full mr-2" style={{ backgroundColor: status.color }} />
+                      <span className="text-sm">{status.label}</span>
+                    </div>
+                  ))}
+                </div>
+                <div className="grid grid-cols-1 gap-2">
+                  <Select
+                    placeholder="In country"
+                    options={countries}
+                    value={countries.find(c => c.value === localFilters.territory?.country) || null}
+                    onChange={(option) => handleTerritoryChange({ country: option?.value, state: undefined, city: undefined })}
+                    isClearable
+                    styles={selectStyles}
+                  />
+                  <Select
+                    placeholder="In state"
+                    options={territoryStates}
+                    value={territoryStates.find(s => s.value === localFilters.territory?.state) || null}
+                    onChange={(option) => handleTerritoryChange({ state: option?.value, city: undefined })}
+                    isDisabled={!localFilters.territory?.country || territoryStates.length === 0}
+                    isClearable
+                    styles={selectStyles}
+                  />
+                  <Select
+                    placeholder="In city"
+                    options={territoryCities}
+                    value={territoryCities.find(c => c.value === localFilters.territory?.city) || null}
+                    onChange={(option) => handleTerritoryChange({ city: option?.value })}
+                    isDisabled={!localFilters.territory?.state || territoryCities.length === 0}
+                    isClearable
+                    styles={selectStyles}
+                  />
                 </div>
+                <p className="text-xs text-gray-500 mt-1">Franchises with a territory of that status covering the place</p>
               </div>
               
               {/* Listing Type filters */}
@@ -530,6 +661,39 @@ const ListingFiltersComponent: React.FC<ListingFiltersProps> = ({
                 </div>
               </div>
               
+              {/* Schedule filters */}
+              <div>
+                <h4 className="text-sm font-medium text-gray-700 mb-2 flex items-center">
+                  <Calendar className="h-4 w-4 text-gray-400 mr-1.5" />
+                  Schedule
+                </h4>
+                {([
+                  ['publishAtRange', 'Scheduled to publish'],
+                  ['expiresAtRange', 'Expires']
+                ] as const).map(([field, label]) => (
+                  <div key={field} className="mb-2">
+                    <span className="block text-xs text-gray-500 mb-1">{label}</span>
+                    <div className="grid grid-cols-2 gap-2">
+                      <input
+                        type="date"
+                        className="form-input text-sm"
+                        aria-label={`${label} from`}
+                        value={toDateInputValue(localFilters[field]?.from)}
+                        onChange={(e) => handleScheduleDateChange(field, 'from', e.target.value)}
+                      />
+                      <input
+                        type="date"
+                        className="form-input text-sm"
+                        aria-label={`${label} to`}
+                        value={toDateInputValue(localFilters[field]?.to)}
+                        min={toDateInputValue(localFilters[field]?.from) || undefined}
+                        onChange={(e) => handleScheduleDateChange(field, 'to', e.target.value)}
+                      />
+                    </div>
+                  </div>
+                ))}
+              </div>
+              
               {/* Industries filter */}
               {industries.length > 0 && (
                 <div>
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useFormContext } from 'react-hook-form';
+import { useFormContext, Controller } from 'react-hook-form';
 import Select from 'react-select';
 import { Country, State, City } from 'country-state-city';
 import {
@@ -15,9 +15,11 @@ import {
   Phone,
   MapPin,
   Building,
-  Check
+  Check,
+  CalendarClock
 } from 'lucide-react';
-import { ListingType, ListingStatus, ListingPlan } from '@/types/listings';
+import { ListingType, ListingStatus, ListingPlan, LISTING_PLAN_DURATION_DAYS } from '@/types/listings';
+import { useAuth } from '@/context/AuthContext';
 import Button from '@/components/ui/Button';
 import { cn } from '@/lib/utils';
 import ToastManager, { TOAST_IDS } from "@/utils/ToastManager";
@@ -41,8 +43,67 @@ const Tooltip = ({ content, children }) => {
   );
 };
 
+// Roles that can schedule when a listing goes live and when it comes down
+const SCHEDULING_ROLES = ['super_admin', 'admin', 'moderator'];
+
+// Value for a datetime-local input, in the browser's time zone
+const toDateTimeInputValue = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return '';
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// Date and time picker for publishAt and expiresAt; clearing it removes the date
+const ScheduleDateField = ({ name, label, tooltip, min }) => {
+  const { control, formState: { errors } } = useFormContext();
+  const error = errors[name];
+
+  return (
+    <div>
+      <div className="flex items-center gap-1.5 mb-1.5">
+        <label htmlFor={name} className="text-sm font-medium text-gray-800 flex-shrink-0">{label}</label>
+        <Tooltip content={tooltip}>
+          <HelpCircle className="h-4 w-4 text-gray-400 flex-shrink-0" />
+        </Tooltip>
+      </div>
+      <Controller
+        control={control}
+        name={name}
+        render={({ field }) => (
+          <div className="relative">
+            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none z-10">
+              <CalendarClock className="h-5 w-5 text-gray-400" />
+            </div>
+            <input
+              id={name}
+              type="datetime-local"
+              className={cn(
+                "block w-full rounded-lg border pl-10 pr-4 py-2.5 text-sm focus:border-[#0031ac] focus:outline-none focus:ring-1 focus:ring-[#0031ac]",
+                error ? 'border-red-300' : 'border-gray-300'
+              )}
+              min={min}
+              value={toDateTimeInputValue(field.value)}
+              onChange={(e) => field.onChange(e.target.value ? new Date(e.target.value) : null)}
+              onBlur={field.onBlur}
+            />
+          </div>
+        )}
+      />
+      {error && (
+        <p className="mt-1 text-sm text-red-600 flex items-center">
+          <AlertCircle className="h-3.5 w-3.5 mr-1 flex-shrink-0" />
+          {error.message}
+        </p>
+      )}
+    </div>
+  );
+};
+
 export default function BasicInfo() {
   const { register, formState: { errors }, watch, setValue, clearErrors, trigger } = useFormContext();
+  const { user } = useAuth();
+  const canSchedule = SCHEDULING_ROLES.includes(user?.role);
 
   // State for dropdowns
   const [countries, setCountries] = useState([]);
@@ -60,6 +121,10 @@ export default function BasicInfo() {
   // Watch values for type
   const selectedType = watch('type');
 
+  // Watch values for the schedule
+  const selectedPlan = watch('plan') || ListingPlan.FREE;
+  const publishAt = watch('publishAt');
+
   // Load countries on component mount
   useEffect(() => {
     const countryList = Country.getAllCountries().map(country => ({
@@ -331,7 +396,9 @@ export default function BasicInfo() {
         title="Industry Classification" 
         description="Select the industry and categories that best describe your listing"
       >
-      <IndustryClassifications />
+      <div data-field="classifications">
+        <IndustryClassifications />
+      </div>
       </FormSection>
 
       {/* Location Section */}
@@ -426,6 +493,7 @@ export default function BasicInfo() {
               <Building className="h-5 w-5 text-gray-400" />
               </div>
             <Select
+              inputId="location.city"
               value={findSelectedCity()}
               onChange={handleCityChange}
                 options={cities}
@@ -496,6 +564,32 @@ export default function BasicInfo() {
           </div>
         </FormRow>
       </FormSection>
+
+      {/* Schedule Section - moderators only */}
+      {canSchedule && (
+        <FormSection
+          title="Schedule"
+          description="Optionally choose when this listing goes live and when it is taken down"
+        >
+          <FormRow>
+            <ScheduleDateField
+              name="publishAt"
+              label="Publish On"
+              tooltip="A draft or pending listing is published automatically at this time"
+            />
+            <ScheduleDateField
+              name="expiresAt"
+              label="Expires On"
+              tooltip="The listing is archived automatically at this time"
+              min={toDateTimeInputValue(publishAt) || undefined}
+            />
+          </FormRow>
+          <p className="text-xs text-gray-500">
+            Without an expiry date, the listing expires {LISTING_PLAN_DURATION_DAYS[selectedPlan]} days after it goes
+            live on the <span className="capitalize">{selectedPlan}</span> plan. The owner is emailed a renewal reminder a week before.
+          </p>
+        </FormSection>
+      )}
     </div>
   );
 }
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { useWatch } from 'react-hook-form';
+import { ChevronDown, ChevronUp, ArrowRight, CheckCircle } from 'lucide-react';
+import { cn } from '@/lib/utils';
+import { getListingCompleteness } from '@/schemas/listingCompleteness';
+import { ListingPlan } from '@/schemas/listingConstants';
+
+const getBarColor = (percentage, minimum) => {
+  if (percentage >= Math.max(minimum, 90)) return 'bg-green-500';
+  if (percentage >= minimum) return 'bg-[#0031ac]';
+  return 'bg-amber-500';
+};
+
+/**
+ * Live completeness of the listing being edited, with what is missing grouped by form step.
+ * Missing items on steps already reached link to their field. It watches the form itself, so
+ * typing re-renders the meter rather than the whole form.
+ *
+ * @param {Object} props
+ * @param {number} props.imageCount Gallery images uploaded so far
+ * @param {number} props.documentCount Documents uploaded so far
+ * @param {Array} props.steps The form's steps ({ id, title })
+ * @param {Function} props.canGoToStep Whether the step with this index can be opened
+ * @param {Function} props.onGoToField Called with a missing item to open its step and field
+ * @param {boolean} props.isOpen Whether the missing panel is open
+ * @param {Function} props.onToggle Open or close the missing panel
+ */
+const CompletenessMeter = ({ imageCount, documentCount, steps, canGoToStep, onGoToField, isOpen, onToggle }) => {
+  const values = useWatch();
+  const plan = values?.plan || ListingPlan.FREE;
+  const { percentage, minimum, meetsMinimum, missing } = getListingCompleteness(values || {}, { imageCount, documentCount });
+  const [showAll, setShowAll] = useState(false);
+
+  // Missing items by step, in the order of the form
+  const groups = steps
+    .map((step, index) => ({ step, index, items: missing.filter(item => item.step === step.id) }))
+    .filter(group => group.items.length > 0);
+
+  return (
+    <div className="mb-4 rounded-md border border-gray-200 bg-gray-50 p-3" data-field="completeness">
+      <div className="flex items-center justify-between gap-3 text-xs">
+        <span className="font-medium text-gray-700">Listing completeness</span>
+        <span className={cn('font-semibold', meetsMinimum ? 'text-gray-900' : 'text-amber-700')}>{percentage}%</span>
+      </div>
+
+      <div className="relative mt-1.5 h-2 w-full rounded-full bg-gray-200">
+        <div
+          className={cn('h-2 rounded-full transition-all duration-300', getBarColor(percentage, minimum))}
+          style={{ width: `${percentage}%` }}
+        />
+        {/* The plan's minimum to submit for review */}
+        <div
+          className="absolute -top-0.5 h-3 w-0.5 bg-gray-500"
+          style={{ left: `${minimum}%` }}
+          title={`${minimum}% needed to submit for review`}
+        />
+      </div>
+
+      <div className="mt-1.5 flex flex-wrap items-center justify-between gap-2 text-xs">
+        <span className={meetsMinimum ? 'text-gray-500' : 'text-amber-700'}>
+          {meetsMinimum
+            ? 'Enough to submit for review. Every field you add still helps.'
+            : <>The <span className="capitalize">{plan}</span> plan needs {minimum}% to submit for review.</>}
+        </span>
+        {missing.length > 0 && (
+          <button
+            type="button"
+            className="inline-flex items-center font-medium text-[#0031ac] hover:text-[#002588]"
+            onClick={onToggle}
+            aria-expanded={isOpen}
+          >
+            What's missing ({missing.length})
+            {isOpen ? <ChevronUp className="ml-1 h-3.5 w-3.5" /> : <ChevronDown className="ml-1 h-3.5 w-3.5" />}
+          </button>
+        )}
+        {missing.length === 0 && (
+          <span className="inline-flex items-center text-green-600">
+            <CheckCircle className="mr-1 h-3.5 w-3.5" />
+            Nothing missing
+          </span>
+        )}
+      </div>
+
+      {isOpen && missing.length > 0 && (
+        <div className="mt-3 space-y-3 border-t border-gray-200 pt-3">
+          {groups.map(({ step, index, items }) => {
+            const visibleItems = showAll ? items : items.slice(0, 6);
+            const isReachable = canGoToStep(index);
+
+            return (
+              <div key={step.id}>
+                <p className="mb-1 text-xs font-medium text-gray-700">
+                  Step {index + 1}: {step.title}
+                  {!isReachable && <span className="ml-1 font-normal text-gray-400">(fill in the steps before it first)</span>}
+                </p>
+                <ul className="space-y-0.5">
+                  {visibleItems.map(item => (
+                    <li key={item.id} className="flex items-center justify-between gap-2 text-xs">
+                      {isReachable ? (
+                        <button
+                          type="button"
+                          className="inline-flex items-center text-left text-[#0031ac] hover:underline"
+                          onClick={() => onGoToField(item)}
+                        >
+                          {item.label}
+                          <ArrowRight className="ml-1 h-3 w-3 flex-shrink-0" />
+                        </button>
+                      ) : (
+                        <span className="text-gray-600">{item.label}</span>
+                      )}
+                      {item.weight === 3 && <span className="text-[10px] uppercase tracking-wide text-amber-700">Key</span>}
+                    </li>
+                  ))}
+                </ul>
+                {!showAll && items.length > visibleItems.length && (
+                  <button
+                    type="button"
+                    className="mt-1 text-xs text-gray-500 hover:text-gray-700 underline"
+                    onClick={() => setShowAll(true)}
+                  >
+                    {items.length - visibleItems.length} more
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CompletenessMeter;
@@ -2170,7 +2170,7 @@ const Documents = ({
   }, [documents, reloadDocuments, onChange, uploadedDocuments]);
 
   return (
-    <div className="grid grid-cols-1 gap-4 relative">
+    <div className="grid grid-cols-1 gap-4 relative" data-field="documents">
       {/* Header */}
       <div className="mb-4">
         <h2 className="text-lg font-semibold text-gray-900 mb-1">Upload Supporting Documents</h2>
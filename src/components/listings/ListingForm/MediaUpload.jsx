@@ -1092,7 +1092,7 @@ const MediaUpload = ({
 
   // Main render function
   return (
-    <div className="space-y-6">
+    <div className="space-y-6" data-field="media">
       {/* Step Header */}
       <div className="mb-6">
         <div className="flex items-center justify-between">
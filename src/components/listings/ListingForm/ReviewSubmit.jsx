@@ -14,7 +14,8 @@ import {
   EyeOff,
   Clock
 } from 'lucide-react';
-import { ListingType } from '@/types/listings';
+import { ListingType, ListingStatus } from '@/types/listings';
+import { getListingCompleteness } from '@/schemas/listingCompleteness';
 import BusinessReview from './reviews/BusinessReview';
 import FranchiseReview from './reviews/FranchiseReview';
 import StartupReview from './reviews/StartupReview';
@@ -93,10 +94,13 @@ const ReviewSubmit = ({
   uploadedImages = [], 
   featuredImageIndex = 0,
   uploadedDocuments = [],
-  formId
+  formId,
+  savedStatus = ListingStatus.DRAFT,
+  onShowMissing
 }) => {
   const { 
     watch, 
+    setValue,
     formState: { errors, isSubmitting }, 
     trigger 
   } = useFormContext();
@@ -338,6 +342,44 @@ const ReviewSubmit = ({
         {/* Validation status */}
         {renderValidationStatus()}
 
+        {/* Submit for review, once the listing is complete enough for its plan */}
+        {[ListingStatus.DRAFT, ListingStatus.REJECTED].includes(savedStatus) && (() => {
+          const { percentage, minimum, meetsMinimum } = getListingCompleteness(formValues, {
+            imageCount: uploadedImages.length,
+            documentCount: uploadedDocuments.length
+          });
+
+          return (
+            <div className="border border-gray-200 rounded-md p-3">
+              <label className={cn('flex items-start text-sm', meetsMinimum ? 'text-gray-800' : 'text-gray-400')}>
+                <input
+                  type="checkbox"
+                  className="mt-0.5 mr-2 rounded border-gray-300 text-[#0031ac] focus:ring-[#0031ac]"
+                  checked={formValues.status === ListingStatus.PENDING}
+                  disabled={!meetsMinimum}
+                  onChange={(e) => setValue('status', e.target.checked ? ListingStatus.PENDING : savedStatus, { shouldDirty: true })}
+                />
+                <span>
+                  <span className="font-medium">Submit for review when saved</span>
+                  <span className="block text-xs text-gray-500">
+                    A moderator checks the listing before it is published. Leave unticked to keep it as a draft.
+                  </span>
+                </span>
+              </label>
+              {!meetsMinimum && (
+                <p className="mt-2 text-xs text-amber-700">
+                  The listing is {percentage}% complete; its plan needs {minimum}% to be submitted for review.{' '}
+                  {onShowMissing && (
+                    <button type="button" className="font-medium text-[#0031ac] hover:underline" onClick={onShowMissing}>
+                      See what's missing
+                    </button>
+                  )}
+                </p>
+              )}
+            </div>
+          );
+        })()}
+
         {/* Basic Information */}
         <ReviewSection title="Basic Information">
           <div className="grid grid-cols-2 gap-3">
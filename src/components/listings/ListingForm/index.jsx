@@ -21,6 +21,7 @@ import MediaUpload from './MediaUpload';
 import ListingDetails from './ListingDetails';
 import Documents from './Documents';
 import ReviewSubmit from './ReviewSubmit';
+import CompletenessMeter from './CompletenessMeter';
 import {
   getListingById,
   createListing,
@@ -30,6 +31,7 @@ import { seedIndustriesData } from '@/services/industryService';
 import { ListingType, ListingStatus, ListingPlan } from '@/types/listings';
 import { cn } from '@/lib/utils';
 import { listingSchema, migrateListingData } from '@/schemas/listingSchema';
+import { getListingCompleteness } from '@/schemas/listingCompleteness';
 import { formPersistenceService, STORAGE_KEYS } from '@/services/formPersistenceService';
 import { useAuth } from '@/context/AuthContext';
 import ToastManager, { TOAST_IDS } from "@/utils/ToastManager";
@@ -48,6 +50,26 @@ const stepComponentsMap = {
   'review': ReviewSubmit
 };
 
+// Scroll to a field a completeness item links to and highlight it. Fields are found by name,
+// by id (react-select inputs use their path) or by a data-field wrapper for custom controls.
+const focusField = (field) => {
+  const escaped = CSS.escape(field);
+  const element = document.querySelector(`[name="${escaped}"], [id="${escaped}"], [data-field="${escaped}"]`)
+    || document.querySelector(`[name^="${escaped}."]`);
+  if (!element) return;
+
+  element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  const focusable = element.matches('input, select, textarea, button')
+    ? element
+    : element.querySelector('input, select, textarea, button');
+  focusable?.focus({ preventScroll: true });
+
+  element.classList.add('ring-2', 'ring-[#0031ac]', 'ring-offset-2', 'rounded-md');
+  setTimeout(() => {
+    element.classList.remove('ring-2', 'ring-[#0031ac]', 'ring-offset-2', 'rounded-md');
+  }, 3000);
+};
+
 // Define steps for the form wizard based on listing type
 const getStepsByListingType = (type) => {
   const baseSteps = [
@@ -255,6 +277,7 @@ function ListingForm({ isEdit = false, externalOnSubmit }) {
   const [documentUploadLoading, setDocumentUploadLoading] = useState(false);
   // Add visitedSteps state to track which steps user has visited
   const [visitedSteps, setVisitedSteps] = useState([0]); // Initialize with first step
+  const [showMissing, setShowMissing] = useState(false);
 
   // IMPORTANT: Move all useMemo hooks to the top level to ensure consistent ordering
   
@@ -1350,6 +1373,7 @@ const handleNext = async () => {
             'franchiseDetails.brandEstablished',
             'franchiseDetails.totalUnits',
             'franchiseDetails.franchiseeCount',
+            'franchiseDetails.territories',
             'franchiseDetails.investment.franchiseFee.value',
             'franchiseDetails.investment.totalInitialInvestment.value',
             'franchiseDetails.investment.royaltyFee',
@@ -1421,11 +1445,12 @@ const handleNext = async () => {
             return; // Exit function if validation fails
           }
           
-          // Extra validation for available territories
-          const territories = getValues('franchiseDetails.availableTerritories') || [];
-          if (territories.length === 0) {
+          // Extra validation for territories; older listings may still list regions instead
+          const territories = getValues('franchiseDetails.territories') || [];
+          const legacyTerritories = getValues('franchiseDetails.availableTerritories') || [];
+          if (territories.length === 0 && legacyTerritories.length === 0) {
             ToastManager.dismiss();
-            ToastManager.error('Please select at least one territory');
+            ToastManager.error('Please add at least one territory');
             return; // Exit function if validation fails
           }
           
@@ -1721,6 +1746,27 @@ const handleNext = async () => {
     }
   };
 
+  // Steps the completeness panel can link to: the ones already reached
+  const canGoToStep = (index) => index <= safeCurrentStep || visitedSteps.includes(index);
+
+  // Open the list of what is missing and bring the meter into view
+  const handleShowMissing = () => {
+    setShowMissing(true);
+    focusField('completeness');
+  };
+
+  // Open the step a missing completeness item is on and bring its field into view
+  const handleGoToField = (item) => {
+    const stepIndex = steps.findIndex(step => step.id === item.step);
+    if (stepIndex === -1 || !canGoToStep(stepIndex)) return;
+
+    if (stepIndex !== safeCurrentStep) {
+      setCurrentStep(stepIndex);
+      formPersistenceService.saveStep(id || '', stepIndex);
+    }
+    setTimeout(() => focusField(item.field), 350);
+  };
+
 // Enhanced form submission handler
 const onSubmit = async (data) => {
   try {
@@ -1741,6 +1787,23 @@ const onSubmit = async (data) => {
       return;
     }
 
+    // Submitting for review needs the plan's minimum completeness, as the server checks too
+    const savedStatus = listing?.status || ListingStatus.DRAFT;
+    if (data.status === ListingStatus.PENDING && ![ListingStatus.PENDING, ListingStatus.PUBLISHED].includes(savedStatus)) {
+      const { percentage, minimum, meetsMinimum } = getListingCompleteness(data, {
+        imageCount: uploadedImages.length,
+        documentCount: uploadedDocuments.length
+      });
+      if (!meetsMinimum) {
+        ToastManager.dismiss();
+        ToastManager.error(`The listing is ${percentage}% complete; its plan needs ${minimum}% to be submitted for review`);
+        handleShowMissing();
+        stopLoading();
+        setIsLoading(false);
+        return;
+      }
+    }
+
     // Prepare listing data
     const listingData = {
       ...data,
@@ -1799,7 +1862,7 @@ const onSubmit = async (data) => {
     } else {
       // Create or update listing using internal logic
       if (isEdit) {
-        await updateListing(
+        const { scheduleError } = await updateListing(
           id,
           listingData,
           uploadedImages.filter(img => !img.url), // New images
@@ -1810,8 +1873,9 @@ const onSubmit = async (data) => {
 
         ToastManager.dismiss();
         ToastManager.success('Listing updated successfully!');
+        if (scheduleError) ToastManager.warning(scheduleError);
       } else {
-        const newListingId = await createListing(
+        const { listingId: newListingId, scheduleError } = await createListing(
           listingData,
           uploadedImages,
           uploadedDocuments
@@ -1826,6 +1890,7 @@ const onSubmit = async (data) => {
 
         ToastManager.dismiss();
         ToastManager.success('Listing created successfully!');
+        if (scheduleError) ToastManager.warning(scheduleError);
         navigate(`/listings/${newListingId}`);
       }
     }
@@ -2100,6 +2165,16 @@ const onSubmit = async (data) => {
                       </div>
                     )}
                     
+                    <CompletenessMeter
+                      imageCount={uploadedImages.length}
+                      documentCount={uploadedDocuments.length}
+                      steps={steps}
+                      canGoToStep={canGoToStep}
+                      onGoToField={handleGoToField}
+                      isOpen={showMissing}
+                      onToggle={() => setShowMissing(prev => !prev)}
+                    />
+
                     {/* Step Content */}
                     <div className={`${transitioningStep ? 'opacity-25' : 'opacity-100'} transition-opacity duration-300`}>
                       <StepComponent
@@ -2116,6 +2191,8 @@ const onSubmit = async (data) => {
                         isLoading={!dataLoaded}
                         listingType={listingType}
                         formId={id} // Pass the formId to the component
+                        savedStatus={listing?.status || ListingStatus.DRAFT}
+                        onShowMissing={handleShowMissing}
                       />
                       {steps[safeCurrentStep]?.id === 'review' && (
                         <div className="hidden">
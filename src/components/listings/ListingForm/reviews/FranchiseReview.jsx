@@ -6,8 +6,14 @@ import {
   DollarSign, 
   GraduationCap, 
   BarChart, 
+  Calculator, 
   Phone 
 } from 'lucide-react';
+import { TERRITORY_STATUSES } from '@/components/listings/TerritoryMap';
+import UnitEconomicsCharts from '@/components/listings/UnitEconomicsCharts';
+import { formatMonths } from '@/components/listings/franchise/UnitEconomicsEditor';
+import { getLegacyTerritoryLabel } from '@/schemas/franchiseTerritories';
+import { getUnitEconomicsSummary } from '@/schemas/franchiseProjection';
 
 const FranchiseReview = ({ ReviewSection, ReviewField }) => {
   const { watch } = useFormContext();
@@ -15,6 +21,9 @@ const FranchiseReview = ({ ReviewSection, ReviewField }) => {
   const basicInfo = watch();
   const location = watch('location') || {};
   const contactInfo = watch('contactInfo') || {};
+  const territories = franchiseDetails?.territories || [];
+  const legacyTerritories = franchiseDetails?.availableTerritories || [];
+  const unitEconomics = getUnitEconomicsSummary(franchiseDetails);
 
   // Helper function to format currency
   const formatCurrency = (value, currency = '₹') => {
@@ -41,18 +50,28 @@ const FranchiseReview = ({ ReviewSection, ReviewField }) => {
 
       {/* Territories */}
       <ReviewSection 
-        title="Available Territories" 
+        title="Territories" 
         icon={MapPin}
         onEdit={() => {/* Navigate to appropriate step */}}
       >
-        <ReviewField 
-          label="Available Territories" 
-          value={franchiseDetails?.availableTerritories?.join(', ')} 
-        />
-        <ReviewField 
-          label="Territory Exclusivity" 
-          value={franchiseDetails?.territoryExclusivity ? 'Yes' : 'No'} 
-        />
+        {TERRITORY_STATUSES.map(status => (
+          <ReviewField 
+            key={status.value}
+            label={status.label} 
+            value={territories
+              .filter(territory => territory.status === status.value)
+              .map(territory => territory.exclusivityRadiusKm
+                ? `${territory.name} (${territory.exclusivityRadiusKm} km exclusive)`
+                : territory.name)
+              .join(', ') || 'None'} 
+          />
+        ))}
+        {legacyTerritories.length > 0 && (
+          <ReviewField 
+            label="Previously Listed Regions" 
+            value={legacyTerritories.map(getLegacyTerritoryLabel).join(', ')} 
+          />
+        )}
         <ReviewField 
           label="Location" 
           value={`${location.cityName}, ${location.stateName}, ${location.countryName}`} 
@@ -141,6 +160,28 @@ const FranchiseReview = ({ ReviewSection, ReviewField }) => {
         />
       </ReviewSection>
 
+      {/* Unit Economics */}
+      {unitEconomics && (
+        <ReviewSection 
+          title="Unit Economics" 
+          icon={Calculator}
+        >
+          <ReviewField label="Breakeven Month" value={formatMonths(unitEconomics.breakevenMonth)} highlight />
+          <ReviewField label="Payback Period" value={formatMonths(unitEconomics.paybackMonths)} />
+          <ReviewField label="IRR (5 years)" value={unitEconomics.irr === null ? '' : `${unitEconomics.irr}%`} />
+          <ReviewField label="5-year Profit" value={formatCurrency(unitEconomics.totalProfit)} />
+          {unitEconomics.breakeven && (
+            <ReviewField 
+              label="Breakeven Check" 
+              value={unitEconomics.breakeven.matches
+                ? `${unitEconomics.breakeven.stated} agrees with the projection`
+                : `${unitEconomics.breakeven.stated} stated, but the projection ${unitEconomics.breakeven.computedMonth ? `breaks even in month ${unitEconomics.breakeven.computedMonth}` : 'does not break even within 5 years'}. This will be flagged for moderators.`} 
+            />
+          )}
+          <UnitEconomicsCharts projection={unitEconomics} className="mt-2" />
+        </ReviewSection>
+      )}
+
       {/* Contact Information */}
       <ReviewSection 
         title="Contact Information" 
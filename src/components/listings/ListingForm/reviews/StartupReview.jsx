@@ -7,14 +7,19 @@ import {
   Rocket,
   TrendingUp,
   BookOpen,
-  MapPin
+  MapPin,
+  PieChart
 } from 'lucide-react';
+import { formatCurrency } from '@/lib/utils';
+import { getFundingRoundSummary } from '@/schemas/startupCapTable';
 
 const StartupReview = ({ ReviewSection, ReviewField }) => {
   const { watch } = useFormContext();
   const startupDetails = watch('startupDetails');
   const basicInfo = watch();
 
+  const fundingRound = getFundingRoundSummary(startupDetails?.funding);
+
   // Helper function to truncate long text
   const truncate = (text, length = 100) => 
     text && text.length > length ? text.substring(0, length) + '...' : text;
@@ -194,6 +199,42 @@ const StartupReview = ({ ReviewSection, ReviewField }) => {
         />
       </ReviewSection>
 
+      {/* Funding Round Section */}
+      {fundingRound && (
+        <ReviewSection 
+          title="Funding Round" 
+          icon={PieChart}
+        >
+          <ReviewField 
+            label="Post-money Valuation" 
+            value={formatCurrency(fundingRound.postMoney)} 
+            highlight 
+          />
+          {fundingRound.equity && (
+            <ReviewField 
+              label="Equity Check" 
+              value={fundingRound.equity.matches
+                ? `${fundingRound.equity.equityOffered}% offered matches the ${fundingRound.equity.impliedEquity}% the amount buys`
+                : `${fundingRound.equity.equityOffered}% offered, but the amount buys ${fundingRound.equity.impliedEquity}%. This will be flagged for moderators.`} 
+            />
+          )}
+          {fundingRound.round && (
+            <>
+              <ReviewField 
+                label="Price per Share" 
+                value={`${formatCurrency(fundingRound.round.pricePerShare)} (${fundingRound.round.newShares.toLocaleString('en-IN')} new shares, ${fundingRound.round.roundStake}%)`} 
+              />
+              <ReviewField 
+                label="Dilution" 
+                value={fundingRound.round.holders
+                  .map(holder => `${holder.name}: ${holder.before}% → ${holder.after}%`)
+                  .join('; ')} 
+              />
+            </>
+          )}
+        </ReviewSection>
+      )}
+
       {/* External Links Section */}
       <ReviewSection 
         title="External Links" 
@@ -0,0 +1,315 @@
+import { useState, useEffect, useMemo } from 'react';
+import { ArrowRight, GitCompare, History, RotateCcw } from 'lucide-react';
+import { ListingRevision, ListingRevisionSource } from '@/types/listings';
+import { getListingRevisions, restoreListingRevision } from '@/services/listingService';
+import Button from '@/components/ui/Button';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import ConfirmationDialog from '@/components/common/ConfirmationDialog';
+import { formatDate } from '@/lib/utils';
+import { toast } from 'react-hot-toast';
+
+interface ListingHistoryProps {
+  listingId: string;
+  // Called after a revision is restored so the page can reload the listing
+  onRestored: () => void;
+}
+
+interface FieldChange {
+  path: string[];
+  before: unknown;
+  after: unknown;
+}
+
+const SOURCE_LABELS: Record<ListingRevisionSource, string> = {
+  [ListingRevisionSource.BASELINE]: 'Before history was kept',
+  [ListingRevisionSource.CREATED]: 'Created',
+  [ListingRevisionSource.UPDATED]: 'Edited',
+  [ListingRevisionSource.RESTORED]: 'Restored'
+};
+
+const SECTION_LABELS: Record<string, string> = {
+  businessDetails: 'Business Details',
+  franchiseDetails: 'Franchise Details',
+  startupDetails: 'Startup Details',
+  investorDetails: 'Investor Details',
+  digitalAssetDetails: 'Digital Asset Details',
+  contactInfo: 'Contact Information'
+};
+
+const isEmpty = (value: unknown) => value === null || value === undefined;
+
+const isPlainObject = (value: unknown): value is Record<string, unknown> =>
+  !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Deep comparison treating null and missing values alike, as the revisions are saved
+const isSameValue = (a: any, b: any): boolean => {
+  if (isEmpty(a) || isEmpty(b)) return isEmpty(a) && isEmpty(b);
+  if (typeof a !== 'object' || typeof b !== 'object') return a === b;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every(key => isSameValue(a[key], b[key]));
+};
+
+/**
+ * Every leaf value that differs between two snapshots, following nested details
+ * and lists of objects (compared position by position)
+ */
+const diffValues = (before: any, after: any, path: string[] = []): FieldChange[] => {
+  if (isSameValue(before, after)) return [];
+
+  const beforeIsObject = isPlainObject(before);
+  const afterIsObject = isPlainObject(after);
+  if ((beforeIsObject || isEmpty(before)) && (afterIsObject || isEmpty(after)) && (beforeIsObject || afterIsObject)) {
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    return [...keys].sort().flatMap(key => diffValues(before?.[key], after?.[key], [...path, key]));
+  }
+
+  const hasObjects = (value: unknown) => Array.isArray(value) && value.some(item => isPlainObject(item));
+  if (Array.isArray(before) && Array.isArray(after) && (hasObjects(before) || hasObjects(after))) {
+    return Array.from({ length: Math.max(before.length, after.length) })
+      .flatMap((_, index) => diffValues(before[index], after[index], [...path, String(index)]));
+  }
+
+  return [{ path, before, after }];
+};
+
+// "annualRevenue" -> "Annual revenue", "3" -> "#4"
+const toLabel = (key: string) => {
+  if (/^\d+$/.test(key)) return `#${Number(key) + 1}`;
+  const words = key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/_/g, ' ').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const formatValue = (value: unknown): string => {
+  if (isEmpty(value) || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) return formatDate(new Date(value));
+  if (Array.isArray(value)) {
+    return value.length === 0 ? '—' : value.map(item => typeof item === 'object' ? JSON.stringify(item) : String(item)).join(', ');
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const revisionLabel = (revisions: ListingRevision[], revision: ListingRevision) =>
+  `Revision ${revisions.length - revisions.indexOf(revision)} · ${formatDate(revision.createdAt)}`;
+
+/**
+ * Revisions of a listing's content with a field-by-field comparison of any two of them
+ */
+export default function ListingHistory({ listingId, onRestored }: ListingHistoryProps) {
+  const [revisions, setRevisions] = useState<ListingRevision[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [fromId, setFromId] = useState<string>('');
+  const [toId, setToId] = useState<string>('');
+  const [restoreTarget, setRestoreTarget] = useState<ListingRevision | null>(null);
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  const loadRevisions = async () => {
+    try {
+      setIsLoading(true);
+      const result = await getListingRevisions(listingId);
+      setRevisions(result);
+      // Compare the latest revision with the one before it
+      setToId(result[0]?.id || '');
+      setFromId(result[1]?.id || '');
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load listing history');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadRevisions();
+  }, [listingId]);
+
+  const fromRevision = revisions.find(r => r.id === fromId) || null;
+  const toRevision = revisions.find(r => r.id === toId) || null;
+
+  // Changes grouped by top-level field, e.g. everything under businessDetails together
+  const changeGroups = useMemo(() => {
+    if (!toRevision) return [];
+
+    const changes = diffValues(fromRevision?.snapshot || {}, toRevision.snapshot);
+    const groups = new Map<string, FieldChange[]>();
+    changes.forEach(change => {
+      const [section] = change.path;
+      groups.set(section, [...(groups.get(section) || []), change]);
+    });
+    return [...groups.entries()];
+  }, [fromRevision, toRevision]);
+
+  const handleCompare = (revision: ListingRevision) => {
+    const index = revisions.indexOf(revision);
+    setToId(revision.id);
+    setFromId(revisions[index + 1]?.id || '');
+  };
+
+  const confirmRestore = async () => {
+    if (!restoreTarget) return;
+
+    try {
+      setIsRestoring(true);
+      await restoreListingRevision(listingId, restoreTarget.id);
+      toast.success(`${revisionLabel(revisions, restoreTarget).split(' · ')[0]} restored`);
+      setRestoreTarget(null);
+      onRestored();
+      await loadRevisions();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to restore revision');
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-8">
+        <LoadingSpinner size="md" />
+      </div>
+    );
+  }
+
+  if (revisions.length === 0) {
+    return (
+      <div className="bg-gray-50 border border-gray-100 rounded-lg p-6 text-center">
+        <History className="h-10 w-10 mx-auto text-gray-400 mb-3" />
+        <h4 className="text-gray-600 font-medium mb-1">No Revisions Yet</h4>
+        <p className="text-sm text-gray-500">A revision is saved every time this listing is edited.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      {/* Revision list, newest first */}
+      <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg self-start">
+        {revisions.map((revision, index) => (
+          <li
+            key={revision.id}
+            className={`p-4 ${revision.id === toId ? 'bg-blue-50' : ''}`}
+          >
+            <div className="flex items-center justify-between">
+              <span className="text-sm font-medium text-gray-900">Revision {revisions.length - index}</span>
+              <span className="text-xs text-gray-500">{SOURCE_LABELS[revision.source] || revision.source}</span>
+            </div>
+            <div className="text-xs text-gray-500 mt-0.5">
+              {formatDate(revision.createdAt)}
+              {revision.createdByName && <> · {revision.createdByName}</>}
+            </div>
+            {revision.restoredFrom && (
+              <div className="text-xs text-gray-500 mt-0.5">
+                From {(() => {
+                  const source = revisions.find(r => r.id === revision.restoredFrom);
+                  return source ? `revision ${revisions.length - revisions.indexOf(source)}` : 'an earlier revision';
+                })()}
+              </div>
+            )}
+            {revision.source !== ListingRevisionSource.BASELINE && revision.source !== ListingRevisionSource.CREATED && (
+              <div className="text-xs text-gray-600 mt-1 truncate" title={revision.changedFields.map(toLabel).join(', ')}>
+                {revision.changedFields.length > 0 ? revision.changedFields.map(f => SECTION_LABELS[f] || toLabel(f)).join(', ') : 'No content changes'}
+              </div>
+            )}
+            <div className="flex gap-2 mt-2">
+              <Button
+                variant="outline"
+                size="sm"
+                leftIcon={<GitCompare className="h-4 w-4" />}
+                onClick={() => handleCompare(revision)}
+              >
+                Compare
+              </Button>
+              {index > 0 && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  leftIcon={<RotateCcw className="h-4 w-4" />}
+                  onClick={() => setRestoreTarget(revision)}
+                  disabled={isRestoring}
+                >
+                  Restore
+                </Button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {/* Field-by-field comparison */}
+      <div className="lg:col-span-2 space-y-4">
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+          <select
+            className="form-input flex-1 text-sm"
+            value={fromId}
+            onChange={(e) => setFromId(e.target.value)}
+            aria-label="Compare from revision"
+          >
+            <option value="">Empty listing</option>
+            {revisions.map(revision => (
+              <option key={revision.id} value={revision.id}>{revisionLabel(revisions, revision)}</option>
+            ))}
+          </select>
+          <ArrowRight className="h-4 w-4 text-gray-400 hidden sm:block shrink-0" />
+          <select
+            className="form-input flex-1 text-sm"
+            value={toId}
+            onChange={(e) => setToId(e.target.value)}
+            aria-label="Compare to revision"
+          >
+            {revisions.map(revision => (
+              <option key={revision.id} value={revision.id}>{revisionLabel(revisions, revision)}</option>
+            ))}
+          </select>
+        </div>
+
+        {changeGroups.length === 0 ? (
+          <p className="text-sm text-gray-500 bg-gray-50 rounded-lg p-6 text-center">
+            These revisions have the same content.
+          </p>
+        ) : (
+          changeGroups.map(([section, changes]) => (
+            <div key={section} className="border border-gray-200 rounded-lg overflow-hidden">
+              <div className="bg-gray-50 px-4 py-2 text-sm font-medium text-gray-700 border-b border-gray-200">
+                {SECTION_LABELS[section] || toLabel(section)}
+              </div>
+              <table className="min-w-full divide-y divide-gray-100 text-sm">
+                <tbody>
+                  {changes.map(change => (
+                    <tr key={change.path.join('.')} className="align-top">
+                      <td className="px-4 py-2 text-gray-600 w-1/4">
+                        {change.path.length > 1 ? change.path.slice(1).map(toLabel).join(' › ') : toLabel(section)}
+                      </td>
+                      <td className="px-4 py-2">
+                        <div className="bg-red-50 text-red-800 rounded px-2 py-1 whitespace-pre-wrap break-words max-h-40 overflow-y-auto">
+                          {formatValue(change.before)}
+                        </div>
+                      </td>
+                      <td className="px-4 py-2">
+                        <div className="bg-green-50 text-green-800 rounded px-2 py-1 whitespace-pre-wrap break-words max-h-40 overflow-y-auto">
+                          {formatValue(change.after)}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))
+        )}
+      </div>
+
+      {restoreTarget && (
+        <ConfirmationDialog
+          title={`Restore ${revisionLabel(revisions, restoreTarget).split(' · ')[0]}`}
+          message="The listing's content will be put back to this revision and checked like any other edit. Images, documents, status and plan are not changed. The restore is saved as a new revision, so it can be undone."
+          confirmText="Restore"
+          cancelText="Cancel"
+          onConfirm={confirmRestore}
+          onCancel={() => setRestoreTarget(null)}
+        />
+      )}
+    </div>
+  );
+}
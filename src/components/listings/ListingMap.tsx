@@ -0,0 +1,284 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Maximize2, Minus, Plus, X } from 'lucide-react';
+import { DocumentSnapshot } from 'firebase/firestore';
+import { Listing, ListingFilters, ListingType } from '@/types/listings';
+import { getListings } from '@/services/listingService';
+import { GeoPoint, geocodeLocation } from '@/schemas/geo';
+import { MAX_ZOOM, TILE_SIZE, fitPoints, kmToPixels, project } from '@/lib/mapTiles';
+import useMapViewport from '@/hooks/useMapViewport';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { cn } from '@/lib/utils';
+
+interface ListingMapProps {
+  // The filters of the listings on screen, including the tab's status
+  filters: ListingFilters;
+  currentUserId?: string;
+}
+
+interface PlacedListing {
+  listing: Listing;
+  point: GeoPoint;
+}
+
+interface Cluster {
+  key: string;
+  listings: PlacedListing[];
+  // World pixel position at the current zoom
+  x: number;
+  y: number;
+}
+
+// Listings closer than this on screen are drawn as one cluster
+const CLUSTER_CELL_PX = 60;
+// Listings are loaded in pages of the listing API's largest page, up to a limit
+const MAP_PAGE_SIZE = 100;
+const MAX_MAP_LISTINGS = 500;
+
+const TYPE_COLORS: Record<ListingType, string> = {
+  [ListingType.BUSINESS]: 'bg-blue-600',
+  [ListingType.FRANCHISE]: 'bg-purple-600',
+  [ListingType.STARTUP]: 'bg-green-600',
+  [ListingType.INVESTOR]: 'bg-amber-600',
+  [ListingType.DIGITAL_ASSET]: 'bg-indigo-600'
+};
+
+/**
+ * The listings matching the filters on an OpenStreetMap map, clustered where they are close.
+ * Listings are placed at their city, so a cluster that stays together at any zoom is one city.
+ */
+export default function ListingMap({ filters, currentUserId }: ListingMapProps) {
+  const navigate = useNavigate();
+  const [listings, setListings] = useState<Listing[]>([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [selected, setSelected] = useState<Cluster | null>(null);
+  // Only the latest load may update the listings
+  const latestLoad = useRef(0);
+  // A click on the map itself closes the popup
+  const { containerRef, size, view, setView, left, top, tiles, zoomTo, handlers } = useMapViewport({
+    onMapClick: () => setSelected(null),
+    onZoom: () => setSelected(null)
+  });
+
+  const filterKey = JSON.stringify(filters);
+
+  useEffect(() => {
+    const loadId = ++latestLoad.current;
+
+    const loadListings = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        setSelected(null);
+
+        const loaded: Listing[] = [];
+        let lastDoc: DocumentSnapshot | null = null;
+        do {
+          const page = await getListings(MAP_PAGE_SIZE, lastDoc, filters, currentUserId);
+          if (loadId !== latestLoad.current) return;
+          loaded.push(...page.listings);
+          lastDoc = page.lastDoc;
+        } while (lastDoc && loaded.length < MAX_MAP_LISTINGS);
+
+        setListings(loaded.slice(0, MAX_MAP_LISTINGS));
+        setHasMore(lastDoc !== null);
+      } catch (loadError) {
+        if (loadId !== latestLoad.current) return;
+        console.error('Error loading listings for the map:', loadError);
+        setListings([]);
+        setError(loadError instanceof Error ? loadError.message : 'Failed to load listings');
+      } finally {
+        if (loadId === latestLoad.current) setIsLoading(false);
+      }
+    };
+
+    loadListings();
+  }, [filterKey, currentUserId]);
+
+  // Listings saved before they were placed on save are placed here
+  const { placed, unplacedCount } = useMemo(() => {
+    const placed: PlacedListing[] = [];
+    listings.forEach(listing => {
+      const coordinates = listing.location?.coordinates || geocodeLocation(listing.location);
+      if (coordinates) placed.push({ listing, point: coordinates });
+    });
+    return { placed, unplacedCount: listings.length - placed.length };
+  }, [listings]);
+
+  const fitToListings = () => {
+    setSelected(null);
+    setView(fitPoints(placed.map(item => item.point), size.width, size.height));
+  };
+
+  // Show every listing once they load and the map has a size
+  useEffect(() => {
+    if (size.width > 0) fitToListings();
+  }, [placed, size.width > 0]);
+
+  const clusters = useMemo(() => {
+    const cells = new Map<string, PlacedListing[]>();
+    placed.forEach(item => {
+      const { x, y } = project(item.point, view.zoom);
+      const key = `${Math.floor(x / CLUSTER_CELL_PX)}:${Math.floor(y / CLUSTER_CELL_PX)}`;
+      cells.set(key, [...(cells.get(key) || []), item]);
+    });
+
+    return [...cells.entries()].map(([key, items]): Cluster => {
+      const pixels = items.map(item => project(item.point, view.zoom));
+      return {
+        key,
+        listings: items,
+        x: pixels.reduce((sum, pixel) => sum + pixel.x, 0) / pixels.length,
+        y: pixels.reduce((sum, pixel) => sum + pixel.y, 0) / pixels.length
+      };
+    });
+  }, [placed, view.zoom]);
+
+  // A cluster opens closer until its listings separate; listings in one place are listed instead
+  const handleClusterClick = (cluster: Cluster) => {
+    const [first] = cluster.listings;
+    const isOnePlace = cluster.listings.every(item =>
+      item.point.latitude === first.point.latitude && item.point.longitude === first.point.longitude);
+
+    if (cluster.listings.length === 1 || isOnePlace || view.zoom >= MAX_ZOOM) {
+      setSelected(cluster);
+    } else {
+      zoomTo(view.zoom + 2, cluster.x - left, cluster.y - top);
+    }
+  };
+
+  // The distance filter's circle
+  const nearCenter = filters.location?.city && filters.location.radiusKm ? geocodeLocation(filters.location) : null;
+  const nearCircle = nearCenter && filters.location?.radiusKm ? {
+    ...project(nearCenter, view.zoom),
+    radius: kmToPixels(filters.location.radiusKm, nearCenter.latitude, view.zoom)
+  } : null;
+
+  return (
+    <div className="space-y-2">
+      <div
+        ref={containerRef}
+        className="relative h-[600px] overflow-hidden rounded-lg border border-gray-200 bg-gray-100 select-none touch-none cursor-grab active:cursor-grabbing"
+        {...handlers}
+      >
+        {tiles.map(tile => (
+          <img
+            key={tile.key}
+            src={tile.url}
+            alt=""
+            draggable={false}
+            className="absolute max-w-none pointer-events-none"
+            style={{ left: tile.x, top: tile.y, width: TILE_SIZE, height: TILE_SIZE }}
+          />
+        ))}
+
+        {nearCircle && (
+          <div
+            className="absolute rounded-full border-2 border-[#0031ac] bg-[#0031ac]/10 pointer-events-none"
+            style={{
+              left: nearCircle.x - left - nearCircle.radius,
+              top: nearCircle.y - top - nearCircle.radius,
+              width: nearCircle.radius * 2,
+              height: nearCircle.radius * 2
+            }}
+          />
+        )}
+
+        {clusters.map(cluster => {
+          const count = cluster.listings.length;
+          const diameter = count === 1 ? 16 : Math.min(56, 28 + Math.log10(count) * 12);
+          return (
+            <button
+              key={cluster.key}
+              type="button"
+              className={cn(
+                'absolute -translate-x-1/2 -translate-y-1/2 rounded-full border-2 border-white shadow-md flex items-center justify-center text-xs font-semibold text-white hover:scale-110 transition-transform',
+                count === 1 ? TYPE_COLORS[cluster.listings[0].listing.type] : 'bg-[#0031ac]'
+              )}
+              style={{ left: cluster.x - left, top: cluster.y - top, width: diameter, height: diameter }}
+              title={count === 1 ? cluster.listings[0].listing.name : `${count} listings`}
+              onClick={() => handleClusterClick(cluster)}
+            >
+              {count > 1 && count}
+            </button>
+          );
+        })}
+
+        {selected && (
+          <div
+            className="absolute z-10 w-64 -translate-x-1/2 -translate-y-full rounded-lg bg-white shadow-lg ring-1 ring-black ring-opacity-5"
+            style={{ left: selected.x - left, top: selected.y - top - 12 }}
+            onPointerDown={(event) => event.stopPropagation()}
+          >
+            <div className="flex items-center justify-between px-3 py-2 border-b border-gray-100">
+              <span className="text-xs text-gray-500 truncate">
+                {selected.listings[0].listing.location?.displayLocation || 'Unknown location'}
+                {selected.listings.length > 1 && ` · ${selected.listings.length} listings`}
+              </span>
+              <button type="button" className="text-gray-400 hover:text-gray-600" onClick={() => setSelected(null)}>
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+            <ul className="max-h-60 overflow-y-auto divide-y divide-gray-100">
+              {selected.listings.map(({ listing }) => (
+                <li key={listing.id}>
+                  <button
+                    type="button"
+                    className="w-full flex items-center gap-2 px-3 py-2 text-left hover:bg-gray-50"
+                    onClick={() => navigate(`/listings/${listing.id}`)}
+                  >
+                    <span className={cn('h-2.5 w-2.5 rounded-full flex-shrink-0', TYPE_COLORS[listing.type])} />
+                    <span className="flex-1 min-w-0">
+                      <span className="block text-sm font-medium text-gray-900 truncate">{listing.name}</span>
+                      <span className="block text-xs text-gray-500 capitalize">
+                        {listing.type.replace('_', ' ')} · {listing.status}
+                      </span>
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="absolute top-3 left-3 flex flex-col rounded-md bg-white shadow ring-1 ring-black ring-opacity-5">
+          <button type="button" className="p-2 text-gray-600 hover:bg-gray-50" onClick={() => zoomTo(view.zoom + 1)} aria-label="Zoom in">
+            <Plus className="h-4 w-4" />
+          </button>
+          <button type="button" className="p-2 text-gray-600 hover:bg-gray-50 border-t border-gray-100" onClick={() => zoomTo(view.zoom - 1)} aria-label="Zoom out">
+            <Minus className="h-4 w-4" />
+          </button>
+          <button type="button" className="p-2 text-gray-600 hover:bg-gray-50 border-t border-gray-100" onClick={fitToListings} aria-label="Show all listings">
+            <Maximize2 className="h-4 w-4" />
+          </button>
+        </div>
+
+        {isLoading && (
+          <div className="absolute inset-0 flex items-center justify-center bg-white/60">
+            <LoadingSpinner size="md" />
+          </div>
+        )}
+
+        <div className="absolute bottom-0 right-0 bg-white/80 px-1.5 py-0.5 text-[11px] text-gray-600">
+          ©{' '}
+          <a href="https://www.openstreetmap.org/copyright" target="_blank" rel="noopener noreferrer" className="hover:underline">
+            OpenStreetMap
+          </a>{' '}
+          contributors
+        </div>
+      </div>
+
+      {error ? (
+        <p className="text-sm text-red-600">{error}</p>
+      ) : !isLoading && (
+        <p className="text-xs text-gray-500">
+          {placed.length} listings on the map
+          {unplacedCount > 0 && ` · ${unplacedCount} without a known city or state`}
+          {hasMore && ` · showing the first ${MAX_MAP_LISTINGS}; narrow the filters to see the rest`}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -1,13 +1,31 @@
-import React from 'react';
-import { Rating } from '@/types/listings';
-import { CheckCircle, FileText, DollarSign, Users, Clock, Star } from 'lucide-react';
-import { cn } from '@/lib/utils';
+import React, { useState } from 'react';
+import { Rating, RatingComponent } from '@/types/listings';
+import { CheckCircle, FileText, DollarSign, Users, Clock, Star, ChevronDown, ChevronUp } from 'lucide-react';
+import { cn, formatDate } from '@/lib/utils';
 
 interface ListingRatingProps {
   rating?: Rating;
 }
 
+const COMPONENTS: {
+  key: RatingComponent;
+  label: string;
+  icon: typeof CheckCircle;
+  iconColor: string;
+  description: string;
+}[] = [
+  { key: 'completeness', label: 'Completeness', icon: CheckCircle, iconColor: 'text-blue-500', description: 'How complete the listing information is' },
+  { key: 'verification', label: 'Verification', icon: CheckCircle, iconColor: 'text-green-500', description: 'Verification status of the listing' },
+  { key: 'documentation', label: 'Documentation', icon: FileText, iconColor: 'text-purple-500', description: 'Quality and completeness of supporting documents' },
+  { key: 'engagement', label: 'Engagement', icon: Users, iconColor: 'text-amber-500', description: 'Level of user interest and interaction' },
+  { key: 'longevity', label: 'Longevity', icon: Clock, iconColor: 'text-indigo-500', description: 'Time the listing has been active' },
+  { key: 'financials', label: 'Financials', icon: DollarSign, iconColor: 'text-emerald-500', description: 'Financial transparency and reasonableness' }
+];
+
 const ListingRating: React.FC<ListingRatingProps> = ({ rating }) => {
+  // The component whose breakdown is shown
+  const [expanded, setExpanded] = useState<RatingComponent | null>(null);
+
   if (!rating) {
     return (
       <div className="bg-gray-50 border border-gray-100 rounded-lg p-6 text-center">
@@ -87,125 +105,66 @@ const ListingRating: React.FC<ListingRatingProps> = ({ rating }) => {
       <div className="space-y-4">
         <h4 className="text-sm font-medium text-gray-600 mb-3">Rating Components</h4>
         
-        {/* Completeness */}
-        <div className="space-y-1">
-          <div className="flex justify-between items-center">
-            <div className="flex items-center text-sm text-gray-700">
-              <CheckCircle className="h-4 w-4 text-blue-500 mr-2" />
-              <span>Completeness</span>
-            </div>
-            <span className={cn(
-              "text-sm font-medium",
-              getRatingColor(rating.ratingComponents.completeness)
-            )}>
-              {formatRating(rating.ratingComponents.completeness)}
-            </span>
-          </div>
-          {getProgressBar(rating.ratingComponents.completeness)}
-          <div className="text-xs text-gray-500">
-            How complete the listing information is
-          </div>
-        </div>
-        
-        {/* Verification */}
-        <div className="space-y-1">
-          <div className="flex justify-between items-center">
-            <div className="flex items-center text-sm text-gray-700">
-              <CheckCircle className="h-4 w-4 text-green-500 mr-2" />
-              <span>Verification</span>
-            </div>
-            <span className={cn(
-              "text-sm font-medium",
-              getRatingColor(rating.ratingComponents.verification)
-            )}>
-              {formatRating(rating.ratingComponents.verification)}
-            </span>
-          </div>
-          {getProgressBar(rating.ratingComponents.verification)}
-          <div className="text-xs text-gray-500">
-            Verification status of the listing
-          </div>
-        </div>
-        
-        {/* Documentation */}
-        <div className="space-y-1">
-          <div className="flex justify-between items-center">
-            <div className="flex items-center text-sm text-gray-700">
-              <FileText className="h-4 w-4 text-purple-500 mr-2" />
-              <span>Documentation</span>
-            </div>
-            <span className={cn(
-              "text-sm font-medium",
-              getRatingColor(rating.ratingComponents.documentation)
-            )}>
-              {formatRating(rating.ratingComponents.documentation)}
-            </span>
-          </div>
-          {getProgressBar(rating.ratingComponents.documentation)}
-          <div className="text-xs text-gray-500">
-            Quality and completeness of supporting documents
-          </div>
-        </div>
-        
-        {/* Engagement */}
-        <div className="space-y-1">
-          <div className="flex justify-between items-center">
-            <div className="flex items-center text-sm text-gray-700">
-              <Users className="h-4 w-4 text-amber-500 mr-2" />
-              <span>Engagement</span>
-            </div>
-            <span className={cn(
-              "text-sm font-medium",
-              getRatingColor(rating.ratingComponents.engagement)
-            )}>
-              {formatRating(rating.ratingComponents.engagement)}
-            </span>
-          </div>
-          {getProgressBar(rating.ratingComponents.engagement)}
-          <div className="text-xs text-gray-500">
-            Level of user interest and interaction
-          </div>
-        </div>
-        
-        {/* Longevity */}
-        <div className="space-y-1">
-          <div className="flex justify-between items-center">
-            <div className="flex items-center text-sm text-gray-700">
-              <Clock className="h-4 w-4 text-indigo-500 mr-2" />
-              <span>Longevity</span>
-            </div>
-            <span className={cn(
-              "text-sm font-medium",
-              getRatingColor(rating.ratingComponents.longevity)
-            )}>
-              {formatRating(rating.ratingComponents.longevity)}
-            </span>
-          </div>
-          {getProgressBar(rating.ratingComponents.longevity)}
-          <div className="text-xs text-gray-500">
-            Time the listing has been active
-          </div>
-        </div>
-        
-        {/* Financials */}
-        <div className="space-y-1">
-          <div className="flex justify-between items-center">
-            <div className="flex items-center text-sm text-gray-700">
-              <DollarSign className="h-4 w-4 text-emerald-500 mr-2" />
-              <span>Financials</span>
+        {COMPONENTS.map(({ key, label, icon: Icon, iconColor, description }) => {
+          const value = rating.ratingComponents[key];
+          const factors = rating.explanation?.[key] || [];
+          const isExpanded = expanded === key;
+
+          return (
+            <div key={key} className="space-y-1">
+              <div className="flex justify-between items-center">
+                <button
+                  type="button"
+                  className="flex items-center text-sm text-gray-700 hover:text-gray-900 disabled:cursor-default"
+                  onClick={() => setExpanded(isExpanded ? null : key)}
+                  disabled={factors.length === 0}
+                  aria-expanded={isExpanded}
+                >
+                  <Icon className={cn("h-4 w-4 mr-2", iconColor)} />
+                  <span>{label}</span>
+                  {rating.weights && (
+                    <span className="ml-2 text-xs text-gray-400">{rating.weights[key]}%</span>
+                  )}
+                  {factors.length > 0 && (
+                    isExpanded
+                      ? <ChevronUp className="h-3 w-3 ml-1 text-gray-400" />
+                      : <ChevronDown className="h-3 w-3 ml-1 text-gray-400" />
+                  )}
+                </button>
+                <span className={cn(
+                  "text-sm font-medium",
+                  getRatingColor(value)
+                )}>
+                  {formatRating(value)}
+                </span>
+              </div>
+              {getProgressBar(value)}
+              <div className="text-xs text-gray-500">
+                {description}
+              </div>
+
+              {/* What the component was scored on */}
+              {isExpanded && (
+                <ul className="mt-2 space-y-1 rounded-md bg-gray-50 p-3">
+                  {factors.map(factor => (
+                    <li key={factor.label} className="flex justify-between gap-3 text-xs">
+                      <span className="text-gray-600">
+                        {factor.label}
+                        {factor.detail && <span className="text-gray-400"> · {factor.detail}</span>}
+                      </span>
+                      <span className={cn(
+                        "whitespace-nowrap font-medium",
+                        factor.points >= factor.maxPoints ? 'text-green-600' : factor.points > 0 ? 'text-amber-600' : 'text-gray-400'
+                      )}>
+                        {formatRating(factor.points)} / {factor.maxPoints}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
             </div>
-            <span className={cn(
-              "text-sm font-medium",
-              getRatingColor(rating.ratingComponents.financials)
-            )}>
-              {formatRating(rating.ratingComponents.financials)}
-            </span>
-          </div>
-          {getProgressBar(rating.ratingComponents.financials)}
-          <div className="text-xs text-gray-500">
-            Financial transparency and reasonableness
-          </div>
-        </div>
+          );
+        })}
       </div>
       
       {/* System rating explanation */}
@@ -215,7 +174,11 @@ const ListingRating: React.FC<ListingRatingProps> = ({ rating }) => {
             System Rating is a composite score that measures the overall quality, 
             completeness, and transparency of the listing based on multiple factors. 
             Higher ratings typically indicate more comprehensive and verified listings.
+            Select a component to see what it was scored on.
           </p>
+          {rating.calculatedAt && (
+            <p className="mt-2 not-italic">Last calculated {formatDate(rating.calculatedAt)}</p>
+          )}
         </div>
       </div>
     </div>
@@ -15,7 +15,8 @@ import {
   Users,
   Globe,
   MoreVertical,
-  BadgeCheck
+  BadgeCheck,
+  Copy
 } from 'lucide-react';
 import { Menu, Transition } from '@headlessui/react';
 import { Listing, ListingStatus, ListingType } from '@/types/listings';
@@ -258,6 +259,15 @@ const ListingTable: React.FC<ListingTableProps> = ({
                   <div className="ml-4">
                     <div className="text-sm font-medium text-gray-900">{listing.name}</div>
                     <div className="text-xs text-gray-500">{formatListingId(listing.type, listing.id)}</div>
+                    {!!listing.duplicateCheck?.listingIds?.length && (
+                      <div
+                        className="inline-flex items-center text-xs bg-amber-100 text-amber-800 px-1.5 py-0.5 rounded mt-1"
+                        title={`${Math.round(listing.duplicateCheck.score * 100)}% match with another listing`}
+                      >
+                        <Copy className="h-3 w-3 mr-1" />
+                        Possible duplicate
+                      </div>
+                    )}
                     {listing.location && (
                       <div className="text-xs text-gray-500 mt-1">
                         {[listing.location.city, listing.location.state].filter(Boolean).join(', ')}
@@ -0,0 +1,215 @@
+import { useState, useEffect } from 'react';
+import { Pencil, Plus, Trash2, X } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import Button from '@/components/ui/Button';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { ListingType, RejectionTemplate } from '@/types/listings';
+import {
+  createRejectionTemplate,
+  deleteRejectionTemplate,
+  getRejectionTemplates,
+  updateRejectionTemplate
+} from '@/services/moderationService';
+
+interface RejectionTemplatesDialogProps {
+  onClose: () => void;
+  // Called after any change, so open pickers can reload
+  onChange?: () => void;
+}
+
+const TYPE_LABELS: Record<ListingType, string> = {
+  [ListingType.BUSINESS]: 'Business',
+  [ListingType.FRANCHISE]: 'Franchise',
+  [ListingType.STARTUP]: 'Startup',
+  [ListingType.INVESTOR]: 'Investor',
+  [ListingType.DIGITAL_ASSET]: 'Digital Asset'
+};
+
+type Draft = Pick<RejectionTemplate, 'title' | 'reason' | 'types'>;
+
+const EMPTY_DRAFT: Draft = { title: '', reason: '', types: [] };
+
+/**
+ * Manage the rejection reasons moderators can start from: add, edit and delete templates,
+ * each for some listing types or for every type
+ */
+export default function RejectionTemplatesDialog({ onClose, onChange }: RejectionTemplatesDialogProps) {
+  const [templates, setTemplates] = useState<RejectionTemplate[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  // The template being edited; 'new' while adding one
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [draft, setDraft] = useState<Draft>(EMPTY_DRAFT);
+
+  const loadTemplates = async () => {
+    try {
+      setIsLoading(true);
+      setTemplates(await getRejectionTemplates());
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load rejection templates');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadTemplates();
+  }, []);
+
+  const startEditing = (template: RejectionTemplate | null) => {
+    setEditingId(template ? template.id : 'new');
+    setDraft(template ? { title: template.title, reason: template.reason, types: template.types } : EMPTY_DRAFT);
+  };
+
+  const toggleType = (type: ListingType) => {
+    setDraft(prev => ({
+      ...prev,
+      types: prev.types.includes(type) ? prev.types.filter(item => item !== type) : [...prev.types, type]
+    }));
+  };
+
+  const handleSave = async () => {
+    try {
+      setIsSaving(true);
+      if (editingId === 'new') {
+        await createRejectionTemplate(draft);
+        toast.success('Template added');
+      } else if (editingId) {
+        await updateRejectionTemplate(editingId, draft);
+        toast.success('Template saved');
+      }
+      setEditingId(null);
+      await loadTemplates();
+      onChange?.();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to save template');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (template: RejectionTemplate) => {
+    if (!window.confirm(`Delete the template "${template.title}"?`)) return;
+
+    try {
+      await deleteRejectionTemplate(template.id);
+      toast.success('Template deleted');
+      setTemplates(prev => prev.filter(item => item.id !== template.id));
+      onChange?.();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to delete template');
+    }
+  };
+
+  const canSave = draft.title.trim().length > 0 && draft.reason.trim().length > 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] flex flex-col overflow-hidden">
+        <div className="flex justify-between items-center p-5 border-b border-gray-200">
+          <h3 className="text-lg font-medium text-gray-900">Rejection Templates</h3>
+          <button className="text-gray-400 hover:text-gray-600" onClick={onClose}>
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="p-5 space-y-4 overflow-y-auto">
+          {editingId ? (
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Title</label>
+                <input
+                  type="text"
+                  value={draft.title}
+                  onChange={(event) => setDraft(prev => ({ ...prev, title: event.target.value }))}
+                  placeholder="e.g. Missing financial documents"
+                  maxLength={100}
+                  className="w-full rounded-md border-gray-300 text-sm focus:border-[#0031ac] focus:ring-[#0031ac]"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Reason shown to the owner</label>
+                <textarea
+                  value={draft.reason}
+                  onChange={(event) => setDraft(prev => ({ ...prev, reason: event.target.value }))}
+                  rows={4}
+                  maxLength={1000}
+                  className="w-full rounded-md border-gray-300 text-sm focus:border-[#0031ac] focus:ring-[#0031ac]"
+                />
+              </div>
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-1">Listing types</p>
+                <div className="flex flex-wrap gap-4 text-sm text-gray-700">
+                  {Object.values(ListingType).map(type => (
+                    <label key={type} className="inline-flex items-center gap-2">
+                      <input type="checkbox" checked={draft.types.includes(type)} onChange={() => toggleType(type)} />
+                      {TYPE_LABELS[type]}
+                    </label>
+                  ))}
+                </div>
+                <p className="mt-1 text-xs text-gray-500">Leave all unticked to offer the template for every type.</p>
+              </div>
+            </div>
+          ) : isLoading ? (
+            <div className="flex justify-center py-8">
+              <LoadingSpinner size="md" />
+            </div>
+          ) : templates.length === 0 ? (
+            <p className="text-sm text-gray-500">No templates yet. Add the reasons you reject listings for most often.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {templates.map(template => (
+                <li key={template.id} className="flex items-start gap-3 py-3">
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium text-gray-900">{template.title}</p>
+                    <p className="text-sm text-gray-600 line-clamp-2">{template.reason}</p>
+                    <p className="mt-1 text-xs text-gray-400">
+                      {template.types.length ? template.types.map(type => TYPE_LABELS[type]).join(', ') : 'All types'}
+                      {' · '}used {template.useCount} {template.useCount === 1 ? 'time' : 'times'}
+                    </p>
+                  </div>
+                  <button
+                    className="p-1 text-gray-400 hover:text-gray-600"
+                    onClick={() => startEditing(template)}
+                    aria-label={`Edit ${template.title}`}
+                  >
+                    <Pencil className="h-4 w-4" />
+                  </button>
+                  <button
+                    className="p-1 text-gray-400 hover:text-red-600"
+                    onClick={() => handleDelete(template)}
+                    aria-label={`Delete ${template.title}`}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-3 p-5 border-t border-gray-200">
+          {editingId ? (
+            <>
+              <Button variant="outline" onClick={() => setEditingId(null)} disabled={isSaving}>
+                Cancel
+              </Button>
+              <Button onClick={handleSave} disabled={!canSave} isLoading={isSaving} loadingText="Saving...">
+                Save Template
+              </Button>
+            </>
+          ) : (
+            <>
+              <Button variant="outline" onClick={onClose}>
+                Close
+              </Button>
+              <Button leftIcon={<Plus className="h-4 w-4" />} onClick={() => startEditing(null)}>
+                Add Template
+              </Button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
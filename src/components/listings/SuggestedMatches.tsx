@@ -0,0 +1,135 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { ChevronDown, ChevronUp, HeartHandshake } from 'lucide-react';
+import { ListingMatch, ListingType } from '@/types/listings';
+import { getListingMatches } from '@/services/matchingService';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { cn } from '@/lib/utils';
+
+interface SuggestedMatchesProps {
+  listingId: string;
+  listingType: ListingType;
+}
+
+// Better matches stand out more
+export const getMatchScoreClass = (score: number) => {
+  if (score >= 80) return 'bg-green-100 text-green-800';
+  if (score >= 65) return 'bg-blue-100 text-blue-800';
+  return 'bg-gray-100 text-gray-700';
+};
+
+/**
+ * What a match scored on each part, and why
+ */
+export function MatchExplanation({ match }: { match: ListingMatch }) {
+  return (
+    <ul className="space-y-1.5">
+      {match.components.map(component => (
+        <li key={component.id} className="text-xs">
+          <div className="flex justify-between">
+            <span className="font-medium text-gray-700">{component.label}</span>
+            <span className={cn(component.points === component.weight ? 'text-green-700' : component.points === 0 ? 'text-red-600' : 'text-gray-600')}>
+              {component.points}/{component.weight}
+            </span>
+          </div>
+          <div className="text-gray-500">{component.detail}</div>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/**
+ * Published investors that fit a startup or business listing, or published startups and
+ * businesses that fit an investor listing, best first, each with why it fits
+ */
+export default function SuggestedMatches({ listingId, listingType }: SuggestedMatchesProps) {
+  const [matches, setMatches] = useState<ListingMatch[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  // The match whose breakdown is shown
+  const [expanded, setExpanded] = useState<string | null>(null);
+
+  useEffect(() => {
+    const loadMatches = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        setMatches(await getListingMatches(listingId));
+      } catch (loadError) {
+        setError(loadError instanceof Error ? loadError.message : 'Failed to load matches');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadMatches();
+  }, [listingId]);
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-6">
+        <LoadingSpinner size="md" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p className="text-sm text-red-600">{error}</p>;
+  }
+
+  if (matches.length === 0) {
+    return (
+      <div className="bg-gray-50 border border-gray-100 rounded-lg p-6 text-center">
+        <HeartHandshake className="h-10 w-10 mx-auto text-gray-400 mb-3" />
+        <h4 className="text-gray-600 font-medium mb-1">No Suggested Matches</h4>
+        <p className="text-sm text-gray-500">
+          {listingType === ListingType.INVESTOR
+            ? 'No published startup or business fits this investor\'s focus well enough yet.'
+            : 'No published investor\'s focus fits this listing well enough yet.'}
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      {matches.map(match => {
+        const isExpanded = expanded === match.listing.id;
+        return (
+          <div key={match.listing.id} className="border border-gray-200 rounded-lg p-3">
+            <div className="flex items-center justify-between gap-2">
+              <div className="min-w-0">
+                <Link to={`/listings/${match.listing.id}`} className="block text-sm font-medium text-[#0031ac] hover:underline truncate">
+                  {match.listing.name}
+                </Link>
+                <div className="text-xs text-gray-500 truncate">
+                  <span className="capitalize">{match.listing.type.replace('_', ' ')}</span>
+                  {match.listing.displayLocation && <> · {match.listing.displayLocation}</>}
+                </div>
+              </div>
+              <button
+                type="button"
+                onClick={() => setExpanded(isExpanded ? null : match.listing.id)}
+                className="flex items-center shrink-0"
+                aria-expanded={isExpanded}
+                aria-label={`Why ${match.listing.name} matches`}
+              >
+                <span className={cn('text-xs font-medium px-2 py-0.5 rounded-full', getMatchScoreClass(match.score))}>
+                  {match.score}
+                </span>
+                {isExpanded ? <ChevronUp className="h-4 w-4 ml-1 text-gray-400" /> : <ChevronDown className="h-4 w-4 ml-1 text-gray-400" />}
+              </button>
+            </div>
+
+            {isExpanded && (
+              <div className="mt-3 pt-3 border-t border-gray-100">
+                <MatchExplanation match={match} />
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,233 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Maximize2, Minus, Plus, X } from 'lucide-react';
+import { FranchiseTerritory, TerritoryPoint, TerritoryStatus } from '@/types/listings';
+import { TILE_SIZE, fitPoints, kmToPixels, project } from '@/lib/mapTiles';
+import useMapViewport from '@/hooks/useMapViewport';
+import { cn } from '@/lib/utils';
+
+interface TerritoryMapProps {
+  territories: FranchiseTerritory[];
+  // A polygon being drawn, and where clicks on the map add its corners
+  draft?: TerritoryPoint[];
+  onMapClick?: (point: TerritoryPoint) => void;
+  className?: string;
+}
+
+export const TERRITORY_STATUSES: { value: TerritoryStatus; label: string; color: string; className: string }[] = [
+  { value: 'available', label: 'Available', color: '#16a34a', className: 'bg-green-100 text-green-800' },
+  { value: 'reserved', label: 'Reserved', color: '#d97706', className: 'bg-amber-100 text-amber-800' },
+  { value: 'sold', label: 'Sold', color: '#dc2626', className: 'bg-red-100 text-red-800' }
+];
+
+export const getTerritoryStatus = (status: TerritoryStatus) =>
+  TERRITORY_STATUSES.find(option => option.value === status) || TERRITORY_STATUSES[0];
+
+const KIND_LABELS: Record<FranchiseTerritory['kind'], string> = {
+  state: 'State',
+  city: 'City',
+  polygon: 'Custom area'
+};
+
+const DRAFT_COLOR = '#0031ac';
+
+// A state's or city's centre, or the average of a polygon's corners
+const getCenter = (territory: FranchiseTerritory): TerritoryPoint | null => {
+  if (territory.kind === 'polygon') {
+    const points = territory.polygon || [];
+    if (points.length === 0) return null;
+    return {
+      latitude: points.reduce((sum, point) => sum + point.latitude, 0) / points.length,
+      longitude: points.reduce((sum, point) => sum + point.longitude, 0) / points.length
+    };
+  }
+  return territory.center || null;
+};
+
+/**
+ * A franchise's territories on an OpenStreetMap map, coloured by status: states and cities at
+ * their centre, custom areas as drawn, each with its exclusivity radius
+ */
+export default function TerritoryMap({ territories, draft, onMapClick, className }: TerritoryMapProps) {
+  const [selected, setSelected] = useState<string | null>(null);
+  const { containerRef, size, view, setView, left, top, tiles, zoomTo, handlers } = useMapViewport({
+    onMapClick: (point) => {
+      setSelected(null);
+      onMapClick?.(point);
+    },
+    onZoom: () => setSelected(null)
+  });
+
+  const placed = useMemo(() => territories
+    .map(territory => ({ territory, center: getCenter(territory) }))
+    .filter((item): item is { territory: FranchiseTerritory; center: TerritoryPoint } => item.center !== null),
+  [territories]);
+
+  const fitToTerritories = () => {
+    setSelected(null);
+    setView(fitPoints(placed.flatMap(({ territory, center }) => territory.polygon?.length ? territory.polygon : [center]), size.width, size.height, 10));
+  };
+
+  // Show every territory once the map has a size, and again as territories are added or removed
+  useEffect(() => {
+    if (size.width > 0) fitToTerritories();
+  }, [placed.length, size.width > 0]);
+
+  const toScreen = (point: TerritoryPoint) => {
+    const pixel = project(point, view.zoom);
+    return { x: pixel.x - left, y: pixel.y - top };
+  };
+
+  const selectedItem = placed.find(item => item.territory.id === selected);
+  const selectedPosition = selectedItem && toScreen(selectedItem.center);
+
+  return (
+    <div className={cn('space-y-2', className)}>
+      <div
+        ref={containerRef}
+        className={cn(
+          'relative h-80 overflow-hidden rounded-lg border border-gray-200 bg-gray-100 select-none touch-none',
+          onMapClick ? 'cursor-crosshair' : 'cursor-grab active:cursor-grabbing'
+        )}
+        {...handlers}
+      >
+        {tiles.map(tile => (
+          <img
+            key={tile.key}
+            src={tile.url}
+            alt=""
+            draggable={false}
+            className="absolute max-w-none pointer-events-none"
+            style={{ left: tile.x, top: tile.y, width: TILE_SIZE, height: TILE_SIZE }}
+          />
+        ))}
+
+        <svg className="absolute inset-0 pointer-events-none" width={size.width} height={size.height}>
+          {placed.map(({ territory, center }) => {
+            const { color } = getTerritoryStatus(territory.status);
+            const position = toScreen(center);
+            return (
+              <g key={territory.id}>
+                {territory.exclusivityRadiusKm ? (
+                  <circle
+                    cx={position.x}
+                    cy={position.y}
+                    r={kmToPixels(territory.exclusivityRadiusKm, center.latitude, view.zoom)}
+                    fill={color}
+                    fillOpacity={0.12}
+                    stroke={color}
+                    strokeDasharray="4 3"
+                    strokeWidth={1.5}
+                  />
+                ) : null}
+                {territory.kind === 'polygon' && (
+                  <polygon
+                    points={(territory.polygon || []).map(point => {
+                      const corner = toScreen(point);
+                      return `${corner.x},${corner.y}`;
+                    }).join(' ')}
+                    fill={color}
+                    fillOpacity={0.25}
+                    stroke={color}
+                    strokeWidth={2}
+                  />
+                )}
+              </g>
+            );
+          })}
+
+          {draft && draft.length > 0 && (
+            <>
+              <polyline
+                points={[...draft, ...(draft.length > 2 ? [draft[0]] : [])].map(point => {
+                  const corner = toScreen(point);
+                  return `${corner.x},${corner.y}`;
+                }).join(' ')}
+                fill={draft.length > 2 ? DRAFT_COLOR : 'none'}
+                fillOpacity={0.15}
+                stroke={DRAFT_COLOR}
+                strokeWidth={2}
+                strokeDasharray="6 4"
+              />
+              {draft.map((point, index) => {
+                const corner = toScreen(point);
+                return <circle key={index} cx={corner.x} cy={corner.y} r={4} fill="white" stroke={DRAFT_COLOR} strokeWidth={2} />;
+              })}
+            </>
+          )}
+        </svg>
+
+        {placed.map(({ territory, center }) => {
+          const position = toScreen(center);
+          const { color } = getTerritoryStatus(territory.status);
+          const diameter = territory.kind === 'state' ? 18 : 12;
+          return (
+            <button
+              key={territory.id}
+              type="button"
+              className="absolute -translate-x-1/2 -translate-y-1/2 rounded-full border-2 border-white shadow-md hover:scale-125 transition-transform"
+              style={{ left: position.x, top: position.y, width: diameter, height: diameter, backgroundColor: color }}
+              title={territory.name}
+              onClick={() => setSelected(territory.id)}
+            />
+          );
+        })}
+
+        {selectedItem && selectedPosition && (
+          <div
+            className="absolute z-10 w-56 -translate-x-1/2 -translate-y-full rounded-lg bg-white shadow-lg ring-1 ring-black ring-opacity-5 px-3 py-2"
+            style={{ left: selectedPosition.x, top: selectedPosition.y - 12 }}
+            onPointerDown={(event) => event.stopPropagation()}
+          >
+            <div className="flex items-start justify-between gap-2">
+              <span className="text-sm font-medium text-gray-900">{selectedItem.territory.name}</span>
+              <button type="button" className="text-gray-400 hover:text-gray-600" onClick={() => setSelected(null)}>
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+            <div className="mt-1 flex items-center gap-2 text-xs text-gray-500">
+              <span>{KIND_LABELS[selectedItem.territory.kind]}</span>
+              <span className={cn('px-1.5 py-0.5 rounded-full font-medium', getTerritoryStatus(selectedItem.territory.status).className)}>
+                {getTerritoryStatus(selectedItem.territory.status).label}
+              </span>
+            </div>
+            {selectedItem.territory.exclusivityRadiusKm ? (
+              <p className="mt-1 text-xs text-gray-500">Exclusive within {selectedItem.territory.exclusivityRadiusKm} km</p>
+            ) : null}
+          </div>
+        )}
+
+        <div className="absolute top-3 left-3 flex flex-col rounded-md bg-white shadow ring-1 ring-black ring-opacity-5">
+          <button type="button" className="p-2 text-gray-600 hover:bg-gray-50" onClick={() => zoomTo(view.zoom + 1)} aria-label="Zoom in">
+            <Plus className="h-4 w-4" />
+          </button>
+          <button type="button" className="p-2 text-gray-600 hover:bg-gray-50 border-t border-gray-100" onClick={() => zoomTo(view.zoom - 1)} aria-label="Zoom out">
+            <Minus className="h-4 w-4" />
+          </button>
+          <button type="button" className="p-2 text-gray-600 hover:bg-gray-50 border-t border-gray-100" onClick={fitToTerritories} aria-label="Show all territories">
+            <Maximize2 className="h-4 w-4" />
+          </button>
+        </div>
+
+        <div className="absolute bottom-0 right-0 bg-white/80 px-1.5 py-0.5 text-[11px] text-gray-600">
+          ©{' '}
+          <a href="https://www.openstreetmap.org/copyright" target="_blank" rel="noopener noreferrer" className="hover:underline">
+            OpenStreetMap
+          </a>{' '}
+          contributors
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 text-xs text-gray-600">
+        {TERRITORY_STATUSES.map(status => (
+          <span key={status.value} className="flex items-center">
+            <span className="h-2.5 w-2.5 rounded-full mr-1.5" style={{ backgroundColor: status.color }} />
+            {status.label} ({territories.filter(territory => territory.status === status.value).length})
+          </span>
+        ))}
+        {placed.length < territories.length && (
+          <span className="text-gray-400">{territories.length - placed.length} not on the map</span>
+        )}
+      </div>
+    </div>
+  );
+}
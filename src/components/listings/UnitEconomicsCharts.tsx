@@ -0,0 +1,79 @@
+import { Bar, BarChart, CartesianGrid, Legend, Line, LineChart, ReferenceLine, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { UnitEconomics } from '@/types/listings';
+import { cn, formatCurrency } from '@/lib/utils';
+
+interface UnitEconomicsChartsProps {
+  // Projected by src/schemas/franchiseProjection.js, in the form or by the server
+  projection: Pick<UnitEconomics, 'years' | 'cumulativeCash' | 'paybackMonths'>;
+  className?: string;
+}
+
+// Axis labels in lakh and crore
+const formatAxisAmount = (value: number) => {
+  const amount = Math.abs(value);
+  const sign = value < 0 ? '-' : '';
+  if (amount >= 1e7) return `${sign}₹${+(amount / 1e7).toFixed(1)}Cr`;
+  if (amount >= 1e5) return `${sign}₹${+(amount / 1e5).toFixed(1)}L`;
+  return `${sign}₹${amount.toLocaleString('en-IN')}`;
+};
+
+/**
+ * A franchise unit's projected P&L by year, and its cash position month by month from the
+ * investment to payback
+ */
+export default function UnitEconomicsCharts({ projection, className }: UnitEconomicsChartsProps) {
+  const pnl = projection.years.map(year => ({
+    name: `Year ${year.year}`,
+    Sales: year.sales,
+    Costs: year.sales - year.profit,
+    Profit: year.profit
+  }));
+  const cash = projection.cumulativeCash.map((value, index) => ({ month: index + 1, Cash: value }));
+
+  return (
+    <div className={cn('grid grid-cols-1 lg:grid-cols-2 gap-4', className)}>
+      <div>
+        <div className="text-sm font-medium text-gray-700 mb-2">Profit and Loss by Year</div>
+        <div className="h-64">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={pnl} margin={{ top: 5, right: 10, left: 10, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+              <XAxis dataKey="name" tick={{ fontSize: 12 }} />
+              <YAxis tick={{ fontSize: 12 }} tickFormatter={formatAxisAmount} width={70} />
+              <Tooltip formatter={(value: number) => formatCurrency(value)} />
+              <Legend />
+              <ReferenceLine y={0} stroke="#9ca3af" />
+              <Bar dataKey="Sales" fill="#0031ac" />
+              <Bar dataKey="Costs" fill="#9ca3af" />
+              <Bar dataKey="Profit" fill="#16a34a" />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <div>
+        <div className="text-sm font-medium text-gray-700 mb-2">Cumulative Cash</div>
+        <div className="h-64">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={cash} margin={{ top: 5, right: 10, left: 10, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+              <XAxis dataKey="month" tick={{ fontSize: 12 }} ticks={[12, 24, 36, 48, 60]} tickFormatter={(month: number) => `M${month}`} />
+              <YAxis tick={{ fontSize: 12 }} tickFormatter={formatAxisAmount} width={70} />
+              <Tooltip formatter={(value: number) => formatCurrency(value)} labelFormatter={(month) => `Month ${month}`} />
+              <ReferenceLine y={0} stroke="#9ca3af" />
+              {projection.paybackMonths && (
+                <ReferenceLine
+                  x={projection.paybackMonths}
+                  stroke="#16a34a"
+                  strokeDasharray="4 3"
+                  label={{ value: 'Payback', position: 'insideTopLeft', fontSize: 12, fill: '#16a34a' }}
+                />
+              )}
+              <Line type="monotone" dataKey="Cash" stroke="#0031ac" strokeWidth={2} dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  );
+}
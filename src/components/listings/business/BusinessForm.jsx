@@ -11,6 +11,7 @@ import {
 import { BusinessType, EntityType, LocationType, RevenueTrend } from '@/types/listings';
 import { cn } from '@/lib/utils';
 import { FormSection, Switch } from '@/components/ui/FormField';
+import FairValueRange from './FairValueRange';
 import { toast } from 'react-hot-toast';
 
 // Options for dropdowns
@@ -575,6 +576,7 @@ export default function BusinessForm({ submitAttempted = false, shouldShowErrors
 
             <input
               id="total-employees"
+              data-field="businessDetails.operations.employees.count"
               type="number"
               min="0"
               placeholder="e.g. 10"
@@ -1266,6 +1268,9 @@ export default function BusinessForm({ submitAttempted = false, shouldShowErrors
           </div>
         </div>
 
+        {/* Fair value of the business, to check the asking price against */}
+        <FairValueRange />
+
         {/* Price Negotiable */}
         <Switch
           name="businessDetails.sale.askingPrice.isNegotiable"
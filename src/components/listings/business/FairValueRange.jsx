@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from 'react';
+import { useFormContext, useWatch } from 'react-hook-form';
+import { AlertTriangle, Scale } from 'lucide-react';
+import { cn, formatCurrency } from '@/lib/utils';
+import { calculateBusinessValuation, ValuationPosition } from '@/schemas/businessValuation';
+import { getValuationSettings } from '@/services/valuationService';
+
+const POSITION_TEXT = {
+  [ValuationPosition.BELOW]: 'below the range',
+  [ValuationPosition.WITHIN]: 'within the range',
+  [ValuationPosition.ABOVE]: 'above the range'
+};
+
+/**
+ * Fair-value range of the business being listed, next to its asking price. Worked out as the
+ * form is filled in from the revenue, profit margin and the industry's benchmark multiples,
+ * as the server does when the listing is saved.
+ */
+const FairValueRange = () => {
+  const { control, setValue } = useFormContext();
+  const [type, classifications, businessDetails] = useWatch({
+    control,
+    name: ['type', 'classifications', 'businessDetails']
+  });
+  const [benchmarks, setBenchmarks] = useState([]);
+
+  useEffect(() => {
+    // Without the table the defaults still give a range
+    getValuationSettings()
+      .then(settings => setBenchmarks(settings.benchmarks))
+      .catch(error => console.warn('Failed to load valuation benchmarks:', error));
+  }, []);
+
+  const valuation = calculateBusinessValuation({ type, classifications, businessDetails }, benchmarks);
+
+  if (!valuation) {
+    return (
+      <div className="flex items-start rounded-md border border-gray-200 bg-gray-50 p-3 text-xs text-gray-600">
+        <Scale className="mr-2 h-4 w-4 flex-shrink-0 text-gray-400" />
+        Enter the annual revenue above to see a fair-value range for the asking price.
+      </div>
+    );
+  }
+
+  const { fairValue, askingPrice, position, flagged, benchmark } = valuation;
+  // The bar spans the range with room either side for a price outside it
+  const scaleMax = Math.max(fairValue.high * 1.5, askingPrice || 0);
+  const toPercent = (value) => `${Math.min(100, (value / scaleMax) * 100)}%`;
+
+  return (
+    <div className={cn('rounded-md border p-3', flagged ? 'border-amber-300 bg-amber-50' : 'border-gray-200 bg-gray-50')}>
+      <div className="flex items-center justify-between gap-3">
+        <span className="flex items-center text-sm font-medium text-gray-800">
+          <Scale className="mr-2 h-4 w-4 text-[#0031ac]" />
+          Fair value {formatCurrency(fairValue.low)} – {formatCurrency(fairValue.high)}
+        </span>
+        <span className="text-xs text-gray-500">{benchmark.label}</span>
+      </div>
+
+      <div className="relative mt-3 h-2 w-full rounded-full bg-gray-200">
+        <div
+          className="absolute h-2 rounded-full bg-green-400"
+          style={{ left: toPercent(fairValue.low), width: `calc(${toPercent(fairValue.high)} - ${toPercent(fairValue.low)})` }}
+        />
+        {askingPrice && (
+          <div
+            className={cn('absolute -top-1 h-4 w-1 rounded', position === ValuationPosition.WITHIN ? 'bg-[#0031ac]' : 'bg-amber-600')}
+            style={{ left: toPercent(askingPrice) }}
+            title={`Asking price ${formatCurrency(askingPrice)}`}
+          />
+        )}
+      </div>
+
+      <p className="mt-2 text-xs text-gray-600">
+        {benchmark.revenueMultiple.low}×–{benchmark.revenueMultiple.high}× annual revenue
+        {valuation.annualEarnings
+          ? <> and {benchmark.earningsMultiple.low}×–{benchmark.earningsMultiple.high}× annual earnings of {formatCurrency(valuation.annualEarnings)}, averaged.</>
+          : '. Add the profit margin to value the earnings too.'}
+      </p>
+
+      {askingPrice && (
+        <p className="mt-1 text-xs text-gray-600">
+          The asking price is {valuation.revenueMultiple}× revenue
+          {valuation.earningsMultiple && <> and {valuation.earningsMultiple}× earnings</>},{' '}
+          <span className={cn('font-medium', position === ValuationPosition.WITHIN ? 'text-green-700' : 'text-amber-700')}>
+            {POSITION_TEXT[position]}
+          </span>.
+        </p>
+      )}
+
+      {flagged && (
+        <p className="mt-2 flex items-start text-xs text-amber-800">
+          <AlertTriangle className="mr-1.5 mt-0.5 h-3.5 w-3.5 flex-shrink-0" />
+          Prices this far from the range are flagged for moderators, who may ask you to explain or change it.
+        </p>
+      )}
+
+      {valuation.statedMultipleMatches === false && (
+        <p className="mt-2 text-xs text-amber-800">
+          The price multiple entered ({valuation.statedMultiple}×) does not match the {valuation.earningsMultiple}× annual
+          profit the asking price comes to.{' '}
+          <button
+            type="button"
+            className="font-medium text-[#0031ac] hover:underline"
+            onClick={() => setValue('businessDetails.sale.askingPrice.priceMultiple', String(valuation.earningsMultiple), { shouldDirty: true })}
+          >
+            Use {valuation.earningsMultiple}×
+          </button>
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default FairValueRange;
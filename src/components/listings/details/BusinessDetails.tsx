@@ -13,9 +13,17 @@ import {
   Briefcase,
   Clock,
   CheckCircle,
-  AlertCircle
+  AlertCircle,
+  Scale
 } from 'lucide-react';
-import { formatCurrency } from '@/lib/utils';
+import { cn, formatCurrency, formatDate } from '@/lib/utils';
+import { ListingValuation, ValuationPosition } from '@/types/listings';
+
+const POSITION_LABELS: Record<ValuationPosition, string> = {
+  below: 'Below the fair-value range',
+  within: 'Within the fair-value range',
+  above: 'Above the fair-value range'
+};
 
 interface BusinessDetailsProps {
   details: {
@@ -92,9 +100,11 @@ interface BusinessDetailsProps {
       assetsIncluded: string;
     };
   };
+  // Worked out by the server from the financials and the industry's benchmark multiples
+  valuation?: ListingValuation | null;
 }
 
-const BusinessDetails: React.FC<BusinessDetailsProps> = ({ details }) => {
+const BusinessDetails: React.FC<BusinessDetailsProps> = ({ details, valuation }) => {
   return (
     <div className="space-y-6">
       {/* Business Information Section */}
@@ -354,6 +364,39 @@ const BusinessDetails: React.FC<BusinessDetailsProps> = ({ details }) => {
             </div>
           </div>
 
+          {valuation && (
+            <div className={cn('p-4 rounded-lg', valuation.flagged ? 'bg-amber-50' : 'bg-gray-50')}>
+              <div className="text-sm text-gray-500 mb-2 flex items-center">
+                <Scale className="h-4 w-4 mr-1.5" />
+                Fair Value
+              </div>
+              <div className="space-y-2">
+                <div className="text-lg font-semibold text-gray-900">
+                  {formatCurrency(valuation.fairValue.low)} – {formatCurrency(valuation.fairValue.high)}
+                </div>
+                {valuation.position && (
+                  <div className={cn(
+                    'text-sm font-medium flex items-center',
+                    valuation.position === 'within' ? 'text-green-700' : 'text-amber-700'
+                  )}>
+                    {valuation.position === 'within' ? <CheckCircle className="h-4 w-4 mr-1" /> : <AlertCircle className="h-4 w-4 mr-1" />}
+                    {POSITION_LABELS[valuation.position]}
+                    {valuation.flagged && ' by far; flagged for moderators'}
+                  </div>
+                )}
+                <div className="text-sm text-gray-500">
+                  {valuation.revenueMultiple !== null && `${valuation.revenueMultiple}× revenue`}
+                  {valuation.earningsMultiple !== null && ` · ${valuation.earningsMultiple}× earnings`}
+                </div>
+                <div className="text-xs text-gray-400">
+                  {valuation.benchmark.revenueMultiple.low}×–{valuation.benchmark.revenueMultiple.high}× revenue
+                  {valuation.annualEarnings !== null && ` and ${valuation.benchmark.earningsMultiple.low}×–${valuation.benchmark.earningsMultiple.high}× earnings`}
+                  {' '}for {valuation.benchmark.label} · calculated {formatDate(valuation.calculatedAt)}
+                </div>
+              </div>
+            </div>
+          )}
+
           <div className="bg-gray-50 p-4 rounded-lg">
             <div className="text-sm text-gray-500 mb-2">Seller Financing</div>
             <div className="space-y-2">
@@ -0,0 +1,86 @@
+import React from 'react';
+import { MapPin } from 'lucide-react';
+import { cn } from '@/lib/utils';
+import { FranchiseDetails } from '@/types/listings';
+import TerritoryMap, { getTerritoryStatus } from '@/components/listings/TerritoryMap';
+
+const KIND_LABELS = {
+  state: 'State',
+  city: 'City',
+  polygon: 'Custom area'
+};
+
+// "tier_2_cities" -> "Tier 2 cities"
+const toRegionLabel = (value: string) => {
+  const words = value.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+interface FranchiseTerritoriesProps {
+  details: FranchiseDetails;
+}
+
+/**
+ * A franchise's territories on a map coloured by status, and listed with their exclusivity
+ * radius. Regions an older listing lists instead are shown as text.
+ */
+const FranchiseTerritories: React.FC<FranchiseTerritoriesProps> = ({ details }) => {
+  const territories = details.territories || [];
+  const legacyTerritories = details.availableTerritories || [];
+
+  if (territories.length === 0 && legacyTerritories.length === 0) return null;
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-lg font-medium text-gray-900 flex items-center">
+        <MapPin className="h-5 w-5 text-gray-500 mr-2" />
+        Territories
+      </h3>
+
+      {territories.length > 0 && (
+        <>
+          <TerritoryMap territories={territories} />
+
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase">
+                <th className="py-2 pr-3">Territory</th>
+                <th className="py-2 pr-3">Type</th>
+                <th className="py-2 pr-3">Exclusivity</th>
+                <th className="py-2 text-right">Status</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {territories.map(territory => {
+                const status = getTerritoryStatus(territory.status);
+                return (
+                  <tr key={territory.id}>
+                    <td className="py-2 pr-3 text-gray-900">{territory.name}</td>
+                    <td className="py-2 pr-3 text-gray-500">{KIND_LABELS[territory.kind]}</td>
+                    <td className="py-2 pr-3 text-gray-500">
+                      {territory.exclusivityRadiusKm ? `${territory.exclusivityRadiusKm} km` : '–'}
+                    </td>
+                    <td className="py-2 text-right">
+                      <span className={cn('text-xs font-medium px-2 py-0.5 rounded-full', status.className)}>
+                        {status.label}
+                      </span>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      {legacyTerritories.length > 0 && (
+        <div className="bg-gray-50 p-4 rounded-lg">
+          <div className="text-sm text-gray-500 mb-1">{territories.length > 0 ? 'Also Listed Regions' : 'Available Regions'}</div>
+          <div className="font-medium">{legacyTerritories.map(toRegionLabel).join(', ')}</div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FranchiseTerritories;
@@ -0,0 +1,100 @@
+import React from 'react';
+import { AlertCircle, CheckCircle, PieChart } from 'lucide-react';
+import { cn, formatCurrency, formatDate } from '@/lib/utils';
+import { CapTableHolderType, FundingRound } from '@/types/listings';
+
+const HOLDER_TYPE_LABELS: Record<CapTableHolderType, string> = {
+  founder: 'Founder',
+  investor: 'Investor',
+  option_pool: 'Option pool',
+  other: 'Other'
+};
+
+interface FundingRoundSummaryProps {
+  // Worked out by the server from the startup's funding block and cap table
+  fundingRound: FundingRound;
+}
+
+const FundingRoundSummary: React.FC<FundingRoundSummaryProps> = ({ fundingRound }) => {
+  const { equity, round } = fundingRound;
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-lg font-medium text-gray-900 flex items-center">
+        <PieChart className="h-5 w-5 text-gray-500 mr-2" />
+        Funding Round
+      </h3>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="bg-gray-50 p-4 rounded-lg">
+          <div className="text-sm text-gray-500 mb-1">Post-money Valuation</div>
+          <div className="font-medium">{formatCurrency(fundingRound.postMoney)}</div>
+        </div>
+
+        {round && (
+          <div className="bg-gray-50 p-4 rounded-lg">
+            <div className="text-sm text-gray-500 mb-1">Price per Share</div>
+            <div className="font-medium">{formatCurrency(round.pricePerShare)}</div>
+            <div className="text-xs text-gray-500">
+              {round.newShares.toLocaleString('en-IN')} new shares, {round.roundStake}% after the round
+            </div>
+          </div>
+        )}
+
+        {equity && (
+          <div className={cn('p-4 rounded-lg', equity.matches ? 'bg-gray-50' : 'bg-amber-50')}>
+            <div className="text-sm text-gray-500 mb-1">Equity Offered</div>
+            <div className="font-medium">{equity.equityOffered}%</div>
+            <div className={cn('text-sm flex items-center', equity.matches ? 'text-green-700' : 'text-amber-700')}>
+              {equity.matches ? <CheckCircle className="h-4 w-4 mr-1" /> : <AlertCircle className="h-4 w-4 mr-1" />}
+              {equity.matches
+                ? 'Matches the amount raised'
+                : `The amount raised buys ${equity.impliedEquity}%`}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {round && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase">
+                <th className="py-2 pr-3">Holder</th>
+                <th className="py-2 pr-3">Type</th>
+                <th className="py-2 pr-3 text-right">Shares</th>
+                <th className="py-2 pr-3 text-right">Before</th>
+                <th className="py-2 pr-3 text-right">After</th>
+                <th className="py-2 text-right">Dilution</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {round.holders.map((holder, index) => (
+                <tr key={index}>
+                  <td className="py-2 pr-3 font-medium text-gray-900">{holder.name}</td>
+                  <td className="py-2 pr-3 text-gray-500">{HOLDER_TYPE_LABELS[holder.type]}</td>
+                  <td className="py-2 pr-3 text-right text-gray-700">{holder.shares.toLocaleString('en-IN')}</td>
+                  <td className="py-2 pr-3 text-right text-gray-700">{holder.before}%</td>
+                  <td className="py-2 pr-3 text-right text-gray-900">{holder.after}%</td>
+                  <td className="py-2 text-right text-amber-700">−{holder.dilution} pts</td>
+                </tr>
+              ))}
+              <tr>
+                <td className="py-2 pr-3 font-medium text-[#0031ac]">This round</td>
+                <td className="py-2 pr-3 text-gray-500">Investor</td>
+                <td className="py-2 pr-3 text-right text-gray-700">{round.newShares.toLocaleString('en-IN')}</td>
+                <td className="py-2 pr-3 text-right text-gray-400">–</td>
+                <td className="py-2 pr-3 text-right text-gray-900">{round.roundStake}%</td>
+                <td className="py-2" />
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="text-xs text-gray-400">Calculated {formatDate(fundingRound.calculatedAt)}</div>
+    </div>
+  );
+};
+
+export default FundingRoundSummary;
@@ -0,0 +1,99 @@
+import React from 'react';
+import { AlertCircle, Calculator, CheckCircle } from 'lucide-react';
+import { cn, formatCurrency, formatDate } from '@/lib/utils';
+import { UnitEconomics } from '@/types/listings';
+import UnitEconomicsCharts from '@/components/listings/UnitEconomicsCharts';
+
+interface UnitEconomicsSummaryProps {
+  // Projected by the server from the franchise's investment and performance figures
+  unitEconomics: UnitEconomics;
+}
+
+const formatMonths = (months: number | null) => (months === null ? 'Over 5 years' : `${months} months`);
+
+const UnitEconomicsSummary: React.FC<UnitEconomicsSummaryProps> = ({ unitEconomics }) => {
+  const { assumptions, breakeven, inputs } = unitEconomics;
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-lg font-medium text-gray-900 flex items-center">
+        <Calculator className="h-5 w-5 text-gray-500 mr-2" />
+        Unit Economics
+      </h3>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div className={cn('p-4 rounded-lg', !breakeven || breakeven.matches ? 'bg-gray-50' : 'bg-amber-50')}>
+          <div className="text-sm text-gray-500 mb-1">Breakeven</div>
+          <div className="font-medium">{formatMonths(unitEconomics.breakevenMonth)}</div>
+          {breakeven && (
+            <div className={cn('text-sm flex items-center', breakeven.matches ? 'text-green-700' : 'text-amber-700')}>
+              {breakeven.matches ? <CheckCircle className="h-4 w-4 mr-1" /> : <AlertCircle className="h-4 w-4 mr-1" />}
+              {breakeven.stated} stated
+            </div>
+          )}
+        </div>
+        <div className="bg-gray-50 p-4 rounded-lg">
+          <div className="text-sm text-gray-500 mb-1">Payback Period</div>
+          <div className="font-medium">{formatMonths(unitEconomics.paybackMonths)}</div>
+          <div className="text-xs text-gray-500">On {formatCurrency(inputs.investment)} invested</div>
+        </div>
+        <div className="bg-gray-50 p-4 rounded-lg">
+          <div className="text-sm text-gray-500 mb-1">IRR (5 years)</div>
+          <div className="font-medium">{unitEconomics.irr === null ? '–' : `${unitEconomics.irr}%`}</div>
+        </div>
+        <div className="bg-gray-50 p-4 rounded-lg">
+          <div className="text-sm text-gray-500 mb-1">5-year Profit</div>
+          <div className="font-medium">{formatCurrency(unitEconomics.totalProfit)}</div>
+        </div>
+      </div>
+
+      <UnitEconomicsCharts projection={unitEconomics} />
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs font-medium text-gray-500 uppercase">
+              <th className="py-2 pr-3">Year</th>
+              <th className="py-2 pr-3 text-right">Sales</th>
+              <th className="py-2 pr-3 text-right">Royalty</th>
+              <th className="py-2 pr-3 text-right">Marketing</th>
+              <th className="py-2 pr-3 text-right">Operating Costs</th>
+              <th className="py-2 pr-3 text-right">Profit</th>
+              <th className="py-2 text-right">Cash</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {unitEconomics.years.map(year => (
+              <tr key={year.year}>
+                <td className="py-2 pr-3 font-medium text-gray-900">Year {year.year}</td>
+                <td className="py-2 pr-3 text-right text-gray-700">{formatCurrency(year.sales)}</td>
+                <td className="py-2 pr-3 text-right text-gray-700">{formatCurrency(year.royalty)}</td>
+                <td className="py-2 pr-3 text-right text-gray-700">{formatCurrency(year.marketing)}</td>
+                <td className="py-2 pr-3 text-right text-gray-700">
+                  {formatCurrency(year.costOfGoods + year.operatingCosts + year.fixedCosts)}
+                </td>
+                <td className={cn('py-2 pr-3 text-right font-medium', year.profit < 0 ? 'text-red-600' : 'text-gray-900')}>
+                  {formatCurrency(year.profit)}
+                </td>
+                <td className={cn('py-2 text-right', year.cashAtYearEnd < 0 ? 'text-red-600' : 'text-gray-900')}>
+                  {formatCurrency(year.cashAtYearEnd)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Before tax. Royalty {inputs.royaltyPercent}% and marketing {inputs.marketingPercent}% of sales; opening sales at{' '}
+        {assumptions.openingSalesPercent}% of the average over {assumptions.rampUpMonths} months, {assumptions.salesGrowthPercent}%
+        growth a year, cost of goods {assumptions.costOfGoodsPercent}%, operating costs {assumptions.operatingCostPercent}% and{' '}
+        {formatCurrency(assumptions.fixedCostsPerMonth)} a month in fixed costs.
+      </p>
+
+      <div className="text-xs text-gray-400">Calculated {formatDate(unitEconomics.calculatedAt)}</div>
+    </div>
+  );
+};
+
+export default UnitEconomicsSummary;
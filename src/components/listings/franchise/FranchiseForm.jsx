@@ -1,10 +1,12 @@
 import React, { useState, Fragment, useEffect } from 'react';
 import { useFormContext } from 'react-hook-form';
 import { Transition, Listbox, Disclosure } from '@headlessui/react';
-import { Info, HelpCircle, X, Check, ChevronDown, AlertCircle } from 'lucide-react';
+import { Info, HelpCircle, Check, ChevronDown, AlertCircle } from 'lucide-react';
 import { FranchiseType } from '@/types/listings';
 import { cn } from '@/lib/utils';
 import { FormSection, Switch, Checkbox } from '@/components/ui/FormField';
+import TerritoryEditor from './TerritoryEditor';
+import UnitEconomicsEditor from './UnitEconomicsEditor';
 
 // Create a tooltip component
 const Tooltip = ({ content, children }) => {
@@ -32,20 +34,6 @@ const franchiseTypeOptions = [
   { value: FranchiseType.OTHER, label: "Other" },
 ];
 
-// Common Indian territories for available territories multi-select
-const availableTerritoryOptions = [
-  { value: "north_india", label: "North India" },
-  { value: "south_india", label: "South India" },
-  { value: "east_india", label: "East India" },
-  { value: "west_india", label: "West India" },
-  { value: "central_india", label: "Central India" },
-  { value: "metro_cities", label: "Metro Cities Only" },
-  { value: "tier_2_cities", label: "Tier 2 Cities" },
-  { value: "tier_3_cities", label: "Tier 3 Cities & Rural Areas" },
-  { value: "pan_india", label: "Pan India" },
-  { value: "international", label: "International" },
-];
-
 /**
  * Franchise Form Component - Step 3 of listing creation
  * Includes all sections as specified in the documentation
@@ -64,7 +52,6 @@ export default function FranchiseForm({ submitAttempted = false }) {
 
   // Watch for values that affect conditional rendering or calculations
   const siteSelection = watch("franchiseDetails.support.siteSelection");
-  const availableTerritories = watch("franchiseDetails.availableTerritories") || [];
 
   // Initialize franchiseDetails.support if it's undefined
   useEffect(() => {
@@ -95,7 +82,7 @@ useEffect(() => {
       "franchiseDetails.totalUnits",
       "franchiseDetails.franchiseeCount",
       "franchiseDetails.companyOwnedUnits",
-      "franchiseDetails.availableTerritories",
+      "franchiseDetails.territories",
       "franchiseDetails.investment.franchiseFee.value",
       "franchiseDetails.investment.totalInitialInvestment.value",
       "franchiseDetails.investment.royaltyFee",
@@ -133,21 +120,6 @@ const registerWithValidation = (name, options) => {
   });
 };
 
-  // Toggle a predefined territory
-  const toggleTerritory = (territory) => {
-    const currentTerritories = getValues("franchiseDetails.availableTerritories") || [];
-    const territoryExists = currentTerritories.includes(territory);
-    
-    if (territoryExists) {
-      setValue(
-        "franchiseDetails.availableTerritories", 
-        currentTerritories.filter(t => t !== territory)
-      );
-    } else {
-      setValue("franchiseDetails.availableTerritories", [...currentTerritories, territory]);
-    }
-  };
-
   // Helper function to show error message consistently
   const renderErrorMessage = (errorObj) => {
     if (!errorObj) return null;
@@ -229,7 +201,7 @@ const registerWithValidation = (name, options) => {
                 trigger("franchiseDetails.franchiseType");
               }}
             >
-              <div className="relative mt-1">
+              <div className="relative mt-1" data-field="franchiseDetails.franchiseType">
                 <Listbox.Button className={cn(
                   "relative w-full rounded-md border py-2 pl-3 pr-10 text-left shadow-sm focus:border-[#0031ac] focus:outline-none focus:ring-1 focus:ring-[#0031ac] text-sm",
                   errors.franchiseDetails?.franchiseType ? "border-red-300" : "border-gray-300"
@@ -460,75 +432,8 @@ const registerWithValidation = (name, options) => {
           </div>
         </div>
 
-        {/* Available Territories */}
-        <div className="space-y-2">
-          <div className="flex items-center justify-between">
-            <div className="flex items-center">
-              <label className="block text-sm font-semibold text-gray-800 mr-2">
-                Available Territories <span className="text-red-500">*</span>
-              </label>
-              <Tooltip content="Geographic regions where franchises are available">
-                <HelpCircle className="h-4 w-4 text-gray-500" />
-              </Tooltip>
-            </div>
-            <span className="text-xs text-gray-500">
-              {availableTerritories.length} selected
-            </span>
-          </div>
-
-          <div className={cn(
-            "border rounded-md p-4 space-y-3",
-            errors.franchiseDetails?.availableTerritories ? "border-red-300" : "border-gray-300"
-          )}>
-            {/* Predefined territory options */}
-            <div className="flex flex-wrap gap-2">
-              {availableTerritoryOptions.map(territory => (
-                <div 
-                  key={territory.value}
-                  onClick={() => toggleTerritory(territory.value)}
-                  className={cn(
-                    "px-3 py-1.5 text-sm rounded-full cursor-pointer transition-colors",
-                    availableTerritories.includes(territory.value)
-                      ? "bg-[#0031ac] text-white"
-                      : "bg-gray-100 text-gray-700 hover:bg-gray-200"
-                  )}
-                >
-                  {territory.label}
-                </div>
-              ))}
-            </div>
-
-            {/* Selected territories */}
-            {availableTerritories.length > 0 && (
-              <div className="mt-4">
-                <div className="text-sm font-medium mb-2">Selected Territories:</div>
-                <div className="flex flex-wrap gap-2">
-                  {availableTerritories.map(territory => {
-                    // Find label for predefined territories
-                    const option = availableTerritoryOptions.find(t => t.value === territory);
-                    const label = option ? option.label : territory;
-                    
-                    return (
-                      <span key={territory} className="inline-flex items-center px-2 py-1 rounded-md text-sm font-medium bg-gray-100 text-gray-800">
-                        {label}
-                        <X
-                          className="h-3 w-3 ml-1 cursor-pointer"
-                          onClick={() => toggleTerritory(territory)}
-                        />
-                      </span>
-                    );
-                  })}
-                </div>
-              </div>
-            )}
-          </div>
-
-          {renderErrorMessage(errors.franchiseDetails?.availableTerritories) || (
-            <p className="text-xs text-gray-500 mt-1">
-              Select the geographic regions where franchises are available
-            </p>
-          )}
-        </div>
+        {/* Territories */}
+        <TerritoryEditor />
       </div>
 
       {/* Investment Details Section */}
@@ -1296,6 +1201,9 @@ const registerWithValidation = (name, options) => {
         </div>
       </div>
 
+      {/* Unit Economics Section */}
+      <UnitEconomicsEditor />
+
       {/* Franchise Agreement Section */}
       <div className="space-y-6 mt-8">
         <h3 className="text-base font-semibold text-gray-800">Franchise Agreement</h3>
@@ -0,0 +1,386 @@
+import React, { useState, useMemo } from 'react';
+import { useFormContext, useFieldArray, useWatch } from 'react-hook-form';
+import Select from 'react-select';
+import { Country, State, City } from 'country-state-city';
+import { v4 as uuidv4 } from 'uuid';
+import { AlertCircle, Map as MapIcon, PlusCircle, RotateCcw, Trash2, Undo2, X } from 'lucide-react';
+import TerritoryMap, { TERRITORY_STATUSES } from '@/components/listings/TerritoryMap';
+import { cn } from '@/lib/utils';
+import {
+  MAX_EXCLUSIVITY_RADIUS_KM,
+  MAX_POLYGON_POINTS,
+  MAX_TERRITORIES,
+  TerritoryKind,
+  TerritoryStatus,
+  getLegacyTerritoryLabel
+} from '@/schemas/franchiseTerritories';
+
+const KIND_OPTIONS = [
+  { value: TerritoryKind.STATE, label: 'State' },
+  { value: TerritoryKind.CITY, label: 'City' },
+  { value: TerritoryKind.POLYGON, label: 'Custom area' }
+];
+
+const EMPTY_DRAFT = {
+  kind: TerritoryKind.CITY,
+  state: '',
+  city: '',
+  name: '',
+  status: TerritoryStatus.AVAILABLE,
+  exclusivityRadiusKm: '',
+  polygon: []
+};
+
+const selectStyles = {
+  control: (base) => ({ ...base, minHeight: '38px', borderRadius: '0.375rem', borderColor: '#D1D5DB', fontSize: '0.875rem' }),
+  menu: (base) => ({ ...base, zIndex: 30 })
+};
+
+const toPoint = (place) => {
+  const latitude = Number(place?.latitude);
+  const longitude = Number(place?.longitude);
+  return place?.latitude && place?.longitude && Number.isFinite(latitude) && Number.isFinite(longitude)
+    ? { latitude, longitude }
+    : null;
+};
+
+const toRadius = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+
+/**
+ * The territories a franchise offers: states and cities picked from country-state-city or
+ * custom areas drawn on the map, each available, reserved or sold, with an optional
+ * exclusivity radius. Regions listed before territories were structured are shown until removed.
+ */
+const TerritoryEditor = () => {
+  const { control, register, setValue, getValues, trigger, formState: { errors } } = useFormContext();
+  const { fields, append, remove } = useFieldArray({ control, name: 'franchiseDetails.territories' });
+  const territories = useWatch({ control, name: 'franchiseDetails.territories' }) || [];
+  const legacyTerritories = useWatch({ control, name: 'franchiseDetails.availableTerritories' }) || [];
+  const listingCountry = useWatch({ control, name: 'location.country' });
+
+  const [country, setCountry] = useState(listingCountry || 'IN');
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [draftError, setDraftError] = useState(null);
+
+  const countryOptions = useMemo(() => Country.getAllCountries().map(item => ({ value: item.isoCode, label: item.name })), []);
+  const stateOptions = useMemo(() => State.getStatesOfCountry(country).map(item => ({ value: item.isoCode, label: item.name })), [country]);
+  const cityOptions = useMemo(
+    () => (draft.state ? City.getCitiesOfState(country, draft.state).map(item => ({ value: item.name, label: item.name })) : []),
+    [country, draft.state]
+  );
+
+  const isDrawing = draft.kind === TerritoryKind.POLYGON;
+  const updateDraft = (changes) => {
+    setDraftError(null);
+    setDraft(prev => ({ ...prev, ...changes }));
+  };
+
+  const addCorner = (point) => {
+    if (draft.polygon.length >= MAX_POLYGON_POINTS) return;
+    updateDraft({ polygon: [...draft.polygon, { latitude: point.latitude, longitude: point.longitude }] });
+  };
+
+  const addTerritory = () => {
+    const state = State.getStateByCodeAndCountry(draft.state, country);
+    if (!state) {
+      setDraftError('Select the state the territory is in');
+      return;
+    }
+
+    const territory = {
+      id: uuidv4(),
+      kind: draft.kind,
+      country,
+      state: state.isoCode,
+      status: draft.status,
+      exclusivityRadiusKm: toRadius(draft.exclusivityRadiusKm)
+    };
+
+    if (draft.kind === TerritoryKind.STATE) {
+      Object.assign(territory, { name: state.name, center: toPoint(state) });
+    } else if (draft.kind === TerritoryKind.CITY) {
+      const city = City.getCitiesOfState(country, state.isoCode).find(item => item.name === draft.city);
+      if (!city) {
+        setDraftError('Select a city');
+        return;
+      }
+      Object.assign(territory, { name: `${city.name}, ${state.name}`, city: city.name, center: toPoint(city) });
+    } else {
+      if (!draft.name.trim()) {
+        setDraftError('Name the area, e.g. South Mumbai');
+        return;
+      }
+      if (draft.polygon.length < 3) {
+        setDraftError('Click the map to draw at least 3 corners');
+        return;
+      }
+      Object.assign(territory, { name: draft.name.trim(), polygon: draft.polygon });
+    }
+
+    const radius = territory.exclusivityRadiusKm;
+    if (radius !== null && !(radius > 0 && radius <= MAX_EXCLUSIVITY_RADIUS_KM)) {
+      setDraftError(`Exclusivity radius must be between 0 and ${MAX_EXCLUSIVITY_RADIUS_KM} km`);
+      return;
+    }
+
+    const isDuplicate = (getValues('franchiseDetails.territories') || []).some(existing =>
+      existing.kind === territory.kind && existing.kind !== TerritoryKind.POLYGON
+      && existing.country === territory.country && existing.state === territory.state && existing.city === territory.city);
+    if (isDuplicate) {
+      setDraftError(`${territory.name} is already a territory`);
+      return;
+    }
+
+    append(territory);
+    setDraft({ ...EMPTY_DRAFT, kind: draft.kind, state: draft.state, status: draft.status });
+    trigger('franchiseDetails.territories');
+  };
+
+  const territoryErrors = errors.franchiseDetails?.territories;
+  const listError = territoryErrors?.message || territoryErrors?.root?.message;
+
+  return (
+    <div className="space-y-3" data-field="franchiseDetails.territories">
+      <div className="flex items-center justify-between">
+        <div>
+          <span className="block text-sm font-semibold text-gray-800">
+            Territories <span className="text-red-500">*</span>
+          </span>
+          <p className="text-xs text-gray-500">
+            States, cities or custom areas where franchises are offered, and whether each is still available
+          </p>
+        </div>
+        <span className="text-xs text-gray-500">{fields.length} of {MAX_TERRITORIES}</span>
+      </div>
+
+      {legacyTerritories.length > 0 && (
+        <div className="flex items-start justify-between gap-3 rounded-md bg-amber-50 border border-amber-200 px-3 py-2 text-sm text-amber-800">
+          <span>
+            Previously listed regions: {legacyTerritories.map(getLegacyTerritoryLabel).join(', ')}.
+            Add them as territories below, then remove this list.
+          </span>
+          <button
+            type="button"
+            onClick={() => setValue('franchiseDetails.availableTerritories', [], { shouldDirty: true })}
+            className="flex items-center shrink-0 text-xs font-medium text-amber-800 hover:text-amber-900"
+          >
+            <X className="h-3.5 w-3.5 mr-1" />
+            Remove
+          </button>
+        </div>
+      )}
+
+      <div className={cn('border rounded-md p-4 space-y-4', listError ? 'border-red-300' : 'border-gray-300')}>
+        {/* New territory */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <div className="md:col-span-2 flex rounded-md border border-gray-300 overflow-hidden w-fit">
+            {KIND_OPTIONS.map(option => (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => updateDraft({ kind: option.value, city: '', polygon: [] })}
+                className={cn(
+                  'px-3 py-1.5 text-sm',
+                  draft.kind === option.value ? 'bg-[#0031ac] text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+                )}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          <Select
+            placeholder="Country"
+            aria-label="Country"
+            options={countryOptions}
+            value={countryOptions.find(option => option.value === country) || null}
+            onChange={(option) => {
+              setCountry(option?.value || 'IN');
+              updateDraft({ state: '', city: '' });
+            }}
+            styles={selectStyles}
+          />
+          <Select
+            placeholder={isDrawing ? 'State the area is in' : 'State'}
+            aria-label="State"
+            options={stateOptions}
+            value={stateOptions.find(option => option.value === draft.state) || null}
+            onChange={(option) => updateDraft({ state: option?.value || '', city: '' })}
+            isDisabled={stateOptions.length === 0}
+            styles={selectStyles}
+          />
+
+          {draft.kind === TerritoryKind.CITY && (
+            <Select
+              placeholder="City"
+              aria-label="City"
+              options={cityOptions}
+              value={cityOptions.find(option => option.value === draft.city) || null}
+              onChange={(option) => updateDraft({ city: option?.value || '' })}
+              isDisabled={!draft.state || cityOptions.length === 0}
+              styles={selectStyles}
+            />
+          )}
+          {isDrawing && (
+            <input
+              type="text"
+              value={draft.name}
+              onChange={(e) => updateDraft({ name: e.target.value })}
+              maxLength={100}
+              placeholder="Area name, e.g. South Mumbai"
+              aria-label="Area name"
+              className="block w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-[#0031ac] focus:border-[#0031ac]"
+            />
+          )}
+
+          <select
+            value={draft.status}
+            onChange={(e) => updateDraft({ status: e.target.value })}
+            aria-label="Status"
+            className="block w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-[#0031ac] focus:border-[#0031ac]"
+          >
+            {TERRITORY_STATUSES.map(status => (
+              <option key={status.value} value={status.value}>{status.label}</option>
+            ))}
+          </select>
+          <div className="relative">
+            <input
+              type="number"
+              min="1"
+              max={MAX_EXCLUSIVITY_RADIUS_KM}
+              value={draft.exclusivityRadiusKm}
+              onChange={(e) => updateDraft({ exclusivityRadiusKm: e.target.value })}
+              placeholder="Exclusivity radius (optional)"
+              aria-label="Exclusivity radius in km"
+              className="block w-full pl-3 pr-10 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-[#0031ac] focus:border-[#0031ac]"
+            />
+            <span className="absolute inset-y-0 right-3 flex items-center text-sm text-gray-500">km</span>
+          </div>
+        </div>
+
+        {isDrawing && (
+          <div className="flex items-center justify-between text-xs text-gray-600">
+            <span className="flex items-center">
+              <MapIcon className="h-4 w-4 mr-1.5 text-[#0031ac]" />
+              Click the map to add corners: {draft.polygon.length} of at least 3
+            </span>
+            <span className="flex items-center gap-3">
+              <button
+                type="button"
+                onClick={() => updateDraft({ polygon: draft.polygon.slice(0, -1) })}
+                disabled={draft.polygon.length === 0}
+                className="flex items-center font-medium text-[#0031ac] hover:text-blue-700 disabled:opacity-50"
+              >
+                <Undo2 className="h-3.5 w-3.5 mr-1" />
+                Undo
+              </button>
+              <button
+                type="button"
+                onClick={() => updateDraft({ polygon: [] })}
+                disabled={draft.polygon.length === 0}
+                className="flex items-center font-medium text-[#0031ac] hover:text-blue-700 disabled:opacity-50"
+              >
+                <RotateCcw className="h-3.5 w-3.5 mr-1" />
+                Clear
+              </button>
+            </span>
+          </div>
+        )}
+
+        <div className="flex items-center justify-between">
+          {draftError ? (
+            <p className="text-sm text-red-600 flex items-center">
+              <AlertCircle className="h-4 w-4 mr-1.5 flex-shrink-0" />
+              {draftError}
+            </p>
+          ) : <span />}
+          <button
+            type="button"
+            onClick={addTerritory}
+            disabled={fields.length >= MAX_TERRITORIES}
+            className="flex items-center text-sm font-medium text-[#0031ac] hover:text-blue-700 disabled:opacity-50"
+          >
+            <PlusCircle className="h-4 w-4 mr-1" />
+            Add Territory
+          </button>
+        </div>
+
+        <TerritoryMap
+          territories={territories}
+          draft={isDrawing ? draft.polygon : undefined}
+          onMapClick={isDrawing ? addCorner : undefined}
+        />
+
+        {/* Territories added */}
+        {fields.length > 0 && (
+          <ul className="divide-y divide-gray-100 border-t border-gray-100">
+            {fields.map((field, index) => (
+              <li key={field.id} className="grid grid-cols-12 gap-2 items-center py-2">
+                <div className="col-span-5 min-w-0">
+                  <span className="block text-sm font-medium text-gray-900 truncate">{field.name}</span>
+                  <span className="block text-xs text-gray-500">
+                    {KIND_OPTIONS.find(option => option.value === field.kind)?.label}
+                  </span>
+                </div>
+                <div className="col-span-3">
+                  <select
+                    className="block w-full px-2 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-[#0031ac] focus:border-[#0031ac]"
+                    aria-label={`Status of ${field.name}`}
+                    {...register(`franchiseDetails.territories.${index}.status`)}
+                  >
+                    {TERRITORY_STATUSES.map(status => (
+                      <option key={status.value} value={status.value}>{status.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="col-span-3 relative">
+                  <input
+                    type="number"
+                    min="1"
+                    max={MAX_EXCLUSIVITY_RADIUS_KM}
+                    placeholder="Radius"
+                    aria-label={`Exclusivity radius of ${field.name} in km`}
+                    className={cn(
+                      "block w-full pl-2 pr-9 py-1.5 text-sm border rounded-md focus:outline-none focus:ring-1 focus:ring-[#0031ac] focus:border-[#0031ac]",
+                      territoryErrors?.[index]?.exclusivityRadiusKm ? "border-red-300" : "border-gray-300"
+                    )}
+                    {...register(`franchiseDetails.territories.${index}.exclusivityRadiusKm`, { setValueAs: toRadius })}
+                  />
+                  <span className="absolute inset-y-0 right-2 flex items-center text-xs text-gray-500">km</span>
+                </div>
+                <div className="col-span-1 flex justify-end">
+                  <button
+                    type="button"
+                    onClick={() => remove(index)}
+                    className="p-1.5 text-gray-400 hover:text-red-600"
+                    aria-label={`Remove ${field.name}`}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+                {territoryErrors?.[index] && (
+                  <p className="col-span-12 text-xs text-red-600">
+                    {Object.values(territoryErrors[index]).map(error => error?.message).filter(Boolean).join('. ')}
+                  </p>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {listError ? (
+        <p className="text-sm text-red-600 flex items-center mt-1">
+          <AlertCircle className="h-4 w-4 mr-1.5 flex-shrink-0" />
+          {listError}
+        </p>
+      ) : (
+        <p className="text-xs text-gray-500 mt-1">
+          Dashed circles on the map show each territory's exclusivity radius
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default TerritoryEditor;
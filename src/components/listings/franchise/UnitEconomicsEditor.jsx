@@ -0,0 +1,179 @@
+import React from 'react';
+import { useFormContext, useWatch } from 'react-hook-form';
+import { AlertTriangle, Calculator, CheckCircle, RotateCcw } from 'lucide-react';
+import UnitEconomicsCharts from '@/components/listings/UnitEconomicsCharts';
+import { cn, formatCurrency } from '@/lib/utils';
+import {
+  PROJECTION_YEARS,
+  checkAverageBreakeven,
+  getProjectionAssumptions,
+  projectUnitEconomics
+} from '@/schemas/franchiseProjection';
+
+const ASSUMPTION_FIELDS = [
+  { name: 'openingSalesPercent', label: 'Opening sales', unit: '% of average', step: '1' },
+  { name: 'rampUpMonths', label: 'Ramp-up', unit: 'months', step: '1' },
+  { name: 'salesGrowthPercent', label: 'Sales growth', unit: '% a year', step: '0.5' },
+  { name: 'costOfGoodsPercent', label: 'Cost of goods', unit: '% of sales', step: '1' },
+  { name: 'operatingCostPercent', label: 'Operating costs', unit: '% of sales', step: '1' },
+  { name: 'fixedCostsPerMonth', label: 'Rent and fixed costs', unit: '₹ a month', step: '1000' }
+];
+
+export const formatMonths = (months) => (months === null ? `Not within ${PROJECTION_YEARS} years` : `${months} months`);
+
+/**
+ * Five-year projection of one franchise unit from the investment and performance figures above,
+ * with the assumptions behind it. Empty assumptions use defaults, shown as placeholders.
+ * The average breakeven entered above is checked against the projection.
+ */
+const UnitEconomicsEditor = () => {
+  const { control, register, setValue, formState: { errors } } = useFormContext();
+  const franchiseDetails = useWatch({ control, name: 'franchiseDetails' }) || {};
+
+  const projection = projectUnitEconomics(franchiseDetails);
+  const breakeven = checkAverageBreakeven(franchiseDetails, projection);
+  const defaults = getProjectionAssumptions({ ...franchiseDetails, projectionAssumptions: {} });
+  const assumptionErrors = errors.franchiseDetails?.projectionAssumptions;
+
+  const resetAssumptions = () => {
+    ASSUMPTION_FIELDS.forEach(field => {
+      setValue(`franchiseDetails.projectionAssumptions.${field.name}`, '', { shouldDirty: true, shouldValidate: true });
+    });
+  };
+
+  return (
+    <div className="space-y-6 mt-8" data-field="franchiseDetails.projectionAssumptions">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-base font-semibold text-gray-800">Unit Economics</h3>
+          <p className="text-xs text-gray-500">
+            A {PROJECTION_YEARS}-year projection of one unit before tax, from the investment and performance figures above
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={resetAssumptions}
+          className="flex items-center text-sm font-medium text-[#0031ac] hover:text-blue-700"
+        >
+          <RotateCcw className="h-4 w-4 mr-1" />
+          Default Assumptions
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+        {ASSUMPTION_FIELDS.map(field => (
+          <label key={field.name} className="text-xs text-gray-600">
+            {field.label} <span className="text-gray-400">({field.unit})</span>
+            <input
+              type="number"
+              step={field.step}
+              placeholder={String(defaults[field.name])}
+              className={cn(
+                "mt-1 block w-full px-3 py-2 text-sm border rounded-md focus:outline-none focus:ring-1 focus:ring-[#0031ac] focus:border-[#0031ac]",
+                assumptionErrors?.[field.name] ? "border-red-300" : "border-gray-300"
+              )}
+              {...register(`franchiseDetails.projectionAssumptions.${field.name}`)}
+            />
+            {assumptionErrors?.[field.name] && (
+              <span className="mt-1 block text-red-600">{assumptionErrors[field.name].message}</span>
+            )}
+          </label>
+        ))}
+      </div>
+
+      {projection ? (
+        <div className="rounded-md border border-gray-200 bg-gray-50 p-4 space-y-4">
+          <dl className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+            <div>
+              <dt className="text-xs text-gray-500">Breakeven month</dt>
+              <dd className="font-medium text-gray-900">{formatMonths(projection.breakevenMonth)}</dd>
+            </div>
+            <div>
+              <dt className="text-xs text-gray-500">Payback period</dt>
+              <dd className="font-medium text-gray-900">{formatMonths(projection.paybackMonths)}</dd>
+            </div>
+            <div>
+              <dt className="text-xs text-gray-500">IRR ({PROJECTION_YEARS} years)</dt>
+              <dd className="font-medium text-gray-900">{projection.irr === null ? '–' : `${projection.irr}%`}</dd>
+            </div>
+            <div>
+              <dt className="text-xs text-gray-500">{PROJECTION_YEARS}-year profit</dt>
+              <dd className="font-medium text-gray-900">{formatCurrency(projection.totalProfit)}</dd>
+            </div>
+          </dl>
+
+          <UnitEconomicsCharts projection={projection} />
+
+          <table className="min-w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-1 pr-2 font-medium">Year</th>
+                <th className="py-1 pr-2 font-medium text-right">Sales</th>
+                <th className="py-1 pr-2 font-medium text-right">Royalty and marketing</th>
+                <th className="py-1 pr-2 font-medium text-right">Other costs</th>
+                <th className="py-1 pr-2 font-medium text-right">Profit</th>
+                <th className="py-1 font-medium text-right">Cash at year end</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {projection.years.map(year => (
+                <tr key={year.year}>
+                  <td className="py-1 pr-2 text-gray-800">{year.year}</td>
+                  <td className="py-1 pr-2 text-right text-gray-600">{formatCurrency(year.sales)}</td>
+                  <td className="py-1 pr-2 text-right text-gray-600">{formatCurrency(year.royalty + year.marketing)}</td>
+                  <td className="py-1 pr-2 text-right text-gray-600">
+                    {formatCurrency(year.costOfGoods + year.operatingCosts + year.fixedCosts)}
+                  </td>
+                  <td className={cn('py-1 pr-2 text-right font-medium', year.profit < 0 ? 'text-red-600' : 'text-gray-800')}>
+                    {formatCurrency(year.profit)} ({year.margin}%)
+                  </td>
+                  <td className={cn('py-1 text-right', year.cashAtYearEnd < 0 ? 'text-red-600' : 'text-gray-800')}>
+                    {formatCurrency(year.cashAtYearEnd)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {breakeven && (breakeven.matches ? (
+            <p className="flex items-center text-xs text-green-700">
+              <CheckCircle className="mr-1.5 h-3.5 w-3.5 flex-shrink-0" />
+              The average breakeven entered ({breakeven.stated}) agrees with the projection.
+            </p>
+          ) : (
+            <p className="flex items-start text-xs text-amber-800">
+              <AlertTriangle className="mr-1.5 mt-0.5 h-3.5 w-3.5 flex-shrink-0" />
+              <span>
+                The average breakeven entered ({breakeven.stated}) does not match the projection, which{' '}
+                {breakeven.computedMonth
+                  ? `breaks even in month ${breakeven.computedMonth}`
+                  : `does not break even within ${PROJECTION_YEARS} years`}
+                . Change the figures or assumptions, or the breakeven; listings like this are flagged for moderators.{' '}
+                {breakeven.computedMonth && (
+                  <button
+                    type="button"
+                    className="font-medium text-[#0031ac] hover:underline"
+                    onClick={() => setValue(
+                      'franchiseDetails.performance.averageBreakeven',
+                      `${breakeven.computedMonth} months`,
+                      { shouldDirty: true, shouldValidate: true }
+                    )}
+                  >
+                    Use {breakeven.computedMonth} months
+                  </button>
+                )}
+              </span>
+            </p>
+          ))}
+        </div>
+      ) : (
+        <p className="flex items-center rounded-md border border-gray-200 bg-gray-50 p-4 text-xs text-gray-600">
+          <Calculator className="mr-2 h-4 w-4 text-gray-400 flex-shrink-0" />
+          Enter the total initial investment and average unit sales to see the unit's P&L, payback period and IRR.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default UnitEconomicsEditor;
@@ -0,0 +1,268 @@
+import React, { useState } from 'react';
+import { useFormContext, useFieldArray, useWatch } from 'react-hook-form';
+import { AlertTriangle, PieChart, PlusCircle, RotateCcw, Trash2, UserPlus } from 'lucide-react';
+import { cn, formatCurrency } from '@/lib/utils';
+import {
+  CapTableHolderType,
+  MAX_CAP_TABLE_HOLDERS,
+  checkEquityOffered,
+  simulateRound
+} from '@/schemas/startupCapTable';
+
+const HOLDER_TYPES = [
+  { value: CapTableHolderType.FOUNDER, label: 'Founder' },
+  { value: CapTableHolderType.INVESTOR, label: 'Investor' },
+  { value: CapTableHolderType.OPTION_POOL, label: 'Option pool' },
+  { value: CapTableHolderType.OTHER, label: 'Other' }
+];
+
+const formatShares = (value) => Math.round(value).toLocaleString('en-IN');
+
+/**
+ * Cap table of the startup before the round it is raising, with a simulator of that round:
+ * its post-money valuation, the price per share it implies and how far every holder is diluted.
+ * The amount and pre-money valuation can be tried out here without changing the listing.
+ */
+const CapTableEditor = () => {
+  const { control, register, setValue, getValues, trigger, formState: { errors } } = useFormContext();
+  const { fields, append, remove } = useFieldArray({ control, name: 'startupDetails.funding.capTable' });
+  const funding = useWatch({ control, name: 'startupDetails.funding' }) || {};
+  // What-if figures for the simulator; null follows the listing's own
+  const [trial, setTrial] = useState({ amount: null, preMoney: null });
+
+  const amount = trial.amount ?? funding.currentRaisingAmount?.value;
+  const preMoney = trial.preMoney ?? funding.preMoneyValuation?.value;
+  const isTrial = trial.amount !== null || trial.preMoney !== null;
+  const round = simulateRound({ holders: funding.capTable, amount, preMoney });
+  const equity = checkEquityOffered(funding);
+
+  const addFounders = () => {
+    const listed = new Set((getValues('startupDetails.funding.capTable') || []).map(holder => holder.name?.trim().toLowerCase()));
+    (getValues('startupDetails.team.founders') || [])
+      .filter(founder => founder.name?.trim() && !listed.has(founder.name.trim().toLowerCase()))
+      .slice(0, MAX_CAP_TABLE_HOLDERS - fields.length)
+      .forEach(founder => append({ name: founder.name.trim(), type: CapTableHolderType.FOUNDER, shares: '' }));
+  };
+
+  const capTableErrors = errors.startupDetails?.funding?.capTable;
+
+  return (
+    <div className="col-span-full" data-field="startupDetails.funding.capTable">
+      <div className="flex items-center justify-between">
+        <div>
+          <span className="block text-sm font-semibold text-gray-800">
+            Cap Table <span className="text-gray-400">(Optional)</span>
+          </span>
+          <p className="text-xs text-gray-500">Shares held by founders, previous investors and the option pool before this round</p>
+        </div>
+        <div className="flex items-center gap-3">
+          <button
+            type="button"
+            onClick={addFounders}
+            disabled={fields.length >= MAX_CAP_TABLE_HOLDERS}
+            className="flex items-center text-sm font-medium text-[#0031ac] hover:text-blue-700 disabled:opacity-50"
+          >
+            <UserPlus className="h-4 w-4 mr-1" />
+            Add Founders
+          </button>
+          <button
+            type="button"
+            onClick={() => append({ name: '', type: CapTableHolderType.INVESTOR, shares: '' })}
+            disabled={fields.length >= MAX_CAP_TABLE_HOLDERS}
+            className="flex items-center text-sm font-medium text-[#0031ac] hover:text-blue-700 disabled:opacity-50"
+          >
+            <PlusCircle className="h-4 w-4 mr-1" />
+            Add Holder
+          </button>
+        </div>
+      </div>
+
+      {fields.length > 0 && (
+        <div className="mt-3 space-y-2">
+          {fields.map((field, index) => (
+            <div key={field.id} className="grid grid-cols-12 gap-2 items-start">
+              <div className="col-span-5">
+                <input
+                  type="text"
+                  className={cn(
+                    "block w-full px-3 py-2 text-sm border rounded-md focus:outline-none focus:ring-1 focus:ring-[#0031ac] focus:border-[#0031ac]",
+                    capTableErrors?.[index]?.name ? "border-red-300" : "border-gray-300"
+                  )}
+                  placeholder="Name"
+                  aria-label="Holder name"
+                  {...register(`startupDetails.funding.capTable.${index}.name`, {
+                    required: "Holder name is required",
+                    maxLength: { value: 100, message: "Holder name cannot exceed 100 characters" }
+                  })}
+                />
+              </div>
+              <div className="col-span-3">
+                <select
+                  className="block w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-[#0031ac] focus:border-[#0031ac]"
+                  aria-label="Holder type"
+                  {...register(`startupDetails.funding.capTable.${index}.type`)}
+                >
+                  {HOLDER_TYPES.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-span-3">
+                <input
+                  type="number"
+                  min="1"
+                  step="1"
+                  className={cn(
+                    "block w-full px-3 py-2 text-sm border rounded-md focus:outline-none focus:ring-1 focus:ring-[#0031ac] focus:border-[#0031ac]",
+                    capTableErrors?.[index]?.shares ? "border-red-300" : "border-gray-300"
+                  )}
+                  placeholder="Shares"
+                  aria-label="Shares"
+                  {...register(`startupDetails.funding.capTable.${index}.shares`, {
+                    required: "Shares are required",
+                    validate: value => (Number.isInteger(Number(value)) && Number(value) > 0) || "Shares must be a whole number above 0"
+                  })}
+                />
+              </div>
+              <div className="col-span-1 flex justify-end">
+                <button
+                  type="button"
+                  onClick={() => remove(index)}
+                  className="p-2 text-gray-400 hover:text-red-600"
+                  aria-label="Remove holder"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+              {(capTableErrors?.[index]?.name || capTableErrors?.[index]?.shares) && (
+                <p className="col-span-12 text-xs text-red-600">
+                  {capTableErrors[index].name?.message || capTableErrors[index].shares?.message}
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Round simulator */}
+      <div className={cn('mt-4 rounded-md border p-4', equity && !equity.matches ? 'border-amber-300 bg-amber-50' : 'border-gray-200 bg-gray-50')}>
+        <div className="flex items-center justify-between">
+          <span className="flex items-center text-sm font-medium text-gray-800">
+            <PieChart className="mr-2 h-4 w-4 text-[#0031ac]" />
+            Round Simulator
+          </span>
+          {isTrial && (
+            <button
+              type="button"
+              onClick={() => setTrial({ amount: null, preMoney: null })}
+              className="flex items-center text-xs font-medium text-[#0031ac] hover:underline"
+            >
+              <RotateCcw className="mr-1 h-3 w-3" />
+              Use the listing's figures
+            </button>
+          )}
+        </div>
+
+        <div className="mt-3 grid grid-cols-2 gap-3">
+          <label className="text-xs text-gray-600">
+            Amount raised (₹)
+            <input
+              type="number"
+              min="0"
+              value={amount ?? ''}
+              onChange={(e) => setTrial(prev => ({ ...prev, amount: e.target.value }))}
+              className="mt-1 block w-full px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-[#0031ac] focus:border-[#0031ac]"
+            />
+          </label>
+          <label className="text-xs text-gray-600">
+            Pre-money valuation (₹)
+            <input
+              type="number"
+              min="0"
+              value={preMoney ?? ''}
+              onChange={(e) => setTrial(prev => ({ ...prev, preMoney: e.target.value }))}
+              className="mt-1 block w-full px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-[#0031ac] focus:border-[#0031ac]"
+            />
+          </label>
+        </div>
+
+        {round ? (
+          <>
+            <dl className="mt-3 grid grid-cols-3 gap-3 text-sm">
+              <div>
+                <dt className="text-xs text-gray-500">Post-money valuation</dt>
+                <dd className="font-medium text-gray-900">{formatCurrency(round.postMoney)}</dd>
+              </div>
+              <div>
+                <dt className="text-xs text-gray-500">Price per share</dt>
+                <dd className="font-medium text-gray-900">{formatCurrency(round.pricePerShare)}</dd>
+              </div>
+              <div>
+                <dt className="text-xs text-gray-500">New shares</dt>
+                <dd className="font-medium text-gray-900">{formatShares(round.newShares)} ({round.roundStake}%)</dd>
+              </div>
+            </dl>
+
+            <table className="mt-3 min-w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-1 pr-2 font-medium">Holder</th>
+                  <th className="py-1 pr-2 font-medium text-right">Shares</th>
+                  <th className="py-1 pr-2 font-medium text-right">Before</th>
+                  <th className="py-1 pr-2 font-medium text-right">After</th>
+                  <th className="py-1 font-medium text-right">Dilution</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {round.holders.map((holder, index) => (
+                  <tr key={index}>
+                    <td className="py-1 pr-2 text-gray-800">{holder.name || 'Unnamed'}</td>
+                    <td className="py-1 pr-2 text-right text-gray-600">{formatShares(holder.shares)}</td>
+                    <td className="py-1 pr-2 text-right text-gray-600">{holder.before}%</td>
+                    <td className="py-1 pr-2 text-right text-gray-800">{holder.after}%</td>
+                    <td className="py-1 text-right text-amber-700">−{holder.dilution} pts</td>
+                  </tr>
+                ))}
+                <tr className="font-medium">
+                  <td className="py-1 pr-2 text-[#0031ac]">This round</td>
+                  <td className="py-1 pr-2 text-right text-gray-600">{formatShares(round.newShares)}</td>
+                  <td className="py-1 pr-2 text-right text-gray-600">–</td>
+                  <td className="py-1 pr-2 text-right text-gray-800">{round.roundStake}%</td>
+                  <td className="py-1" />
+                </tr>
+              </tbody>
+            </table>
+          </>
+        ) : (
+          <p className="mt-3 text-xs text-gray-600">
+            Enter the amount raised, the pre-money valuation and the shares each holder has to see the round's
+            price per share and everyone's dilution.
+          </p>
+        )}
+
+        {equity && !equity.matches && (
+          <p className="mt-3 flex items-start text-xs text-amber-800">
+            <AlertTriangle className="mr-1.5 mt-0.5 h-3.5 w-3.5 flex-shrink-0" />
+            <span>
+              The equity offered ({equity.equityOffered}%) does not match the {equity.impliedEquity}% that{' '}
+              {formatCurrency(funding.currentRaisingAmount?.value)} buys at a post-money valuation of{' '}
+              {formatCurrency(equity.postMoney)}. Listings like this are flagged for moderators.{' '}
+              <button
+                type="button"
+                className="font-medium text-[#0031ac] hover:underline"
+                onClick={() => {
+                  setValue('startupDetails.funding.equityOffered', equity.impliedEquity, { shouldDirty: true, shouldValidate: true });
+                  trigger('startupDetails.funding.preMoneyValuation.value');
+                }}
+              >
+                Use {equity.impliedEquity}%
+              </button>
+            </span>
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CapTableEditor;
@@ -14,6 +14,8 @@ import {
 import { DevelopmentStage, ProductStage, FundingStage } from '@/types/listings';
 import { cn, formatCurrency } from '@/lib/utils';
 import Tooltip from '@/components/ui/Tooltip';
+import { checkEquityOffered } from '@/schemas/startupCapTable';
+import CapTableEditor from './CapTableEditor';
 
 /**
  * StartupForm - Handles the Startup-specific fields (Step 3 in listing creation)
@@ -602,7 +604,7 @@ const StartupForm = ({ submitAttempted = false, editMode = false }) => {
           </div>
 
           {/* Founders - Repeatable Fields Section */}
-          <div className="col-span-full">
+          <div className="col-span-full" data-field="startupDetails.team.founders">
             <div className="flex items-center justify-between mb-2">
               <div className="flex items-center">
                 <label className="block text-sm font-semibold text-gray-800 mr-2">
@@ -1421,19 +1423,14 @@ const StartupForm = ({ submitAttempted = false, editMode = false }) => {
                   required: "Pre-money valuation is required",
                   validate: {
                     consistentWithEquity: value => {
-                      const raisingAmount = watch("startupDetails.funding.currentRaisingAmount.value") || 0;
-                      const equityOffered = watch("startupDetails.funding.equityOffered") || 0;
-                      
-                      if (!value || !equityOffered) return true;
-                      
-                      // The formula for pre-money valuation is:
-                      // pre-money valuation = (raising amount / equity offered) * (100 - equity offered)
-                      // We'll allow some flexibility (±10%) as founders might round numbers
-                      const expectedVal = (raisingAmount / equityOffered) * (100 - equityOffered);
-                      const lowerBound = expectedVal * 0.9;
-                      const upperBound = expectedVal * 1.1;
-                      
-                      return (value >= lowerBound && value <= upperBound) || 
+                      // The equity offered should be the raising amount over the post-money
+                      // valuation, within the tolerance of src/schemas/startupCapTable.js
+                      const equity = checkEquityOffered({
+                        ...getValues("startupDetails.funding"),
+                        preMoneyValuation: { value }
+                      });
+
+                      return !equity || equity.matches ||
                              "Valuation should be consistent with equity offered and raising amount";
                     }
                   }
@@ -1559,6 +1556,9 @@ const StartupForm = ({ submitAttempted = false, editMode = false }) => {
             </div>
           </div>
 
+          {/* Cap Table and Round Simulator - Optional */}
+          <CapTableEditor />
+
           {/* Financial metrics - Optional fields */}
           <div className="col-span-1">
             <div className="flex items-center">
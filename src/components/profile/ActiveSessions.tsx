@@ -0,0 +1,91 @@
+import { useState, useEffect } from 'react';
+import { Monitor, LogOut } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import Button from '@/components/ui/Button';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import SessionList from '@/components/users/SessionList';
+import { UserSession } from '@/types/firebase';
+import { getMySessions, revokeOtherSessions, revokeSession } from '@/services/sessionService';
+
+/**
+ * The signed-in user's own sessions on the profile page
+ */
+export default function ActiveSessions() {
+  const [sessions, setSessions] = useState<UserSession[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [revokingId, setRevokingId] = useState<string | null>(null);
+  const [isRevokingOthers, setIsRevokingOthers] = useState(false);
+
+  useEffect(() => {
+    const loadSessions = async () => {
+      try {
+        setSessions(await getMySessions());
+      } catch (error) {
+        toast.error(error instanceof Error ? error.message : 'Failed to load sessions');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadSessions();
+  }, []);
+
+  const handleRevoke = async (session: UserSession) => {
+    try {
+      setRevokingId(session.id);
+      await revokeSession(session.id);
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+      toast.success(`Signed out ${session.device}`);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to revoke session');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    try {
+      setIsRevokingOthers(true);
+      const count = await revokeOtherSessions();
+      setSessions(prev => prev.filter(s => s.current));
+      toast.success(`Signed out of ${count} other session${count === 1 ? '' : 's'}`);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to sign out other sessions');
+    } finally {
+      setIsRevokingOthers(false);
+    }
+  };
+
+  const hasOtherSessions = sessions.some(session => !session.current);
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+        <div className="flex items-center">
+          <Monitor className="h-5 w-5 text-[#0031ac] mr-2" />
+          <h2 className="text-lg font-medium text-gray-900">Active Sessions</h2>
+        </div>
+        {hasOtherSessions && (
+          <Button
+            variant="outline"
+            size="sm"
+            leftIcon={<LogOut className="h-4 w-4" />}
+            onClick={handleRevokeOthers}
+            isLoading={isRevokingOthers}
+          >
+            Sign out other sessions
+          </Button>
+        )}
+      </div>
+      <div className="px-6 py-2">
+        {isLoading ? (
+          <div className="flex justify-center py-6">
+            <LoadingSpinner size="md" />
+          </div>
+        ) : (
+          <SessionList sessions={sessions} onRevoke={handleRevoke} revokingId={revokingId} />
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+import { useState, useEffect } from 'react';
+import { Copy, KeyRound, Plus, Trash2 } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import Button from '@/components/ui/Button';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import { ApiKey } from '@/types/firebase';
+import { createApiKey, getMyApiKeys, revokeApiKey } from '@/services/apiKeyService';
+import { formatDate, formatRelativeTime } from '@/lib/utils';
+
+/**
+ * The signed-in user's keys for the public listings API on the profile page
+ */
+export default function ApiKeys() {
+  const [apiKeys, setApiKeys] = useState<ApiKey[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const [name, setName] = useState('');
+  const [isCreating, setIsCreating] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [newKey, setNewKey] = useState<string | null>(null);
+  const [revokingId, setRevokingId] = useState<string | null>(null);
+
+  useEffect(() => {
+    const loadApiKeys = async () => {
+      try {
+        setApiKeys(await getMyApiKeys());
+      } catch (error) {
+        toast.error(error instanceof Error ? error.message : 'Failed to load API keys');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadApiKeys();
+  }, []);
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+
+    try {
+      setIsCreating(true);
+      const { apiKey, key } = await createApiKey(name.trim());
+      setApiKeys(prev => [apiKey, ...prev]);
+      setNewKey(key);
+      setName('');
+      setShowForm(false);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to create API key');
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    if (!newKey) return;
+    try {
+      await navigator.clipboard.writeText(newKey);
+      toast.success('API key copied');
+    } catch (error) {
+      console.error('Error copying API key:', error);
+      toast.error('Could not copy - please select the key and copy it manually');
+    }
+  };
+
+  const handleRevoke = async (apiKey: ApiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Anything using this key will stop working immediately.`)) {
+      return;
+    }
+
+    try {
+      setRevokingId(apiKey.id);
+      await revokeApiKey(apiKey.id);
+      setApiKeys(prev => prev.filter(k => k.id !== apiKey.id));
+      toast.success(`Revoked ${apiKey.name}`);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to revoke API key');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+        <div className="flex items-center">
+          <KeyRound className="h-5 w-5 text-[#0031ac] mr-2" />
+          <h2 className="text-lg font-medium text-gray-900">API Keys</h2>
+        </div>
+        {!showForm && (
+          <Button variant="outline" size="sm" leftIcon={<Plus className="h-4 w-4" />} onClick={() => setShowForm(true)}>
+            New key
+          </Button>
+        )}
+      </div>
+      <div className="p-6 space-y-4">
+        <p className="text-sm text-gray-500">
+          Keys give scripts and other systems access to the listings API at <span className="font-mono">/api/v1/listings</span> with
+          your permissions. Send the key in the <span className="font-mono">X-API-Key</span> header.
+        </p>
+
+        {newKey && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 space-y-3">
+            <p className="text-sm text-yellow-800">
+              Copy this key now. It will not be shown again.
+            </p>
+            <p className="font-mono text-sm text-gray-900 break-all bg-white border border-yellow-200 rounded px-3 py-2">{newKey}</p>
+            <div className="flex gap-3">
+              <Button size="sm" variant="outline" leftIcon={<Copy className="h-4 w-4" />} onClick={handleCopy}>
+                Copy
+              </Button>
+              <Button size="sm" onClick={() => setNewKey(null)}>Done</Button>
+            </div>
+          </div>
+        )}
+
+        {showForm && (
+          <form onSubmit={handleCreate} className="flex flex-col sm:flex-row sm:items-end gap-3">
+            <div className="flex-1">
+              <label htmlFor="api-key-name" className="block text-sm font-medium text-gray-700 mb-1">
+                Key name
+              </label>
+              <input
+                id="api-key-name"
+                type="text"
+                maxLength={60}
+                placeholder="e.g. CRM sync"
+                className="block w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-1 focus:ring-[#0031ac] focus:border-[#0031ac]"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                disabled={isCreating}
+                autoFocus
+              />
+            </div>
+            <div className="flex gap-3">
+              <Button type="submit" size="sm" isLoading={isCreating} disabled={!name.trim()}>
+                Create key
+              </Button>
+              <Button type="button" size="sm" variant="outline" onClick={() => setShowForm(false)} disabled={isCreating}>
+                Cancel
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {isLoading ? (
+          <div className="flex justify-center py-6">
+            <LoadingSpinner size="md" />
+          </div>
+        ) : apiKeys.length === 0 ? (
+          <p className="text-sm text-gray-500">No API keys.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {apiKeys.map(apiKey => (
+              <li key={apiKey.id} className="py-3 flex items-start justify-between">
+                <div>
+                  <div className="text-sm font-medium text-gray-900">{apiKey.name}</div>
+                  <div className="text-xs text-gray-500 font-mono mt-0.5">{apiKey.hint}</div>
+                  <div className="text-xs text-gray-400 mt-0.5">
+                    Created {formatDate(apiKey.createdAt)}
+                    {' · '}{apiKey.lastUsedAt ? `Last used ${formatRelativeTime(apiKey.lastUsedAt)}` : 'Never used'}
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleRevoke(apiKey)}
+                  disabled={revokingId === apiKey.id}
+                  className="ml-4 inline-flex items-center text-xs font-medium text-red-600 hover:text-red-700 disabled:opacity-50"
+                >
+                  <Trash2 className="h-3.5 w-3.5 mr-1" />
+                  {revokingId === apiKey.id ? 'Revoking...' : 'Revoke'}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
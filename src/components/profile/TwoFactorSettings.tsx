@@ -0,0 +1,261 @@
+import { useState, useEffect } from 'react';
+import { AlertCircle, CheckCircle, ShieldCheck, ShieldOff, KeyRound } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import Button from '@/components/ui/Button';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import RecoveryCodes from '@/components/auth/RecoveryCodes';
+import { MfaStatus } from '@/types/firebase';
+import { MfaEnrollment } from '@/services/auth';
+import {
+  confirmMfaEnrollment,
+  disableMfa,
+  getMfaStatus,
+  regenerateRecoveryCodes,
+  startMfaEnrollment
+} from '@/services/mfaService';
+import { formatDate } from '@/lib/utils';
+
+// Actions on an enrolled account that must be confirmed with a current code
+type ConfirmAction = 'regenerate' | 'disable';
+
+/**
+ * Two-factor authentication card on the profile page:
+ * enrolment with a QR code, recovery codes and turning it off
+ */
+export default function TwoFactorSettings() {
+  const [status, setStatus] = useState<MfaStatus | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const [enrollment, setEnrollment] = useState<MfaEnrollment | null>(null);
+  const [confirmAction, setConfirmAction] = useState<ConfirmAction | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+
+  const [code, setCode] = useState('');
+  const [codeError, setCodeError] = useState<string | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const loadStatus = async () => {
+    try {
+      setIsLoading(true);
+      setStatus(await getMfaStatus());
+    } catch (error) {
+      console.error('Error loading two-factor status:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to load two-factor status');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const resetCodeForm = () => {
+    setCode('');
+    setCodeError(null);
+  };
+
+  const handleStartEnrollment = async () => {
+    try {
+      setIsSubmitting(true);
+      setEnrollment(await startMfaEnrollment());
+      resetCodeForm();
+    } catch (error) {
+      console.error('Error starting two-factor setup:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to start two-factor setup');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleSubmitCode = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!/^\d{6}$/.test(code)) {
+      setCodeError('Enter the 6-digit code from your authenticator app');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setCodeError(null);
+
+    try {
+      if (enrollment) {
+        setRecoveryCodes(await confirmMfaEnrollment(code));
+        setEnrollment(null);
+        toast.success('Two-factor authentication is on');
+      } else if (confirmAction === 'regenerate') {
+        setRecoveryCodes(await regenerateRecoveryCodes(code));
+        setConfirmAction(null);
+        toast.success('New recovery codes generated');
+      } else if (confirmAction === 'disable') {
+        await disableMfa({ code });
+        setConfirmAction(null);
+        toast.success('Two-factor authentication is off');
+      }
+
+      resetCodeForm();
+      await loadStatus();
+    } catch (error) {
+      setCodeError(error instanceof Error ? error.message : 'Verification failed');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleCancel = () => {
+    setEnrollment(null);
+    setConfirmAction(null);
+    resetCodeForm();
+  };
+
+  const renderCodeForm = (submitLabel: string) => (
+    <form onSubmit={handleSubmitCode} className="space-y-3" noValidate>
+      <div>
+        <label htmlFor="mfa-settings-code" className="block text-sm font-medium text-gray-700 mb-1">
+          Verification code
+        </label>
+        <input
+          id="mfa-settings-code"
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          maxLength={6}
+          placeholder="123456"
+          className={`block w-40 px-3 py-2 border font-mono tracking-widest text-center ${
+            codeError ? 'border-red-300 focus:ring-red-500 focus:border-red-500' : 'border-gray-300 focus:ring-[#0031ac] focus:border-[#0031ac]'
+          } rounded-lg focus:outline-none focus:ring-1`}
+          value={code}
+          onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+          disabled={isSubmitting}
+        />
+        {codeError && (
+          <p className="mt-1 text-sm text-red-600 flex items-center" role="alert">
+            <AlertCircle className="h-3.5 w-3.5 mr-1 flex-shrink-0" />
+            {codeError}
+          </p>
+        )}
+      </div>
+      <div className="flex gap-3">
+        <Button type="submit" size="sm" variant={confirmAction === 'disable' ? 'danger' : 'primary'} isLoading={isSubmitting}>
+          {submitLabel}
+        </Button>
+        <Button type="button" size="sm" variant="outline" onClick={handleCancel} disabled={isSubmitting}>
+          Cancel
+        </Button>
+      </div>
+    </form>
+  );
+
+  const renderBody = () => {
+    if (isLoading && !status) {
+      return (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner size="md" />
+        </div>
+      );
+    }
+
+    if (!status) return null;
+
+    if (recoveryCodes) {
+      return (
+        <div className="space-y-4 max-w-md">
+          <RecoveryCodes codes={recoveryCodes} />
+          <Button size="sm" onClick={() => setRecoveryCodes(null)}>Done</Button>
+        </div>
+      );
+    }
+
+    if (!status.eligible) {
+      return (
+        <p className="text-sm text-gray-500">
+          Two-factor authentication is available for admin and moderator accounts.
+        </p>
+      );
+    }
+
+    if (enrollment) {
+      return (
+        <div className="flex flex-col sm:flex-row gap-6">
+          <div className="text-center">
+            <img src={enrollment.qrCodeDataUrl} alt="QR code for your authenticator app" className="h-44 w-44" />
+          </div>
+          <div className="space-y-4">
+            <p className="text-sm text-gray-700">
+              Scan the QR code with an authenticator app such as Google Authenticator or 1Password,
+              then enter the 6-digit code it shows.
+            </p>
+            <div>
+              <p className="text-xs text-gray-500">Can't scan? Enter this key manually:</p>
+              <p className="font-mono text-xs text-gray-900 break-all">{enrollment.secret}</p>
+            </div>
+            {renderCodeForm('Turn on')}
+          </div>
+        </div>
+      );
+    }
+
+    if (!status.enabled) {
+      return (
+        <div className="space-y-4">
+          {status.required && (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 flex items-start text-sm text-yellow-800">
+              <AlertCircle className="h-4 w-4 text-yellow-500 mr-2 mt-0.5 flex-shrink-0" />
+              Two-factor authentication is mandatory for your role. You will be asked to set it up at your next sign-in.
+            </div>
+          )}
+          <p className="text-sm text-gray-700">
+            Protect your account with a code from an authenticator app in addition to your password.
+          </p>
+          <Button size="sm" leftIcon={<ShieldCheck className="h-4 w-4" />} onClick={handleStartEnrollment} isLoading={isSubmitting}>
+            Set up two-factor authentication
+          </Button>
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-4">
+        <div className="flex items-start text-sm text-green-700">
+          <CheckCircle className="h-5 w-5 text-green-500 mr-2 flex-shrink-0" />
+          <span>
+            On{status.enrolledAt ? ` since ${formatDate(status.enrolledAt)}` : ''}.
+            {' '}{status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'} left.
+          </span>
+        </div>
+
+        {confirmAction ? (
+          renderCodeForm(confirmAction === 'disable' ? 'Turn off' : 'Generate new codes')
+        ) : (
+          <div className="flex flex-wrap gap-3">
+            <Button size="sm" variant="outline" leftIcon={<KeyRound className="h-4 w-4" />} onClick={() => setConfirmAction('regenerate')}>
+              New recovery codes
+            </Button>
+            {!status.required && (
+              <Button size="sm" variant="outline" leftIcon={<ShieldOff className="h-4 w-4" />} onClick={() => setConfirmAction('disable')}>
+                Turn off
+              </Button>
+            )}
+          </div>
+        )}
+
+        {status.required && (
+          <p className="text-xs text-gray-500">Two-factor authentication is mandatory for your role and cannot be turned off.</p>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+        <ShieldCheck className="h-5 w-5 text-[#0031ac] mr-2" />
+        <h2 className="text-lg font-medium text-gray-900">Two-Factor Authentication</h2>
+      </div>
+      <div className="p-6">
+        {renderBody()}
+      </div>
+    </div>
+  );
+}
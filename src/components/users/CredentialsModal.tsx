@@ -1,22 +1,29 @@
 import React, { useState } from 'react';
-import { Copy, X, CheckCircle, Key, AlertCircle } from 'lucide-react';
+import { Copy, X, CheckCircle, Key, AlertCircle, Send } from 'lucide-react';
 import Button from '@/components/ui/Button';
+import { formatDate } from '@/lib/utils';
 
 interface CredentialsModalProps {
   loginEmail: string;
   onClose: () => void;
+  onSendInvitation: () => Promise<Date>;
+  // Fallback for users who cannot receive the invitation email
   onResetPassword: () => Promise<string>;
 }
 
 const CredentialsModal: React.FC<CredentialsModalProps> = ({
   loginEmail,
   onClose,
+  onSendInvitation,
   onResetPassword
 }) => {
   const [copiedEmail, setCopiedEmail] = useState(false);
   const [password, setPassword] = useState<string | null>(null);
   const [copiedPassword, setCopiedPassword] = useState(false);
   const [isResetting, setIsResetting] = useState(false);
+  const [isSending, setIsSending] = useState(false);
+  const [invitationExpiresAt, setInvitationExpiresAt] = useState<Date | null>(null);
+  const [showFallback, setShowFallback] = useState(false);
   const [error, setError] = useState<string | null>(null);
   
   const handleCopyEmail = () => {
@@ -33,6 +40,19 @@ const CredentialsModal: React.FC<CredentialsModalProps> = ({
     }
   };
   
+  const handleSendInvitation = async () => {
+    try {
+      setIsSending(true);
+      setError(null);
+      const expiresAt = await onSendInvitation();
+      setInvitationExpiresAt(expiresAt);
+    } catch (error: any) {
+      setError(error.message);
+    } finally {
+      setIsSending(false);
+    }
+  };
+  
   const handleResetPassword = async () => {
     try {
       setIsResetting(true);
@@ -72,7 +92,7 @@ const CredentialsModal: React.FC<CredentialsModalProps> = ({
           <div className="bg-blue-50 border border-blue-100 rounded-lg p-4 flex items-start">
             <Key className="h-5 w-5 text-blue-500 mt-0.5 mr-2 flex-shrink-0" />
             <p className="text-sm text-blue-700">
-              These are the admin panel login credentials. You can reset the password if needed.
+              These are the admin panel login credentials. To change the password, email the user a new set-password link.
             </p>
           </div>
           
@@ -94,9 +114,18 @@ const CredentialsModal: React.FC<CredentialsModalProps> = ({
             </div>
           </div>
           
+          {invitationExpiresAt && (
+            <div className="bg-green-50 border border-green-100 rounded-lg p-4 flex items-start">
+              <CheckCircle className="h-5 w-5 text-green-500 mt-0.5 mr-2 flex-shrink-0" />
+              <p className="text-sm text-green-700">
+                A set-password link has been emailed to the user. It expires on {formatDate(invitationExpiresAt)}.
+              </p>
+            </div>
+          )}
+          
           {password && (
             <div className="bg-green-50 border border-green-200 rounded-lg p-4">
-              <div className="text-sm text-gray-500 mb-2">New Password</div>
+              <div className="text-sm text-gray-500 mb-2">Temporary Password</div>
               <div className="flex items-center justify-between">
                 <div className="font-mono text-sm tracking-wider bg-white py-2 px-4 border border-gray-300 rounded">
                   {password}
@@ -114,14 +143,44 @@ const CredentialsModal: React.FC<CredentialsModalProps> = ({
             </div>
           )}
           
+          {/* Temporary password fallback */}
+          {!password && (
+            showFallback ? (
+              <div className="bg-yellow-50 border border-yellow-100 rounded-lg p-4">
+                <p className="text-sm text-yellow-800 mb-3">
+                  Only use this if the user cannot receive email. The temporary password will be shown
+                  here once and must be shared with the user securely.
+                </p>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={handleResetPassword}
+                  isLoading={isResetting}
+                  disabled={isResetting}
+                >
+                  Generate Temporary Password
+                </Button>
+              </div>
+            ) : (
+              <button
+                type="button"
+                className="text-xs font-medium text-gray-500 hover:text-gray-700"
+                onClick={() => setShowFallback(true)}
+              >
+                User can't receive email?
+              </button>
+            )
+          )}
+          
           <div className="flex justify-between">
             <Button
               variant="outline"
-              onClick={handleResetPassword}
-              isLoading={isResetting}
-              disabled={isResetting}
+              leftIcon={<Send className="h-4 w-4" />}
+              onClick={handleSendInvitation}
+              isLoading={isSending}
+              disabled={isSending}
             >
-              Reset Password
+              Email Set-Password Link
             </Button>
             <Button
               variant="primary"
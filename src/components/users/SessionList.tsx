@@ -0,0 +1,77 @@
+import React from 'react';
+import { Monitor, Smartphone, Tablet, LogOut, ShieldCheck } from 'lucide-react';
+import { UserSession } from '@/types/firebase';
+import { formatDate, formatRelativeTime } from '@/lib/utils';
+
+interface SessionListProps {
+  sessions: UserSession[];
+  onRevoke: (session: UserSession) => void;
+  // ID of the session currently being revoked, to disable its button
+  revokingId?: string | null;
+}
+
+const DeviceIcon: React.FC<{ deviceType: UserSession['deviceType'] }> = ({ deviceType }) => {
+  switch (deviceType) {
+    case 'mobile':
+      return <Smartphone className="h-5 w-5 text-gray-500" />;
+    case 'tablet':
+      return <Tablet className="h-5 w-5 text-gray-500" />;
+    default:
+      return <Monitor className="h-5 w-5 text-gray-500" />;
+  }
+};
+
+/**
+ * Active sign-ins with device, IP and last-seen time, each with a sign-out action
+ */
+const SessionList: React.FC<SessionListProps> = ({ sessions, onRevoke, revokingId = null }) => {
+  if (sessions.length === 0) {
+    return <p className="text-sm text-gray-500">No active sessions.</p>;
+  }
+
+  return (
+    <ul className="divide-y divide-gray-100">
+      {sessions.map(session => (
+        <li key={session.id} className="py-3 flex items-start justify-between">
+          <div className="flex items-start">
+            <div className="mt-0.5 mr-3">
+              <DeviceIcon deviceType={session.deviceType} />
+            </div>
+            <div>
+              <div className="text-sm font-medium text-gray-900 flex items-center">
+                {session.device}
+                {session.current && (
+                  <span className="badge badge-success ml-2">This device</span>
+                )}
+                {session.mfa && (
+                  <span title="Signed in with two-factor authentication">
+                    <ShieldCheck className="h-4 w-4 text-green-500 ml-2" />
+                  </span>
+                )}
+              </div>
+              <div className="text-xs text-gray-500 mt-0.5">
+                {session.lastSeenIp || session.ip || 'Unknown IP'}
+                {' · '}Last active {formatRelativeTime(session.lastSeenAt)}
+              </div>
+              <div className="text-xs text-gray-400 mt-0.5" title={session.userAgent || undefined}>
+                Signed in {formatDate(session.createdAt)}
+              </div>
+            </div>
+          </div>
+          {!session.current && (
+            <button
+              onClick={() => onRevoke(session)}
+              disabled={revokingId === session.id}
+              className="ml-4 inline-flex items-center text-xs font-medium text-red-600 hover:text-red-700 disabled:opacity-50"
+            >
+              <LogOut className="h-3.5 w-3.5 mr-1" />
+              {revokingId === session.id ? 'Signing out...' : 'Sign out'}
+            </button>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default SessionList;
@@ -0,0 +1,117 @@
+import React, { useState, useEffect } from 'react';
+import { X, LogOut, RefreshCw } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import Button from '@/components/ui/Button';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import SessionList from '@/components/users/SessionList';
+import { UserDetails, UserSession } from '@/types/firebase';
+import { getUserSessions, revokeAllUserSessions, revokeSession } from '@/services/sessionService';
+
+interface SessionsModalProps {
+  user: UserDetails;
+  onClose: () => void;
+}
+
+/**
+ * Admin view of a user's active sessions, with remote sign-out
+ */
+const SessionsModal: React.FC<SessionsModalProps> = ({ user, onClose }) => {
+  const [sessions, setSessions] = useState<UserSession[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [revokingId, setRevokingId] = useState<string | null>(null);
+  const [isRevokingAll, setIsRevokingAll] = useState(false);
+
+  const loadSessions = async () => {
+    try {
+      setIsLoading(true);
+      setSessions(await getUserSessions(user.id));
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load sessions');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, [user.id]);
+
+  const handleRevoke = async (session: UserSession) => {
+    try {
+      setRevokingId(session.id);
+      await revokeSession(session.id);
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+      toast.success(`Signed out ${session.device}`);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to revoke session');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    if (!window.confirm(`Sign ${user.name} out of every device? They will need to sign in again.`)) {
+      return;
+    }
+
+    try {
+      setIsRevokingAll(true);
+      const count = await revokeAllUserSessions(user.id);
+      setSessions([]);
+      toast.success(`${user.name} signed out of ${count} session${count === 1 ? '' : 's'}`);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to sign out user');
+    } finally {
+      setIsRevokingAll(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full">
+        <div className="flex justify-between items-center px-6 py-4 border-b border-gray-100">
+          <div>
+            <h2 className="text-lg font-medium text-gray-900">Active Sessions</h2>
+            <p className="text-xs text-gray-500">{user.name} · {user.loginEmail}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-500"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="px-6 py-4 max-h-96 overflow-y-auto">
+          {isLoading ? (
+            <div className="flex justify-center py-6">
+              <LoadingSpinner size="md" />
+            </div>
+          ) : (
+            <SessionList sessions={sessions} onRevoke={handleRevoke} revokingId={revokingId} />
+          )}
+          <p className="text-xs text-gray-400 mt-3">
+            Signed-out devices are sent back to the login page within a few minutes.
+          </p>
+        </div>
+
+        <div className="px-6 py-4 border-t border-gray-100 flex justify-between">
+          <Button variant="outline" size="sm" leftIcon={<RefreshCw className="h-4 w-4" />} onClick={loadSessions} disabled={isLoading}>
+            Refresh
+          </Button>
+          <Button
+            variant="danger"
+            size="sm"
+            leftIcon={<LogOut className="h-4 w-4" />}
+            onClick={handleRevokeAll}
+            isLoading={isRevokingAll}
+          >
+            Sign out everywhere
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionsModal;
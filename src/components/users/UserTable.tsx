@@ -9,7 +9,12 @@ import {
   Eye,
   UserCheck,
   UserX,
-  Key
+  Key,
+  Lock,
+  Unlock,
+  ShieldCheck,
+  ShieldOff,
+  Monitor
 } from 'lucide-react';
 import { UserDetails, UserStatus, UserRole } from '@/types/firebase';
 import { formatDate, formatRelativeTime } from '@/lib/utils';
@@ -26,6 +31,12 @@ interface UserTableProps {
   onStatusChange: (userId: string, status: UserStatus) => void;
   onViewCredentials: (userId: string) => void; // New prop for viewing credentials
   onViewVerificationCode?: (userId: string) => void;
+  // Lockout expiry keyed by lower-cased login email, for accounts locked after failed sign-ins
+  lockedLogins?: Record<string, Date>;
+  onUnlockLogin?: (user: UserDetails) => void;
+  // Remove a user's two-factor authentication, e.g. after a lost phone
+  onResetMfa?: (user: UserDetails) => void;
+  onViewSessions?: (user: UserDetails) => void;
   isAdminPanel?: boolean;
 }
 
@@ -55,6 +66,10 @@ const UserTable: React.FC<UserTableProps> = ({
   onStatusChange,
   onViewCredentials,
   onViewVerificationCode,
+  lockedLogins = {},
+  onUnlockLogin,
+  onResetMfa,
+  onViewSessions,
   isAdminPanel = true
 }) => {
   const allSelected = users.length > 0 && selectedUsers.length === users.length;
@@ -129,6 +144,9 @@ const UserTable: React.FC<UserTableProps> = ({
     }
   };
   
+  const getLockedUntil = (user: UserDetails) => 
+    user.loginEmail ? lockedLogins[user.loginEmail.toLowerCase()] : undefined;
+  
   if (isLoading) {
     return (
       <div className="flex justify-center items-center p-8">
@@ -225,7 +243,23 @@ const UserTable: React.FC<UserTableProps> = ({
                 {getRoleBadge(user.role as UserRole)}
               </td>
               <td className="px-6 py-4 whitespace-nowrap">
-                {getStatusBadge(user.status as UserStatus)}
+                <div className="flex flex-col items-start space-y-1">
+                  {getStatusBadge(user.status as UserStatus)}
+                  {getLockedUntil(user) && (
+                    <Tooltip content={`Locked until ${formatDate(getLockedUntil(user))}`}>
+                      <span className="badge badge-danger flex items-center">
+                        <Lock className="h-3 w-3 mr-1" />
+                        Sign-in Locked
+                      </span>
+                    </Tooltip>
+                  )}
+                  {user.mfaEnabled && (
+                    <span className="badge bg-green-100 text-green-800 flex items-center">
+                      <ShieldCheck className="h-3 w-3 mr-1" />
+                      2FA
+                    </span>
+                  )}
+                </div>
               </td>
               <td className="px-6 py-4 whitespace-nowrap">
                 {getVerificationBadge(user)}
@@ -255,6 +289,42 @@ const UserTable: React.FC<UserTableProps> = ({
                     </button>
                   </Tooltip>
                   
+                  {/* Sessions Button */}
+                  {onViewSessions && (
+                    <Tooltip content="Active Sessions">
+                      <button
+                        onClick={() => onViewSessions(user)}
+                        className="p-1.5 text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded-full transition-colors"
+                      >
+                        <Monitor className="h-4 w-4" />
+                      </button>
+                    </Tooltip>
+                  )}
+                  
+                  {/* Unlock Button - Only shown while sign-in is locked */}
+                  {getLockedUntil(user) && onUnlockLogin && (
+                    <Tooltip content="Unlock Sign-in">
+                      <button
+                        onClick={() => onUnlockLogin(user)}
+                        className="p-1.5 text-gray-600 hover:text-green-600 hover:bg-green-50 rounded-full transition-colors"
+                      >
+                        <Unlock className="h-4 w-4" />
+                      </button>
+                    </Tooltip>
+                  )}
+                  
+                  {/* Reset 2FA Button - Only shown for enrolled users */}
+                  {user.mfaEnabled && onResetMfa && (
+                    <Tooltip content="Reset Two-Factor Authentication">
+                      <button
+                        onClick={() => onResetMfa(user)}
+                        className="p-1.5 text-gray-600 hover:text-orange-600 hover:bg-orange-50 rounded-full transition-colors"
+                      >
+                        <ShieldOff className="h-4 w-4" />
+                      </button>
+                    </Tooltip>
+                  )}
+                  
                   {/* Status Toggle Button */}
                   {user.status === UserStatus.ACTIVE ? (
                     <Tooltip content="Deactivate User">
@@ -0,0 +1,244 @@
+import React, { useState, useEffect } from 'react';
+import { ChevronDown, ChevronRight, RefreshCw, RotateCw, Send } from 'lucide-react';
+import Button from '@/components/ui/Button';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import {
+  WebhookDelivery,
+  WebhookDeliveryFilters,
+  WebhookDeliveryStatus,
+  WebhookSubscription
+} from '@/types/webhooks';
+import { getWebhookDeliveries, redeliverWebhook } from '@/services/webhookService';
+import { formatDate } from '@/lib/utils';
+import { toast } from 'react-hot-toast';
+
+const pageSize = 25;
+
+const STATUS_STYLES: Record<WebhookDeliveryStatus, string> = {
+  [WebhookDeliveryStatus.PENDING]: 'bg-yellow-100 text-yellow-800',
+  [WebhookDeliveryStatus.SUCCEEDED]: 'bg-green-100 text-green-800',
+  [WebhookDeliveryStatus.FAILED]: 'bg-red-100 text-red-800'
+};
+
+interface WebhookDeliveriesProps {
+  subscriptions: WebhookSubscription[];
+}
+
+/**
+ * Delivery log for all webhooks, with the payload and response of each attempt
+ */
+export default function WebhookDeliveries({ subscriptions }: WebhookDeliveriesProps) {
+  const [deliveries, setDeliveries] = useState<WebhookDelivery[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [expandedId, setExpandedId] = useState<string | null>(null);
+  const [redeliveringId, setRedeliveringId] = useState<string | null>(null);
+  const [filters, setFilters] = useState<WebhookDeliveryFilters>({});
+
+  useEffect(() => {
+    loadDeliveries(true);
+  }, [filters]);
+
+  const loadDeliveries = async (reset = false) => {
+    try {
+      setIsLoading(true);
+
+      const result = await getWebhookDeliveries(pageSize, reset ? null : nextCursor, filters);
+
+      setDeliveries(prev => reset ? result.deliveries : [...prev, ...result.deliveries]);
+      setNextCursor(result.nextCursor);
+    } catch (error) {
+      console.error('Error loading webhook deliveries:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to load webhook deliveries');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleRedeliver = async (delivery: WebhookDelivery) => {
+    try {
+      setRedeliveringId(delivery.id);
+      const redelivery = await redeliverWebhook(delivery.id);
+      setDeliveries(prev => [redelivery, ...prev]);
+      setExpandedId(redelivery.id);
+
+      if (redelivery.status === WebhookDeliveryStatus.SUCCEEDED) {
+        toast.success('Event redelivered');
+      } else {
+        toast.error(`Redelivery failed: ${redelivery.error || 'Unknown error'}. It will be retried.`);
+      }
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to redeliver event');
+    } finally {
+      setRedeliveringId(null);
+    }
+  };
+
+  const subscriptionLabel = (subscriptionId: string) => {
+    const subscription = subscriptions.find(s => s.id === subscriptionId);
+    return subscription ? subscription.description || subscription.url : 'Deleted webhook';
+  };
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg">
+      <div className="px-6 py-4 border-b border-gray-200 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+        <div className="flex items-center">
+          <Send className="h-5 w-5 text-[#0031ac] mr-2" />
+          <h2 className="text-lg font-medium text-gray-900">Deliveries</h2>
+        </div>
+        <div className="flex flex-col sm:flex-row gap-3">
+          <select
+            className="border border-gray-300 rounded-md py-2 px-3 text-sm focus:outline-none focus:ring-1 focus:ring-[#0031ac]"
+            value={filters.subscriptionId || ''}
+            onChange={(e) => setFilters(prev => ({ ...prev, subscriptionId: e.target.value || undefined }))}
+          >
+            <option value="">All webhooks</option>
+            {subscriptions.map(subscription => (
+              <option key={subscription.id} value={subscription.id}>
+                {subscription.description || subscription.url}
+              </option>
+            ))}
+          </select>
+          <select
+            className="border border-gray-300 rounded-md py-2 px-3 text-sm focus:outline-none focus:ring-1 focus:ring-[#0031ac]"
+            value={filters.status || ''}
+            onChange={(e) => setFilters(prev => ({
+              ...prev,
+              status: (e.target.value || undefined) as WebhookDeliveryStatus | undefined
+            }))}
+          >
+            <option value="">All statuses</option>
+            {Object.values(WebhookDeliveryStatus).map(status => (
+              <option key={status} value={status}>{status.charAt(0).toUpperCase() + status.slice(1)}</option>
+            ))}
+          </select>
+          <Button
+            variant="outline"
+            size="sm"
+            leftIcon={<RefreshCw className="h-4 w-4" />}
+            onClick={() => loadDeliveries(true)}
+          >
+            Refresh
+          </Button>
+        </div>
+      </div>
+
+      {isLoading && deliveries.length === 0 ? (
+        <div className="flex justify-center py-8">
+          <LoadingSpinner size="md" />
+        </div>
+      ) : deliveries.length === 0 ? (
+        <p className="p-6 text-sm text-gray-500">No deliveries yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="w-8 px-4 py-3" />
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Event</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Webhook</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Attempts</th>
+                <th scope="col" className="px-6 py-3" />
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {deliveries.map(delivery => {
+                const isExpanded = expandedId === delivery.id;
+                return (
+                  <React.Fragment key={delivery.id}>
+                    <tr
+                      className="table-row-hover cursor-pointer"
+                      onClick={() => setExpandedId(isExpanded ? null : delivery.id)}
+                    >
+                      <td className="px-4 py-4 text-gray-400">
+                        {isExpanded ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {formatDate(delivery.createdAt)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm font-mono text-gray-900">{delivery.eventType}</div>
+                        <div className="text-xs font-mono text-gray-400">{delivery.eventId}</div>
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-700 max-w-xs truncate">
+                        {subscriptionLabel(delivery.subscriptionId)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_STYLES[delivery.status]}`}>
+                          {delivery.status}
+                        </span>
+                        {delivery.responseStatus !== null && (
+                          <span className="ml-2 text-xs font-mono text-gray-500">HTTP {delivery.responseStatus}</span>
+                        )}
+                        {delivery.nextAttemptAt && (
+                          <div className="text-xs text-gray-400 mt-0.5">Next retry {formatDate(delivery.nextAttemptAt)}</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {delivery.attempts}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          leftIcon={<RotateCw className="h-4 w-4" />}
+                          isLoading={redeliveringId === delivery.id}
+                          disabled={redeliveringId !== null}
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleRedeliver(delivery);
+                          }}
+                        >
+                          Redeliver
+                        </Button>
+                      </td>
+                    </tr>
+                    {isExpanded && (
+                      <tr className="bg-gray-50">
+                        <td />
+                        <td colSpan={6} className="px-6 py-4 space-y-3">
+                          <div className="text-xs text-gray-500 break-all">
+                            POST {delivery.url}
+                            {delivery.lastAttemptAt && <> · last attempt {formatDate(delivery.lastAttemptAt)}</>}
+                            {delivery.redeliveryOf && <> · redelivery of {delivery.redeliveryOf}</>}
+                          </div>
+                          {delivery.error && (
+                            <p className="text-sm text-red-600">{delivery.error}</p>
+                          )}
+                          <div>
+                            <div className="text-xs font-medium text-gray-500 uppercase mb-1">Payload</div>
+                            <pre className="text-xs bg-white border border-gray-200 rounded p-3 overflow-x-auto">
+                              {JSON.stringify(delivery.payload, null, 2)}
+                            </pre>
+                          </div>
+                          {delivery.responseBody && (
+                            <div>
+                              <div className="text-xs font-medium text-gray-500 uppercase mb-1">Response</div>
+                              <pre className="text-xs bg-white border border-gray-200 rounded p-3 overflow-x-auto whitespace-pre-wrap break-all">
+                                {delivery.responseBody}
+                              </pre>
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {nextCursor && (
+        <div className="flex justify-center py-4 border-t border-gray-200">
+          <Button variant="outline" onClick={() => loadDeliveries()} isLoading={isLoading}>
+            Load More
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
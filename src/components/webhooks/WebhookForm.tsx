@@ -0,0 +1,114 @@
+import { useState } from 'react';
+import Button from '@/components/ui/Button';
+import { WebhookEventType, WebhookSubscription, WebhookSubscriptionInput } from '@/types/webhooks';
+
+export const EVENT_TYPE_LABELS: Record<WebhookEventType, { label: string; description: string }> = {
+  [WebhookEventType.LISTING_PUBLISHED]: {
+    label: 'Listing published',
+    description: 'A moderator publishes a listing'
+  },
+  [WebhookEventType.LISTING_REJECTED]: {
+    label: 'Listing rejected',
+    description: 'A moderator rejects a listing, with the reason'
+  },
+  [WebhookEventType.LEAD_STATUS_CHANGED]: {
+    label: 'Lead status changed',
+    description: 'A lead moves to another stage, with its previous status'
+  },
+  [WebhookEventType.PAYMENT_COMPLETED]: {
+    label: 'Payment completed',
+    description: 'An advisor payment is marked as completed'
+  }
+};
+
+interface WebhookFormProps {
+  subscription?: WebhookSubscription;
+  isSubmitting: boolean;
+  onSubmit: (input: WebhookSubscriptionInput) => void;
+  onCancel: () => void;
+}
+
+/**
+ * Endpoint URL, description and event types for a new or existing webhook
+ */
+export default function WebhookForm({ subscription, isSubmitting, onSubmit, onCancel }: WebhookFormProps) {
+  const [url, setUrl] = useState(subscription?.url || '');
+  const [description, setDescription] = useState(subscription?.description || '');
+  const [events, setEvents] = useState<WebhookEventType[]>(subscription?.events || []);
+
+  const toggleEvent = (event: WebhookEventType, checked: boolean) => {
+    setEvents(prev => checked ? [...prev, event] : prev.filter(e => e !== event));
+  };
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    onSubmit({ url: url.trim(), description: description.trim(), events });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <label htmlFor="webhook-url" className="block text-sm font-medium text-gray-700 mb-1">
+          Endpoint URL
+        </label>
+        <input
+          id="webhook-url"
+          type="url"
+          required
+          placeholder="https://crm.example.com/hooks/business-options"
+          className="block w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-1 focus:ring-[#0031ac] focus:border-[#0031ac]"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          disabled={isSubmitting}
+        />
+      </div>
+
+      <div>
+        <label htmlFor="webhook-description" className="block text-sm font-medium text-gray-700 mb-1">
+          Description
+        </label>
+        <input
+          id="webhook-description"
+          type="text"
+          maxLength={200}
+          placeholder="e.g. CRM lead sync"
+          className="block w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-1 focus:ring-[#0031ac] focus:border-[#0031ac]"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          disabled={isSubmitting}
+        />
+      </div>
+
+      <fieldset>
+        <legend className="block text-sm font-medium text-gray-700 mb-2">Events</legend>
+        <div className="space-y-2">
+          {Object.values(WebhookEventType).map(event => (
+            <label key={event} className="flex items-start text-sm text-gray-700">
+              <input
+                type="checkbox"
+                className="h-4 w-4 mt-0.5 text-[#0031ac] focus:ring-blue-500 border-gray-300 rounded mr-2"
+                checked={events.includes(event)}
+                onChange={(e) => toggleEvent(event, e.target.checked)}
+                disabled={isSubmitting}
+              />
+              <span>
+                <span className="font-medium">{EVENT_TYPE_LABELS[event].label}</span>
+                <span className="font-mono text-xs text-gray-400 ml-2">{event}</span>
+                <span className="block text-xs text-gray-500">{EVENT_TYPE_LABELS[event].description}</span>
+              </span>
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <div className="flex gap-3">
+        <Button type="submit" size="sm" isLoading={isSubmitting} disabled={!url.trim() || events.length === 0}>
+          {subscription ? 'Save Webhook' : 'Add Webhook'}
+        </Button>
+        <Button type="button" size="sm" variant="outline" onClick={onCancel} disabled={isSubmitting}>
+          Cancel
+        </Button>
+      </div>
+    </form>
+  );
+}
@@ -15,7 +15,7 @@ import {
   serverTimestamp 
 } from 'firebase/firestore';
 import { 
-  signInWithEmailAndPassword, 
+  signInWithCustomToken, 
   signOut as firebaseSignOut,
   browserLocalPersistence,  
   browserSessionPersistence,  
@@ -23,6 +23,9 @@ import {
   onIdTokenChanged
 } from 'firebase/auth';
 import { toast } from 'react-hot-toast';
+import { requestLoginToken, verifyLoginMfa } from '@/services/auth';
+import { ApiError } from '@/services/apiClient';
+import { endCurrentSession, sendSessionHeartbeat } from '@/services/sessionService';
 
 // Custom event for Firebase auth errors
 const createFirebaseErrorEvent = (error: any) => {
@@ -32,14 +35,31 @@ const createFirebaseErrorEvent = (error: any) => {
   window.dispatchEvent(errorEvent);
 };
 
+/**
+ * Pending second sign-in step after a correct password
+ */
+export interface MfaChallenge {
+  mfaToken: string;
+  email: string;
+  // The role requires two-factor authentication but the account has not enrolled yet
+  enrollmentRequired: boolean;
+  // Set once a mandatory enrolment is confirmed; the session starts after the user has saved them
+  recoveryCodes?: string[];
+}
+
 interface AuthContextType {
   user: UserDetails | null;
   isAuthenticated: boolean;
   isLoading: boolean;
-  signIn: (email: string, password: string, rememberMe?: boolean) => Promise<void>;
+  // Resolves true once a session is established, or false when a second step is pending
+  signIn: (email: string, password: string, rememberMe?: boolean) => Promise<boolean>;
   signOut: () => Promise<void>;
   error: Error | null;
   refreshToken: () => Promise<boolean>;
+  mfaChallenge: MfaChallenge | null;
+  completeMfa: (factor: { code?: string; recoveryCode?: string }) => Promise<void>;
+  acknowledgeRecoveryCodes: () => Promise<void>;
+  cancelMfa: () => void;
 }
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
@@ -47,11 +67,24 @@ const AuthContext = createContext<AuthContextType | undefined>(undefined);
 // Allowed roles for admin panel access
 const ALLOWED_ROLES = ['super_admin', 'admin', 'moderator', 'advisor'];
 
+// How often to check that this session has not been revoked from another device or by an admin
+const SESSION_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+// Errors meaning this session can no longer be used and the tab must sign out
+const isSessionEndedError = (error: any) =>
+  (error instanceof ApiError && ['session_revoked', 'session_required', 'mfa_required', 'mfa_enrollment_required'].includes(error.code || '')) ||
+  error?.code === 'auth/user-token-expired' ||
+  error?.code === 'auth/user-disabled';
+
 export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
   const [user, setUser] = useState<UserDetails | null>(null);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<Error | null>(null);
+  const [mfaChallenge, setMfaChallenge] = useState<MfaChallenge | null>(null);
+  
+  // Custom token held back until new recovery codes have been acknowledged
+  const pendingCustomToken = useRef<string | null>(null);
   
   // Use refs to track async operations and prevent race conditions
   const signOutInProgress = useRef(false);
@@ -147,7 +180,7 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
           if (firebaseUser) {
             try {
               // Ensure token is fresh
-              await firebaseUser.getIdToken(true);
+              const tokenResult = await firebaseUser.getIdTokenResult(true);
               
               // Query Firestore by uid
               const userQuery = query(
@@ -162,7 +195,18 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
               if (!userDocs.empty) {
                 const userData = userDocs.docs[0].data() as UserDetails;
                 
-                if (ALLOWED_ROLES.includes(userData.role)) { 
+                if (userData.mfaEnabled && !tokenResult.claims.mfa) {
+                  // A session without the second step (e.g. from before enrolment) is not accepted
+                  if (mounted) {
+                    sessionStorage.removeItem('user_data');
+                    setUser(null);
+                    setIsAuthenticated(false);
+                    setError(new Error('Two-factor verification is required. Please sign in again.'));
+                    loginVerificationInProgress.current = false;
+                    
+                    await firebaseSignOut(auth);
+                  }
+                } else if (ALLOWED_ROLES.includes(userData.role)) { 
                   // Update last login time in Firestore
                   await updateDoc(userDocs.docs[0].ref, {
                     lastLogin: serverTimestamp()
@@ -291,6 +335,13 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
         } catch (error) {
           console.error("Error refreshing token:", error);
           
+          // Refresh tokens revoked by an admin cannot be retried
+          if (isSessionEndedError(error)) {
+            toast.error("Your session was ended. Please sign in again.", { id: "session-ended-toast" });
+            performLogout();
+            return;
+          }
+          
           // Mark auth error
           authErrorOccurred.current = true;
           
@@ -368,24 +419,72 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     };
   }, [isAuthenticated, isLoading, clearAllTimeouts, refreshToken, performLogout]);
 
+  // Session check - signs this tab out once its session has been revoked elsewhere
+  useEffect(() => {
+    if (!isAuthenticated || isLoading) return;
+    
+    const checkSession = async () => {
+      if (!auth.currentUser || signOutInProgress.current) return;
+      
+      try {
+        await sendSessionHeartbeat();
+      } catch (error) {
+        if (isSessionEndedError(error)) {
+          toast.error("Your session was ended. Please sign in again.", { id: "session-ended-toast" });
+          performLogout();
+        } else {
+          console.warn('Session check failed:', error);
+        }
+      }
+    };
+    
+    checkSession();
+    const interval = setInterval(checkSession, SESSION_CHECK_INTERVAL_MS);
+    
+    // Check straight away when the user comes back to the tab
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') checkSession();
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [isAuthenticated, isLoading, performLogout]);
+
   // Sign in function with improved error handling
   const signIn = useCallback(async (email: string, password: string, rememberMe = false) => {
-    if (loginVerificationInProgress.current) return;
+    if (loginVerificationInProgress.current) return false;
     
     loginVerificationInProgress.current = true;
     setIsLoading(true);
     setError(null);
+    setMfaChallenge(null);
     
     try {
       // Set the persistence type based on remember me checkbox
       const persistenceType = rememberMe ? browserLocalPersistence : browserSessionPersistence;
       await setPersistence(auth, persistenceType);
       
-      // Attempt sign in with email and password
-      await signInWithEmailAndPassword(auth, email, password);
+      // Check the password with the backend, which enforces rate limits and lockout,
+      // then exchange the returned custom token for a Firebase session
+      const result = await requestLoginToken(email, password);
       
-      // Auth success is handled by the auth state listener in the useEffect
+      // No session yet - the login page asks for the second factor
+      if (result.mfaRequired) {
+        setMfaChallenge({
+          mfaToken: result.mfaToken,
+          email,
+          enrollmentRequired: result.mfaEnrollmentRequired
+        });
+        return false;
+      }
+      
+      await signInWithCustomToken(auth, result.customToken);
       
+      // Auth success is handled by the auth state listener in the useEffect
+      return true;
     } catch (error: any) {
       // Clear any existing cached user data
       sessionStorage.removeItem('user_data');
@@ -397,7 +496,10 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
       // Convert Firebase errors to user-friendly messages
       let errorMessage = 'Login failed. Please check your credentials.';
       
-      if (error.code) {
+      if (error instanceof ApiError) {
+        // Backend messages are already user-friendly; lockout details stay on the error for Login.tsx
+        errorMessage = error.message;
+      } else if (error.code) {
         // Create user-friendly error messages based on Firebase error codes
         switch (error.code) {
           case 'auth/user-not-found':
@@ -458,6 +560,56 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     }
   }, []);
 
+  // Second sign-in step. Errors are re-thrown so the login page can show remaining attempts.
+  const completeMfa = useCallback(async (factor: { code?: string; recoveryCode?: string }) => {
+    if (!mfaChallenge) return;
+    
+    setError(null);
+    
+    try {
+      const result = await verifyLoginMfa(mfaChallenge.mfaToken, factor);
+      
+      // A mandatory enrolment just finished - show the recovery codes before starting the session
+      if (result.recoveryCodes) {
+        pendingCustomToken.current = result.customToken;
+        setMfaChallenge({ ...mfaChallenge, recoveryCodes: result.recoveryCodes });
+        return;
+      }
+      
+      if (result.recoveryCodeUsed) {
+        toast('A recovery code was used. Generate new codes from your profile if you are running low.', {
+          id: 'recovery-code-used-toast',
+          icon: '🔑'
+        });
+      }
+      
+      setMfaChallenge(null);
+      await signInWithCustomToken(auth, result.customToken);
+    } catch (error: any) {
+      // The challenge is gone (expired, or too many wrong codes) - start again from the password
+      if (error instanceof ApiError && ['mfa_challenge_invalid', 'account_locked'].includes(error.code || '')) {
+        setMfaChallenge(null);
+        setError(new Error(error.message));
+      }
+      throw error;
+    }
+  }, [mfaChallenge]);
+  
+  const acknowledgeRecoveryCodes = useCallback(async () => {
+    const customToken = pendingCustomToken.current;
+    pendingCustomToken.current = null;
+    setMfaChallenge(null);
+    
+    if (customToken) {
+      await signInWithCustomToken(auth, customToken);
+    }
+  }, []);
+  
+  const cancelMfa = useCallback(() => {
+    pendingCustomToken.current = null;
+    setMfaChallenge(null);
+  }, []);
+
   const signOut = useCallback(async () => {
     // Set flag to prevent race conditions
     signOutInProgress.current = true;
@@ -483,6 +635,9 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
       // This will be used by the Login component to show the success toast
       sessionStorage.setItem('signedOut', 'true');
       
+      // Record the sign-out so the session drops off the user's active list
+      await endCurrentSession();
+      
       // Sign out from Firebase
       await firebaseSignOut(auth);
       
@@ -518,8 +673,12 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     signIn,
     signOut,
     error,
-    refreshToken
-  }), [user, isAuthenticated, isLoading, loginVerificationInProgress, signIn, signOut, error, refreshToken]);
+    refreshToken,
+    mfaChallenge,
+    completeMfa,
+    acknowledgeRecoveryCodes,
+    cancelMfa
+  }), [user, isAuthenticated, isLoading, loginVerificationInProgress, signIn, signOut, error, refreshToken, mfaChallenge, completeMfa, acknowledgeRecoveryCodes, cancelMfa]);
 
   return (
     <AuthContext.Provider value={contextValue}>
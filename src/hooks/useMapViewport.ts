@@ -0,0 +1,118 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import type { PointerEvent } from 'react';
+import { GeoPoint } from '@/schemas/geo';
+import { DEFAULT_VIEW, MAX_ZOOM, MIN_ZOOM, MapView, getVisibleTiles, project, unproject } from '@/lib/mapTiles';
+
+// Wheel movement per zoom level; trackpads send many small events
+const WHEEL_STEP = 100;
+
+interface MapViewportOptions {
+  // A click on the map itself rather than a drag, with the point clicked
+  onMapClick?: (point: GeoPoint) => void;
+  // Before the zoom changes
+  onZoom?: () => void;
+}
+
+/**
+ * Hook for the view of an OpenStreetMap tile map (src/lib/mapTiles.ts) that is dragged to pan
+ * and zoomed with the wheel, sized to its container. Buttons and links on the map keep their clicks.
+ * @returns The container's ref and pointer handlers, the view, the world pixel at the map's top
+ *   left, the tiles on screen and zoomTo
+ */
+const useMapViewport = ({ onMapClick, onZoom }: MapViewportOptions = {}) => {
+  const containerRef = useRef<HTMLDivElement>(null);
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  const [view, setView] = useState<MapView>(DEFAULT_VIEW);
+  const drag = useRef<{ startX: number; startY: number; centerX: number; centerY: number; moved: boolean } | null>(null);
+  const wheelDelta = useRef(0);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const observer = new ResizeObserver(() => setSize({ width: container.clientWidth, height: container.clientHeight }));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  const centerPixel = project(view.center, view.zoom);
+  const left = centerPixel.x - size.width / 2;
+  const top = centerPixel.y - size.height / 2;
+
+  const tiles = useMemo(
+    () => getVisibleTiles(view.zoom, left, top, size.width, size.height),
+    [view.zoom, left, top, size.width, size.height]
+  );
+
+  // Zoom keeping the point under the cursor (or the centre) in place
+  const zoomTo = (zoom: number, anchorX = size.width / 2, anchorY = size.height / 2) => {
+    const nextZoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom));
+    if (nextZoom === view.zoom) return;
+
+    const anchor = unproject(left + anchorX, top + anchorY, view.zoom);
+    const anchorPixel = project(anchor, nextZoom);
+    onZoom?.();
+    setView({
+      center: unproject(anchorPixel.x - anchorX + size.width / 2, anchorPixel.y - anchorY + size.height / 2, nextZoom),
+      zoom: nextZoom
+    });
+  };
+
+  // React's wheel listeners are passive, so the page would scroll too
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const handleWheel = (event: WheelEvent) => {
+      event.preventDefault();
+      wheelDelta.current += event.deltaY;
+      if (Math.abs(wheelDelta.current) < WHEEL_STEP) return;
+
+      const bounds = container.getBoundingClientRect();
+      zoomTo(view.zoom + (wheelDelta.current < 0 ? 1 : -1), event.clientX - bounds.left, event.clientY - bounds.top);
+      wheelDelta.current = 0;
+    };
+
+    container.addEventListener('wheel', handleWheel, { passive: false });
+    return () => container.removeEventListener('wheel', handleWheel);
+  });
+
+  const onPointerDown = (event: PointerEvent<HTMLDivElement>) => {
+    if ((event.target as HTMLElement).closest('button, a')) return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    drag.current = { startX: event.clientX, startY: event.clientY, centerX: centerPixel.x, centerY: centerPixel.y, moved: false };
+  };
+
+  const onPointerMove = (event: PointerEvent<HTMLDivElement>) => {
+    if (!drag.current) return;
+    const dx = event.clientX - drag.current.startX;
+    const dy = event.clientY - drag.current.startY;
+    if (Math.abs(dx) + Math.abs(dy) > 3) drag.current.moved = true;
+    setView(prev => ({ ...prev, center: unproject(drag.current!.centerX - dx, drag.current!.centerY - dy, prev.zoom) }));
+  };
+
+  const onPointerUp = (event: PointerEvent<HTMLDivElement>) => {
+    if (drag.current && !drag.current.moved && onMapClick) {
+      const bounds = event.currentTarget.getBoundingClientRect();
+      const point = unproject(left + event.clientX - bounds.left, top + event.clientY - bounds.top, view.zoom);
+      // Back to -180..180 after panning around the world
+      onMapClick({ ...point, longitude: ((point.longitude + 540) % 360) - 180 });
+    }
+    drag.current = null;
+    if (event.currentTarget.hasPointerCapture(event.pointerId)) event.currentTarget.releasePointerCapture(event.pointerId);
+  };
+
+  return {
+    containerRef,
+    size,
+    view,
+    setView,
+    left,
+    top,
+    tiles,
+    zoomTo,
+    handlers: { onPointerDown, onPointerMove, onPointerUp }
+  };
+};
+
+export default useMapViewport;
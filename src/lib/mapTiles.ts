@@ -0,0 +1,89 @@
+import { GeoPoint } from '@/schemas/geo';
+
+/**
+ * OpenStreetMap tiles in Web Mercator, for the maps drawn without a map library
+ * (listings on a map, franchise territories). Positions are world pixels: pixels on the whole
+ * world map at a zoom, from its top left corner.
+ */
+
+export interface MapView {
+  center: GeoPoint;
+  zoom: number;
+}
+
+export const TILE_SIZE = 256;
+export const TILE_URL = 'https://tile.openstreetmap.org';
+export const MIN_ZOOM = 2;
+export const MAX_ZOOM = 16;
+// India, until there is something to fit
+export const DEFAULT_VIEW: MapView = { center: { latitude: 22.5, longitude: 79 }, zoom: 4 };
+
+const EARTH_CIRCUMFERENCE_KM = 40075;
+
+// A point's position in world pixels at a zoom
+export const project = ({ latitude, longitude }: GeoPoint, zoom: number) => {
+  const worldSize = TILE_SIZE * 2 ** zoom;
+  const sin = Math.sin((Math.max(-85, Math.min(85, latitude)) * Math.PI) / 180);
+  return {
+    x: ((longitude + 180) / 360) * worldSize,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * worldSize
+  };
+};
+
+export const unproject = (x: number, y: number, zoom: number): GeoPoint => {
+  const worldSize = TILE_SIZE * 2 ** zoom;
+  const n = Math.PI - (2 * Math.PI * y) / worldSize;
+  return {
+    latitude: (180 / Math.PI) * Math.atan(Math.sinh(n)),
+    longitude: (x / worldSize) * 360 - 180
+  };
+};
+
+// How many pixels a distance spans at a latitude and zoom
+export const kmToPixels = (km: number, latitude: number, zoom: number) =>
+  km / (EARTH_CIRCUMFERENCE_KM * Math.cos((latitude * Math.PI) / 180) / (TILE_SIZE * 2 ** zoom));
+
+// The closest zoom at which every point fits in the map, and the centre of their bounds
+export const fitPoints = (points: GeoPoint[], width: number, height: number, maxZoom = 12): MapView => {
+  if (points.length === 0) return DEFAULT_VIEW;
+
+  const padding = 40;
+  let zoom = maxZoom;
+  for (; zoom > MIN_ZOOM; zoom--) {
+    const pixels = points.map(point => project(point, zoom));
+    const xs = pixels.map(pixel => pixel.x);
+    const ys = pixels.map(pixel => pixel.y);
+    if (Math.max(...xs) - Math.min(...xs) <= width - 2 * padding && Math.max(...ys) - Math.min(...ys) <= height - 2 * padding) break;
+  }
+
+  const pixels = points.map(point => project(point, zoom));
+  const xs = pixels.map(pixel => pixel.x);
+  const ys = pixels.map(pixel => pixel.y);
+  return {
+    center: unproject((Math.min(...xs) + Math.max(...xs)) / 2, (Math.min(...ys) + Math.max(...ys)) / 2, zoom),
+    zoom
+  };
+};
+
+/**
+ * The tiles covering a map whose top left corner is at world pixel (left, top)
+ * @returns Each tile's URL and its position in the map
+ */
+export const getVisibleTiles = (zoom: number, left: number, top: number, width: number, height: number) => {
+  const tileCount = 2 ** zoom;
+  const tiles: { key: string; url: string; x: number; y: number }[] = [];
+  for (let tileX = Math.floor(left / TILE_SIZE); tileX <= Math.floor((left + width) / TILE_SIZE); tileX++) {
+    for (let tileY = Math.floor(top / TILE_SIZE); tileY <= Math.floor((top + height) / TILE_SIZE); tileY++) {
+      if (tileY < 0 || tileY >= tileCount) continue;
+      // The world repeats sideways
+      const wrappedX = ((tileX % tileCount) + tileCount) % tileCount;
+      tiles.push({
+        key: `${zoom}/${tileX}/${tileY}`,
+        url: `${TILE_URL}/${zoom}/${wrappedX}/${tileY}.png`,
+        x: tileX * TILE_SIZE - left,
+        y: tileY * TILE_SIZE - top
+      });
+    }
+  }
+  return tiles;
+};
@@ -0,0 +1,48 @@
+/**
+ * Admin panel password policy
+ * Mirrors server/services/passwordPolicy.js, which enforces the same rules when an invitation is accepted
+ */
+
+export const PASSWORD_MIN_LENGTH = 12;
+export const PASSWORD_MAX_LENGTH = 128;
+
+export interface PasswordRule {
+  label: string;
+  test: (password: string) => boolean;
+}
+
+export const PASSWORD_RULES: PasswordRule[] = [
+  {
+    label: `At least ${PASSWORD_MIN_LENGTH} characters`,
+    test: (password) => password.length >= PASSWORD_MIN_LENGTH && password.length <= PASSWORD_MAX_LENGTH
+  },
+  {
+    label: 'An uppercase letter',
+    test: (password) => /[A-Z]/.test(password)
+  },
+  {
+    label: 'A lowercase letter',
+    test: (password) => /[a-z]/.test(password)
+  },
+  {
+    label: 'A number',
+    test: (password) => /[0-9]/.test(password)
+  },
+  {
+    label: 'A special character',
+    test: (password) => /[^A-Za-z0-9]/.test(password)
+  }
+];
+
+/**
+ * Check whether a password contains the account holder's name or login email
+ */
+export function containsPersonalInfo(password: string, name?: string, loginEmail?: string): boolean {
+  const lowered = password.toLowerCase();
+  const personalParts = [
+    ...(name ? name.toLowerCase().split(/\s+/) : []),
+    ...(loginEmail ? [loginEmail.toLowerCase().split('@')[0]] : [])
+  ].filter(part => part.length >= 3);
+
+  return personalParts.some(part => lowered.includes(part));
+}
@@ -0,0 +1,404 @@
+/**
+ * Spreadsheet files
+ * Reads CSV and Excel (.xlsx) files into rows of cell text and writes both formats,
+ * using the browser's own zip decompression and XML parser
+ */
+
+export type SpreadsheetRow = string[];
+
+export const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+/**
+ * Split CSV text into rows of cells: quoted cells may contain commas, quotes ("") and line breaks
+ */
+export function parseCsv(text: string): SpreadsheetRow[] {
+  const rows: SpreadsheetRow[] = [];
+  let row: SpreadsheetRow = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Text Excel would run as a formula when the file is opened
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Write rows as CSV, quoting cells that need it. Starts with a byte order mark so Excel reads it as UTF-8.
+ * Text that starts like a formula is prefixed with ' so spreadsheet apps show it as text.
+ */
+export function toCsv(rows: unknown[][]): string {
+  const toCell = (value: unknown) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return '\uFEFF' + rows.map(row => row.map(toCell).join(',')).join('\r\n');
+}
+
+/**
+ * Files in a zip archive by name, read from its central directory
+ */
+async function readZip(buffer: ArrayBuffer): Promise<Map<string, () => Promise<string>>> {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const decoder = new TextDecoder();
+
+  // The end of central directory record is in the last 64 KB (its comment is at most 65535 bytes)
+  let end = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new Error('The file is not a valid Excel workbook');
+
+  const files = new Map<string, () => Promise<string>>();
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('The file is not a valid Excel workbook');
+
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    files.set(name, async () => {
+      // The local header repeats the name and may have its own extra field
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = bytes.slice(dataStart, dataStart + compressedSize);
+
+      if (method === 0) return decoder.decode(data);
+      if (method !== 8) throw new Error(`Unsupported compression in ${name}`);
+
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      return new Response(stream).text();
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return files;
+}
+
+const SPREADSHEET_NAMESPACE = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIP_NAMESPACE = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const DOCUMENT_RELATIONSHIP = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const parseXml = (text: string) => new DOMParser().parseFromString(text, 'application/xml');
+
+// Elements by local name, whatever namespace prefix the workbook's writer used
+const elements = (parent: Document | Element, name: string) => Array.from(parent.getElementsByTagNameNS('*', name));
+
+// Built-in number formats that display dates
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+// Custom formats with day, month or year codes outside quoted text and [colors]
+const isDateFormatCode = (code: string) => /[dmy]/i.test(code.replace(/"[^"]*"|\[[^\]]*\]/g, ''));
+
+// "AB12" -> 27
+const getColumnIndex = (reference: string) => {
+  const letters = reference.replace(/[^A-Z]/gi, '').toUpperCase();
+  return letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+// Day count from the workbook's epoch to YYYY-MM-DD
+const serialToDate = (serial: number, date1904: boolean) => {
+  const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+  return new Date(epoch + Math.round(serial * 86400) * 1000).toISOString().slice(0, 10);
+};
+
+/**
+ * Cell text of the first worksheet of an Excel workbook.
+ * Dates are returned as YYYY-MM-DD; formulas as their last calculated value.
+ */
+export async function readXlsx(buffer: ArrayBuffer): Promise<SpreadsheetRow[]> {
+  const files = await readZip(buffer);
+  const read = async (name: string) => {
+    const file = files.get(name);
+    return file ? parseXml(await file()) : null;
+  };
+
+  const workbook = await read('xl/workbook.xml');
+  if (!workbook) throw new Error('The file is not a valid Excel workbook');
+
+  const date1904 = elements(workbook, 'workbookPr')[0]?.getAttribute('date1904') === '1';
+
+  // The first sheet's file, through the workbook's relationships
+  const sheetId = elements(workbook, 'sheet')[0]?.getAttributeNS(DOCUMENT_RELATIONSHIP, 'id');
+  const relationships = await read('xl/_rels/workbook.xml.rels');
+  const target = relationships && elements(relationships, 'Relationship')
+    .find(relationship => relationship.getAttribute('Id') === sheetId)
+    ?.getAttribute('Target');
+  const sheetPath = target
+    ? (target.startsWith('/') ? target.slice(1) : `xl/${target}`)
+    : 'xl/worksheets/sheet1.xml';
+
+  const sheet = await read(sheetPath);
+  if (!sheet) throw new Error('The workbook has no worksheets');
+
+  // Text of each <si>, leaving out phonetic hints
+  const sharedStringsXml = await read('xl/sharedStrings.xml');
+  const sharedStrings = sharedStringsXml
+    ? elements(sharedStringsXml, 'si').map(item => elements(item, 't')
+      .filter(text => text.parentElement?.localName !== 'rPh')
+      .map(text => text.textContent || '')
+      .join(''))
+    : [];
+
+  // Which cell styles display dates
+  const styles = await read('xl/styles.xml');
+  const dateStyles = new Set<number>();
+  if (styles) {
+    const customDateFormats = new Set(elements(styles, 'numFmt')
+      .filter(format => isDateFormatCode(format.getAttribute('formatCode') || ''))
+      .map(format => Number(format.getAttribute('numFmtId'))));
+    const cellFormats = elements(styles, 'cellXfs')[0];
+    if (cellFormats) {
+      elements(cellFormats, 'xf').forEach((format, index) => {
+        const formatId = Number(format.getAttribute('numFmtId'));
+        if (DATE_FORMAT_IDS.has(formatId) || customDateFormats.has(formatId)) dateStyles.add(index);
+      });
+    }
+  }
+
+  const rows: SpreadsheetRow[] = [];
+  elements(sheet, 'row').forEach(rowElement => {
+    const rowIndex = Number(rowElement.getAttribute('r')) - 1;
+    const row: SpreadsheetRow = [];
+
+    elements(rowElement, 'c').forEach(cellElement => {
+      const reference = cellElement.getAttribute('r');
+      const columnIndex = reference ? getColumnIndex(reference) : row.length;
+      const type = cellElement.getAttribute('t');
+      const value = elements(cellElement, 'v')[0]?.textContent ?? '';
+
+      let text: string;
+      if (type === 's') {
+        text = sharedStrings[Number(value)] ?? '';
+      } else if (type === 'inlineStr') {
+        text = elements(cellElement, 't').map(element => element.textContent || '').join('');
+      } else if (type === 'b') {
+        text = value === '1' ? 'TRUE' : 'FALSE';
+      } else if (value !== '' && (!type || type === 'n') && dateStyles.has(Number(cellElement.getAttribute('s')))) {
+        text = serialToDate(Number(value), date1904);
+      } else {
+        text = value;
+      }
+
+      row[columnIndex] = text;
+    });
+
+    rows[Number.isNaN(rowIndex) ? rows.length : rowIndex] = Array.from(row, cell => cell ?? '');
+  });
+
+  return Array.from(rows, row => row ?? []);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (data: Uint8Array) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * A zip archive of the given files, stored without compression
+ */
+function writeZip(files: { name: string; content: string }[]): Blob {
+  const encoder = new TextEncoder();
+  const parts: Uint8Array[] = [];
+  const directory: Uint8Array[] = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+
+    // Version 2.0, UTF-8 names, stored, dated 1980-01-01
+    const header = (size: number, signature: number) => {
+      const buffer = new Uint8Array(size);
+      const view = new DataView(buffer.buffer);
+      view.setUint32(0, signature, true);
+      return { buffer, view };
+    };
+
+    const local = header(30, 0x04034b50);
+    local.view.setUint16(4, 20, true);
+    local.view.setUint16(6, 0x0800, true);
+    local.view.setUint16(12, 0x21, true);
+    local.view.setUint32(14, crc, true);
+    local.view.setUint32(18, data.length, true);
+    local.view.setUint32(22, data.length, true);
+    local.view.setUint16(26, name.length, true);
+
+    const central = header(46, 0x02014b50);
+    central.view.setUint16(4, 20, true);
+    central.view.setUint16(6, 20, true);
+    central.view.setUint16(8, 0x0800, true);
+    central.view.setUint16(14, 0x21, true);
+    central.view.setUint32(16, crc, true);
+    central.view.setUint32(20, data.length, true);
+    central.view.setUint32(24, data.length, true);
+    central.view.setUint16(28, name.length, true);
+    central.view.setUint32(42, offset, true);
+
+    parts.push(local.buffer, name, data);
+    directory.push(central.buffer, name);
+    offset += local.buffer.length + name.length + data.length;
+  });
+
+  const directorySize = directory.reduce((size, part) => size + part.length, 0);
+  const end = new Uint8Array(22);
+  const view = new DataView(end.buffer);
+  view.setUint32(0, 0x06054b50, true);
+  view.setUint16(8, files.length, true);
+  view.setUint16(10, files.length, true);
+  view.setUint32(12, directorySize, true);
+  view.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+}
+
+// Text safe in XML: escaped, without the control characters XML does not allow
+const escapeXml = (text: string) => text
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// 0 -> "A", 27 -> "AB"
+const getColumnName = (index: number): string =>
+  (index >= 26 ? getColumnName(Math.floor(index / 26) - 1) : '') + String.fromCharCode(65 + (index % 26));
+
+/**
+ * An Excel workbook with one worksheet holding the rows.
+ * Numbers and booleans are written as such, anything else as text.
+ */
+export function toXlsx(rows: unknown[][], sheetName = 'Sheet1'): Blob {
+  const toCell = (value: unknown, reference: string) => {
+    if (value === null || value === undefined || value === '') return '';
+    if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${reference}"><v>${value}</v></c>`;
+    if (typeof value === 'boolean') return `<c r="${reference}" t="b"><v>${value ? 1 : 0}</v></c>`;
+    return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(value))}</t></is></c>`;
+  };
+
+  const sheetData = rows.map((row, rowIndex) => {
+    const cells = row.map((value, columnIndex) => toCell(value, `${getColumnName(columnIndex)}${rowIndex + 1}`)).join('');
+    return `<row r="${rowIndex + 1}">${cells}</row>`;
+  }).join('');
+
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+  return new Blob([writeZip([
+    {
+      name: '[Content_Types].xml',
+      content: `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: `${xml}<Relationships xmlns="${RELATIONSHIP_NAMESPACE}">`
+        + `<Relationship Id="rId1" Type="${DOCUMENT_RELATIONSHIP}/officeDocument" Target="xl/workbook.xml"/>`
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: `${xml}<workbook xmlns="${SPREADSHEET_NAMESPACE}" xmlns:r="${DOCUMENT_RELATIONSHIP}">`
+        + `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: `${xml}<Relationships xmlns="${RELATIONSHIP_NAMESPACE}">`
+        + `<Relationship Id="rId1" Type="${DOCUMENT_RELATIONSHIP}/worksheet" Target="worksheets/sheet1.xml"/>`
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content: `${xml}<worksheet xmlns="${SPREADSHEET_NAMESPACE}"><sheetData>${sheetData}</sheetData></worksheet>`
+    }
+  ])], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+}
+
+/**
+ * Rows of a CSV or Excel file, without blank rows at the end
+ * @throws Error for other file types and unreadable files
+ */
+export async function readSpreadsheet(file: File): Promise<SpreadsheetRow[]> {
+  const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
+  let rows: SpreadsheetRow[];
+
+  if (extension === '.csv') {
+    rows = parseCsv(await file.text());
+  } else if (extension === '.xlsx') {
+    rows = await readXlsx(await file.arrayBuffer());
+  } else {
+    throw new Error(`Unsupported file type. Use ${SPREADSHEET_EXTENSIONS.join(' or ')}.`);
+  }
+
+  while (rows.length > 0 && rows[rows.length - 1].every(cell => !cell.trim())) rows.pop();
+  return rows;
+}
+
+/**
+ * Download text as a file
+ */
+export function downloadFile(content: BlobPart, fileName: string, type: string): void {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
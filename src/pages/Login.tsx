@@ -2,10 +2,13 @@ import { useState, useEffect, useRef } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '@/context/AuthContext';
 import { useLoading } from '@/context/LoadingContext';
-import { Mail, Lock, AlertCircle, Eye, EyeOff, Check } from 'lucide-react';
+import { Mail, Lock, AlertCircle, Eye, EyeOff, Check, ShieldAlert } from 'lucide-react';
 import { z } from 'zod';
 import Button from '@/components/ui/Button';
 import ErrorBoundary from '@/components/ErrorBoundary';
+import MfaChallenge from '@/components/auth/MfaChallenge';
+import { ApiError } from '@/services/apiClient';
+import { formatDate, getTimeRemaining } from '@/lib/utils';
 import toast from 'react-hot-toast';
 
 // Enhanced validation schema with more specific error messages
@@ -21,7 +24,7 @@ const loginSchema = z.object({
 export default function Login() {
   const navigate = useNavigate();
   const location = useLocation();
-  const { signIn, isAuthenticated, isLoading, error } = useAuth();
+  const { signIn, isAuthenticated, isLoading, error, mfaChallenge } = useAuth();
   const { startLoading, stopLoading } = useLoading();
   
   // Form state
@@ -33,6 +36,12 @@ export default function Login() {
   const [formErrors, setFormErrors] = useState<{email?: string, password?: string}>({});
   const [authError, setAuthError] = useState<string | null>(null);
   
+  // Lockout feedback from the backend for the email last attempted
+  const [remainingAttempts, setRemainingAttempts] = useState<number | null>(null);
+  const [lockedUntil, setLockedUntil] = useState<Date | null>(null);
+  const [, setNow] = useState(Date.now());
+  const isLocked = !!lockedUntil && lockedUntil.getTime() > Date.now();
+  
   // Refs to track form state
   const isRedirecting = useRef(false);
   const toastIdRef = useRef<string | null>(null);
@@ -114,6 +123,27 @@ export default function Login() {
     }
   }, [email, password]);
 
+  // Attempt counts belong to one login email, so forget them when the email changes
+  useEffect(() => {
+    setRemainingAttempts(null);
+    setLockedUntil(null);
+  }, [email]);
+
+  // Tick once a second while locked so the countdown updates and the form unlocks on expiry
+  useEffect(() => {
+    if (!lockedUntil) return;
+    
+    const interval = setInterval(() => {
+      setNow(Date.now());
+      if (lockedUntil.getTime() <= Date.now()) {
+        setLockedUntil(null);
+        setRemainingAttempts(null);
+      }
+    }, 1000);
+    
+    return () => clearInterval(interval);
+  }, [lockedUntil]);
+
   // Cleanup when component mounts and unmounts
   useEffect(() => {
     // Ensure any lingering loading state is cleared when Login page mounts
@@ -195,7 +225,14 @@ export default function Login() {
     
     try {
       // Attempt authentication - this will only show loading on the button
-      await signIn(email, password, remember);
+      const sessionStarted = await signIn(email, password, remember);
+      
+      // The password was right but a second factor is needed - MfaChallenge takes over
+      if (!sessionStarted) {
+        setPassword('');
+        setIsSubmitting(false);
+        return;
+      }
       
       // Handle successful authentication
       authSuccessful.current = true;
@@ -212,6 +249,16 @@ export default function Login() {
       // Let the AuthContext handle showing the error message
       // Don't set duplicate error messages here
       
+      // Surface the attempt count or lockout expiry returned by the backend
+      if (error instanceof ApiError) {
+        if (error.code === 'account_locked' && error.data?.lockedUntil) {
+          setLockedUntil(new Date(error.data.lockedUntil));
+          setRemainingAttempts(0);
+        } else if (error.code === 'invalid_credentials' && typeof error.data?.remainingAttempts === 'number') {
+          setRemainingAttempts(error.data.remainingAttempts);
+        }
+      }
+      
       setIsSubmitting(false);
     }
   };
@@ -236,10 +283,10 @@ export default function Login() {
           <div className="bg-white rounded-xl shadow-xl overflow-hidden">
             <div className="p-8">
               <h2 className="text-2xl font-bold text-gray-900 text-center">
-                Sign In
+                {mfaChallenge ? 'Two-Factor Verification' : 'Sign In'}
               </h2>
               <p className="text-sm text-gray-600 text-center mb-6">
-                Enter your credentials to access admin panel
+                {mfaChallenge ? 'One more step to access admin panel' : 'Enter your credentials to access admin panel'}
               </p>
 
               {/* Authentication Error Message */}
@@ -250,6 +297,27 @@ export default function Login() {
                 </div>
               )}
 
+              {/* Lockout status */}
+              {isLocked && lockedUntil ? (
+                <div className="p-3 bg-red-50 text-red-700 rounded-lg flex items-start text-sm border border-red-200 mb-6" role="alert">
+                  <ShieldAlert className="h-5 w-5 text-red-500 mr-2 mt-0.5 flex-shrink-0" />
+                  <span>
+                    Sign-in for this account is locked until {formatDate(lockedUntil)} ({getTimeRemaining(lockedUntil)}).
+                    An administrator can unlock it sooner.
+                  </span>
+                </div>
+              ) : remainingAttempts !== null && (
+                <div className="p-3 bg-yellow-50 text-yellow-800 rounded-lg flex items-start text-sm border border-yellow-200 mb-6" role="status">
+                  <ShieldAlert className="h-5 w-5 text-yellow-500 mr-2 mt-0.5 flex-shrink-0" />
+                  <span>
+                    {remainingAttempts} attempt{remainingAttempts === 1 ? '' : 's'} remaining before this account is temporarily locked.
+                  </span>
+                </div>
+              )}
+
+              {mfaChallenge ? (
+                <MfaChallenge />
+              ) : (
               <form onSubmit={handleSubmit} className="space-y-5" noValidate>
                 {/* Authentication Error Message */}
                 {authError && (
@@ -381,11 +449,12 @@ export default function Login() {
                   size="md"
                   isLoading={isSubmitting || isLoading}
                   fullWidth
-                  disabled={isSubmitting || isLoading}
+                  disabled={isSubmitting || isLoading || isLocked}
                 >
                   {isSubmitting || isLoading ? 'Signing in...' : 'Sign in'}
                 </Button>
               </form>
+              )}
             </div>
           </div>
           
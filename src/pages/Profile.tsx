@@ -0,0 +1,65 @@
+import { User } from 'lucide-react';
+import usePageTitle from '@/hooks/usePageTitle';
+import ErrorBoundary from '@/components/ErrorBoundary';
+import TwoFactorSettings from '@/components/profile/TwoFactorSettings';
+import ActiveSessions from '@/components/profile/ActiveSessions';
+import ApiKeys from '@/components/profile/ApiKeys';
+import { useAuth } from '@/context/AuthContext';
+
+const ROLE_LABELS: Record<string, string> = {
+  super_admin: 'Super Admin',
+  admin: 'Admin',
+  moderator: 'Moderator',
+  advisor: 'Advisor'
+};
+
+export default function Profile() {
+  usePageTitle('My Profile');
+  const { user } = useAuth();
+
+  return (
+    <ErrorBoundary>
+      <div className="max-w-4xl space-y-6">
+        {/* Page header */}
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">My Profile</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Your account details, sign-in security and API access
+          </p>
+        </div>
+
+        {/* Account details */}
+        <div className="bg-white border border-gray-200 rounded-lg">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+            <User className="h-5 w-5 text-[#0031ac] mr-2" />
+            <h2 className="text-lg font-medium text-gray-900">Account</h2>
+          </div>
+          <dl className="p-6 grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm">
+            <div>
+              <dt className="text-gray-500">Name</dt>
+              <dd className="text-gray-900 font-medium">{user?.name}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-500">Role</dt>
+              <dd className="text-gray-900 font-medium">{user ? ROLE_LABELS[user.role] || user.role : ''}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-500">Login Email</dt>
+              <dd className="text-gray-900 font-mono break-all">{user?.loginEmail || '—'}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-500">Contact Email</dt>
+              <dd className="text-gray-900 break-all">{user?.email}</dd>
+            </div>
+          </dl>
+        </div>
+
+        <TwoFactorSettings />
+
+        <ActiveSessions />
+
+        <ApiKeys />
+      </div>
+    </ErrorBoundary>
+  );
+}
@@ -0,0 +1,302 @@
+import { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { Lock, AlertCircle, Eye, EyeOff, Check, X, CheckCircle } from 'lucide-react';
+import { z } from 'zod';
+import Button from '@/components/ui/Button';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import ErrorBoundary from '@/components/ErrorBoundary';
+import usePageTitle from '@/hooks/usePageTitle';
+import { PASSWORD_MAX_LENGTH, PASSWORD_RULES, containsPersonalInfo } from '@/lib/passwordPolicy';
+import { acceptInvitation, InvitationDetails, verifyInvitation } from '@/services/invitationService';
+import { cn, formatDate } from '@/lib/utils';
+import toast from 'react-hot-toast';
+
+const buildPasswordSchema = (invitation: InvitationDetails | null) => z.object({
+  password: z.string()
+    .min(1, "Password is required")
+    .max(PASSWORD_MAX_LENGTH, `Password must be at most ${PASSWORD_MAX_LENGTH} characters`)
+    .refine(value => PASSWORD_RULES.every(rule => rule.test(value)), {
+      message: "Password does not meet all the requirements below"
+    })
+    .refine(value => !containsPersonalInfo(value, invitation?.name, invitation?.loginEmail), {
+      message: "Password must not contain your name or login email"
+    }),
+  confirmPassword: z.string().min(1, "Please confirm your password")
+}).refine(data => data.password === data.confirmPassword, {
+  message: "Passwords do not match",
+  path: ['confirmPassword']
+});
+
+export default function SetPassword() {
+  usePageTitle('Set Password');
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+
+  // Read the token once, then drop it from the address bar so it is not kept in history
+  const [token] = useState(() => searchParams.get('token') || '');
+
+  const [invitation, setInvitation] = useState<InvitationDetails | null>(null);
+  const [isVerifying, setIsVerifying] = useState(true);
+  const [invitationError, setInvitationError] = useState<string | null>(null);
+
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [formErrors, setFormErrors] = useState<{password?: string, confirmPassword?: string}>({});
+  const [isComplete, setIsComplete] = useState(false);
+
+  useEffect(() => {
+    window.history.replaceState(null, '', window.location.pathname);
+
+    if (!token) {
+      setInvitationError('This link is missing its invitation token. Please use the link from your invitation email.');
+      setIsVerifying(false);
+      return;
+    }
+
+    const checkInvitation = async () => {
+      try {
+        setInvitation(await verifyInvitation(token));
+      } catch (error) {
+        setInvitationError(error instanceof Error ? error.message : 'This invitation link is invalid');
+      } finally {
+        setIsVerifying(false);
+      }
+    };
+
+    checkInvitation();
+  }, [token]);
+
+  const validateForm = () => {
+    try {
+      buildPasswordSchema(invitation).parse({ password, confirmPassword });
+      setFormErrors({});
+      return true;
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        const newErrors: {password?: string, confirmPassword?: string} = {};
+        error.errors.forEach(err => {
+          const field = err.path[0] as 'password' | 'confirmPassword';
+          if (!newErrors[field]) {
+            newErrors[field] = err.message;
+          }
+        });
+        setFormErrors(newErrors);
+      }
+      return false;
+    }
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      await acceptInvitation(token, password);
+      setIsComplete(true);
+      toast.success('Password set successfully');
+    } catch (error) {
+      console.error('Error setting password:', error);
+      setFormErrors({ password: error instanceof Error ? error.message : 'Failed to set password' });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const renderContent = () => {
+    if (isVerifying) {
+      return (
+        <div className="flex justify-center py-8">
+          <LoadingSpinner size="lg" text="Checking your invitation..." />
+        </div>
+      );
+    }
+
+    if (invitationError || !invitation) {
+      return (
+        <div className="space-y-6">
+          <div className="p-3 bg-red-50 text-red-700 rounded-lg flex items-start text-sm border border-red-200">
+            <AlertCircle className="h-5 w-5 text-red-500 mr-2 mt-0.5 flex-shrink-0" />
+            <span>{invitationError}</span>
+          </div>
+          <p className="text-sm text-gray-600 text-center">
+            Ask your administrator to send you a new invitation.
+          </p>
+          <Button variant="outline" fullWidth onClick={() => navigate('/login')}>
+            Go to Sign In
+          </Button>
+        </div>
+      );
+    }
+
+    if (isComplete) {
+      return (
+        <div className="space-y-6">
+          <div className="bg-green-50 border border-green-100 rounded-lg p-4 flex items-start">
+            <CheckCircle className="h-5 w-5 text-green-500 mt-0.5 mr-2 flex-shrink-0" />
+            <p className="text-sm text-green-700">
+              Your password has been set. Sign in with <span className="font-mono">{invitation.loginEmail}</span> and your new password.
+            </p>
+          </div>
+          <Button variant="primary" fullWidth onClick={() => navigate('/login', { replace: true })}>
+            Go to Sign In
+          </Button>
+        </div>
+      );
+    }
+
+    return (
+      <form onSubmit={handleSubmit} className="space-y-5" noValidate>
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+          <div className="text-sm text-gray-500 mb-1">Login Email</div>
+          <div className="font-mono text-sm text-gray-900 break-all">{invitation.loginEmail}</div>
+          <div className="text-xs text-gray-400 mt-2">
+            This link expires on {formatDate(invitation.expiresAt)}
+          </div>
+        </div>
+
+        {/* Password Field */}
+        <div>
+          <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
+            New Password
+          </label>
+          <div className="relative">
+            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+              <Lock className="h-5 w-5 text-gray-400" />
+            </div>
+            <input
+              id="password"
+              name="password"
+              type={showPassword ? "text" : "password"}
+              autoComplete="new-password"
+              className={`block w-full pl-10 pr-10 py-2.5 border ${
+                formErrors.password ? 'border-red-300 focus:ring-red-500 focus:border-red-500' : 'border-gray-300 focus:ring-[#0031ac] focus:border-[#0031ac]'
+              } rounded-lg focus:outline-none focus:ring-1 transition duration-150`}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              disabled={isSubmitting}
+              aria-invalid={!!formErrors.password}
+              aria-describedby="password-requirements"
+            />
+            <button
+              type="button"
+              onClick={() => setShowPassword(!showPassword)}
+              className="absolute inset-y-0 right-0 pr-3 flex items-center"
+              tabIndex={-1}
+              aria-label={showPassword ? "Hide password" : "Show password"}
+            >
+              {showPassword ? (
+                <EyeOff className="h-5 w-5 text-gray-500 hover:text-gray-700" />
+              ) : (
+                <Eye className="h-5 w-5 text-gray-500 hover:text-gray-700" />
+              )}
+            </button>
+          </div>
+          {formErrors.password && (
+            <p className="mt-1 text-sm text-red-600 flex items-center" role="alert">
+              <AlertCircle className="h-3.5 w-3.5 mr-1 flex-shrink-0" />
+              {formErrors.password}
+            </p>
+          )}
+
+          {/* Live policy checklist */}
+          <ul id="password-requirements" className="mt-3 space-y-1">
+            {PASSWORD_RULES.map(rule => {
+              const passed = rule.test(password);
+              return (
+                <li
+                  key={rule.label}
+                  className={cn("flex items-center text-xs", passed ? "text-green-600" : "text-gray-500")}
+                >
+                  {passed ? <Check className="h-3.5 w-3.5 mr-1.5" /> : <X className="h-3.5 w-3.5 mr-1.5" />}
+                  {rule.label}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+
+        {/* Confirm Password Field */}
+        <div>
+          <label htmlFor="confirm-password" className="block text-sm font-medium text-gray-700 mb-1">
+            Confirm Password
+          </label>
+          <div className="relative">
+            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+              <Lock className="h-5 w-5 text-gray-400" />
+            </div>
+            <input
+              id="confirm-password"
+              name="confirm-password"
+              type={showPassword ? "text" : "password"}
+              autoComplete="new-password"
+              className={`block w-full pl-10 pr-3 py-2.5 border ${
+                formErrors.confirmPassword ? 'border-red-300 focus:ring-red-500 focus:border-red-500' : 'border-gray-300 focus:ring-[#0031ac] focus:border-[#0031ac]'
+              } rounded-lg focus:outline-none focus:ring-1 transition duration-150`}
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              disabled={isSubmitting}
+              aria-invalid={!!formErrors.confirmPassword}
+            />
+          </div>
+          {formErrors.confirmPassword && (
+            <p className="mt-1 text-sm text-red-600 flex items-center" role="alert">
+              <AlertCircle className="h-3.5 w-3.5 mr-1 flex-shrink-0" />
+              {formErrors.confirmPassword}
+            </p>
+          )}
+        </div>
+
+        <Button
+          type="submit"
+          variant="primary"
+          size="md"
+          isLoading={isSubmitting}
+          fullWidth
+          disabled={isSubmitting}
+        >
+          {isSubmitting ? 'Setting password...' : 'Set password'}
+        </Button>
+      </form>
+    );
+  };
+
+  return (
+    <ErrorBoundary>
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-800 to-[#0031ac] px-4">
+        <div className="w-full max-w-md">
+          {/* Logo */}
+          <div className="text-center mb-8">
+            <div className="inline-block bg-white p-3 rounded-xl shadow-lg">
+              <img src="/logo.svg" alt="Business Options" className="h-12 w-auto" />
+            </div>
+          </div>
+
+          <div className="bg-white rounded-xl shadow-xl overflow-hidden">
+            <div className="p-8">
+              <h2 className="text-2xl font-bold text-gray-900 text-center">
+                {invitation ? `Welcome, ${invitation.name}` : 'Set Your Password'}
+              </h2>
+              <p className="text-sm text-gray-600 text-center mb-6">
+                Choose a password for your admin panel account
+              </p>
+
+              {renderContent()}
+            </div>
+          </div>
+
+          {/* Footer */}
+          <div className="mt-6 text-center text-sm text-white/70">
+            <p>&copy; 2025 Business Options. All rights reserved.</p>
+          </div>
+        </div>
+      </div>
+    </ErrorBoundary>
+  );
+}
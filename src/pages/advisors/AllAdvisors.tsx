@@ -6,8 +6,9 @@ import usePageTitle from '@/hooks/usePageTitle';
 import Button from '@/components/ui/Button';
 import AdvisorFilters from '@/components/advisors/AdvisorFilters';
 import AdvisorTable from '@/components/advisors/AdvisorTable';
-import AdvisorForm from '@/components/advisors/AdvisorForm';
+import AdvisorForm, { CreatedAccount } from '@/components/advisors/AdvisorForm';
 import CredentialsModal from '@/components/users/CredentialsModal';
+import SessionsModal from '@/components/users/SessionsModal';
 import VerificationCodeModal from '@/components/users/VerificationCodeModal';
 import ErrorBoundary from '@/components/ErrorBoundary';
 import { 
@@ -22,7 +23,8 @@ import {
   updateAdvisor,
   updateAdvisorStatus,
   deleteAdvisor,
-  resetAdvisorPassword
+  resetAdvisorPassword,
+  sendAdvisorInvitation
 } from '@/services/advisorService';
 import { toast } from 'react-hot-toast';
 
@@ -53,6 +55,9 @@ export default function AllAdvisors() {
   // Credentials modal
   const [credentialsModalUser, setCredentialsModalUser] = useState<UserDetails | null>(null);
   
+  // Sessions modal
+  const [sessionsModalUser, setSessionsModalUser] = useState<UserDetails | null>(null);
+  
   // Load advisors on initial render and when filters change
   useEffect(() => {
     loadAdvisors(true);
@@ -119,10 +124,11 @@ export default function AllAdvisors() {
       // Reload advisors
       await loadAdvisors(true);
       
-      // Return credentials to show in AdvisorForm
+      // Return invitation details to show in AdvisorForm
       return {
         loginEmail: result.loginEmail,
-        password: result.password
+        invitationSent: result.invitationSent,
+        invitationExpiresAt: result.invitationExpiresAt
       };
     } catch (error) {
       console.error('Error creating advisor:', error);
@@ -186,6 +192,25 @@ export default function AllAdvisors() {
     }
   };
   
+  // Handle emailing a new set-password link
+  const handleSendInvitation = async () => {
+    if (!credentialsModalUser || !credentialsModalUser.loginEmail) {
+      throw new Error('This advisor has no login email');
+    }
+    
+    try {
+      startLoading('Sending invitation...');
+      const expiresAt = await sendAdvisorInvitation(credentialsModalUser.loginEmail);
+      toast.success(`Invitation sent to ${credentialsModalUser.email}`);
+      return expiresAt;
+    } catch (error) {
+      console.error('Error sending invitation:', error);
+      throw error;
+    } finally {
+      stopLoading();
+    }
+  };
+  
   // Handle resetting password
   const handleResetPassword = async () => {
     if (!credentialsModalUser || !credentialsModalUser.loginEmail) return '';
@@ -282,9 +307,10 @@ export default function AllAdvisors() {
   };
   
   // Handle form submission
-  const handleSubmitForm = async (advisorData: Partial<UserDetails>, profileImage?: File) => {
+  const handleSubmitForm = async (advisorData: Partial<UserDetails>, profileImage?: File): Promise<CreatedAccount | undefined> => {
     if (editAdvisor) {
-      return handleEditAdvisor(advisorData, profileImage);
+      await handleEditAdvisor(advisorData, profileImage);
+      return undefined;
     } else {
       return handleCreateAdvisor(advisorData, profileImage);
     }
@@ -367,6 +393,7 @@ export default function AllAdvisors() {
             onStatusChange={handleStatusChange}
             onViewCredentials={handleViewCredentials}
             onViewVerificationCode={handleViewVerificationCode}
+            onViewSessions={setSessionsModalUser}
           />
         </div>
         
@@ -414,9 +441,18 @@ export default function AllAdvisors() {
           <CredentialsModal
             loginEmail={credentialsModalUser.loginEmail}
             onClose={() => setCredentialsModalUser(null)}
+            onSendInvitation={handleSendInvitation}
             onResetPassword={handleResetPassword}
           />
         )}
+        
+        {/* Sessions modal */}
+        {sessionsModalUser && (
+          <SessionsModal
+            user={sessionsModalUser}
+            onClose={() => setSessionsModalUser(null)}
+          />
+        )}
       </div>
     </ErrorBoundary>
   );
@@ -12,14 +12,20 @@ import {
     Briefcase,
     FlaskConical,
     Users,
-    Globe
+    Globe,
+    Upload,
+    Download,
+    List,
+    Map as MapIcon
 } from 'lucide-react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import usePageTitle from '@/hooks/usePageTitle';
 import Button from '@/components/ui/Button';
 import ListingFilters from '@/components/listings/ListingFilters';
 import ListingTable from '@/components/listings/ListingTable';
 import ListingBulkActions from '@/components/listings/ListingBulkActions';
+import ListingExportDialog from '@/components/listings/ListingExportDialog';
+import ListingMap from '@/components/listings/ListingMap';
 import ErrorBoundary from '@/components/ErrorBoundary';
 import { Listing, ListingType, ListingStatus, ListingFilters as ListingFiltersType } from '@/types/listings';
 import { Industry, getAllIndustries } from '@/services/industryService';
@@ -59,7 +65,11 @@ export default function AllListings() {
     // UI state
     const [isLoading, setIsLoading] = useState(false);
     const [selectedListings, setSelectedListings] = useState<string[]>([]);
-    const [filters, setFilters] = useState<ListingFiltersType>({});
+    const [searchParams] = useSearchParams();
+    const searchParam = searchParams.get('search') || '';
+    const [filters, setFilters] = useState<ListingFiltersType>(() => searchParam ? { search: searchParam } : {});
+    const [showExportDialog, setShowExportDialog] = useState(false);
+    const [view, setView] = useState<'table' | 'map'>('table');
 
     // Track which tabs have been initialized
     const [initializedTabs, setInitializedTabs] = useState<{ [key: number]: boolean }>({});
@@ -80,6 +90,11 @@ export default function AllListings() {
         { name: "Investor", type: ListingType.INVESTOR, icon: <Users className="h-4 w-4" /> },
         { name: "Digital Asset", type: ListingType.DIGITAL_ASSET, icon: <Globe className="h-4 w-4" /> }
     ];
+    // The map shows every listing of the tab, not only the pages loaded in the table
+    const viewOptions: { name: string; view: 'table' | 'map'; icon: JSX.Element }[] = [
+        { name: "Table", view: 'table', icon: <List className="h-4 w-4" /> },
+        { name: "Map", view: 'map', icon: <MapIcon className="h-4 w-4" /> }
+    ];
     const navigate = useNavigate();
 
     // Tab change handler with smooth transition
@@ -229,7 +244,7 @@ export default function AllListings() {
             
             setListings(prev => reset ? result.listings : [...prev, ...result.listings]);
             setLastDoc(result.lastDoc);
-            setHasMoreListings(result.listings.length === 10);
+            setHasMoreListings(result.listings.length === 10 && result.lastDoc !== null);
             
             // Update tab counts after loading listings
             if (reset) {
@@ -251,6 +266,31 @@ export default function AllListings() {
         }
     };
 
+    // Filters of the listings the current tab shows, for exports
+    const getTabFilters = (): ListingFiltersType => {
+        switch (selectedTab) {
+            case 1:
+                return { ...filters, status: [ListingStatus.PENDING] };
+            case 2:
+                return { ...filters, isFeatured: true };
+            case 3:
+                return { ...filters, status: [ListingStatus.DRAFT] };
+            default:
+                return {
+                    ...filters,
+                    status: [ListingStatus.PUBLISHED, ListingStatus.PENDING, ListingStatus.DRAFT],
+                    ownerId: user?.id
+                };
+        }
+    };
+
+    // The header's search box opens this page with ?search=
+    useEffect(() => {
+        if (searchParam) {
+            setFilters(prev => prev.search === searchParam ? prev : { ...prev, search: searchParam });
+        }
+    }, [searchParam]);
+
     // Effect to reload when filters change
     useEffect(() => {
         if (isAuthenticated && !authLoading && auth.currentUser && initializedTabs[selectedTab] && !isLoading) {
@@ -579,7 +619,21 @@ export default function AllListings() {
                         <p className="mt-1 text-sm text-gray-500">Manage all business listings on the platform</p>
                     </div>
 
-                    <div className="mt-4 sm:mt-0">
+                    <div className="mt-4 sm:mt-0 flex gap-3">
+                        <Button
+                            variant="outline"
+                            leftIcon={<Upload className="h-4 w-4" />}
+                            onClick={() => navigate('/listings/import')}
+                        >
+                            Import
+                        </Button>
+                        <Button
+                            variant="outline"
+                            leftIcon={<Download className="h-4 w-4" />}
+                            onClick={() => setShowExportDialog(true)}
+                        >
+                            Export
+                        </Button>
                         <Button
                             variant="primary"
                             leftIcon={<Plus className="h-4 w-4" />}
@@ -674,46 +728,70 @@ export default function AllListings() {
                                         className="w-full md:w-auto mb-4 md:mb-0"
                                     />
 
-                                    <Button
-                                        variant="outline"
-                                        size="sm"
-                                        leftIcon={<RefreshCw className="h-4 w-4" />}
-                                        onClick={handleRefresh}
-                                    >
-                                        Refresh
-                                    </Button>
-                                </div>
-
-                                {/* Listings Table with transition */}
-                                <div
-                                    className={`transition-all duration-300 ease-in-out ${isTransitioning ? 'opacity-50' : 'opacity-100'
-                                        }`}
-                                >
-                                    <ListingTable
-                                        listings={listings}
-                                        isLoading={isLoading}
-                                        selectedListings={selectedListings}
-                                        onSelectListing={handleSelectListing}
-                                        onSelectAllListings={handleSelectAllListings}
-                                        onEdit={handleEdit}
-                                        onDelete={handleDelete}
-                                        onStatusChange={handleStatusChange}
-                                        onVerify={handleVerify}
-                                        onFeature={handleFeatureToggle}
-                                    />
-                                </div>
-
-                                {/* Load more */}
-                                {hasMoreListings && (
-                                    <div className="flex justify-center mt-6">
+                                    <div className="flex items-center gap-2">
+                                        <div className="inline-flex rounded-md border border-gray-300 overflow-hidden">
+                                            {viewOptions.map(option => (
+                                                <button
+                                                    key={option.view}
+                                                    type="button"
+                                                    className={cn(
+                                                        "flex items-center gap-1.5 px-3 py-1.5 text-sm",
+                                                        view === option.view ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+                                                    )}
+                                                    onClick={() => setView(option.view)}
+                                                >
+                                                    {option.icon}
+                                                    {option.name}
+                                                </button>
+                                            ))}
+                                        </div>
                                         <Button
                                             variant="outline"
-                                            onClick={loadMore}
-                                            isLoading={isLoading}
+                                            size="sm"
+                                            leftIcon={<RefreshCw className="h-4 w-4" />}
+                                            onClick={handleRefresh}
                                         >
-                                            Load More
+                                            Refresh
                                         </Button>
                                     </div>
+                                </div>
+
+                                {view === 'map' ? (
+                                    <ListingMap filters={getTabFilters()} currentUserId={user?.id} />
+                                ) : (
+                                    <>
+                                    {/* Listings Table with transition */}
+                                    <div
+                                        className={`transition-all duration-300 ease-in-out ${isTransitioning ? 'opacity-50' : 'opacity-100'
+                                            }`}
+                                    >
+                                        <ListingTable
+                                            listings={listings}
+                                            isLoading={isLoading}
+                                            selectedListings={selectedListings}
+                                            onSelectListing={handleSelectListing}
+                                            onSelectAllListings={handleSelectAllListings}
+                                            onEdit={handleEdit}
+                                            onDelete={handleDelete}
+                                            onStatusChange={handleStatusChange}
+                                            onVerify={handleVerify}
+                                            onFeature={handleFeatureToggle}
+                                        />
+                                    </div>
+
+                                    {/* Load more */}
+                                    {hasMoreListings && (
+                                        <div className="flex justify-center mt-6">
+                                            <Button
+                                                variant="outline"
+                                                onClick={loadMore}
+                                                isLoading={isLoading}
+                                            >
+                                                Load More
+                                            </Button>
+                                        </div>
+                                    )}
+                                    </>
                                 )}
                             </div>
                         </Tab.Panel>
@@ -729,14 +807,32 @@ export default function AllListings() {
                                         className="w-full md:w-auto mb-4 md:mb-0"
                                     />
 
-                                    <Button
-                                        variant="outline"
-                                        size="sm"
-                                        leftIcon={<RefreshCw className="h-4 w-4" />}
-                                        onClick={handleRefresh}
-                                    >
-                                        Refresh
-                                    </Button>
+                                    <div className="flex items-center gap-2">
+                                        <div className="inline-flex rounded-md border border-gray-300 overflow-hidden">
+                                            {viewOptions.map(option => (
+                                                <button
+                                                    key={option.view}
+                                                    type="button"
+                                                    className={cn(
+                                                        "flex items-center gap-1.5 px-3 py-1.5 text-sm",
+                                                        view === option.view ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+                                                    )}
+                                                    onClick={() => setView(option.view)}
+                                                >
+                                                    {option.icon}
+                                                    {option.name}
+                                                </button>
+                                            ))}
+                                        </div>
+                                        <Button
+                                            variant="outline"
+                                            size="sm"
+                                            leftIcon={<RefreshCw className="h-4 w-4" />}
+                                            onClick={handleRefresh}
+                                        >
+                                            Refresh
+                                        </Button>
+                                    </div>
                                 </div>
 
                                 {/* Info message about pending listings */}
@@ -744,40 +840,50 @@ export default function AllListings() {
                                     <AlertTriangle className="h-5 w-5 text-amber-500 mr-3 mt-0.5 flex-shrink-0" />
                                     <div className="text-sm text-amber-700">
                                         <p className="font-medium mb-1">Pending Listings</p>
-                                        <p>These listings are awaiting review and approval. Review each listing carefully before publishing.</p>
+                                        <p>
+                                            These listings are awaiting review and approval. Review each listing carefully before publishing,
+                                            in the <Link to="/listings/pending" className="font-medium underline">moderation queue</Link> with
+                                            its checklists and review deadlines.
+                                        </p>
                                     </div>
                                 </div>
 
-                                {/* Listings Table with transition */}
-                                <div
-                                    className={`transition-all duration-300 ease-in-out ${isTransitioning ? 'opacity-50' : 'opacity-100'
-                                        }`}
-                                >
-                                    <ListingTable
-                                        listings={listings}
-                                        isLoading={isLoading}
-                                        selectedListings={selectedListings}
-                                        onSelectListing={handleSelectListing}
-                                        onSelectAllListings={handleSelectAllListings}
-                                        onEdit={handleEdit}
-                                        onDelete={handleDelete}
-                                        onStatusChange={handleStatusChange}
-                                        onVerify={handleVerify}
-                                        onFeature={handleFeatureToggle}
-                                    />
-                                </div>
-
-                                {/* Load more */}
-                                {hasMoreListings && (
-                                    <div className="flex justify-center mt-6">
-                                        <Button
-                                            variant="outline"
-                                            onClick={loadMore}
+                                {view === 'map' ? (
+                                    <ListingMap filters={getTabFilters()} currentUserId={user?.id} />
+                                ) : (
+                                    <>
+                                    {/* Listings Table with transition */}
+                                    <div
+                                        className={`transition-all duration-300 ease-in-out ${isTransitioning ? 'opacity-50' : 'opacity-100'
+                                            }`}
+                                    >
+                                        <ListingTable
+                                            listings={listings}
                                             isLoading={isLoading}
-                                        >
-                                            Load More
-                                        </Button>
+                                            selectedListings={selectedListings}
+                                            onSelectListing={handleSelectListing}
+                                            onSelectAllListings={handleSelectAllListings}
+                                            onEdit={handleEdit}
+                                            onDelete={handleDelete}
+                                            onStatusChange={handleStatusChange}
+                                            onVerify={handleVerify}
+                                            onFeature={handleFeatureToggle}
+                                        />
                                     </div>
+
+                                    {/* Load more */}
+                                    {hasMoreListings && (
+                                        <div className="flex justify-center mt-6">
+                                            <Button
+                                                variant="outline"
+                                                onClick={loadMore}
+                                                isLoading={isLoading}
+                                            >
+                                                Load More
+                                            </Button>
+                                        </div>
+                                    )}
+                                    </>
                                 )}
                             </div>
                         </Tab.Panel>
@@ -793,14 +899,32 @@ export default function AllListings() {
                                         className="w-full md:w-auto mb-4 md:mb-0"
                                     />
 
-                                    <Button
-                                        variant="outline"
-                                        size="sm"
-                                        leftIcon={<RefreshCw className="h-4 w-4" />}
-                                        onClick={handleRefresh}
-                                    >
-                                        Refresh
-                                    </Button>
+                                    <div className="flex items-center gap-2">
+                                        <div className="inline-flex rounded-md border border-gray-300 overflow-hidden">
+                                            {viewOptions.map(option => (
+                                                <button
+                                                    key={option.view}
+                                                    type="button"
+                                                    className={cn(
+                                                        "flex items-center gap-1.5 px-3 py-1.5 text-sm",
+                                                        view === option.view ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+                                                    )}
+                                                    onClick={() => setView(option.view)}
+                                                >
+                                                    {option.icon}
+                                                    {option.name}
+                                                </button>
+                                            ))}
+                                        </div>
+                                        <Button
+                                            variant="outline"
+                                            size="sm"
+                                            leftIcon={<RefreshCw className="h-4 w-4" />}
+                                            onClick={handleRefresh}
+                                        >
+                                            Refresh
+                                        </Button>
+                                    </div>
                                 </div>
 
                                 {/* Info message about featured listings */}
@@ -812,36 +936,42 @@ export default function AllListings() {
                                     </div>
                                 </div>
 
-                                {/* Listings Table with transition */}
-                                <div
-                                    className={`transition-all duration-300 ease-in-out ${isTransitioning ? 'opacity-50' : 'opacity-100'
-                                        }`}
-                                >
-                                    <ListingTable
-                                        listings={listings}
-                                        isLoading={isLoading}
-                                        selectedListings={selectedListings}
-                                        onSelectListing={handleSelectListing}
-                                        onSelectAllListings={handleSelectAllListings}
-                                        onEdit={handleEdit}
-                                        onDelete={handleDelete}
-                                        onStatusChange={handleStatusChange}
-                                        onVerify={handleVerify}
-                                        onFeature={handleFeatureToggle}
-                                    />
-                                </div>
-
-                                {/* Load more */}
-                                {hasMoreListings && (
-                                    <div className="flex justify-center mt-6">
-                                        <Button
-                                            variant="outline"
-                                            onClick={loadMore}
+                                {view === 'map' ? (
+                                    <ListingMap filters={getTabFilters()} currentUserId={user?.id} />
+                                ) : (
+                                    <>
+                                    {/* Listings Table with transition */}
+                                    <div
+                                        className={`transition-all duration-300 ease-in-out ${isTransitioning ? 'opacity-50' : 'opacity-100'
+                                            }`}
+                                    >
+                                        <ListingTable
+                                            listings={listings}
                                             isLoading={isLoading}
-                                        >
-                                            Load More
-                                        </Button>
+                                            selectedListings={selectedListings}
+                                            onSelectListing={handleSelectListing}
+                                            onSelectAllListings={handleSelectAllListings}
+                                            onEdit={handleEdit}
+                                            onDelete={handleDelete}
+                                            onStatusChange={handleStatusChange}
+                                            onVerify={handleVerify}
+                                            onFeature={handleFeatureToggle}
+                                        />
                                     </div>
+
+                                    {/* Load more */}
+                                    {hasMoreListings && (
+                                        <div className="flex justify-center mt-6">
+                                            <Button
+                                                variant="outline"
+                                                onClick={loadMore}
+                                                isLoading={isLoading}
+                                            >
+                                                Load More
+                                            </Button>
+                                        </div>
+                                    )}
+                                    </>
                                 )}
                             </div>
                         </Tab.Panel>
@@ -857,14 +987,32 @@ export default function AllListings() {
                                         className="w-full md:w-auto mb-4 md:mb-0"
                                     />
 
-                                    <Button
-                                        variant="outline"
-                                        size="sm"
-                                        leftIcon={<RefreshCw className="h-4 w-4" />}
-                                        onClick={handleRefresh}
-                                    >
-                                        Refresh
-                                    </Button>
+                                    <div className="flex items-center gap-2">
+                                        <div className="inline-flex rounded-md border border-gray-300 overflow-hidden">
+                                            {viewOptions.map(option => (
+                                                <button
+                                                    key={option.view}
+                                                    type="button"
+                                                    className={cn(
+                                                        "flex items-center gap-1.5 px-3 py-1.5 text-sm",
+                                                        view === option.view ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+                                                    )}
+                                                    onClick={() => setView(option.view)}
+                                                >
+                                                    {option.icon}
+                                                    {option.name}
+                                                </button>
+                                            ))}
+                                        </div>
+                                        <Button
+                                            variant="outline"
+                                            size="sm"
+                                            leftIcon={<RefreshCw className="h-4 w-4" />}
+                                            onClick={handleRefresh}
+                                        >
+                                            Refresh
+                                        </Button>
+                                    </div>
                                 </div>
 
                                 {/* Info message about draft listings */}
@@ -876,36 +1024,42 @@ export default function AllListings() {
                                     </div>
                                 </div>
 
-                                {/* Listings Table with transition */}
-                                <div
-                                    className={`transition-all duration-300 ease-in-out ${isTransitioning ? 'opacity-50' : 'opacity-100'
-                                        }`}
-                                >
-                                    <ListingTable
-                                        listings={listings}
-                                        isLoading={isLoading}
-                                        selectedListings={selectedListings}
-                                        onSelectListing={handleSelectListing}
-                                        onSelectAllListings={handleSelectAllListings}
-                                        onEdit={handleEdit}
-                                        onDelete={handleDelete}
-                                        onStatusChange={handleStatusChange}
-                                        onVerify={handleVerify}
-                                        onFeature={handleFeatureToggle}
-                                    />
-                                </div>
-
-                                {/* Load more */}
-                                {hasMoreListings && (
-                                    <div className="flex justify-center mt-6">
-                                        <Button
-                                            variant="outline"
-                                            onClick={loadMore}
+                                {view === 'map' ? (
+                                    <ListingMap filters={getTabFilters()} currentUserId={user?.id} />
+                                ) : (
+                                    <>
+                                    {/* Listings Table with transition */}
+                                    <div
+                                        className={`transition-all duration-300 ease-in-out ${isTransitioning ? 'opacity-50' : 'opacity-100'
+                                            }`}
+                                    >
+                                        <ListingTable
+                                            listings={listings}
                                             isLoading={isLoading}
-                                        >
-                                            Load More
-                                        </Button>
+                                            selectedListings={selectedListings}
+                                            onSelectListing={handleSelectListing}
+                                            onSelectAllListings={handleSelectAllListings}
+                                            onEdit={handleEdit}
+                                            onDelete={handleDelete}
+                                            onStatusChange={handleStatusChange}
+                                            onVerify={handleVerify}
+                                            onFeature={handleFeatureToggle}
+                                        />
                                     </div>
+
+                                    {/* Load more */}
+                                    {hasMoreListings && (
+                                        <div className="flex justify-center mt-6">
+                                            <Button
+                                                variant="outline"
+                                                onClick={loadMore}
+                                                isLoading={isLoading}
+                                            >
+                                                Load More
+                                            </Button>
+                                        </div>
+                                    )}
+                                    </>
                                 )}
                             </div>
                         </Tab.Panel>
@@ -922,6 +1076,15 @@ export default function AllListings() {
                     onUnfeature={handleBulkUnfeature}
                     onVerify={handleBulkVerify}
                 />
+
+                {showExportDialog && (
+                    <ListingExportDialog
+                        filters={getTabFilters()}
+                        selectedListings={listings.filter(listing => selectedListings.includes(listing.id))}
+                        currentUserId={user?.id}
+                        onClose={() => setShowExportDialog(false)}
+                    />
+                )}
             </div>
         </ErrorBoundary>
     );
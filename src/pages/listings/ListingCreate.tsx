@@ -73,11 +73,11 @@ export default function ListingCreate() {
       
       // Call service with timeout protection
       const createPromise = createListing(listingData, images, processedDocuments);
-      const timeoutPromise = new Promise((_, reject) => 
+      const timeoutPromise = new Promise<never>((_, reject) => 
         setTimeout(() => reject(new Error('Service call timed out')), 60000)
       );
       
-      const listingId = await Promise.race([createPromise, timeoutPromise]);
+      const { listingId, scheduleError } = await Promise.race([createPromise, timeoutPromise]);
       
       // Clear timeout since we completed successfully
       clearTimeout(loadingTimeout);
@@ -98,6 +98,7 @@ export default function ListingCreate() {
           ? 'Listing draft saved successfully!' 
           : 'Listing created successfully!'
       );
+      if (scheduleError) toast.error(scheduleError);
       
       // Navigate to the listing detail page
       navigate(`/listings/${listingId}`);
@@ -1,9 +1,10 @@
 import React, { useState, useEffect, useLayoutEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { getListingById } from '@/services/listingService';
-import { Listing, ListingType, ListingStatus } from '@/types/listings';
+import { Listing, ListingType, ListingStatus, RENEWAL_REMINDER_DAYS } from '@/types/listings';
 import { useLoading } from '@/context/LoadingContext';
 import ErrorDisplay from '@/components/common/ErrorDisplay';
+import ListingRating from '@/components/listings/ListingRating';
 import Spinner from '@/components/common/Spinner';
 import { 
   ArrowLeft, 
@@ -30,15 +31,27 @@ import {
   DollarSign,
   BarChart,
   FileText,
-  Image
+  Image,
+  History,
+  RefreshCw,
+  Copy,
+  HeartHandshake
 } from 'lucide-react';
 import BusinessDetails from '@/components/listings/details/BusinessDetails';
+import FundingRoundSummary from '@/components/listings/details/FundingRoundSummary';
+import FranchiseTerritories from '@/components/listings/details/FranchiseTerritories';
+import UnitEconomicsSummary from '@/components/listings/details/UnitEconomicsSummary';
 import DocumentList from '@/components/listings/DocumentList';
+import ListingHistory from '@/components/listings/ListingHistory';
+import ListingDuplicates from '@/components/listings/ListingDuplicates';
+import SuggestedMatches from '@/components/listings/SuggestedMatches';
+import { useAuth } from '@/context/AuthContext';
+import { UserRole } from '@/types/firebase';
 import { Tab } from '@headlessui/react';
 import ErrorBoundary from '@/components/ErrorBoundary';
 import usePageTitle from '@/hooks/usePageTitle';
 import { toast } from 'react-hot-toast';
-import { updateListingStatus, toggleListingFeature, verifyListing, deleteListing } from '@/services/listingService';
+import { updateListingStatus, toggleListingFeature, verifyListing, deleteListing, renewListing } from '@/services/listingService';
 import Button from '@/components/ui/Button';
 import { cn, formatDate, formatCurrency, formatRelativeTime } from '@/lib/utils';
 import ConfirmationDialog from '@/components/common/ConfirmationDialog';
@@ -90,27 +103,6 @@ const DigitalAssetDetails = ({ details }: { details: any }) => (
   </div>
 );
 
-// Placeholder for rating component
-const ListingRating = ({ rating }: { rating: any }) => (
-  <div>
-    {rating ? (
-      <div className="space-y-2">
-        <div className="flex justify-between items-center">
-          <span className="text-sm text-gray-500">Overall Rating</span>
-          <div className="flex items-center">
-            {Array.from({length: 5}).map((_, i) => (
-              <Star key={i} className={`h-4 w-4 ${i < Math.round(rating.average || 0) ? 'text-yellow-400 fill-yellow-400' : 'text-gray-300'}`} />
-            ))}
-            <span className="ml-1 text-sm font-medium">{(rating.average || 0).toFixed(1)}</span>
-          </div>
-        </div>
-      </div>
-    ) : (
-      <p className="text-gray-500 text-center py-4">No rating data available</p>
-    )}
-  </div>
-);
-
 // Placeholder for analytics component
 const ListingAnalytics = ({ analytics }: { analytics: any }) => (
   <div className="p-4 bg-gray-50 rounded text-center">
@@ -195,6 +187,10 @@ const ListingDetail = () => {
   const { id } = useParams<{ id: string }>();
   const navigate = useNavigate();
   const { startLoading, stopLoading } = useLoading();
+  const { user } = useAuth();
+  
+  // Duplicate review is part of moderation
+  const canReviewDuplicates = [UserRole.SUPER_ADMIN, UserRole.ADMIN, UserRole.MODERATOR].includes(user?.role as UserRole);
   
   // State for listing data
   const [listing, setListing] = useState<Listing | null>(null);
@@ -331,6 +327,18 @@ const ListingDetail = () => {
     setShowStatusConfirm(true);
   };
   
+  // Reload the listing after a revision was restored from the History tab,
+  // or a duplicate merged into it from the Duplicates tab
+  const handleRevisionRestored = async () => {
+    if (!id) return;
+
+    try {
+      setListing(await getListingById(id));
+    } catch (err) {
+      console.error('Error reloading restored listing:', err);
+    }
+  };
+  
   // Confirm status change
   const confirmStatusChange = async () => {
     if (!id || !targetStatus) return;
@@ -441,6 +449,25 @@ const ListingDetail = () => {
     }
   };
   
+  // Extend a published listing by another plan period
+  const handleRenew = async () => {
+    if (!id) return;
+
+    try {
+      startLoading('Renewing listing...');
+
+      await renewListing(id);
+      setListing(await getListingById(id));
+
+      toast.success('Listing renewed');
+    } catch (err) {
+      console.error('Error renewing listing:', err);
+      toast.error(`Failed to renew listing: ${err instanceof Error ? err.message : 'Unknown error'}`);
+    } finally {
+      stopLoading();
+    }
+  };
+  
   // Handle listing deletion
   const handleDelete = async () => {
     setShowDeleteConfirm(true);
@@ -670,6 +697,29 @@ const ListingDetail = () => {
           </div>
         )}
         
+        {listing.mergedInto && (
+          <div className="bg-gray-50 border-l-4 border-gray-400 p-4 mb-4">
+            <p className="text-sm text-gray-700">
+              This listing was merged into{' '}
+              <Link to={`/listings/${listing.mergedInto}`} className="text-[#0031ac] underline">
+                another listing
+              </Link>{' '}
+              and archived.
+            </p>
+          </div>
+        )}
+
+        {canReviewDuplicates && !listing.mergedInto && !!listing.duplicateCheck?.listingIds?.length && (
+          <div className="bg-amber-50 border-l-4 border-amber-400 p-4 mb-4">
+            <p className="text-sm text-amber-800">
+              This listing may be a duplicate of {listing.duplicateCheck.listingIds.length === 1
+                ? 'another listing'
+                : `${listing.duplicateCheck.listingIds.length} other listings`} ({Math.round(listing.duplicateCheck.score * 100)}% match).
+              Review it in the Duplicates tab before publishing.
+            </p>
+          </div>
+        )}
+        
         <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-6">
           <div>
           <button
@@ -726,6 +776,19 @@ const ListingDetail = () => {
               </Button>
             )}
             
+            {/* Renewal opens with the reminder email, a week before expiry */}
+            {listing.status === ListingStatus.PUBLISHED && listing.expiresAt &&
+              new Date(listing.expiresAt).getTime() - Date.now() <= RENEWAL_REMINDER_DAYS * 24 * 60 * 60 * 1000 && (
+              <Button
+                variant="outline"
+                size="sm"
+                leftIcon={<RefreshCw className="h-4 w-4" />}
+                onClick={handleRenew}
+              >
+                Renew
+              </Button>
+            )}
+            
             <Button
               variant="danger"
               size="sm"
@@ -754,6 +817,8 @@ const ListingDetail = () => {
                     <p className="text-gray-500 text-sm mt-1">
                       Listed on {formatDate(listing.createdAt)}
                       {listing.publishedAt && ` • Published on ${formatDate(listing.publishedAt)}`}
+                      {listing.publishAt && ` • Scheduled to publish on ${formatDate(listing.publishAt)}`}
+                      {listing.expiresAt && ` • ${new Date(listing.expiresAt) > new Date() ? 'Expires' : 'Expired'} on ${formatDate(listing.expiresAt)}`}
                     </p>
                   </div>
                 </div>
@@ -866,6 +931,17 @@ const ListingDetail = () => {
               
               <ListingRating rating={listing.rating} />
             </div>
+
+            {[ListingType.INVESTOR, ListingType.STARTUP, ListingType.BUSINESS].includes(listing.type) && (
+              <div className="card mb-6">
+                <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+                  <HeartHandshake className="h-5 w-5 text-gray-500 mr-2" />
+                  {listing.type === ListingType.INVESTOR ? 'Suggested Startups & Businesses' : 'Suggested Investors'}
+                </h3>
+
+                <SuggestedMatches listingId={listing.id} listingType={listing.type} />
+              </div>
+            )}
             
             <div className="card">
               <h3 className="text-lg font-medium text-gray-900 mb-4">Quick Actions</h3>
@@ -987,6 +1063,34 @@ const ListingDetail = () => {
             }`}>
               Activity Log
             </Tab>
+            <Tab className={({ selected }) => cn?.(
+              "px-4 py-2 text-sm font-medium focus:outline-none whitespace-nowrap",
+              selected
+                ? "text-[#0031ac] border-b-2 border-[#0031ac]"
+                : "text-gray-500 hover:text-gray-700 hover:border-gray-300 border-b-2 border-transparent"
+            ) || 
+            `px-4 py-2 text-sm font-medium focus:outline-none whitespace-nowrap ${
+              selected
+                ? "text-[#0031ac] border-b-2 border-[#0031ac]"
+                : "text-gray-500 hover:text-gray-700 hover:border-gray-300 border-b-2 border-transparent"
+            }`}>
+              History
+            </Tab>
+            {canReviewDuplicates && (
+              <Tab className={({ selected }) => cn(
+                "px-4 py-2 text-sm font-medium focus:outline-none whitespace-nowrap",
+                selected
+                  ? "text-[#0031ac] border-b-2 border-[#0031ac]"
+                  : "text-gray-500 hover:text-gray-700 hover:border-gray-300 border-b-2 border-transparent"
+              )}>
+                Duplicates
+                {!!listing.duplicateCheck?.listingIds?.length && (
+                  <span className="ml-1.5 bg-amber-100 text-amber-800 text-xs px-1.5 py-0.5 rounded-full">
+                    {listing.duplicateCheck.listingIds.length}
+                  </span>
+                )}
+              </Tab>
+            )}
           </Tab.List>
           
           <Tab.Panels>
@@ -995,15 +1099,22 @@ const ListingDetail = () => {
               <div className="card">
                 {/* Render different details based on listing type */}
                 {listing.type === ListingType.BUSINESS && listing.businessDetails && (
-                  <BusinessDetails details={listing.businessDetails} />
+                  <BusinessDetails details={listing.businessDetails} valuation={listing.valuation} />
                 )}
                 
                 {listing.type === ListingType.FRANCHISE && listing.franchiseDetails && (
-                  <FranchiseDetails details={listing.franchiseDetails} />
+                  <div className="space-y-6">
+                    <FranchiseDetails details={listing.franchiseDetails} />
+                    <FranchiseTerritories details={listing.franchiseDetails} />
+                    {listing.unitEconomics && <UnitEconomicsSummary unitEconomics={listing.unitEconomics} />}
+                  </div>
                 )}
                 
                 {listing.type === ListingType.STARTUP && listing.startupDetails && (
-                  <StartupDetails details={listing.startupDetails} />
+                  <div className="space-y-6">
+                    <StartupDetails details={listing.startupDetails} />
+                    {listing.fundingRound && <FundingRoundSummary fundingRound={listing.fundingRound} />}
+                  </div>
                 )}
                 
                 {listing.type === ListingType.INVESTOR && listing.investorDetails && (
@@ -1051,6 +1162,36 @@ const ListingDetail = () => {
                 <ActivityLog statusHistory={listing.statusHistory || []} />
               </div>
               </Tab.Panel>
+
+            {/* History Panel */}
+            <Tab.Panel>
+              <div className="card">
+                <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+                  <History className="h-5 w-5 text-gray-500 mr-2" />
+                  History
+                </h3>
+                
+                <ListingHistory listingId={listing.id} onRestored={handleRevisionRestored} />
+              </div>
+            </Tab.Panel>
+
+            {/* Duplicates Panel */}
+            {canReviewDuplicates && (
+              <Tab.Panel>
+                <div className="card">
+                  <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+                    <Copy className="h-5 w-5 text-gray-500 mr-2" />
+                    Possible Duplicates
+                  </h3>
+                  
+                  <ListingDuplicates
+                    listingId={listing.id}
+                    listingName={listing.name}
+                    onResolved={handleRevisionRestored}
+                  />
+                </div>
+              </Tab.Panel>
+            )}
             </Tab.Panels>
           </Tab.Group>
         
@@ -60,7 +60,7 @@ export default function ListingEdit() {
       setIsSubmitting(true);
       startLoading('Updating listing...');
 
-      await updateListing(
+      const { scheduleError } = await updateListing(
         id,
         listingData,
         newImages,
@@ -70,6 +70,7 @@ export default function ListingEdit() {
       );
       
       toast.success('Listing updated successfully!');
+      if (scheduleError) toast.error(scheduleError);
       
       // Navigate to the listing detail page
       navigate(`/listings/${id}`);
@@ -0,0 +1,505 @@
+import { useState, useEffect, useMemo, ChangeEvent } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import {
+  AlertTriangle,
+  ArrowLeft,
+  Briefcase,
+  CheckCircle,
+  Download,
+  FileSpreadsheet,
+  FlaskConical,
+  Globe,
+  Store,
+  Upload,
+  Users
+} from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import usePageTitle from '@/hooks/usePageTitle';
+import Button from '@/components/ui/Button';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import ErrorBoundary from '@/components/ErrorBoundary';
+import { ImportColumn, ImportError, ImportRowResult, ListingStatus, ListingType } from '@/types/listings';
+import { downloadFile, readSpreadsheet, SPREADSHEET_EXTENSIONS, SpreadsheetRow, toCsv } from '@/lib/spreadsheet';
+import {
+  ColumnMapping,
+  getColumnHeader,
+  getImportColumns,
+  getImportTemplate,
+  ImportStatus,
+  importListings,
+  mapColumns,
+  PreparedListing,
+  prepareListings
+} from '@/services/listingImportService';
+import { cn } from '@/lib/utils';
+
+type Step = 'upload' | 'mapping' | 'report' | 'done';
+
+const STEPS: { step: Step; label: string }[] = [
+  { step: 'upload', label: 'Upload' },
+  { step: 'mapping', label: 'Map Columns' },
+  { step: 'report', label: 'Check' },
+  { step: 'done', label: 'Import' }
+];
+
+const TYPE_OPTIONS = [
+  { name: 'Business', type: ListingType.BUSINESS, icon: <Store className="h-4 w-4" /> },
+  { name: 'Franchise', type: ListingType.FRANCHISE, icon: <Briefcase className="h-4 w-4" /> },
+  { name: 'Startup', type: ListingType.STARTUP, icon: <FlaskConical className="h-4 w-4" /> },
+  { name: 'Investor', type: ListingType.INVESTOR, icon: <Users className="h-4 w-4" /> },
+  { name: 'Digital Asset', type: ListingType.DIGITAL_ASSET, icon: <Globe className="h-4 w-4" /> }
+];
+
+// A row of the file with everything found wrong with it
+interface ReportRow {
+  rowNumber: number; // As numbered in the spreadsheet, header being row 1
+  name: string;
+  errors: ImportError[];
+}
+
+// Rows of the file below the header are numbered from 2
+const toRowNumber = (index: number) => index + 2;
+
+/**
+ * Bulk listing import from a CSV or Excel file: pick the listing type and download its template,
+ * upload the file, match its columns to listing fields, check every row without saving anything,
+ * then create the valid rows as drafts or submit them for review
+ */
+export default function ListingImport() {
+  usePageTitle('Import Listings');
+  const navigate = useNavigate();
+
+  const [step, setStep] = useState<Step>('upload');
+  const [type, setType] = useState<ListingType>(ListingType.BUSINESS);
+  const [status, setStatus] = useState<ImportStatus>(ListingStatus.DRAFT);
+  const [columns, setColumns] = useState<ImportColumn[]>([]);
+  const [isLoadingColumns, setIsLoadingColumns] = useState(true);
+
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState<string[]>([]);
+  const [rows, setRows] = useState<SpreadsheetRow[]>([]);
+  const [mapping, setMapping] = useState<ColumnMapping>([]);
+
+  const [prepared, setPrepared] = useState<PreparedListing[]>([]);
+  const [checkResults, setCheckResults] = useState<ImportRowResult[]>([]);
+  const [importResults, setImportResults] = useState<ImportRowResult[]>([]);
+  // Index in the file of each listing sent for import
+  const [importedIndexes, setImportedIndexes] = useState<number[]>([]);
+  const [isWorking, setIsWorking] = useState(false);
+
+  useEffect(() => {
+    const loadColumns = async () => {
+      try {
+        setIsLoadingColumns(true);
+        const typeColumns = await getImportColumns(type);
+        setColumns(typeColumns);
+        setMapping(mapColumns(headers, typeColumns));
+      } catch (error) {
+        toast.error(error instanceof Error ? error.message : 'Failed to load import columns');
+      } finally {
+        setIsLoadingColumns(false);
+      }
+    };
+
+    loadColumns();
+  }, [type]);
+
+  const missingColumns = columns.filter(column => column.required && !mapping.includes(column.key));
+
+  // Cell problems found here and validation errors from the dry run, per row
+  const reportRows = useMemo<ReportRow[]>(() => prepared.map(({ listing, errors }, index) => {
+    const cellPaths = new Set(errors.map(error => error.path));
+    const serverErrors = (checkResults[index]?.errors || []).filter(error => !cellPaths.has(error.path));
+    return { rowNumber: toRowNumber(index), name: listing.name || '', errors: [...errors, ...serverErrors] };
+  }), [prepared, checkResults]);
+
+  const validIndexes = reportRows.flatMap((row, index) => row.errors.length === 0 && checkResults[index]?.valid ? [index] : []);
+  const invalidRows = reportRows.filter(row => row.errors.length > 0);
+
+  const handleDownloadTemplate = () => {
+    downloadFile(getImportTemplate(columns), `${type}-listings-template.csv`, 'text/csv;charset=utf-8');
+  };
+
+  const handleFileChange = async (event: ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const fileRows = await readSpreadsheet(file);
+      const dataRows = fileRows.slice(1).filter(row => row.some(cell => cell.trim()));
+      if (dataRows.length === 0) {
+        toast.error('The file has no listings below its header row');
+        return;
+      }
+
+      setFileName(file.name);
+      setHeaders(fileRows[0]);
+      setRows(dataRows);
+      setMapping(mapColumns(fileRows[0], columns));
+      setStep('mapping');
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to read the file');
+    }
+  };
+
+  const handleMappingChange = (index: number, key: string) => {
+    setMapping(prev => prev.map((current, i) => {
+      if (i === index) return key;
+      // A field can only come from one column
+      return key && current === key ? '' : current;
+    }));
+  };
+
+  const handleCheck = async () => {
+    try {
+      setIsWorking(true);
+      const preparedListings = await prepareListings(rows, mapping, columns, type);
+      const results = await importListings(preparedListings.map(({ listing }) => listing), { status, dryRun: true });
+      setPrepared(preparedListings);
+      setCheckResults(results);
+      setStep('report');
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to check listings');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      setIsWorking(true);
+      setImportedIndexes(validIndexes);
+      setImportResults([]);
+      setStep('done');
+      await importListings(validIndexes.map(index => prepared[index].listing), { status, dryRun: false }, setImportResults);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to import listings');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleDownloadReport = () => {
+    const lines = invalidRows.flatMap(row => row.errors.map(error => [row.rowNumber, row.name, error.path, error.message]));
+    downloadFile(toCsv([['Row', 'Name', 'Field', 'Problem'], ...lines]), `${fileName.replace(/\.[^.]+$/, '')}-errors.csv`, 'text/csv;charset=utf-8');
+  };
+
+  const handleStartOver = () => {
+    setStep('upload');
+    setFileName('');
+    setHeaders([]);
+    setRows([]);
+    setMapping([]);
+    setPrepared([]);
+    setCheckResults([]);
+    setImportResults([]);
+    setImportedIndexes([]);
+  };
+
+  const createdResults = importResults.filter(result => result.listingId);
+  const failedResults = importResults.filter(result => !result.listingId || result.errors.length > 0);
+
+  return (
+    <ErrorBoundary>
+      <div className="space-y-6">
+        {/* Page header */}
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Import Listings</h1>
+            <p className="mt-1 text-sm text-gray-500">
+              Create listings in bulk from a CSV or Excel file. Every row is checked before anything is saved.
+            </p>
+          </div>
+          <div className="mt-4 sm:mt-0">
+            <Button variant="outline" leftIcon={<ArrowLeft className="h-4 w-4" />} onClick={() => navigate('/listings')}>
+              Back to Listings
+            </Button>
+          </div>
+        </div>
+
+        {/* Steps */}
+        <ol className="flex flex-wrap gap-2">
+          {STEPS.map(({ step: itemStep, label }, index) => (
+            <li
+              key={itemStep}
+              className={cn(
+                'text-xs font-medium px-3 py-1 rounded-full',
+                itemStep === step ? 'bg-[#0031ac] text-white' : 'bg-gray-100 text-gray-600'
+              )}
+            >
+              {index + 1}. {label}
+            </li>
+          ))}
+        </ol>
+
+        {step === 'upload' && (
+          <div className="bg-white border border-gray-200 rounded-lg p-6 space-y-6">
+            <div>
+              <h2 className="text-sm font-medium text-gray-900 mb-2">Listing type</h2>
+              <div className="flex flex-wrap gap-2">
+                {TYPE_OPTIONS.map(option => (
+                  <button
+                    key={option.type}
+                    type="button"
+                    onClick={() => setType(option.type)}
+                    className={cn(
+                      'inline-flex items-center gap-2 px-3 py-1.5 text-sm rounded-lg border',
+                      type === option.type
+                        ? 'border-[#0031ac] bg-blue-50 text-[#0031ac]'
+                        : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                    )}
+                  >
+                    {option.icon}
+                    {option.name}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <h2 className="text-sm font-medium text-gray-900 mb-1">Template</h2>
+              <p className="text-sm text-gray-500 mb-2">
+                One row per listing. Columns marked * are required. Give the industry, category and subcategories by name,
+                and the country and state by name or code. Separate list values with semicolons and write Yes or No for
+                yes/no fields. Images and documents are added to each listing afterwards.
+              </p>
+              <Button
+                variant="outline"
+                size="sm"
+                leftIcon={<Download className="h-4 w-4" />}
+                onClick={handleDownloadTemplate}
+                disabled={isLoadingColumns || columns.length === 0}
+              >
+                Download Template
+              </Button>
+            </div>
+
+            <div>
+              <h2 className="text-sm font-medium text-gray-900 mb-2">File</h2>
+              <label
+                className={cn(
+                  'flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-lg p-8 text-center',
+                  isLoadingColumns ? 'opacity-60 cursor-not-allowed' : 'cursor-pointer hover:border-[#0031ac]'
+                )}
+              >
+                <Upload className="h-8 w-8 text-gray-400 mb-2" />
+                <span className="text-sm font-medium text-gray-700">Choose a CSV or Excel (.xlsx) file</span>
+                <span className="text-xs text-gray-500 mt-1">The first row must hold the column headers</span>
+                <input
+                  type="file"
+                  accept={SPREADSHEET_EXTENSIONS.join(',')}
+                  className="sr-only"
+                  onChange={handleFileChange}
+                  disabled={isLoadingColumns}
+                />
+              </label>
+            </div>
+          </div>
+        )}
+
+        {step === 'mapping' && (
+          <div className="bg-white border border-gray-200 rounded-lg">
+            <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+              <FileSpreadsheet className="h-5 w-5 text-[#0031ac] mr-2" />
+              <h2 className="text-lg font-medium text-gray-900">{fileName}</h2>
+              <span className="ml-2 text-sm text-gray-500">{rows.length} rows</span>
+            </div>
+
+            <div className="p-6 space-y-4">
+              {missingColumns.length > 0 && (
+                <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 text-sm text-yellow-800">
+                  No column is mapped to these required fields, so every row will fail without them:{' '}
+                  {missingColumns.map(column => column.label).join(', ')}
+                </div>
+              )}
+
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead>
+                    <tr className="text-left text-xs font-medium text-gray-500 uppercase">
+                      <th className="py-2 pr-4">Column in file</th>
+                      <th className="py-2 pr-4">First row</th>
+                      <th className="py-2">Listing field</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {headers.map((header, index) => (
+                      <tr key={index}>
+                        <td className="py-2 pr-4 font-medium text-gray-900">{header || `Column ${index + 1}`}</td>
+                        <td className="py-2 pr-4 text-gray-500 max-w-xs truncate">{rows[0]?.[index]}</td>
+                        <td className="py-2">
+                          <select
+                            value={mapping[index] || ''}
+                            onChange={(event) => handleMappingChange(index, event.target.value)}
+                            className="w-full max-w-sm rounded-md border-gray-300 text-sm focus:border-[#0031ac] focus:ring-[#0031ac]"
+                          >
+                            <option value="">Don't import</option>
+                            {columns.map(column => (
+                              <option key={column.key} value={column.key}>{getColumnHeader(column)}</option>
+                            ))}
+                          </select>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div>
+                <h3 className="text-sm font-medium text-gray-900 mb-2">Create listings as</h3>
+                <div className="flex gap-4 text-sm text-gray-700">
+                  <label className="inline-flex items-center gap-2">
+                    <input
+                      type="radio"
+                      checked={status === ListingStatus.DRAFT}
+                      onChange={() => setStatus(ListingStatus.DRAFT)}
+                    />
+                    Drafts
+                  </label>
+                  <label className="inline-flex items-center gap-2">
+                    <input
+                      type="radio"
+                      checked={status === ListingStatus.PENDING}
+                      onChange={() => setStatus(ListingStatus.PENDING)}
+                    />
+                    Submitted for review
+                  </label>
+                </div>
+              </div>
+
+              <div className="flex gap-3">
+                <Button variant="outline" onClick={handleStartOver} disabled={isWorking}>
+                  Choose Another File
+                </Button>
+                <Button onClick={handleCheck} isLoading={isWorking} loadingText="Checking...">
+                  Check {rows.length} Rows
+                </Button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {step === 'report' && (
+          <div className="bg-white border border-gray-200 rounded-lg p-6 space-y-4">
+            <div className="flex flex-wrap gap-3 text-sm">
+              <span className="inline-flex items-center gap-1.5 bg-green-50 text-green-800 px-3 py-1 rounded-full">
+                <CheckCircle className="h-4 w-4" />
+                {validIndexes.length} ready to import
+              </span>
+              {invalidRows.length > 0 && (
+                <span className="inline-flex items-center gap-1.5 bg-red-50 text-red-800 px-3 py-1 rounded-full">
+                  <AlertTriangle className="h-4 w-4" />
+                  {invalidRows.length} with problems
+                </span>
+              )}
+            </div>
+
+            {invalidRows.length > 0 && (
+              <>
+                <p className="text-sm text-gray-500">
+                  Rows with problems are skipped. Fix them in the file and import it again, or import the rows that are ready now.
+                </p>
+                <div className="border border-gray-200 rounded-lg divide-y divide-gray-100 max-h-96 overflow-y-auto">
+                  {invalidRows.map(row => (
+                    <div key={row.rowNumber} className="px-4 py-3">
+                      <p className="text-sm font-medium text-gray-900">
+                        Row {row.rowNumber}{row.name && <span className="font-normal text-gray-500"> · {row.name}</span>}
+                      </p>
+                      <ul className="mt-1 space-y-0.5">
+                        {row.errors.map((error, index) => (
+                          <li key={index} className="text-xs text-red-700">
+                            {error.path && <span className="font-mono text-gray-500">{error.path}: </span>}
+                            {error.message}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+
+            <div className="flex flex-wrap gap-3">
+              <Button variant="outline" onClick={() => setStep('mapping')}>
+                Back to Mapping
+              </Button>
+              {invalidRows.length > 0 && (
+                <Button variant="outline" leftIcon={<Download className="h-4 w-4" />} onClick={handleDownloadReport}>
+                  Download Problems
+                </Button>
+              )}
+              <Button onClick={handleImport} disabled={validIndexes.length === 0}>
+                Import {validIndexes.length} {status === ListingStatus.PENDING ? 'for Review' : 'as Drafts'}
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {step === 'done' && (
+          <div className="bg-white border border-gray-200 rounded-lg p-6 space-y-4">
+            <div>
+              <div className="flex justify-between text-sm text-gray-700 mb-1">
+                <span>{isWorking ? 'Importing...' : 'Import finished'}</span>
+                <span>{importResults.length} of {importedIndexes.length}</span>
+              </div>
+              <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-[#0031ac] transition-all"
+                  style={{ width: `${importedIndexes.length ? (importResults.length / importedIndexes.length) * 100 : 0}%` }}
+                />
+              </div>
+            </div>
+
+            {isWorking && (
+              <div className="flex items-center gap-2 text-sm text-gray-500">
+                <LoadingSpinner size="sm" />
+                Keep this page open until the import finishes.
+              </div>
+            )}
+
+            {!isWorking && (
+              <p className="text-sm text-gray-700">
+                {createdResults.length} listings created
+                {status === ListingStatus.PENDING ? ' and submitted for review' : ' as drafts'}.
+                {importResults.length < importedIndexes.length && ' The import stopped early; rows after the last one shown were not imported.'}
+                {' '}Add images and documents to each listing before it is published.
+              </p>
+            )}
+
+            {failedResults.length > 0 && (
+              <div className="border border-gray-200 rounded-lg divide-y divide-gray-100">
+                {failedResults.map(result => (
+                  <div key={result.index} className="px-4 py-3 text-sm">
+                    <p className="font-medium text-gray-900">
+                      Row {toRowNumber(importedIndexes[result.index])}
+                      {result.listingId && (
+                        <Link to={`/listings/${result.listingId}`} className="ml-2 font-normal text-[#0031ac] hover:underline">
+                          Open listing
+                        </Link>
+                      )}
+                    </p>
+                    {result.errors.map((error, index) => (
+                      <p key={index} className="text-xs text-red-700">{error.message}</p>
+                    ))}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {!isWorking && (
+              <div className="flex gap-3">
+                <Button variant="outline" onClick={handleStartOver}>
+                  Import Another File
+                </Button>
+                <Button onClick={() => navigate('/listings')}>
+                  View Listings
+                </Button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </ErrorBoundary>
+  );
+}
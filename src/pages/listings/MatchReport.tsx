@@ -0,0 +1,174 @@
+import { Fragment, useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { ChevronDown, ChevronUp, HeartHandshake, RefreshCw } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import usePageTitle from '@/hooks/usePageTitle';
+import Button from '@/components/ui/Button';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import ErrorBoundary from '@/components/ErrorBoundary';
+import { MatchExplanation, getMatchScoreClass } from '@/components/listings/SuggestedMatches';
+import { MatchReport as MatchReportData } from '@/types/listings';
+import { getMatchReport } from '@/services/matchingService';
+import { cn, formatRelativeTime } from '@/lib/utils';
+
+const LIMIT_OPTIONS = [3, 5, 10];
+const MIN_SCORE_OPTIONS = [50, 65, 80];
+
+export default function MatchReport() {
+  usePageTitle('Investor Matches');
+
+  const [report, setReport] = useState<MatchReportData | null>(null);
+  const [limit, setLimit] = useState(5);
+  const [minScore, setMinScore] = useState(50);
+  const [isLoading, setIsLoading] = useState(true);
+  // The investor and listing whose breakdown is shown
+  const [expanded, setExpanded] = useState<string | null>(null);
+
+  const loadReport = async () => {
+    try {
+      setIsLoading(true);
+      setReport(await getMatchReport(limit, minScore));
+    } catch (error) {
+      console.error('Error loading match report:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to load the match report');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadReport();
+  }, [limit, minScore]);
+
+  return (
+    <ErrorBoundary>
+      <div className="max-w-6xl">
+        {/* Page header */}
+        <div className="mb-6 flex items-start justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Investor Matches</h1>
+            <p className="mt-1 text-sm text-gray-500">
+              The startups and businesses that best fit each published investor's focus
+            </p>
+          </div>
+          <Button
+            size="sm"
+            variant="outline"
+            leftIcon={<RefreshCw className="h-4 w-4" />}
+            onClick={loadReport}
+            disabled={isLoading}
+          >
+            Refresh
+          </Button>
+        </div>
+
+        <div className="bg-white border border-gray-200 rounded-lg">
+          <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-center gap-4">
+            <HeartHandshake className="h-5 w-5 text-[#0031ac]" />
+            <label className="text-sm text-gray-700">
+              Top
+              <select
+                value={limit}
+                onChange={(e) => setLimit(Number(e.target.value))}
+                className="mx-2 rounded-md border-gray-300 text-sm focus:border-[#0031ac] focus:ring-[#0031ac]"
+              >
+                {LIMIT_OPTIONS.map(option => <option key={option} value={option}>{option}</option>)}
+              </select>
+              per investor
+            </label>
+            <label className="text-sm text-gray-700">
+              Scoring at least
+              <select
+                value={minScore}
+                onChange={(e) => setMinScore(Number(e.target.value))}
+                className="ml-2 rounded-md border-gray-300 text-sm focus:border-[#0031ac] focus:ring-[#0031ac]"
+              >
+                {MIN_SCORE_OPTIONS.map(option => <option key={option} value={option}>{option}</option>)}
+              </select>
+            </label>
+            {report && (
+              <span className="ml-auto text-xs text-gray-500">
+                {report.investorCount} investors and {report.listingCount} startups and businesses matched{' '}
+                {formatRelativeTime(report.generatedAt)}
+              </span>
+            )}
+          </div>
+
+          <div className="p-6">
+            {isLoading || !report ? (
+              <div className="flex justify-center py-6">
+                <LoadingSpinner size="md" />
+              </div>
+            ) : report.rows.length === 0 ? (
+              <p className="text-sm text-gray-500">
+                No published investor has a match scoring {report.minScore} or more.
+              </p>
+            ) : (
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs font-medium text-gray-500 uppercase">
+                    <th className="py-2 pr-3">Investor</th>
+                    <th className="py-2 pr-3">Match</th>
+                    <th className="py-2 pr-3">Type</th>
+                    <th className="py-2 pr-3">Location</th>
+                    <th className="py-2 text-right">Score</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {report.rows.map(row => row.matches.map((match, index) => {
+                    const key = `${row.investor.id}/${match.listing.id}`;
+                    const isExpanded = expanded === key;
+                    return (
+                      <Fragment key={key}>
+                        <tr className={cn(index === 0 && 'border-t-2 border-gray-200')}>
+                          <td className="py-2 pr-3 align-top">
+                            {index === 0 && (
+                              <Link to={`/listings/${row.investor.id}`} className="font-medium text-[#0031ac] hover:underline">
+                                {row.investor.name}
+                              </Link>
+                            )}
+                          </td>
+                          <td className="py-2 pr-3">
+                            <Link to={`/listings/${match.listing.id}`} className="text-gray-900 hover:underline">
+                              {match.listing.name}
+                            </Link>
+                          </td>
+                          <td className="py-2 pr-3 capitalize text-gray-500">{match.listing.type}</td>
+                          <td className="py-2 pr-3 text-gray-500">{match.listing.displayLocation || '–'}</td>
+                          <td className="py-2 text-right">
+                            <button
+                              type="button"
+                              onClick={() => setExpanded(isExpanded ? null : key)}
+                              className="inline-flex items-center"
+                              aria-expanded={isExpanded}
+                              aria-label={`Why ${match.listing.name} matches ${row.investor.name}`}
+                            >
+                              <span className={cn('text-xs font-medium px-2 py-0.5 rounded-full', getMatchScoreClass(match.score))}>
+                                {match.score}
+                              </span>
+                              {isExpanded ? <ChevronUp className="h-4 w-4 ml-1 text-gray-400" /> : <ChevronDown className="h-4 w-4 ml-1 text-gray-400" />}
+                            </button>
+                          </td>
+                        </tr>
+                        {isExpanded && (
+                          <tr>
+                            <td />
+                            <td colSpan={4} className="pb-3 pr-3">
+                              <div className="max-w-xl rounded-md bg-gray-50 p-3">
+                                <MatchExplanation match={match} />
+                              </div>
+                            </td>
+                          </tr>
+                        )}
+                      </Fragment>
+                    );
+                  }))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      </div>
+    </ErrorBoundary>
+  );
+}
@@ -0,0 +1,580 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  AlertTriangle,
+  ArrowLeft,
+  Briefcase,
+  CheckCircle,
+  Clock,
+  ExternalLink,
+  FileText,
+  FlaskConical,
+  Globe,
+  Lock,
+  RefreshCw,
+  Store,
+  Unlock,
+  Users,
+  XCircle
+} from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import usePageTitle from '@/hooks/usePageTitle';
+import { useAuth } from '@/context/AuthContext';
+import Button from '@/components/ui/Button';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import RejectionTemplatesDialog from '@/components/listings/RejectionTemplatesDialog';
+import {
+  ListingType,
+  ModerationQueueFilters,
+  ModerationQueueItem,
+  ModerationQueueSort,
+  RejectionTemplate,
+  SlaStatus
+} from '@/types/listings';
+import { UserDetails, UserRole } from '@/types/firebase';
+import {
+  assignListingReview,
+  claimListingReview,
+  decideListingReview,
+  getModerationQueue,
+  getRejectionTemplates,
+  getSlaStatus,
+  releaseListingReview,
+  updateReviewChecklist
+} from '@/services/moderationService';
+import { getAdminPanelUsers } from '@/services/userService';
+import { cn } from '@/lib/utils';
+
+// How often the SLA timers tick
+const TIMER_INTERVAL_MS = 30 * 1000;
+// How often the queue reloads, to pick up other moderators' claims and decisions
+const REFRESH_INTERVAL_MS = 2 * 60 * 1000;
+// Enough for every moderator and admin
+const REVIEWERS_PAGE_SIZE = 100;
+
+const TYPE_OPTIONS = [
+  { name: 'Business', type: ListingType.BUSINESS, icon: <Store className="h-4 w-4" /> },
+  { name: 'Franchise', type: ListingType.FRANCHISE, icon: <Briefcase className="h-4 w-4" /> },
+  { name: 'Startup', type: ListingType.STARTUP, icon: <FlaskConical className="h-4 w-4" /> },
+  { name: 'Investor', type: ListingType.INVESTOR, icon: <Users className="h-4 w-4" /> },
+  { name: 'Digital Asset', type: ListingType.DIGITAL_ASSET, icon: <Globe className="h-4 w-4" /> }
+];
+
+const SORT_OPTIONS: { value: ModerationQueueSort; label: string }[] = [
+  { value: 'due', label: 'Due soonest' },
+  { value: 'oldest', label: 'Oldest first' },
+  { value: 'plan', label: 'Highest plan first' }
+];
+
+const ASSIGNEE_OPTIONS = [
+  { value: '', label: 'Everyone\'s' },
+  { value: 'me', label: 'Assigned to me' },
+  { value: 'unassigned', label: 'Unassigned' }
+];
+
+const SLA_STYLES: Record<SlaStatus, string> = {
+  on_track: 'bg-green-100 text-green-800',
+  due_soon: 'bg-amber-100 text-amber-800',
+  overdue: 'bg-red-100 text-red-800'
+};
+
+const PLAN_STYLES: Record<string, string> = {
+  platinum: 'bg-gray-800 text-white',
+  premium: 'bg-purple-100 text-purple-800',
+  advanced: 'bg-blue-100 text-blue-800',
+  basic: 'bg-gray-100 text-gray-700',
+  free: 'bg-gray-50 text-gray-500'
+};
+
+// "3h 20m", "45m", "2d 4h"
+const formatDuration = (ms: number) => {
+  const minutes = Math.max(0, Math.floor(ms / 60000));
+  const days = Math.floor(minutes / (24 * 60));
+  const hours = Math.floor((minutes % (24 * 60)) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  return `${minutes}m`;
+};
+
+const formatSla = (item: ModerationQueueItem, now: number) => {
+  const remaining = item.dueAt.getTime() - now;
+  return remaining > 0 ? `${formatDuration(remaining)} left` : `${formatDuration(-remaining)} overdue`;
+};
+
+const formatDate = (date: Date | null) => date
+  ? date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+  : '—';
+
+/**
+ * Moderation workspace: the pending listings in order of urgency, each counting down to its
+ * plan's review deadline. A moderator claims a listing so nobody else reviews it meanwhile,
+ * works through its type's checklist and approves it or rejects it with a reason, which can
+ * start from a template. Admins can assign listings to moderators.
+ */
+export default function ModerationQueue() {
+  usePageTitle('Moderation Queue');
+  const { user } = useAuth();
+  const isAdmin = [UserRole.SUPER_ADMIN, UserRole.ADMIN].includes(user?.role as UserRole);
+
+  const [items, setItems] = useState<ModerationQueueItem[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [filters, setFilters] = useState<ModerationQueueFilters>({ sort: 'due' });
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [now, setNow] = useState(Date.now());
+
+  const [reviewers, setReviewers] = useState<UserDetails[]>([]);
+  const [templates, setTemplates] = useState<RejectionTemplate[]>([]);
+  const [showTemplates, setShowTemplates] = useState(false);
+
+  const [templateId, setTemplateId] = useState('');
+  const [reason, setReason] = useState('');
+  const [busyAction, setBusyAction] = useState<string | null>(null);
+
+  const selected = items.find(item => item.listing.id === selectedId) || null;
+  const isMine = Boolean(selected?.claim && selected.claim.userId === user?.id);
+
+  const loadQueue = async (showLoading = true) => {
+    try {
+      if (showLoading) setIsLoading(true);
+      const queue = await getModerationQueue(filters);
+      setItems(queue);
+      setNow(Date.now());
+      // Keep the listing under review selected while it is still pending
+      setSelectedId(prev => queue.some(item => item.listing.id === prev) ? prev : queue[0]?.listing.id || null);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load the moderation queue');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadQueue();
+    const refresh = setInterval(() => loadQueue(false), REFRESH_INTERVAL_MS);
+    return () => clearInterval(refresh);
+  }, [filters]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), TIMER_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    if (!isAdmin) return;
+    getAdminPanelUsers(REVIEWERS_PAGE_SIZE, null, { role: [UserRole.MODERATOR, UserRole.ADMIN, UserRole.SUPER_ADMIN] })
+      .then(({ users }) => setReviewers(users))
+      .catch(error => console.error('Error loading reviewers:', error));
+  }, [isAdmin]);
+
+  const loadTemplates = async (type: ListingType) => {
+    try {
+      setTemplates(await getRejectionTemplates(type));
+    } catch (error) {
+      console.error('Error loading rejection templates:', error);
+    }
+  };
+
+  // Each listing starts with a blank rejection, from the templates for its type
+  useEffect(() => {
+    setTemplateId('');
+    setReason('');
+    if (selected) loadTemplates(selected.listing.type);
+  }, [selectedId]);
+
+  const replaceItem = (updated: ModerationQueueItem) => {
+    setItems(prev => prev.map(item => item.listing.id === updated.listing.id ? updated : item));
+  };
+
+  const runAction = async (action: string, task: () => Promise<void>) => {
+    try {
+      setBusyAction(action);
+      await task();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Something went wrong');
+      // Another moderator may have claimed or decided it meanwhile
+      loadQueue(false);
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const handleClaim = (item: ModerationQueueItem) => runAction('claim', async () => {
+    replaceItem(await claimListingReview(item.listing.id));
+    setSelectedId(item.listing.id);
+  });
+
+  const handleRelease = (item: ModerationQueueItem) => runAction('release', async () => {
+    replaceItem(await releaseListingReview(item.listing.id));
+  });
+
+  const handleAssign = (item: ModerationQueueItem, userId: string) => runAction('assign', async () => {
+    replaceItem(await assignListingReview(item.listing.id, userId || null));
+    toast.success(userId ? 'Review assigned' : 'Assignment removed');
+  });
+
+  const handleCheck = (item: ModerationQueueItem, checkId: string, checked: boolean) => runAction(`check:${checkId}`, async () => {
+    replaceItem(await updateReviewChecklist(item.listing.id, { [checkId]: checked }));
+  });
+
+  const handleDecision = (item: ModerationQueueItem, decision: 'approve' | 'reject') => runAction(decision, async () => {
+    await decideListingReview(item.listing.id, {
+      decision,
+      ...(decision === 'reject' && templateId ? { templateId } : {}),
+      ...(decision === 'reject' && reason.trim() ? { reason: reason.trim() } : {})
+    });
+    toast.success(decision === 'approve' ? `${item.listing.name} is published` : `${item.listing.name} was rejected`);
+    setSelectedId(null);
+    await loadQueue(false);
+  });
+
+  const handleTemplateChange = (id: string) => {
+    setTemplateId(id);
+    const template = templates.find(candidate => candidate.id === id);
+    if (template) setReason(template.reason);
+  };
+
+  const slaCounts = useMemo(() => items.reduce<Record<SlaStatus, number>>((counts, item) => {
+    counts[getSlaStatus(item.dueAt, item.slaHours, now)]++;
+    return counts;
+  }, { on_track: 0, due_soon: 0, overdue: 0 }), [items, now]);
+
+  const missingChecks = selected ? selected.checklist.filter(check => check.required && !check.checked) : [];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div>
+          <Link to="/listings" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 mb-1">
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            Listings
+          </Link>
+          <h1 className="text-2xl font-bold text-gray-900">Moderation Queue</h1>
+          <p className="text-sm text-gray-500">
+            {items.length} pending · {slaCounts.overdue} overdue · {slaCounts.due_soon} due soon
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <Button variant="outline" leftIcon={<FileText className="h-4 w-4" />} onClick={() => setShowTemplates(true)}>
+            Rejection Templates
+          </Button>
+          <Button
+            variant="outline"
+            leftIcon={<RefreshCw className="h-4 w-4" />}
+            onClick={() => loadQueue()}
+            disabled={isLoading}
+          >
+            Refresh
+          </Button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 bg-white rounded-lg shadow-sm p-4">
+        <div className="flex flex-wrap gap-2">
+          {TYPE_OPTIONS.map(option => {
+            const isActive = filters.type?.includes(option.type);
+            return (
+              <button
+                key={option.type}
+                className={cn(
+                  'inline-flex items-center gap-1.5 px-3 py-1.5 rounded-full text-sm border',
+                  isActive ? 'bg-[#0031ac] text-white border-[#0031ac]' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                )}
+                onClick={() => setFilters(prev => ({
+                  ...prev,
+                  type: isActive ? prev.type?.filter(type => type !== option.type) : [...(prev.type || []), option.type]
+                }))}
+              >
+                {option.icon}
+                {option.name}
+              </button>
+            );
+          })}
+        </div>
+        <div className="flex gap-3 md:ml-auto">
+          <select
+            value={filters.assignee || ''}
+            onChange={(event) => setFilters(prev => ({ ...prev, assignee: event.target.value || undefined }))}
+            className="rounded-md border-gray-300 text-sm focus:border-[#0031ac] focus:ring-[#0031ac]"
+            aria-label="Assignee"
+          >
+            {ASSIGNEE_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+          <select
+            value={filters.sort}
+            onChange={(event) => setFilters(prev => ({ ...prev, sort: event.target.value as ModerationQueueSort }))}
+            className="rounded-md border-gray-300 text-sm focus:border-[#0031ac] focus:ring-[#0031ac]"
+            aria-label="Sort"
+          >
+            {SORT_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
+        <div className="lg:col-span-2 bg-white rounded-lg shadow-sm overflow-hidden">
+          {isLoading ? (
+            <div className="flex justify-center py-12">
+              <LoadingSpinner size="lg" text="Loading queue..." />
+            </div>
+          ) : items.length === 0 ? (
+            <div className="py-12 text-center">
+              <CheckCircle className="h-10 w-10 text-green-500 mx-auto mb-3" />
+              <p className="text-sm text-gray-500">Nothing is waiting for review.</p>
+            </div>
+          ) : (
+            <ul className="divide-y divide-gray-100 max-h-[70vh] overflow-y-auto">
+              {items.map(item => {
+                const slaStatus = getSlaStatus(item.dueAt, item.slaHours, now);
+                const claim = item.claim && item.claim.expiresAt.getTime() > now ? item.claim : null;
+                return (
+                  <li key={item.listing.id}>
+                    <button
+                      className={cn(
+                        'w-full flex items-start gap-3 px-4 py-3 text-left hover:bg-gray-50',
+                        item.listing.id === selectedId && 'bg-blue-50 hover:bg-blue-50'
+                      )}
+                      onClick={() => setSelectedId(item.listing.id)}
+                    >
+                      <span className="mt-0.5 text-gray-500">{TYPE_OPTIONS.find(option => option.type === item.listing.type)?.icon}</span>
+                      <span className="flex-1 min-w-0">
+                        <span className="block text-sm font-medium text-gray-900 truncate">{item.listing.name}</span>
+                        <span className="block text-xs text-gray-500 truncate">
+                          {[item.listing.ownerName, item.listing.displayLocation].filter(Boolean).join(' · ')}
+                        </span>
+                        <span className="mt-1 flex flex-wrap items-center gap-1.5 text-xs">
+                          <span className={cn('px-1.5 py-0.5 rounded capitalize', PLAN_STYLES[item.listing.plan])}>{item.listing.plan}</span>
+                          {claim && (
+                            <span className="inline-flex items-center gap-1 text-gray-500">
+                              <Lock className="h-3 w-3" />
+                              {claim.userId === user?.id ? 'You' : claim.userName || 'Claimed'}
+                            </span>
+                          )}
+                          {!claim && item.assignee && (
+                            <span className="text-gray-500">→ {item.assignee.userId === user?.id ? 'You' : item.assignee.userName}</span>
+                          )}
+                          {item.flags.length > 0 && (
+                            <span className="inline-flex items-center gap-1 text-amber-700" title={item.flags.map(flag => flag.label).join('\n')}>
+                              <AlertTriangle className="h-3 w-3" />
+                              {item.flags.length === 1 ? 'Flagged' : `${item.flags.length} flags`}
+                            </span>
+                          )}
+                        </span>
+                      </span>
+                      <span className={cn('inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium whitespace-nowrap', SLA_STYLES[slaStatus])}>
+                        <Clock className="h-3 w-3" />
+                        {formatSla(item, now)}
+                      </span>
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+
+        <div className="lg:col-span-3">
+          {!selected ? (
+            !isLoading && items.length > 0 && (
+              <div className="bg-white rounded-lg shadow-sm p-8 text-center text-sm text-gray-500">
+                Pick a listing to review.
+              </div>
+            )
+          ) : (
+            <div className="bg-white rounded-lg shadow-sm divide-y divide-gray-100">
+              <div className="p-5 flex items-start gap-4">
+                {selected.listing.imageUrl && (
+                  <img src={selected.listing.imageUrl} alt="" className="h-16 w-16 rounded-md object-cover flex-shrink-0" />
+                )}
+                <div className="flex-1 min-w-0">
+                  <h2 className="text-lg font-semibold text-gray-900">{selected.listing.name}</h2>
+                  <p className="text-sm text-gray-500">
+                    {[
+                      TYPE_OPTIONS.find(option => option.type === selected.listing.type)?.name,
+                      selected.listing.ownerName,
+                      selected.listing.displayLocation
+                    ].filter(Boolean).join(' · ')}
+                  </p>
+                  <p className="mt-1 text-xs text-gray-500">
+                    Submitted {formatDate(selected.submittedAt)} · due {formatDate(selected.dueAt)} ({selected.slaHours}h SLA for the{' '}
+                    <span className="capitalize">{selected.listing.plan}</span> plan)
+                  </p>
+                </div>
+                <Link
+                  to={`/listings/${selected.listing.id}`}
+                  target="_blank"
+                  className="inline-flex items-center gap-1 text-sm font-medium text-[#0031ac] hover:underline whitespace-nowrap"
+                >
+                  Open listing
+                  <ExternalLink className="h-4 w-4" />
+                </Link>
+              </div>
+
+              <div className="p-5 flex flex-wrap items-center gap-3">
+                {selected.claim && selected.claim.expiresAt.getTime() > now ? (
+                  <>
+                    <span className="inline-flex items-center gap-1.5 text-sm text-gray-700">
+                      <Lock className="h-4 w-4 text-gray-400" />
+                      {isMine ? 'You are reviewing this listing' : `${selected.claim.userName || 'Another moderator'} is reviewing this listing`}
+                      <span className="text-gray-400">· claim lapses in {formatDuration(selected.claim.expiresAt.getTime() - now)}</span>
+                    </span>
+                    {(isMine || isAdmin) && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        leftIcon={<Unlock className="h-4 w-4" />}
+                        onClick={() => handleRelease(selected)}
+                        isLoading={busyAction === 'release'}
+                      >
+                        Release
+                      </Button>
+                    )}
+                    {isMine && (
+                      <Button variant="ghost" size="sm" onClick={() => handleClaim(selected)} isLoading={busyAction === 'claim'}>
+                        Keep claim
+                      </Button>
+                    )}
+                  </>
+                ) : (
+                  <Button
+                    size="sm"
+                    leftIcon={<Lock className="h-4 w-4" />}
+                    onClick={() => handleClaim(selected)}
+                    isLoading={busyAction === 'claim'}
+                    disabled={Boolean(selected.assignee && selected.assignee.userId !== user?.id && !isAdmin)}
+                  >
+                    Claim for review
+                  </Button>
+                )}
+
+                <div className="ml-auto flex items-center gap-2 text-sm text-gray-600">
+                  <span>Assigned to</span>
+                  {isAdmin ? (
+                    <select
+                      value={selected.assignee?.userId || ''}
+                      onChange={(event) => handleAssign(selected, event.target.value)}
+                      disabled={busyAction === 'assign'}
+                      className="rounded-md border-gray-300 text-sm focus:border-[#0031ac] focus:ring-[#0031ac]"
+                    >
+                      <option value="">Nobody</option>
+                      {reviewers.map(reviewer => (
+                        <option key={reviewer.id} value={reviewer.id}>{reviewer.name || reviewer.email}</option>
+                      ))}
+                      {/* An assignee who is no longer a moderator */}
+                      {selected.assignee && !reviewers.some(reviewer => reviewer.id === selected.assignee?.userId) && (
+                        <option value={selected.assignee.userId}>{selected.assignee.userName || selected.assignee.userId}</option>
+                      )}
+                    </select>
+                  ) : (
+                    <span className="font-medium text-gray-900">{selected.assignee?.userName || 'Nobody'}</span>
+                  )}
+                </div>
+              </div>
+
+              {selected.flags.length > 0 && (
+                <div className="p-5 space-y-2">
+                  {selected.flags.map(flag => (
+                    <div key={flag.code} className="flex items-start gap-2 rounded-md bg-amber-50 p-3 text-sm">
+                      <AlertTriangle className="h-4 w-4 text-amber-600 mt-0.5 flex-shrink-0" />
+                      <div>
+                        <p className="font-medium text-amber-800">{flag.label}</p>
+                        <p className="text-amber-700">{flag.detail}</p>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div className="p-5">
+                <h3 className="text-sm font-medium text-gray-900 mb-3">Review checklist</h3>
+                {!isMine && (
+                  <p className="mb-3 text-xs text-gray-500">Claim the listing to work through its checklist.</p>
+                )}
+                <ul className="space-y-2">
+                  {selected.checklist.map(check => (
+                    <li key={check.id}>
+                      <label className={cn('flex items-start gap-3 text-sm', isMine ? 'cursor-pointer' : 'opacity-70')}>
+                        <input
+                          type="checkbox"
+                          className="mt-0.5 rounded border-gray-300 text-[#0031ac] focus:ring-[#0031ac]"
+                          checked={check.checked}
+                          disabled={!isMine || busyAction === `check:${check.id}`}
+                          onChange={(event) => handleCheck(selected, check.id, event.target.checked)}
+                        />
+                        <span className="flex-1 text-gray-700">
+                          {check.label}
+                          {!check.required && <span className="ml-1 text-xs text-gray-400">(optional)</span>}
+                        </span>
+                        {check.checkedAt && (
+                          <span className="text-xs text-gray-400 whitespace-nowrap">{formatDate(check.checkedAt)}</span>
+                        )}
+                      </label>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+
+              <div className="p-5 space-y-4">
+                <div className="flex flex-wrap items-center gap-3">
+                  <Button
+                    leftIcon={<CheckCircle className="h-4 w-4" />}
+                    onClick={() => handleDecision(selected, 'approve')}
+                    disabled={!isMine || missingChecks.length > 0 || busyAction !== null}
+                    isLoading={busyAction === 'approve'}
+                  >
+                    Approve and Publish
+                  </Button>
+                  {isMine && missingChecks.length > 0 && (
+                    <span className="text-xs text-gray-500">
+                      {missingChecks.length} required {missingChecks.length === 1 ? 'check' : 'checks'} left
+                    </span>
+                  )}
+                </div>
+
+                <div className="border-t border-gray-100 pt-4 space-y-3">
+                  <div className="flex flex-wrap items-center gap-3">
+                    <h3 className="text-sm font-medium text-gray-900">Reject</h3>
+                    <select
+                      value={templateId}
+                      onChange={(event) => handleTemplateChange(event.target.value)}
+                      disabled={!isMine}
+                      className="flex-1 min-w-[12rem] rounded-md border-gray-300 text-sm focus:border-[#0031ac] focus:ring-[#0031ac]"
+                      aria-label="Rejection template"
+                    >
+                      <option value="">{templates.length ? 'Start from a template...' : 'No templates for this type'}</option>
+                      {templates.map(template => <option key={template.id} value={template.id}>{template.title}</option>)}
+                    </select>
+                  </div>
+                  <textarea
+                    value={reason}
+                    onChange={(event) => setReason(event.target.value)}
+                    disabled={!isMine}
+                    rows={3}
+                    maxLength={1000}
+                    placeholder="Why the listing is rejected, shown to the owner"
+                    className="w-full rounded-md border-gray-300 text-sm focus:border-[#0031ac] focus:ring-[#0031ac]"
+                  />
+                  <Button
+                    variant="danger"
+                    leftIcon={<XCircle className="h-4 w-4" />}
+                    onClick={() => handleDecision(selected, 'reject')}
+                    disabled={!isMine || !reason.trim() || busyAction !== null}
+                    isLoading={busyAction === 'reject'}
+                  >
+                    Reject
+                  </Button>
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {showTemplates && (
+        <RejectionTemplatesDialog
+          onClose={() => setShowTemplates(false)}
+          onChange={() => selected && loadTemplates(selected.listing.type)}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,325 @@
+import React, { useState, useEffect } from 'react';
+import { RefreshCw, ChevronDown, ChevronRight, ShieldCheck, Filter, X } from 'lucide-react';
+import usePageTitle from '@/hooks/usePageTitle';
+import Button from '@/components/ui/Button';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import ErrorBoundary from '@/components/ErrorBoundary';
+import { AuditEntityType, AuditLogEntry, AuditLogFilters } from '@/types/audit';
+import { UserDetails } from '@/types/firebase';
+import { getAuditLogs } from '@/services/auditService';
+import { getAdminPanelUsers } from '@/services/userService';
+import { formatDate } from '@/lib/utils';
+import { toast } from 'react-hot-toast';
+
+const pageSize = 25;
+
+const ENTITY_TYPE_LABELS: Record<AuditEntityType, string> = {
+  [AuditEntityType.USER]: 'User',
+  [AuditEntityType.LISTING]: 'Listing',
+  [AuditEntityType.COMMISSION_STRUCTURE]: 'Commission Structure',
+  [AuditEntityType.SECURITY_POLICY]: 'Security Policy',
+  [AuditEntityType.WEBHOOK]: 'Webhook',
+  [AuditEntityType.MODERATION_TEMPLATE]: 'Rejection template',
+  [AuditEntityType.RATING_POLICY]: 'Rating weights',
+  [AuditEntityType.VALUATION_POLICY]: 'Valuation benchmarks'
+};
+
+// Turn "listing.status_change" into "Listing status change"
+const formatAction = (action: string) => {
+  const text = action.replace(/[._]/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+// Parse a yyyy-mm-dd input value; "to" dates include the whole day
+const parseDateInput = (value: string, endOfDay = false): Date | undefined => {
+  if (!value) return undefined;
+  const date = new Date(`${value}T00:00:00`);
+  if (endOfDay) date.setHours(23, 59, 59, 999);
+  return date;
+};
+
+const SnapshotDiff: React.FC<{ entry: AuditLogEntry }> = ({ entry }) => {
+  const keys = Array.from(new Set([
+    ...Object.keys(entry.before || {}),
+    ...Object.keys(entry.after || {})
+  ]));
+
+  if (keys.length === 0) {
+    return <p className="text-sm text-gray-500">No snapshot recorded for this action.</p>;
+  }
+
+  const render = (value: any) => {
+    if (value === undefined || value === null) return <span className="text-gray-400">—</span>;
+    if (typeof value === 'object') return <code className="text-xs break-all">{JSON.stringify(value)}</code>;
+    return String(value);
+  };
+
+  return (
+    <table className="min-w-full text-sm">
+      <thead>
+        <tr className="text-left text-xs text-gray-500 uppercase">
+          <th className="py-1 pr-4 font-medium">Field</th>
+          <th className="py-1 pr-4 font-medium">Before</th>
+          <th className="py-1 font-medium">After</th>
+        </tr>
+      </thead>
+      <tbody>
+        {keys.map(key => {
+          const before = entry.before?.[key];
+          const after = entry.after?.[key];
+          const changed = JSON.stringify(before) !== JSON.stringify(after);
+          return (
+            <tr key={key} className={changed ? 'bg-yellow-50' : ''}>
+              <td className="py-1 pr-4 font-mono text-xs text-gray-700">{key}</td>
+              <td className="py-1 pr-4 text-gray-700">{render(before)}</td>
+              <td className="py-1 text-gray-700">{render(after)}</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+};
+
+export default function AuditLog() {
+  usePageTitle('Audit Log');
+
+  const [entries, setEntries] = useState<AuditLogEntry[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [expandedId, setExpandedId] = useState<string | null>(null);
+  const [actors, setActors] = useState<UserDetails[]>([]);
+
+  // Filter state
+  const [filters, setFilters] = useState<AuditLogFilters>({});
+  const [fromInput, setFromInput] = useState('');
+  const [toInput, setToInput] = useState('');
+
+  // Load admin panel users for the actor filter
+  useEffect(() => {
+    const fetchActors = async () => {
+      try {
+        const result = await getAdminPanelUsers(100);
+        setActors(result.users);
+      } catch (error) {
+        console.error('Error loading actors for audit filter:', error);
+      }
+    };
+
+    fetchActors();
+  }, []);
+
+  useEffect(() => {
+    loadEntries(true);
+  }, [filters]);
+
+  const loadEntries = async (reset = false) => {
+    try {
+      setIsLoading(true);
+
+      const result = await getAuditLogs(pageSize, reset ? null : nextCursor, filters);
+
+      setEntries(prev => reset ? result.entries : [...prev, ...result.entries]);
+      setNextCursor(result.nextCursor);
+    } catch (error) {
+      console.error('Error loading audit log:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to load audit log');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const applyDateRange = () => {
+    const from = parseDateInput(fromInput);
+    const to = parseDateInput(toInput, true);
+    setFilters(prev => ({
+      ...prev,
+      dateRange: from || to ? { from, to } : undefined
+    }));
+  };
+
+  const clearFilters = () => {
+    setFromInput('');
+    setToInput('');
+    setFilters({});
+  };
+
+  const hasFilters = !!(filters.actorId || filters.entityType || filters.dateRange);
+
+  return (
+    <ErrorBoundary>
+      <div>
+        {/* Page header */}
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-6">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Audit Log</h1>
+            <p className="mt-1 text-sm text-gray-500">
+              Append-only record of privileged actions taken in the admin panel
+            </p>
+          </div>
+
+          <div className="mt-4 sm:mt-0">
+            <Button
+              variant="outline"
+              size="sm"
+              leftIcon={<RefreshCw className="h-4 w-4" />}
+              onClick={() => loadEntries(true)}
+            >
+              Refresh
+            </Button>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white border border-gray-200 rounded-lg p-4 mb-6">
+          <div className="flex items-center text-sm font-medium text-gray-700 mb-3">
+            <Filter className="h-4 w-4 mr-2" />
+            Filters
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div>
+              <label className="block text-xs font-medium text-gray-500 mb-1">Actor</label>
+              <select
+                className="block w-full border border-gray-300 rounded-md py-2 px-3 text-sm focus:outline-none focus:ring-1 focus:ring-[#0031ac]"
+                value={filters.actorId || ''}
+                onChange={(e) => setFilters(prev => ({ ...prev, actorId: e.target.value || undefined }))}
+              >
+                <option value="">All actors</option>
+                {actors.map(actor => (
+                  <option key={actor.id} value={actor.id}>{actor.name} ({actor.role})</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-500 mb-1">Entity Type</label>
+              <select
+                className="block w-full border border-gray-300 rounded-md py-2 px-3 text-sm focus:outline-none focus:ring-1 focus:ring-[#0031ac]"
+                value={filters.entityType || ''}
+                onChange={(e) => setFilters(prev => ({
+                  ...prev,
+                  entityType: (e.target.value || undefined) as AuditEntityType | undefined
+                }))}
+              >
+                <option value="">All types</option>
+                {Object.values(AuditEntityType).map(type => (
+                  <option key={type} value={type}>{ENTITY_TYPE_LABELS[type]}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-500 mb-1">From</label>
+              <input
+                type="date"
+                className="block w-full border border-gray-300 rounded-md py-2 px-3 text-sm focus:outline-none focus:ring-1 focus:ring-[#0031ac]"
+                value={fromInput}
+                onChange={(e) => setFromInput(e.target.value)}
+                onBlur={applyDateRange}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-500 mb-1">To</label>
+              <input
+                type="date"
+                className="block w-full border border-gray-300 rounded-md py-2 px-3 text-sm focus:outline-none focus:ring-1 focus:ring-[#0031ac]"
+                value={toInput}
+                onChange={(e) => setToInput(e.target.value)}
+                onBlur={applyDateRange}
+              />
+            </div>
+          </div>
+          {hasFilters && (
+            <div className="mt-3 flex justify-end">
+              <Button variant="ghost" size="sm" leftIcon={<X className="h-4 w-4" />} onClick={clearFilters}>
+                Clear filters
+              </Button>
+            </div>
+          )}
+        </div>
+
+        {/* Entries */}
+        {isLoading && entries.length === 0 ? (
+          <div className="flex justify-center items-center p-8">
+            <LoadingSpinner size="lg" text="Loading audit log..." />
+          </div>
+        ) : entries.length === 0 ? (
+          <div className="border border-gray-200 rounded-lg p-8 text-center bg-gray-50">
+            <ShieldCheck className="h-8 w-8 text-gray-400 mx-auto mb-2" />
+            <h3 className="text-lg font-medium text-gray-500 mb-2">No audit entries found</h3>
+            <p className="text-gray-400">Try adjusting your filters</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto bg-white border border-gray-200 rounded-lg">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="w-8 px-4 py-3" />
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actor</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Target</th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">IP Address</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {entries.map(entry => {
+                  const isExpanded = expandedId === entry.id;
+                  return (
+                    <React.Fragment key={entry.id}>
+                      <tr
+                        className="table-row-hover cursor-pointer"
+                        onClick={() => setExpandedId(isExpanded ? null : entry.id)}
+                      >
+                        <td className="px-4 py-4 text-gray-400">
+                          {isExpanded ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {formatDate(entry.timestamp)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="text-sm font-medium text-gray-900">{entry.actor.name || 'Unknown'}</div>
+                          <div className="text-xs text-gray-500">{entry.actor.role}</div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {formatAction(entry.action)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="text-sm text-gray-900">{entry.target.label || entry.target.id}</div>
+                          <div className="text-xs text-gray-500">
+                            {ENTITY_TYPE_LABELS[entry.target.type] || entry.target.type}
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-500">
+                          {entry.ip || 'N/A'}
+                        </td>
+                      </tr>
+                      {isExpanded && (
+                        <tr className="bg-gray-50">
+                          <td />
+                          <td colSpan={5} className="px-6 py-4">
+                            <SnapshotDiff entry={entry} />
+                            {entry.userAgent && (
+                              <p className="mt-3 text-xs text-gray-400 break-all">User agent: {entry.userAgent}</p>
+                            )}
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Load more */}
+        {nextCursor && (
+          <div className="flex justify-center mt-6">
+            <Button variant="outline" onClick={() => loadEntries()} isLoading={isLoading}>
+              Load More
+            </Button>
+          </div>
+        )}
+      </div>
+    </ErrorBoundary>
+  );
+}
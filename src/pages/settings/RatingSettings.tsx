@@ -0,0 +1,208 @@
+import { useState, useEffect } from 'react';
+import { BarChart, RefreshCw, RotateCcw, Save } from 'lucide-react';
+import usePageTitle from '@/hooks/usePageTitle';
+import Button from '@/components/ui/Button';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import ErrorBoundary from '@/components/ErrorBoundary';
+import { RatingComponent, RatingSettings as RatingSettingsData } from '@/types/listings';
+import { getRatingSettings, recalculateListingRatings, updateRatingWeights } from '@/services/ratingService';
+import { formatDate } from '@/lib/utils';
+import { toast } from 'react-hot-toast';
+
+const COMPONENTS: { key: RatingComponent; label: string; description: string }[] = [
+  { key: 'completeness', label: 'Completeness', description: 'Required and optional fields filled in, gallery and featured image' },
+  { key: 'verification', label: 'Verification', description: 'Verified listing and verified documents' },
+  { key: 'documentation', label: 'Documentation', description: 'Documents uploaded, financial statements among them, none rejected' },
+  { key: 'engagement', label: 'Engagement', description: 'Views, contacts and favourites' },
+  { key: 'longevity', label: 'Longevity', description: 'Time since first published and recent updates' },
+  { key: 'financials', label: 'Financials', description: 'Figures disclosed and consistent with each other' }
+];
+
+export default function RatingSettings() {
+  usePageTitle('Listing Rating');
+
+  const [settings, setSettings] = useState<RatingSettingsData | null>(null);
+  const [weights, setWeights] = useState<Record<RatingComponent, number> | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isRecalculating, setIsRecalculating] = useState(false);
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const loaded = await getRatingSettings();
+        setSettings(loaded);
+        setWeights(loaded.weights);
+      } catch (error) {
+        console.error('Error loading rating settings:', error);
+        toast.error(error instanceof Error ? error.message : 'Failed to load rating settings');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  const setWeight = (component: RatingComponent, value: string) => {
+    const weight = Math.max(0, Math.min(100, Math.round(Number(value) || 0)));
+    setWeights(prev => prev && { ...prev, [component]: weight });
+  };
+
+  const handleSave = async () => {
+    if (!weights) return;
+
+    try {
+      setIsSaving(true);
+      const saved = await updateRatingWeights(weights);
+      setSettings(saved);
+      setWeights(saved.weights);
+      toast.success('Rating weights updated. Listings are rated with them when next saved or tonight.');
+    } catch (error) {
+      console.error('Error updating rating weights:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to update rating weights');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRecalculate = async () => {
+    try {
+      setIsRecalculating(true);
+      const { recalculated, updated } = await recalculateListingRatings();
+      toast.success(`Rated ${recalculated} listings; ${updated} ratings changed`);
+      setSettings(await getRatingSettings());
+    } catch (error) {
+      console.error('Error recalculating listing ratings:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to recalculate ratings');
+    } finally {
+      setIsRecalculating(false);
+    }
+  };
+
+  const total = weights ? COMPONENTS.reduce((sum, { key }) => sum + weights[key], 0) : 0;
+  const hasChanges = !!settings && !!weights && COMPONENTS.some(({ key }) => weights[key] !== settings.weights[key]);
+
+  return (
+    <ErrorBoundary>
+      <div className="max-w-3xl">
+        {/* Page header */}
+        <div className="mb-6">
+          <h1 className="text-2xl font-bold text-gray-900">Listing Rating</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            How the system rating of every listing is put together
+          </p>
+        </div>
+
+        <div className="bg-white border border-gray-200 rounded-lg">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+            <BarChart className="h-5 w-5 text-[#0031ac] mr-2" />
+            <h2 className="text-lg font-medium text-gray-900">Component Weights</h2>
+          </div>
+
+          <div className="p-6">
+            {isLoading || !settings || !weights ? (
+              <div className="flex justify-center py-6">
+                <LoadingSpinner size="md" />
+              </div>
+            ) : (
+              <div className="space-y-4">
+                <p className="text-sm text-gray-700">
+                  Each component is scored from 0 to 10 from the listing's own data. The system rating is
+                  their average, weighted by these percentages, which must add up to 100.
+                </p>
+
+                <div className="divide-y divide-gray-100">
+                  {COMPONENTS.map(({ key, label, description }) => (
+                    <div key={key} className="flex items-center justify-between gap-4 py-3">
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">{label}</p>
+                        <p className="text-xs text-gray-500">{description}</p>
+                      </div>
+                      <div className="flex items-center gap-1">
+                        <input
+                          type="number"
+                          min={0}
+                          max={100}
+                          step={1}
+                          value={weights[key]}
+                          onChange={(e) => setWeight(key, e.target.value)}
+                          disabled={isSaving}
+                          className="w-20 rounded-md border-gray-300 text-sm text-right focus:border-[#0031ac] focus:ring-[#0031ac]"
+                          aria-label={`${label} weight`}
+                        />
+                        <span className="text-sm text-gray-500">%</span>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="flex items-center justify-between text-sm">
+                  <span className={total === 100 ? 'text-gray-700' : 'text-red-600'}>
+                    Total: {total}%{total !== 100 && ' (must be 100%)'}
+                  </span>
+                  <button
+                    type="button"
+                    className="inline-flex items-center text-xs text-gray-500 hover:text-gray-700"
+                    onClick={() => setWeights(settings.defaultWeights)}
+                    disabled={isSaving}
+                  >
+                    <RotateCcw className="h-3 w-3 mr-1" />
+                    Restore defaults
+                  </button>
+                </div>
+
+                <div className="flex items-center gap-3">
+                  <Button
+                    size="sm"
+                    leftIcon={<Save className="h-4 w-4" />}
+                    onClick={handleSave}
+                    isLoading={isSaving}
+                    disabled={!hasChanges || total !== 100 || isSaving}
+                  >
+                    Save Weights
+                  </Button>
+                  {settings.updatedAt && (
+                    <span className="text-xs text-gray-500">Last changed {formatDate(settings.updatedAt)}</span>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="mt-6 bg-white border border-gray-200 rounded-lg">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+            <RefreshCw className="h-5 w-5 text-[#0031ac] mr-2" />
+            <h2 className="text-lg font-medium text-gray-900">Recalculation</h2>
+          </div>
+
+          <div className="p-6 space-y-4">
+            <p className="text-sm text-gray-700">
+              A listing is rated again whenever it is saved, verified or changes status. Every listing is
+              also rated again each night, as views and time since publishing change without it being saved.
+            </p>
+            <div className="flex items-center gap-3">
+              <Button
+                size="sm"
+                variant="outline"
+                leftIcon={<RefreshCw className="h-4 w-4" />}
+                onClick={handleRecalculate}
+                isLoading={isRecalculating}
+                loadingText="Recalculating..."
+                disabled={isLoading || isRecalculating || hasChanges}
+              >
+                Recalculate All Now
+              </Button>
+              <span className="text-xs text-gray-500">
+                {hasChanges
+                  ? 'Save the weights first'
+                  : `Last recalculated ${settings?.lastRecalculatedAt ? formatDate(settings.lastRecalculatedAt) : 'never'}`}
+              </span>
+            </div>
+          </div>
+        </div>
+      </div>
+    </ErrorBoundary>
+  );
+}
@@ -0,0 +1,132 @@
+import { useState, useEffect } from 'react';
+import { ShieldCheck, Save } from 'lucide-react';
+import usePageTitle from '@/hooks/usePageTitle';
+import Button from '@/components/ui/Button';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import ErrorBoundary from '@/components/ErrorBoundary';
+import { useAuth } from '@/context/AuthContext';
+import { UserRole } from '@/types/firebase';
+import { getMfaPolicy, updateMfaPolicy } from '@/services/mfaService';
+import { toast } from 'react-hot-toast';
+
+const ROLE_LABELS: Partial<Record<UserRole, string>> = {
+  [UserRole.SUPER_ADMIN]: 'Super Admin',
+  [UserRole.ADMIN]: 'Admin',
+  [UserRole.MODERATOR]: 'Moderator'
+};
+
+export default function SecuritySettings() {
+  usePageTitle('Security Settings');
+  const { user } = useAuth();
+  const canEdit = user?.role === UserRole.SUPER_ADMIN;
+
+  const [eligibleRoles, setEligibleRoles] = useState<UserRole[]>([]);
+  const [requiredRoles, setRequiredRoles] = useState<UserRole[]>([]);
+  const [savedRoles, setSavedRoles] = useState<UserRole[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const loadPolicy = async () => {
+      try {
+        const policy = await getMfaPolicy();
+        setEligibleRoles(policy.eligibleRoles);
+        setRequiredRoles(policy.requiredRoles);
+        setSavedRoles(policy.requiredRoles);
+      } catch (error) {
+        console.error('Error loading security policy:', error);
+        toast.error(error instanceof Error ? error.message : 'Failed to load security policy');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadPolicy();
+  }, []);
+
+  const toggleRole = (role: UserRole, checked: boolean) => {
+    setRequiredRoles(prev => checked ? [...prev, role] : prev.filter(r => r !== role));
+  };
+
+  const handleSave = async () => {
+    try {
+      setIsSaving(true);
+      const saved = await updateMfaPolicy(requiredRoles);
+      setRequiredRoles(saved);
+      setSavedRoles(saved);
+      toast.success('Security policy updated');
+    } catch (error) {
+      console.error('Error updating security policy:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to update security policy');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const hasChanges = [...requiredRoles].sort().join() !== [...savedRoles].sort().join();
+
+  return (
+    <ErrorBoundary>
+      <div className="max-w-3xl">
+        {/* Page header */}
+        <div className="mb-6">
+          <h1 className="text-2xl font-bold text-gray-900">Security Settings</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Sign-in requirements for admin panel accounts
+          </p>
+        </div>
+
+        <div className="bg-white border border-gray-200 rounded-lg">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+            <ShieldCheck className="h-5 w-5 text-[#0031ac] mr-2" />
+            <h2 className="text-lg font-medium text-gray-900">Mandatory Two-Factor Authentication</h2>
+          </div>
+
+          <div className="p-6">
+            {isLoading ? (
+              <div className="flex justify-center py-6">
+                <LoadingSpinner size="md" />
+              </div>
+            ) : (
+              <div className="space-y-4">
+                <p className="text-sm text-gray-700">
+                  Accounts with these roles must use an authenticator app to sign in. Anyone not yet
+                  enrolled will be asked to set it up at their next sign-in.
+                </p>
+
+                <div className="space-y-2">
+                  {eligibleRoles.map(role => (
+                    <label key={role} className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        className="h-4 w-4 text-[#0031ac] focus:ring-blue-500 border-gray-300 rounded mr-2"
+                        checked={requiredRoles.includes(role)}
+                        onChange={(e) => toggleRole(role, e.target.checked)}
+                        disabled={!canEdit || isSaving}
+                      />
+                      {ROLE_LABELS[role] || role}
+                    </label>
+                  ))}
+                </div>
+
+                {canEdit ? (
+                  <Button
+                    size="sm"
+                    leftIcon={<Save className="h-4 w-4" />}
+                    onClick={handleSave}
+                    isLoading={isSaving}
+                    disabled={!hasChanges || isSaving}
+                  >
+                    Save Policy
+                  </Button>
+                ) : (
+                  <p className="text-xs text-gray-500">Only super admins can change this policy.</p>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </ErrorBoundary>
+  );
+}
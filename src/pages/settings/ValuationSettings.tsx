@@ -0,0 +1,255 @@
+import { useState, useEffect } from 'react';
+import { Plus, Save, Scale, Trash2 } from 'lucide-react';
+import usePageTitle from '@/hooks/usePageTitle';
+import Button from '@/components/ui/Button';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import ErrorBoundary from '@/components/ErrorBoundary';
+import { CategoryObject, IndustryObject, MultipleRange, ValuationBenchmark, ValuationSettings as ValuationSettingsData } from '@/types/listings';
+import { getValuationSettings, updateValuationBenchmarks } from '@/services/valuationService';
+import { getAllCategories, getAllIndustries } from '@/services/industryService';
+import { formatDate } from '@/lib/utils';
+import { toast } from 'react-hot-toast';
+
+type MultipleKey = 'revenueMultiple' | 'earningsMultiple';
+
+const MULTIPLES: { key: MultipleKey; label: string }[] = [
+  { key: 'revenueMultiple', label: 'Revenue multiple' },
+  { key: 'earningsMultiple', label: 'Earnings multiple' }
+];
+
+const isValidRange = ({ low, high }: MultipleRange) => low > 0 && high >= low;
+
+const rowKey = (row: ValuationBenchmark) => `${row.industry}/${row.category || ''}`;
+
+export default function ValuationSettings() {
+  usePageTitle('Valuation Benchmarks');
+
+  const [settings, setSettings] = useState<ValuationSettingsData | null>(null);
+  const [rows, setRows] = useState<ValuationBenchmark[]>([]);
+  const [industries, setIndustries] = useState<IndustryObject[]>([]);
+  const [categories, setCategories] = useState<CategoryObject[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const [loaded, loadedIndustries, loadedCategories] = await Promise.all([
+          getValuationSettings(),
+          getAllIndustries(),
+          getAllCategories()
+        ]);
+        setSettings(loaded);
+        setRows(loaded.benchmarks);
+        setIndustries(loadedIndustries);
+        setCategories(loadedCategories);
+      } catch (error) {
+        console.error('Error loading valuation benchmarks:', error);
+        toast.error(error instanceof Error ? error.message : 'Failed to load valuation benchmarks');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  const updateRow = (index: number, changes: Partial<ValuationBenchmark>) => {
+    setRows(prev => prev.map((row, i) => i === index ? { ...row, ...changes } : row));
+  };
+
+  const setIndustry = (index: number, industryId: string) => {
+    const industry = industries.find(item => item.id === industryId);
+    updateRow(index, { industry: industryId, industryName: industry?.name || '', category: null, categoryName: '' });
+  };
+
+  const setCategory = (index: number, categoryId: string) => {
+    const category = categories.find(item => item.id === categoryId);
+    updateRow(index, { category: categoryId || null, categoryName: category?.name || '' });
+  };
+
+  const setMultiple = (index: number, key: MultipleKey, end: keyof MultipleRange, value: string) => {
+    const row = rows[index];
+    updateRow(index, { [key]: { ...row[key], [end]: Math.max(0, Number(value) || 0) } });
+  };
+
+  const addRow = () => {
+    if (!settings) return;
+    setRows(prev => [...prev, {
+      industry: '',
+      industryName: '',
+      category: null,
+      categoryName: '',
+      revenueMultiple: { ...settings.defaultBenchmark.revenueMultiple },
+      earningsMultiple: { ...settings.defaultBenchmark.earningsMultiple }
+    }]);
+  };
+
+  const handleSave = async () => {
+    try {
+      setIsSaving(true);
+      const saved = await updateValuationBenchmarks(rows);
+      setSettings(saved);
+      setRows(saved.benchmarks);
+      toast.success(`Benchmarks saved. Valued ${saved.revalued} business listings again; ${saved.updated} changed.`);
+    } catch (error) {
+      console.error('Error updating valuation benchmarks:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to update valuation benchmarks');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const keys = rows.map(rowKey);
+  const isRowValid = (row: ValuationBenchmark, index: number) =>
+    Boolean(row.industry) && isValidRange(row.revenueMultiple) && isValidRange(row.earningsMultiple) && keys.indexOf(rowKey(row)) === index;
+  const canSave = rows.every(isRowValid);
+  const hasChanges = !!settings && JSON.stringify(rows) !== JSON.stringify(settings.benchmarks);
+
+  return (
+    <ErrorBoundary>
+      <div className="max-w-5xl">
+        {/* Page header */}
+        <div className="mb-6">
+          <h1 className="text-2xl font-bold text-gray-900">Valuation Benchmarks</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            The multiples business listings are valued with
+          </p>
+        </div>
+
+        <div className="bg-white border border-gray-200 rounded-lg">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+            <Scale className="h-5 w-5 text-[#0031ac] mr-2" />
+            <h2 className="text-lg font-medium text-gray-900">Multiples by Industry</h2>
+          </div>
+
+          <div className="p-6">
+            {isLoading || !settings ? (
+              <div className="flex justify-center py-6">
+                <LoadingSpinner size="md" />
+              </div>
+            ) : (
+              <div className="space-y-4">
+                <p className="text-sm text-gray-700">
+                  A business's fair value is its annual revenue times the revenue multiples and its annual earnings
+                  (revenue times profit margin) times the earnings multiples, averaged. A category's row is used
+                  before its industry's. Industries without a row use {settings.defaultBenchmark.revenueMultiple.low}×
+                  to {settings.defaultBenchmark.revenueMultiple.high}× revenue and {settings.defaultBenchmark.earningsMultiple.low}×
+                  to {settings.defaultBenchmark.earningsMultiple.high}× earnings. Asking prices more than
+                  {' '}{Math.round(settings.flagMargin * 100)}% outside the range are flagged for moderators.
+                </p>
+
+                {rows.length === 0 ? (
+                  <p className="text-sm text-gray-500">No benchmarks yet. Every industry uses the defaults.</p>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full text-sm">
+                      <thead>
+                        <tr className="text-left text-xs font-medium text-gray-500 uppercase">
+                          <th className="py-2 pr-3">Industry</th>
+                          <th className="py-2 pr-3">Category</th>
+                          {MULTIPLES.map(({ key, label }) => (
+                            <th key={key} className="py-2 pr-3">{label} (low – high)</th>
+                          ))}
+                          <th className="py-2" />
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-100">
+                        {rows.map((row, index) => (
+                          <tr key={index} className={isRowValid(row, index) ? '' : 'bg-red-50'}>
+                            <td className="py-2 pr-3">
+                              <select
+                                value={row.industry}
+                                onChange={(e) => setIndustry(index, e.target.value)}
+                                disabled={isSaving}
+                                className="w-44 rounded-md border-gray-300 text-sm focus:border-[#0031ac] focus:ring-[#0031ac]"
+                                aria-label="Industry"
+                              >
+                                <option value="">Select industry</option>
+                                {industries.map(industry => (
+                                  <option key={industry.id} value={industry.id}>{industry.name}</option>
+                                ))}
+                              </select>
+                            </td>
+                            <td className="py-2 pr-3">
+                              <select
+                                value={row.category || ''}
+                                onChange={(e) => setCategory(index, e.target.value)}
+                                disabled={isSaving || !row.industry}
+                                className="w-44 rounded-md border-gray-300 text-sm focus:border-[#0031ac] focus:ring-[#0031ac]"
+                                aria-label="Category"
+                              >
+                                <option value="">Whole industry</option>
+                                {categories.filter(category => category.industryId === row.industry).map(category => (
+                                  <option key={category.id} value={category.id}>{category.name}</option>
+                                ))}
+                              </select>
+                            </td>
+                            {MULTIPLES.map(({ key, label }) => (
+                              <td key={key} className="py-2 pr-3 whitespace-nowrap">
+                                {(['low', 'high'] as const).map(end => (
+                                  <input
+                                    key={end}
+                                    type="number"
+                                    min={0}
+                                    step={0.1}
+                                    value={row[key][end]}
+                                    onChange={(e) => setMultiple(index, key, end, e.target.value)}
+                                    disabled={isSaving}
+                                    className="w-20 mr-1 rounded-md border-gray-300 text-sm text-right focus:border-[#0031ac] focus:ring-[#0031ac]"
+                                    aria-label={`${label} ${end}`}
+                                  />
+                                ))}
+                              </td>
+                            ))}
+                            <td className="py-2 text-right">
+                              <button
+                                type="button"
+                                className="p-1 text-gray-400 hover:text-red-600"
+                                onClick={() => setRows(prev => prev.filter((_, i) => i !== index))}
+                                disabled={isSaving}
+                                aria-label="Remove benchmark"
+                              >
+                                <Trash2 className="h-4 w-4" />
+                              </button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+
+                {!canSave && (
+                  <p className="text-xs text-red-600">
+                    Each row needs an industry, ranges with a low above 0 and a high no lower than it, and an industry
+                    or category no other row has.
+                  </p>
+                )}
+
+                <div className="flex items-center gap-3">
+                  <Button size="sm" variant="outline" leftIcon={<Plus className="h-4 w-4" />} onClick={addRow} disabled={isSaving}>
+                    Add Benchmark
+                  </Button>
+                  <Button
+                    size="sm"
+                    leftIcon={<Save className="h-4 w-4" />}
+                    onClick={handleSave}
+                    isLoading={isSaving}
+                    loadingText="Saving..."
+                    disabled={!hasChanges || !canSave || isSaving}
+                  >
+                    Save Benchmarks
+                  </Button>
+                  {settings.updatedAt && (
+                    <span className="text-xs text-gray-500">Last changed {formatDate(settings.updatedAt)}</span>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </ErrorBoundary>
+  );
+}
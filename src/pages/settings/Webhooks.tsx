@@ -0,0 +1,269 @@
+import { useState, useEffect } from 'react';
+import { Copy, Pencil, Plus, RefreshCcw, Trash2, Webhook } from 'lucide-react';
+import usePageTitle from '@/hooks/usePageTitle';
+import Button from '@/components/ui/Button';
+import LoadingSpinner from '@/components/ui/LoadingSpinner';
+import ErrorBoundary from '@/components/ErrorBoundary';
+import WebhookForm, { EVENT_TYPE_LABELS } from '@/components/webhooks/WebhookForm';
+import WebhookDeliveries from '@/components/webhooks/WebhookDeliveries';
+import { WebhookSubscription, WebhookSubscriptionInput } from '@/types/webhooks';
+import {
+  createWebhookSubscription,
+  deleteWebhookSubscription,
+  getWebhookSubscriptions,
+  rotateWebhookSecret,
+  updateWebhookSubscription
+} from '@/services/webhookService';
+import { toast } from 'react-hot-toast';
+
+export default function Webhooks() {
+  usePageTitle('Webhooks');
+
+  const [subscriptions, setSubscriptions] = useState<WebhookSubscription[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  // null: no form, 'new': adding, otherwise the ID being edited
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [busyId, setBusyId] = useState<string | null>(null);
+
+  // Signing secret to show once after creating a webhook or rotating its secret
+  const [newSecret, setNewSecret] = useState<{ url: string; secret: string } | null>(null);
+
+  useEffect(() => {
+    const loadSubscriptions = async () => {
+      try {
+        setSubscriptions(await getWebhookSubscriptions());
+      } catch (error) {
+        toast.error(error instanceof Error ? error.message : 'Failed to load webhooks');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadSubscriptions();
+  }, []);
+
+  const replaceSubscription = (subscription: WebhookSubscription) => {
+    setSubscriptions(prev => prev.map(s => s.id === subscription.id ? subscription : s));
+  };
+
+  const handleSubmit = async (input: WebhookSubscriptionInput) => {
+    try {
+      setIsSubmitting(true);
+      if (editingId === 'new') {
+        const { subscription, secret } = await createWebhookSubscription(input);
+        setSubscriptions(prev => [subscription, ...prev]);
+        setNewSecret({ url: subscription.url, secret });
+        toast.success('Webhook added');
+      } else if (editingId) {
+        replaceSubscription(await updateWebhookSubscription(editingId, input));
+        toast.success('Webhook saved');
+      }
+      setEditingId(null);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to save webhook');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleToggleActive = async (subscription: WebhookSubscription) => {
+    try {
+      setBusyId(subscription.id);
+      replaceSubscription(await updateWebhookSubscription(subscription.id, { active: !subscription.active }));
+      toast.success(subscription.active ? 'Webhook paused' : 'Webhook resumed');
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to update webhook');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRotateSecret = async (subscription: WebhookSubscription) => {
+    if (!window.confirm(`Rotate the signing secret for ${subscription.url}? The receiver must be updated with the new secret before it can verify further deliveries.`)) {
+      return;
+    }
+
+    try {
+      setBusyId(subscription.id);
+      const secret = await rotateWebhookSecret(subscription.id);
+      setNewSecret({ url: subscription.url, secret });
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to rotate webhook secret');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (subscription: WebhookSubscription) => {
+    if (!window.confirm(`Delete the webhook for ${subscription.url}? Pending retries will not be sent.`)) {
+      return;
+    }
+
+    try {
+      setBusyId(subscription.id);
+      await deleteWebhookSubscription(subscription.id);
+      setSubscriptions(prev => prev.filter(s => s.id !== subscription.id));
+      toast.success('Webhook deleted');
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to delete webhook');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCopySecret = async () => {
+    if (!newSecret) return;
+    try {
+      await navigator.clipboard.writeText(newSecret.secret);
+      toast.success('Secret copied');
+    } catch (error) {
+      console.error('Error copying webhook secret:', error);
+      toast.error('Could not copy - please select the secret and copy it manually');
+    }
+  };
+
+  return (
+    <ErrorBoundary>
+      <div className="space-y-6">
+        {/* Page header */}
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Webhooks</h1>
+            <p className="mt-1 text-sm text-gray-500">
+              Notify other systems, such as the CRM or the public site, when listings, leads and payments change
+            </p>
+          </div>
+
+          {editingId === null && (
+            <div className="mt-4 sm:mt-0">
+              <Button size="sm" leftIcon={<Plus className="h-4 w-4" />} onClick={() => setEditingId('new')}>
+                Add Webhook
+              </Button>
+            </div>
+          )}
+        </div>
+
+        {newSecret && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 space-y-3">
+            <p className="text-sm text-yellow-800">
+              Signing secret for <span className="font-medium break-all">{newSecret.url}</span>. Copy it now - it will not be
+              shown again. Each delivery carries an <span className="font-mono">X-Webhook-Signature</span> header made with it.
+            </p>
+            <p className="font-mono text-sm text-gray-900 break-all bg-white border border-yellow-200 rounded px-3 py-2">
+              {newSecret.secret}
+            </p>
+            <div className="flex gap-3">
+              <Button size="sm" variant="outline" leftIcon={<Copy className="h-4 w-4" />} onClick={handleCopySecret}>
+                Copy
+              </Button>
+              <Button size="sm" onClick={() => setNewSecret(null)}>Done</Button>
+            </div>
+          </div>
+        )}
+
+        {editingId === 'new' && (
+          <div className="bg-white border border-gray-200 rounded-lg p-6">
+            <h2 className="text-lg font-medium text-gray-900 mb-4">New Webhook</h2>
+            <WebhookForm isSubmitting={isSubmitting} onSubmit={handleSubmit} onCancel={() => setEditingId(null)} />
+          </div>
+        )}
+
+        {/* Subscriptions */}
+        <div className="bg-white border border-gray-200 rounded-lg">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+            <Webhook className="h-5 w-5 text-[#0031ac] mr-2" />
+            <h2 className="text-lg font-medium text-gray-900">Endpoints</h2>
+          </div>
+
+          {isLoading ? (
+            <div className="flex justify-center py-8">
+              <LoadingSpinner size="md" />
+            </div>
+          ) : subscriptions.length === 0 ? (
+            <p className="p-6 text-sm text-gray-500">No webhooks registered.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {subscriptions.map(subscription => (
+                <li key={subscription.id} className="px-6 py-4">
+                  {editingId === subscription.id ? (
+                    <WebhookForm
+                      subscription={subscription}
+                      isSubmitting={isSubmitting}
+                      onSubmit={handleSubmit}
+                      onCancel={() => setEditingId(null)}
+                    />
+                  ) : (
+                    <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-3">
+                      <div className="min-w-0">
+                        <div className="flex items-center gap-2">
+                          <span className="text-sm font-medium text-gray-900 break-all">{subscription.url}</span>
+                          <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                            subscription.active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'
+                          }`}>
+                            {subscription.active ? 'Active' : 'Paused'}
+                          </span>
+                        </div>
+                        {subscription.description && (
+                          <div className="text-sm text-gray-500 mt-0.5">{subscription.description}</div>
+                        )}
+                        <div className="flex flex-wrap gap-1 mt-2">
+                          {subscription.events.map(event => (
+                            <span key={event} className="px-2 py-0.5 text-xs rounded bg-blue-50 text-[#0031ac]">
+                              {EVENT_TYPE_LABELS[event]?.label || event}
+                            </span>
+                          ))}
+                        </div>
+                      </div>
+                      <div className="flex flex-wrap gap-2 shrink-0">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => handleToggleActive(subscription)}
+                          disabled={busyId === subscription.id}
+                        >
+                          {subscription.active ? 'Pause' : 'Resume'}
+                        </Button>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          leftIcon={<Pencil className="h-4 w-4" />}
+                          onClick={() => setEditingId(subscription.id)}
+                          disabled={editingId !== null || busyId === subscription.id}
+                        >
+                          Edit
+                        </Button>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          leftIcon={<RefreshCcw className="h-4 w-4" />}
+                          onClick={() => handleRotateSecret(subscription)}
+                          disabled={busyId === subscription.id}
+                        >
+                          Rotate Secret
+                        </Button>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          leftIcon={<Trash2 className="h-4 w-4" />}
+                          onClick={() => handleDelete(subscription)}
+                          disabled={busyId === subscription.id}
+                          className="text-red-600 hover:text-red-700"
+                        >
+                          Delete
+                        </Button>
+                      </div>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <WebhookDeliveries subscriptions={subscriptions} />
+      </div>
+    </ErrorBoundary>
+  );
+}
@@ -11,6 +11,7 @@ import UserForm from '@/components/users/UserForm';
 import UserBulkActions from '@/components/users/UserBulkActions';
 import VerificationCodeModal from '@/components/users/VerificationCodeModal';
 import CredentialsModal from '@/components/users/CredentialsModal';
+import SessionsModal from '@/components/users/SessionsModal';
 import ErrorBoundary from '@/components/ErrorBoundary';
 import { UserDetails, UserStatus, UserFilters as UserFiltersType } from '@/types/firebase';
 import { 
@@ -21,8 +22,12 @@ import {
   bulkUpdateUserStatus, 
   deleteUser,
   resetUserPassword,
+  sendUserInvitation,
+  getLockedLogins,
+  unlockLogin,
   getUsersCount // Added getUsersCount to show total counts
 } from '@/services/userService';
+import { resetUserMfa } from '@/services/mfaService';
 import { cn } from '@/lib/utils';
 import { toast } from 'react-hot-toast';
 
@@ -64,6 +69,10 @@ export default function AllUsers() {
   
   // Credentials modal
   const [credentialsModalUser, setCredentialsModalUser] = useState<UserDetails | null>(null);
+  const [sessionsModalUser, setSessionsModalUser] = useState<UserDetails | null>(null);
+  
+  // Sign-in lockouts keyed by lower-cased login email
+  const [lockedLogins, setLockedLogins] = useState<Record<string, Date>>({});
   
   // Track which tabs have been initialized
   const [initializedTabs, setInitializedTabs] = useState<{[key: number]: boolean}>({});
@@ -175,6 +184,10 @@ export default function AllUsers() {
       setAdminLastDoc(result.lastDoc);
       setHasMoreAdminUsers(result.users.length === pageSize);
       
+      if (reset) {
+        loadLockedLogins();
+      }
+      
       // Update user counts
       const counts = await getUsersCount();
       setAdminCount(counts.adminCount);
@@ -186,6 +199,18 @@ export default function AllUsers() {
     }
   };
   
+  // Load sign-in lockouts; the table still works without them
+  const loadLockedLogins = async () => {
+    try {
+      const locks = await getLockedLogins();
+      setLockedLogins(Object.fromEntries(
+        locks.map(lock => [lock.loginEmail.toLowerCase(), lock.lockedUntil])
+      ));
+    } catch (error) {
+      console.error('Error loading locked logins:', error);
+    }
+  };
+  
   // Load website users
   const loadWebsiteUsers = async (reset = false) => {
     try {
@@ -234,10 +259,11 @@ export default function AllUsers() {
     // Reload admin users
     await loadAdminUsers(true);
     
-    // Return credentials to show in UserForm
+    // Return invitation details to show in UserForm
     return {
       loginEmail: result.loginEmail,
-      password: result.password
+      invitationSent: result.invitationSent,
+      invitationExpiresAt: result.invitationExpiresAt
     };
   } catch (error) {
     console.error('Error creating user:', error);
@@ -263,6 +289,25 @@ export default function AllUsers() {
     }
   };
   
+  // Handle emailing a new set-password link
+  const handleSendInvitation = async () => {
+    if (!credentialsModalUser || !credentialsModalUser.loginEmail) {
+      throw new Error('This user has no login email');
+    }
+    
+    try {
+      startLoading('Sending invitation...');
+      const expiresAt = await sendUserInvitation(credentialsModalUser.loginEmail);
+      toast.success(`Invitation sent to ${credentialsModalUser.email}`);
+      return expiresAt;
+    } catch (error) {
+      console.error('Error sending invitation:', error);
+      throw error;
+    } finally {
+      stopLoading();
+    }
+  };
+  
   // Handle resetting password
   const handleResetPassword = async () => {
     if (!credentialsModalUser || !credentialsModalUser.loginEmail) return '';
@@ -279,6 +324,49 @@ export default function AllUsers() {
     }
   };
   
+  // Handle lifting a sign-in lockout
+  const handleUnlockLogin = async (user: UserDetails) => {
+    if (!user.loginEmail) return;
+    
+    try {
+      startLoading('Unlocking sign-in...');
+      await unlockLogin(user.loginEmail);
+      
+      setLockedLogins(prev => {
+        const { [user.loginEmail.toLowerCase()]: _removed, ...rest } = prev;
+        return rest;
+      });
+      
+      toast.success(`Sign-in unlocked for ${user.name}`);
+    } catch (error) {
+      console.error('Error unlocking sign-in:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to unlock sign-in');
+    } finally {
+      stopLoading();
+    }
+  };
+  
+  // Handle removing a user's second factor so they can enrol a new device
+  const handleResetMfa = async (user: UserDetails) => {
+    if (!window.confirm(`Reset two-factor authentication for ${user.name}? They will need to set it up again.`)) {
+      return;
+    }
+    
+    try {
+      startLoading('Resetting two-factor authentication...');
+      await resetUserMfa(user.id);
+      
+      setAdminUsers(prev => prev.map(u => u.id === user.id ? { ...u, mfaEnabled: false } : u));
+      
+      toast.success(`Two-factor authentication reset for ${user.name}`);
+    } catch (error) {
+      console.error('Error resetting two-factor authentication:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to reset two-factor authentication');
+    } finally {
+      stopLoading();
+    }
+  };
+  
   // Handle user status change
   const handleStatusChange = async (userId: string, status: UserStatus) => {
     try {
@@ -418,7 +506,7 @@ export default function AllUsers() {
       }
     } catch (error) {
       console.error('Error deleting users:', error);
-      toast.error('Failed to delete users');
+      toast.error(error instanceof Error ? error.message : 'Failed to delete users');
     } finally {
       stopLoading();
     }
@@ -446,7 +534,7 @@ export default function AllUsers() {
       }
     } catch (error) {
       console.error('Error deleting user:', error);
-      toast.error('Failed to delete user');
+      toast.error(error instanceof Error ? error.message : 'Failed to delete user');
     } finally {
       stopLoading();
     }
@@ -602,6 +690,10 @@ export default function AllUsers() {
                     onStatusChange={handleStatusChange}
                     onViewVerificationCode={handleViewVerificationCode}
                     onViewCredentials={handleViewCredentials}
+                    lockedLogins={lockedLogins}
+                    onUnlockLogin={handleUnlockLogin}
+                    onResetMfa={handleResetMfa}
+                    onViewSessions={setSessionsModalUser}
                     isAdminPanel={true}
                   />
                 </div>
@@ -721,10 +813,19 @@ export default function AllUsers() {
           <CredentialsModal
             loginEmail={credentialsModalUser.loginEmail}
             onClose={() => setCredentialsModalUser(null)}
+            onSendInvitation={handleSendInvitation}
             onResetPassword={handleResetPassword}
           />
         )}
         
+        {/* Sessions modal */}
+        {sessionsModalUser && (
+          <SessionsModal
+            user={sessionsModalUser}
+            onClose={() => setSessionsModalUser(null)}
+          />
+        )}
+        
         {/* Bulk actions */}
         <UserBulkActions
           selectedCount={selectedTab === 0 ? selectedAdminUsers.length : selectedWebsiteUsers.length}
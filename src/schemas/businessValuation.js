@@ -0,0 +1,137 @@
+/**
+ * Business valuation
+ *
+ * A fair-value range for a business listing from its own financials: its annual revenue and
+ * its earnings (annual revenue times the profit margin, standing in for SDE or EBITDA), each
+ * times the low and high multiples businesses of its industry sell for. The multiples come
+ * from the admin-edited benchmark table, for the listing's category or else its industry,
+ * with DEFAULT_VALUATION_BENCHMARK for industries the table leaves out.
+ *
+ * The listing form shows the range next to the asking price, and the Express server loads
+ * this file directly to store the valuation on the listing and flag prices far outside it.
+ */
+
+import { ListingType } from './listingConstants.js';
+
+/**
+ * Multiples used for industries without a benchmark: small businesses typically sell for
+ * about half to one and a half times their revenue, or two to five times their earnings
+ */
+export const DEFAULT_VALUATION_BENCHMARK = Object.freeze({
+  revenueMultiple: Object.freeze({ low: 0.5, high: 1.5 }),
+  earningsMultiple: Object.freeze({ low: 2, high: 5 })
+});
+
+/**
+ * How far beyond the range, as a share of its nearest end, an asking price is flagged for
+ * moderators: under half the low end or over one and a half times the high end
+ */
+export const VALUATION_FLAG_MARGIN = 0.5;
+
+// A stated price multiple this far from the actual one is pointed out in the form
+const STATED_MULTIPLE_TOLERANCE = 0.2;
+
+export const ValuationPosition = Object.freeze({
+  BELOW: 'below',
+  WITHIN: 'within',
+  ABOVE: 'above'
+});
+
+// Amounts are { value } objects in listings and may be strings in the form
+const toAmount = (value) => {
+  const number = Number(value && typeof value === 'object' ? value.value : value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * The benchmark for a classification: its category's, else its industry's, else null
+ * @param benchmarks Rows of the benchmark table ({ industry, category, ... }); a row without
+ *   a category covers the whole industry
+ * @param classification { industry, category } IDs
+ */
+export const findValuationBenchmark = (benchmarks = [], { industry, category } = {}) =>
+  (category && benchmarks.find(row => row.industry === industry && row.category === category))
+  || benchmarks.find(row => row.industry === industry && !row.category)
+  || null;
+
+/**
+ * Value a business listing
+ * @param listing Listing or form values, with businessDetails and its classifications
+ * @param benchmarks Rows of the benchmark table
+ * @returns null for other listing types or without revenue to go on; otherwise the figures
+ *   used, the multiples the asking price comes to, the benchmark, the fair-value range and,
+ *   with an asking price, where it falls and whether it is far enough outside to be flagged
+ */
+export const calculateBusinessValuation = (listing, benchmarks = []) => {
+  if (listing?.type !== ListingType.BUSINESS) return null;
+
+  const { financials = {}, sale = {} } = listing.businessDetails || {};
+  const monthlyRevenue = toAmount(financials.monthlyRevenue);
+  const annualRevenue = toAmount(financials.annualRevenue) ?? (monthlyRevenue ? monthlyRevenue * 12 : null);
+  if (!annualRevenue) return null;
+
+  const margin = Number(financials.profitMargin?.percentage);
+  const annualEarnings = margin > 0 ? round(annualRevenue * (margin / 100), 0) : null;
+
+  const classification = listing.classifications?.[0] || { industry: listing.industry, category: listing.category };
+  const row = findValuationBenchmark(benchmarks, classification);
+  const benchmark = {
+    industry: row?.industry || null,
+    category: row?.category || null,
+    label: row ? [row.industryName, row.categoryName].filter(Boolean).join(' · ') : 'All industries',
+    revenueMultiple: { ...(row || DEFAULT_VALUATION_BENCHMARK).revenueMultiple },
+    earningsMultiple: { ...(row || DEFAULT_VALUATION_BENCHMARK).earningsMultiple }
+  };
+
+  // Each method's range; with both, the range is their average
+  const ranges = [
+    { low: annualRevenue * benchmark.revenueMultiple.low, high: annualRevenue * benchmark.revenueMultiple.high }
+  ];
+  if (annualEarnings) {
+    ranges.push({ low: annualEarnings * benchmark.earningsMultiple.low, high: annualEarnings * benchmark.earningsMultiple.high });
+  }
+  const fairValue = {
+    low: round(ranges.reduce((sum, range) => sum + range.low, 0) / ranges.length, 0),
+    high: round(ranges.reduce((sum, range) => sum + range.high, 0) / ranges.length, 0)
+  };
+
+  const askingPrice = toAmount(sale.askingPrice);
+  const statedValue = Number(sale.askingPrice?.priceMultiple ?? sale.priceMultiple);
+  const statedMultiple = Number.isFinite(statedValue) && statedValue > 0 ? statedValue : null;
+
+  let position = null;
+  let deviation = 0;
+  if (askingPrice) {
+    if (askingPrice < fairValue.low) {
+      position = ValuationPosition.BELOW;
+      deviation = (fairValue.low - askingPrice) / fairValue.low;
+    } else if (askingPrice > fairValue.high) {
+      position = ValuationPosition.ABOVE;
+      deviation = (askingPrice - fairValue.high) / fairValue.high;
+    } else {
+      position = ValuationPosition.WITHIN;
+    }
+  }
+
+  const earningsMultiple = askingPrice && annualEarnings ? round(askingPrice / annualEarnings, 1) : null;
+
+  return {
+    annualRevenue,
+    annualEarnings,
+    askingPrice,
+    revenueMultiple: askingPrice ? round(askingPrice / annualRevenue, 1) : null,
+    earningsMultiple,
+    statedMultiple,
+    // The price multiple entered in the form is of annual profit, so it is checked against that
+    statedMultipleMatches: statedMultiple && earningsMultiple
+      ? Math.abs(statedMultiple - earningsMultiple) / earningsMultiple <= STATED_MULTIPLE_TOLERANCE
+      : null,
+    benchmark,
+    fairValue,
+    position,
+    deviation: round(deviation),
+    flagged: deviation > VALUATION_FLAG_MARGIN
+  };
+};
@@ -0,0 +1,234 @@
+/**
+ * Franchise unit economics
+ *
+ * A franchise listing states what a unit costs (the total initial investment, which includes
+ * the franchise fee), what it pays the franchisor (royalty and marketing fees as percentages of
+ * sales) and what a typical unit sells in a year. From these and a few assumptions the franchisor
+ * can change, a unit is projected month by month over PROJECTION_YEARS, before tax:
+ * - sales open at openingSalesPercent of the average and reach it after rampUpMonths, then grow
+ *   by salesGrowthPercent a year (taken from the listing's sales growth when it states a figure);
+ * - royalty, marketing, cost of goods and operating costs follow sales;
+ * - rent and other fixed costs are paid every month, by default a fifth of average monthly sales.
+ *
+ * The projection gives a yearly P&L, the breakeven month (the first month the unit makes a
+ * profit), the payback period (when its profits have repaid the investment) and the IRR of the
+ * investment and five years of profits. The average breakeven the listing states should agree
+ * with the breakeven month, within BREAKEVEN_TOLERANCE_MONTHS or a quarter of the stated time;
+ * a disagreement is pointed out in the listing form and flagged for moderators. The Express
+ * server loads this file directly to store the projection on the listing.
+ */
+
+export const PROJECTION_YEARS = 5;
+
+export const BREAKEVEN_TOLERANCE_MONTHS = 3;
+
+export const DEFAULT_ASSUMPTIONS = Object.freeze({
+  openingSalesPercent: 30,
+  rampUpMonths: 12,
+  salesGrowthPercent: 5,
+  costOfGoodsPercent: 35,
+  operatingCostPercent: 20
+});
+
+// Default rent, salaries and other fixed costs, as a share of average monthly sales
+const DEFAULT_FIXED_COSTS_SHARE = 0.2;
+
+// The yearly sales growth a franchisor can set, and the most a stated growth is projected with
+export const SALES_GROWTH_LIMITS = Object.freeze({ min: -20, max: 50 });
+
+// Amounts are { value } objects in listings and may be strings in the form
+const toAmount = (value) => {
+  const number = Number(value && typeof value === 'object' ? value.value : value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+// An assumption left empty in the form falls back to its default
+const toAssumption = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const round = (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// A number with its sign; the dash in "5-10" separates a range instead
+const SIGNED_NUMBER = '((?<![\\d.])[-+]?\\d+(?:\\.\\d+)?)';
+const NUMBER = '(\\d+(?:\\.\\d+)?)';
+const RANGE_SEPARATOR = '\\s*(?:-|–|to)\\s*';
+const TIME_UNIT = '(months?|mos?|years?|yrs?)\\b';
+
+// Only numbers with a % or a time unit count, so years such as "2019 to 2023" are skipped.
+// A range may state the unit once, after its second number ("5-10%", "12-18 months")
+const PERCENT_RANGE = new RegExp(`${SIGNED_NUMBER}\\s*%?${RANGE_SEPARATOR}${SIGNED_NUMBER}\\s*%`);
+const PERCENT = new RegExp(`${SIGNED_NUMBER}\\s*%`);
+const TIME_RANGE = new RegExp(`${NUMBER}\\s*(?:${TIME_UNIT})?${RANGE_SEPARATOR}${NUMBER}\\s*${TIME_UNIT}`, 'i');
+const TIME = new RegExp(`${NUMBER}\\s*${TIME_UNIT}`, 'i');
+
+const toMonths = (number, unit) => Number(number) * (/^y/i.test(unit) ? 12 : 1);
+
+/**
+ * A yearly growth figure in free text such as "5-10% annually": the middle of the range
+ * @returns The percentage, or null when the text states none
+ */
+export const parseGrowthPercent = (text) => {
+  const value = String(text || '');
+  const [, low, high = low] = value.match(PERCENT_RANGE) || value.match(PERCENT) || [];
+  if (low === undefined) return null;
+  return round((Number(low) + Number(high)) / 2, 1);
+};
+
+/**
+ * A time in free text such as "12-18 months", "1.5 years", "within 9 months" or
+ * "18 months to 2 years"
+ * @returns { min, max } in months, or null when the text states no time
+ */
+export const parseMonthRange = (text) => {
+  const value = String(text || '');
+  const [, low, lowUnit, high = low, highUnit = lowUnit] = value.match(TIME_RANGE) || value.match(TIME) || [];
+  if (low === undefined) return null;
+
+  const months = [toMonths(low, lowUnit || highUnit), toMonths(high, highUnit)];
+  return { min: Math.min(...months), max: Math.max(...months) };
+};
+
+/**
+ * The assumptions a franchise is projected with: the defaults, the listing's sales growth (within
+ * SALES_GROWTH_LIMITS) and average sales, then whatever the franchisor set in
+ * franchiseDetails.projectionAssumptions
+ */
+export const getProjectionAssumptions = (franchiseDetails = {}) => {
+  const averageSales = toAmount(franchiseDetails.performance?.averageUnitSales);
+  const stated = franchiseDetails.projectionAssumptions || {};
+  const statedGrowth = parseGrowthPercent(franchiseDetails.performance?.salesGrowth);
+
+  const defaults = {
+    ...DEFAULT_ASSUMPTIONS,
+    salesGrowthPercent: statedGrowth === null
+      ? DEFAULT_ASSUMPTIONS.salesGrowthPercent
+      : Math.min(Math.max(statedGrowth, SALES_GROWTH_LIMITS.min), SALES_GROWTH_LIMITS.max),
+    fixedCostsPerMonth: averageSales ? round((averageSales / 12) * DEFAULT_FIXED_COSTS_SHARE) : 0
+  };
+
+  return Object.fromEntries(Object.entries(defaults).map(([key, value]) => [key, toAssumption(stated[key]) ?? value]));
+};
+
+/**
+ * Internal rate of return of yearly cash flows, the first being the investment, by bisection
+ * @returns The rate as a percentage, or null when the flows never turn positive
+ */
+export const calculateIrr = (cashFlows) => {
+  const npv = (rate) => cashFlows.reduce((sum, flow, year) => sum + flow / (1 + rate) ** year, 0);
+
+  let low = -0.99;
+  let high = 10;
+  if (npv(low) < 0 || npv(high) > 0) return null;
+
+  for (let i = 0; i < 100; i++) {
+    const middle = (low + high) / 2;
+    if (npv(middle) > 0) low = middle;
+    else high = middle;
+  }
+  return round(((low + high) / 2) * 100, 1);
+};
+
+/**
+ * Project one franchise unit over PROJECTION_YEARS
+ * @param franchiseDetails franchiseDetails of a listing or the form
+ * @returns null until the total investment and average unit sales are entered; otherwise the
+ *   inputs and assumptions used, the yearly P&L, the cash position at the end of every month,
+ *   the breakeven month, the payback period in months and the IRR (nulls when not reached)
+ */
+export const projectUnitEconomics = (franchiseDetails = {}) => {
+  const franchiseFee = toAmount(franchiseDetails.investment?.franchiseFee);
+  const investment = Math.max(toAmount(franchiseDetails.investment?.totalInitialInvestment) || 0, franchiseFee || 0);
+  const averageUnitSales = toAmount(franchiseDetails.performance?.averageUnitSales);
+  if (!investment || !averageUnitSales) return null;
+
+  const royaltyPercent = toAmount(franchiseDetails.investment?.royaltyFee) || 0;
+  const marketingPercent = toAmount(franchiseDetails.investment?.marketingFee) || 0;
+  const assumptions = getProjectionAssumptions(franchiseDetails);
+
+  const years = [];
+  const cumulativeCash = [];
+  let cash = -investment;
+  let breakevenMonth = null;
+  let paybackMonths = null;
+
+  for (let month = 1; month <= PROJECTION_YEARS * 12; month++) {
+    const ramp = assumptions.rampUpMonths > 0
+      ? Math.min(1, (assumptions.openingSalesPercent + (100 - assumptions.openingSalesPercent) * (month - 1) / assumptions.rampUpMonths) / 100)
+      : 1;
+    const growth = (1 + assumptions.salesGrowthPercent / 100) ** Math.floor((month - 1) / 12);
+    const sales = (averageUnitSales / 12) * ramp * growth;
+
+    const costs = {
+      royalty: sales * royaltyPercent / 100,
+      marketing: sales * marketingPercent / 100,
+      costOfGoods: sales * assumptions.costOfGoodsPercent / 100,
+      operatingCosts: sales * assumptions.operatingCostPercent / 100,
+      fixedCosts: assumptions.fixedCostsPerMonth
+    };
+    const profit = sales - Object.values(costs).reduce((sum, cost) => sum + cost, 0);
+
+    if (breakevenMonth === null && profit >= 0) breakevenMonth = month;
+    cash += profit;
+    if (paybackMonths === null && cash >= 0) paybackMonths = month;
+    cumulativeCash.push(round(cash));
+
+    const yearIndex = Math.floor((month - 1) / 12);
+    if (!years[yearIndex]) {
+      years[yearIndex] = { year: yearIndex + 1, sales: 0, royalty: 0, marketing: 0, costOfGoods: 0, operatingCosts: 0, fixedCosts: 0, profit: 0 };
+    }
+    const year = years[yearIndex];
+    year.sales += sales;
+    Object.entries(costs).forEach(([key, cost]) => { year[key] += cost; });
+    year.profit += profit;
+  }
+
+  const pnl = years.map((year, index) => ({
+    ...Object.fromEntries(Object.entries(year).map(([key, value]) => [key, round(value)])),
+    margin: round((year.profit / year.sales) * 100, 1),
+    cashAtYearEnd: cumulativeCash[(index + 1) * 12 - 1]
+  }));
+
+  return {
+    inputs: { investment, franchiseFee, royaltyPercent, marketingPercent, averageUnitSales },
+    assumptions,
+    years: pnl,
+    cumulativeCash,
+    breakevenMonth,
+    paybackMonths,
+    irr: calculateIrr([-investment, ...years.map(year => year.profit)]),
+    totalProfit: round(years.reduce((sum, year) => sum + year.profit, 0))
+  };
+};
+
+/**
+ * Check the average breakeven the listing states against the projection's breakeven month
+ * @returns null until both are known; otherwise the stated time in months, the computed month
+ *   and whether they agree
+ */
+export const checkAverageBreakeven = (franchiseDetails = {}, projection = projectUnitEconomics(franchiseDetails)) => {
+  const stated = parseMonthRange(franchiseDetails.performance?.averageBreakeven);
+  if (!stated || !projection) return null;
+
+  const tolerance = Math.max(BREAKEVEN_TOLERANCE_MONTHS, Math.round(stated.max / 4));
+  const computed = projection.breakevenMonth;
+
+  return {
+    stated: franchiseDetails.performance.averageBreakeven,
+    statedMonths: stated,
+    computedMonth: computed,
+    matches: computed !== null && computed >= stated.min - tolerance && computed <= stated.max + tolerance
+  };
+};
+
+/**
+ * A franchise's unit economics as stored on the listing
+ * @returns null until the total investment and average unit sales are entered; otherwise the
+ *   projection and its breakeven check
+ */
+export const getUnitEconomicsSummary = (franchiseDetails) => {
+  const projection = projectUnitEconomics(franchiseDetails);
+  return projection && { ...projection, breakeven: checkAverageBreakeven(franchiseDetails, projection) };
+};
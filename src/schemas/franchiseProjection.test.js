@@ -0,0 +1,236 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_ASSUMPTIONS,
+  SALES_GROWTH_LIMITS,
+  calculateIrr,
+  checkAverageBreakeven,
+  getProjectionAssumptions,
+  getUnitEconomicsSummary,
+  parseGrowthPercent,
+  parseMonthRange,
+  projectUnitEconomics
+} from './franchiseProjection.js';
+
+describe('parseGrowthPercent', () => {
+  it('takes the middle of a range', () => {
+    assert.equal(parseGrowthPercent('5-10% annually'), 7.5);
+    assert.equal(parseGrowthPercent('5% to 10% a year'), 7.5);
+  });
+
+  it('keeps the sign of each number', () => {
+    assert.equal(parseGrowthPercent('-5%'), -5);
+    assert.equal(parseGrowthPercent('-5% to 5%'), 0);
+    assert.equal(parseGrowthPercent('-10 to -5%'), -7.5);
+  });
+
+  it('ignores numbers without a %', () => {
+    assert.equal(parseGrowthPercent('grew 5% from 2019 to 2023'), 5);
+    assert.equal(parseGrowthPercent('Top 10 brand, 12% a year'), 12);
+    assert.equal(parseGrowthPercent('steady since 2019'), null);
+    assert.equal(parseGrowthPercent(''), null);
+  });
+});
+
+describe('parseMonthRange', () => {
+  it('reads a range stating its unit once', () => {
+    assert.deepEqual(parseMonthRange('12-18 months'), { min: 12, max: 18 });
+    assert.deepEqual(parseMonthRange('2 to 3 years'), { min: 24, max: 36 });
+  });
+
+  it('reads a single time', () => {
+    assert.deepEqual(parseMonthRange('within 9 months'), { min: 9, max: 9 });
+    assert.deepEqual(parseMonthRange('1.5 years'), { min: 18, max: 18 });
+  });
+
+  it('converts each number by its own unit', () => {
+    assert.deepEqual(parseMonthRange('18 months to 2 years'), { min: 18, max: 24 });
+    assert.deepEqual(parseMonthRange('2 years - 18 months'), { min: 18, max: 24 });
+  });
+
+  it('ignores numbers without a unit', () => {
+    assert.deepEqual(parseMonthRange('since 2019, 18 months'), { min: 18, max: 18 });
+    assert.equal(parseMonthRange('2019 to 2023'), null);
+    assert.equal(parseMonthRange(undefined), null);
+  });
+});
+
+describe('getProjectionAssumptions', () => {
+  const withGrowth = (salesGrowth) => getProjectionAssumptions({ performance: { salesGrowth } });
+
+  it('projects with the stated growth', () => {
+    assert.equal(withGrowth('5-10% annually').salesGrowthPercent, 7.5);
+    assert.equal(withGrowth('not stated').salesGrowthPercent, DEFAULT_ASSUMPTIONS.salesGrowthPercent);
+  });
+
+  it('keeps the stated growth within the limits a franchisor can set', () => {
+    assert.equal(withGrowth('1200%').salesGrowthPercent, SALES_GROWTH_LIMITS.max);
+    assert.equal(withGrowth('-60%').salesGrowthPercent, SALES_GROWTH_LIMITS.min);
+  });
+
+  it('prefers the growth the franchisor set', () => {
+    const assumptions = getProjectionAssumptions({
+      performance: { salesGrowth: '40%' },
+      projectionAssumptions: { salesGrowthPercent: '3' }
+    });
+    assert.equal(assumptions.salesGrowthPercent, 3);
+  });
+});
+
+// A unit selling 10,000 a month from its first month, paying only a 10% royalty
+const flatUnit = {
+  investment: { totalInitialInvestment: { value: 90000 }, franchiseFee: { value: 20000 }, royaltyFee: { value: 10 } },
+  performance: { averageUnitSales: { value: 120000 } },
+  projectionAssumptions: {
+    openingSalesPercent: 100,
+    rampUpMonths: 0,
+    salesGrowthPercent: 0,
+    costOfGoodsPercent: 0,
+    operatingCostPercent: 0,
+    fixedCostsPerMonth: 0
+  }
+};
+
+// The same sales with the default assumptions: a 12 month ramp up and a fifth of sales in fixed costs
+const rampedUnit = {
+  investment: { totalInitialInvestment: { value: 60000 } },
+  performance: { averageUnitSales: { value: 120000 } }
+};
+
+describe('projectUnitEconomics', () => {
+  it('gives a yearly P&L', () => {
+    const projection = projectUnitEconomics(flatUnit);
+    assert.equal(projection.years.length, 5);
+    assert.deepEqual(projection.years[0], {
+      year: 1,
+      sales: 120000,
+      royalty: 12000,
+      marketing: 0,
+      costOfGoods: 0,
+      operatingCosts: 0,
+      fixedCosts: 0,
+      profit: 108000,
+      margin: 90,
+      cashAtYearEnd: 18000
+    });
+    assert.equal(projection.years[4].cashAtYearEnd, 450000);
+    assert.equal(projection.totalProfit, 540000);
+  });
+
+  it('gives the breakeven month and the payback period', () => {
+    const flat = projectUnitEconomics(flatUnit);
+    assert.equal(flat.breakevenMonth, 1);
+    assert.equal(flat.paybackMonths, 10);
+    assert.equal(flat.cumulativeCash[8], -9000);
+    assert.equal(flat.cumulativeCash[9], 0);
+
+    const ramped = projectUnitEconomics(rampedUnit);
+    assert.equal(ramped.breakevenMonth, 4);
+    assert.equal(ramped.paybackMonths, 31);
+    assert.ok(ramped.cumulativeCash[29] < 0 && ramped.cumulativeCash[30] >= 0);
+  });
+
+  it('grows sales after the first year', () => {
+    const projection = projectUnitEconomics({
+      ...flatUnit,
+      projectionAssumptions: { ...flatUnit.projectionAssumptions, salesGrowthPercent: 10 }
+    });
+    assert.equal(projection.years[1].sales, 132000);
+  });
+
+  it('never reaches breakeven or payback when the unit loses money', () => {
+    const projection = projectUnitEconomics({
+      ...flatUnit,
+      projectionAssumptions: { ...flatUnit.projectionAssumptions, costOfGoodsPercent: 95 }
+    });
+    assert.equal(projection.breakevenMonth, null);
+    assert.equal(projection.paybackMonths, null);
+    assert.equal(projection.irr, null);
+  });
+
+  it('counts the franchise fee when it is more than the stated investment', () => {
+    const projection = projectUnitEconomics({
+      ...flatUnit,
+      investment: { ...flatUnit.investment, totalInitialInvestment: { value: 10000 } }
+    });
+    assert.equal(projection.inputs.investment, 20000);
+  });
+
+  it('waits for the investment and average unit sales', () => {
+    assert.equal(projectUnitEconomics(), null);
+    assert.equal(projectUnitEconomics({ investment: flatUnit.investment }), null);
+    assert.equal(projectUnitEconomics({ performance: flatUnit.performance }), null);
+  });
+});
+
+describe('calculateIrr', () => {
+  it('finds the rate that repays the investment', () => {
+    assert.equal(calculateIrr([-100, 110]), 10);
+    assert.equal(calculateIrr([-100, 0, 121]), 10);
+    assert.equal(calculateIrr([-100, 50]), -50);
+  });
+
+  it('gives null when the cash flows never change sign', () => {
+    assert.equal(calculateIrr([-100, -10, -10]), null);
+    assert.equal(calculateIrr([100, 10, 10]), null);
+  });
+});
+
+describe('checkAverageBreakeven', () => {
+  const stating = (averageBreakeven) => ({
+    ...rampedUnit,
+    performance: { ...rampedUnit.performance, averageBreakeven }
+  });
+
+  it('agrees with a stated breakeven within the tolerance', () => {
+    assert.deepEqual(checkAverageBreakeven(stating('3-6 months')), {
+      stated: '3-6 months',
+      statedMonths: { min: 3, max: 6 },
+      computedMonth: 4,
+      matches: true
+    });
+    assert.equal(checkAverageBreakeven(stating('7 months')).matches, true);
+  });
+
+  it('disagrees with a stated breakeven outside the tolerance', () => {
+    assert.equal(checkAverageBreakeven(stating('8 months')).matches, false);
+    assert.equal(checkAverageBreakeven(stating('2 years')).matches, false);
+  });
+
+  it('disagrees when the unit never breaks even', () => {
+    const check = checkAverageBreakeven({
+      ...stating('12 months'),
+      projectionAssumptions: { costOfGoodsPercent: 95 }
+    });
+    assert.equal(check.computedMonth, null);
+    assert.equal(check.matches, false);
+  });
+
+  it('waits for a stated breakeven and a projection', () => {
+    assert.equal(checkAverageBreakeven(rampedUnit), null);
+    assert.equal(checkAverageBreakeven(stating('not yet')), null);
+    assert.equal(checkAverageBreakeven({ performance: { averageBreakeven: '12 months' } }), null);
+    assert.equal(checkAverageBreakeven(), null);
+  });
+});
+
+describe('getUnitEconomicsSummary', () => {
+  it('adds the breakeven check to the projection', () => {
+    const franchiseDetails = {
+      ...rampedUnit,
+      performance: { ...rampedUnit.performance, averageBreakeven: '4 months' }
+    };
+    const summary = getUnitEconomicsSummary(franchiseDetails);
+    assert.equal(summary.breakevenMonth, 4);
+    assert.deepEqual(summary.breakeven, checkAverageBreakeven(franchiseDetails));
+    assert.equal(getUnitEconomicsSummary(rampedUnit).breakeven, null);
+  });
+
+  it('gives null for listings without investment or performance data', () => {
+    assert.equal(getUnitEconomicsSummary(undefined), null);
+    assert.equal(getUnitEconomicsSummary({}), null);
+    assert.equal(getUnitEconomicsSummary({ investment: {}, performance: {} }), null);
+    assert.equal(getUnitEconomicsSummary({ investment: flatUnit.investment }), null);
+    assert.equal(getUnitEconomicsSummary({ performance: { ...flatUnit.performance, averageBreakeven: '6 months' } }), null);
+  });
+});
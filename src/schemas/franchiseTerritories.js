@@ -0,0 +1,130 @@
+/**
+ * Franchise territories
+ *
+ * A franchise listing offers its units by territory: a whole state or a city from
+ * country-state-city, or a custom area drawn on the map as a polygon. Each territory is
+ * available, reserved or sold, and may promise its franchisee an exclusivity radius around
+ * its centre. Every territory records the country and state it lies in, so listings can be
+ * filtered on the territories available in a place without knowing state boundaries.
+ *
+ * Older listings list broad regions in availableTerritories instead; those are still shown,
+ * by their labels below, until the franchisor replaces them with territories. The Express
+ * server loads this file directly to filter listings on their territories.
+ */
+
+export const TerritoryKind = Object.freeze({
+  STATE: 'state',
+  CITY: 'city',
+  POLYGON: 'polygon'
+});
+
+export const TerritoryStatus = Object.freeze({
+  AVAILABLE: 'available',
+  RESERVED: 'reserved',
+  SOLD: 'sold'
+});
+
+export const MAX_TERRITORIES = 100;
+
+export const MAX_POLYGON_POINTS = 50;
+
+export const MAX_EXCLUSIVITY_RADIUS_KM = 200;
+
+// The regions offered before territories were structured, as stored in availableTerritories
+export const LEGACY_TERRITORY_LABELS = Object.freeze({
+  north_india: 'North India',
+  south_india: 'South India',
+  east_india: 'East India',
+  west_india: 'West India',
+  central_india: 'Central India',
+  metro_cities: 'Metro Cities Only',
+  tier_2_cities: 'Tier 2 Cities',
+  tier_3_cities: 'Tier 3 Cities & Rural Areas',
+  pan_india: 'Pan India',
+  international: 'International'
+});
+
+export const getLegacyTerritoryLabel = (value) => LEGACY_TERRITORY_LABELS[value] || value;
+
+// "Navi Mumbai" and "navi-mumbai" compare equal
+const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Where a territory is drawn and its exclusivity radius measured from: the state's or city's
+ * centre, or the average of a polygon's corners
+ * @returns { latitude, longitude }, or null for a territory that cannot be placed
+ */
+export const getTerritoryCenter = (territory) => {
+  if (territory?.kind === TerritoryKind.POLYGON) {
+    const points = territory.polygon || [];
+    if (points.length === 0) return null;
+    return {
+      latitude: points.reduce((sum, point) => sum + point.latitude, 0) / points.length,
+      longitude: points.reduce((sum, point) => sum + point.longitude, 0) / points.length
+    };
+  }
+  return territory?.center || null;
+};
+
+/**
+ * Whether a point lies inside a polygon, by counting the edges a ray from it crosses.
+ * Territories are small enough for latitude and longitude to be treated as flat.
+ */
+export const isPointInPolygon = (point, polygon = []) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.latitude > point.latitude) !== (b.latitude > point.latitude)
+      && point.longitude < ((b.longitude - a.longitude) * (point.latitude - a.latitude)) / (b.latitude - a.latitude) + a.longitude) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Whether a territory covers a place. A state covers its cities, and a state is covered by
+ * any territory in it. A polygon covers a city whose coordinates fall inside it.
+ * @param place { country, state?, city? } as in a location filter
+ * @param point The city's coordinates, needed for polygons
+ */
+export const territoryCovers = (territory, place, point = null) => {
+  if (!place?.country) return true;
+  if (territory.country !== place.country) return false;
+  if (place.state && territory.state !== place.state) return false;
+  if (!place.city) return true;
+
+  switch (territory.kind) {
+    case TerritoryKind.STATE:
+      return true;
+    case TerritoryKind.CITY:
+      return normalize(territory.city) === normalize(place.city);
+    case TerritoryKind.POLYGON:
+      return Boolean(point) && isPointInPolygon(point, territory.polygon);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Whether a franchise has a territory matching a territory filter
+ * @param franchiseDetails The listing's franchiseDetails
+ * @param filter { status?, country?, state?, city? }
+ * @param point The filter city's coordinates, needed for polygons
+ */
+export const hasMatchingTerritory = (franchiseDetails, filter, point = null) =>
+  (franchiseDetails?.territories || []).some(territory =>
+    (!filter.status || territory.status === filter.status) && territoryCovers(territory, filter, point));
+
+/**
+ * How many territories have each status
+ * @returns { available, reserved, sold }
+ */
+export const countTerritories = (territories = []) => {
+  const counts = Object.fromEntries(Object.values(TerritoryStatus).map(status => [status, 0]));
+  territories.forEach(territory => {
+    if (territory.status in counts) counts[territory.status]++;
+  });
+  return counts;
+};
@@ -0,0 +1,32 @@
+// Types of geo.js for the admin panel's TypeScript
+
+export interface GeoPoint {
+  latitude: number;
+  longitude: number;
+}
+
+export interface GeocodedPoint extends GeoPoint {
+  // 'state' when the city is unknown and the listing sits at its state's centre
+  accuracy: 'city' | 'state';
+}
+
+export interface LocationLike {
+  country?: string;
+  countryName?: string;
+  state?: string;
+  stateName?: string;
+  city?: string;
+  cityName?: string;
+}
+
+export const GEOHASH_PRECISION: number;
+
+export function geocodeLocation(location?: LocationLike | null): GeocodedPoint | null;
+
+export function encodeGeohash(latitude: number, longitude: number, precision?: number): string;
+
+export function getGeoFields(location?: LocationLike | null): { coordinates: GeocodedPoint | null; geohash: string | null };
+
+export function getDistanceKm(a: GeoPoint, b: GeoPoint): number;
+
+export function getGeohashPrefixes(center: GeoPoint, radiusKm: number): string[];
@@ -0,0 +1,163 @@
+import { City, Country, State } from 'country-state-city';
+
+/**
+ * Offline geocoding
+ * Listings are placed from their city and state with the coordinates country-state-city ships
+ * for every city, state and country, so no geocoding service is called. A city the dataset does
+ * not know is placed at its state's centre, with accuracy 'state'. The dataset has no postal
+ * codes, so the pincode is not used.
+ *
+ * Each placed listing also stores a geohash of its coordinates, so listings near a point can be
+ * found with range queries: nearby points share a geohash prefix.
+ *
+ * Shared by the Express server, which places listings saved through the API and finds listings
+ * near a point, and the admin panel, which places listings it saves itself. TypeScript sees it
+ * through geo.d.ts.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+// Precision of stored geohashes: cells of about 5 m
+export const GEOHASH_PRECISION = 9;
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// "Navi Mumbai" and "navi-mumbai" compare equal
+const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const isSame = (text, ...candidates) => candidates.some(candidate => candidate && normalize(candidate) === normalize(text));
+
+const toCoordinates = (place, accuracy) => {
+  const latitude = Number(place?.latitude);
+  const longitude = Number(place?.longitude);
+  return place?.latitude && place?.longitude && Number.isFinite(latitude) && Number.isFinite(longitude)
+    ? { latitude, longitude, accuracy }
+    : null;
+};
+
+/**
+ * Coordinates of a listing location from its country, state and city, given as ISO codes or names
+ * @returns `{ latitude, longitude, accuracy }` with accuracy 'city' or 'state', or null when
+ *   the country or state is unknown
+ */
+export const geocodeLocation = (location) => {
+  const countryText = location?.country || location?.countryName;
+  const country = countryText && Country.getAllCountries().find(candidate => isSame(countryText, candidate.isoCode, candidate.name));
+  if (!country) return null;
+
+  const stateText = location.state || location.stateName;
+  const state = stateText && State.getStatesOfCountry(country.isoCode).find(candidate => isSame(stateText, candidate.isoCode, candidate.name));
+  if (!state) return null;
+
+  const cityText = location.cityName || location.city;
+  if (cityText) {
+    const city = City.getCitiesOfState(country.isoCode, state.isoCode).find(candidate => isSame(cityText, candidate.name))
+      // Listings saved with an outdated state, e.g. Gurgaon before the state list changed
+      || City.getCitiesOfCountry(country.isoCode)?.find(candidate => isSame(cityText, candidate.name));
+    const coordinates = toCoordinates(city, 'city');
+    if (coordinates) return coordinates;
+  }
+
+  return toCoordinates(state, 'state');
+};
+
+/**
+ * Geohash of a point: base-32 digits, each narrowing the cell by alternating longitude and latitude bits
+ */
+export const encodeGeohash = (latitude, longitude, precision = GEOHASH_PRECISION) => {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let isLongitude = true;
+
+  while (hash.length < precision) {
+    const range = isLongitude ? lngRange : latRange;
+    const coordinate = isLongitude ? longitude : latitude;
+    const middle = (range[0] + range[1]) / 2;
+
+    value <<= 1;
+    if (coordinate >= middle) {
+      value |= 1;
+      range[0] = middle;
+    } else {
+      range[1] = middle;
+    }
+
+    isLongitude = !isLongitude;
+    if (++bits === 5) {
+      hash += GEOHASH_ALPHABET[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+
+  return hash;
+};
+
+/**
+ * Location fields derived from the listing's place: its coordinates and their geohash,
+ * both null when it cannot be placed
+ */
+export const getGeoFields = (location) => {
+  const coordinates = geocodeLocation(location);
+  return {
+    coordinates,
+    geohash: coordinates ? encodeGeohash(coordinates.latitude, coordinates.longitude) : null
+  };
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points in kilometres
+ */
+export const getDistanceKm = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+// Height and width in km of the cells of a geohash precision, at a latitude
+const getCellSizeKm = (precision, latitude) => {
+  const bits = precision * 5;
+  const latDegrees = 180 / 2 ** Math.floor(bits / 2);
+  const lngDegrees = 360 / 2 ** Math.ceil(bits / 2);
+  const kmPerDegree = (Math.PI * EARTH_RADIUS_KM) / 180;
+  return {
+    height: latDegrees * kmPerDegree,
+    width: lngDegrees * kmPerDegree * Math.max(Math.cos(toRadians(latitude)), 0.01)
+  };
+};
+
+/**
+ * Geohash prefixes covering a circle: the cell around its centre and the eight around that,
+ * at the finest precision whose cells are at least as large as the radius.
+ * Every point in the circle has one of these prefixes; points outside it may too.
+ */
+export const getGeohashPrefixes = (center, radiusKm) => {
+  let precision = 1;
+  while (precision < GEOHASH_PRECISION) {
+    const { height, width } = getCellSizeKm(precision + 1, center.latitude);
+    if (height < radiusKm || width < radiusKm) break;
+    precision++;
+  }
+
+  const bits = precision * 5;
+  const latStep = 180 / 2 ** Math.floor(bits / 2);
+  const lngStep = 360 / 2 ** Math.ceil(bits / 2);
+  const prefixes = new Set();
+
+  [-1, 0, 1].forEach(latOffset => {
+    [-1, 0, 1].forEach(lngOffset => {
+      const latitude = Math.max(-90, Math.min(90, center.latitude + latOffset * latStep));
+      const longitude = ((center.longitude + lngOffset * lngStep + 540) % 360) - 180;
+      prefixes.add(encodeGeohash(latitude, longitude, precision));
+    });
+  });
+
+  return [...prefixes];
+};
@@ -0,0 +1,301 @@
+/**
+ * Listing completeness
+ *
+ * How much of what buyers and investors look for a listing gives, by listing type. It goes
+ * beyond the fields listingSchema requires: optional fields that make a listing worth reviewing,
+ * such as lease information, founders' LinkedIn profiles, a traffic breakdown or franchise
+ * performance, count too and weigh more than the nice-to-haves.
+ *
+ * The listing form shows it as a meter with what is missing, and the Express server loads this
+ * file directly so a listing below its plan's minimum cannot be submitted for review.
+ */
+
+import { ListingPlan, ListingType } from './listingConstants.js';
+
+/**
+ * Completeness, in percent, a listing needs before it can be submitted for review.
+ * Higher plans are shown more prominently, so they are held to more.
+ */
+export const COMPLETENESS_MINIMUM_BY_PLAN = Object.freeze({
+  [ListingPlan.FREE]: 50,
+  [ListingPlan.BASIC]: 60,
+  [ListingPlan.ADVANCED]: 70,
+  [ListingPlan.PREMIUM]: 75,
+  [ListingPlan.PLATINUM]: 80
+});
+
+/**
+ * Steps of the listing form an item is filled in on, as in getStepsByListingType in
+ * src/components/listings/ListingForm/index.jsx
+ */
+export const CompletenessStep = Object.freeze({
+  BASIC_INFO: 'basic-info',
+  MEDIA: 'media',
+  DETAILS: 'details',
+  DOCUMENTS: 'documents'
+});
+
+const getValue = (data, path) => path.split('.').reduce((value, key) => value?.[key], data);
+
+const isFilled = (value) => {
+  if (value === null || value === undefined) return false;
+  if (typeof value === 'string') return value.trim() !== '';
+  if (typeof value === 'number') return !Number.isNaN(value);
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+};
+
+const sumOf = (data, paths) => paths.reduce((sum, path) => sum + (Number(getValue(data, path)) || 0), 0);
+
+// Percentages that are given and add up to about 100
+const addsUpToHundred = (data, paths) => Math.abs(sumOf(data, paths) - 100) <= 1;
+
+/**
+ * Something counted towards completeness
+ * @param field Form field it is filled in with, which the form links to
+ * @param weight 3 for what reviewers need, 2 for what makes a listing stand out, 1 for the rest
+ * @param options step it is on (the type's details by default), id when field is shared,
+ *   isDone(value, listing, counts) when being filled in is not enough and appliesTo(listing)
+ *   when it only counts for some listings
+ */
+const item = (field, label, weight, { step = CompletenessStep.DETAILS, id = field, isDone, appliesTo } = {}) => ({
+  id,
+  field,
+  label,
+  weight,
+  step,
+  isDone: isDone || (value => isFilled(value)),
+  appliesTo
+});
+
+const COMMON_ITEMS = [
+  item('name', 'Listing title', 3, { step: CompletenessStep.BASIC_INFO }),
+  item('description', 'Description of at least 300 characters', 3, {
+    step: CompletenessStep.BASIC_INFO,
+    isDone: value => typeof value === 'string' && value.trim().length >= 300
+  }),
+  item('classifications', 'Industry and category', 3, {
+    step: CompletenessStep.BASIC_INFO,
+    isDone: value => Array.isArray(value) && value.some(classification => classification?.industry && classification?.category)
+  }),
+  item('location.city', 'City', 2, { step: CompletenessStep.BASIC_INFO }),
+  item('contactInfo.email', 'Contact email', 2, { step: CompletenessStep.BASIC_INFO }),
+  item('contactInfo.phone', 'Contact phone', 2, { step: CompletenessStep.BASIC_INFO }),
+  item('media', 'At least 3 gallery images', 3, {
+    id: 'media.minimumImages',
+    step: CompletenessStep.MEDIA,
+    isDone: (value, listing, counts) => counts.imageCount >= 3
+  }),
+  item('media', '6 or more gallery images', 1, {
+    id: 'media.moreImages',
+    step: CompletenessStep.MEDIA,
+    isDone: (value, listing, counts) => counts.imageCount >= 6
+  }),
+  item('documents', 'At least 2 supporting documents', 2, {
+    step: CompletenessStep.DOCUMENTS,
+    isDone: (value, listing, counts) => counts.documentCount >= 2
+  })
+];
+
+const isLeased = listing => getValue(listing, 'businessDetails.operations.locationType') === 'leased_commercial';
+
+const BUSINESS_ITEMS = [
+  item('businessDetails.businessType', 'Business type', 3),
+  item('businessDetails.entityType', 'Entity type', 2),
+  item('businessDetails.establishedYear', 'Year established', 2),
+  item('businessDetails.registrationNumber', 'Registration number', 3),
+  item('businessDetails.gstNumber', 'GST number', 2),
+  item('businessDetails.panNumber', 'PAN', 1),
+  item('businessDetails.operations.employees.count', 'Number of employees', 2),
+  item('businessDetails.operations.locationType', 'Location type', 1),
+  item('businessDetails.operations.leaseInformation.expiryDate', 'Lease expiry date', 2, { appliesTo: isLeased }),
+  item('businessDetails.operations.leaseInformation.monthlyCost.value', 'Monthly lease cost', 2, { appliesTo: isLeased }),
+  item('businessDetails.operations.operationDescription', 'Description of operations', 2),
+  item('businessDetails.financials.annualRevenue.value', 'Annual revenue', 3),
+  item('businessDetails.financials.monthlyRevenue.value', 'Monthly revenue', 2),
+  item('businessDetails.financials.profitMargin.percentage', 'Profit margin', 3),
+  item('businessDetails.financials.revenueTrend', 'Revenue trend', 1),
+  item('businessDetails.financials.customerConcentration', 'Customer concentration', 1),
+  item('businessDetails.sale.askingPrice.value', 'Asking price', 3),
+  item('businessDetails.sale.reasonForSelling', 'Reason for selling', 2),
+  item('businessDetails.sale.assetsIncluded', 'Assets included in the sale', 2),
+  item('businessDetails.sale.transitionPeriod', 'Transition period', 1),
+  item('businessDetails.sale.trainingIncluded', 'Training for the buyer', 1)
+];
+
+const FRANCHISE_ITEMS = [
+  item('franchiseDetails.franchiseBrand', 'Franchise brand', 3),
+  item('franchiseDetails.franchiseType', 'Franchise type', 2),
+  item('franchiseDetails.brandEstablished', 'Year the brand was established', 1),
+  item('franchiseDetails.franchiseSince', 'Franchising since', 1),
+  item('franchiseDetails.totalUnits', 'Total units', 2),
+  item('franchiseDetails.franchiseeCount', 'Number of franchisees', 2),
+  item('franchiseDetails.companyOwnedUnits', 'Company-owned units', 1),
+  item('franchiseDetails.investment.franchiseFee.value', 'Franchise fee', 3),
+  item('franchiseDetails.investment.totalInitialInvestment.value', 'Total initial investment', 3),
+  item('franchiseDetails.investment.royaltyFee', 'Royalty fee', 2),
+  item('franchiseDetails.investment.marketingFee', 'Marketing fee', 1),
+  item('franchiseDetails.investment.royaltyStructure', 'Royalty structure', 1),
+  item('franchiseDetails.support.initialTraining', 'Initial training', 2),
+  item('franchiseDetails.support.trainingDuration', 'Training duration', 1),
+  item('franchiseDetails.support.ongoingSupport', 'Ongoing support', 1),
+  item('franchiseDetails.support.marketingSupport', 'Marketing support', 1),
+  item('franchiseDetails.performance.averageUnitSales.value', 'Average unit sales', 3),
+  item('franchiseDetails.performance.averageBreakeven', 'Average breakeven', 3),
+  item('franchiseDetails.performance.successRate', 'Franchisee success rate', 2),
+  item('franchiseDetails.performance.salesGrowth', 'Sales growth', 2),
+  item('franchiseDetails.performance.netWorthRequirement.value', 'Net worth required', 2),
+  item('franchiseDetails.performance.liquidCapitalRequired.value', 'Liquid capital required', 2),
+  item('franchiseDetails.performance.franchiseeRequirements', 'Franchisee requirements', 1)
+];
+
+const getFounders = listing => getValue(listing, 'startupDetails.team.founders') || [];
+
+const STARTUP_ITEMS = [
+  item('startupDetails.developmentStage', 'Development stage', 3),
+  item('startupDetails.foundedDate', 'Founded date', 1),
+  item('startupDetails.missionStatement', 'Mission statement', 1),
+  item('startupDetails.problemStatement', 'Problem statement', 3),
+  item('startupDetails.solutionDescription', 'Solution', 3),
+  item('startupDetails.team.teamSize', 'Team size', 1),
+  item('startupDetails.team.founders', 'At least one founder', 3, {
+    isDone: (value, listing) => getFounders(listing).some(founder => isFilled(founder?.name))
+  }),
+  item('startupDetails.team.founders', "Founders' LinkedIn profiles", 3, {
+    id: 'startupDetails.team.founders.linkedinProfile',
+    isDone: (value, listing) => {
+      const founders = getFounders(listing);
+      return founders.length > 0 && founders.every(founder => isFilled(founder?.linkedinProfile));
+    }
+  }),
+  item('startupDetails.team.uniqueSellingPoints', 'Unique selling points', 1),
+  item('startupDetails.market.targetMarket', 'Target market', 2),
+  item('startupDetails.market.marketSize.value', 'Market size', 2),
+  item('startupDetails.market.revenueModel', 'Revenue model', 2),
+  item('startupDetails.market.monthlyRevenue.value', 'Monthly revenue', 2),
+  item('startupDetails.market.totalUsers', 'Total users', 1),
+  item('startupDetails.market.growthRate', 'Growth rate', 1),
+  item('startupDetails.market.competitiveAnalysis', 'Competitive analysis', 2),
+  item('startupDetails.funding.fundingStage', 'Funding stage', 2),
+  item('startupDetails.funding.currentRaisingAmount.value', 'Amount being raised', 3),
+  item('startupDetails.funding.equityOffered', 'Equity offered', 3),
+  item('startupDetails.funding.preMoneyValuation.value', 'Pre-money valuation', 3),
+  item('startupDetails.funding.useOfFunds', 'Use of funds', 2),
+  item('startupDetails.funding.burnRate.value', 'Monthly burn rate', 1),
+  item('startupDetails.funding.runway', 'Runway', 1),
+  item('startupDetails.links.website', 'Website', 2),
+  item('startupDetails.links.pitchDeck', 'Pitch deck link', 3)
+];
+
+const INVESTOR_ITEMS = [
+  item('investorDetails.investorType', 'Investor type', 3),
+  item('investorDetails.yearsOfExperience', 'Years of experience', 1),
+  item('investorDetails.investmentTeamSize', 'Investment team size', 1),
+  item('investorDetails.investmentPhilosophy', 'Investment philosophy', 2),
+  item('investorDetails.backgroundSummary', 'Background summary', 2),
+  item('investorDetails.keyAchievements', 'Key achievements', 2),
+  item('investorDetails.investment.annualInvestmentTarget.value', 'Annual investment target', 3),
+  item('investorDetails.investment.preferredRounds', 'Preferred rounds', 2),
+  item('investorDetails.investment.decisionTimeline', 'Decision timeline', 1),
+  item('investorDetails.focus.businessStagePreference', 'Business stages', 2),
+  item('investorDetails.focus.geographicFocus', 'Geographic focus', 2),
+  item('investorDetails.focus.investmentCriteria', 'Investment criteria', 2),
+  item('investorDetails.focus.minimumRevenue.value', 'Minimum revenue', 1),
+  item('investorDetails.portfolio.portfolioSize', 'Portfolio size', 2),
+  item('investorDetails.portfolio.activeInvestments', 'Active investments', 1),
+  item('investorDetails.portfolio.successStories', 'Success stories', 2),
+  item('investorDetails.portfolio.investmentProcess', 'Investment process', 1),
+  item('investorDetails.portfolio.postInvestmentSupport', 'Post-investment support', 2)
+];
+
+const TRAFFIC_SOURCES = ['organic', 'direct', 'referral', 'social', 'other']
+  .map(source => `digitalAssetDetails.traffic.${source}TrafficPercentage`);
+
+const REVENUE_SOURCES = ['advertising', 'affiliates', 'productSales', 'subscriptions', 'other']
+  .map(source => `digitalAssetDetails.financials.revenueBreakdown.${source}`);
+
+const DIGITAL_ASSET_ITEMS = [
+  item('digitalAssetDetails.assetType', 'Asset type', 3),
+  item('digitalAssetDetails.creationDate', 'Creation date', 1),
+  item('digitalAssetDetails.nicheIndustry', 'Niche', 1),
+  item('digitalAssetDetails.businessModel', 'Business model', 2),
+  item('digitalAssetDetails.technical.domainName', 'Domain name', 3),
+  item('digitalAssetDetails.technical.domainAge', 'Domain age', 1),
+  item('digitalAssetDetails.technical.hostingProvider', 'Hosting provider', 1),
+  item('digitalAssetDetails.technical.technologyStack', 'Technology stack', 1),
+  item('digitalAssetDetails.traffic.monthlyVisitors', 'Monthly visitors', 3),
+  item('digitalAssetDetails.traffic.monthlyPageviews', 'Monthly pageviews', 1),
+  item(TRAFFIC_SOURCES[0], 'Traffic sources adding up to 100%', 3, {
+    id: 'digitalAssetDetails.traffic.breakdown',
+    isDone: (value, listing) => addsUpToHundred(listing, TRAFFIC_SOURCES)
+  }),
+  item('digitalAssetDetails.traffic.analyticsVerification', 'Analytics verification', 2),
+  item('digitalAssetDetails.traffic.emailSubscribers', 'Email subscribers', 1),
+  item('digitalAssetDetails.financials.monthlyRevenue.value', 'Monthly revenue', 3),
+  item('digitalAssetDetails.financials.annualRevenue.value', 'Annual revenue', 2),
+  item('digitalAssetDetails.financials.profitMargin', 'Profit margin', 2),
+  item(REVENUE_SOURCES[0], 'Revenue sources adding up to 100%', 2, {
+    id: 'digitalAssetDetails.financials.revenueBreakdown',
+    isDone: (value, listing) => addsUpToHundred(listing, REVENUE_SOURCES)
+  }),
+  item('digitalAssetDetails.financials.monetizationDetails', 'Monetization details', 1),
+  item('digitalAssetDetails.sale.askingPrice.value', 'Asking price', 3),
+  item('digitalAssetDetails.sale.reasonForSelling', 'Reason for selling', 2),
+  item('digitalAssetDetails.sale.transitionPeriod', 'Transition period', 1)
+];
+
+const ITEMS_BY_TYPE = {
+  [ListingType.BUSINESS]: BUSINESS_ITEMS,
+  [ListingType.FRANCHISE]: FRANCHISE_ITEMS,
+  [ListingType.STARTUP]: STARTUP_ITEMS,
+  [ListingType.INVESTOR]: INVESTOR_ITEMS,
+  [ListingType.DIGITAL_ASSET]: DIGITAL_ASSET_ITEMS
+};
+
+/**
+ * Completeness a listing needs to be submitted for review on its plan
+ */
+export const getCompletenessMinimum = (plan) =>
+  COMPLETENESS_MINIMUM_BY_PLAN[plan] ?? COMPLETENESS_MINIMUM_BY_PLAN[ListingPlan.FREE];
+
+/**
+ * How complete a listing is for its type
+ * @param listing Listing or form values
+ * @param counts imageCount and documentCount, when images and documents are not on the
+ *   listing yet, as in the form
+ * @returns percentage (0 to 100), the plan's minimum, whether it meets it and the missing
+ *   items (id, field, label, weight and step), most valuable first
+ */
+export const getListingCompleteness = (listing, counts = {}) => {
+  const context = {
+    imageCount: counts.imageCount ?? listing?.media?.galleryImages?.length ?? 0,
+    documentCount: counts.documentCount ?? listing?.documents?.length ?? 0
+  };
+
+  const items = [...COMMON_ITEMS, ...(ITEMS_BY_TYPE[listing?.type] || [])]
+    .filter(entry => !entry.appliesTo || entry.appliesTo(listing));
+
+  let total = 0;
+  let earned = 0;
+  const missing = [];
+
+  for (const entry of items) {
+    total += entry.weight;
+    if (entry.isDone(getValue(listing, entry.field), listing, context)) {
+      earned += entry.weight;
+    } else {
+      const { id, field, label, weight, step } = entry;
+      missing.push({ id, field, label, weight, step });
+    }
+  }
+
+  const percentage = total > 0 ? Math.round((earned / total) * 100) : 0;
+  const minimum = getCompletenessMinimum(listing?.plan);
+
+  return {
+    percentage,
+    minimum,
+    meetsMinimum: percentage >= minimum,
+    missing: missing.sort((a, b) => b.weight - a.weight)
+  };
+};
@@ -0,0 +1,43 @@
+/**
+ * Listing enum values as plain objects
+ *
+ * Mirrors the ListingType, ListingStatus and ListingPlan enums in src/types/listings.ts.
+ * The schemas import these instead of the TypeScript enums so the Express server can
+ * load listingSchema.js directly and validate API requests with the same rules as the forms.
+ */
+
+export const ListingType = Object.freeze({
+  BUSINESS: 'business',
+  FRANCHISE: 'franchise',
+  STARTUP: 'startup',
+  INVESTOR: 'investor',
+  DIGITAL_ASSET: 'digital_asset'
+});
+
+export const ListingStatus = Object.freeze({
+  DRAFT: 'draft',
+  PENDING: 'pending',
+  PUBLISHED: 'published',
+  REJECTED: 'rejected',
+  ARCHIVED: 'archived'
+});
+
+export const ListingPlan = Object.freeze({
+  FREE: 'free',
+  BASIC: 'basic',
+  ADVANCED: 'advanced',
+  PREMIUM: 'premium',
+  PLATINUM: 'platinum'
+});
+
+/**
+ * Days a published listing stays live on each plan before it expires and is archived,
+ * unless a moderator sets its expiry date. Mirrors LISTING_PLAN_DURATION_DAYS in src/types/listings.ts.
+ */
+export const LISTING_PLAN_DURATION_DAYS = Object.freeze({
+  [ListingPlan.FREE]: 30,
+  [ListingPlan.BASIC]: 60,
+  [ListingPlan.ADVANCED]: 90,
+  [ListingPlan.PREMIUM]: 180,
+  [ListingPlan.PLATINUM]: 365
+});
@@ -0,0 +1,306 @@
+/**
+ * Investor matching
+ *
+ * How well an investor listing fits a startup or business listing, out of 100, from what the
+ * investor says it looks for (investorDetails.focus and .investment) and what the other listing
+ * is. Each part of the score carries an explanation:
+ * - industry: the listing's industries against the investor's primary and secondary ones;
+ * - stage: the startup's round and development stage, or the business's age, against the
+ *   stages and rounds the investor prefers, with part credit for the next stage either side;
+ * - geography: the listing's state or country against the investor's regions;
+ * - ticket size: the amount raised or asking price against the investor's annual target,
+ *   and the equity offered against its preferred stake;
+ * - revenue: the listing's annual revenue against the investor's minimum.
+ * A part the listings say nothing about scores half.
+ *
+ * The Express server loads this file directly to rank suggested matches.
+ */
+
+import { ListingType } from './listingConstants.js';
+
+/** Listing types investors are matched with */
+export const MATCHABLE_TYPES = Object.freeze([ListingType.STARTUP, ListingType.BUSINESS]);
+
+/** Lowest score suggested as a match */
+export const MATCH_MIN_SCORE = 50;
+
+/** Points out of 100 each part of the score is worth */
+export const MATCH_WEIGHTS = Object.freeze({
+  industry: 30,
+  stage: 25,
+  geography: 20,
+  ticket: 15,
+  revenue: 10
+});
+
+// Stages in the order companies go through them, as investors choose them in the form
+const STAGES = [
+  { value: 'idea', label: 'Idea Stage' },
+  { value: 'pre_seed', label: 'Pre-seed' },
+  { value: 'seed', label: 'Seed' },
+  { value: 'early_growth', label: 'Early Growth' },
+  { value: 'series_a', label: 'Series A' },
+  { value: 'expansion', label: 'Expansion' },
+  { value: 'series_b', label: 'Series B' },
+  { value: 'series_c_plus', label: 'Series C+' },
+  { value: 'pre_ipo', label: 'Pre-IPO' },
+  { value: 'mature', label: 'Mature Business' }
+];
+const STAGE_ORDER = STAGES.map(stage => stage.value);
+const STAGE_LABELS = Object.fromEntries(STAGES.map(stage => [stage.value, stage.label]));
+
+// Investment rounds and startup development stages that are not stages of their own
+const STAGE_ALIASES = {
+  growth: 'expansion',
+  late_stage: 'pre_ipo',
+  mvp: 'pre_seed',
+  series_b_plus: 'series_b'
+};
+
+const REGION_LABELS = {
+  north_india: 'North India',
+  south_india: 'South India',
+  east_india: 'East India',
+  west_india: 'West India',
+  central_india: 'Central India',
+  northeast_india: 'Northeast India',
+  pan_india: 'Pan India',
+  asia_pacific: 'Asia Pacific',
+  north_america: 'North America',
+  europe: 'Europe',
+  middle_east: 'Middle East',
+  africa: 'Africa',
+  latin_america: 'Latin America',
+  global: 'Global'
+};
+
+// Indian state and union territory codes by region, with the older codes some still carry
+const INDIA_REGIONS = {
+  north_india: ['CH', 'DL', 'HP', 'HR', 'JK', 'LA', 'PB', 'RJ', 'UP', 'UT', 'UK'],
+  south_india: ['AP', 'KA', 'KL', 'LD', 'PY', 'TG', 'TS', 'TN'],
+  east_india: ['AN', 'BR', 'JH', 'OR', 'OD', 'WB'],
+  west_india: ['DH', 'DN', 'DD', 'GA', 'GJ', 'MH'],
+  central_india: ['CT', 'CG', 'MP'],
+  northeast_india: ['AR', 'AS', 'ML', 'MN', 'MZ', 'NL', 'SK', 'TR']
+};
+
+// Country codes by region; India's regions are above
+const WORLD_REGIONS = {
+  asia_pacific: ['AU', 'BD', 'BT', 'CN', 'HK', 'ID', 'JP', 'KH', 'KR', 'LK', 'MM', 'MV', 'MY', 'NP', 'NZ', 'PH', 'PK', 'SG', 'TH', 'TW', 'VN'],
+  north_america: ['CA', 'MX', 'US'],
+  europe: ['AT', 'BE', 'CH', 'CZ', 'DE', 'DK', 'ES', 'FI', 'FR', 'GB', 'GR', 'IE', 'IT', 'NL', 'NO', 'PL', 'PT', 'RO', 'SE', 'UA'],
+  middle_east: ['AE', 'BH', 'IL', 'IQ', 'IR', 'JO', 'KW', 'LB', 'OM', 'QA', 'SA', 'TR'],
+  africa: ['DZ', 'EG', 'ET', 'GH', 'KE', 'MA', 'NG', 'RW', 'TZ', 'UG', 'ZA'],
+  latin_america: ['AR', 'BR', 'CL', 'CO', 'PE', 'UY', 'VE']
+};
+
+// Amounts are { value } objects in listings and may be strings
+const toAmount = (value) => {
+  const number = Number(value && typeof value === 'object' ? value.value : value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const formatRupees = (value) => `₹${Math.round(value).toLocaleString('en-IN')}`;
+
+const listLabels = (values, labels) => values.map(value => labels[value] || value).join(', ');
+
+// The listing's industries, by ID and by name
+const getIndustryKeys = (listing) => {
+  const classifications = listing.classifications || [];
+  const keys = [
+    ...(listing.industries || []),
+    listing.industry,
+    listing.industryName,
+    ...classifications.flatMap(c => [c.industry, c.industryName])
+  ];
+  return new Set(keys.map(normalize).filter(Boolean));
+};
+
+const getIndustryNames = (listing) => {
+  const names = (listing.classifications || []).map(c => c.industryName).filter(Boolean);
+  return names.length ? names.join(', ') : listing.industryName || 'no industry';
+};
+
+const toStage = (value) => {
+  const stage = STAGE_ALIASES[value] || value;
+  return STAGE_ORDER.includes(stage) ? stage : null;
+};
+
+// The stages a startup or business is at
+const getListingStages = (listing, now) => {
+  if (listing.type === ListingType.STARTUP) {
+    const { developmentStage, funding = {} } = listing.startupDetails || {};
+    return [...new Set([funding.fundingStage, developmentStage].map(toStage).filter(Boolean))];
+  }
+
+  const established = Number(listing.businessDetails?.establishedYear);
+  if (!established) return ['mature'];
+  const age = new Date(now).getFullYear() - established;
+  if (age < 3) return ['early_growth'];
+  return age < 7 ? ['expansion'] : ['mature'];
+};
+
+// The regions a location is in
+const getLocationRegions = (location) => {
+  if (!location?.country) return [];
+  const country = location.country.toUpperCase();
+
+  if (country === 'IN') {
+    const state = String(location.state || '').toUpperCase();
+    const region = Object.keys(INDIA_REGIONS).find(key => INDIA_REGIONS[key].includes(state));
+    return region ? [region, 'pan_india'] : ['pan_india'];
+  }
+
+  const region = Object.keys(WORLD_REGIONS).find(key => WORLD_REGIONS[key].includes(country));
+  return region ? [region] : [];
+};
+
+// What the listing is raising or asking for
+const getTicketSize = (listing) => listing.type === ListingType.STARTUP
+  ? toAmount(listing.startupDetails?.funding?.currentRaisingAmount)
+  : toAmount(listing.businessDetails?.sale?.askingPrice);
+
+const getAnnualRevenue = (listing) => {
+  if (listing.type === ListingType.STARTUP) {
+    const monthly = toAmount(listing.startupDetails?.market?.monthlyRevenue);
+    return monthly ? monthly * 12 : null;
+  }
+  const { financials = {} } = listing.businessDetails || {};
+  const monthly = toAmount(financials.monthlyRevenue);
+  return toAmount(financials.annualRevenue) ?? (monthly ? monthly * 12 : null);
+};
+
+const scoreIndustry = (investor, listing) => {
+  const { focus = {} } = investor.investorDetails || {};
+  const primary = [...(focus.primaryIndustries || []), ...getIndustryKeys(investor)].map(normalize).filter(Boolean);
+  const secondary = (focus.secondaryIndustries || []).map(normalize).filter(Boolean);
+  const keys = getIndustryKeys(listing);
+  const names = getIndustryNames(listing);
+
+  if (!primary.length && !secondary.length) {
+    return { score: 0.5, detail: 'The investor has not named the industries it invests in' };
+  }
+  if (primary.some(key => keys.has(key))) {
+    return { score: 1, detail: `${names} is one of the investor's primary industries` };
+  }
+  if (secondary.some(key => keys.has(key))) {
+    return { score: 0.6, detail: `${names} is one of the investor's secondary industries` };
+  }
+  return { score: 0, detail: `${names} is outside the investor's industries` };
+};
+
+const scoreStage = (investor, listing, now) => {
+  const { focus = {}, investment = {} } = investor.investorDetails || {};
+  const preferred = [...new Set([...(focus.businessStagePreference || []), ...(investment.preferredRounds || [])].map(toStage).filter(Boolean))];
+  const stages = getListingStages(listing, now);
+
+  if (!preferred.length || !stages.length) {
+    return { score: 0.5, detail: preferred.length ? 'The listing has no stage' : 'The investor has no stage preference' };
+  }
+
+  const hit = stages.find(stage => preferred.includes(stage));
+  if (hit) {
+    return { score: 1, detail: `${STAGE_LABELS[hit]} is a stage the investor prefers` };
+  }
+
+  const distance = Math.min(...stages.flatMap(stage =>
+    preferred.map(other => Math.abs(STAGE_ORDER.indexOf(stage) - STAGE_ORDER.indexOf(other)))));
+  const detail = `${listLabels(stages, STAGE_LABELS)}; the investor prefers ${listLabels(preferred, STAGE_LABELS)}`;
+  return distance === 1
+    ? { score: 0.5, detail: `${detail}, the next stage` }
+    : { score: 0, detail };
+};
+
+const scoreGeography = (investor, listing) => {
+  const regions = investor.investorDetails?.focus?.geographicFocus || [];
+  const where = listing.location?.displayLocation || listing.location?.stateName || listing.location?.country;
+
+  if (!regions.length) return { score: 0.5, detail: 'The investor has no geographic focus' };
+  if (regions.includes('global')) return { score: 1, detail: 'The investor invests globally' };
+
+  const listingRegions = getLocationRegions(listing.location);
+  if (!listingRegions.length) {
+    return { score: 0.5, detail: where ? `${where} is in none of the regions matched on` : 'The listing has no location' };
+  }
+
+  const hit = listingRegions.find(region => regions.includes(region));
+  return hit
+    ? { score: 1, detail: `${where} is in ${REGION_LABELS[hit]}` }
+    : { score: 0, detail: `${where} is outside ${listLabels(regions, REGION_LABELS)}` };
+};
+
+const scoreTicket = (investor, listing) => {
+  const { investment = {} } = investor.investorDetails || {};
+  const target = toAmount(investment.annualInvestmentTarget);
+  const ticket = getTicketSize(listing);
+  const what = listing.type === ListingType.STARTUP ? 'raised' : 'asked';
+
+  let result;
+  if (!target || !ticket) {
+    result = { score: 0.5, detail: target ? `No amount ${what}` : 'The investor has no annual investment target' };
+  } else if (ticket <= target) {
+    result = { score: 1, detail: `${formatRupees(ticket)} ${what} fits the investor's ${formatRupees(target)} a year` };
+  } else if (ticket <= target * 2) {
+    result = { score: 0.5, detail: `${formatRupees(ticket)} ${what} is up to twice the investor's ${formatRupees(target)} a year` };
+  } else {
+    result = { score: 0, detail: `${formatRupees(ticket)} ${what} is far beyond the investor's ${formatRupees(target)} a year` };
+  }
+
+  // A startup offering less or more equity than the investor takes fits less well
+  const equity = listing.type === ListingType.STARTUP ? toAmount(listing.startupDetails?.funding?.equityOffered) : null;
+  const stake = investment.preferredEquityStake;
+  const min = toAmount(stake?.min);
+  const max = toAmount(stake?.max);
+  if (equity && (min || max) && ((min && equity < min) || (max && equity > max))) {
+    result = {
+      score: result.score / 2,
+      detail: `${result.detail}; ${equity}% equity offered is outside the ${min || 0}–${max || 100}% it takes`
+    };
+  }
+
+  return result;
+};
+
+const scoreRevenue = (investor, listing) => {
+  const minimum = toAmount(investor.investorDetails?.focus?.minimumRevenue);
+  const revenue = getAnnualRevenue(listing);
+
+  if (!minimum) return { score: 1, detail: 'The investor has no revenue minimum' };
+  if (!revenue) return { score: 0.5, detail: `No revenue given; the investor asks for ${formatRupees(minimum)} a year` };
+  return revenue >= minimum
+    ? { score: 1, detail: `${formatRupees(revenue)} a year meets the investor's ${formatRupees(minimum)} minimum` }
+    : { score: 0, detail: `${formatRupees(revenue)} a year is under the investor's ${formatRupees(minimum)} minimum` };
+};
+
+const MATCH_PARTS = [
+  { id: 'industry', label: 'Industry', score: scoreIndustry },
+  { id: 'stage', label: 'Stage', score: scoreStage },
+  { id: 'geography', label: 'Geography', score: scoreGeography },
+  { id: 'ticket', label: 'Ticket size', score: scoreTicket },
+  { id: 'revenue', label: 'Revenue', score: scoreRevenue }
+];
+
+/**
+ * Score how well an investor listing fits a startup or business listing
+ * @param investor Investor listing
+ * @param listing Startup or business listing
+ * @param now Time in milliseconds, for the age of a business
+ * @returns null for other listing types; otherwise the score out of 100 and each part of it
+ *   as { id, label, weight, points, detail }
+ */
+export const scoreInvestorMatch = (investor, listing, now = Date.now()) => {
+  if (investor?.type !== ListingType.INVESTOR || !MATCHABLE_TYPES.includes(listing?.type)) return null;
+
+  const components = MATCH_PARTS.map(({ id, label, score }) => {
+    const weight = MATCH_WEIGHTS[id];
+    const result = score(investor, listing, now);
+    return { id, label, weight, points: Math.round(result.score * weight), detail: result.detail };
+  });
+
+  return {
+    score: components.reduce((sum, component) => sum + component.points, 0),
+    components
+  };
+};
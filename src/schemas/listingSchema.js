@@ -6,7 +6,16 @@
  */
 
 import { z } from 'zod';
-import { ListingType, ListingStatus, ListingPlan } from '@/types/listings';
+import { ListingType, ListingStatus, ListingPlan } from './listingConstants.js';
+import { CapTableHolderType, MAX_CAP_TABLE_HOLDERS } from './startupCapTable.js';
+import { SALES_GROWTH_LIMITS } from './franchiseProjection.js';
+import {
+  MAX_EXCLUSIVITY_RADIUS_KM,
+  MAX_POLYGON_POINTS,
+  MAX_TERRITORIES,
+  TerritoryKind,
+  TerritoryStatus
+} from './franchiseTerritories.js';
 
 // Helper function to safely handle arrays
 const safeArray = (value) => {
@@ -19,6 +28,17 @@ const safeArray = (value) => {
  * Common utility refinements
  */
 const refinements = {
+  // Date from a date input, Date, ISO string or Firestore Timestamp; empty values clear it
+  optionalDate: (message) => z.preprocess(
+    (val) => {
+      if (val === "" || val === null || val === undefined) return null;
+      if (typeof val?.toDate === 'function') return val.toDate();
+      const date = new Date(val);
+      return isNaN(date.getTime()) ? val : date;
+    },
+    z.date({ invalid_type_error: message }).nullable().optional()
+  ),
+
   yearRange: (min = 1900, max = new Date().getFullYear()) => 
     z.union([
       z.string()
@@ -353,6 +373,68 @@ export const businessDetailsSchema = z.object({
   }),
 });
 
+const geoPointSchema = z.object({
+  latitude: z.number().min(-90).max(90),
+  longitude: z.number().min(-180).max(180)
+});
+
+/**
+ * A franchise territory (src/schemas/franchiseTerritories.js): a state, a city or a polygon
+ * drawn on the map, always within a country and state
+ */
+export const territorySchema = z.object({
+  id: z.string().min(1),
+  kind: z.enum(Object.values(TerritoryKind)),
+  name: z.string()
+    .trim()
+    .min(1, "Territory name is required")
+    .max(100, "Territory name cannot exceed 100 characters"),
+  country: z.string().min(1, "Country is required"),
+  state: z.string().min(1, "State is required"),
+  city: z.string().optional(),
+  center: geoPointSchema.nullable().optional(),
+  polygon: z.array(geoPointSchema)
+    .max(MAX_POLYGON_POINTS, `A territory can have at most ${MAX_POLYGON_POINTS} corners`)
+    .optional(),
+  status: z.enum(Object.values(TerritoryStatus)),
+  exclusivityRadiusKm: z.preprocess(
+    (val) => val === '' || val === null || val === undefined || Number.isNaN(val) ? null : Number(val),
+    z.number()
+      .positive("Exclusivity radius must be above 0 km")
+      .max(MAX_EXCLUSIVITY_RADIUS_KM, `Exclusivity radius cannot exceed ${MAX_EXCLUSIVITY_RADIUS_KM} km`)
+      .nullable()
+  ).optional()
+}).superRefine((territory, ctx) => {
+  if (territory.kind === TerritoryKind.CITY && !territory.city) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: "City is required", path: ['city'] });
+  }
+  if (territory.kind === TerritoryKind.POLYGON && (territory.polygon?.length || 0) < 3) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: "Draw at least 3 corners on the map", path: ['polygon'] });
+  }
+});
+
+// A projection assumption; left empty, src/schemas/franchiseProjection.js uses its default
+const assumptionSchema = (min, max, message) => z.preprocess(
+  (val) => val === '' || val === null || val === undefined || Number.isNaN(val) ? undefined : Number(val),
+  z.number({ invalid_type_error: message }).min(min, message).max(max, message).optional()
+);
+
+/**
+ * Assumptions a franchise's unit economics are projected with (src/schemas/franchiseProjection.js)
+ */
+export const projectionAssumptionsSchema = z.object({
+  openingSalesPercent: assumptionSchema(1, 100, "Opening sales must be between 1 and 100% of average sales"),
+  rampUpMonths: assumptionSchema(0, 36, "Ramp-up must be between 0 and 36 months"),
+  salesGrowthPercent: assumptionSchema(
+    SALES_GROWTH_LIMITS.min,
+    SALES_GROWTH_LIMITS.max,
+    `Sales growth must be between ${SALES_GROWTH_LIMITS.min} and ${SALES_GROWTH_LIMITS.max}% a year`
+  ),
+  costOfGoodsPercent: assumptionSchema(0, 90, "Cost of goods must be between 0 and 90% of sales"),
+  operatingCostPercent: assumptionSchema(0, 90, "Operating costs must be between 0 and 90% of sales"),
+  fixedCostsPerMonth: assumptionSchema(0, 1e10, "Fixed costs must be a positive amount")
+});
+
 /**
  * Franchise Details Schema
  */
@@ -368,10 +450,13 @@ export const franchiseDetailsSchema = z.object({
     z.string(),
     z.number().transform(val => val.toString())
   ]).optional(),
+  // Regions listed before territories were structured; kept for older listings
   availableTerritories: z.array(z.string())
-    .min(1, "At least one territory must be selected")
     .default([])
     .transform(safeArray),
+  territories: z.array(territorySchema)
+    .max(MAX_TERRITORIES, `A franchise can have at most ${MAX_TERRITORIES} territories`)
+    .default([]),
   investment: z.object({
     franchiseFee: refinements.moneyObject("Franchise fee must be a positive number"),
     totalInitialInvestment: refinements.moneyObject("Total initial investment must be a positive number"),
@@ -408,6 +493,7 @@ export const franchiseDetailsSchema = z.object({
     netWorthRequirement: refinements.moneyObject("Net worth requirement must be a positive number"),
     liquidCapitalRequired: refinements.moneyObject("Liquid capital requirement must be a positive number"),
   }),
+  projectionAssumptions: projectionAssumptionsSchema.optional(),
   focus: z.object({
     primaryIndustries: z.array(z.string())
       .min(1, "Please select at least one primary industry")
@@ -882,6 +968,21 @@ export const startupDetailsSchema = z.object({
     previousInvestors: z.string()
       .max(300, "Previous investors cannot exceed 300 characters")
       .optional(),
+    // Shares held before this round (src/schemas/startupCapTable.js)
+    capTable: z.array(z.object({
+      name: z.string()
+        .min(1, "Holder name is required")
+        .max(100, "Holder name cannot exceed 100 characters"),
+      type: z.enum(Object.values(CapTableHolderType)),
+      shares: z.union([
+        z.string()
+          .refine((val) => Number.isInteger(Number(val)) && Number(val) > 0, "Shares must be a whole number above 0")
+          .transform(val => Number(val)),
+        z.number().int("Shares must be a whole number").positive("Shares must be above 0")
+      ])
+    }))
+      .max(MAX_CAP_TABLE_HOLDERS, `The cap table can have at most ${MAX_CAP_TABLE_HOLDERS} holders`)
+      .optional(),
     burnRate: z.preprocess(
       (val) => val === null || val === undefined ? { value: undefined, currency: 'INR' } : val,
       z.object({
@@ -1161,6 +1262,11 @@ export const listingSchema = z.object({
   status: z.nativeEnum(ListingStatus, { errorMap: () => ({ message: "Please select a status" }) }),
   plan: z.nativeEnum(ListingPlan, { errorMap: () => ({ message: "Please select a plan" }) }),
 
+  // Scheduling, set by moderators. A draft or pending listing goes live at publishAt and a
+  // published one is archived at expiresAt, which defaults to the plan's duration when it is published.
+  publishAt: refinements.optionalDate("Please enter a valid publish date"),
+  expiresAt: refinements.optionalDate("Please enter a valid expiry date"),
+
   // Location Information (required)
   location: z.object({
     country: z.string().min(1, "Country is required"),
@@ -1248,7 +1354,13 @@ export const listingSchema = z.object({
           code: z.ZodIssueCode.custom,
           message: "Franchise details are required for franchise listings",
         });
-      } 
+      } else if (!val.territories?.length && !val.availableTerritories?.length) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "At least one territory is required",
+          path: ['territories'],
+        });
+      }
       // Do not validate franchiseDetails for other listing types, no matter what state it's in
     }
     return z.NEVER;
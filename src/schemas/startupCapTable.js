@@ -0,0 +1,116 @@
+/**
+ * Startup cap table and funding round
+ *
+ * A startup listing's funding block holds the round it is raising (currentRaisingAmount,
+ * preMoneyValuation, equityOffered) and, optionally, its cap table: the founders, previous
+ * investors and option pool with the shares each holds before the round. From these the round
+ * is simulated: its post-money valuation, the price per share it implies, the new shares issued
+ * to the round's investors and how far every holder is diluted.
+ *
+ * The equity offered should be the amount raised divided by the post-money valuation; one
+ * further off than EQUITY_OFFERED_TOLERANCE is pointed out in the listing form and flagged for
+ * moderators. The Express server loads this file directly to store the round on the listing.
+ */
+
+export const CapTableHolderType = Object.freeze({
+  FOUNDER: 'founder',
+  INVESTOR: 'investor',
+  OPTION_POOL: 'option_pool',
+  OTHER: 'other'
+});
+
+export const MAX_CAP_TABLE_HOLDERS = 25;
+
+/**
+ * How far the equity offered may be from the equity the amount buys at the post-money
+ * valuation, as a share of the latter, since founders round their figures
+ */
+export const EQUITY_OFFERED_TOLERANCE = 0.1;
+
+// Amounts are { value } objects in listings and may be strings in the form
+const toAmount = (value) => {
+  const number = Number(value && typeof value === 'object' ? value.value : value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const toPercent = (part, whole) => round((part / whole) * 100);
+
+/**
+ * Check the equity offered against the amount raised and the pre-money valuation
+ * @param funding startupDetails.funding of a listing or the form
+ * @returns null until all three are entered; otherwise the post-money valuation, the equity
+ *   the amount buys at it, the equity offered and whether the two agree
+ */
+export const checkEquityOffered = (funding = {}) => {
+  const amount = toAmount(funding.currentRaisingAmount);
+  const preMoney = toAmount(funding.preMoneyValuation);
+  const equityOffered = toAmount(funding.equityOffered);
+  if (!amount || !preMoney || !equityOffered) return null;
+
+  const postMoney = preMoney + amount;
+  const impliedEquity = toPercent(amount, postMoney);
+
+  return {
+    postMoney,
+    impliedEquity,
+    equityOffered,
+    matches: Math.abs(equityOffered - impliedEquity) <= impliedEquity * EQUITY_OFFERED_TOLERANCE
+  };
+};
+
+/**
+ * Simulate a priced round on a cap table
+ * @param round { holders, amount, preMoney }: holders as { name, type, shares } before the round
+ * @returns null without shares, an amount or a pre-money valuation; otherwise the post-money
+ *   valuation, the price per share, the shares before and after, the new investors' shares and
+ *   stake, and each holder's stake before and after the round and the percentage points lost
+ */
+export const simulateRound = ({ holders = [], amount, preMoney } = {}) => {
+  const entries = holders
+    .map(holder => ({ name: holder.name?.trim() || '', type: holder.type || CapTableHolderType.OTHER, shares: toAmount(holder.shares) }))
+    .filter(holder => holder.shares);
+  const raising = toAmount(amount);
+  const valuation = toAmount(preMoney);
+  const sharesBefore = entries.reduce((sum, holder) => sum + holder.shares, 0);
+  if (!sharesBefore || !raising || !valuation) return null;
+
+  const pricePerShare = valuation / sharesBefore;
+  const newShares = Math.round(raising / pricePerShare);
+  const sharesAfter = sharesBefore + newShares;
+
+  return {
+    amount: raising,
+    preMoney: valuation,
+    postMoney: valuation + raising,
+    pricePerShare: round(pricePerShare),
+    sharesBefore,
+    newShares,
+    sharesAfter,
+    roundStake: toPercent(newShares, sharesAfter),
+    holders: entries.map(holder => {
+      const before = toPercent(holder.shares, sharesBefore);
+      const after = toPercent(holder.shares, sharesAfter);
+      return { ...holder, before, after, dilution: round(before - after) };
+    })
+  };
+};
+
+/**
+ * The round a startup listing is raising, as shown on its review step and detail page
+ * @param funding startupDetails.funding of a listing or the form
+ * @returns null when the round has no amount or pre-money valuation; otherwise the equity
+ *   check (null without the equity offered) and the simulated round (null without a cap table)
+ */
+export const getFundingRoundSummary = (funding = {}) => {
+  const amount = toAmount(funding.currentRaisingAmount);
+  const preMoney = toAmount(funding.preMoneyValuation);
+  if (!amount || !preMoney) return null;
+
+  return {
+    postMoney: preMoney + amount,
+    equity: checkEquityOffered(funding),
+    round: simulateRound({ holders: funding.capTable, amount, preMoney })
+  };
+};
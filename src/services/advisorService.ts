@@ -29,6 +29,9 @@ import {
     PaymentStatus
   } from '@/types/firebase';
   import { uploadProfileImage } from './storageService';
+  import { apiRequest, ApiError, withRequestId } from './apiClient';
+  import { emitWebhookEvent } from './webhookService';
+  import { WebhookEventType } from '@/types/webhooks';
   
   const USERS_COLLECTION = 'users';
   const COMMISSION_COLLECTION = 'commission_structures';
@@ -192,7 +195,7 @@ import {
   export const createAdvisor = async (
     advisorData: Partial<UserDetails>,
     profileImage?: File
-  ): Promise<{advisorId: string, loginEmail: string, password: string}> => {
+  ): Promise<{advisorId: string, loginEmail: string, invitationSent: boolean, invitationExpiresAt: Date | null}> => {
     try {
       // Validation checks
       if (!advisorData.name || !advisorData.email || !advisorData.phone || 
@@ -232,43 +235,23 @@ import {
       }
       
       // Call the backend API to create the Firebase Auth user
-      const API_URL = getApiUrl();
-      let response;
-      try {
-        response = await fetch(`${API_URL}/api/auth/createUser`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            name: advisorData.name,
-            email: advisorData.email,
-            role: UserRole.ADVISOR,
-            loginEmail: loginEmail
-          }),
-          credentials: 'include'
-        });
-      } catch (networkError) {
-        throw new Error(`Network error: Could not connect to server. Please check your internet connection and try again.`);
-      }
-      
-      if (!response.ok) {
-        let errorMessage = 'Failed to create advisor account';
-        try {
-          const errorData = await response.json();
-          errorMessage = errorData.error || errorMessage;
-        } catch (e) {
-          // If response is not JSON, use status text
-          errorMessage = `Server error (${response.status}): ${response.statusText}`;
+      // Throws ApiError with the server message (including 401/403 permission errors)
+      // The server emails the new user a set-password link; no password is returned
+      const { uid, invitationSent, invitationExpiresAt } = await apiRequest<{
+        uid: string,
+        invitationSent: boolean,
+        invitationExpiresAt: string | null
+      }>('/api/auth/createUser', {
+        body: {
+          name: advisorData.name,
+          email: advisorData.email,
+          role: UserRole.ADVISOR,
+          loginEmail: loginEmail
         }
-        throw new Error(errorMessage);
-      }
-      
-      const data = await response.json();
-      const { uid, password } = data;
+      });
       
-      if (!uid || !password) {
-        throw new Error('Invalid response from server: Missing user credentials');
+      if (!uid) {
+        throw new Error('Invalid response from server: Missing user ID');
       }
       
       // Prepare advisor data with default values for advisor-specific fields
@@ -304,14 +287,7 @@ import {
       } catch (firestoreError) {
         // If Firestore save fails, attempt to clean up auth user
         try {
-          await fetch(`${API_URL}/api/auth/deleteAuthUser`, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({ loginEmail }),
-            credentials: 'include'
-          });
+          await apiRequest('/api/auth/deleteAuthUser', { body: { loginEmail } });
         } catch (cleanupError) {
           console.error('Failed to clean up auth user after Firestore error:', cleanupError);
         }
@@ -322,11 +298,14 @@ import {
       return {
         advisorId,
         loginEmail,
-        password
+        invitationSent,
+        invitationExpiresAt: invitationExpiresAt ? new Date(invitationExpiresAt) : null
       };
     } catch (error) {
       console.error('Error creating advisor:', error);
-      if (error instanceof Error) {
+      if (error instanceof ApiError) {
+        throw new Error(withRequestId(error.message, error));
+      } else if (error instanceof Error) {
         throw error;
       } else {
         throw new Error('Unknown error occurred while creating advisor');
@@ -425,21 +404,14 @@ import {
       // Delete the Firebase Auth user if loginEmail exists
       if (advisorData.loginEmail) {
         try {
-          const API_URL = getApiUrl();
-          const response = await fetch(`${API_URL}/api/auth/deleteAuthUser`, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({ loginEmail: advisorData.loginEmail }),
-            credentials: 'include'
+          await apiRequest('/api/auth/deleteAuthUser', {
+            body: { loginEmail: advisorData.loginEmail }
           });
-          
-          if (!response.ok) {
-            const errorData = await response.json();
-            console.error('Error deleting auth user:', errorData.error);
-          }
         } catch (authError) {
+          // Without permission to remove the login, keep the Firestore record too
+          if (authError instanceof ApiError && authError.isAuthError) {
+            throw authError;
+          }
           console.error('Error deleting Firebase Auth user:', authError);
         }
       }
@@ -449,35 +421,39 @@ import {
       return true;
     } catch (error) {
       console.error('Error deleting advisor:', error);
-      throw new Error(`Failed to delete advisor: ${error instanceof Error ? error.message : 'Unknown error'}`);
+      throw new Error(withRequestId(`Failed to delete advisor: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
     }
   };
   
   /**
-   * Reset advisor password
+   * Email the advisor a new set-password link, invalidating any earlier one
+   * @returns When the new link expires
+   */
+  export const sendAdvisorInvitation = async (loginEmail: string): Promise<Date> => {
+    try {
+      const { invitationExpiresAt } = await apiRequest<{ invitationExpiresAt: string }>('/api/auth/sendInvitation', {
+        body: { loginEmail }
+      });
+      return new Date(invitationExpiresAt);
+    } catch (error) {
+      console.error('Error sending invitation:', error);
+      throw new Error(withRequestId(error instanceof Error ? error.message : 'Failed to send invitation', error));
+    }
+  };
+
+  /**
+   * Reset advisor password to a generated temporary password
+   * Fallback for when the advisor cannot receive the invitation email
    */
   export const resetAdvisorPassword = async (loginEmail: string): Promise<string> => {
     try {
-      const API_URL = getApiUrl();
-      const response = await fetch(`${API_URL}/api/auth/resetPassword`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ loginEmail }),
-        credentials: 'include'
+      const { password } = await apiRequest<{ password: string }>('/api/auth/resetPassword', {
+        body: { loginEmail }
       });
-      
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Failed to reset password');
-      }
-      
-      const { password } = await response.json();
       return password;
     } catch (error) {
       console.error('Error resetting password:', error);
-      throw new Error(error instanceof Error ? error.message : 'Failed to reset password');
+      throw new Error(withRequestId(error instanceof Error ? error.message : 'Failed to reset password', error));
     }
   };
   
@@ -513,70 +489,48 @@ import {
   };
   
   /**
-   * Create or update a commission structure
+   * Create or update the commission structure of a tier (admins only).
+   * The server records the change in the audit log.
    */
   export const saveCommissionStructure = async (
     commission: Partial<CommissionStructure> & { tier: CommissionTier }
   ): Promise<CommissionStructure> => {
     try {
-      // Check if a structure with this tier already exists
-      const commissionQuery = query(
-        collection(db, COMMISSION_COLLECTION),
-        where('tier', '==', commission.tier)
+      const { commission: saved } = await apiRequest<{ commission: any }>(
+        `/api/commissions/${encodeURIComponent(commission.tier)}`,
+        {
+          method: 'PUT',
+          body: {
+            name: commission.name,
+            baseRate: commission.baseRate,
+            thresholds: commission.thresholds || [],
+            isActive: commission.isActive ?? true,
+            description: commission.description || ''
+          }
+        }
       );
       
-      const existingDocs = await getDocs(commissionQuery);
-      
-      let commissionRef;
-      let isNew = true;
-      
-      if (!existingDocs.empty) {
-        // Update existing structure
-        commissionRef = doc(db, COMMISSION_COLLECTION, existingDocs.docs[0].id);
-        isNew = false;
-      } else {
-        // Create new structure
-        commissionRef = doc(collection(db, COMMISSION_COLLECTION));
-      }
-      
-      const commissionData = {
-        ...commission,
-        updatedAt: serverTimestamp(),
-        ...(isNew && { createdAt: serverTimestamp() })
-      };
-      
-      if (isNew) {
-        await setDoc(commissionRef, commissionData);
-      } else {
-        await updateDoc(commissionRef, commissionData);
-      }
-      
-      // Get the updated data
-      const updatedDoc = await getDoc(commissionRef);
-      const data = updatedDoc.data();
-      
       return {
-        ...data,
-        id: updatedDoc.id,
-        createdAt: data.createdAt?.toDate(),
-        updatedAt: data.updatedAt?.toDate()
+        ...saved,
+        createdAt: saved.createdAt ? new Date(saved.createdAt) : undefined,
+        updatedAt: saved.updatedAt ? new Date(saved.updatedAt) : undefined
       } as CommissionStructure;
     } catch (error) {
       console.error('Error saving commission structure:', error);
-      throw new Error(`Failed to save commission structure: ${error instanceof Error ? error.message : 'Unknown error'}`);
+      throw new Error(withRequestId(`Failed to save commission structure: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
     }
   };
   
   /**
-   * Delete a commission structure
+   * Delete a commission structure (admins only)
    */
   export const deleteCommissionStructure = async (id: string): Promise<boolean> => {
     try {
-      await deleteDoc(doc(db, COMMISSION_COLLECTION, id));
+      await apiRequest(`/api/commissions/${encodeURIComponent(id)}`, { method: 'DELETE' });
       return true;
     } catch (error) {
       console.error('Error deleting commission structure:', error);
-      throw new Error(`Failed to delete commission structure: ${error instanceof Error ? error.message : 'Unknown error'}`);
+      throw new Error(withRequestId(`Failed to delete commission structure: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
     }
   };
   
@@ -808,6 +762,10 @@ import {
         }
       }
       
+      if (leadData.status && leadData.status !== currentLeadData.status) {
+        await emitWebhookEvent(WebhookEventType.LEAD_STATUS_CHANGED, leadId, currentLeadData.status);
+      }
+      
       // Get the updated lead
       const updatedLeadSnap = await getDoc(leadRef);
       const data = updatedLeadSnap.data();
@@ -1124,6 +1082,10 @@ import {
         await updateAdvisorCommissionTotal(currentPaymentData.advisorId, amountDifference);
       }
       
+      if (!wasCompleted && isNowCompleted) {
+        await emitWebhookEvent(WebhookEventType.PAYMENT_COMPLETED, paymentId);
+      }
+      
       // Get the updated payment
       const updatedPaymentSnap = await getDoc(paymentRef);
       const data = updatedPaymentSnap.data();
@@ -1201,20 +1163,6 @@ import {
     }
   };
   
-  /**
-   * Get API URL helper function
-   */
-  const getApiUrl = () => {
-    const apiUrl = import.meta.env.VITE_API_URL;
-    if (!apiUrl) {
-      console.warn('VITE_API_URL is not defined, using default localhost:5000');
-      return process.env.NODE_ENV === 'production'
-        ? 'https://api.businessoptions.in'
-        : 'http://localhost:5000';
-    }
-    return apiUrl;
-  };
-  
   /**
    * Format currency with currency support
    */
@@ -0,0 +1,133 @@
+/**
+ * API client
+ * Calls the Express backend with the signed-in user's Firebase ID token
+ */
+
+import { auth } from '@/lib/firebase';
+
+// Correlation ID header, sent with every request and echoed back by the server
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+/**
+ * Error returned by the backend API
+ * Carries the HTTP status, the machine-readable code, the full response body and the
+ * request's correlation ID, which matches the server's log line for the request
+ */
+export class ApiError extends Error {
+  status: number;
+  code?: string;
+  data?: Record<string, any>;
+  requestId?: string;
+
+  constructor(message: string, status: number, code?: string, data?: Record<string, any>, requestId?: string) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.data = data;
+    this.requestId = requestId;
+  }
+
+  /**
+   * Whether the caller was not signed in or lacked the required role
+   */
+  get isAuthError(): boolean {
+    return this.status === 401 || this.status === 403;
+  }
+}
+
+interface ApiRequestOptions {
+  method?: string;
+  body?: unknown;
+  // Public endpoints (e.g. invitations) are called without an ID token
+  authenticated?: boolean;
+}
+
+/**
+ * Environment-aware API URL configuration
+ */
+export const getApiUrl = () => {
+  const apiUrl = import.meta.env.VITE_API_URL;
+  if (!apiUrl) {
+    console.warn('VITE_API_URL is not defined, using default localhost:5000');
+    return process.env.NODE_ENV === 'production'
+      ? 'https://api.businessoptions.in'
+      : 'http://localhost:5000';
+  }
+  return apiUrl;
+};
+
+/**
+ * Append the correlation ID of a failed API request to an error message,
+ * so a support ticket quoting the message identifies the server's log line
+ * @param message Message to show the user
+ * @param error The caught error; other errors leave the message unchanged
+ */
+export const withRequestId = (message: string, error: unknown): string =>
+  error instanceof ApiError && error.requestId ? `${message} (Reference: ${error.requestId})` : message;
+
+const createRequestId = (): string =>
+  typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+
+/**
+ * Send a JSON request to the backend and return the parsed response body
+ * @param path API path, e.g. '/api/auth/createUser'
+ * @param options Request method, body and whether to attach the ID token
+ * @throws ApiError with the server's message for non-2xx responses
+ */
+export const apiRequest = async <T = any>(
+  path: string,
+  { method = 'POST', body, authenticated = true }: ApiRequestOptions = {}
+): Promise<T> => {
+  const requestId = createRequestId();
+  const headers: Record<string, string> = {
+    'Content-Type': 'application/json',
+    [REQUEST_ID_HEADER]: requestId
+  };
+
+  if (authenticated) {
+    if (!auth.currentUser) {
+      throw new ApiError('You must be signed in to perform this action.', 401, 'unauthenticated');
+    }
+    headers.Authorization = `Bearer ${await auth.currentUser.getIdToken()}`;
+  }
+
+  let response: Response;
+  try {
+    response = await fetch(`${getApiUrl()}${path}`, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      credentials: 'include'
+    });
+  } catch (networkError) {
+    throw new ApiError(
+      'Network error: Could not connect to server. Please check your internet connection and try again.',
+      0,
+      'network_error',
+      undefined,
+      requestId
+    );
+  }
+
+  let data: any = null;
+  try {
+    data = await response.json();
+  } catch (e) {
+    // Response is not JSON
+  }
+
+  if (!response.ok) {
+    throw new ApiError(
+      data?.error || `Server error (${response.status}): ${response.statusText}`,
+      response.status,
+      data?.code,
+      data || undefined,
+      response.headers.get(REQUEST_ID_HEADER) || data?.requestId || requestId
+    );
+  }
+
+  return data as T;
+};
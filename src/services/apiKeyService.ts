@@ -0,0 +1,54 @@
+/**
+ * API key service
+ * Issues and revokes keys for the public REST API (/api/v1)
+ */
+
+import { ApiKey } from '@/types/firebase';
+import { apiRequest } from './apiClient';
+
+const toApiKey = (apiKey: any): ApiKey => ({
+  ...apiKey,
+  createdAt: apiKey.createdAt ? new Date(apiKey.createdAt) : null,
+  lastUsedAt: apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt) : null,
+  revokedAt: apiKey.revokedAt ? new Date(apiKey.revokedAt) : null
+});
+
+/**
+ * Get the current user's active API keys
+ */
+export const getMyApiKeys = async (): Promise<ApiKey[]> => {
+  try {
+    const { apiKeys } = await apiRequest<{ apiKeys: any[] }>('/api/api-keys', { method: 'GET' });
+    return apiKeys.map(toApiKey);
+  } catch (error) {
+    console.error('Error getting API keys:', error);
+    throw new Error(`Failed to fetch API keys: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+};
+
+/**
+ * Issue a new API key for the current user
+ * @param name Label to recognise the key by, e.g. "CRM sync"
+ * @returns The stored key and the plain key, which cannot be retrieved again
+ */
+export const createApiKey = async (name: string): Promise<{ apiKey: ApiKey; key: string }> => {
+  try {
+    const { apiKey, key } = await apiRequest<{ apiKey: any; key: string }>('/api/api-keys', { body: { name } });
+    return { apiKey: toApiKey(apiKey), key };
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    throw new Error(`Failed to create API key: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+};
+
+/**
+ * Revoke an API key; requests using it are rejected immediately
+ */
+export const revokeApiKey = async (keyId: string): Promise<void> => {
+  try {
+    await apiRequest(`/api/api-keys/${encodeURIComponent(keyId)}/revoke`);
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    throw new Error(`Failed to revoke API key: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+};
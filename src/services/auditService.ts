@@ -0,0 +1,43 @@
+/**
+ * Audit service
+ * Reads the audit log through the Express API. Entries are written by the server as it
+ * performs each privileged action.
+ */
+
+import { apiRequest } from './apiClient';
+import { AuditLogEntry, AuditLogFilters } from '@/types/audit';
+
+/**
+ * Get audit log entries with cursor pagination and filtering
+ */
+export const getAuditLogs = async (
+  pageSize: number = 25,
+  cursor: string | null = null,
+  filters?: AuditLogFilters
+): Promise<{ entries: AuditLogEntry[], nextCursor: string | null }> => {
+  try {
+    const params = new URLSearchParams({ limit: String(pageSize) });
+
+    if (cursor) params.set('cursor', cursor);
+    if (filters?.actorId) params.set('actorId', filters.actorId);
+    if (filters?.entityType) params.set('entityType', filters.entityType);
+    if (filters?.dateRange?.from) params.set('from', filters.dateRange.from.toISOString());
+    if (filters?.dateRange?.to) params.set('to', filters.dateRange.to.toISOString());
+
+    const data = await apiRequest<{ entries: any[], nextCursor: string | null }>(
+      `/api/audit?${params.toString()}`,
+      { method: 'GET' }
+    );
+
+    return {
+      entries: data.entries.map(entry => ({
+        ...entry,
+        timestamp: entry.timestamp ? new Date(entry.timestamp) : null
+      }) as AuditLogEntry),
+      nextCursor: data.nextCursor
+    };
+  } catch (error) {
+    console.error('Error getting audit logs:', error);
+    throw new Error(`Failed to fetch audit log: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+};
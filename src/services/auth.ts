@@ -5,7 +5,7 @@
 
 import { 
   createUserWithEmailAndPassword,
-  signInWithEmailAndPassword,
+  signInWithCustomToken,
   signOut as firebaseSignOut,
   sendPasswordResetEmail,
   confirmPasswordReset,
@@ -29,6 +29,7 @@ import {
 } from 'firebase/firestore';
 import { auth, db } from '@/lib/firebase';
 import { UserDetails, UserRole } from '@/types/firebase';
+import { apiRequest, ApiError } from './apiClient';
 
 /**
  * Check if user role is allowed to access the admin panel
@@ -39,6 +40,74 @@ const isAllowedToAccessAdmin = (role: UserRole): boolean => {
   return role !== 'user'; // Only users with roles other than 'user' can access admin panel
 };
 
+/**
+ * Result of the password step. Accounts with two-factor authentication (or whose role requires it)
+ * get a short-lived challenge token for the second step instead of a session token.
+ */
+export type LoginResult =
+  | { mfaRequired?: false; customToken: string }
+  | { mfaRequired: true; mfaEnrollmentRequired: boolean; mfaToken: string };
+
+/**
+ * Result of the second sign-in step
+ * recoveryCodes is only set when the step completed a mandatory enrolment
+ */
+export interface MfaLoginResult {
+  customToken: string;
+  recoveryCodes?: string[];
+  recoveryCodeUsed?: boolean;
+}
+
+/**
+ * QR code and secret for provisioning an authenticator app
+ */
+export interface MfaEnrollment {
+  secret: string;
+  otpauthUrl: string;
+  qrCodeDataUrl: string;
+}
+
+/**
+ * Check an email and password with the backend and get a custom token for the session.
+ * The backend counts failed attempts per login email and locks the account after too many.
+ * @throws ApiError with code invalid_credentials (data.remainingAttempts),
+ *   account_locked (data.lockedUntil) or rate_limited
+ */
+export const requestLoginToken = async (email: string, password: string): Promise<LoginResult> => {
+  return apiRequest<LoginResult>('/api/login', {
+    body: { email, password },
+    authenticated: false
+  });
+};
+
+/**
+ * Complete sign-in with a code from the authenticator app or a recovery code.
+ * For a mandatory enrolment this also confirms the new authenticator.
+ * @param mfaToken Challenge token from requestLoginToken
+ * @throws ApiError with code invalid_mfa_code (data.remainingAttempts), account_locked
+ *   or mfa_challenge_invalid when the password step must be repeated
+ */
+export const verifyLoginMfa = async (
+  mfaToken: string,
+  factor: { code?: string; recoveryCode?: string }
+): Promise<MfaLoginResult> => {
+  return apiRequest<MfaLoginResult>('/api/login/mfa', {
+    body: { mfaToken, ...factor },
+    authenticated: false
+  });
+};
+
+/**
+ * Start the enrolment required by policy before an account can finish signing in
+ * @param mfaToken Challenge token from requestLoginToken
+ */
+export const startLoginMfaEnrollment = async (mfaToken: string): Promise<MfaEnrollment> => {
+  return apiRequest<MfaEnrollment>('/api/login/mfa/enroll', {
+    body: { mfaToken },
+    authenticated: false
+  });
+};
+
 /**
  * Sign in user with email and password
  * @param email User's email address
@@ -59,7 +128,11 @@ export const signIn = async (
         : 'SESSION' // Cleared when window is closed
     );
     
-    const userCredential = await signInWithEmailAndPassword(auth, email, password);
+    const result = await requestLoginToken(email, password);
+    if (result.mfaRequired) {
+      throw new Error('Two-factor verification is required. Please sign in from the login page.');
+    }
+    const userCredential = await signInWithCustomToken(auth, result.customToken);
     
     // Get user role from Firestore by querying for the uid
     const userQuery = query(
@@ -95,6 +168,11 @@ export const signIn = async (
       name: error.name
     });
     
+    // Backend errors already carry a user-facing message plus lockout details
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    
     // More specific error messages based on Firebase error codes
     let errorMessage = 'Login failed. Please check your credentials and try again.';
     
@@ -293,6 +293,7 @@ const normalizeData = (data) => {
     'subCategoryNames',
     'businessDetails.operations.employees.partTime',
     'franchiseDetails.availableTerritories',
+    'franchiseDetails.territories',
     'startupDetails.team.founders',
     'startupDetails.team.intellectualProperty',
     'investorDetails.investment.preferredRounds',
@@ -0,0 +1,42 @@
+/**
+ * Invitation service
+ * Verifies and redeems set-password invitations from the public set-password page
+ */
+
+import { apiRequest } from './apiClient';
+
+export interface InvitationDetails {
+  name: string;
+  loginEmail: string;
+  expiresAt: Date;
+}
+
+/**
+ * Check an invitation token and get the account it belongs to
+ * @throws ApiError with code invalid_invitation, invitation_used, invitation_revoked or invitation_expired
+ */
+export const verifyInvitation = async (token: string): Promise<InvitationDetails> => {
+  const data = await apiRequest<{ name: string, loginEmail: string, expiresAt: string }>(
+    '/api/invitations/verify',
+    { body: { token }, authenticated: false }
+  );
+
+  return {
+    name: data.name,
+    loginEmail: data.loginEmail,
+    expiresAt: new Date(data.expiresAt)
+  };
+};
+
+/**
+ * Set the account password with an invitation token; the token cannot be used again
+ * @returns The login email to sign in with
+ */
+export const acceptInvitation = async (token: string, password: string): Promise<string> => {
+  const { loginEmail } = await apiRequest<{ loginEmail: string }>('/api/invitations/accept', {
+    body: { token, password },
+    authenticated: false
+  });
+
+  return loginEmail;
+};
@@ -0,0 +1,231 @@
+/**
+ * Listing export service
+ * Exports the listings matching the listings page's filters, or a selection of them, to CSV, Excel or JSON.
+ * Exports run in the background: they page through getListings while the user keeps working,
+ * report progress to subscribers and end with a file to download.
+ */
+
+import { DocumentSnapshot } from 'firebase/firestore';
+import { ExportColumn, ExportFormat, ExportJob, Listing, ListingFilters, ListingType } from '@/types/listings';
+import { toCsv, toXlsx } from '@/lib/spreadsheet';
+import { getListings } from './listingService';
+import { getImportColumns } from './listingImportService';
+
+// Listings read per query
+const EXPORT_PAGE_SIZE = 100;
+
+export const EXPORT_FORMATS: { format: ExportFormat; label: string }[] = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'xlsx', label: 'Excel (.xlsx)' },
+  { format: 'json', label: 'JSON' }
+];
+
+const DETAILS_FIELDS: Record<ListingType, keyof Listing> = {
+  [ListingType.BUSINESS]: 'businessDetails',
+  [ListingType.FRANCHISE]: 'franchiseDetails',
+  [ListingType.STARTUP]: 'startupDetails',
+  [ListingType.INVESTOR]: 'investorDetails',
+  [ListingType.DIGITAL_ASSET]: 'digitalAssetDetails'
+};
+
+// Fields the listing form does not edit, so the import template leaves them out
+const RECORD_COLUMNS: ExportColumn[] = [
+  { key: 'id', label: 'ID', group: 'listing' },
+  { key: 'slug', label: 'Slug', group: 'listing' },
+  { key: 'type', label: 'Type', group: 'listing' },
+  { key: 'status', label: 'Status', group: 'listing' },
+  { key: 'ownerName', label: 'Owner', group: 'listing' },
+  { key: 'isFeatured', label: 'Featured', group: 'listing' },
+  { key: 'isVerified', label: 'Verified', group: 'listing' },
+  { key: 'createdAt', label: 'Created', group: 'listing' },
+  { key: 'updatedAt', label: 'Updated', group: 'listing' },
+  { key: 'publishedAt', label: 'Published', group: 'listing' },
+  { key: 'expiresAt', label: 'Expires', group: 'listing' }
+];
+
+/**
+ * Columns that can be exported for listings of the given types: the listing's own fields,
+ * then the type-specific details as details.* columns shared by every type that has them.
+ * The editable fields and their labels come from the import template, so an exported file
+ * of one type can be imported again.
+ */
+export const getExportColumns = async (types: ListingType[]): Promise<ExportColumn[]> => {
+  const templates = await Promise.all(types.map(type => getImportColumns(type)));
+  const common = new Map<string, ExportColumn>();
+  const details = new Map<string, ExportColumn>();
+
+  templates.forEach((columns, index) => {
+    const prefix = `${DETAILS_FIELDS[types[index]]}.`;
+    columns.forEach(({ key, label }) => {
+      if (key.startsWith(prefix)) {
+        const detailsKey = `details.${key.slice(prefix.length)}`;
+        if (!details.has(detailsKey)) details.set(detailsKey, { key: detailsKey, label, group: 'details' });
+      } else if (!common.has(key)) {
+        common.set(key, { key, label, group: 'listing' });
+      }
+    });
+  });
+
+  return [...RECORD_COLUMNS.slice(0, 1), ...common.values(), ...RECORD_COLUMNS.slice(1), ...details.values()];
+};
+
+const getPath = (value: any, path: string) => path.split('.').reduce((object, key) => object?.[key], value);
+
+/**
+ * Value of a column for a listing: classification and location as names, details from the listing's type
+ */
+export const getExportValue = (listing: Listing, key: string): unknown => {
+  const classification = listing.classifications?.[0];
+
+  switch (key) {
+    case 'classification.industry': return classification?.industryName;
+    case 'classification.category': return classification?.categoryName;
+    case 'classification.subCategories': return classification?.subCategoryNames;
+    case 'location.country': return listing.location?.countryName || listing.location?.country;
+    case 'location.state': return listing.location?.stateName || listing.location?.state;
+    case 'location.city': return listing.location?.cityName || listing.location?.city;
+  }
+
+  if (key.startsWith('details.')) {
+    return getPath(listing[DETAILS_FIELDS[listing.type]], key.slice('details.'.length));
+  }
+  return getPath(listing, key);
+};
+
+// A value as one spreadsheet cell; lists are separated by semicolons, as the import expects
+const toCellValue = (value: unknown): unknown => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? '' : value.toISOString();
+  if (Array.isArray(value)) return value.map(item => typeof item === 'object' ? JSON.stringify(item) : item).join('; ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+const buildFile = (listings: Listing[], columns: ExportColumn[], format: ExportFormat): Blob => {
+  if (format === 'json') {
+    // Nested as in the listing, e.g. { "details": { "financials": { ... } } }
+    const records = listings.map(listing => columns.reduce<Record<string, any>>((record, column) => {
+      const keys = column.key.split('.');
+      const last = keys.pop() as string;
+      const parent = keys.reduce((object, key) => (object[key] ??= {}), record);
+      parent[last] = getExportValue(listing, column.key) ?? null;
+      return record;
+    }, {}));
+    return new Blob([JSON.stringify(records, null, 2)], { type: 'application/json' });
+  }
+
+  const rows = [
+    columns.map(column => column.label),
+    ...listings.map(listing => columns.map(column => toCellValue(getExportValue(listing, column.key))))
+  ];
+  return format === 'xlsx'
+    ? toXlsx(rows, 'Listings')
+    : new Blob([toCsv(rows)], { type: 'text/csv;charset=utf-8' });
+};
+
+const jobs = new Map<string, ExportJob>();
+const listeners = new Set<(jobs: ExportJob[]) => void>();
+
+const notify = () => {
+  const current = [...jobs.values()];
+  listeners.forEach(listener => listener(current));
+};
+
+const updateJob = (id: string, changes: Partial<ExportJob>) => {
+  const job = jobs.get(id);
+  if (!job) return;
+  jobs.set(id, { ...job, ...changes });
+  notify();
+};
+
+const isCancelled = (id: string) => jobs.get(id)?.status !== 'running';
+
+const runExport = async (id: string, { format, columns, filters, listings, currentUserId }: ListingExportOptions) => {
+  const exported: Listing[] = listings ? [...listings] : [];
+
+  if (!listings) {
+    let lastDoc: DocumentSnapshot | null = null;
+    do {
+      const page = await getListings(EXPORT_PAGE_SIZE, lastDoc, filters, currentUserId);
+      if (isCancelled(id)) return;
+
+      exported.push(...page.listings);
+      lastDoc = page.lastDoc;
+      updateJob(id, { exported: exported.length });
+    } while (lastDoc);
+  }
+
+  const file = buildFile(exported, columns, format);
+  if (isCancelled(id)) return;
+  updateJob(id, { status: 'done', exported: exported.length, url: URL.createObjectURL(file) });
+};
+
+export interface ListingExportOptions {
+  format: ExportFormat;
+  columns: ExportColumn[];
+  // Export every listing matching these filters...
+  filters?: ListingFilters;
+  // ...or exactly these listings
+  listings?: Listing[];
+  currentUserId?: string;
+}
+
+/**
+ * Start an export in the background. Follow it with subscribeToListingExports.
+ * @returns The export's ID
+ */
+export const startListingExport = (options: ListingExportOptions): string => {
+  const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  const date = new Date().toISOString().slice(0, 10);
+
+  jobs.set(id, {
+    id,
+    fileName: `listings-${date}.${options.format}`,
+    format: options.format,
+    status: 'running',
+    exported: 0,
+    total: options.listings?.length,
+    startedAt: new Date()
+  });
+  notify();
+
+  runExport(id, options).catch(error => {
+    console.error('Error exporting listings:', error);
+    updateJob(id, { status: 'failed', error: `Failed to export listings: ${error instanceof Error ? error.message : 'Unknown error'}` });
+  });
+
+  return id;
+};
+
+/**
+ * Stop a running export after the page it is reading
+ */
+export const cancelListingExport = (id: string): void => {
+  if (jobs.get(id)?.status === 'running') updateJob(id, { status: 'cancelled' });
+};
+
+/**
+ * Forget a finished export and release its file
+ */
+export const dismissListingExport = (id: string): void => {
+  const job = jobs.get(id);
+  if (!job) return;
+
+  if (job.url) URL.revokeObjectURL(job.url);
+  if (job.status === 'running') cancelListingExport(id);
+  jobs.delete(id);
+  notify();
+};
+
+/**
+ * Be told about every export, now and whenever one progresses or finishes.
+ * Exports live as long as the page is open, whichever screen the user is on.
+ * @returns Function to stop listening
+ */
+export const subscribeToListingExports = (listener: (jobs: ExportJob[]) => void): (() => void) => {
+  listeners.add(listener);
+  listener([...jobs.values()]);
+  return () => {
+    listeners.delete(listener);
+  };
+};
@@ -0,0 +1,252 @@
+/**
+ * Listing import service
+ * Turns the rows of a CSV or Excel file into listings and validates or creates them in batches
+ * through the Express API, which checks each one exactly as the listing form does
+ */
+
+import { Country, State, City } from 'country-state-city';
+import { ImportColumn, ImportError, ImportRowResult, ListingStatus, ListingType } from '@/types/listings';
+import { SpreadsheetRow, toCsv } from '@/lib/spreadsheet';
+import { getAllCategories, getAllIndustries, getAllSubCategories } from './industryService';
+import { apiRequest, withRequestId } from './apiClient';
+
+// Same as MAX_IMPORT_BATCH_SIZE in server/schemas/listings.js
+const IMPORT_BATCH_SIZE = 50;
+
+export type ImportStatus = ListingStatus.DRAFT | ListingStatus.PENDING;
+
+/**
+ * Key of the column each column of the file holds, by position; '' for columns left out
+ */
+export type ColumnMapping = string[];
+
+export interface PreparedListing {
+  listing: Record<string, any>;
+  // Cells that could not be read, e.g. an unknown industry or text in a number column
+  errors: ImportError[];
+}
+
+const TRUE_VALUES = ['yes', 'y', 'true', '1'];
+const FALSE_VALUES = ['no', 'n', 'false', '0'];
+
+// "Sole_Proprietorship *" and "sole proprietorship" compare equal
+const normalize = (text: string) => text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const isSame = (text: string, ...candidates: (string | undefined)[]) =>
+  candidates.some(candidate => candidate !== undefined && normalize(candidate) === normalize(text));
+
+/**
+ * Columns of the import template for a listing type, in template order
+ */
+export const getImportColumns = async (type: ListingType): Promise<ImportColumn[]> => {
+  try {
+    const { data } = await apiRequest<{ data: ImportColumn[] }>(
+      `/api/v1/listings/import/columns?type=${encodeURIComponent(type)}`,
+      { method: 'GET' }
+    );
+    return data;
+  } catch (error) {
+    console.error('Error getting import columns:', error);
+    throw new Error(withRequestId(`Failed to fetch import columns: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
+  }
+};
+
+/**
+ * Header of a column in the template; required columns are marked with *
+ */
+export const getColumnHeader = (column: ImportColumn): string =>
+  column.required ? `${column.label} *` : column.label;
+
+/**
+ * The import template as CSV: one header per column
+ */
+export const getImportTemplate = (columns: ImportColumn[]): string =>
+  toCsv([columns.map(getColumnHeader)]);
+
+/**
+ * Guess which column each header of a file holds, by label, by field path
+ * or by the label's last part when only one column ends that way
+ */
+export const mapColumns = (headers: string[], columns: ImportColumn[]): ColumnMapping => {
+  const used = new Set<string>();
+
+  return headers.map(header => {
+    const lastPart = (label: string) => label.split(' › ').pop() || label;
+    const column = columns.find(candidate => !used.has(candidate.key) && isSame(header, candidate.label, candidate.key))
+      || columns.find(candidate => !used.has(candidate.key)
+        && isSame(header, lastPart(candidate.label))
+        && columns.filter(other => isSame(lastPart(other.label), lastPart(candidate.label))).length === 1);
+
+    if (!column) return '';
+    used.add(column.key);
+    return column.key;
+  });
+};
+
+// Read a cell as its column's kind; enum values may be written as their labels
+const readCell = (column: ImportColumn, text: string): { value?: unknown; error?: string } => {
+  switch (column.kind) {
+    case 'number': {
+      const value = Number(text.replace(/[,\s]/g, ''));
+      return Number.isNaN(value) ? { error: 'Must be a number' } : { value };
+    }
+    case 'boolean': {
+      const normalized = text.toLowerCase();
+      if (TRUE_VALUES.includes(normalized)) return { value: true };
+      if (FALSE_VALUES.includes(normalized)) return { value: false };
+      return { error: 'Must be Yes or No' };
+    }
+    case 'list':
+      return { value: text.split(/[;\n]/).map(item => item.trim()).filter(Boolean) };
+    default: {
+      const option = column.options?.find(candidate => isSame(text, candidate));
+      return { value: option ?? text };
+    }
+  }
+};
+
+const setPath = (target: Record<string, any>, path: string, value: unknown) => {
+  const keys = path.split('.');
+  const last = keys.pop() as string;
+  const parent = keys.reduce((object, key) => (object[key] ??= {}), target);
+  parent[last] = value;
+};
+
+/**
+ * Country, state and city codes and names from what the row gives, as names or ISO codes.
+ * Country defaults to India. Cities the library does not know are kept as written.
+ */
+const resolveLocation = (location: Record<string, any>, errors: ImportError[]) => {
+  const countryText = location.country || 'IN';
+  const country = Country.getAllCountries().find(candidate => isSame(countryText, candidate.isoCode, candidate.name));
+  if (!country) {
+    errors.push({ path: 'location.country', message: `Unknown country "${countryText}"` });
+    return location;
+  }
+
+  const resolved: Record<string, any> = { ...location, country: country.isoCode, countryName: country.name };
+  if (!location.state) return resolved;
+
+  const state = State.getStatesOfCountry(country.isoCode).find(candidate => isSame(location.state, candidate.isoCode, candidate.name));
+  if (!state) {
+    errors.push({ path: 'location.state', message: `Unknown state "${location.state}" in ${country.name}` });
+    return resolved;
+  }
+  resolved.state = state.isoCode;
+  resolved.stateName = state.name;
+
+  if (location.city) {
+    const city = City.getCitiesOfState(country.isoCode, state.isoCode).find(candidate => isSame(location.city, candidate.name));
+    resolved.city = city?.name || location.city;
+    resolved.cityName = resolved.city;
+  }
+  return resolved;
+};
+
+/**
+ * Turn the rows of a file (without its header) into listings of one type.
+ * Classification names are resolved to the industries, categories and subcategories they name.
+ * @param mapping Column each cell holds, from mapColumns or as the user changed it
+ * @returns One prepared listing per row, in order, with any cells that could not be read
+ */
+export const prepareListings = async (
+  rows: SpreadsheetRow[],
+  mapping: ColumnMapping,
+  columns: ImportColumn[],
+  type: ListingType
+): Promise<PreparedListing[]> => {
+  try {
+    const [industries, categories, subCategories] = await Promise.all([
+      getAllIndustries(),
+      getAllCategories(),
+      getAllSubCategories()
+    ]);
+    const columnsByKey = new Map(columns.map(column => [column.key, column]));
+
+    return rows.map(row => {
+      const listing: Record<string, any> = { type };
+      const classification: Record<string, any> = {};
+      const errors: ImportError[] = [];
+
+      mapping.forEach((key, index) => {
+        const column = columnsByKey.get(key);
+        const text = (row[index] ?? '').trim();
+        if (!column || !text) return;
+
+        const { value, error } = readCell(column, text);
+        if (error) {
+          errors.push({ path: column.key, message: `${column.label}: ${error}` });
+        } else if (key.startsWith('classification.')) {
+          classification[key.slice('classification.'.length)] = value;
+        } else {
+          setPath(listing, key, value);
+        }
+      });
+
+      listing.location = resolveLocation(listing.location || {}, errors);
+
+      if (classification.industry) {
+        const industry = industries.find(candidate => isSame(classification.industry, candidate.name, candidate.id));
+        const category = industry && classification.category
+          ? categories.find(candidate => candidate.industryId === industry.id && isSame(classification.category, candidate.name, candidate.id))
+          : undefined;
+        const matchedSubCategories = ((classification.subCategories || []) as string[]).map(name => ({
+          name,
+          subCategory: category && subCategories.find(candidate => candidate.categoryId === category.id && isSame(name, candidate.name, candidate.id))
+        }));
+
+        if (!industry) errors.push({ path: 'classifications.0.industry', message: `Unknown industry "${classification.industry}"` });
+        if (industry && classification.category && !category) {
+          errors.push({ path: 'classifications.0.category', message: `Unknown category "${classification.category}" in ${industry.name}` });
+        }
+        matchedSubCategories
+          .filter(({ subCategory }) => category && !subCategory)
+          .forEach(({ name }) => errors.push({ path: 'classifications.0.subCategories', message: `Unknown subcategory "${name}" in ${category?.name}` }));
+
+        const found = matchedSubCategories.flatMap(({ subCategory }) => subCategory ? [subCategory] : []);
+        listing.classifications = [{
+          industry: industry?.id || '',
+          industryName: industry?.name || '',
+          category: category?.id || '',
+          categoryName: category?.name || '',
+          subCategories: found.map(subCategory => subCategory.id),
+          subCategoryNames: found.map(subCategory => subCategory.name)
+        }];
+      }
+
+      return { listing, errors };
+    });
+  } catch (error) {
+    console.error('Error preparing listings for import:', error);
+    throw new Error(`Failed to read the file's listings: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+};
+
+/**
+ * Validate listings or, unless dryRun, create them, in batches of IMPORT_BATCH_SIZE
+ * @param onProgress Called after each batch with the results so far, which a failed batch leaves in place
+ * @returns One result per listing, in order, with index counting from the first listing given
+ */
+export const importListings = async (
+  listings: Record<string, any>[],
+  { status, dryRun }: { status: ImportStatus; dryRun: boolean },
+  onProgress?: (results: ImportRowResult[]) => void
+): Promise<ImportRowResult[]> => {
+  const results: ImportRowResult[] = [];
+
+  try {
+    for (let start = 0; start < listings.length; start += IMPORT_BATCH_SIZE) {
+      const { data } = await apiRequest<{ data: ImportRowResult[] }>('/api/v1/listings/import', {
+        body: { listings: listings.slice(start, start + IMPORT_BATCH_SIZE), status, dryRun }
+      });
+
+      results.push(...data.map(result => ({ ...result, index: start + result.index })));
+      onProgress?.([...results]);
+    }
+    return results;
+  } catch (error) {
+    console.error('Error importing listings:', error);
+    const done = results.length > 0 && !dryRun ? ` after ${results.length} of ${listings.length} listings` : '';
+    throw new Error(withRequestId(`Failed to import listings${done}: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
+  }
+};
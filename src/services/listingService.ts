@@ -10,9 +10,7 @@ import {
   getDocs,
   getDoc,
   doc,
-  setDoc,
   updateDoc,
-  deleteDoc,
   serverTimestamp,
   orderBy,
   limit,
@@ -20,8 +18,9 @@ import {
   DocumentReference,
   DocumentSnapshot,
   Timestamp,
-  runTransaction,
-  arrayUnion
+  arrayUnion,
+  writeBatch,
+  WriteBatch
 } from 'firebase/firestore';
 import { ref, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
 import { db, storage, auth } from '@/lib/firebase';
@@ -33,13 +32,22 @@ import {
   ListingPlan,
   ImageObject,
   DocumentObject,
-  LocationInfo
+  LocationInfo,
+  ListingRevision,
+  ListingRevisionSource,
+  ListingDuplicate,
+  ListingSearchMatch
 } from '@/types/listings';
 import { generateSlug, getCurrentUser } from '@/lib/utils';
+import { getGeoFields } from '@/schemas/geo';
+import { apiRequest, ApiError, withRequestId } from './apiClient';
 
 // Collection name
 const LISTINGS_COLLECTION = 'listings';
 
+// Subcollection of each listing holding its revisions
+const REVISIONS_SUBCOLLECTION = 'revisions';
+
 // Extended interface for listing input with optional featuredImageIndex
 interface ListingInput extends Partial<Listing> {
   featuredImageIndex?: number;
@@ -256,7 +264,41 @@ const convertDocToListing = (doc: DocumentSnapshot): Listing => {
     createdAt: convertTimestampToDate(data.createdAt),
     updatedAt: convertTimestampToDate(data.updatedAt),
     publishedAt: convertTimestampToDate(data.publishedAt),
-    expiresAt: convertTimestampToDate(data.expiresAt),
+    publishAt: convertTimestampToDate(data.publishAt) || null,
+    expiresAt: convertTimestampToDate(data.expiresAt) || null,
+    renewalReminderSentAt: convertTimestampToDate(data.renewalReminderSentAt) || null,
+    duplicateCheck: data.duplicateCheck ? {
+      ...data.duplicateCheck,
+      checkedAt: convertTimestampToDate(data.duplicateCheck.checkedAt) || null
+    } : null,
+    moderation: data.moderation ? {
+      ...data.moderation,
+      claim: data.moderation.claim ? {
+        ...data.moderation.claim,
+        claimedAt: convertTimestampToDate(data.moderation.claim.claimedAt),
+        expiresAt: convertTimestampToDate(data.moderation.claim.expiresAt)
+      } : null,
+      assignee: data.moderation.assignee ? {
+        ...data.moderation.assignee,
+        assignedAt: convertTimestampToDate(data.moderation.assignee.assignedAt)
+      } : null
+    } : null,
+    rating: data.rating ? {
+      ...data.rating,
+      calculatedAt: convertTimestampToDate(data.rating.calculatedAt)
+    } : data.rating,
+    valuation: data.valuation ? {
+      ...data.valuation,
+      calculatedAt: convertTimestampToDate(data.valuation.calculatedAt)
+    } : data.valuation,
+    fundingRound: data.fundingRound ? {
+      ...data.fundingRound,
+      calculatedAt: convertTimestampToDate(data.fundingRound.calculatedAt)
+    } : data.fundingRound,
+    unitEconomics: data.unitEconomics ? {
+      ...data.unitEconomics,
+      calculatedAt: convertTimestampToDate(data.unitEconomics.calculatedAt)
+    } : data.unitEconomics,
     featuredUntil: convertTimestampToDate(data.featuredUntil),
     deletedAt: convertTimestampToDate(data.deletedAt),
     statusHistory: data.statusHistory ? data.statusHistory.map((history: any) => ({
@@ -315,6 +357,78 @@ const generateDisplayLocation = (
   return parts.join(', ');
 };
 
+// The listing API's largest page. Searches and distance filters rank this many listings; more are rarely worth paging through.
+const RANKED_RESULTS_LIMIT = 100;
+
+// ListingFilters as the listing API's query parameters (server/schemas/listings.js)
+const toListingQuery = (filters: ListingFilters): URLSearchParams => {
+  const params = new URLSearchParams();
+  const set = (name: string, value: string | number | boolean | undefined) => {
+    if (value !== undefined && value !== '') params.set(name, String(value));
+  };
+  const setList = (name: string, values?: string[]) => {
+    if (values?.length) params.set(name, values.join(','));
+  };
+
+  set('search', filters.search?.trim());
+  setList('type', filters.type);
+  setList('status', filters.status);
+  setList('plan', filters.plan);
+  set('industry', filters.industry);
+  set('category', filters.category);
+  setList('subCategories', filters.subCategories);
+  setList('industries', filters.industries);
+  set('country', filters.location?.country);
+  set('state', filters.location?.state);
+  set('city', filters.location?.city);
+  set('radiusKm', filters.location?.radiusKm);
+  set('territoryStatus', filters.territory?.status);
+  set('territoryCountry', filters.territory?.country);
+  set('territoryState', filters.territory?.state);
+  set('territoryCity', filters.territory?.city);
+  set('isFeatured', filters.isFeatured);
+  set('isVerified', filters.isVerified);
+  set('ownerId', filters.ownerId);
+  set('minPrice', filters.priceRange?.min);
+  set('maxPrice', filters.priceRange?.max);
+  set('from', filters.dateRange?.from?.toISOString());
+  set('to', filters.dateRange?.to?.toISOString());
+  set('publishFrom', filters.publishAtRange?.from?.toISOString());
+  set('publishTo', filters.publishAtRange?.to?.toISOString());
+  set('expiresFrom', filters.expiresAtRange?.from?.toISOString());
+  set('expiresTo', filters.expiresAtRange?.to?.toISOString());
+  return params;
+};
+
+/**
+ * A page of the listings the server ranks: those matching filters.search, best match first, or
+ * else those within filters.location.radiusKm of the city, nearest first, or else the franchises
+ * with a territory matching filters.territory, newest first. The server ranks the
+ * first RANKED_RESULTS_LIMIT with every other filter applied; each page is the next pageSize
+ * of them after lastDoc, read from Firestore like any other page.
+ */
+const getRankedResults = async (
+  pageSize: number,
+  lastDoc: DocumentSnapshot | null,
+  filters: ListingFilters
+): Promise<{ listings: Listing[], lastDoc: DocumentSnapshot | null }> => {
+  const params = toListingQuery(filters);
+  params.set('limit', String(RANKED_RESULTS_LIMIT));
+
+  const { data } = await apiRequest<{ data: { id: string }[] }>(`/api/v1/listings?${params}`, { method: 'GET' });
+  const ids = data.map(listing => listing.id);
+
+  const start = lastDoc ? ids.indexOf(lastDoc.id) + 1 : 0;
+  if (lastDoc && start === 0) return { listings: [], lastDoc: null };
+
+  const docs = await Promise.all(ids.slice(start, start + pageSize).map(id => getDoc(doc(db, LISTINGS_COLLECTION, id))));
+
+  return {
+    listings: docs.filter(snapshot => snapshot.exists()).map(snapshot => convertDocToListing(snapshot)),
+    lastDoc: start + pageSize < ids.length ? docs[docs.length - 1] : null
+  };
+};
+
 /**
  * Get listings with pagination and filtering
  */
@@ -330,6 +444,13 @@ export const getListings = async (
       console.warn('Authentication not established for fetching listings');
       return { listings: [], lastDoc: null };
     }
+
+    // Search goes through the server's search index instead, best match first, and a distance
+    // filter through the listings' geohashes, nearest first. Territories are matched by the
+    // server too, which knows whether a city lies inside a territory drawn on the map.
+    if (filters?.search?.trim() || (filters?.location?.city && filters.location.radiusKm) || filters?.territory) {
+      return await getRankedResults(pageSize, lastDoc, filters);
+    }
     
     // Start with a base query
     let baseQuery = collection(db, LISTINGS_COLLECTION);
@@ -416,17 +537,8 @@ export const getListings = async (
     // Convert documents to listings
     const fetchedListings = snapshot.docs.map(doc => convertDocToListing(doc));
 
-    // Apply client-side filtering for search (if needed)
+    // Apply client-side filtering
     let filteredListings = fetchedListings;
-    
-    if (filters?.search) {
-      const searchTerm = filters.search.toLowerCase();
-      filteredListings = fetchedListings.filter(listing =>
-        listing.name.toLowerCase().includes(searchTerm) ||
-        listing.description.toLowerCase().includes(searchTerm) ||
-        (listing.shortDescription && listing.shortDescription.toLowerCase().includes(searchTerm))
-      );
-    }
 
     // For new schema (classifications is an array of objects)
     if (filters?.industries && filters.industries.length > 0) {
@@ -462,6 +574,21 @@ export const getListings = async (
       });
     }
 
+    // Schedule filters; listings without the date never match
+    const isInDateRange = (date: Date | null | undefined, range?: { from?: Date; to?: Date }) => {
+      if (!range?.from && !range?.to) return true;
+      if (!date) return false;
+      if (range.from && date < range.from) return false;
+      if (range.to && date > range.to) return false;
+      return true;
+    };
+    if (filters?.publishAtRange || filters?.expiresAtRange) {
+      filteredListings = filteredListings.filter(listing =>
+        isInDateRange(listing.publishAt, filters.publishAtRange) &&
+        isInDateRange(listing.expiresAt, filters.expiresAtRange)
+      );
+    }
+
     return {
       listings: filteredListings,
       lastDoc: snapshot.docs[snapshot.docs.length - 1] || null
@@ -650,6 +777,12 @@ export const getListingById = async (id: string, signal?: AbortSignal): Promise<
   }
 };
 
+// Hex SHA-256 of a file's content; the server compares these to find the same image on other listings
+const hashFile = async (file: File): Promise<string> => {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
 export const uploadListingImage = async (
   file: File,
   listingId: string,
@@ -682,7 +815,8 @@ export const uploadListingImage = async (
       path: storageRef.fullPath,
       alt: file.name || `Listing image ${index + 1}`,
       width: 0,  // Default dimensions - will be updated by client
-      height: 0
+      height: 0,
+      hash: await hashFile(file)
     };
 
     console.log(`Successfully processed image: ${file.name}`);
@@ -735,6 +869,15 @@ export const uploadListingDocument = async (
   }
 };
 
+/**
+ * Outcome of saving a listing from the form. The schedule is saved separately once the listing
+ * is, so a failure there leaves the listing saved without its publish and expiry dates.
+ */
+export interface ListingSaveResult {
+  listingId: string;
+  scheduleError: string | null; // Message to show when the schedule could not be saved
+}
+
 /**
  * Enhanced createListing function with better error handling and document processing
  */
@@ -742,7 +885,7 @@ export const createListing = async (
   listingData: Partial<Listing>,
   images?: File[],
   documents?: Array<{ file: File, type: string, description?: string, isPublic?: boolean }>
-): Promise<string> => {
+): Promise<ListingSaveResult> => {
   console.log(`createListing service called with type: ${listingData.type}`);
   let listingId = ''; // Store ID for error handling
   let uploadedImages: ImageObject[] = [];
@@ -869,9 +1012,6 @@ export const createListing = async (
       }
     }
 
-    // Calculate initial system rating
-    const systemRating = calculateSystemRating(listingData, galleryImages.length, documentObjects.length);
-
     // Prepare location data
     const locationData: LocationInfo = {
       country: listingData.location?.country || 'IN',
@@ -886,7 +1026,8 @@ export const createListing = async (
         listingData.location?.cityName || listingData.location?.city,
         listingData.location?.stateName || listingData.location?.state,
         listingData.location?.countryName
-      )
+      ),
+      ...getGeoFields(listingData.location)
     };
     
     // Handle classifications and backward compatibility
@@ -939,17 +1080,18 @@ export const createListing = async (
       // Status & verification
       isVerified: false,
       isFeatured: false,
+      // Rated by the server once saved (requestListingRecompute)
       rating: {
         average: 0,
         count: 0,
-        systemRating,
+        systemRating: 0,
         ratingComponents: {
-          completeness: calculateCompletenessScore(listingData),
-          verification: 0, // Starts at 0 until verified
-          documentation: documentObjects.length > 0 ? 7 : 0,
-          engagement: 0, // Starts at 0
-          longevity: 0, // Starts at 0
-          financials: calculateFinancialsScore(listingData)
+          completeness: 0,
+          verification: 0,
+          documentation: 0,
+          engagement: 0,
+          longevity: 0,
+          financials: 0
         },
         distribution: {
           "0": 0, "1": 0, "2": 0, "3": 0, "4": 0,
@@ -1064,8 +1206,15 @@ export const createListing = async (
     // Sanitize the data before saving to Firestore
     const sanitizedData = sanitizeForFirestore(listingDataToSave);
     
-    // Save the listing to Firestore
-    await setDoc(listingRef, sanitizedData);
+    // Save the listing to Firestore together with its first revision
+    const batch = writeBatch(db);
+    batch.set(listingRef, sanitizedData);
+    await addRevisionToBatch(batch, listingRef, {
+      after: toRevisionSnapshot(listingDataToSave),
+      source: ListingRevisionSource.CREATED,
+      user: currentUser
+    });
+    await batch.commit();
     console.log(`Successfully saved listing to Firestore`);
 
     // Update user's listings array
@@ -1081,7 +1230,12 @@ export const createListing = async (
       // Continue even if this fails as the listing is already created
     }
 
-    return listingId;
+    // The listing exists from here on, so a failed schedule is reported rather than thrown
+    const scheduleError = await saveListingSchedule(listingId, getScheduleChanges(listingData));
+
+    await requestListingRecompute(listingId);
+
+    return { listingId, scheduleError };
   } catch (error) {
     console.error('Error creating listing:', error);
     
@@ -1134,7 +1288,7 @@ export const updateListing = async (
   newDocuments?: Array<{ file: File, type: string, description?: string, isPublic?: boolean }>,
   imagesToDelete?: string[],
   documentsToDelete?: string[]
-): Promise<void> => {
+): Promise<ListingSaveResult> => {
   try {
     // Get the existing listing
     const existingListing = await getListingById(id);
@@ -1252,7 +1406,6 @@ export const updateListing = async (
       listingData.featuredUntil = featuredUntil;
     }
 
-    // Recalculate system rating
     const updatedListing = {
       ...existingListing,
       ...listingData,
@@ -1264,11 +1417,12 @@ export const updateListing = async (
       documents
     };
 
-    const systemRating = calculateSystemRating(updatedListing, galleryImages.length, documents.length);
-
-    // Construct the update object
+    // Construct the update object; the schedule is saved through the API below
+    const { publishAt, expiresAt, ...content } = listingData;
     const updateData: any = {
-      ...listingData,
+      ...content,
+      // Place the listing again where it moved
+      ...(listingData.location && { location: { ...listingData.location, ...getGeoFields(listingData.location) } }),
       media: {
         featuredImage,
         galleryImages,
@@ -1276,27 +1430,30 @@ export const updateListing = async (
       },
       documents,
       statusHistory,
-      updatedAt: serverTimestamp(),
-      rating: {
-        ...existingListing.rating,
-        systemRating,
-        ratingComponents: {
-          ...existingListing.rating?.ratingComponents,
-          completeness: calculateCompletenessScore(updatedListing),
-          documentation: documents.length > 0 ? Math.min(10, documents.length + 3) : 0,
-          financials: calculateFinancialsScore(updatedListing)
-        }
-      }
+      updatedAt: serverTimestamp()
     };
     
     // Sanitize data before updating in Firestore
     const sanitizedData = sanitizeForFirestore(updateData);
     
-    // Update the listing in Firestore
-    await updateDoc(listingRef, sanitizedData);
+    // Update the listing in Firestore, saving a revision of its content with the change
+    const batch = writeBatch(db);
+    batch.update(listingRef, sanitizedData);
+    await addRevisionToBatch(batch, listingRef, {
+      before: toRevisionSnapshot(existingListing),
+      after: toRevisionSnapshot(updatedListing),
+      source: ListingRevisionSource.UPDATED,
+      user: currentUser,
+      previousUpdatedAt: existingListing.updatedAt || existingListing.createdAt
+    });
+    await batch.commit();
+
+    const scheduleError = await saveListingSchedule(id, getScheduleChanges({ publishAt, expiresAt }, existingListing));
+
+    await requestListingRecompute(id);
     
     console.log(`Successfully updated listing ${id}`);
-    return;
+    return { listingId: id, scheduleError };
   } catch (error) {
     console.error('Error updating listing:', error);
     throw new Error(`Failed to update listing: ${error instanceof Error ? error.message : 'Unknown error'}`);
@@ -1341,6 +1498,8 @@ export const deleteListing = async (id: string): Promise<void> => {
       deletedAt: serverTimestamp(),
       status: ListingStatus.ARCHIVED
     });
+
+    await requestListingRecompute(id);
     
     // Clear the cache for this listing
     try {
@@ -1355,62 +1514,23 @@ export const deleteListing = async (id: string): Promise<void> => {
 };
 
 /**
- * Hard delete a listing (admin only)
- * This will delete the listing document and all associated files
+ * Permanently delete a listing with its images, documents and revisions (admins only).
+ * The server removes everything and records it in the audit log.
  */
 export const hardDeleteListing = async (id: string): Promise<void> => {
   try {
-    // Check if user is admin
-    const currentUser = await getCurrentUser();
-    if (!currentUser || (currentUser.role !== 'admin' && currentUser.role !== 'super_admin')) {
-      throw new Error('Only administrators can perform hard delete');
-    }
-
-    // Get the listing to get file paths
-    const listing = await getListingById(id);
-
-    // Delete all images from storage
-    const imagePromises = listing.media.galleryImages.map(async (image) => {
-      try {
-        const imageRef = ref(storage, image.path);
-        await deleteObject(imageRef);
-      } catch (error) {
-        console.error(`Error deleting image ${image.path}:`, error);
-        // Continue with other deletions even if one fails
-      }
-    });
-
-    // Delete all documents from storage
-    const documentPromises = listing.documents.map(async (document) => {
-      try {
-        const docRef = ref(storage, document.path);
-        await deleteObject(docRef);
-      } catch (error) {
-        console.error(`Error deleting document ${document.path}:`, error);
-        // Continue with other deletions even if one fails
-      }
-    });
-
-    // Wait for all deletions to complete
-    await Promise.all([...imagePromises, ...documentPromises]);
-
-    // Remove listing reference from user's listings array
-    const userRef = doc(db, 'users', listing.ownerId);
-    await updateDoc(userRef, {
-      listings: arrayUnion(id)
-    });
+    await apiRequest(`/api/v1/listings/${encodeURIComponent(id)}`, { method: 'DELETE' });
 
-    // Delete the listing document
-    const listingRef = doc(db, LISTINGS_COLLECTION, id);
-    await deleteDoc(listingRef);
+    localStorage.removeItem(`listing_${id}`);
   } catch (error) {
     console.error('Error hard deleting listing:', error);
-    throw new Error(`Failed to hard delete listing: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    throw new Error(withRequestId(`Failed to hard delete listing: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
   }
 };
 
 /**
- * Update a listing's status
+ * Update a listing's status. The server checks the transition, the caller's role and any
+ * moderation claim, then records the change in the audit log and notifies webhooks.
  */
 export const updateListingStatus = async (
   id: string,
@@ -1418,53 +1538,14 @@ export const updateListingStatus = async (
   reason?: string
 ): Promise<void> => {
   try {
-    // Check user permissions
-    const currentUser = await getCurrentUser();
-    if (!currentUser) {
-      throw new Error('User must be logged in to update a listing status');
-    }
-
-    // Moderators and admins can update status
-    if (currentUser.role !== 'admin' && currentUser.role !== 'moderator' && currentUser.role !== 'super_admin') {
-      throw new Error('You do not have permission to update listing status');
-    }
-
-    // Get the listing
-    const listing = await getListingById(id);
-
-    // Update status in a transaction
-    await runTransaction(db, async (transaction) => {
-      const listingRef = doc(db, LISTINGS_COLLECTION, id);
-
-      // Add to status history
-      const statusHistory = [
-        ...(listing.statusHistory || []),
-        {
-          status,
-          timestamp: new Date(),
-          updatedBy: currentUser.id,
-          reason
-        }
-      ];
-
-      // Set published date if status is changing to published
-      let publishedAt = listing.publishedAt;
-      if (status === ListingStatus.PUBLISHED && !listing.publishedAt) {
-        publishedAt = new Date();
-      }
-
-      // Update the listing
-      transaction.update(listingRef, {
-        status,
-        statusReason: reason,
-        statusHistory,
-        publishedAt,
-        updatedAt: serverTimestamp()
-      });
+    await apiRequest(`/api/v1/listings/${encodeURIComponent(id)}/status`, {
+      body: { status, ...(reason ? { reason } : {}) }
     });
+
+    localStorage.removeItem(`listing_${id}`);
   } catch (error) {
     console.error('Error updating listing status:', error);
-    throw new Error(`Failed to update listing status: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    throw new Error(withRequestId(`Failed to update listing status: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
   }
 };
 
@@ -1524,9 +1605,10 @@ export const verifyListing = async (id: string): Promise<void> => {
 
     await updateDoc(listingRef, {
       isVerified: true,
-      'rating.ratingComponents.verification': 10, // Max verification score
       updatedAt: serverTimestamp()
     });
+
+    await requestListingRecompute(id);
   } catch (error) {
     console.error('Error verifying listing:', error);
     throw new Error(`Failed to verify listing: ${error instanceof Error ? error.message : 'Unknown error'}`);
@@ -1741,151 +1823,319 @@ export const getListingCountsByType = async (currentUserId?: string): Promise<{
 // Helper Functions
 
 /**
- * Calculate a system rating score for a listing (0-10)
+ * Get the revisions of a listing's content, newest first
  */
-const calculateSystemRating = (listing: Partial<Listing>, imageCount: number, documentCount: number): number => {
-  // Start with a base score
-  let score = 0;
-
-  // Add up component scores
-  const completeness = calculateCompletenessScore(listing);
-  const verification = listing.isVerified ? 10 : 0;
-  const documentation = documentCount > 0 ? Math.min(10, documentCount + 3) : 0;
-  const engagement = 0; // Initially 0, will be updated based on user interaction
-  const longevity = 0; // Initially 0, will increase over time
-  const financials = calculateFinancialsScore(listing);
-
-  // Weighted average of component scores
-  score = (completeness * 0.35) + (verification * 0.2) + (documentation * 0.15) +
-    (engagement * 0.1) + (longevity * 0.1) + (financials * 0.1);
-
-  // Ensure score is between 0-10
-  return Math.min(10, Math.max(0, score));
+export const getListingRevisions = async (listingId: string): Promise<ListingRevision[]> => {
+  try {
+    const revisionsQuery = query(
+      collection(db, LISTINGS_COLLECTION, listingId, REVISIONS_SUBCOLLECTION),
+      orderBy('createdAt', 'desc')
+    );
+    const snapshot = await getDocs(revisionsQuery);
+
+    return snapshot.docs.map(revisionDoc => {
+      const data = revisionDoc.data();
+      return {
+        ...data,
+        id: revisionDoc.id,
+        createdAt: convertTimestampToDate(data.createdAt) || null
+      } as ListingRevision;
+    });
+  } catch (error) {
+    console.error('Error getting listing revisions:', error);
+    throw new Error(`Failed to fetch listing history: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
 };
 
 /**
- * Calculate a completeness score for a listing (0-10)
+ * Put a listing's content back to an earlier revision
+ * The server validates the restored listing with the listing form's schema and saves
+ * the restore as a new revision. Images, documents, status and plan are left as they are.
+ * @throws Error listing the fields that no longer pass validation
  */
-const calculateCompletenessScore = (listing: Partial<Listing>): number => {
-  let score = 0;
-  let maxScore = 0;
-
-  // Check basic fields (up to 5 points)
-  if (listing.name) score++; maxScore++;
-  if (listing.description && listing.description.length >= 100) score++; maxScore++;
-  if (listing.media?.galleryImages && listing.media.galleryImages.length >= 3) score++; maxScore++;
-  if (listing.location?.city && listing.location.state) score++; maxScore++;
-  if (listing.contactInfo?.email) score++; maxScore++;
-
-  // Check type-specific fields (up to 5 points)
-  if (listing.type === ListingType.BUSINESS && listing.businessDetails) {
-    const bd = listing.businessDetails;
-    if (bd.businessType) score++; maxScore++;
-    if (bd.establishedYear) score++; maxScore++;
-    if (bd.operations?.employees?.count) score++; maxScore++;
-    if (bd.financials?.annualRevenue?.value) score++; maxScore++;
-    if (bd.sale?.askingPrice?.value) score++; maxScore++;
-  }
-  else if (listing.type === ListingType.FRANCHISE && listing.franchiseDetails) {
-    const fd = listing.franchiseDetails;
-    if (fd.franchiseBrand) score++; maxScore++;
-    if (fd.franchiseType) score++; maxScore++;
-    if (fd.franchiseSince) score++; maxScore++;
-    if (fd.investment?.franchiseFee?.value) score++; maxScore++;
-    if (fd.support?.initialTraining) score++; maxScore++;
+export const restoreListingRevision = async (listingId: string, revisionId: string): Promise<void> => {
+  try {
+    await apiRequest(
+      `/api/v1/listings/${encodeURIComponent(listingId)}/revisions/${encodeURIComponent(revisionId)}/restore`
+    );
+
+    // The detail page shows the cached copy first, so drop it
+    localStorage.removeItem(`listing_${listingId}`);
+  } catch (error) {
+    console.error('Error restoring listing revision:', error);
+
+    const details = error instanceof ApiError && Array.isArray(error.data?.details)
+      ? `: ${error.data.details.map((d: { path: string; message: string }) => `${d.path} - ${d.message}`).join('; ')}`
+      : '';
+    throw new Error(withRequestId(`Failed to restore revision: ${error instanceof Error ? error.message : 'Unknown error'}${details}`, error));
   }
-  else if (listing.type === ListingType.STARTUP && listing.startupDetails) {
-    const sd = listing.startupDetails;
-    if (sd.developmentStage) score++; maxScore++;
-    if (sd.team?.founders?.length) score++; maxScore++;
-    if (sd.market?.targetMarket) score++; maxScore++;
-    if (sd.funding?.currentRaisingAmount?.value) score++; maxScore++;
-    if (sd.funding?.equityOffered) score++; maxScore++;
-    if (sd.funding?.preMoneyValuation?.value > 0) score += 2;
-    if (sd.market?.marketSize?.value > 0) score += 2;
-    if (sd.market?.monthlyRevenue?.value && sd.market.monthlyRevenue.value > 0) score += 2;
+};
+
+/**
+ * Have the server work out everything it derives from a listing again - location and classification
+ * fields, rating, valuation, funding round and unit economics - check it for duplicates and update
+ * its search entry, after it was saved, verified or deleted from the admin panel.
+ * The listing is already saved, so a failure is only logged; the next save catches it up.
+ */
+const requestListingRecompute = async (listingId: string): Promise<void> => {
+  try {
+    await apiRequest(`/api/v1/listings/${encodeURIComponent(listingId)}/recompute`);
+  } catch (error) {
+    console.warn(`Failed to recompute listing ${listingId}:`, error);
   }
-  else if (listing.type === ListingType.INVESTOR && listing.investorDetails) {
-    const id = listing.investorDetails;
-    if (id.investorType) score++; maxScore++;
-    if (id.investment?.preferredRounds?.length) score++; maxScore++;
-    if (id.focus?.primaryIndustries?.length) score++; maxScore++;
-    if (id.focus?.investmentCriteria) score++; maxScore++;
-    if (id.portfolio?.investmentProcess) score++; maxScore++;
+};
+
+// Publish and expiry dates differing from the listing's, or set at all for a new listing
+const getScheduleChanges = (
+  listingData: Pick<Partial<Listing>, 'publishAt' | 'expiresAt'>,
+  existing?: Listing | null
+): Pick<Partial<Listing>, 'publishAt' | 'expiresAt'> => {
+  const toTime = (value?: Date | string | null) => (value ? new Date(value).getTime() : null);
+
+  return Object.fromEntries((['publishAt', 'expiresAt'] as const)
+    .filter(field => listingData[field] !== undefined && toTime(listingData[field]) !== toTime(existing?.[field]))
+    .map(field => [field, listingData[field] || null]));
+};
+
+/**
+ * Save a listing's publish and expiry dates through the Listings API, which only lets moderators
+ * set them. They are never written to Firestore by the browser, so the scheduler only publishes
+ * listings a moderator scheduled.
+ * @returns The message to show if the schedule could not be saved, otherwise null
+ */
+const saveListingSchedule = async (
+  listingId: string,
+  schedule: Pick<Partial<Listing>, 'publishAt' | 'expiresAt'>
+): Promise<string | null> => {
+  if (Object.keys(schedule).length === 0) return null;
+
+  try {
+    await apiRequest(`/api/v1/listings/${encodeURIComponent(listingId)}`, { method: 'PATCH', body: schedule });
+    return null;
+  } catch (error) {
+    console.error('Error saving listing schedule:', error);
+    return withRequestId(`The listing was saved, but its schedule was not: ${error instanceof Error ? error.message : 'Unknown error'}. Edit the listing to set it again.`, error);
   }
-  else if (listing.type === ListingType.DIGITAL_ASSET && listing.digitalAssetDetails) {
-    const dd = listing.digitalAssetDetails;
-    if (dd.assetType) score++; maxScore++;
-    if (dd.technical?.domainName) score++; maxScore++;
-    if (dd.traffic?.monthlyVisitors) score++; maxScore++;
-    if (dd.financials?.monthlyRevenue?.value) score++; maxScore++;
-    if (dd.sale?.askingPrice?.value) score++; maxScore++;
+};
+
+/**
+ * Find the listings best matching a search query, for search boxes.
+ * Typos, word beginnings and amounts such as "under 50 lakh" are understood.
+ * Staff search every listing; other users only their own.
+ */
+export const searchListings = async (
+  search: string,
+  { type, status, limit: maxResults = 8 }: { type?: ListingType[]; status?: ListingStatus[]; limit?: number } = {}
+): Promise<ListingSearchMatch[]> => {
+  try {
+    const params = new URLSearchParams({ q: search, limit: String(maxResults) });
+    if (type?.length) params.set('type', type.join(','));
+    if (status?.length) params.set('status', status.join(','));
+
+    const { data } = await apiRequest<{ data: any[] }>(`/api/v1/listings/search?${params}`, { method: 'GET' });
+
+    return data.map(match => ({
+      ...match,
+      listing: {
+        ...match.listing,
+        createdAt: match.listing.createdAt ? new Date(match.listing.createdAt) : null
+      }
+    }));
+  } catch (error) {
+    console.error('Error searching listings:', error);
+    throw new Error(withRequestId(`Failed to search listings: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
   }
+};
 
-  // If maxScore is 0, return 0 to avoid division by zero
-  if (maxScore === 0) return 0;
+/**
+ * Get the likely duplicates of a listing, likeliest first. Moderators only.
+ */
+export const getListingDuplicates = async (listingId: string): Promise<ListingDuplicate[]> => {
+  try {
+    const { data } = await apiRequest<{ data: any[] }>(
+      `/api/v1/listings/${encodeURIComponent(listingId)}/duplicates`,
+      { method: 'GET' }
+    );
 
-  // Convert to 0-10 scale
-  return (score / maxScore) * 10;
+    return data.map(duplicate => ({
+      ...duplicate,
+      listing: {
+        ...duplicate.listing,
+        createdAt: duplicate.listing.createdAt ? new Date(duplicate.listing.createdAt) : null
+      }
+    }));
+  } catch (error) {
+    console.error('Error getting listing duplicates:', error);
+    throw new Error(withRequestId(`Failed to fetch duplicates: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
+  }
 };
 
-// Fixed calculateFinancialsScore function
-const calculateFinancialsScore = (listing: Partial<Listing>): number => {
-  let score = 0;
+/**
+ * Keep both listings and stop reporting them as duplicates of each other
+ */
+export const linkDuplicateListing = async (listingId: string, duplicateId: string): Promise<void> => {
+  try {
+    await apiRequest(
+      `/api/v1/listings/${encodeURIComponent(listingId)}/duplicates/${encodeURIComponent(duplicateId)}/link`
+    );
 
-  if (listing.type === ListingType.BUSINESS && listing.businessDetails) {
-    const bd = listing.businessDetails;
+    localStorage.removeItem(`listing_${listingId}`);
+    localStorage.removeItem(`listing_${duplicateId}`);
+  } catch (error) {
+    console.error('Error linking duplicate listing:', error);
+    throw new Error(withRequestId(`Failed to link listings: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
+  }
+};
 
-    // Give points for financial detail
-    if (bd.financials?.annualRevenue?.value > 0) score += 3;
-    if (bd.financials?.profitMargin?.percentage > 0) score += 2;
+/**
+ * Merge a duplicate into a listing: the listing's empty fields are filled from the duplicate,
+ * which is then archived. Images and documents stay with the duplicate.
+ * @throws Error listing the fields that fail validation after the merge
+ */
+export const mergeDuplicateListing = async (listingId: string, duplicateId: string): Promise<void> => {
+  try {
+    await apiRequest(
+      `/api/v1/listings/${encodeURIComponent(listingId)}/duplicates/${encodeURIComponent(duplicateId)}/merge`
+    );
 
-    // Check revenue trend - fixed enum reference
-    if (bd.financials?.revenueTrend === 'growing') score += 3;
-    else if (bd.financials?.revenueTrend === 'stable') score += 2;
+    localStorage.removeItem(`listing_${listingId}`);
+    localStorage.removeItem(`listing_${duplicateId}`);
+  } catch (error) {
+    console.error('Error merging duplicate listing:', error);
 
-    // Check for reasonable pricing
-    if (bd.sale?.askingPrice?.value > 0 && bd.financials?.annualRevenue?.value > 0) {
-      const priceToRevenue = bd.sale.askingPrice.value / bd.financials.annualRevenue.value;
-      // Reasonable price-to-revenue ratio is 1-3x
-      if (priceToRevenue > 0.5 && priceToRevenue < 5) score += 2;
-    }
+    const details = error instanceof ApiError && Array.isArray(error.data?.details)
+      ? `: ${error.data.details.map((d: { path: string; message: string }) => `${d.path} - ${d.message}`).join('; ')}`
+      : '';
+    throw new Error(withRequestId(`Failed to merge listings: ${error instanceof Error ? error.message : 'Unknown error'}${details}`, error));
   }
-  else if (listing.type === ListingType.FRANCHISE && listing.franchiseDetails) {
-    const fd = listing.franchiseDetails;
-
-    // Points for financial transparency
-    if (fd.investment?.franchiseFee?.value > 0) score += 2;
-    if (fd.investment?.totalInitialInvestment?.value > 0) score += 2;
-    if (fd.investment?.royaltyFee > 0) score += 2;
-    if (fd.performance?.averageUnitSales?.value > 0) score += 2;
-    if (fd.performance?.averageBreakeven) score += 2;
+};
+
+/**
+ * Keep a published listing live for another plan period, counted from its current expiry
+ * (or from now if that has passed). Owners can renew their own listings.
+ */
+export const renewListing = async (listingId: string): Promise<void> => {
+  try {
+    await apiRequest(`/api/v1/listings/${encodeURIComponent(listingId)}/renew`);
+
+    localStorage.removeItem(`listing_${listingId}`);
+  } catch (error) {
+    console.error('Error renewing listing:', error);
+    throw new Error(withRequestId(`Failed to renew listing: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
   }
-  else if (listing.type === ListingType.STARTUP && listing.startupDetails) {
-    const sd = listing.startupDetails;
-
-    // Startup financial scoring
-    if (sd.funding?.currentRaisingAmount?.value > 0) score += 2;
-    if (sd.funding?.equityOffered > 0) score += 2;
-    if (sd.funding?.preMoneyValuation?.value > 0) score += 2;
-    if (sd.market?.marketSize?.value > 0) score += 2;
-    if (sd.market?.monthlyRevenue?.value > 0) score += 2;
+};
+
+// Fields left out of revisions, as REVISION_EXCLUDED_FIELDS in server/services/listingRevisions.js.
+// Moderation state, schedule and duplicate checks, ownership and plan have their own history
+// or audit trail, counters change without an edit, and uploaded images and documents are not versioned.
+const REVISION_EXCLUDED_FIELDS = [
+  'id', 'slug', 'status', 'statusReason', 'statusHistory',
+  'publishedAt', 'publishAt', 'expiresAt', 'renewalReminderSentAt',
+  'duplicateKeys', 'duplicateCheck', 'linkedListingIds', 'mergedInto',
+  'ownerId', 'ownerRef', 'ownerName', 'plan', 'planRef',
+  'isVerified', 'isFeatured', 'featuredUntil', 'rating', 'valuation', 'fundingRound', 'unitEconomics', 'reviewCount', 'analytics',
+  'media', 'documents', 'mediaValidation', 'featuredImageIndex',
+  'industryRef', 'categoryRef', 'subCategoryRefs', 'industryRefs', 'tagRefs',
+  'createdAt', 'updatedAt', 'isDeleted', 'deletedAt', '_cacheTimestamp'
+];
+
+/**
+ * Plain JSON copy of a value for a revision snapshot: Dates and Timestamps become ISO strings,
+ * document references their paths, and undefined values are dropped
+ */
+const toRevisionValue = (value: any): any => {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value.toISOString();
+  if (value instanceof Timestamp) return value.toDate().toISOString();
+  if (value instanceof DocumentReference) return value.path;
+  if (Array.isArray(value)) return value.map(toRevisionValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, val]) => val !== undefined)
+        .map(([key, val]) => [key, toRevisionValue(val)])
+    );
   }
-  else if (listing.type === ListingType.INVESTOR && listing.investorDetails) {
-    // Investors aren't scored on financials as strictly
-    score = 8; // Default good score
+  return value;
+};
+
+/**
+ * Editable content of a listing, as stored in its revisions
+ */
+const toRevisionSnapshot = (listing: Record<string, any>): Record<string, any> => toRevisionValue(
+  Object.fromEntries(Object.entries(listing).filter(([key]) => !REVISION_EXCLUDED_FIELDS.includes(key)))
+);
+
+// Deep comparison treating null and missing values alike
+const isSameRevisionValue = (a: any, b: any): boolean => {
+  if ((a ?? null) === null || (b ?? null) === null) return (a ?? null) === (b ?? null);
+  if (typeof a !== 'object' || typeof b !== 'object') return a === b;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every(key => isSameRevisionValue(a[key], b[key]));
+};
+
+/**
+ * Queue the revision for a listing change on the batch that writes the change.
+ * Listings without revisions yet first get a baseline of their previous state.
+ * Matches addRevisionToBatch in server/services/listingRevisions.js.
+ * @returns The new revision's ID, or null when no content changed
+ */
+const addRevisionToBatch = async (
+  batch: WriteBatch,
+  listingRef: DocumentReference,
+  {
+    before = null,
+    after,
+    source,
+    user,
+    previousUpdatedAt = null
+  }: {
+    before?: Record<string, any> | null;
+    after: Record<string, any>;
+    source: ListingRevisionSource;
+    user: { id: string; name?: string };
+    previousUpdatedAt?: Date | string | null;
   }
-  else if (listing.type === ListingType.DIGITAL_ASSET && listing.digitalAssetDetails) {
-    const dd = listing.digitalAssetDetails;
-
-    // Digital asset financial transparency
-    if (dd.financials?.monthlyRevenue?.value > 0) score += 2;
-    if (dd.financials?.annualRevenue?.value > 0) score += 2;
-    if (dd.financials?.profitMargin > 0) score += 2;
-    if (dd.traffic?.monthlyVisitors > 0) score += 2;
-    if (dd.sale?.askingPrice?.value > 0) score += 2;
+): Promise<string | null> => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after)]);
+  const changedFields = before
+    ? [...fields].filter(key => !isSameRevisionValue(before[key], after[key])).sort()
+    : Object.keys(after).sort();
+
+  if (before && changedFields.length === 0) return null;
+
+  const revisions = collection(listingRef, REVISIONS_SUBCOLLECTION);
+
+  if (before) {
+    const existing = await getDocs(query(revisions, limit(1)));
+    if (existing.empty) {
+      batch.set(doc(revisions), {
+        listingId: listingRef.id,
+        source: ListingRevisionSource.BASELINE,
+        restoredFrom: null,
+        snapshot: before,
+        changedFields: [],
+        createdBy: null,
+        createdByName: null,
+        createdAt: previousUpdatedAt
+          ? Timestamp.fromDate(new Date(previousUpdatedAt))
+          : Timestamp.fromMillis(Date.now() - 1)
+      });
+    }
   }
 
-  // Ensure score is between 0-10
-  return Math.min(10, score);
-};
\ No newline at end of file
+  const revisionRef = doc(revisions);
+  batch.set(revisionRef, {
+    listingId: listingRef.id,
+    source,
+    restoredFrom: null,
+    snapshot: after,
+    changedFields,
+    createdBy: user.id,
+    createdByName: user.name || null,
+    createdAt: serverTimestamp()
+  });
+
+  return revisionRef.id;
+};
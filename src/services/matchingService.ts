@@ -0,0 +1,61 @@
+/**
+ * Matching service
+ * Suggested matches between investor listings and startup or business listings, scored by the
+ * Express API (server/services/listingMatching.js) with src/schemas/listingMatching.js.
+ */
+
+import { ListingMatch, MatchReport } from '@/types/listings';
+import { apiRequest, withRequestId } from './apiClient';
+
+const toMatch = (match: any): ListingMatch => ({
+  ...match,
+  listing: {
+    ...match.listing,
+    createdAt: match.listing.createdAt ? new Date(match.listing.createdAt) : null
+  }
+});
+
+/**
+ * Published investors for a startup or business listing, or published startups and
+ * businesses for an investor listing, best match first
+ * @param listingId Listing ID or slug
+ * @param limit Most matches to return
+ */
+export const getListingMatches = async (listingId: string, limit = 10): Promise<ListingMatch[]> => {
+  try {
+    const params = new URLSearchParams({ limit: String(limit) });
+    const { data } = await apiRequest<{ data: any[] }>(
+      `/api/v1/listings/${encodeURIComponent(listingId)}/matches?${params}`,
+      { method: 'GET' }
+    );
+    return data.map(toMatch);
+  } catch (error) {
+    console.error('Error getting listing matches:', error);
+    throw new Error(withRequestId(`Failed to fetch matches: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
+  }
+};
+
+/**
+ * The top matches of every published investor. Staff only.
+ * @param limit Most matches per investor
+ * @param minScore Lowest score included
+ */
+export const getMatchReport = async (limit = 5, minScore?: number): Promise<MatchReport> => {
+  try {
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (minScore !== undefined) params.set('minScore', String(minScore));
+
+    const { data } = await apiRequest<{ data: any }>(`/api/v1/listings/matching/report?${params}`, { method: 'GET' });
+    return {
+      ...data,
+      generatedAt: new Date(data.generatedAt),
+      rows: data.rows.map((row: any) => ({
+        investor: { ...row.investor, createdAt: row.investor.createdAt ? new Date(row.investor.createdAt) : null },
+        matches: row.matches.map(toMatch)
+      }))
+    };
+  } catch (error) {
+    console.error('Error getting match report:', error);
+    throw new Error(withRequestId(`Failed to fetch the match report: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
+  }
+};
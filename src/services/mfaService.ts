@@ -0,0 +1,99 @@
+/**
+ * Two-factor authentication service
+ * Manages the signed-in user's authenticator app, recovery codes and the per-role policy
+ */
+
+import { signInWithCustomToken } from 'firebase/auth';
+import { auth } from '@/lib/firebase';
+import { MfaPolicy, MfaStatus, UserRole } from '@/types/firebase';
+import { apiRequest } from './apiClient';
+import type { MfaEnrollment } from './auth';
+
+/**
+ * Get the current user's two-factor status
+ */
+export const getMfaStatus = async (): Promise<MfaStatus> => {
+  const data = await apiRequest<Omit<MfaStatus, 'enrolledAt'> & { enrolledAt: string | null }>('/api/mfa/status', {
+    method: 'GET'
+  });
+
+  return {
+    ...data,
+    enrolledAt: data.enrolledAt ? new Date(data.enrolledAt) : null
+  };
+};
+
+/**
+ * Start enrolment and get the QR code to scan
+ */
+export const startMfaEnrollment = async (): Promise<MfaEnrollment> => {
+  return apiRequest<MfaEnrollment>('/api/mfa/enroll');
+};
+
+/**
+ * Confirm enrolment with a code from the authenticator app.
+ * The current session predates the second factor, so the user is signed in again
+ * with the returned token, which carries the claim the API now requires.
+ * @returns Recovery codes to show once
+ * @throws ApiError with code invalid_mfa_code or enrollment_expired
+ */
+export const confirmMfaEnrollment = async (code: string): Promise<string[]> => {
+  const { recoveryCodes, customToken } = await apiRequest<{ recoveryCodes: string[], customToken: string }>(
+    '/api/mfa/enroll/verify',
+    { body: { code } }
+  );
+
+  await signInWithCustomToken(auth, customToken);
+
+  return recoveryCodes;
+};
+
+/**
+ * Replace all recovery codes; the old ones stop working
+ * @param code Current code from the authenticator app
+ */
+export const regenerateRecoveryCodes = async (code: string): Promise<string[]> => {
+  const { recoveryCodes } = await apiRequest<{ recoveryCodes: string[] }>('/api/mfa/recovery-codes', {
+    body: { code }
+  });
+  return recoveryCodes;
+};
+
+/**
+ * Turn off two-factor authentication for the current user
+ * @throws ApiError with code mfa_required_by_policy when the user's role requires it
+ */
+export const disableMfa = async (factor: { code?: string; recoveryCode?: string }): Promise<void> => {
+  await apiRequest('/api/mfa/disable', { body: factor });
+};
+
+/**
+ * Remove another user's second factor, e.g. after they lost their phone
+ * @param userId Firestore document ID of the user
+ */
+export const resetUserMfa = async (userId: string): Promise<void> => {
+  try {
+    await apiRequest('/api/mfa/reset', { body: { userId } });
+  } catch (error) {
+    console.error('Error resetting two-factor authentication:', error);
+    throw new Error(`Failed to reset two-factor authentication: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+};
+
+/**
+ * Get the roles for which two-factor authentication is mandatory
+ */
+export const getMfaPolicy = async (): Promise<MfaPolicy> => {
+  return apiRequest<MfaPolicy>('/api/mfa/policy', { method: 'GET' });
+};
+
+/**
+ * Replace the roles for which two-factor authentication is mandatory (super admins only)
+ */
+export const updateMfaPolicy = async (requiredRoles: UserRole[]): Promise<UserRole[]> => {
+  const policy = await apiRequest<{ requiredRoles: UserRole[] }>('/api/mfa/policy', {
+    method: 'PUT',
+    body: { requiredRoles }
+  });
+  return policy.requiredRoles;
+};
@@ -0,0 +1,214 @@
+/**
+ * Moderation service
+ * The queue of pending listings and their reviews: claiming, assignment, checklists,
+ * decisions and rejection templates. All of it goes through the Express API, which keeps
+ * two moderators from reviewing the same listing.
+ */
+
+import {
+  ListingType,
+  ModerationQueueFilters,
+  ModerationQueueItem,
+  RejectionTemplate,
+  ReviewCheck,
+  SlaStatus
+} from '@/types/listings';
+import { apiRequest, withRequestId } from './apiClient';
+
+// A review is due soon in the last quarter of its SLA
+const DUE_SOON_FRACTION = 0.25;
+
+const toDate = (value: string | null): Date | null => value ? new Date(value) : null;
+
+const toQueueItem = (item: any): ModerationQueueItem => ({
+  ...item,
+  listing: { ...item.listing, createdAt: toDate(item.listing.createdAt) },
+  submittedAt: toDate(item.submittedAt),
+  dueAt: new Date(item.dueAt),
+  claim: item.claim
+    ? { ...item.claim, claimedAt: new Date(item.claim.claimedAt), expiresAt: new Date(item.claim.expiresAt) }
+    : null,
+  assignee: item.assignee ? { ...item.assignee, assignedAt: new Date(item.assignee.assignedAt) } : null,
+  checklist: item.checklist.map((check: any): ReviewCheck => ({ ...check, checkedAt: toDate(check.checkedAt) }))
+});
+
+const toTemplate = (template: any): RejectionTemplate => ({
+  ...template,
+  createdAt: toDate(template.createdAt),
+  updatedAt: toDate(template.updatedAt)
+});
+
+const reviewPath = (listingId: string, action: string) =>
+  `/api/v1/listings/moderation/${encodeURIComponent(listingId)}/${action}`;
+
+/**
+ * Where a review stands against its SLA. Same as getSlaStatus in server/services/listingModeration.js,
+ * so the queue can count down without reloading.
+ */
+export const getSlaStatus = (dueAt: Date, slaHours: number, now = Date.now()): SlaStatus => {
+  const remaining = dueAt.getTime() - now;
+  if (remaining <= 0) return 'overdue';
+  return remaining <= slaHours * DUE_SOON_FRACTION * 60 * 60 * 1000 ? 'due_soon' : 'on_track';
+};
+
+/**
+ * Get the pending listings awaiting review. Moderators only.
+ */
+export const getModerationQueue = async (filters: ModerationQueueFilters = {}): Promise<ModerationQueueItem[]> => {
+  try {
+    const params = new URLSearchParams();
+    if (filters.type?.length) params.set('type', filters.type.join(','));
+    if (filters.plan?.length) params.set('plan', filters.plan.join(','));
+    if (filters.assignee) params.set('assignee', filters.assignee);
+    if (filters.sort) params.set('sort', filters.sort);
+
+    const { data } = await apiRequest<{ data: any[] }>(`/api/v1/listings/moderation/queue?${params.toString()}`, {
+      method: 'GET'
+    });
+    return data.map(toQueueItem);
+  } catch (error) {
+    console.error('Error getting moderation queue:', error);
+    throw new Error(withRequestId(`Failed to fetch moderation queue: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
+  }
+};
+
+/**
+ * Start reviewing a listing, or keep the claim on it from lapsing
+ */
+export const claimListingReview = async (listingId: string): Promise<ModerationQueueItem> => {
+  try {
+    const { data } = await apiRequest<{ data: any }>(reviewPath(listingId, 'claim'));
+    return toQueueItem(data);
+  } catch (error) {
+    console.error('Error claiming listing review:', error);
+    throw new Error(withRequestId(`Failed to claim listing: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
+  }
+};
+
+/**
+ * Stop reviewing a listing so another moderator can claim it
+ */
+export const releaseListingReview = async (listingId: string): Promise<ModerationQueueItem> => {
+  try {
+    const { data } = await apiRequest<{ data: any }>(reviewPath(listingId, 'release'));
+    return toQueueItem(data);
+  } catch (error) {
+    console.error('Error releasing listing review:', error);
+    throw new Error(withRequestId(`Failed to release listing: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
+  }
+};
+
+/**
+ * Give a listing's review to a moderator, or take it back with null. Admins only.
+ */
+export const assignListingReview = async (listingId: string, userId: string | null): Promise<ModerationQueueItem> => {
+  try {
+    const { data } = await apiRequest<{ data: any }>(reviewPath(listingId, 'assign'), { body: { userId } });
+    return toQueueItem(data);
+  } catch (error) {
+    console.error('Error assigning listing review:', error);
+    throw new Error(withRequestId(`Failed to assign review: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
+  }
+};
+
+/**
+ * Tick or untick review checks on a listing the current user has claimed
+ * @param checks Check IDs and whether they are ticked
+ */
+export const updateReviewChecklist = async (
+  listingId: string,
+  checks: Record<string, boolean>
+): Promise<ModerationQueueItem> => {
+  try {
+    const { data } = await apiRequest<{ data: any }>(reviewPath(listingId, 'checklist'), {
+      method: 'PATCH',
+      body: { checks }
+    });
+    return toQueueItem(data);
+  } catch (error) {
+    console.error('Error updating review checklist:', error);
+    throw new Error(withRequestId(`Failed to update checklist: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
+  }
+};
+
+/**
+ * Approve or reject a listing the current user has claimed. Approval needs every required check.
+ * @param reason Shown to the owner; a rejection without one uses the template's
+ */
+export const decideListingReview = async (
+  listingId: string,
+  decision: { decision: 'approve' | 'reject'; templateId?: string; reason?: string }
+): Promise<void> => {
+  try {
+    await apiRequest(reviewPath(listingId, 'decision'), { body: decision });
+
+    localStorage.removeItem(`listing_${listingId}`);
+  } catch (error) {
+    console.error('Error deciding listing review:', error);
+    throw new Error(withRequestId(`Failed to ${decision.decision} listing: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
+  }
+};
+
+/**
+ * Get rejection templates, most used first
+ * @param type Only those for this listing type or for every type
+ */
+export const getRejectionTemplates = async (type?: ListingType): Promise<RejectionTemplate[]> => {
+  try {
+    const query = type ? `?type=${encodeURIComponent(type)}` : '';
+    const { data } = await apiRequest<{ data: any[] }>(`/api/v1/listings/moderation/templates${query}`, {
+      method: 'GET'
+    });
+    return data.map(toTemplate);
+  } catch (error) {
+    console.error('Error getting rejection templates:', error);
+    throw new Error(withRequestId(`Failed to fetch rejection templates: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
+  }
+};
+
+/**
+ * Save a rejection template
+ * @param input No types means every type
+ */
+export const createRejectionTemplate = async (
+  input: Pick<RejectionTemplate, 'title' | 'reason' | 'types'>
+): Promise<RejectionTemplate> => {
+  try {
+    const { data } = await apiRequest<{ data: any }>('/api/v1/listings/moderation/templates', { body: input });
+    return toTemplate(data);
+  } catch (error) {
+    console.error('Error creating rejection template:', error);
+    throw new Error(withRequestId(`Failed to create rejection template: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
+  }
+};
+
+/**
+ * Change a rejection template's title, reason or types
+ */
+export const updateRejectionTemplate = async (
+  templateId: string,
+  changes: Partial<Pick<RejectionTemplate, 'title' | 'reason' | 'types'>>
+): Promise<RejectionTemplate> => {
+  try {
+    const { data } = await apiRequest<{ data: any }>(
+      `/api/v1/listings/moderation/templates/${encodeURIComponent(templateId)}`,
+      { method: 'PATCH', body: changes }
+    );
+    return toTemplate(data);
+  } catch (error) {
+    console.error('Error updating rejection template:', error);
+    throw new Error(withRequestId(`Failed to update rejection template: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
+  }
+};
+
+/**
+ * Delete a rejection template
+ */
+export const deleteRejectionTemplate = async (templateId: string): Promise<void> => {
+  try {
+    await apiRequest(`/api/v1/listings/moderation/templates/${encodeURIComponent(templateId)}`, { method: 'DELETE' });
+  } catch (error) {
+    console.error('Error deleting rejection template:', error);
+    throw new Error(withRequestId(`Failed to delete rejection template: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
+  }
+};
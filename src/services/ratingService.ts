@@ -0,0 +1,62 @@
+/**
+ * Rating service
+ * The weights of the system rating and recalculating it. Listings are rated by the Express API
+ * (server/services/listingRating.js) whenever they change and every night.
+ */
+
+import { RatingComponent, RatingSettings } from '@/types/listings';
+import { apiRequest, withRequestId } from './apiClient';
+
+const toDate = (value: string | null): Date | null => value ? new Date(value) : null;
+
+const toSettings = (settings: any): RatingSettings => ({
+  ...settings,
+  updatedAt: toDate(settings.updatedAt),
+  lastRecalculatedAt: toDate(settings.lastRecalculatedAt)
+});
+
+/**
+ * Get the rating weights and when listings were last recalculated. Moderators and admins.
+ */
+export const getRatingSettings = async (): Promise<RatingSettings> => {
+  try {
+    const { data } = await apiRequest<{ data: any }>('/api/v1/listings/rating/settings', { method: 'GET' });
+    return toSettings(data);
+  } catch (error) {
+    console.error('Error getting rating settings:', error);
+    throw new Error(withRequestId(`Failed to fetch rating settings: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
+  }
+};
+
+/**
+ * Change the rating weights. Admins only.
+ * @param weights Percentages by component, adding up to 100
+ */
+export const updateRatingWeights = async (weights: Record<RatingComponent, number>): Promise<RatingSettings> => {
+  try {
+    const { data } = await apiRequest<{ data: any }>('/api/v1/listings/rating/settings', {
+      method: 'PUT',
+      body: { weights }
+    });
+    return toSettings(data);
+  } catch (error) {
+    console.error('Error updating rating weights:', error);
+    throw new Error(withRequestId(`Failed to update rating weights: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
+  }
+};
+
+/**
+ * Rate every listing again now, rather than in the nightly recalculation. Admins only.
+ * @returns How many listings were rated and how many ratings changed
+ */
+export const recalculateListingRatings = async (): Promise<{ recalculated: number; updated: number }> => {
+  try {
+    const { data } = await apiRequest<{ data: { recalculated: number; updated: number } }>(
+      '/api/v1/listings/rating/recalculate'
+    );
+    return data;
+  } catch (error) {
+    console.error('Error recalculating listing ratings:', error);
+    throw new Error(withRequestId(`Failed to recalculate ratings: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
+  }
+};
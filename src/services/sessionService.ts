@@ -0,0 +1,103 @@
+/**
+ * Session service
+ * Lists and revokes recorded admin panel sign-ins
+ */
+
+import { UserSession } from '@/types/firebase';
+import { apiRequest } from './apiClient';
+
+const toSession = (session: any): UserSession => ({
+  ...session,
+  createdAt: session.createdAt ? new Date(session.createdAt) : null,
+  lastSeenAt: session.lastSeenAt ? new Date(session.lastSeenAt) : null
+});
+
+/**
+ * Get the current user's active sessions
+ */
+export const getMySessions = async (): Promise<UserSession[]> => {
+  try {
+    const { sessions } = await apiRequest<{ sessions: any[] }>('/api/sessions', { method: 'GET' });
+    return sessions.map(toSession);
+  } catch (error) {
+    console.error('Error getting sessions:', error);
+    throw new Error(`Failed to fetch sessions: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+};
+
+/**
+ * Get another user's active sessions (admins only)
+ * @param userId Firestore document ID of the user
+ */
+export const getUserSessions = async (userId: string): Promise<UserSession[]> => {
+  try {
+    const { sessions } = await apiRequest<{ sessions: any[] }>(`/api/sessions/user/${encodeURIComponent(userId)}`, {
+      method: 'GET'
+    });
+    return sessions.map(toSession);
+  } catch (error) {
+    console.error('Error getting user sessions:', error);
+    throw new Error(`Failed to fetch sessions: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+};
+
+/**
+ * End a single session; that device is signed out at its next check
+ */
+export const revokeSession = async (sessionId: string): Promise<void> => {
+  try {
+    await apiRequest(`/api/sessions/${encodeURIComponent(sessionId)}/revoke`);
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    throw new Error(`Failed to revoke session: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+};
+
+/**
+ * End every session of a user and revoke their refresh tokens (admins only)
+ * @returns Number of sessions ended
+ */
+export const revokeAllUserSessions = async (userId: string): Promise<number> => {
+  try {
+    const { revoked } = await apiRequest<{ revoked: number }>(
+      `/api/sessions/user/${encodeURIComponent(userId)}/revoke-all`
+    );
+    return revoked;
+  } catch (error) {
+    console.error('Error revoking user sessions:', error);
+    throw new Error(`Failed to sign out user: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+};
+
+/**
+ * Sign out the current user's other devices, keeping this one
+ * @returns Number of sessions ended
+ */
+export const revokeOtherSessions = async (): Promise<number> => {
+  try {
+    const { revoked } = await apiRequest<{ revoked: number }>('/api/sessions/revoke-others');
+    return revoked;
+  } catch (error) {
+    console.error('Error revoking other sessions:', error);
+    throw new Error(`Failed to sign out other sessions: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+};
+
+/**
+ * Tell the server this session is still in use. Rejected with ApiError code
+ * session_revoked once the session has been ended elsewhere.
+ */
+export const sendSessionHeartbeat = async (): Promise<void> => {
+  await apiRequest('/api/sessions/heartbeat');
+};
+
+/**
+ * Mark the current session as signed out; failures are ignored so sign-out always completes
+ */
+export const endCurrentSession = async (): Promise<void> => {
+  try {
+    await apiRequest('/api/sessions/signout');
+  } catch (error) {
+    console.warn('Could not record sign-out:', error);
+  }
+};
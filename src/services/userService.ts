@@ -15,9 +15,10 @@ import {
   DocumentSnapshot
 } from 'firebase/firestore';
 import { db, auth } from '@/lib/firebase';
-import { UserDetails, UserRole, UserStatus, UserFilters } from '@/types/firebase';
+import { UserDetails, UserRole, UserStatus, UserFilters, LoginLock } from '@/types/firebase';
 import { generateRandomCode } from '@/lib/utils';
 import { uploadProfileImage } from './storageService';
+import { apiRequest, ApiError, withRequestId } from './apiClient';
 
 const USERS_COLLECTION = 'users';
 
@@ -202,25 +203,13 @@ export const getWebsiteUsers = async (
   }
 };
 
-// Environment-aware API URL configuration
-const getApiUrl = () => {
-  const apiUrl = import.meta.env.VITE_API_URL;
-  if (!apiUrl) {
-    console.warn('VITE_API_URL is not defined, using default localhost:5000');
-    return process.env.NODE_ENV === 'production' 
-      ? 'https://api.businessoptions.in' 
-      : 'http://localhost:5000';
-  }
-  return apiUrl;
-};
-
 /**
  * Create a new admin panel user
  */
 export const createAdminPanelUser = async (
   userData: Partial<UserDetails>,
   profileImage?: File
-): Promise<{userId: string, loginEmail: string, password: string}> => {
+): Promise<{userId: string, loginEmail: string, invitationSent: boolean, invitationExpiresAt: Date | null}> => {
   try {
     // Validation checks
     if (!userData.name || !userData.email || !userData.role) {
@@ -267,43 +256,23 @@ export const createAdminPanelUser = async (
     }
     
     // Call the backend API to create the Firebase Auth user
-    const API_URL = getApiUrl();
-    let response;
-    try {
-      response = await fetch(`${API_URL}/api/auth/createUser`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          name: userData.name,
-          email: userData.email,
-          role: userData.role,
-          loginEmail: loginEmail
-        }),
-        credentials: 'include'
-      });
-    } catch (networkError) {
-      throw new Error(`Network error: Could not connect to server. Please check your internet connection and try again.`);
-    }
-    
-    if (!response.ok) {
-      let errorMessage = 'Failed to create user account';
-      try {
-        const errorData = await response.json();
-        errorMessage = errorData.error || errorMessage;
-      } catch (e) {
-        // If response is not JSON, use status text
-        errorMessage = `Server error (${response.status}): ${response.statusText}`;
+    // Throws ApiError with the server message (including 401/403 permission errors)
+    // The server emails the new user a set-password link; no password is returned
+    const { uid, invitationSent, invitationExpiresAt } = await apiRequest<{
+      uid: string,
+      invitationSent: boolean,
+      invitationExpiresAt: string | null
+    }>('/api/auth/createUser', {
+      body: {
+        name: userData.name,
+        email: userData.email,
+        role: userData.role,
+        loginEmail: loginEmail
       }
-      throw new Error(errorMessage);
-    }
-    
-    const data = await response.json();
-    const { uid, password } = data;
+    });
     
-    if (!uid || !password) {
-      throw new Error('Invalid response from server: Missing user credentials');
+    if (!uid) {
+      throw new Error('Invalid response from server: Missing user ID');
     }
     
     // Now save the user document with the uid
@@ -324,14 +293,7 @@ export const createAdminPanelUser = async (
     } catch (firestoreError) {
       // If Firestore save fails, attempt to clean up auth user
       try {
-        await fetch(`${API_URL}/api/auth/deleteAuthUser`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({ loginEmail }),
-          credentials: 'include'
-        });
+        await apiRequest('/api/auth/deleteAuthUser', { body: { loginEmail } });
       } catch (cleanupError) {
         console.error('Failed to clean up auth user after Firestore error:', cleanupError);
       }
@@ -342,11 +304,14 @@ export const createAdminPanelUser = async (
     return {
       userId,
       loginEmail,
-      password
+      invitationSent,
+      invitationExpiresAt: invitationExpiresAt ? new Date(invitationExpiresAt) : null
     };
   } catch (error) {
     console.error('Error creating admin user:', error);
-    if (error instanceof Error) {
+    if (error instanceof ApiError) {
+      throw new Error(withRequestId(error.message, error));
+    } else if (error instanceof Error) {
       throw error;
     } else {
       throw new Error('Unknown error occurred while creating user');
@@ -355,30 +320,64 @@ export const createAdminPanelUser = async (
 };
 
 /**
- * Reset user password
+ * Email the user a new set-password link, invalidating any earlier one
+ * @returns When the new link expires
+ */
+export const sendUserInvitation = async (loginEmail: string): Promise<Date> => {
+  try {
+    const { invitationExpiresAt } = await apiRequest<{ invitationExpiresAt: string }>('/api/auth/sendInvitation', {
+      body: { loginEmail }
+    });
+    return new Date(invitationExpiresAt);
+  } catch (error) {
+    console.error('Error sending invitation:', error);
+    throw new Error(withRequestId(error instanceof Error ? error.message : 'Failed to send invitation', error));
+  }
+};
+
+/**
+ * Reset user password to a generated temporary password
+ * Fallback for when the user cannot receive the invitation email
  */
 export const resetUserPassword = async (loginEmail: string): Promise<string> => {
   try {
-    const API_URL = getApiUrl();
-    const response = await fetch(`${API_URL}/api/auth/resetPassword`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ loginEmail }),
-      credentials: 'include'
+    const { password } = await apiRequest<{ password: string }>('/api/auth/resetPassword', {
+      body: { loginEmail }
     });
-    
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.error || 'Failed to reset password');
-    }
-    
-    const { password } = await response.json();
     return password;
   } catch (error) {
     console.error('Error resetting password:', error);
-    throw new Error(error instanceof Error ? error.message : 'Failed to reset password');
+    throw new Error(withRequestId(error instanceof Error ? error.message : 'Failed to reset password', error));
+  }
+};
+  
+/**
+ * Get login emails currently locked out after repeated failed sign-ins
+ */
+export const getLockedLogins = async (): Promise<LoginLock[]> => {
+  try {
+    const { lockedLogins } = await apiRequest<{ lockedLogins: any[] }>('/api/auth/lockedLogins', {
+      method: 'GET'
+    });
+    return lockedLogins.map(lock => ({
+      ...lock,
+      lockedUntil: new Date(lock.lockedUntil)
+    }));
+  } catch (error) {
+    console.error('Error getting locked logins:', error);
+    throw new Error(withRequestId(`Failed to fetch locked logins: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
+  }
+};
+
+/**
+ * Lift a sign-in lockout and reset the failed attempt count
+ */
+export const unlockLogin = async (loginEmail: string): Promise<void> => {
+  try {
+    await apiRequest('/api/auth/unlockLogin', { body: { loginEmail } });
+  } catch (error) {
+    console.error('Error unlocking login:', error);
+    throw new Error(withRequestId(error instanceof Error ? error.message : 'Failed to unlock login', error));
   }
 };
   
@@ -452,23 +451,15 @@ export const deleteUser = async (userId: string): Promise<boolean> => {
     // If this is an admin user with loginEmail, we need to delete the auth user
     if (userData.loginEmail) {
       try {
-        const API_URL = getApiUrl();
-        const response = await fetch(`${API_URL}/api/auth/deleteAuthUser`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({ loginEmail: userData.loginEmail }),
-          credentials: 'include'
+        await apiRequest('/api/auth/deleteAuthUser', {
+          body: { loginEmail: userData.loginEmail }
         });
-        
-        if (!response.ok) {
-          const errorData = await response.json();
-          // We only log this error but continue with Firestore deletion
-          console.error('Error deleting auth user:', errorData.error);
-        }
       } catch (authError) {
-        // Only log auth deletion errors, don't abort the process
+        // Without permission to remove the login, keep the Firestore record too
+        if (authError instanceof ApiError && authError.isAuthError) {
+          throw authError;
+        }
+        // Only log other auth deletion errors, don't abort the process
         console.error('Error deleting Firebase Auth user:', authError);
       }
     }
@@ -478,7 +469,7 @@ export const deleteUser = async (userId: string): Promise<boolean> => {
     return true;
   } catch (error) {
     console.error('Error deleting user:', error);
-    throw new Error(`Failed to delete user: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    throw new Error(withRequestId(`Failed to delete user: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
   }
 };
 
@@ -0,0 +1,46 @@
+/**
+ * Valuation service
+ * The benchmark multiples business listings are valued with. Listings are valued by the Express
+ * API (server/services/listingValuation.js) whenever they are saved; the listing form works out
+ * the same range as it is filled in, with src/schemas/businessValuation.js.
+ */
+
+import { ValuationBenchmark, ValuationSettings } from '@/types/listings';
+import { apiRequest, withRequestId } from './apiClient';
+
+const toSettings = (settings: any): ValuationSettings => ({
+  ...settings,
+  updatedAt: settings.updatedAt ? new Date(settings.updatedAt) : null
+});
+
+/**
+ * Get the benchmark table and the multiples used for industries outside it
+ */
+export const getValuationSettings = async (): Promise<ValuationSettings> => {
+  try {
+    const { data } = await apiRequest<{ data: any }>('/api/v1/listings/valuation/benchmarks', { method: 'GET' });
+    return toSettings(data);
+  } catch (error) {
+    console.error('Error getting valuation benchmarks:', error);
+    throw new Error(withRequestId(`Failed to fetch valuation benchmarks: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
+  }
+};
+
+/**
+ * Replace the benchmark table. Admins only. Every business listing is valued again with it.
+ * @returns The saved settings and how many listings were valued again
+ */
+export const updateValuationBenchmarks = async (
+  benchmarks: ValuationBenchmark[]
+): Promise<ValuationSettings & { revalued: number; updated: number }> => {
+  try {
+    const { data } = await apiRequest<{ data: any }>('/api/v1/listings/valuation/benchmarks', {
+      method: 'PUT',
+      body: { benchmarks }
+    });
+    return { ...toSettings(data), revalued: data.revalued, updated: data.updated };
+  } catch (error) {
+    console.error('Error updating valuation benchmarks:', error);
+    throw new Error(withRequestId(`Failed to update valuation benchmarks: ${error instanceof Error ? error.message : 'Unknown error'}`, error));
+  }
+};
@@ -0,0 +1,173 @@
+/**
+ * Webhook service
+ * Manages outbound webhooks and reports listing, lead and payment changes to the Express API
+ */
+
+import {
+  WebhookDelivery,
+  WebhookDeliveryFilters,
+  WebhookEventType,
+  WebhookSubscription,
+  WebhookSubscriptionInput
+} from '@/types/webhooks';
+import { apiRequest } from './apiClient';
+
+const toDate = (value: string | null): Date | null => value ? new Date(value) : null;
+
+const toSubscription = (subscription: any): WebhookSubscription => ({
+  ...subscription,
+  createdAt: toDate(subscription.createdAt),
+  updatedAt: toDate(subscription.updatedAt)
+});
+
+const toDelivery = (delivery: any): WebhookDelivery => ({
+  ...delivery,
+  createdAt: toDate(delivery.createdAt),
+  lastAttemptAt: toDate(delivery.lastAttemptAt),
+  nextAttemptAt: toDate(delivery.nextAttemptAt),
+  completedAt: toDate(delivery.completedAt)
+});
+
+/**
+ * Report a change the client has just written to Firestore so the server can notify webhooks.
+ * The server reads the record itself, so only its ID is sent.
+ * The change has already happened, so failures are logged rather than thrown.
+ * @param previousStatus The lead's status before the change, for lead.status_changed
+ */
+export const emitWebhookEvent = async (
+  type: WebhookEventType,
+  entityId: string,
+  previousStatus?: string
+): Promise<void> => {
+  try {
+    await apiRequest('/api/webhooks/events', {
+      body: { type, entityId, ...(previousStatus ? { previousStatus } : {}) }
+    });
+  } catch (error) {
+    console.warn(`Failed to emit webhook event ${type}:`, error);
+  }
+};
+
+/**
+ * Get all webhook subscriptions
+ */
+export const getWebhookSubscriptions = async (): Promise<WebhookSubscription[]> => {
+  try {
+    const { subscriptions } = await apiRequest<{ subscriptions: any[] }>('/api/webhooks/subscriptions', {
+      method: 'GET'
+    });
+    return subscriptions.map(toSubscription);
+  } catch (error) {
+    console.error('Error getting webhooks:', error);
+    throw new Error(`Failed to fetch webhooks: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+};
+
+/**
+ * Register a webhook
+ * @returns The subscription and its signing secret, which cannot be retrieved again
+ */
+export const createWebhookSubscription = async (
+  input: WebhookSubscriptionInput
+): Promise<{ subscription: WebhookSubscription; secret: string }> => {
+  try {
+    const { subscription, secret } = await apiRequest<{ subscription: any; secret: string }>(
+      '/api/webhooks/subscriptions',
+      { body: input }
+    );
+    return { subscription: toSubscription(subscription), secret };
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    throw new Error(`Failed to create webhook: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+};
+
+/**
+ * Change a webhook's URL, description or events, or pause and resume it
+ */
+export const updateWebhookSubscription = async (
+  subscriptionId: string,
+  changes: Partial<WebhookSubscriptionInput> & { active?: boolean }
+): Promise<WebhookSubscription> => {
+  try {
+    const { subscription } = await apiRequest<{ subscription: any }>(
+      `/api/webhooks/subscriptions/${encodeURIComponent(subscriptionId)}`,
+      { method: 'PATCH', body: changes }
+    );
+    return toSubscription(subscription);
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    throw new Error(`Failed to update webhook: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+};
+
+/**
+ * Replace a webhook's signing secret
+ * @returns The new secret, which cannot be retrieved again
+ */
+export const rotateWebhookSecret = async (subscriptionId: string): Promise<string> => {
+  try {
+    const { secret } = await apiRequest<{ secret: string }>(
+      `/api/webhooks/subscriptions/${encodeURIComponent(subscriptionId)}/rotate-secret`
+    );
+    return secret;
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    throw new Error(`Failed to rotate webhook secret: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+};
+
+/**
+ * Delete a webhook. Its delivery log is kept.
+ */
+export const deleteWebhookSubscription = async (subscriptionId: string): Promise<void> => {
+  try {
+    await apiRequest(`/api/webhooks/subscriptions/${encodeURIComponent(subscriptionId)}`, { method: 'DELETE' });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    throw new Error(`Failed to delete webhook: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+};
+
+/**
+ * Get webhook deliveries with cursor pagination and filtering
+ */
+export const getWebhookDeliveries = async (
+  pageSize: number = 25,
+  cursor: string | null = null,
+  filters?: WebhookDeliveryFilters
+): Promise<{ deliveries: WebhookDelivery[], nextCursor: string | null }> => {
+  try {
+    const params = new URLSearchParams({ limit: String(pageSize) });
+
+    if (cursor) params.set('cursor', cursor);
+    if (filters?.subscriptionId) params.set('subscriptionId', filters.subscriptionId);
+    if (filters?.status) params.set('status', filters.status);
+
+    const { deliveries, nextCursor } = await apiRequest<{ deliveries: any[], nextCursor: string | null }>(
+      `/api/webhooks/deliveries?${params.toString()}`,
+      { method: 'GET' }
+    );
+
+    return { deliveries: deliveries.map(toDelivery), nextCursor };
+  } catch (error) {
+    console.error('Error getting webhook deliveries:', error);
+    throw new Error(`Failed to fetch webhook deliveries: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+};
+
+/**
+ * Send a delivery's event again
+ * @returns The new delivery, after its first attempt
+ */
+export const redeliverWebhook = async (deliveryId: string): Promise<WebhookDelivery> => {
+  try {
+    const { delivery } = await apiRequest<{ delivery: any }>(
+      `/api/webhooks/deliveries/${encodeURIComponent(deliveryId)}/redeliver`
+    );
+    return toDelivery(delivery);
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    throw new Error(`Failed to redeliver webhook: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  }
+};
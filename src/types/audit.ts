@@ -0,0 +1,100 @@
+/**
+ * Audit log TypeScript interfaces
+ * Shapes of the append-only audit trail written by the Express server
+ */
+
+/**
+ * Kinds of records a privileged action can target
+ */
+export enum AuditEntityType {
+  USER = 'user',
+  LISTING = 'listing',
+  COMMISSION_STRUCTURE = 'commission_structure',
+  SECURITY_POLICY = 'security_policy',
+  WEBHOOK = 'webhook',
+  MODERATION_TEMPLATE = 'moderation_template',
+  RATING_POLICY = 'rating_policy',
+  VALUATION_POLICY = 'valuation_policy'
+}
+
+/**
+ * Privileged actions recorded in the audit log
+ */
+export enum AuditAction {
+  USER_CREATE = 'user.create',
+  USER_PASSWORD_RESET = 'user.password_reset',
+  USER_AUTH_DELETE = 'user.auth_delete',
+  USER_INVITE_SENT = 'user.invite_sent',
+  USER_INVITE_ACCEPTED = 'user.invite_accepted',
+  USER_LOGIN_UNLOCK = 'user.login_unlock',
+  USER_MFA_ENABLE = 'user.mfa_enable',
+  USER_MFA_DISABLE = 'user.mfa_disable',
+  USER_MFA_RESET = 'user.mfa_reset',
+  USER_MFA_RECOVERY_CODES_REGENERATE = 'user.mfa_recovery_codes_regenerate',
+  USER_SESSION_REVOKE = 'user.session_revoke',
+  USER_SESSIONS_REVOKE_ALL = 'user.sessions_revoke_all',
+  USER_API_KEY_CREATE = 'user.api_key_create',
+  USER_API_KEY_REVOKE = 'user.api_key_revoke',
+  SECURITY_POLICY_UPDATE = 'security_policy.update',
+  LISTING_CREATE = 'listing.create',
+  LISTING_UPDATE = 'listing.update',
+  LISTING_STATUS_CHANGE = 'listing.status_change',
+  LISTING_REVISION_RESTORE = 'listing.revision_restore',
+  LISTING_RENEW = 'listing.renew',
+  LISTING_DUPLICATE_LINK = 'listing.duplicate_link',
+  LISTING_MERGE = 'listing.merge',
+  LISTING_IMPORT = 'listing.import',
+  LISTING_SEARCH_REINDEX = 'listing.search_reindex',
+  LISTING_GEOCODE = 'listing.geocode',
+  LISTING_REVIEW_ASSIGN = 'listing.review_assign',
+  LISTING_RATING_RECALCULATE = 'listing.rating_recalculate',
+  LISTING_HARD_DELETE = 'listing.hard_delete',
+  COMMISSION_CREATE = 'commission_structure.create',
+  COMMISSION_UPDATE = 'commission_structure.update',
+  COMMISSION_DELETE = 'commission_structure.delete',
+  WEBHOOK_CREATE = 'webhook.create',
+  WEBHOOK_UPDATE = 'webhook.update',
+  WEBHOOK_DELETE = 'webhook.delete',
+  WEBHOOK_SECRET_ROTATE = 'webhook.secret_rotate',
+  MODERATION_TEMPLATE_CREATE = 'moderation_template.create',
+  MODERATION_TEMPLATE_UPDATE = 'moderation_template.update',
+  MODERATION_TEMPLATE_DELETE = 'moderation_template.delete',
+  RATING_POLICY_UPDATE = 'rating_policy.update',
+  VALUATION_POLICY_UPDATE = 'valuation_policy.update'
+}
+
+/**
+ * A single audit log entry
+ */
+export interface AuditLogEntry {
+  id: string;
+  action: AuditAction | string;
+  actor: {
+    id: string | null;
+    uid: string | null;
+    name: string | null;
+    role: string | null;
+  };
+  target: {
+    type: AuditEntityType;
+    id: string | null;
+    label: string | null;
+  };
+  before: Record<string, any> | null;
+  after: Record<string, any> | null;
+  ip: string | null;
+  userAgent: string | null;
+  timestamp: Date | null;
+}
+
+/**
+ * Audit log filter options
+ */
+export interface AuditLogFilters {
+  actorId?: string;
+  entityType?: AuditEntityType;
+  dateRange?: {
+    from?: Date;
+    to?: Date;
+  };
+}
@@ -77,6 +77,7 @@ export interface UserDetails {
   verificationCode?: string;
   verificationCodeExpiry?: Date;
   emailVerified: boolean;
+  mfaEnabled?: boolean; // Mirrored by the server when TOTP two-factor authentication is set up
   profileImageUrl?: string;
   isWebsiteUser: boolean;
   // Advisor specific fields
@@ -181,6 +182,68 @@ export interface AuthState {
   error?: Error;
 }
 
+/**
+ * Sign-in lockout for an admin panel login email
+ * Set by the backend after repeated failed password attempts
+ */
+export interface LoginLock {
+  loginEmail: string;
+  lockedUntil: Date;
+  failedAttempts: number;
+  lastFailedIp: string | null;
+}
+
+/**
+ * A signed-in admin panel session, recorded at login
+ */
+export interface UserSession {
+  id: string;
+  uid: string;
+  device: string; // e.g. "Chrome on Windows"
+  browser: string;
+  os: string;
+  deviceType: 'desktop' | 'mobile' | 'tablet';
+  userAgent: string | null;
+  ip: string | null; // IP at sign-in
+  lastSeenIp: string | null;
+  mfa: boolean; // Signed in with a second factor
+  createdAt: Date | null;
+  lastSeenAt: Date | null;
+  current: boolean; // The session making the request
+}
+
+/**
+ * A key for the public REST API, acting as the user who created it
+ */
+export interface ApiKey {
+  id: string;
+  name: string;
+  hint: string; // First and last characters, e.g. "bo_Ab3x…9QzK"
+  userId: string;
+  createdAt: Date | null;
+  lastUsedAt: Date | null;
+  revokedAt: Date | null;
+}
+
+/**
+ * Current user's two-factor authentication status
+ */
+export interface MfaStatus {
+  enabled: boolean;
+  enrolledAt: Date | null;
+  recoveryCodesRemaining: number;
+  eligible: boolean; // Role may enrol
+  required: boolean; // Role must enrol under the security policy
+}
+
+/**
+ * Roles for which super admins have made two-factor authentication mandatory
+ */
+export interface MfaPolicy {
+  requiredRoles: UserRole[];
+  eligibleRoles: UserRole[];
+}
+
 /**
  * User filter options
  */
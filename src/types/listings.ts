@@ -36,6 +36,23 @@ export enum ListingPlan {
   PLATINUM = 'platinum'
 }
 
+/**
+ * Days a published listing stays live on each plan before it expires and is archived,
+ * unless a moderator sets its expiry date. Same as LISTING_PLAN_DURATION_DAYS in src/schemas/listingConstants.js.
+ */
+export const LISTING_PLAN_DURATION_DAYS: Record<ListingPlan, number> = {
+  [ListingPlan.FREE]: 30,
+  [ListingPlan.BASIC]: 60,
+  [ListingPlan.ADVANCED]: 90,
+  [ListingPlan.PREMIUM]: 180,
+  [ListingPlan.PLATINUM]: 365
+};
+
+/**
+ * Days before expiry that the owner is emailed a renewal reminder (server/services/listingScheduler.js)
+ */
+export const RENEWAL_REMINDER_DAYS = 7;
+
 /**
  * Industry objects for hierarchical classification
  */
@@ -191,6 +208,7 @@ export interface ImageObject {
   alt?: string;
   width?: number;
   height?: number;
+  hash?: string; // SHA-256 of the file, to spot the same image on another listing
 }
 
 export interface DocumentObject {
@@ -219,7 +237,9 @@ export interface LocationInfo {
   coordinates?: {
     latitude: number;
     longitude: number;
-  };
+    accuracy?: 'city' | 'state'; // 'state' when placed at the state's centre
+  } | null;
+  geohash?: string | null;  // Of the coordinates, for finding listings nearby
   displayLocation: string;
   locationRef?: any;
 }
@@ -255,21 +275,170 @@ export interface ContactInfo {
   };
 }
 
+export type RatingComponent = 'completeness' | 'verification' | 'documentation' | 'engagement' | 'longevity' | 'financials';
+
+/**
+ * One thing a rating component was scored on
+ */
+export interface RatingFactor {
+  label: string;
+  points: number;
+  maxPoints: number;
+  // What was found, e.g. "2.3×"
+  detail?: string;
+}
+
 export interface Rating {
   average: number;
   count: number;
+  // 0 to 10, calculated by the server from the listing's data
   systemRating: number;
-  ratingComponents: {
-    completeness: number;
-    verification: number;
-    documentation: number;
-    engagement: number;
-    longevity: number;
-    financials: number;
-  };
+  ratingComponents: Record<RatingComponent, number>;
   distribution: {
     [key: string]: number;
   };
+  explanation?: Record<RatingComponent, RatingFactor[]>;
+  // Percentages the components were weighted with
+  weights?: Record<RatingComponent, number>;
+  calculatedAt?: Date;
+}
+
+export interface RatingSettings {
+  weights: Record<RatingComponent, number>;
+  defaultWeights: Record<RatingComponent, number>;
+  updatedAt: Date | null;
+  updatedBy: string | null;
+  // When every listing was last recalculated, by an admin or nightly
+  lastRecalculatedAt: Date | null;
+}
+
+/**
+ * Business valuation: a fair-value range from benchmark multiples of revenue and earnings
+ */
+export interface MultipleRange {
+  low: number;
+  high: number;
+}
+
+export interface ValuationBenchmark {
+  industry: string;
+  industryName: string;
+  category: string | null; // null for the whole industry
+  categoryName: string;
+  revenueMultiple: MultipleRange;
+  earningsMultiple: MultipleRange; // Of annual revenue times the profit margin
+}
+
+export interface ValuationSettings {
+  benchmarks: ValuationBenchmark[];
+  defaultBenchmark: Pick<ValuationBenchmark, 'revenueMultiple' | 'earningsMultiple'>; // For industries without one
+  flagMargin: number; // How far beyond the range, as a share of its nearest end, a price is flagged
+  updatedAt: Date | null;
+  updatedBy: string | null;
+}
+
+export type ValuationPosition = 'below' | 'within' | 'above';
+
+export interface ListingValuation {
+  annualRevenue: number;
+  annualEarnings: number | null;
+  askingPrice: number | null;
+  revenueMultiple: number | null; // What the asking price comes to
+  earningsMultiple: number | null;
+  statedMultiple: number | null; // The price multiple entered in the form
+  statedMultipleMatches: boolean | null;
+  benchmark: Pick<ValuationBenchmark, 'revenueMultiple' | 'earningsMultiple'> & {
+    industry: string | null;
+    category: string | null;
+    label: string;
+  };
+  fairValue: MultipleRange;
+  position: ValuationPosition | null;
+  deviation: number;
+  flagged: boolean; // Far enough outside the range to flag for moderators
+  calculatedAt: Date;
+}
+
+/**
+ * Startup funding round: the cap table and the round simulated on it
+ */
+export type CapTableHolderType = 'founder' | 'investor' | 'option_pool' | 'other';
+
+export interface CapTableHolder {
+  name: string;
+  type: CapTableHolderType;
+  shares: number; // Held before the round
+}
+
+export interface FundingRoundHolder extends CapTableHolder {
+  before: number; // Percentages
+  after: number;
+  dilution: number; // Percentage points lost in the round
+}
+
+export interface FundingRound {
+  postMoney: number;
+  // Null without the equity offered
+  equity: {
+    postMoney: number;
+    impliedEquity: number; // The amount raised over the post-money valuation, as a percentage
+    equityOffered: number;
+    matches: boolean;
+  } | null;
+  // Null without a cap table
+  round: {
+    amount: number;
+    preMoney: number;
+    postMoney: number;
+    pricePerShare: number;
+    sharesBefore: number;
+    newShares: number;
+    sharesAfter: number;
+    roundStake: number; // Percentage the new investors hold after the round
+    holders: FundingRoundHolder[];
+  } | null;
+  calculatedAt: Date;
+}
+
+/**
+ * Franchise unit economics: one unit projected over five years
+ */
+export interface UnitEconomicsYear {
+  year: number;
+  sales: number;
+  royalty: number;
+  marketing: number;
+  costOfGoods: number;
+  operatingCosts: number;
+  fixedCosts: number;
+  profit: number;
+  margin: number; // Profit as a percentage of sales
+  cashAtYearEnd: number; // Profits so far less the investment
+}
+
+export interface UnitEconomics {
+  inputs: {
+    investment: number;
+    franchiseFee: number | null;
+    royaltyPercent: number;
+    marketingPercent: number;
+    averageUnitSales: number; // Yearly
+  };
+  assumptions: Required<FranchiseProjectionAssumptions>;
+  years: UnitEconomicsYear[];
+  cumulativeCash: number[]; // At the end of each month
+  breakevenMonth: number | null; // Null when not reached within five years
+  paybackMonths: number | null;
+  irr: number | null; // Percentage
+  totalProfit: number;
+  // Null without a stated average breakeven
+  breakeven: {
+    stated: string;
+    statedMonths: { min: number; max: number };
+    computedMonth: number | null;
+    matches: boolean;
+  } | null;
+  calculatedAt: Date;
 }
 
 export interface StatusHistory {
@@ -396,6 +565,40 @@ export interface FranchisePerformance {
   liquidCapitalRequired: CurrencyValue;
 }
 
+// Assumptions a franchise's unit is projected with; unset ones use the defaults in
+// src/schemas/franchiseProjection.js
+export interface FranchiseProjectionAssumptions {
+  openingSalesPercent?: number; // Sales in the first month, as a percentage of the average
+  rampUpMonths?: number; // Months until sales reach the average
+  salesGrowthPercent?: number; // Yearly, after the first year
+  costOfGoodsPercent?: number;
+  operatingCostPercent?: number;
+  fixedCostsPerMonth?: number; // Rent, salaries and other costs that do not follow sales
+}
+
+export type TerritoryKind = 'state' | 'city' | 'polygon';
+
+export type TerritoryStatus = 'available' | 'reserved' | 'sold';
+
+export interface TerritoryPoint {
+  latitude: number;
+  longitude: number;
+}
+
+// See src/schemas/franchiseTerritories.js
+export interface FranchiseTerritory {
+  id: string;
+  kind: TerritoryKind;
+  name: string;
+  country: string;
+  state: string; // ISO code; the state a city or polygon lies in
+  city?: string; // City territories only
+  center?: TerritoryPoint | null; // State and city territories
+  polygon?: TerritoryPoint[]; // Polygon territories only
+  status: TerritoryStatus;
+  exclusivityRadiusKm?: number | null;
+}
+
 export interface FranchiseDetails {
   franchiseBrand: string;
   franchiseType: FranchiseType;
@@ -404,10 +607,12 @@ export interface FranchiseDetails {
   totalUnits: number;
   franchiseeCount: number;
   companyOwnedUnits: number;
-  availableTerritories: string[];
+  availableTerritories?: string[]; // Regions listed before territories were structured
+  territories?: FranchiseTerritory[];
   investment: FranchiseInvestment;
   support: FranchiseSupport;
   performance: FranchisePerformance;
+  projectionAssumptions?: FranchiseProjectionAssumptions;
 }
 
 /**
@@ -446,6 +651,7 @@ export interface StartupFunding {
   preMoneyValuation: CurrencyValue;
   useOfFunds: string;
   previousInvestors?: string;
+  capTable?: CapTableHolder[];
   burnRate?: CurrencyValue;
   runway?: number;
 }
@@ -636,6 +842,9 @@ export interface Listing {
 
   // Ratings and Verification
   rating?: Rating;
+  valuation?: ListingValuation | null; // Business listings, set by the server
+  fundingRound?: FundingRound | null; // Startup listings, set by the server
+  unitEconomics?: UnitEconomics | null; // Franchise listings, set by the server
   reviewCount?: number;
   isVerified: boolean;
   isFeatured: boolean;
@@ -663,7 +872,19 @@ export interface Listing {
   createdAt: Date;
   updatedAt: Date;
   publishedAt?: Date;
-  expiresAt?: Date;
+  // Scheduled by a moderator: a draft or pending listing goes live at publishAt,
+  // a published one is archived at expiresAt (set from the plan when published)
+  publishAt?: Date | null;
+  expiresAt?: Date | null;
+  renewalReminderSentAt?: Date | null;
+
+  // Duplicate detection, kept up to date by the server on every save
+  duplicateCheck?: DuplicateCheck | null;
+  linkedListingIds?: string[]; // Related listings a moderator marked as not duplicates
+  mergedInto?: string | null; // Set when this listing was merged into another and archived
+
+  // Review state while pending, kept by the server; cleared when the listing leaves pending
+  moderation?: ListingModeration | null;
 
   // Deletion
   isDeleted: boolean;
@@ -695,6 +916,14 @@ export interface ListingFilters {
     country?: string;
     state?: string;
     city?: string;
+    radiusKm?: number; // Within this distance of the city instead of in it
+  };
+  // Franchises with a territory of this status covering this place
+  territory?: {
+    status?: TerritoryStatus;
+    country?: string;
+    state?: string;
+    city?: string;
   };
   isFeatured?: boolean;
   isVerified?: boolean;
@@ -708,4 +937,236 @@ export interface ListingFilters {
     from?: Date;
     to?: Date;
   };
-}
\ No newline at end of file
+  publishAtRange?: {
+    from?: Date;
+    to?: Date;
+  };
+  expiresAtRange?: {
+    from?: Date;
+    to?: Date;
+  };
+}
+
+/**
+ * How a listing revision came about
+ */
+export enum ListingRevisionSource {
+  BASELINE = 'baseline', // State before the first tracked change of an older listing
+  CREATED = 'created',
+  UPDATED = 'updated',
+  RESTORED = 'restored'
+}
+
+/**
+ * Immutable snapshot of a listing's editable content, saved with every change.
+ * Status, plan, ownership, images and documents are not part of the snapshot.
+ */
+export interface ListingRevision {
+  id: string;
+  listingId: string;
+  source: ListingRevisionSource;
+  restoredFrom: string | null;
+  snapshot: Record<string, any>;
+  changedFields: string[];
+  createdBy: string | null;
+  createdByName: string | null;
+  createdAt: Date | null;
+}
+
+/**
+ * Duplicate detection
+ */
+export interface DuplicateCheck {
+  score: number; // Score of the likeliest duplicate, 0 if none was found
+  listingIds: string[];
+  checkedAt: Date | null;
+}
+
+export type DuplicateSignal =
+  | 'name'
+  | 'gstNumber'
+  | 'panNumber'
+  | 'registrationNumber'
+  | 'domain'
+  | 'image'
+  | 'email'
+  | 'phone';
+
+// A listing in a list of matches: duplicates or search results
+export interface ListingSummary {
+  id: string;
+  slug: string;
+  name: string;
+  type: ListingType;
+  status: ListingStatus;
+  ownerId: string;
+  ownerName: string | null;
+  displayLocation: string | null;
+  imageUrl: string | null;
+  createdAt: Date | null;
+}
+
+export interface ListingDuplicate {
+  listing: ListingSummary;
+  score: number; // 0 to 1
+  signals: { signal: DuplicateSignal; label: string }[];
+}
+
+/**
+ * Investor matching
+ */
+export type MatchComponentId = 'industry' | 'stage' | 'geography' | 'ticket' | 'revenue';
+
+export interface MatchComponent {
+  id: MatchComponentId;
+  label: string;
+  weight: number; // Points the part is worth
+  points: number;
+  detail: string; // Why it scored what it did
+}
+
+export interface ListingMatch {
+  listing: ListingSummary;
+  score: number; // 0 to 100
+  components: MatchComponent[];
+}
+
+export interface MatchReport {
+  generatedAt: Date;
+  investorCount: number;
+  listingCount: number;
+  minScore: number;
+  rows: { investor: ListingSummary; matches: ListingMatch[] }[];
+}
+
+/**
+ * Search
+ */
+export type SearchField = 'name' | 'brand' | 'classification' | 'location' | 'description';
+
+export interface ListingSearchMatch {
+  listing: ListingSummary;
+  score: number; // Relevance, only comparable within one search
+  fields: SearchField[]; // Where the query words matched
+}
+
+/**
+ * Bulk import
+ */
+export type ImportColumnKind = 'text' | 'number' | 'boolean' | 'date' | 'list';
+
+export interface ImportColumn {
+  key: string; // Dotted field path, e.g. location.city; classification.* columns hold names
+  label: string;
+  required: boolean;
+  kind: ImportColumnKind; // list: values separated by semicolons
+  options?: string[];
+}
+
+export interface ImportError {
+  path: string;
+  message: string;
+}
+
+export interface ImportRowResult {
+  index: number; // Row of the file, counting from the first row after the header
+  valid: boolean;
+  errors: ImportError[];
+  listingId?: string;
+  status?: ListingStatus;
+}
+
+/**
+ * Export
+ */
+export type ExportFormat = 'csv' | 'xlsx' | 'json';
+
+export interface ExportColumn {
+  key: string; // Dotted field path; details.* is the listing's type-specific details, e.g. details.financials.annualRevenue.value
+  label: string;
+  group: 'listing' | 'details';
+}
+
+export interface ExportJob {
+  id: string;
+  fileName: string;
+  format: ExportFormat;
+  status: 'running' | 'done' | 'failed' | 'cancelled';
+  exported: number; // Listings read so far
+  total?: number; // Known when exporting a selection
+  url?: string; // Object URL of the file once done
+  error?: string;
+  startedAt: Date;
+}
+
+/**
+ * Moderation
+ */
+export type SlaStatus = 'on_track' | 'due_soon' | 'overdue';
+
+export interface ReviewClaim {
+  userId: string;
+  userName: string | null;
+  claimedAt: Date;
+  expiresAt: Date; // Lapses this long after the moderator's last change
+}
+
+export interface ReviewAssignee {
+  userId: string;
+  userName: string | null;
+  assignedBy: string;
+  assignedAt: Date;
+}
+
+export interface ListingModeration {
+  claim?: ReviewClaim | null;
+  assignee?: ReviewAssignee | null;
+  checklist?: Record<string, { checkedBy: string; checkedAt: Date }>;
+}
+
+export interface ReviewCheck {
+  id: string;
+  label: string;
+  required: boolean; // Must be ticked before approving
+  checked: boolean;
+  checkedBy: string | null;
+  checkedAt: Date | null;
+}
+
+export interface ReviewFlag {
+  code: 'price_outside_fair_value' | 'equity_offered_mismatch' | 'breakeven_mismatch';
+  label: string;
+  detail: string;
+}
+
+export interface ModerationQueueItem {
+  listing: ListingSummary & { plan: ListingPlan };
+  submittedAt: Date | null;
+  dueAt: Date; // Submission plus the plan's review SLA
+  slaHours: number;
+  slaStatus: SlaStatus; // As of when the queue was read
+  claim: ReviewClaim | null;
+  assignee: ReviewAssignee | null;
+  checklist: ReviewCheck[];
+  flags: ReviewFlag[];
+}
+
+export type ModerationQueueSort = 'due' | 'oldest' | 'plan';
+
+export interface ModerationQueueFilters {
+  type?: ListingType[];
+  plan?: ListingPlan[];
+  assignee?: string; // 'me', 'unassigned' or a user ID
+  sort?: ModerationQueueSort;
+}
+
+export interface RejectionTemplate {
+  id: string;
+  title: string;
+  reason: string;
+  types: ListingType[]; // Empty for every type
+  useCount: number;
+  createdBy: string;
+  createdAt: Date | null;
+  updatedAt: Date | null;
+}
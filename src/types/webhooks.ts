@@ -0,0 +1,86 @@
+/**
+ * Webhook TypeScript interfaces
+ * Outbound webhook subscriptions and deliveries managed by the Express server
+ */
+
+/**
+ * Events that can be sent to a webhook
+ */
+export enum WebhookEventType {
+  LISTING_PUBLISHED = 'listing.published',
+  LISTING_REJECTED = 'listing.rejected',
+  LEAD_STATUS_CHANGED = 'lead.status_changed',
+  PAYMENT_COMPLETED = 'payment.completed'
+}
+
+/**
+ * Outcome of a delivery. Pending deliveries are retried with increasing delays.
+ */
+export enum WebhookDeliveryStatus {
+  PENDING = 'pending',
+  SUCCEEDED = 'succeeded',
+  FAILED = 'failed'
+}
+
+/**
+ * An endpoint registered to receive some event types
+ */
+export interface WebhookSubscription {
+  id: string;
+  url: string;
+  description: string;
+  events: WebhookEventType[];
+  active: boolean;
+  createdBy: string | null;
+  createdAt: Date | null;
+  updatedAt: Date | null;
+}
+
+/**
+ * Fields an admin sets when registering or editing a webhook
+ */
+export interface WebhookSubscriptionInput {
+  url: string;
+  description?: string;
+  events: WebhookEventType[];
+}
+
+/**
+ * Body POSTed to the endpoint
+ */
+export interface WebhookEvent {
+  id: string;
+  type: WebhookEventType;
+  createdAt: string;
+  data: Record<string, any>;
+}
+
+/**
+ * One event sent to one webhook, with the result of its latest attempt
+ */
+export interface WebhookDelivery {
+  id: string;
+  subscriptionId: string;
+  url: string;
+  eventId: string;
+  eventType: WebhookEventType;
+  payload: WebhookEvent;
+  status: WebhookDeliveryStatus;
+  attempts: number;
+  responseStatus: number | null;
+  responseBody: string | null;
+  error: string | null;
+  redeliveryOf: string | null;
+  createdAt: Date | null;
+  lastAttemptAt: Date | null;
+  nextAttemptAt: Date | null;
+  completedAt: Date | null;
+}
+
+/**
+ * Delivery log filter options
+ */
+export interface WebhookDeliveryFilters {
+  subscriptionId?: string;
+  status?: WebhookDeliveryStatus;
+}